@@ -1,89 +1,26 @@
-import express from 'express';
-import cors from 'cors';
+import { app } from './app.js';
 import { createPool, closePool } from './config/db.js';
-import moduleRoutes from './features/modules/routes.js';
-import functionRoutes from './features/functions/routes.js';
-import operationRoutes from './features/operations/routes.js';
-import functionPrivilegeRoutes from './features/function-privileges/routes.js';
-import dutyRoleRoutes from './features/duty-roles/routes.js';
-import jobRoleRoutes from './features/job-roles/routes.js';
+import { UserModel } from './features/users/model.js';
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
 // Initialize database pool on startup
 await createPool();
 console.log('✅ Database pool initialized');
 
-// ==========================================
-// 📌 HEALTH CHECK ENDPOINT
-// ==========================================
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    message: 'API Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// ==========================================
-// 📌 API ROUTES
-// ==========================================
-app.use('/api/modules', moduleRoutes);
-app.use('/api/functions', functionRoutes);
-app.use('/api/operations', operationRoutes);
-app.use('/api/function-privileges', functionPrivilegeRoutes);
-app.use('/api/duty-roles', dutyRoleRoutes);
-app.use('/api/job-roles', jobRoleRoutes);
-
-// ==========================================
-// 📌 404 HANDLER
-// ==========================================
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found',
-    path: req.path,
-    availableEndpoints: [
-      'GET    /health',
-      'GET    /api/functions?page=1&limit=10',
-      'GET    /api/functions/:id',
-      'GET    /api/functions/module/:moduleId?page=1&limit=10',
-      'POST   /api/functions',
-      'PUT    /api/functions/:id',
-      'DELETE /api/functions/:id',
-      'GET    /api/modules?page=1&limit=10',
-      'GET    /api/modules/:id',
-      'POST   /api/modules',
-      'PUT    /api/modules/:id',
-      'DELETE /api/modules/:id',
-      'GET    /api/operations?page=1&limit=10',
-      'GET    /api/operations/:id',
-      'POST   /api/operations',
-      'PUT    /api/operations/:id',
-      'DELETE /api/operations/:id',
-      'GET    /api/function-privileges?page=1&limit=10',
-      'GET    /api/function-privileges/:id',
-      'POST   /api/function-privileges',
-      'PUT    /api/function-privileges/:id',
-      'DELETE /api/function-privileges/:id',
-      'GET    /api/duty-roles?page=1&limit=10',
-      'GET    /api/duty-roles/:id',
-      'POST   /api/duty-roles',
-      'PUT    /api/duty-roles/:id',
-      'DELETE /api/duty-roles/:id',
-      'GET    /api/job-roles?page=1&limit=10',
-      'GET    /api/job-roles/:id',
-      'POST   /api/job-roles',
-      'PUT    /api/job-roles/:id',
-      'DELETE /api/job-roles/:id'
-    ]
-  });
-});
+// Create the first user on a database that has none to sign in with
+// (e.g. DB_CLIENT=memory); an existing user of that name is left alone
+const { BOOTSTRAP_ADMIN_USERNAME, BOOTSTRAP_ADMIN_PASSWORD } = process.env;
+if (BOOTSTRAP_ADMIN_USERNAME && BOOTSTRAP_ADMIN_PASSWORD) {
+  if (!(await UserModel.getByUsername(BOOTSTRAP_ADMIN_USERNAME))) {
+    await UserModel.create({
+      username: BOOTSTRAP_ADMIN_USERNAME,
+      password: BOOTSTRAP_ADMIN_PASSWORD,
+      createdBy: 'BOOTSTRAP'
+    });
+    console.log(`✅ Bootstrap user ${BOOTSTRAP_ADMIN_USERNAME} created`);
+  }
+}
 
 // ==========================================
 // 📌 START SERVER
@@ -93,6 +30,8 @@ const server = app.listen(PORT, () => {
   console.log(`📡 Server running on: http://localhost:${PORT}`);
   console.log('\n📚 Available API Endpoints:');
   console.log(`   GET    http://localhost:${PORT}/health`);
+  console.log(`   POST   http://localhost:${PORT}/api/auth/login`);
+  console.log(`   GET    http://localhost:${PORT}/api/auth/me`);
   console.log(`   GET    http://localhost:${PORT}/api/functions?page=1&limit=10`);
   console.log(`   GET    http://localhost:${PORT}/api/functions/:id`);
   console.log(`   GET    http://localhost:${PORT}/api/functions/module/:moduleId?page=1&limit=10`);
@@ -112,18 +51,87 @@ const server = app.listen(PORT, () => {
   console.log(`   GET    http://localhost:${PORT}/api/function-privileges?page=1&limit=10`);
   console.log(`   GET    http://localhost:${PORT}/api/function-privileges/:id`);
   console.log(`   POST   http://localhost:${PORT}/api/function-privileges`);
+  console.log(`   POST   http://localhost:${PORT}/api/function-privileges/generate?mode=dry-run|commit`);
   console.log(`   PUT    http://localhost:${PORT}/api/function-privileges/:id`);
   console.log(`   DELETE http://localhost:${PORT}/api/function-privileges/:id`);
     console.log(`   GET    http://localhost:${PORT}/api/duty-roles?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/duty-roles/graph?format=json|dot|mermaid&root=:id&depth=2`);
+    console.log(`   GET    http://localhost:${PORT}/api/duty-roles/compare?ids=1,2`);
     console.log(`   GET    http://localhost:${PORT}/api/duty-roles/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/duty-roles/:id?asOf=2026-03-31T00:00:00Z`);
     console.log(`   POST   http://localhost:${PORT}/api/duty-roles`);
+    console.log(`   POST   http://localhost:${PORT}/api/duty-roles/:id/clone`);
     console.log(`   PUT    http://localhost:${PORT}/api/duty-roles/:id`);
     console.log(`   DELETE http://localhost:${PORT}/api/duty-roles/:id`);
     console.log(`   GET    http://localhost:${PORT}/api/job-roles?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/job-roles/graph?format=json|dot|mermaid&root=:id&depth=2`);
+    console.log(`   GET    http://localhost:${PORT}/api/job-roles/compare?ids=1,2`);
     console.log(`   GET    http://localhost:${PORT}/api/job-roles/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/job-roles/:id?asOf=2026-03-31T00:00:00Z`);
     console.log(`   POST   http://localhost:${PORT}/api/job-roles`);
+    console.log(`   POST   http://localhost:${PORT}/api/job-roles/:id/clone`);
     console.log(`   PUT    http://localhost:${PORT}/api/job-roles/:id`);
     console.log(`   DELETE http://localhost:${PORT}/api/job-roles/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/data-roles?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/data-roles/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/data-roles`);
+    console.log(`   PUT    http://localhost:${PORT}/api/data-roles/:id`);
+    console.log(`   DELETE http://localhost:${PORT}/api/data-roles/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/organizations?page=1&limit=10&orgType=&parentOrgId=`);
+    console.log(`   GET    http://localhost:${PORT}/api/organizations/tree?root=:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/organizations/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/organizations`);
+    console.log(`   PUT    http://localhost:${PORT}/api/organizations/:id`);
+    console.log(`   DELETE http://localhost:${PORT}/api/organizations/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/users?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/users/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/users`);
+    console.log(`   PUT    http://localhost:${PORT}/api/users/:id`);
+    console.log(`   DELETE http://localhost:${PORT}/api/users/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/users/:id/job-roles`);
+    console.log(`   POST   http://localhost:${PORT}/api/users/:id/job-roles`);
+    console.log(`   DELETE http://localhost:${PORT}/api/users/:id/job-roles/:jobRoleId`);
+    console.log(`   GET    http://localhost:${PORT}/api/users/:id/data-roles`);
+    console.log(`   POST   http://localhost:${PORT}/api/users/:id/data-roles`);
+    console.log(`   DELETE http://localhost:${PORT}/api/users/:id/data-roles/:dataRoleId`);
+    console.log(`   GET    http://localhost:${PORT}/api/users/:id/effective-privileges`);
+    console.log(`   GET    http://localhost:${PORT}/api/sod/rules?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/sod/rules/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/sod/rules`);
+    console.log(`   PUT    http://localhost:${PORT}/api/sod/rules/:id`);
+    console.log(`   DELETE http://localhost:${PORT}/api/sod/rules/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/sod/warnings?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/sod/violations?moduleId=&format=json|csv`);
+    console.log(`   GET    http://localhost:${PORT}/api/provisioning/rules?page=1&limit=10`);
+    console.log(`   GET    http://localhost:${PORT}/api/provisioning/rules/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/provisioning/rules`);
+    console.log(`   PUT    http://localhost:${PORT}/api/provisioning/rules/:id`);
+    console.log(`   DELETE http://localhost:${PORT}/api/provisioning/rules/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/provisioning/run?mode=dry-run|commit`);
+    console.log(`   GET    http://localhost:${PORT}/api/access-requests?page=1&limit=10&status=&step=`);
+    console.log(`   GET    http://localhost:${PORT}/api/access-requests/mine`);
+    console.log(`   GET    http://localhost:${PORT}/api/access-requests/approvals`);
+    console.log(`   GET    http://localhost:${PORT}/api/access-requests/:id`);
+    console.log(`   POST   http://localhost:${PORT}/api/access-requests`);
+    console.log(`   POST   http://localhost:${PORT}/api/access-requests/:id/approve`);
+    console.log(`   POST   http://localhost:${PORT}/api/access-requests/:id/reject`);
+    console.log(`   POST   http://localhost:${PORT}/api/access-requests/:id/withdraw`);
+    console.log(`   GET    http://localhost:${PORT}/api/certifications?page=1&limit=10&status=&scopeType=&search=`);
+    console.log(`   GET    http://localhost:${PORT}/api/certifications/reviews`);
+    console.log(`   GET    http://localhost:${PORT}/api/certifications/:id`);
+    console.log(`   GET    http://localhost:${PORT}/api/certifications/:id/items?decision=&reviewerUserId=&userId=`);
+    console.log(`   GET    http://localhost:${PORT}/api/certifications/:id/progress`);
+    console.log(`   GET    http://localhost:${PORT}/api/certifications/:id/evidence?format=json|csv`);
+    console.log(`   POST   http://localhost:${PORT}/api/certifications`);
+    console.log(`   POST   http://localhost:${PORT}/api/certifications/:id/items/:itemId/certify`);
+    console.log(`   POST   http://localhost:${PORT}/api/certifications/:id/items/:itemId/revoke`);
+    console.log(`   POST   http://localhost:${PORT}/api/certifications/:id/close`);
+    console.log(`   POST   http://localhost:${PORT}/api/import?mode=dry-run|commit&section=`);
+    console.log(`   GET    http://localhost:${PORT}/api/bundle`);
+    console.log(`   POST   http://localhost:${PORT}/api/bundle?mode=dry-run|commit`);
+    console.log(`   POST   http://localhost:${PORT}/api/bundle/diff`);
+    console.log(`   GET    http://localhost:${PORT}/api/audit?entityType=&entityId=&action=&actor=&from=&to=`);
+    console.log(`   GET    http://localhost:${PORT}/api/:entity/:id/history`);
   console.log('\n✨ Ready to accept requests!\n');
 });
 
@@ -0,0 +1,184 @@
+import express from 'express';
+import cors from 'cors';
+import moduleRoutes from './features/modules/routes.js';
+import functionRoutes from './features/functions/routes.js';
+import operationRoutes from './features/operations/routes.js';
+import functionPrivilegeRoutes from './features/function-privileges/routes.js';
+import dutyRoleRoutes from './features/duty-roles/routes.js';
+import jobRoleRoutes from './features/job-roles/routes.js';
+import dataRoleRoutes from './features/data-roles/routes.js';
+import organizationRoutes from './features/organizations/routes.js';
+import userRoutes from './features/users/routes.js';
+import sodRoutes from './features/sod/routes.js';
+import provisioningRoutes from './features/provisioning/routes.js';
+import accessRequestRoutes from './features/access-requests/routes.js';
+import certificationRoutes from './features/certifications/routes.js';
+import auditRoutes from './features/audit/routes.js';
+import importRoutes from './features/import/routes.js';
+import bundleRoutes from './features/bundles/routes.js';
+import authRoutes from './features/auth/routes.js';
+import { authenticate } from './middleware/authenticate.js';
+
+/**
+ * Express application - middleware, feature routers and the 404 handler.
+ * api-server.js creates the database pool and listens; tests mount the same
+ * app against the memory database (DB_CLIENT=memory).
+ */
+export const app = express();
+
+// Middleware
+app.use(cors());
+// bulk imports (/api/import, /api/bundle) send whole files as JSON
+app.use(express.json({ limit: '5mb' }));
+
+// ==========================================
+// 📌 HEALTH CHECK ENDPOINT
+// ==========================================
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    message: 'API Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==========================================
+// 📌 API ROUTES
+// ==========================================
+// Login is public; every other /api route needs a Bearer token
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate);
+
+app.use('/api/modules', moduleRoutes);
+app.use('/api/functions', functionRoutes);
+app.use('/api/operations', operationRoutes);
+app.use('/api/function-privileges', functionPrivilegeRoutes);
+app.use('/api/duty-roles', dutyRoleRoutes);
+app.use('/api/job-roles', jobRoleRoutes);
+app.use('/api/data-roles', dataRoleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/sod', sodRoutes);
+app.use('/api/provisioning', provisioningRoutes);
+app.use('/api/access-requests', accessRequestRoutes);
+app.use('/api/certifications', certificationRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/bundle', bundleRoutes);
+// Audit routes last: /api/:entity/:id/history must not shadow feature routes
+app.use('/api', auditRoutes);
+
+// ==========================================
+// 📌 404 HANDLER
+// ==========================================
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'Endpoint not found',
+    path: req.path,
+    availableEndpoints: [
+      'GET    /health',
+      'POST   /api/auth/login',
+      'GET    /api/auth/me',
+      'GET    /api/functions?page=1&limit=10',
+      'GET    /api/functions/:id',
+      'GET    /api/functions/module/:moduleId?page=1&limit=10',
+      'POST   /api/functions',
+      'PUT    /api/functions/:id',
+      'DELETE /api/functions/:id',
+      'GET    /api/modules?page=1&limit=10',
+      'GET    /api/modules/:id',
+      'POST   /api/modules',
+      'PUT    /api/modules/:id',
+      'DELETE /api/modules/:id',
+      'GET    /api/operations?page=1&limit=10',
+      'GET    /api/operations/:id',
+      'POST   /api/operations',
+      'PUT    /api/operations/:id',
+      'DELETE /api/operations/:id',
+      'GET    /api/function-privileges?page=1&limit=10',
+      'GET    /api/function-privileges/:id',
+      'POST   /api/function-privileges',
+      'POST   /api/function-privileges/generate?mode=dry-run|commit',
+      'PUT    /api/function-privileges/:id',
+      'DELETE /api/function-privileges/:id',
+      'GET    /api/duty-roles?page=1&limit=10',
+      'GET    /api/duty-roles/graph?format=json|dot|mermaid&root=:id&depth=2',
+      'GET    /api/duty-roles/compare?ids=1,2',
+      'GET    /api/duty-roles/:id',
+      'GET    /api/duty-roles/:id?asOf=2026-03-31T00:00:00Z',
+      'POST   /api/duty-roles',
+      'POST   /api/duty-roles/:id/clone',
+      'PUT    /api/duty-roles/:id',
+      'DELETE /api/duty-roles/:id',
+      'GET    /api/job-roles?page=1&limit=10',
+      'GET    /api/job-roles/graph?format=json|dot|mermaid&root=:id&depth=2',
+      'GET    /api/job-roles/compare?ids=1,2',
+      'GET    /api/job-roles/:id',
+      'GET    /api/job-roles/:id?asOf=2026-03-31T00:00:00Z',
+      'POST   /api/job-roles',
+      'POST   /api/job-roles/:id/clone',
+      'PUT    /api/job-roles/:id',
+      'DELETE /api/job-roles/:id',
+      'GET    /api/data-roles?page=1&limit=10',
+      'GET    /api/data-roles/:id',
+      'POST   /api/data-roles',
+      'PUT    /api/data-roles/:id',
+      'DELETE /api/data-roles/:id',
+      'GET    /api/organizations?page=1&limit=10&orgType=&parentOrgId=',
+      'GET    /api/organizations/tree?root=:id',
+      'GET    /api/organizations/:id',
+      'POST   /api/organizations',
+      'PUT    /api/organizations/:id',
+      'DELETE /api/organizations/:id',
+      'GET    /api/users?page=1&limit=10',
+      'GET    /api/users/:id',
+      'POST   /api/users',
+      'PUT    /api/users/:id',
+      'DELETE /api/users/:id',
+      'GET    /api/users/:id/job-roles',
+      'POST   /api/users/:id/job-roles',
+      'DELETE /api/users/:id/job-roles/:jobRoleId',
+      'GET    /api/users/:id/data-roles',
+      'POST   /api/users/:id/data-roles',
+      'DELETE /api/users/:id/data-roles/:dataRoleId',
+      'GET    /api/users/:id/effective-privileges',
+      'GET    /api/sod/rules?page=1&limit=10',
+      'GET    /api/sod/rules/:id',
+      'POST   /api/sod/rules',
+      'PUT    /api/sod/rules/:id',
+      'DELETE /api/sod/rules/:id',
+      'GET    /api/sod/warnings?page=1&limit=10',
+      'GET    /api/sod/violations?moduleId=&format=json|csv',
+      'GET    /api/provisioning/rules?page=1&limit=10',
+      'GET    /api/provisioning/rules/:id',
+      'POST   /api/provisioning/rules',
+      'PUT    /api/provisioning/rules/:id',
+      'DELETE /api/provisioning/rules/:id',
+      'POST   /api/provisioning/run?mode=dry-run|commit',
+      'GET    /api/access-requests?page=1&limit=10&status=&step=',
+      'GET    /api/access-requests/mine',
+      'GET    /api/access-requests/approvals',
+      'GET    /api/access-requests/:id',
+      'POST   /api/access-requests',
+      'POST   /api/access-requests/:id/approve',
+      'POST   /api/access-requests/:id/reject',
+      'POST   /api/access-requests/:id/withdraw',
+      'GET    /api/certifications?page=1&limit=10&status=&scopeType=&search=',
+      'GET    /api/certifications/reviews',
+      'GET    /api/certifications/:id',
+      'GET    /api/certifications/:id/items?decision=&reviewerUserId=&userId=',
+      'GET    /api/certifications/:id/progress',
+      'GET    /api/certifications/:id/evidence?format=json|csv',
+      'POST   /api/certifications',
+      'POST   /api/certifications/:id/items/:itemId/certify',
+      'POST   /api/certifications/:id/items/:itemId/revoke',
+      'POST   /api/certifications/:id/close',
+      'POST   /api/import?mode=dry-run|commit&section=',
+      'GET    /api/bundle',
+      'POST   /api/bundle?mode=dry-run|commit',
+      'POST   /api/bundle/diff',
+      'GET    /api/audit?entityType=&entityId=&action=&actor=&from=&to=',
+      'GET    /api/:entity/:id/history'
+    ]
+  });
+});
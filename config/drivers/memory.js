@@ -0,0 +1,332 @@
+import initSqlJs from 'sql.js';
+import oracledb from 'oracledb';
+import {
+  loadMigrations,
+  ensureHistoryTable,
+  getApplied,
+  migrateUp
+} from '../../db/migrator.js';
+
+/**
+ * Memory driver - embedded SQLite database (sql.js) kept in process memory.
+ *
+ * The schema is built from db/migrations when the pool is created, and the
+ * connections speak the oracledb interface: the Oracle SQL the models use is
+ * rewritten for SQLite and SQLite errors are reported as their ORA- equivalents,
+ * so models and controllers run unchanged.
+ *
+ * Every connection shares one SQLite session, so there is a single writer at a
+ * time: the first write opens a transaction owned by that connection, and a
+ * write on any other connection waits until it commits, rolls back or closes.
+ * Reads do not wait and see uncommitted changes; the memory database is meant
+ * for development and tests, not for isolation between concurrent requests.
+ */
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const SQLITE_TIMESTAMP = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+let sqlJs = null;
+let database = null;
+let transactionOwner = null;
+let waitingWriters = [];
+
+/**
+ * End the open transaction and wake the connections waiting to write
+ */
+function releaseTransaction() {
+  transactionOwner = null;
+  const waiting = waitingWriters;
+  waitingWriters = [];
+  waiting.forEach(resume => resume());
+}
+
+/**
+ * Rewrite the Oracle dialect used by the models and migrations for SQLite
+ * @returns {{text: string, returning: Array<string>}} - SQL and the RETURNING ... INTO bind names
+ */
+function translateSql(sql) {
+  // AUTOINCREMENT already continues after the highest key inserted
+  if (/^\s*ALTER\s+TABLE\s+\S+\s+MODIFY\s+\w+\s+GENERATED\b[\s\S]*\bSTART\s+WITH\s+LIMIT\s+VALUE\b/i.test(sql)) {
+    return { text: 'SELECT 1', returning: [] };
+  }
+
+  let text = sql
+    .replace(/\bSEC\./g, '')
+    .replace(/\b(SYSTIMESTAMP|SYSDATE)\b/g, SQLITE_TIMESTAMP)
+    .replace(/\s+FROM\s+DUAL\b/gi, '')
+    .replace(/\bNUMBER\s+GENERATED\s+BY\s+DEFAULT\s+AS\s+IDENTITY\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\b(\w+)\s+IS\s+JSON\b/gi, 'json_valid($1)')
+    .replace(/\bJSON_TABLE\(\s*([\w.]+)\s*,\s*'\$\[\*\]'\s+COLUMNS\s*\(\s*VALUE\s+NUMBER\s+PATH\s+'\$'\s*\)\s*\)/gi, 'json_each($1)')
+    .replace(/\bJSON_ARRAYAGG\(/gi, 'json_group_array(')
+    .replace(/\s+PURGE\s*$/i, '')
+    .replace(
+      /\bOFFSET\s+(:\w+|\d+)\s+ROWS?\s+FETCH\s+(?:NEXT|FIRST)\s+(:\w+|\d+)\s+ROWS?\s+ONLY\b/gi,
+      'LIMIT $2 OFFSET $1'
+    )
+    .replace(/\bFETCH\s+(?:NEXT|FIRST)\s+(:\w+|\d+)\s+ROWS?\s+ONLY\b/gi, 'LIMIT $1');
+
+  let returning = [];
+  const returningMatch = text.match(/\bRETURNING\s+([\s\S]+?)\s+INTO\s+([\s\S]+?)\s*$/i);
+  if (returningMatch) {
+    returning = returningMatch[2].split(',').map(name => name.trim().replace(/^:/, ''));
+    text = `${text.slice(0, returningMatch.index)}RETURNING ${returningMatch[1]}`;
+  }
+
+  return { text, returning };
+}
+
+/**
+ * Oracle treats '' as NULL and has no boolean binds; dates are stored as ISO strings
+ */
+function toSqliteValue(value) {
+  if (value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function toOracleValue(value) {
+  if (typeof value === 'string' && ISO_TIMESTAMP.test(value)) return new Date(value);
+  return value;
+}
+
+/**
+ * Split oracledb binds into SQLite parameters and the names of OUT binds
+ */
+function prepareBinds(binds) {
+  const parameters = {};
+  const outNames = [];
+
+  const entries = Array.isArray(binds)
+    ? binds.map((value, index) => [String(index + 1), value])
+    : Object.entries(binds || {});
+
+  for (const [name, bind] of entries) {
+    const isBindObject = bind !== null && typeof bind === 'object' && !(bind instanceof Date);
+    if (isBindObject && bind.dir === oracledb.BIND_OUT) {
+      outNames.push(name);
+      continue;
+    }
+    parameters[`:${name}`] = toSqliteValue(isBindObject ? bind.val : bind);
+  }
+
+  return { parameters, outNames };
+}
+
+function oracleError(errorNum, message) {
+  const code = `ORA-${String(errorNum).padStart(5, '0')}`;
+  const error = new Error(`${code}: ${message}`);
+  error.errorNum = errorNum;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Report SQLite failures the way Oracle would, since controllers map errors by
+ * ORA- number and message
+ */
+function toOracleError(error, sql) {
+  const message = error.message || '';
+  let match;
+
+  if ((match = message.match(/UNIQUE constraint failed: (.+)/))) {
+    return oracleError(1, `unique constraint (${match[1]}) violated`);
+  }
+  if (message.includes('FOREIGN KEY constraint failed')) {
+    return /^\s*DELETE\b/i.test(sql)
+      ? oracleError(2292, 'integrity constraint violated - child record found')
+      : oracleError(2291, 'integrity constraint violated - parent key not found');
+  }
+  if ((match = message.match(/CHECK constraint failed: (.+)/))) {
+    return oracleError(2290, `check constraint (${match[1]}) violated`);
+  }
+  if ((match = message.match(/NOT NULL constraint failed: (.+)/))) {
+    return oracleError(1400, `cannot insert NULL into (${match[1]})`);
+  }
+  if (/already exists/.test(message)) {
+    return oracleError(955, 'name is already used by an existing object');
+  }
+  if ((match = message.match(/no such table: (.+)/))) {
+    return oracleError(942, `table or view does not exist (${match[1]})`);
+  }
+  return error;
+}
+
+/**
+ * Connection with the subset of the oracledb Connection interface the app uses
+ */
+class MemoryConnection {
+  constructor() {
+    this.closed = false;
+  }
+
+  assertOpen() {
+    if (this.closed || !database) {
+      throw new Error('NJS-003: invalid or closed connection');
+    }
+  }
+
+  /**
+   * Wait until no other connection holds an open transaction
+   */
+  async waitForWriteTurn() {
+    while (transactionOwner && transactionOwner !== this) {
+      await new Promise(resume => waitingWriters.push(resume));
+      this.assertOpen();
+    }
+  }
+
+  async execute(sql, binds = {}, options = {}) {
+    this.assertOpen();
+
+    const { text, returning } = translateSql(sql);
+    const { parameters, outNames } = prepareBinds(binds);
+    const isQuery = /^\s*(SELECT|WITH)\b/i.test(text);
+    const isDdl = /^\s*(CREATE|DROP|ALTER|TRUNCATE)\b/i.test(text);
+
+    if (!isQuery) {
+      await this.waitForWriteTurn();
+    }
+
+    if (isDdl) {
+      // DDL commits implicitly, as in Oracle
+      await this.commit();
+    } else if (!isQuery && !transactionOwner) {
+      database.run('BEGIN');
+      transactionOwner = this;
+    }
+
+    let columns = [];
+    const values = [];
+    let statement;
+    try {
+      statement = database.prepare(text);
+      statement.bind(parameters);
+      while (statement.step()) {
+        values.push(statement.get().map(toOracleValue));
+      }
+      columns = statement.getColumnNames().map(name => name.toUpperCase());
+    } catch (error) {
+      throw toOracleError(error, text);
+    } finally {
+      if (statement) statement.free();
+    }
+
+    if (isQuery) {
+      const outFormat = options.outFormat ?? oracledb.outFormat;
+      return {
+        metaData: columns.map(name => ({ name })),
+        rows: outFormat === oracledb.OUT_FORMAT_OBJECT
+          ? values.map(row => Object.fromEntries(columns.map((name, index) => [name, row[index]])))
+          : values
+      };
+    }
+
+    const result = { rowsAffected: isDdl ? 0 : database.getRowsModified() };
+    if (returning.length > 0) {
+      result.outBinds = {};
+      returning.forEach((name, index) => {
+        if (outNames.includes(name)) {
+          result.outBinds[name] = values.map(row => row[index]);
+        }
+      });
+    }
+
+    if (options.autoCommit) {
+      await this.commit();
+    }
+    return result;
+  }
+
+  async executeMany(sql, bindsList, options = {}) {
+    let rowsAffected = 0;
+    for (const binds of bindsList) {
+      const result = await this.execute(sql, binds, { ...options, autoCommit: false });
+      rowsAffected += result.rowsAffected;
+    }
+    if (options.autoCommit) {
+      await this.commit();
+    }
+    return { rowsAffected };
+  }
+
+  async commit() {
+    this.assertOpen();
+    if (transactionOwner === this) {
+      database.run('COMMIT');
+      releaseTransaction();
+    }
+  }
+
+  async rollback() {
+    this.assertOpen();
+    if (transactionOwner === this) {
+      database.run('ROLLBACK');
+      releaseTransaction();
+    }
+  }
+
+  /**
+   * Closing discards uncommitted work, as oracledb does
+   */
+  async close() {
+    if (this.closed) return;
+    if (database) await this.rollback();
+    this.closed = true;
+  }
+}
+
+/**
+ * Memory driver - in-process SQLite database built from db/migrations
+ */
+export class MemoryDriver {
+  /**
+   * Create the database and apply all migrations
+   */
+  static async createPool() {
+    if (database) return database;
+
+    sqlJs = sqlJs || await initSqlJs();
+    database = new sqlJs.Database();
+    database.run('PRAGMA foreign_keys = ON');
+    database.run('PRAGMA case_sensitive_like = ON');
+
+    const connection = new MemoryConnection();
+    try {
+      await ensureHistoryTable(connection);
+      const applied = await getApplied(connection);
+      await migrateUp(connection, await loadMigrations(), applied, () => {});
+    } catch (error) {
+      database.close();
+      database = null;
+      throw error;
+    } finally {
+      await connection.close();
+    }
+
+    console.log('In-memory database created (DB_CLIENT=memory)');
+    return database;
+  }
+
+  /**
+   * Get a connection to the in-memory database
+   */
+  static async getConnection() {
+    if (!database) {
+      await MemoryDriver.createPool();
+    }
+    return new MemoryConnection();
+  }
+
+  /**
+   * Drop the in-memory database; the next createPool starts from an empty schema
+   */
+  static async closePool() {
+    if (database) {
+      database.close();
+      database = null;
+      releaseTransaction();
+      console.log('In-memory database closed');
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Schema migration runner
+ *
+ * Applies the versioned migrations in db/migrations in order (see db/migrator.js).
+ *
+ * Usage:
+ *   node db/migrate.js                        apply all pending migrations
+ *   node db/migrate.js --status               list applied and pending migrations
+ *   node db/migrate.js --rollback [count]     roll back the last count migrations (default 1)
+ *   node db/migrate.js --baseline <version>   record migrations up to version as applied
+ *                                             without running them (existing databases)
+ */
+import { createPool, getConnection, closePool } from '../config/db.js';
+import {
+  loadMigrations,
+  ensureHistoryTable,
+  getApplied,
+  migrateUp,
+  rollback,
+  baseline
+} from './migrator.js';
+
+function printStatus(migrations, applied) {
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    const state = row
+      ? `applied ${new Date(row.APPLIED_AT).toISOString()} by ${row.APPLIED_BY}`
+      : 'pending';
+    console.log(`${migration.version} ${migration.name.padEnd(40)} ${state}`);
+  }
+
+  for (const version of applied.keys()) {
+    if (!migrations.some(migration => migration.version === version)) {
+      console.log(`${version} ${applied.get(version).NAME.padEnd(40)} applied, file missing`);
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const option = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : (argv[index + 1] ?? '');
+  };
+
+  if (argv.includes('--status')) return { command: 'status' };
+
+  const rollbackCount = option('--rollback');
+  if (rollbackCount !== undefined) {
+    const count = rollbackCount === '' || rollbackCount.startsWith('--') ? 1 : Number(rollbackCount);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('--rollback expects a positive number of migrations');
+    }
+    return { command: 'rollback', count };
+  }
+
+  const baselineVersion = option('--baseline');
+  if (baselineVersion !== undefined) {
+    if (!/^\d+$/.test(baselineVersion)) {
+      throw new Error('--baseline expects a migration version, e.g. --baseline 005');
+    }
+    return { command: 'baseline', version: baselineVersion };
+  }
+
+  return { command: 'up' };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const migrations = await loadMigrations();
+
+  await createPool();
+  const connection = await getConnection();
+
+  try {
+    await ensureHistoryTable(connection);
+    const applied = await getApplied(connection);
+
+    switch (args.command) {
+      case 'status':
+        printStatus(migrations, applied);
+        break;
+      case 'rollback':
+        await rollback(connection, migrations, applied, args.count);
+        break;
+      case 'baseline':
+        await baseline(connection, migrations, applied, args.version);
+        break;
+      default:
+        await migrateUp(connection, migrations, applied);
+    }
+  } finally {
+    await connection.close();
+    await closePool();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * Security catalog: modules, functions, operations and the function
+ * privileges that combine them.
+ */
+export const up = [
+  `CREATE TABLE SEC.MODULES (
+    MODULE_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    MODULE_CODE  VARCHAR2(50) NOT NULL,
+    MODULE_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION  VARCHAR2(1000),
+    STATUS       VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY   VARCHAR2(100),
+    CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY   VARCHAR2(100),
+    UPDATED_AT   TIMESTAMP,
+    CONSTRAINT UQ_MODULES_CODE UNIQUE (MODULE_CODE),
+    CONSTRAINT CK_MODULES_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  `CREATE TABLE SEC.FUNCTIONS (
+    FUNCTION_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    MODULE_ID      NUMBER,
+    FUNCTION_CODE  VARCHAR2(50) NOT NULL,
+    FUNCTION_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION    VARCHAR2(1000),
+    STATUS         VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY     VARCHAR2(100),
+    CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY     VARCHAR2(100),
+    UPDATED_AT     TIMESTAMP,
+    CONSTRAINT UQ_FUNCTIONS_CODE UNIQUE (FUNCTION_CODE),
+    CONSTRAINT FK_FUNCTIONS_MODULE FOREIGN KEY (MODULE_ID)
+      REFERENCES SEC.MODULES (MODULE_ID),
+    CONSTRAINT CK_FUNCTIONS_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  'CREATE INDEX SEC.IX_FUNCTIONS_MODULE ON SEC.FUNCTIONS (MODULE_ID)',
+  `CREATE TABLE SEC.OPERATIONS (
+    OPERATION_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    OPERATION_CODE  VARCHAR2(50) NOT NULL,
+    OPERATION_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION     VARCHAR2(1000),
+    STATUS          VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY      VARCHAR2(100),
+    CREATED_AT      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY      VARCHAR2(100),
+    UPDATED_AT      TIMESTAMP,
+    CONSTRAINT UQ_OPERATIONS_CODE UNIQUE (OPERATION_CODE),
+    CONSTRAINT CK_OPERATIONS_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  `CREATE TABLE SEC.FUNCTION_PRIVILEGES (
+    PRIVILEGE_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    PRIVILEGE_CODE  VARCHAR2(100) NOT NULL,
+    PRIVILEGE_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION     VARCHAR2(1000),
+    MODULE_ID       NUMBER,
+    FUNCTION_ID     NUMBER,
+    OPERATION_ID    NUMBER,
+    STATUS          VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY      VARCHAR2(100),
+    CREATED_AT      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY      VARCHAR2(100),
+    UPDATED_AT      TIMESTAMP,
+    CONSTRAINT UQ_FUNCTION_PRIVILEGES_CODE UNIQUE (PRIVILEGE_CODE),
+    CONSTRAINT FK_FP_MODULE FOREIGN KEY (MODULE_ID)
+      REFERENCES SEC.MODULES (MODULE_ID),
+    CONSTRAINT FK_FP_FUNCTION FOREIGN KEY (FUNCTION_ID)
+      REFERENCES SEC.FUNCTIONS (FUNCTION_ID),
+    CONSTRAINT FK_FP_OPERATION FOREIGN KEY (OPERATION_ID)
+      REFERENCES SEC.OPERATIONS (OPERATION_ID),
+    CONSTRAINT CK_FP_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  'CREATE INDEX SEC.IX_FP_MODULE ON SEC.FUNCTION_PRIVILEGES (MODULE_ID)',
+  'CREATE INDEX SEC.IX_FP_FUNCTION ON SEC.FUNCTION_PRIVILEGES (FUNCTION_ID)',
+  'CREATE INDEX SEC.IX_FP_OPERATION ON SEC.FUNCTION_PRIVILEGES (OPERATION_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.FUNCTION_PRIVILEGES PURGE',
+  'DROP TABLE SEC.OPERATIONS PURGE',
+  'DROP TABLE SEC.FUNCTIONS PURGE',
+  'DROP TABLE SEC.MODULES PURGE'
+];
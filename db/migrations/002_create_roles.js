@@ -0,0 +1,95 @@
+/**
+ * Duty roles, job roles and their relationship tables.
+ * Links cascade on delete of either end, and a role cannot inherit from itself.
+ */
+export const up = [
+  `CREATE TABLE SEC.DUTY_ROLES (
+    DUTY_ROLE_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    DUTY_ROLE_NAME  VARCHAR2(200) NOT NULL,
+    ROLE_CODE       VARCHAR2(100) NOT NULL,
+    DESCRIPTION     VARCHAR2(1000),
+    MODULE_ID       NUMBER,
+    STATUS          VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY      VARCHAR2(100),
+    CREATED_AT      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY      VARCHAR2(100),
+    UPDATED_AT      TIMESTAMP,
+    CONSTRAINT UQ_DUTY_ROLES_CODE UNIQUE (ROLE_CODE),
+    CONSTRAINT FK_DUTY_ROLES_MODULE FOREIGN KEY (MODULE_ID)
+      REFERENCES SEC.MODULES (MODULE_ID),
+    CONSTRAINT CK_DUTY_ROLES_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  'CREATE INDEX SEC.IX_DUTY_ROLES_MODULE ON SEC.DUTY_ROLES (MODULE_ID)',
+  `CREATE TABLE SEC.DUTY_ROLE_PRIVILEGES (
+    DUTY_ROLE_ID  NUMBER NOT NULL,
+    PRIVILEGE_ID  NUMBER NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_DUTY_ROLE_PRIVILEGES PRIMARY KEY (DUTY_ROLE_ID, PRIVILEGE_ID),
+    CONSTRAINT FK_DRP_DUTY_ROLE FOREIGN KEY (DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_DRP_PRIVILEGE FOREIGN KEY (PRIVILEGE_ID)
+      REFERENCES SEC.FUNCTION_PRIVILEGES (PRIVILEGE_ID) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX SEC.IX_DRP_PRIVILEGE ON SEC.DUTY_ROLE_PRIVILEGES (PRIVILEGE_ID)',
+  `CREATE TABLE SEC.DUTY_ROLE_INHERITANCE (
+    PARENT_DUTY_ROLE_ID  NUMBER NOT NULL,
+    CHILD_DUTY_ROLE_ID   NUMBER NOT NULL,
+    CREATED_BY           VARCHAR2(100),
+    CREATED_AT           TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_DUTY_ROLE_INHERITANCE PRIMARY KEY (PARENT_DUTY_ROLE_ID, CHILD_DUTY_ROLE_ID),
+    CONSTRAINT FK_DRI_PARENT FOREIGN KEY (PARENT_DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_DRI_CHILD FOREIGN KEY (CHILD_DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_DRI_NOT_SELF CHECK (PARENT_DUTY_ROLE_ID <> CHILD_DUTY_ROLE_ID)
+  )`,
+  'CREATE INDEX SEC.IX_DRI_CHILD ON SEC.DUTY_ROLE_INHERITANCE (CHILD_DUTY_ROLE_ID)',
+  `CREATE TABLE SEC.JOB_ROLES (
+    JOB_ROLE_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    JOB_ROLE_CODE  VARCHAR2(100) NOT NULL,
+    JOB_ROLE_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION    VARCHAR2(1000),
+    STATUS         VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY     VARCHAR2(100),
+    CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY     VARCHAR2(100),
+    UPDATED_AT     TIMESTAMP,
+    CONSTRAINT UQ_JOB_ROLES_CODE UNIQUE (JOB_ROLE_CODE),
+    CONSTRAINT CK_JOB_ROLES_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  `CREATE TABLE SEC.JOB_ROLE_DUTY_ROLES (
+    JOB_ROLE_ID   NUMBER NOT NULL,
+    DUTY_ROLE_ID  NUMBER NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_JOB_ROLE_DUTY_ROLES PRIMARY KEY (JOB_ROLE_ID, DUTY_ROLE_ID),
+    CONSTRAINT FK_JRDR_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_JRDR_DUTY_ROLE FOREIGN KEY (DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX SEC.IX_JRDR_DUTY_ROLE ON SEC.JOB_ROLE_DUTY_ROLES (DUTY_ROLE_ID)',
+  `CREATE TABLE SEC.JOB_ROLE_INHERITANCE (
+    PARENT_JOB_ROLE_ID  NUMBER NOT NULL,
+    CHILD_JOB_ROLE_ID   NUMBER NOT NULL,
+    CREATED_BY          VARCHAR2(100),
+    CREATED_AT          TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_JOB_ROLE_INHERITANCE PRIMARY KEY (PARENT_JOB_ROLE_ID, CHILD_JOB_ROLE_ID),
+    CONSTRAINT FK_JRI_PARENT FOREIGN KEY (PARENT_JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_JRI_CHILD FOREIGN KEY (CHILD_JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_JRI_NOT_SELF CHECK (PARENT_JOB_ROLE_ID <> CHILD_JOB_ROLE_ID)
+  )`,
+  'CREATE INDEX SEC.IX_JRI_CHILD ON SEC.JOB_ROLE_INHERITANCE (CHILD_JOB_ROLE_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.JOB_ROLE_INHERITANCE PURGE',
+  'DROP TABLE SEC.JOB_ROLE_DUTY_ROLES PURGE',
+  'DROP TABLE SEC.JOB_ROLES PURGE',
+  'DROP TABLE SEC.DUTY_ROLE_INHERITANCE PURGE',
+  'DROP TABLE SEC.DUTY_ROLE_PRIVILEGES PURGE',
+  'DROP TABLE SEC.DUTY_ROLES PURGE'
+];
@@ -0,0 +1,42 @@
+/**
+ * Users and their time-bound job role assignments.
+ */
+export const up = [
+  `CREATE TABLE SEC.USERS (
+    USER_ID        NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    USERNAME       VARCHAR2(100) NOT NULL,
+    EMAIL          VARCHAR2(255),
+    FULL_NAME      VARCHAR2(200),
+    PASSWORD_HASH  VARCHAR2(255),
+    STATUS         VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY     VARCHAR2(100),
+    CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY     VARCHAR2(100),
+    UPDATED_AT     TIMESTAMP,
+    CONSTRAINT UQ_USERS_USERNAME UNIQUE (USERNAME),
+    CONSTRAINT CK_USERS_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE', 'LOCKED'))
+  )`,
+  `CREATE TABLE SEC.USER_JOB_ROLES (
+    USER_JOB_ROLE_ID  NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    USER_ID           NUMBER NOT NULL,
+    JOB_ROLE_ID       NUMBER NOT NULL,
+    START_DATE        TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    END_DATE          TIMESTAMP,
+    CREATED_BY        VARCHAR2(100),
+    CREATED_AT        TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY        VARCHAR2(100),
+    UPDATED_AT        TIMESTAMP,
+    CONSTRAINT FK_UJR_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_UJR_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_UJR_DATES CHECK (END_DATE IS NULL OR END_DATE > START_DATE)
+  )`,
+  'CREATE INDEX SEC.IX_UJR_USER ON SEC.USER_JOB_ROLES (USER_ID)',
+  'CREATE INDEX SEC.IX_UJR_JOB_ROLE ON SEC.USER_JOB_ROLES (JOB_ROLE_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.USER_JOB_ROLES PURGE',
+  'DROP TABLE SEC.USERS PURGE'
+];
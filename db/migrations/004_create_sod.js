@@ -0,0 +1,43 @@
+/**
+ * Segregation-of-duties rules and the warnings recorded for WARN rules.
+ * Rule sides and matched privileges are JSON arrays of PRIVILEGE_IDs.
+ */
+export const up = [
+  `CREATE TABLE SEC.SOD_RULES (
+    SOD_RULE_ID        NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    RULE_CODE          VARCHAR2(100) NOT NULL,
+    RULE_NAME          VARCHAR2(200) NOT NULL,
+    DESCRIPTION        VARCHAR2(1000),
+    MODULE_ID          NUMBER,
+    SIDE_A_PRIVILEGES  VARCHAR2(4000) NOT NULL,
+    SIDE_B_PRIVILEGES  VARCHAR2(4000) NOT NULL,
+    SEVERITY           VARCHAR2(10) DEFAULT 'BLOCK' NOT NULL,
+    STATUS             VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY         VARCHAR2(100),
+    CREATED_AT         TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY         VARCHAR2(100),
+    UPDATED_AT         TIMESTAMP,
+    CONSTRAINT UQ_SOD_RULES_CODE UNIQUE (RULE_CODE),
+    CONSTRAINT FK_SOD_RULES_MODULE FOREIGN KEY (MODULE_ID)
+      REFERENCES SEC.MODULES (MODULE_ID),
+    CONSTRAINT CK_SOD_RULES_SEVERITY CHECK (SEVERITY IN ('BLOCK', 'WARN')),
+    CONSTRAINT CK_SOD_RULES_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  `CREATE TABLE SEC.SOD_WARNINGS (
+    WARNING_ID          NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    SOD_RULE_ID         NUMBER NOT NULL,
+    ENTITY_TYPE         VARCHAR2(30) NOT NULL,
+    ENTITY_ID           NUMBER NOT NULL,
+    MATCHED_PRIVILEGES  VARCHAR2(4000),
+    CREATED_BY          VARCHAR2(100),
+    CREATED_AT          TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT FK_SOD_WARNINGS_RULE FOREIGN KEY (SOD_RULE_ID)
+      REFERENCES SEC.SOD_RULES (SOD_RULE_ID) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX SEC.IX_SOD_WARNINGS_ENTITY ON SEC.SOD_WARNINGS (ENTITY_TYPE, ENTITY_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.SOD_WARNINGS PURGE',
+  'DROP TABLE SEC.SOD_RULES PURGE'
+];
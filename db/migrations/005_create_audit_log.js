@@ -0,0 +1,24 @@
+/**
+ * Change history of the security model: one row per change with JSON
+ * before / after images of the entity.
+ */
+export const up = [
+  `CREATE TABLE SEC.AUDIT_LOG (
+    AUDIT_ID      NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    ENTITY_TYPE   VARCHAR2(30) NOT NULL,
+    ENTITY_ID     NUMBER NOT NULL,
+    ACTION        VARCHAR2(30) NOT NULL,
+    ACTOR         VARCHAR2(100) NOT NULL,
+    CHANGED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    BEFORE_IMAGE  CLOB,
+    AFTER_IMAGE   CLOB,
+    CONSTRAINT CK_AUDIT_LOG_BEFORE_JSON CHECK (BEFORE_IMAGE IS JSON),
+    CONSTRAINT CK_AUDIT_LOG_AFTER_JSON CHECK (AFTER_IMAGE IS JSON)
+  )`,
+  'CREATE INDEX SEC.IX_AUDIT_LOG_ENTITY ON SEC.AUDIT_LOG (ENTITY_TYPE, ENTITY_ID, CHANGED_AT)',
+  'CREATE INDEX SEC.IX_AUDIT_LOG_CHANGED_AT ON SEC.AUDIT_LOG (CHANGED_AT)'
+];
+
+export const down = [
+  'DROP TABLE SEC.AUDIT_LOG PURGE'
+];
@@ -0,0 +1,58 @@
+/**
+ * Data roles: a job role combined with data-security scopes (business units,
+ * ledgers, inventory orgs), and their time-bound assignment to users.
+ */
+export const up = [
+  `CREATE TABLE SEC.DATA_ROLES (
+    DATA_ROLE_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    DATA_ROLE_CODE  VARCHAR2(100) NOT NULL,
+    DATA_ROLE_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION     VARCHAR2(1000),
+    JOB_ROLE_ID     NUMBER NOT NULL,
+    STATUS          VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY      VARCHAR2(100),
+    CREATED_AT      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY      VARCHAR2(100),
+    UPDATED_AT      TIMESTAMP,
+    CONSTRAINT UQ_DATA_ROLES_CODE UNIQUE (DATA_ROLE_CODE),
+    CONSTRAINT FK_DATA_ROLES_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID),
+    CONSTRAINT CK_DATA_ROLES_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  'CREATE INDEX SEC.IX_DATA_ROLES_JOB_ROLE ON SEC.DATA_ROLES (JOB_ROLE_ID)',
+  `CREATE TABLE SEC.DATA_ROLE_SCOPES (
+    DATA_ROLE_ID  NUMBER NOT NULL,
+    SCOPE_TYPE    VARCHAR2(30) NOT NULL,
+    SCOPE_VALUE   VARCHAR2(100) NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_DATA_ROLE_SCOPES PRIMARY KEY (DATA_ROLE_ID, SCOPE_TYPE, SCOPE_VALUE),
+    CONSTRAINT FK_DRS_DATA_ROLE FOREIGN KEY (DATA_ROLE_ID)
+      REFERENCES SEC.DATA_ROLES (DATA_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_DRS_SCOPE_TYPE CHECK (SCOPE_TYPE IN ('BUSINESS_UNIT', 'LEDGER', 'INVENTORY_ORG'))
+  )`,
+  `CREATE TABLE SEC.USER_DATA_ROLES (
+    USER_DATA_ROLE_ID  NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    USER_ID            NUMBER NOT NULL,
+    DATA_ROLE_ID       NUMBER NOT NULL,
+    START_DATE         TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    END_DATE           TIMESTAMP,
+    CREATED_BY         VARCHAR2(100),
+    CREATED_AT         TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY         VARCHAR2(100),
+    UPDATED_AT         TIMESTAMP,
+    CONSTRAINT FK_UDR_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_UDR_DATA_ROLE FOREIGN KEY (DATA_ROLE_ID)
+      REFERENCES SEC.DATA_ROLES (DATA_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_UDR_DATES CHECK (END_DATE IS NULL OR END_DATE > START_DATE)
+  )`,
+  'CREATE INDEX SEC.IX_UDR_USER ON SEC.USER_DATA_ROLES (USER_ID)',
+  'CREATE INDEX SEC.IX_UDR_DATA_ROLE ON SEC.USER_DATA_ROLES (DATA_ROLE_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.USER_DATA_ROLES PURGE',
+  'DROP TABLE SEC.DATA_ROLE_SCOPES PURGE',
+  'DROP TABLE SEC.DATA_ROLES PURGE'
+];
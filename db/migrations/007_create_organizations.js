@@ -0,0 +1,30 @@
+/**
+ * Organization structure: business units, legal entities and ledgers as one
+ * tree of org nodes that data security can be scoped against.
+ */
+export const up = [
+  `CREATE TABLE SEC.ORGANIZATIONS (
+    ORG_ID         NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    ORG_CODE       VARCHAR2(100) NOT NULL,
+    ORG_NAME       VARCHAR2(200) NOT NULL,
+    ORG_TYPE       VARCHAR2(30) NOT NULL,
+    PARENT_ORG_ID  NUMBER,
+    DESCRIPTION    VARCHAR2(1000),
+    STATUS         VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY     VARCHAR2(100),
+    CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY     VARCHAR2(100),
+    UPDATED_AT     TIMESTAMP,
+    CONSTRAINT UQ_ORGANIZATIONS_CODE UNIQUE (ORG_CODE),
+    CONSTRAINT FK_ORGANIZATIONS_PARENT FOREIGN KEY (PARENT_ORG_ID)
+      REFERENCES SEC.ORGANIZATIONS (ORG_ID),
+    CONSTRAINT CK_ORGANIZATIONS_TYPE CHECK (ORG_TYPE IN ('BUSINESS_UNIT', 'LEGAL_ENTITY', 'LEDGER')),
+    CONSTRAINT CK_ORGANIZATIONS_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  'CREATE INDEX SEC.IX_ORGANIZATIONS_PARENT ON SEC.ORGANIZATIONS (PARENT_ORG_ID)',
+  'CREATE INDEX SEC.IX_ORGANIZATIONS_TYPE ON SEC.ORGANIZATIONS (ORG_TYPE)'
+];
+
+export const down = [
+  'DROP TABLE SEC.ORGANIZATIONS PURGE'
+];
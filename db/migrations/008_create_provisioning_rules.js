@@ -0,0 +1,52 @@
+/**
+ * Rule-based provisioning: HR attributes on users, rules mapping attribute
+ * values to job roles, and the source of each job role assignment (granted by
+ * hand or by a rule) so re-evaluation only revokes what the rules granted.
+ */
+export const up = [
+  'ALTER TABLE SEC.USERS ADD DEPARTMENT VARCHAR2(100)',
+  'ALTER TABLE SEC.USERS ADD LOCATION VARCHAR2(100)',
+  'ALTER TABLE SEC.USERS ADD JOB_CODE VARCHAR2(100)',
+  'ALTER TABLE SEC.USERS ADD GRADE VARCHAR2(30)',
+  `CREATE TABLE SEC.PROVISIONING_RULES (
+    RULE_ID      NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    RULE_CODE    VARCHAR2(100) NOT NULL,
+    RULE_NAME    VARCHAR2(200) NOT NULL,
+    DESCRIPTION  VARCHAR2(1000),
+    JOB_ROLE_ID  NUMBER NOT NULL,
+    STATUS       VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY   VARCHAR2(100),
+    CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY   VARCHAR2(100),
+    UPDATED_AT   TIMESTAMP,
+    CONSTRAINT UQ_PROVISIONING_RULES_CODE UNIQUE (RULE_CODE),
+    CONSTRAINT FK_PROVISIONING_RULES_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_PROVISIONING_RULES_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`,
+  'CREATE INDEX SEC.IX_PROVISIONING_RULES_JOB_ROLE ON SEC.PROVISIONING_RULES (JOB_ROLE_ID)',
+  `CREATE TABLE SEC.PROVISIONING_RULE_CONDITIONS (
+    RULE_ID          NUMBER NOT NULL,
+    ATTRIBUTE_NAME   VARCHAR2(30) NOT NULL,
+    ATTRIBUTE_VALUE  VARCHAR2(100) NOT NULL,
+    CONSTRAINT PK_PROVISIONING_RULE_CONDITIONS PRIMARY KEY (RULE_ID, ATTRIBUTE_NAME, ATTRIBUTE_VALUE),
+    CONSTRAINT FK_PRC_RULE FOREIGN KEY (RULE_ID)
+      REFERENCES SEC.PROVISIONING_RULES (RULE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_PRC_ATTRIBUTE CHECK (ATTRIBUTE_NAME IN ('DEPARTMENT', 'LOCATION', 'JOB_CODE', 'GRADE'))
+  )`,
+  `ALTER TABLE SEC.USER_JOB_ROLES ADD ASSIGNMENT_SOURCE VARCHAR2(20) DEFAULT 'MANUAL' NOT NULL
+    CONSTRAINT CK_UJR_SOURCE CHECK (ASSIGNMENT_SOURCE IN ('MANUAL', 'RULE'))`,
+  `ALTER TABLE SEC.USER_JOB_ROLES ADD PROVISIONING_RULE_ID NUMBER
+    CONSTRAINT FK_UJR_PROVISIONING_RULE REFERENCES SEC.PROVISIONING_RULES (RULE_ID) ON DELETE SET NULL`
+];
+
+export const down = [
+  'ALTER TABLE SEC.USER_JOB_ROLES DROP COLUMN PROVISIONING_RULE_ID',
+  'ALTER TABLE SEC.USER_JOB_ROLES DROP COLUMN ASSIGNMENT_SOURCE',
+  'DROP TABLE SEC.PROVISIONING_RULE_CONDITIONS PURGE',
+  'DROP TABLE SEC.PROVISIONING_RULES PURGE',
+  'ALTER TABLE SEC.USERS DROP COLUMN GRADE',
+  'ALTER TABLE SEC.USERS DROP COLUMN JOB_CODE',
+  'ALTER TABLE SEC.USERS DROP COLUMN LOCATION',
+  'ALTER TABLE SEC.USERS DROP COLUMN DEPARTMENT'
+];
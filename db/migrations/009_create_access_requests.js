@@ -0,0 +1,58 @@
+/**
+ * Self-service access requests: the approvers (job role owner, user's manager),
+ * the requests with the approval chain they were submitted under, and the
+ * status history of every request.
+ */
+export const up = [
+  `ALTER TABLE SEC.USERS ADD MANAGER_USER_ID NUMBER
+    CONSTRAINT FK_USERS_MANAGER REFERENCES SEC.USERS (USER_ID) ON DELETE SET NULL`,
+  `ALTER TABLE SEC.JOB_ROLES ADD OWNER_USER_ID NUMBER
+    CONSTRAINT FK_JOB_ROLES_OWNER REFERENCES SEC.USERS (USER_ID) ON DELETE SET NULL`,
+  `CREATE TABLE SEC.ACCESS_REQUESTS (
+    REQUEST_ID        NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    USER_ID           NUMBER NOT NULL,
+    JOB_ROLE_ID       NUMBER NOT NULL,
+    JUSTIFICATION     VARCHAR2(1000),
+    APPROVAL_CHAIN    VARCHAR2(100) NOT NULL,
+    CURRENT_STEP      VARCHAR2(20),
+    STATUS            VARCHAR2(20) DEFAULT 'PENDING' NOT NULL,
+    USER_JOB_ROLE_ID  NUMBER,
+    CREATED_BY        VARCHAR2(100),
+    CREATED_AT        TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY        VARCHAR2(100),
+    UPDATED_AT        TIMESTAMP,
+    CONSTRAINT FK_ACCESS_REQUESTS_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_ACCESS_REQUESTS_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_ACCESS_REQUESTS_GRANT FOREIGN KEY (USER_JOB_ROLE_ID)
+      REFERENCES SEC.USER_JOB_ROLES (USER_JOB_ROLE_ID) ON DELETE SET NULL,
+    CONSTRAINT CK_ACCESS_REQUESTS_STATUS CHECK (STATUS IN ('PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN')),
+    CONSTRAINT CK_ACCESS_REQUESTS_STEP CHECK (CURRENT_STEP IN ('ROLE_OWNER', 'MANAGER', 'SECURITY'))
+  )`,
+  'CREATE INDEX SEC.IX_ACCESS_REQUESTS_USER ON SEC.ACCESS_REQUESTS (USER_ID)',
+  'CREATE INDEX SEC.IX_ACCESS_REQUESTS_JOB_ROLE ON SEC.ACCESS_REQUESTS (JOB_ROLE_ID)',
+  'CREATE INDEX SEC.IX_ACCESS_REQUESTS_STATUS ON SEC.ACCESS_REQUESTS (STATUS, CURRENT_STEP)',
+  `CREATE TABLE SEC.ACCESS_REQUEST_HISTORY (
+    HISTORY_ID   NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    REQUEST_ID   NUMBER NOT NULL,
+    ACTION       VARCHAR2(20) NOT NULL,
+    STEP         VARCHAR2(20),
+    FROM_STATUS  VARCHAR2(20),
+    TO_STATUS    VARCHAR2(20) NOT NULL,
+    COMMENTS     VARCHAR2(1000),
+    ACTOR        VARCHAR2(100) NOT NULL,
+    CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT FK_ARH_REQUEST FOREIGN KEY (REQUEST_ID)
+      REFERENCES SEC.ACCESS_REQUESTS (REQUEST_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_ARH_ACTION CHECK (ACTION IN ('SUBMIT', 'APPROVE', 'REJECT', 'WITHDRAW'))
+  )`,
+  'CREATE INDEX SEC.IX_ARH_REQUEST ON SEC.ACCESS_REQUEST_HISTORY (REQUEST_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.ACCESS_REQUEST_HISTORY PURGE',
+  'DROP TABLE SEC.ACCESS_REQUESTS PURGE',
+  'ALTER TABLE SEC.JOB_ROLES DROP COLUMN OWNER_USER_ID',
+  'ALTER TABLE SEC.USERS DROP COLUMN MANAGER_USER_ID'
+];
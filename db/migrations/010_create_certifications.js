@@ -0,0 +1,73 @@
+/**
+ * Access certification campaigns: the job roles or modules a campaign reviews,
+ * and one line item per user job role assignment in scope. Line items keep a
+ * copy of what was reviewed (username, job role, duty roles) so the evidence
+ * survives later changes to users and roles.
+ */
+export const up = [
+  `CREATE TABLE SEC.CERTIFICATION_CAMPAIGNS (
+    CAMPAIGN_ID    NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    CAMPAIGN_CODE  VARCHAR2(100) NOT NULL,
+    CAMPAIGN_NAME  VARCHAR2(200) NOT NULL,
+    DESCRIPTION    VARCHAR2(1000),
+    SCOPE_TYPE     VARCHAR2(20) NOT NULL,
+    DUE_DATE       TIMESTAMP,
+    STATUS         VARCHAR2(20) DEFAULT 'OPEN' NOT NULL,
+    CLOSED_BY      VARCHAR2(100),
+    CLOSED_AT      TIMESTAMP,
+    CREATED_BY     VARCHAR2(100),
+    CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY     VARCHAR2(100),
+    UPDATED_AT     TIMESTAMP,
+    CONSTRAINT UQ_CERTIFICATION_CAMPAIGNS_CODE UNIQUE (CAMPAIGN_CODE),
+    CONSTRAINT CK_CERTIFICATION_CAMPAIGNS_SCOPE CHECK (SCOPE_TYPE IN ('JOB_ROLE', 'MODULE')),
+    CONSTRAINT CK_CERTIFICATION_CAMPAIGNS_STATUS CHECK (STATUS IN ('OPEN', 'CLOSED'))
+  )`,
+  `CREATE TABLE SEC.CERTIFICATION_CAMPAIGN_SCOPES (
+    CAMPAIGN_ID  NUMBER NOT NULL,
+    SCOPE_ID     NUMBER NOT NULL,
+    SCOPE_CODE   VARCHAR2(100) NOT NULL,
+    CONSTRAINT PK_CERTIFICATION_CAMPAIGN_SCOPES PRIMARY KEY (CAMPAIGN_ID, SCOPE_ID),
+    CONSTRAINT FK_CCS_CAMPAIGN FOREIGN KEY (CAMPAIGN_ID)
+      REFERENCES SEC.CERTIFICATION_CAMPAIGNS (CAMPAIGN_ID) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE SEC.CERTIFICATION_ITEMS (
+    ITEM_ID                NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    CAMPAIGN_ID            NUMBER NOT NULL,
+    USER_ID                NUMBER,
+    USERNAME               VARCHAR2(100) NOT NULL,
+    USER_JOB_ROLE_ID       NUMBER,
+    JOB_ROLE_ID            NUMBER,
+    JOB_ROLE_CODE          VARCHAR2(100) NOT NULL,
+    JOB_ROLE_NAME          VARCHAR2(200),
+    DUTY_ROLES             VARCHAR2(4000),
+    ASSIGNMENT_SOURCE      VARCHAR2(20),
+    ASSIGNMENT_START_DATE  TIMESTAMP,
+    REVIEWER_USER_ID       NUMBER,
+    DECISION               VARCHAR2(20) DEFAULT 'PENDING' NOT NULL,
+    DECISION_COMMENTS      VARCHAR2(1000),
+    DECIDED_BY             VARCHAR2(100),
+    DECIDED_AT             TIMESTAMP,
+    REVOKED_AT             TIMESTAMP,
+    CONSTRAINT FK_CI_CAMPAIGN FOREIGN KEY (CAMPAIGN_ID)
+      REFERENCES SEC.CERTIFICATION_CAMPAIGNS (CAMPAIGN_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_CI_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE SET NULL,
+    CONSTRAINT FK_CI_ASSIGNMENT FOREIGN KEY (USER_JOB_ROLE_ID)
+      REFERENCES SEC.USER_JOB_ROLES (USER_JOB_ROLE_ID) ON DELETE SET NULL,
+    CONSTRAINT FK_CI_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE SET NULL,
+    CONSTRAINT FK_CI_REVIEWER FOREIGN KEY (REVIEWER_USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE SET NULL,
+    CONSTRAINT CK_CI_DECISION CHECK (DECISION IN ('PENDING', 'CERTIFIED', 'REVOKED'))
+  )`,
+  'CREATE INDEX SEC.IX_CI_CAMPAIGN ON SEC.CERTIFICATION_ITEMS (CAMPAIGN_ID, DECISION)',
+  'CREATE INDEX SEC.IX_CI_REVIEWER ON SEC.CERTIFICATION_ITEMS (REVIEWER_USER_ID)',
+  'CREATE INDEX SEC.IX_CI_USER ON SEC.CERTIFICATION_ITEMS (USER_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.CERTIFICATION_ITEMS PURGE',
+  'DROP TABLE SEC.CERTIFICATION_CAMPAIGN_SCOPES PURGE',
+  'DROP TABLE SEC.CERTIFICATION_CAMPAIGNS PURGE'
+];
@@ -0,0 +1,26 @@
+/**
+ * Provisioning exclusions: job roles a certification revoked from a user, which
+ * rule evaluation must not grant to that user again. One row per user and job
+ * role, pointing at the line item that decided it.
+ */
+export const up = [
+  `CREATE TABLE SEC.PROVISIONING_EXCLUSIONS (
+    USER_ID                NUMBER NOT NULL,
+    JOB_ROLE_ID            NUMBER NOT NULL,
+    CERTIFICATION_ITEM_ID  NUMBER,
+    CREATED_BY             VARCHAR2(100),
+    CREATED_AT             TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_PROVISIONING_EXCLUSIONS PRIMARY KEY (USER_ID, JOB_ROLE_ID),
+    CONSTRAINT FK_PE_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_PE_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_PE_CERTIFICATION_ITEM FOREIGN KEY (CERTIFICATION_ITEM_ID)
+      REFERENCES SEC.CERTIFICATION_ITEMS (ITEM_ID) ON DELETE SET NULL
+  )`,
+  'CREATE INDEX SEC.IX_PE_JOB_ROLE ON SEC.PROVISIONING_EXCLUSIONS (JOB_ROLE_ID)'
+];
+
+export const down = [
+  'DROP TABLE SEC.PROVISIONING_EXCLUSIONS PURGE'
+];
@@ -0,0 +1,131 @@
+/**
+ * Keep access requests and their history when the user or the job role is
+ * deleted: the references become nullable (ON DELETE SET NULL), the request
+ * keeps a copy of the username and job role code, and history rows no longer
+ * cascade from their request. The tables are rebuilt, since a foreign key's
+ * delete rule cannot be altered in place.
+ */
+const REQUEST_COLUMNS = `REQUEST_ID, USER_ID, USERNAME, JOB_ROLE_ID, JOB_ROLE_CODE, JUSTIFICATION,
+    APPROVAL_CHAIN, CURRENT_STEP, STATUS, USER_JOB_ROLE_ID,
+    CREATED_BY, CREATED_AT, UPDATED_BY, UPDATED_AT`;
+
+const LEGACY_REQUEST_COLUMNS = `REQUEST_ID, USER_ID, JOB_ROLE_ID, JUSTIFICATION,
+    APPROVAL_CHAIN, CURRENT_STEP, STATUS, USER_JOB_ROLE_ID,
+    CREATED_BY, CREATED_AT, UPDATED_BY, UPDATED_AT`;
+
+const HISTORY_COLUMNS = 'HISTORY_ID, REQUEST_ID, ACTION, STEP, FROM_STATUS, TO_STATUS, COMMENTS, ACTOR, CREATED_AT';
+
+const historyTable = onDelete => `CREATE TABLE SEC.ACCESS_REQUEST_HISTORY (
+    HISTORY_ID   NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    REQUEST_ID   NUMBER NOT NULL,
+    ACTION       VARCHAR2(20) NOT NULL,
+    STEP         VARCHAR2(20),
+    FROM_STATUS  VARCHAR2(20),
+    TO_STATUS    VARCHAR2(20) NOT NULL,
+    COMMENTS     VARCHAR2(1000),
+    ACTOR        VARCHAR2(100) NOT NULL,
+    CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT FK_ARH_REQUEST FOREIGN KEY (REQUEST_ID)
+      REFERENCES SEC.ACCESS_REQUESTS (REQUEST_ID)${onDelete},
+    CONSTRAINT CK_ARH_ACTION CHECK (ACTION IN ('SUBMIT', 'APPROVE', 'REJECT', 'WITHDRAW'))
+  )`;
+
+// park the rows, drop the tables (freeing their constraint and index names)
+const saveAndDrop = [
+  'CREATE TABLE SEC.ACCESS_REQUESTS_SAVED AS SELECT * FROM SEC.ACCESS_REQUESTS',
+  'CREATE TABLE SEC.ACCESS_REQUEST_HISTORY_SAVED AS SELECT * FROM SEC.ACCESS_REQUEST_HISTORY',
+  'DROP TABLE SEC.ACCESS_REQUEST_HISTORY PURGE',
+  'DROP TABLE SEC.ACCESS_REQUESTS PURGE'
+];
+
+const requestIndexes = [
+  'CREATE INDEX SEC.IX_ACCESS_REQUESTS_USER ON SEC.ACCESS_REQUESTS (USER_ID)',
+  'CREATE INDEX SEC.IX_ACCESS_REQUESTS_JOB_ROLE ON SEC.ACCESS_REQUESTS (JOB_ROLE_ID)',
+  'CREATE INDEX SEC.IX_ACCESS_REQUESTS_STATUS ON SEC.ACCESS_REQUESTS (STATUS, CURRENT_STEP)'
+];
+
+// restore the history and continue both identities after the copied keys
+const restoreHistory = [
+  `INSERT INTO SEC.ACCESS_REQUEST_HISTORY (${HISTORY_COLUMNS})
+   SELECT ${HISTORY_COLUMNS}
+     FROM SEC.ACCESS_REQUEST_HISTORY_SAVED
+    WHERE REQUEST_ID IN (SELECT REQUEST_ID FROM SEC.ACCESS_REQUESTS)`,
+  'CREATE INDEX SEC.IX_ARH_REQUEST ON SEC.ACCESS_REQUEST_HISTORY (REQUEST_ID)',
+  'ALTER TABLE SEC.ACCESS_REQUESTS MODIFY REQUEST_ID GENERATED BY DEFAULT AS IDENTITY (START WITH LIMIT VALUE)',
+  'ALTER TABLE SEC.ACCESS_REQUEST_HISTORY MODIFY HISTORY_ID GENERATED BY DEFAULT AS IDENTITY (START WITH LIMIT VALUE)',
+  'DROP TABLE SEC.ACCESS_REQUEST_HISTORY_SAVED PURGE',
+  'DROP TABLE SEC.ACCESS_REQUESTS_SAVED PURGE'
+];
+
+export const up = [
+  ...saveAndDrop,
+  `CREATE TABLE SEC.ACCESS_REQUESTS (
+    REQUEST_ID        NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    USER_ID           NUMBER,
+    USERNAME          VARCHAR2(100) NOT NULL,
+    JOB_ROLE_ID       NUMBER,
+    JOB_ROLE_CODE     VARCHAR2(100) NOT NULL,
+    JUSTIFICATION     VARCHAR2(1000),
+    APPROVAL_CHAIN    VARCHAR2(100) NOT NULL,
+    CURRENT_STEP      VARCHAR2(20),
+    STATUS            VARCHAR2(20) DEFAULT 'PENDING' NOT NULL,
+    USER_JOB_ROLE_ID  NUMBER,
+    CREATED_BY        VARCHAR2(100),
+    CREATED_AT        TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY        VARCHAR2(100),
+    UPDATED_AT        TIMESTAMP,
+    CONSTRAINT FK_ACCESS_REQUESTS_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE SET NULL,
+    CONSTRAINT FK_ACCESS_REQUESTS_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE SET NULL,
+    CONSTRAINT FK_ACCESS_REQUESTS_GRANT FOREIGN KEY (USER_JOB_ROLE_ID)
+      REFERENCES SEC.USER_JOB_ROLES (USER_JOB_ROLE_ID) ON DELETE SET NULL,
+    CONSTRAINT CK_ACCESS_REQUESTS_STATUS CHECK (STATUS IN ('PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN')),
+    CONSTRAINT CK_ACCESS_REQUESTS_STEP CHECK (CURRENT_STEP IN ('ROLE_OWNER', 'MANAGER', 'SECURITY'))
+  )`,
+  ...requestIndexes,
+  `INSERT INTO SEC.ACCESS_REQUESTS (${REQUEST_COLUMNS})
+   SELECT AR.REQUEST_ID, AR.USER_ID, U.USERNAME, AR.JOB_ROLE_ID, JR.JOB_ROLE_CODE, AR.JUSTIFICATION,
+          AR.APPROVAL_CHAIN, AR.CURRENT_STEP, AR.STATUS, AR.USER_JOB_ROLE_ID,
+          AR.CREATED_BY, AR.CREATED_AT, AR.UPDATED_BY, AR.UPDATED_AT
+     FROM SEC.ACCESS_REQUESTS_SAVED AR
+     JOIN SEC.USERS U ON AR.USER_ID = U.USER_ID
+     JOIN SEC.JOB_ROLES JR ON AR.JOB_ROLE_ID = JR.JOB_ROLE_ID`,
+  historyTable(''),
+  ...restoreHistory
+];
+
+// requests whose user or job role is gone cannot be restored under the old constraints
+export const down = [
+  ...saveAndDrop,
+  `CREATE TABLE SEC.ACCESS_REQUESTS (
+    REQUEST_ID        NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    USER_ID           NUMBER NOT NULL,
+    JOB_ROLE_ID       NUMBER NOT NULL,
+    JUSTIFICATION     VARCHAR2(1000),
+    APPROVAL_CHAIN    VARCHAR2(100) NOT NULL,
+    CURRENT_STEP      VARCHAR2(20),
+    STATUS            VARCHAR2(20) DEFAULT 'PENDING' NOT NULL,
+    USER_JOB_ROLE_ID  NUMBER,
+    CREATED_BY        VARCHAR2(100),
+    CREATED_AT        TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY        VARCHAR2(100),
+    UPDATED_AT        TIMESTAMP,
+    CONSTRAINT FK_ACCESS_REQUESTS_USER FOREIGN KEY (USER_ID)
+      REFERENCES SEC.USERS (USER_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_ACCESS_REQUESTS_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_ACCESS_REQUESTS_GRANT FOREIGN KEY (USER_JOB_ROLE_ID)
+      REFERENCES SEC.USER_JOB_ROLES (USER_JOB_ROLE_ID) ON DELETE SET NULL,
+    CONSTRAINT CK_ACCESS_REQUESTS_STATUS CHECK (STATUS IN ('PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN')),
+    CONSTRAINT CK_ACCESS_REQUESTS_STEP CHECK (CURRENT_STEP IN ('ROLE_OWNER', 'MANAGER', 'SECURITY'))
+  )`,
+  ...requestIndexes,
+  `INSERT INTO SEC.ACCESS_REQUESTS (${LEGACY_REQUEST_COLUMNS})
+   SELECT ${LEGACY_REQUEST_COLUMNS}
+     FROM SEC.ACCESS_REQUESTS_SAVED
+    WHERE USER_ID IS NOT NULL
+      AND JOB_ROLE_ID IS NOT NULL`,
+  historyTable(' ON DELETE CASCADE'),
+  ...restoreHistory
+];
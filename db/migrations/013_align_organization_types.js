@@ -0,0 +1,75 @@
+/**
+ * One list of organization types for the org tree and data role scopes:
+ * organizations gain INVENTORY_ORG and data scopes gain LEGAL_ENTITY, so every
+ * scope can name an organization of its type. The tables are rebuilt, since a
+ * check constraint cannot be changed in place on every supported database.
+ */
+const organizationsTable = orgTypes => `CREATE TABLE SEC.ORGANIZATIONS (
+    ORG_ID         NUMBER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    ORG_CODE       VARCHAR2(100) NOT NULL,
+    ORG_NAME       VARCHAR2(200) NOT NULL,
+    ORG_TYPE       VARCHAR2(30) NOT NULL,
+    PARENT_ORG_ID  NUMBER,
+    DESCRIPTION    VARCHAR2(1000),
+    STATUS         VARCHAR2(20) DEFAULT 'ACTIVE' NOT NULL,
+    CREATED_BY     VARCHAR2(100),
+    CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    UPDATED_BY     VARCHAR2(100),
+    UPDATED_AT     TIMESTAMP,
+    CONSTRAINT UQ_ORGANIZATIONS_CODE UNIQUE (ORG_CODE),
+    CONSTRAINT FK_ORGANIZATIONS_PARENT FOREIGN KEY (PARENT_ORG_ID)
+      REFERENCES SEC.ORGANIZATIONS (ORG_ID),
+    CONSTRAINT CK_ORGANIZATIONS_TYPE CHECK (ORG_TYPE IN (${orgTypes})),
+    CONSTRAINT CK_ORGANIZATIONS_STATUS CHECK (STATUS IN ('ACTIVE', 'INACTIVE'))
+  )`;
+
+const scopesTable = scopeTypes => `CREATE TABLE SEC.DATA_ROLE_SCOPES (
+    DATA_ROLE_ID  NUMBER NOT NULL,
+    SCOPE_TYPE    VARCHAR2(30) NOT NULL,
+    SCOPE_VALUE   VARCHAR2(100) NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_DATA_ROLE_SCOPES PRIMARY KEY (DATA_ROLE_ID, SCOPE_TYPE, SCOPE_VALUE),
+    CONSTRAINT FK_DRS_DATA_ROLE FOREIGN KEY (DATA_ROLE_ID)
+      REFERENCES SEC.DATA_ROLES (DATA_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_DRS_SCOPE_TYPE CHECK (SCOPE_TYPE IN (${scopeTypes}))
+  )`;
+
+const ORGANIZATION_COLUMNS = `ORG_ID, ORG_CODE, ORG_NAME, ORG_TYPE, PARENT_ORG_ID, DESCRIPTION, STATUS,
+    CREATED_BY, CREATED_AT, UPDATED_BY, UPDATED_AT`;
+
+const SCOPE_COLUMNS = 'DATA_ROLE_ID, SCOPE_TYPE, SCOPE_VALUE, CREATED_BY, CREATED_AT';
+
+const rebuild = ({ orgTypes, scopeTypes }) => [
+  // park the rows, drop the tables (freeing their constraint and index names)
+  'CREATE TABLE SEC.ORGANIZATIONS_SAVED AS SELECT * FROM SEC.ORGANIZATIONS',
+  'CREATE TABLE SEC.DATA_ROLE_SCOPES_SAVED AS SELECT * FROM SEC.DATA_ROLE_SCOPES',
+  'DROP TABLE SEC.DATA_ROLE_SCOPES PURGE',
+  'DROP TABLE SEC.ORGANIZATIONS PURGE',
+  organizationsTable(orgTypes),
+  'CREATE INDEX SEC.IX_ORGANIZATIONS_PARENT ON SEC.ORGANIZATIONS (PARENT_ORG_ID)',
+  'CREATE INDEX SEC.IX_ORGANIZATIONS_TYPE ON SEC.ORGANIZATIONS (ORG_TYPE)',
+  `INSERT INTO SEC.ORGANIZATIONS (${ORGANIZATION_COLUMNS})
+   SELECT ${ORGANIZATION_COLUMNS}
+     FROM SEC.ORGANIZATIONS_SAVED
+    WHERE ORG_TYPE IN (${orgTypes})`,
+  'ALTER TABLE SEC.ORGANIZATIONS MODIFY ORG_ID GENERATED BY DEFAULT AS IDENTITY (START WITH LIMIT VALUE)',
+  scopesTable(scopeTypes),
+  `INSERT INTO SEC.DATA_ROLE_SCOPES (${SCOPE_COLUMNS})
+   SELECT ${SCOPE_COLUMNS}
+     FROM SEC.DATA_ROLE_SCOPES_SAVED
+    WHERE SCOPE_TYPE IN (${scopeTypes})`,
+  'DROP TABLE SEC.DATA_ROLE_SCOPES_SAVED PURGE',
+  'DROP TABLE SEC.ORGANIZATIONS_SAVED PURGE'
+];
+
+export const up = rebuild({
+  orgTypes: "'BUSINESS_UNIT', 'LEGAL_ENTITY', 'LEDGER', 'INVENTORY_ORG'",
+  scopeTypes: "'BUSINESS_UNIT', 'LEGAL_ENTITY', 'LEDGER', 'INVENTORY_ORG'"
+});
+
+// drops inventory orgs (refused while organizations sit under one) and legal entity scopes
+export const down = rebuild({
+  orgTypes: "'BUSINESS_UNIT', 'LEGAL_ENTITY', 'LEDGER'",
+  scopeTypes: "'BUSINESS_UNIT', 'LEDGER', 'INVENTORY_ORG'"
+});
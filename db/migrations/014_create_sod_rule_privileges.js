@@ -0,0 +1,49 @@
+/**
+ * SoD rule sides as a relationship table: one row per rule and privilege,
+ * SIDE 'A' or 'B', in place of the JSON arrays in SEC.SOD_RULES. A privilege
+ * sits on one side of a rule at most, and cannot be deleted while a rule uses
+ * it. IDs of privileges that no longer exist are dropped when the arrays are
+ * copied. The down migration restores the arrays as nullable columns.
+ */
+const copySide = side => `INSERT INTO SEC.SOD_RULE_PRIVILEGES (SOD_RULE_ID, SIDE, PRIVILEGE_ID, CREATED_BY, CREATED_AT)
+  SELECT DISTINCT R.SOD_RULE_ID, '${side}', J.VALUE, 'MIGRATION', SYSTIMESTAMP
+    FROM SEC.SOD_RULES R,
+         JSON_TABLE(R.SIDE_${side}_PRIVILEGES, '$[*]' COLUMNS (VALUE NUMBER PATH '$')) J
+   WHERE J.VALUE IN (SELECT PRIVILEGE_ID FROM SEC.FUNCTION_PRIVILEGES)`;
+
+const restoreSide = side => `UPDATE SEC.SOD_RULES
+     SET SIDE_${side}_PRIVILEGES = (
+           SELECT JSON_ARRAYAGG(P.PRIVILEGE_ID ORDER BY P.PRIVILEGE_ID)
+             FROM SEC.SOD_RULE_PRIVILEGES P
+            WHERE P.SOD_RULE_ID = SEC.SOD_RULES.SOD_RULE_ID
+              AND P.SIDE = '${side}'
+         )`;
+
+export const up = [
+  `CREATE TABLE SEC.SOD_RULE_PRIVILEGES (
+    SOD_RULE_ID   NUMBER NOT NULL,
+    SIDE          VARCHAR2(1) NOT NULL,
+    PRIVILEGE_ID  NUMBER NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_SOD_RULE_PRIVILEGES PRIMARY KEY (SOD_RULE_ID, PRIVILEGE_ID),
+    CONSTRAINT FK_SRP_RULE FOREIGN KEY (SOD_RULE_ID)
+      REFERENCES SEC.SOD_RULES (SOD_RULE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_SRP_PRIVILEGE FOREIGN KEY (PRIVILEGE_ID)
+      REFERENCES SEC.FUNCTION_PRIVILEGES (PRIVILEGE_ID),
+    CONSTRAINT CK_SRP_SIDE CHECK (SIDE IN ('A', 'B'))
+  )`,
+  'CREATE INDEX SEC.IX_SRP_PRIVILEGE ON SEC.SOD_RULE_PRIVILEGES (PRIVILEGE_ID)',
+  copySide('A'),
+  copySide('B'),
+  'ALTER TABLE SEC.SOD_RULES DROP COLUMN SIDE_A_PRIVILEGES',
+  'ALTER TABLE SEC.SOD_RULES DROP COLUMN SIDE_B_PRIVILEGES'
+];
+
+export const down = [
+  'ALTER TABLE SEC.SOD_RULES ADD SIDE_A_PRIVILEGES VARCHAR2(4000)',
+  'ALTER TABLE SEC.SOD_RULES ADD SIDE_B_PRIVILEGES VARCHAR2(4000)',
+  restoreSide('A'),
+  restoreSide('B'),
+  'DROP TABLE SEC.SOD_RULE_PRIVILEGES PURGE'
+];
@@ -0,0 +1,159 @@
+/**
+ * Schema migrations
+ *
+ * A migration is a module in db/migrations named NNN_description.js that
+ * exports `up` and `down` arrays of SQL statements. Applied versions are
+ * recorded in SEC.SCHEMA_MIGRATIONS.
+ *
+ * Oracle commits DDL implicitly, so a migration that fails halfway is not
+ * recorded and has to be cleaned up by hand before it is run again.
+ *
+ * Works on any connection with the oracledb interface; the CLI lives in
+ * db/migrate.js and the memory database driver applies the same files.
+ */
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath, pathToFileURL } from 'url';
+import oracledb from 'oracledb';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const CREATE_HISTORY_TABLE = `CREATE TABLE SEC.SCHEMA_MIGRATIONS (
+    VERSION     VARCHAR2(20) PRIMARY KEY,
+    NAME        VARCHAR2(200) NOT NULL,
+    APPLIED_BY  VARCHAR2(100) NOT NULL,
+    APPLIED_AT  TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL
+  )`;
+
+const appliedBy = process.env.MIGRATION_USER || os.userInfo().username || 'MIGRATION';
+
+/**
+ * Migration modules on disk, ordered by version
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort((a, b) => Number(a.match(MIGRATION_FILE)[1]) - Number(b.match(MIGRATION_FILE)[1]));
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    if (migrations.some(migration => Number(migration.version) === Number(version))) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (!Array.isArray(module.up) || !Array.isArray(module.down)) {
+      throw new Error(`Migration ${file} must export "up" and "down" statement arrays`);
+    }
+    migrations.push({ version, name, file, up: module.up, down: module.down });
+  }
+  return migrations;
+}
+
+/**
+ * Create the history table on first use, ignoring "name is already used by an
+ * existing object" (ORA-00955)
+ */
+export async function ensureHistoryTable(connection) {
+  try {
+    await connection.execute(CREATE_HISTORY_TABLE);
+  } catch (error) {
+    if (error.errorNum !== 955) throw error;
+  }
+}
+
+/**
+ * Applied migrations keyed by version
+ */
+export async function getApplied(connection) {
+  const result = await connection.execute(
+    'SELECT VERSION, NAME, APPLIED_BY, APPLIED_AT FROM SEC.SCHEMA_MIGRATIONS ORDER BY VERSION',
+    {},
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return new Map(result.rows.map(row => [row.VERSION, row]));
+}
+
+async function runStatements(connection, migration, statements) {
+  for (const [index, sql] of statements.entries()) {
+    try {
+      await connection.execute(sql);
+    } catch (error) {
+      throw new Error(
+        `${migration.file}, statement ${index + 1} of ${statements.length}: ${error.message}`
+      );
+    }
+  }
+}
+
+async function recordApplied(connection, migration) {
+  await connection.execute(
+    `INSERT INTO SEC.SCHEMA_MIGRATIONS (VERSION, NAME, APPLIED_BY, APPLIED_AT)
+     VALUES (:version, :name, :appliedBy, SYSTIMESTAMP)`,
+    { version: migration.version, name: migration.name, appliedBy },
+    { autoCommit: true }
+  );
+}
+
+async function removeApplied(connection, migration) {
+  await connection.execute(
+    'DELETE FROM SEC.SCHEMA_MIGRATIONS WHERE VERSION = :version',
+    { version: migration.version },
+    { autoCommit: true }
+  );
+}
+
+export async function migrateUp(connection, migrations, applied, log = console.log) {
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+  if (pending.length === 0) {
+    log('Schema is up to date.');
+    return;
+  }
+
+  for (const migration of pending) {
+    log(`Applying ${migration.version} ${migration.name}`);
+    await runStatements(connection, migration, migration.up);
+    await recordApplied(connection, migration);
+  }
+  log(`${pending.length} migration(s) applied.`);
+}
+
+export async function rollback(connection, migrations, applied, count, log = console.log) {
+  const targets = [...applied.keys()]
+    .sort((a, b) => Number(b) - Number(a))
+    .slice(0, count);
+  if (targets.length === 0) {
+    log('No migrations to roll back.');
+    return;
+  }
+
+  for (const version of targets) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is recorded as applied but its file is missing`);
+    }
+    log(`Rolling back ${migration.version} ${migration.name}`);
+    await runStatements(connection, migration, migration.down);
+    await removeApplied(connection, migration);
+  }
+  log(`${targets.length} migration(s) rolled back.`);
+}
+
+export async function baseline(connection, migrations, applied, version, log = console.log) {
+  if (!migrations.some(migration => Number(migration.version) === Number(version))) {
+    throw new Error(`Unknown migration version ${version}`);
+  }
+
+  const targets = migrations.filter(migration =>
+    Number(migration.version) <= Number(version) && !applied.has(migration.version)
+  );
+  for (const migration of targets) {
+    log(`Baselining ${migration.version} ${migration.name}`);
+    await recordApplied(connection, migration);
+  }
+  log(`${targets.length} migration(s) recorded without running.`);
+}
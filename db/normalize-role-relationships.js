@@ -0,0 +1,366 @@
+/**
+ * Normalize role relationships
+ *
+ * Moves the ID lists stored as JSON in VARCHAR columns into relationship tables:
+ *  - SEC.DUTY_ROLES.FUNCTION_PRIVILEGES                        → SEC.DUTY_ROLE_PRIVILEGES
+ *  - SEC.DUTY_ROLES.INHERITED_FROM_ROLES / INHERITED_CHILD_ROLES → SEC.DUTY_ROLE_INHERITANCE
+ *  - SEC.JOB_ROLES.DUTY_ROLES                                   → SEC.JOB_ROLE_DUTY_ROLES
+ *  - SEC.JOB_ROLES.INHERITED_FROM / INHERITED                   → SEC.JOB_ROLE_INHERITANCE
+ *
+ * Parent/child links were stored on both sides; the union of both sides is kept.
+ * Links to rows that no longer exist and self links are dropped and reported.
+ * Entries that are not IDs are reported too, and stop the conversion before
+ * anything is written, since dropping the legacy columns would lose them.
+ * The legacy columns are dropped afterwards unless --keep-legacy-columns is given.
+ *
+ * Usage:
+ *   node db/normalize-role-relationships.js [--dry-run] [--keep-legacy-columns]
+ */
+import oracledb from 'oracledb';
+import { createPool, getConnection, closePool } from '../config/db.js';
+import { parseIdList, splitIdList } from '../utils/stringUtils.js';
+
+const MIGRATED_BY = 'MIGRATION';
+
+// Keys the models wrote when a list held objects instead of plain IDs
+const PRIVILEGE_KEYS = ['privilege_id', 'PRIVILEGE_ID', 'privilegeId', 'id'];
+const DUTY_ROLE_KEYS = ['duty_role_id', 'DUTY_ROLE_ID', 'dutyRoleId', 'id'];
+const JOB_ROLE_KEYS = ['job_role_id', 'JOB_ROLE_ID', 'jobRoleId', 'id'];
+
+const LEGACY_COLUMNS = {
+  DUTY_ROLES: ['FUNCTION_PRIVILEGES', 'INHERITED_FROM_ROLES', 'INHERITED_CHILD_ROLES'],
+  JOB_ROLES: ['DUTY_ROLES', 'INHERITED_FROM', 'INHERITED']
+};
+
+const CREATE_TABLES = [
+  `CREATE TABLE SEC.DUTY_ROLE_PRIVILEGES (
+    DUTY_ROLE_ID  NUMBER NOT NULL,
+    PRIVILEGE_ID  NUMBER NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_DUTY_ROLE_PRIVILEGES PRIMARY KEY (DUTY_ROLE_ID, PRIVILEGE_ID),
+    CONSTRAINT FK_DRP_DUTY_ROLE FOREIGN KEY (DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_DRP_PRIVILEGE FOREIGN KEY (PRIVILEGE_ID)
+      REFERENCES SEC.FUNCTION_PRIVILEGES (PRIVILEGE_ID) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX SEC.IX_DRP_PRIVILEGE ON SEC.DUTY_ROLE_PRIVILEGES (PRIVILEGE_ID)',
+  `CREATE TABLE SEC.DUTY_ROLE_INHERITANCE (
+    PARENT_DUTY_ROLE_ID  NUMBER NOT NULL,
+    CHILD_DUTY_ROLE_ID   NUMBER NOT NULL,
+    CREATED_BY           VARCHAR2(100),
+    CREATED_AT           TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_DUTY_ROLE_INHERITANCE PRIMARY KEY (PARENT_DUTY_ROLE_ID, CHILD_DUTY_ROLE_ID),
+    CONSTRAINT FK_DRI_PARENT FOREIGN KEY (PARENT_DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_DRI_CHILD FOREIGN KEY (CHILD_DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_DRI_NOT_SELF CHECK (PARENT_DUTY_ROLE_ID <> CHILD_DUTY_ROLE_ID)
+  )`,
+  'CREATE INDEX SEC.IX_DRI_CHILD ON SEC.DUTY_ROLE_INHERITANCE (CHILD_DUTY_ROLE_ID)',
+  `CREATE TABLE SEC.JOB_ROLE_DUTY_ROLES (
+    JOB_ROLE_ID   NUMBER NOT NULL,
+    DUTY_ROLE_ID  NUMBER NOT NULL,
+    CREATED_BY    VARCHAR2(100),
+    CREATED_AT    TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_JOB_ROLE_DUTY_ROLES PRIMARY KEY (JOB_ROLE_ID, DUTY_ROLE_ID),
+    CONSTRAINT FK_JRDR_JOB_ROLE FOREIGN KEY (JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_JRDR_DUTY_ROLE FOREIGN KEY (DUTY_ROLE_ID)
+      REFERENCES SEC.DUTY_ROLES (DUTY_ROLE_ID) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX SEC.IX_JRDR_DUTY_ROLE ON SEC.JOB_ROLE_DUTY_ROLES (DUTY_ROLE_ID)',
+  `CREATE TABLE SEC.JOB_ROLE_INHERITANCE (
+    PARENT_JOB_ROLE_ID  NUMBER NOT NULL,
+    CHILD_JOB_ROLE_ID   NUMBER NOT NULL,
+    CREATED_BY          VARCHAR2(100),
+    CREATED_AT          TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+    CONSTRAINT PK_JOB_ROLE_INHERITANCE PRIMARY KEY (PARENT_JOB_ROLE_ID, CHILD_JOB_ROLE_ID),
+    CONSTRAINT FK_JRI_PARENT FOREIGN KEY (PARENT_JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT FK_JRI_CHILD FOREIGN KEY (CHILD_JOB_ROLE_ID)
+      REFERENCES SEC.JOB_ROLES (JOB_ROLE_ID) ON DELETE CASCADE,
+    CONSTRAINT CK_JRI_NOT_SELF CHECK (PARENT_JOB_ROLE_ID <> CHILD_JOB_ROLE_ID)
+  )`,
+  'CREATE INDEX SEC.IX_JRI_CHILD ON SEC.JOB_ROLE_INHERITANCE (CHILD_JOB_ROLE_ID)'
+];
+
+/**
+ * Run DDL, ignoring "name is already used by an existing object" (ORA-00955)
+ * so the script can be re-run after a partial failure.
+ */
+async function executeDdl(connection, sql) {
+  try {
+    await connection.execute(sql);
+  } catch (error) {
+    if (error.errorNum !== 955) throw error;
+  }
+}
+
+/**
+ * Legacy columns still present, per table
+ */
+async function findLegacyColumns(connection) {
+  const result = await connection.execute(
+    `SELECT TABLE_NAME, COLUMN_NAME
+       FROM ALL_TAB_COLUMNS
+      WHERE OWNER = 'SEC'
+        AND TABLE_NAME IN ('DUTY_ROLES', 'JOB_ROLES')`,
+    {},
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  const present = {};
+  for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+    present[table] = columns.filter(column =>
+      result.rows.some(row => row.TABLE_NAME === table && row.COLUMN_NAME === column)
+    );
+  }
+  return present;
+}
+
+async function selectIds(connection, sql) {
+  const result = await connection.execute(sql, {}, { outFormat: oracledb.OUT_FORMAT_ARRAY });
+  return new Set(result.rows.map(row => row[0]));
+}
+
+/**
+ * Parse one legacy list, keeping the entries that are not IDs
+ * @returns {{ids: Array<number>, unparsed: Array<*>}}
+ */
+function parseLegacyList(value, objectKeys) {
+  const ids = [];
+  const unparsed = [];
+  for (const entry of splitIdList(value)) {
+    const [id] = parseIdList([entry], objectKeys);
+    if (id === undefined) {
+      unparsed.push(entry);
+    } else {
+      ids.push(id);
+    }
+  }
+  return { ids, unparsed };
+}
+
+/**
+ * Collect the links of one relationship from the legacy rows.
+ * Two-sided lists (parent → children and child → parents) are merged.
+ * @returns {{links: Array<[number, number]>, dropped: Array<Object>, unparsed: Array<Object>}}
+ */
+function collectLinks(rows, { idColumn, ownList, reverseList, objectKeys, ownerIds, targetIds, selfLinks }) {
+  const links = new Map();
+  const dropped = [];
+  const unparsed = [];
+
+  const add = (ownerId, targetId, source) => {
+    if (!ownerIds.has(ownerId) || !targetIds.has(targetId)) {
+      dropped.push({ ownerId, targetId, source, reason: 'missing row' });
+      return;
+    }
+    if (!selfLinks && ownerId === targetId) {
+      dropped.push({ ownerId, targetId, source, reason: 'self link' });
+      return;
+    }
+    links.set(`${ownerId}:${targetId}`, [ownerId, targetId]);
+  };
+
+  const parse = (row, column) => {
+    const list = parseLegacyList(row[column], objectKeys);
+    for (const entry of list.unparsed) {
+      unparsed.push({ entry, source: `${idColumn} ${row[idColumn]}.${column}` });
+    }
+    return list.ids;
+  };
+
+  for (const row of rows) {
+    const id = row[idColumn];
+    for (const targetId of parse(row, ownList)) {
+      add(id, targetId, `${idColumn} ${id}.${ownList}`);
+    }
+    if (reverseList) {
+      // reverse side: this row lists the owners that point at it
+      for (const ownerId of parse(row, reverseList)) {
+        add(ownerId, id, `${idColumn} ${id}.${reverseList}`);
+      }
+    }
+  }
+
+  return { links: [...links.values()], dropped, unparsed };
+}
+
+async function insertLinks(connection, table, ownerColumn, targetColumn, links) {
+  if (links.length === 0) return;
+
+  await connection.executeMany(
+    `INSERT INTO ${table} (${ownerColumn}, ${targetColumn}, CREATED_BY, CREATED_AT)
+     SELECT :ownerId, :targetId, :createdBy, SYSTIMESTAMP
+       FROM DUAL
+      WHERE NOT EXISTS (
+              SELECT 1 FROM ${table}
+               WHERE ${ownerColumn} = :ownerId
+                 AND ${targetColumn} = :targetId
+            )`,
+    links.map(([ownerId, targetId]) => ({ ownerId, targetId, createdBy: MIGRATED_BY })),
+    { autoCommit: false }
+  );
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const keepLegacyColumns = process.argv.includes('--keep-legacy-columns');
+
+  await createPool();
+  const connection = await getConnection();
+
+  try {
+    const legacy = await findLegacyColumns(connection);
+    const missing = Object.entries(LEGACY_COLUMNS).flatMap(([table, columns]) =>
+      columns.filter(column => !legacy[table].includes(column)).map(column => `${table}.${column}`)
+    );
+
+    if (missing.length === Object.values(LEGACY_COLUMNS).flat().length) {
+      console.log('Legacy relationship columns are gone, nothing to migrate.');
+      return;
+    }
+    if (missing.length > 0) {
+      throw new Error(`Legacy columns partially dropped (${missing.join(', ')}), migrate manually.`);
+    }
+
+    const dutyRoles = await connection.execute(
+      `SELECT DUTY_ROLE_ID, FUNCTION_PRIVILEGES, INHERITED_FROM_ROLES, INHERITED_CHILD_ROLES
+         FROM SEC.DUTY_ROLES`,
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const jobRoles = await connection.execute(
+      `SELECT JOB_ROLE_ID, DUTY_ROLES, INHERITED_FROM, INHERITED
+         FROM SEC.JOB_ROLES`,
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const dutyRoleIds = await selectIds(connection, 'SELECT DUTY_ROLE_ID FROM SEC.DUTY_ROLES');
+    const jobRoleIds = await selectIds(connection, 'SELECT JOB_ROLE_ID FROM SEC.JOB_ROLES');
+    const privilegeIds = await selectIds(connection, 'SELECT PRIVILEGE_ID FROM SEC.FUNCTION_PRIVILEGES');
+
+    const relationships = [
+      {
+        table: 'SEC.DUTY_ROLE_PRIVILEGES',
+        ownerColumn: 'DUTY_ROLE_ID',
+        targetColumn: 'PRIVILEGE_ID',
+        ...collectLinks(dutyRoles.rows, {
+          idColumn: 'DUTY_ROLE_ID',
+          ownList: 'FUNCTION_PRIVILEGES',
+          objectKeys: PRIVILEGE_KEYS,
+          ownerIds: dutyRoleIds,
+          targetIds: privilegeIds,
+          selfLinks: true
+        })
+      },
+      {
+        // owner = parent, target = child
+        table: 'SEC.DUTY_ROLE_INHERITANCE',
+        ownerColumn: 'PARENT_DUTY_ROLE_ID',
+        targetColumn: 'CHILD_DUTY_ROLE_ID',
+        ...collectLinks(dutyRoles.rows, {
+          idColumn: 'DUTY_ROLE_ID',
+          ownList: 'INHERITED_CHILD_ROLES',
+          reverseList: 'INHERITED_FROM_ROLES',
+          objectKeys: DUTY_ROLE_KEYS,
+          ownerIds: dutyRoleIds,
+          targetIds: dutyRoleIds,
+          selfLinks: false
+        })
+      },
+      {
+        table: 'SEC.JOB_ROLE_DUTY_ROLES',
+        ownerColumn: 'JOB_ROLE_ID',
+        targetColumn: 'DUTY_ROLE_ID',
+        ...collectLinks(jobRoles.rows, {
+          idColumn: 'JOB_ROLE_ID',
+          ownList: 'DUTY_ROLES',
+          objectKeys: DUTY_ROLE_KEYS,
+          ownerIds: jobRoleIds,
+          targetIds: dutyRoleIds,
+          selfLinks: true
+        })
+      },
+      {
+        table: 'SEC.JOB_ROLE_INHERITANCE',
+        ownerColumn: 'PARENT_JOB_ROLE_ID',
+        targetColumn: 'CHILD_JOB_ROLE_ID',
+        ...collectLinks(jobRoles.rows, {
+          idColumn: 'JOB_ROLE_ID',
+          ownList: 'INHERITED',
+          reverseList: 'INHERITED_FROM',
+          objectKeys: JOB_ROLE_KEYS,
+          ownerIds: jobRoleIds,
+          targetIds: jobRoleIds,
+          selfLinks: false
+        })
+      }
+    ];
+
+    for (const relationship of relationships) {
+      console.log(`${relationship.table}: ${relationship.links.length} link(s)`);
+      for (const drop of relationship.dropped) {
+        console.log(`  skipped ${drop.ownerId} → ${drop.targetId} from ${drop.source} (${drop.reason})`);
+      }
+      for (const { entry, source } of relationship.unparsed) {
+        console.log(`  unparseable entry ${JSON.stringify(entry)} in ${source}`);
+      }
+    }
+
+    const unparsedCount = relationships.reduce((count, r) => count + r.unparsed.length, 0);
+
+    if (dryRun) {
+      if (unparsedCount > 0) {
+        console.log(`${unparsedCount} unparseable entr${unparsedCount === 1 ? 'y' : 'ies'}, fix them before converting.`);
+      }
+      console.log('Dry run, nothing written.');
+      return;
+    }
+
+    if (unparsedCount > 0) {
+      throw new Error(`${unparsedCount} unparseable entr${unparsedCount === 1 ? 'y' : 'ies'} in the legacy columns, fix them and re-run.`);
+    }
+
+    for (const sql of CREATE_TABLES) {
+      await executeDdl(connection, sql);
+    }
+
+    for (const relationship of relationships) {
+      await insertLinks(
+        connection,
+        relationship.table,
+        relationship.ownerColumn,
+        relationship.targetColumn,
+        relationship.links
+      );
+    }
+
+    await connection.commit();
+    console.log('Relationship tables populated.');
+
+    if (keepLegacyColumns) {
+      console.log('Legacy columns kept (--keep-legacy-columns).');
+      return;
+    }
+
+    for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+      await connection.execute(`ALTER TABLE SEC.${table} DROP (${columns.join(', ')})`);
+    }
+    console.log('Legacy columns dropped.');
+  } catch (error) {
+    try { await connection.rollback(); } catch (_) {}
+    throw error;
+  } finally {
+    await connection.close();
+    await closePool();
+  }
+}
+
+main().catch(error => {
+  console.error('Normalization failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,318 @@
+import { AccessRequestModel, APPROVAL_STEPS, REQUEST_STATUSES } from './model.js';
+import { AccessRequestView } from './view.js';
+import { callerHasPrivilege } from '../../middleware/authorize.js';
+import { parsePagination, createWriteErrorHandler } from '../../utils/controllerUtils.js';
+
+const SECURITY_PRIVILEGE = 'SEC_ACCESS_REQUESTS_MANAGE';
+
+// the model refuses requests with ValidationError, ForbiddenError or ConflictError
+const handleWriteError = createWriteErrorHandler(AccessRequestView);
+
+/**
+ * The caller as an approver: security approvers hold SEC_ACCESS_REQUESTS_MANAGE
+ * @param {Object} req - Express request object
+ * @returns {Promise<{userId:number, username:string, isSecurity:boolean}>}
+ */
+async function getApprover(req) {
+  return {
+    userId: req.user.userId,
+    username: req.user.username,
+    isSecurity: await callerHasPrivilege(req, SECURITY_PRIVILEGE)
+  };
+}
+
+/**
+ * Parse the :id route parameter, or answer 400
+ * @returns {number|null} - Request ID, or null when the response was sent
+ */
+function parseRequestId(req, res) {
+  const requestId = parseInt(req.params.id);
+
+  if (isNaN(requestId)) {
+    res.status(400).json(
+      AccessRequestView.formatErrorResponse('Invalid access request ID', 400)
+    );
+    return null;
+  }
+
+  return requestId;
+}
+
+/**
+ * Access Request Controller - Handles HTTP requests for self-service job role requests
+ */
+export class AccessRequestController {
+  /**
+   * List every access request (security administrators)
+   * @route GET /api/access-requests?page=1&limit=10&status=&userId=&jobRoleId=&step=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(AccessRequestView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {};
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (!REQUEST_STATUSES.includes(statusUpper)) {
+          return res.status(400).json(
+            AccessRequestView.formatErrorResponse(`status must be one of ${REQUEST_STATUSES.join(', ')}`, 400)
+          );
+        }
+        searchParams.status = statusUpper;
+      }
+
+      if (req.query.step) {
+        const stepUpper = req.query.step.toUpperCase();
+        if (!APPROVAL_STEPS.includes(stepUpper)) {
+          return res.status(400).json(
+            AccessRequestView.formatErrorResponse(`step must be one of ${APPROVAL_STEPS.join(', ')}`, 400)
+          );
+        }
+        searchParams.currentStep = stepUpper;
+      }
+
+      for (const key of ['userId', 'jobRoleId']) {
+        if (req.query[key] !== undefined) {
+          const id = parseInt(req.query[key]);
+          if (isNaN(id)) {
+            return res.status(400).json(
+              AccessRequestView.formatErrorResponse(`${key} must be an integer`, 400)
+            );
+          }
+          searchParams[key] = id;
+        }
+      }
+
+      const result = await AccessRequestModel.getAll(page, limit, searchParams);
+      res.json(AccessRequestView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        AccessRequestView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * List the caller's own access requests
+   * @route GET /api/access-requests/mine?page=1&limit=10
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMine(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(AccessRequestView.formatErrorResponse(error, 400));
+      }
+
+      const result = await AccessRequestModel.getAll(page, limit, { userId: req.user.userId });
+      res.json(AccessRequestView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        AccessRequestView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * List the pending requests waiting on the caller's approval
+   * @route GET /api/access-requests/approvals?page=1&limit=10
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getApprovals(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(AccessRequestView.formatErrorResponse(error, 400));
+      }
+
+      const result = await AccessRequestModel.getAll(page, limit, {
+        actionableBy: await getApprover(req)
+      });
+      res.json(AccessRequestView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        AccessRequestView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get an access request with its status history
+   * (the requester, its approvers and SEC_ACCESS_REQUESTS_VIEW holders)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const requestId = parseRequestId(req, res);
+      if (requestId === null) return;
+
+      const requestData = await AccessRequestModel.getById(requestId);
+
+      if (!requestData) {
+        return res.status(404).json(
+          AccessRequestView.formatErrorResponse('Access request not found', 404)
+        );
+      }
+
+      const { userId, username } = req.user;
+      const involved = [requestData.USER_ID, requestData.OWNER_USER_ID, requestData.MANAGER_USER_ID].includes(userId) ||
+        requestData.CREATED_BY === username;
+
+      if (!involved && !await callerHasPrivilege(req, 'SEC_ACCESS_REQUESTS_VIEW', SECURITY_PRIVILEGE)) {
+        return res.status(403).json(
+          AccessRequestView.formatErrorResponse(`Not allowed to view access request ${requestId}`, 403)
+        );
+      }
+
+      res.json(AccessRequestView.formatSingleResponse(requestData));
+    } catch (error) {
+      res.status(500).json(
+        AccessRequestView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Request a job role, for the caller or (security administrators) another user
+   * @body { jobRoleId, justification?, userId? }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { jobRoleId, justification } = req.body;
+      const userId = req.body.userId ?? req.user.userId;
+
+      if (!Number.isInteger(jobRoleId)) {
+        return res.status(400).json(
+          AccessRequestView.formatErrorResponse('jobRoleId is required and must be an integer', 400)
+        );
+      }
+
+      if (!Number.isInteger(userId)) {
+        return res.status(400).json(
+          AccessRequestView.formatErrorResponse('userId must be an integer', 400)
+        );
+      }
+
+      if (userId !== req.user.userId && !await callerHasPrivilege(req, SECURITY_PRIVILEGE)) {
+        return res.status(403).json(
+          AccessRequestView.formatErrorResponse(
+            `Requesting access for another user needs ${SECURITY_PRIVILEGE}`,
+            403
+          )
+        );
+      }
+
+      const requestData = await AccessRequestModel.create({
+        userId,
+        jobRoleId,
+        justification,
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(AccessRequestView.formatSingleResponse(requestData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Approve the current step of a request; the last step grants the job role
+   * @body { comments? }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async approve(req, res) {
+    try {
+      const requestId = parseRequestId(req, res);
+      if (requestId === null) return;
+
+      const requestData = await AccessRequestModel.approve(
+        requestId,
+        await getApprover(req),
+        req.body?.comments
+      );
+
+      if (!requestData) {
+        return res.status(404).json(
+          AccessRequestView.formatErrorResponse('Access request not found', 404)
+        );
+      }
+
+      res.json(AccessRequestView.formatSingleResponse(requestData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Reject a request at its current step
+   * @body { comments }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reject(req, res) {
+    try {
+      const requestId = parseRequestId(req, res);
+      if (requestId === null) return;
+
+      const comments = req.body?.comments;
+      if (!comments) {
+        return res.status(400).json(
+          AccessRequestView.formatErrorResponse('comments are required when rejecting a request', 400)
+        );
+      }
+
+      const requestData = await AccessRequestModel.reject(requestId, await getApprover(req), comments);
+
+      if (!requestData) {
+        return res.status(404).json(
+          AccessRequestView.formatErrorResponse('Access request not found', 404)
+        );
+      }
+
+      res.json(AccessRequestView.formatSingleResponse(requestData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Withdraw a pending request
+   * @body { comments? }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async withdraw(req, res) {
+    try {
+      const requestId = parseRequestId(req, res);
+      if (requestId === null) return;
+
+      const requestData = await AccessRequestModel.withdraw(
+        requestId,
+        { userId: req.user.userId, username: req.user.username },
+        req.body?.comments
+      );
+
+      if (!requestData) {
+        return res.status(404).json(
+          AccessRequestView.formatErrorResponse('Access request not found', 404)
+        );
+      }
+
+      res.json(AccessRequestView.formatSingleResponse(requestData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+}
@@ -0,0 +1,677 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { ProvisioningModel } from '../provisioning/model.js';
+import { ValidationError, ForbiddenError, ConflictError } from '../../utils/errors.js';
+
+/**
+ * Approval steps, in the order they run when the chain includes them
+ */
+export const APPROVAL_STEPS = ['ROLE_OWNER', 'MANAGER', 'SECURITY'];
+
+export const REQUEST_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN'];
+
+// the user and the job role may have been deleted since (see the copies on the request)
+const REQUEST_FROM = `
+  FROM SEC.ACCESS_REQUESTS AR
+  LEFT JOIN SEC.USERS U ON AR.USER_ID = U.USER_ID
+  LEFT JOIN SEC.JOB_ROLES JR ON AR.JOB_ROLE_ID = JR.JOB_ROLE_ID`;
+
+const REQUEST_COLUMNS = `
+  AR.*,
+  U.FULL_NAME,
+  U.MANAGER_USER_ID,
+  JR.JOB_ROLE_NAME,
+  JR.OWNER_USER_ID`;
+
+/**
+ * Access Request Model - Database operations for SEC.ACCESS_REQUESTS and
+ * SEC.ACCESS_REQUEST_HISTORY tables
+ *
+ * Important design:
+ *  - A user requests a job role; the request walks the approval chain one step at a
+ *    time and the job role is granted (SEC.USER_JOB_ROLES) when the last step approves.
+ *  - The chain comes from ACCESS_REQUEST_APPROVAL_CHAIN (default ROLE_OWNER,MANAGER,SECURITY)
+ *    and is stored on the request, so changing it does not affect requests in flight.
+ *  - Approvers: ROLE_OWNER = JOB_ROLES.OWNER_USER_ID, MANAGER = the requester's
+ *    USERS.MANAGER_USER_ID, SECURITY = holders of SEC_ACCESS_REQUESTS_MANAGE.
+ *    When a role has no owner or the user no manager (or it is the requester
+ *    themselves), security approves that step instead. Nobody approves their own request,
+ *    a request they submitted for someone else, or more than one step of a request.
+ *  - Every status change is written to SEC.ACCESS_REQUEST_HISTORY in the same transaction.
+ *  - Requests and their history outlive the user and the job role: the references are
+ *    set to NULL on delete and the request keeps a copy of USERNAME and JOB_ROLE_CODE.
+ *    Such a request can still be rejected or withdrawn, but no longer approved.
+ */
+export class AccessRequestModel {
+  /**
+   * Read the configured approval chain
+   * @returns {Array<string>} - Steps in approval order
+   */
+  static getApprovalChain() {
+    const steps = (process.env.ACCESS_REQUEST_APPROVAL_CHAIN || APPROVAL_STEPS.join(','))
+      .split(',')
+      .map(step => step.trim().toUpperCase())
+      .filter(Boolean);
+
+    const invalid = steps.filter(step => !APPROVAL_STEPS.includes(step));
+    if (steps.length === 0 || invalid.length > 0 || new Set(steps).size !== steps.length) {
+      throw new Error(
+        `Invalid ACCESS_REQUEST_APPROVAL_CHAIN "${process.env.ACCESS_REQUEST_APPROVAL_CHAIN}" (use distinct steps from: ${APPROVAL_STEPS.join(', ')})`
+      );
+    }
+
+    return steps;
+  }
+
+  /**
+   * Whether an approver may act on the current step of a request
+   * @param {Object} request - Request row (with OWNER_USER_ID, MANAGER_USER_ID and APPROVED_BY, see loadPending)
+   * @param {Object} approver - { userId, username, isSecurity }
+   * @returns {boolean}
+   */
+  static canAct(request, approver) {
+    if (request.STATUS !== 'PENDING' || request.USER_ID === approver.userId) {
+      return false;
+    }
+
+    // separation of duties: the submitter and earlier approvers do not decide again
+    if (request.CREATED_BY === approver.username || request.APPROVED_BY.includes(approver.username)) {
+      return false;
+    }
+
+    const assignee = {
+      ROLE_OWNER: request.OWNER_USER_ID,
+      MANAGER: request.MANAGER_USER_ID,
+      SECURITY: null
+    }[request.CURRENT_STEP];
+
+    if (assignee === null || assignee === undefined || assignee === request.USER_ID) {
+      return approver.isSecurity;
+    }
+
+    return assignee === approver.userId;
+  }
+
+  /**
+   * Get all access requests with pagination and filters
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {number} searchParams.userId - Filter by requester
+   * @param {number} searchParams.jobRoleId - Filter by requested job role
+   * @param {string} searchParams.status - Filter by STATUS
+   * @param {string} searchParams.currentStep - Filter by CURRENT_STEP
+   * @param {Object} searchParams.actionableBy - { userId, username, isSecurity }: pending requests this approver can act on
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.userId !== undefined && searchParams.userId !== null) {
+      conditions.push('AR.USER_ID = :userId');
+      searchBinds.userId = searchParams.userId;
+    }
+
+    if (searchParams.jobRoleId !== undefined && searchParams.jobRoleId !== null) {
+      conditions.push('AR.JOB_ROLE_ID = :jobRoleId');
+      searchBinds.jobRoleId = searchParams.jobRoleId;
+    }
+
+    if (searchParams.status) {
+      conditions.push('AR.STATUS = :status');
+      searchBinds.status = searchParams.status;
+    }
+
+    if (searchParams.currentStep) {
+      conditions.push('AR.CURRENT_STEP = :currentStep');
+      searchBinds.currentStep = searchParams.currentStep;
+    }
+
+    // same rules as canAct
+    if (searchParams.actionableBy) {
+      conditions.push(`(
+        AR.STATUS = 'PENDING'
+        AND AR.USER_ID <> :approverUserId
+        AND (AR.CREATED_BY IS NULL OR AR.CREATED_BY <> :approverUsername)
+        AND NOT EXISTS (
+          SELECT 1
+            FROM SEC.ACCESS_REQUEST_HISTORY H
+           WHERE H.REQUEST_ID = AR.REQUEST_ID
+             AND H.ACTION = 'APPROVE'
+             AND H.ACTOR = :approverUsername
+        )
+        AND (
+          (AR.CURRENT_STEP = 'ROLE_OWNER' AND (
+            JR.OWNER_USER_ID = :approverUserId
+            OR ((JR.OWNER_USER_ID IS NULL OR JR.OWNER_USER_ID = AR.USER_ID) AND :isSecurity = 1)))
+          OR (AR.CURRENT_STEP = 'MANAGER' AND (
+            U.MANAGER_USER_ID = :approverUserId
+            OR ((U.MANAGER_USER_ID IS NULL OR U.MANAGER_USER_ID = AR.USER_ID) AND :isSecurity = 1)))
+          OR (AR.CURRENT_STEP = 'SECURITY' AND :isSecurity = 1)
+        )
+      )`);
+      searchBinds.approverUserId = searchParams.actionableBy.userId;
+      searchBinds.approverUsername = searchParams.actionableBy.username;
+      searchBinds.isSecurity = searchParams.actionableBy.isSecurity ? 1 : 0;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total ${REQUEST_FROM} ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    // Activity counts - same filters but excluding status
+    const activityConditions = conditions.filter(c => !c.includes(':status'));
+    const activityBinds = { ...searchBinds };
+    delete activityBinds.status;
+
+    const activityResult = await executeQuery(
+      `SELECT AR.STATUS, COUNT(*) as total
+         ${REQUEST_FROM}
+         ${activityConditions.length > 0 ? `WHERE ${activityConditions.join(' AND ')}` : ''}
+        GROUP BY AR.STATUS`,
+      activityBinds
+    );
+    const activity = {};
+    for (const status of REQUEST_STATUSES) {
+      const row = activityResult.rows.find(r => r.STATUS === status);
+      activity[`total_${status.toLowerCase()}_value`] = row ? row.TOTAL : 0;
+    }
+
+    const dataResult = await executeQuery(
+      `SELECT ${REQUEST_COLUMNS}
+         ${REQUEST_FROM}
+         ${whereClause}
+        ORDER BY AR.REQUEST_ID
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: dataResult.rows,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      activity
+    };
+  }
+
+  /**
+   * Helper: fetch one request with its approvers (inside the caller's connection)
+   */
+  static async fetchRequest(execute, requestId) {
+    const result = await execute(
+      `SELECT ${REQUEST_COLUMNS}
+         ${REQUEST_FROM}
+        WHERE AR.REQUEST_ID = :requestId`,
+      { requestId }
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get access request by ID
+   * @param {number} requestId - Request ID
+   * @returns {Promise<Object|null>} - Request with HISTORY (oldest first), or null if not found
+   */
+  static async getById(requestId) {
+    const request = await this.fetchRequest(executeQuery, requestId);
+    if (!request) {
+      return null;
+    }
+
+    const history = await executeQuery(
+      `SELECT HISTORY_ID, ACTION, STEP, FROM_STATUS, TO_STATUS, COMMENTS, ACTOR, CREATED_AT
+         FROM SEC.ACCESS_REQUEST_HISTORY
+        WHERE REQUEST_ID = :requestId
+        ORDER BY HISTORY_ID`,
+      { requestId }
+    );
+
+    return { ...request, HISTORY: history.rows };
+  }
+
+  /**
+   * Helper: write one status history row (inside the caller's transaction)
+   */
+  static async recordHistory(connection, entry) {
+    await connection.execute(
+      `INSERT INTO SEC.ACCESS_REQUEST_HISTORY (
+        REQUEST_ID,
+        ACTION,
+        STEP,
+        FROM_STATUS,
+        TO_STATUS,
+        COMMENTS,
+        ACTOR,
+        CREATED_AT
+      ) VALUES (
+        :requestId,
+        :action,
+        :step,
+        :fromStatus,
+        :toStatus,
+        :comments,
+        :actor,
+        SYSTIMESTAMP
+      )`,
+      {
+        requestId: entry.requestId,
+        action: entry.action,
+        step: entry.step || null,
+        fromStatus: entry.fromStatus || null,
+        toStatus: entry.toStatus,
+        comments: entry.comments || null,
+        actor: entry.actor
+      },
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Submit an access request
+   * @param {Object} requestData - Request data
+   * @param {number} requestData.userId - User the job role is requested for
+   * @param {number} requestData.jobRoleId - Requested job role
+   * @param {string} requestData.justification - Business justification
+   * @param {string} requestData.createdBy - Username submitting the request
+   * @returns {Promise<Object>} - Created request (see getById)
+   */
+  static async create(requestData) {
+    const connection = await getConnection();
+    try {
+      const { userId, jobRoleId, justification, createdBy = 'SYSTEM' } = requestData;
+      const execute = (sql, binds = {}) =>
+        connection.execute(sql, binds, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+
+      const user = (await execute(
+        'SELECT USER_ID, USERNAME, STATUS FROM SEC.USERS WHERE USER_ID = :userId',
+        { userId }
+      )).rows[0];
+      if (!user) {
+        throw new ValidationError(`User ${userId} does not exist`);
+      }
+      if (user.STATUS !== 'ACTIVE') {
+        throw new ValidationError(`User ${user.USERNAME} is not active`);
+      }
+
+      const jobRole = (await execute(
+        'SELECT JOB_ROLE_ID, JOB_ROLE_CODE, STATUS FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID = :jobRoleId',
+        { jobRoleId }
+      )).rows[0];
+      if (!jobRole) {
+        throw new ValidationError(`Job role ${jobRoleId} does not exist`);
+      }
+      if (jobRole.STATUS !== 'ACTIVE') {
+        throw new ValidationError(`Job role ${jobRole.JOB_ROLE_CODE} is not active`);
+      }
+
+      const held = await execute(
+        `SELECT USER_JOB_ROLE_ID
+           FROM SEC.USER_JOB_ROLES
+          WHERE USER_ID = :userId
+            AND JOB_ROLE_ID = :jobRoleId
+            AND (END_DATE IS NULL OR END_DATE > SYSTIMESTAMP)`,
+        { userId, jobRoleId }
+      );
+      if (held.rows.length > 0) {
+        throw new ConflictError(`User ${user.USERNAME} already holds job role ${jobRole.JOB_ROLE_CODE}`);
+      }
+
+      const pending = await execute(
+        `SELECT REQUEST_ID
+           FROM SEC.ACCESS_REQUESTS
+          WHERE USER_ID = :userId
+            AND JOB_ROLE_ID = :jobRoleId
+            AND STATUS = 'PENDING'`,
+        { userId, jobRoleId }
+      );
+      if (pending.rows.length > 0) {
+        throw new ConflictError(
+          `Access request ${pending.rows[0].REQUEST_ID} for job role ${jobRole.JOB_ROLE_CODE} is already pending`
+        );
+      }
+
+      const approvalChain = this.getApprovalChain();
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.ACCESS_REQUESTS (
+          USER_ID,
+          USERNAME,
+          JOB_ROLE_ID,
+          JOB_ROLE_CODE,
+          JUSTIFICATION,
+          APPROVAL_CHAIN,
+          CURRENT_STEP,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :userId,
+          :username,
+          :jobRoleId,
+          :jobRoleCode,
+          :justification,
+          :approvalChain,
+          :currentStep,
+          'PENDING',
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING REQUEST_ID INTO :requestId`,
+        {
+          userId,
+          username: user.USERNAME,
+          jobRoleId,
+          jobRoleCode: jobRole.JOB_ROLE_CODE,
+          justification: justification || null,
+          approvalChain: approvalChain.join(','),
+          currentStep: approvalChain[0],
+          createdBy,
+          requestId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const requestId = result.outBinds.requestId[0];
+
+      await this.recordHistory(connection, {
+        requestId,
+        action: 'SUBMIT',
+        toStatus: 'PENDING',
+        comments: justification,
+        actor: createdBy
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(requestId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: grant the requested job role (inside the caller's transaction),
+   * audited like UserModel.assignJobRole
+   * @returns {Promise<number|null>} - USER_JOB_ROLE_ID, or null when the user already holds the role
+   */
+  static async grant(connection, request, actor) {
+    const held = await connection.execute(
+      `SELECT USER_JOB_ROLE_ID
+         FROM SEC.USER_JOB_ROLES
+        WHERE USER_ID = :userId
+          AND JOB_ROLE_ID = :jobRoleId
+          AND (END_DATE IS NULL OR END_DATE > SYSTIMESTAMP)`,
+      { userId: request.USER_ID, jobRoleId: request.JOB_ROLE_ID },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (held.rows.length > 0) {
+      return null;
+    }
+
+    const before = await AuditModel.snapshot(connection, 'USER', request.USER_ID);
+
+    const result = await connection.execute(
+      `INSERT INTO SEC.USER_JOB_ROLES (
+        USER_ID,
+        JOB_ROLE_ID,
+        START_DATE,
+        END_DATE,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :userId,
+        :jobRoleId,
+        :startDate,
+        NULL,
+        :createdBy,
+        SYSTIMESTAMP
+      )
+      RETURNING USER_JOB_ROLE_ID INTO :userJobRoleId`,
+      {
+        userId: request.USER_ID,
+        jobRoleId: request.JOB_ROLE_ID,
+        startDate: new Date(),
+        createdBy: actor,
+        userJobRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+      },
+      { autoCommit: false }
+    );
+
+    // an approved request overrides an earlier certification revocation
+    await ProvisioningModel.clearExclusion(connection, request.USER_ID, request.JOB_ROLE_ID);
+
+    await AuditModel.recordChange(connection, {
+      entityType: 'USER',
+      entityId: request.USER_ID,
+      action: 'ASSIGN_JOB_ROLE',
+      actor,
+      before
+    });
+
+    return result.outBinds.userJobRoleId[0];
+  }
+
+  /**
+   * Helper: move a pending request to its next state and record the history row
+   * @param {Object} connection - Open connection
+   * @param {Object} request - Current request row
+   * @param {Object} change - { action, status, nextStep, userJobRoleId, comments, actor }
+   */
+  static async transition(connection, request, change) {
+    const result = await connection.execute(
+      `UPDATE SEC.ACCESS_REQUESTS
+          SET STATUS           = :status,
+              CURRENT_STEP     = :nextStep,
+              USER_JOB_ROLE_ID = :userJobRoleId,
+              UPDATED_AT       = SYSTIMESTAMP,
+              UPDATED_BY       = :updatedBy
+        WHERE REQUEST_ID = :requestId
+          AND STATUS = 'PENDING'
+          AND CURRENT_STEP = :currentStep`,
+      {
+        status: change.status,
+        nextStep: change.nextStep || null,
+        userJobRoleId: change.userJobRoleId || null,
+        updatedBy: change.actor,
+        requestId: request.REQUEST_ID,
+        currentStep: request.CURRENT_STEP
+      },
+      { autoCommit: false }
+    );
+
+    // another approver acted first
+    if (result.rowsAffected === 0) {
+      throw new ConflictError(`Access request ${request.REQUEST_ID} was changed by someone else; reload and retry`);
+    }
+
+    await this.recordHistory(connection, {
+      requestId: request.REQUEST_ID,
+      action: change.action,
+      step: request.CURRENT_STEP,
+      fromStatus: 'PENDING',
+      toStatus: change.status,
+      comments: change.comments,
+      actor: change.actor
+    });
+  }
+
+  /**
+   * Helper: load a request for a state change and check it is still pending
+   * @returns {Promise<Object|null>} - Request row with APPROVED_BY (usernames that approved
+   *          a step so far), or null if not found
+   */
+  static async loadPending(connection, requestId) {
+    const execute = (sql, binds) =>
+      connection.execute(sql, binds, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+
+    const request = await this.fetchRequest(execute, requestId);
+    if (!request) {
+      return null;
+    }
+
+    if (request.STATUS !== 'PENDING') {
+      throw new ConflictError(`Access request ${requestId} is not pending (status: ${request.STATUS})`);
+    }
+
+    const approvals = await execute(
+      `SELECT ACTOR
+         FROM SEC.ACCESS_REQUEST_HISTORY
+        WHERE REQUEST_ID = :requestId
+          AND ACTION = 'APPROVE'`,
+      { requestId }
+    );
+
+    return { ...request, APPROVED_BY: approvals.rows.map(row => row.ACTOR) };
+  }
+
+  /**
+   * Approve the current step; the last step grants the job role
+   * @param {number} requestId - Request ID
+   * @param {Object} approver - { userId, username, isSecurity }
+   * @param {string} comments - Optional comments
+   * @returns {Promise<Object|null>} - Updated request (see getById), or null if not found
+   */
+  static async approve(requestId, approver, comments) {
+    const connection = await getConnection();
+    try {
+      const request = await this.loadPending(connection, requestId);
+      if (!request) {
+        await connection.close();
+        return null;
+      }
+
+      if (!this.canAct(request, approver)) {
+        throw new ForbiddenError(`Not allowed to approve the ${request.CURRENT_STEP} step of access request ${requestId}`);
+      }
+
+      if (request.USER_ID === null || request.JOB_ROLE_ID === null) {
+        throw new ConflictError(
+          `Access request ${requestId} cannot be approved: ${request.USER_ID === null ? `user ${request.USERNAME}` : `job role ${request.JOB_ROLE_CODE}`} no longer exists`
+        );
+      }
+
+      const chain = request.APPROVAL_CHAIN.split(',');
+      const nextStep = chain[chain.indexOf(request.CURRENT_STEP) + 1];
+
+      if (nextStep) {
+        await this.transition(connection, request, {
+          action: 'APPROVE',
+          status: 'PENDING',
+          nextStep,
+          comments,
+          actor: approver.username
+        });
+      } else {
+        const userJobRoleId = await this.grant(connection, request, approver.username);
+        await this.transition(connection, request, {
+          action: 'APPROVE',
+          status: 'APPROVED',
+          userJobRoleId,
+          comments,
+          actor: approver.username
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(requestId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject the request at its current step
+   * @param {number} requestId - Request ID
+   * @param {Object} approver - { userId, username, isSecurity }
+   * @param {string} comments - Reason for the rejection
+   * @returns {Promise<Object|null>} - Updated request (see getById), or null if not found
+   */
+  static async reject(requestId, approver, comments) {
+    const connection = await getConnection();
+    try {
+      const request = await this.loadPending(connection, requestId);
+      if (!request) {
+        await connection.close();
+        return null;
+      }
+
+      if (!this.canAct(request, approver)) {
+        throw new ForbiddenError(`Not allowed to reject the ${request.CURRENT_STEP} step of access request ${requestId}`);
+      }
+
+      await this.transition(connection, request, {
+        action: 'REJECT',
+        status: 'REJECTED',
+        comments,
+        actor: approver.username
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(requestId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a pending request (the requester, or whoever submitted it for them)
+   * @param {number} requestId - Request ID
+   * @param {Object} requester - { userId, username }
+   * @param {string} comments - Optional comments
+   * @returns {Promise<Object|null>} - Updated request (see getById), or null if not found
+   */
+  static async withdraw(requestId, requester, comments) {
+    const connection = await getConnection();
+    try {
+      const request = await this.loadPending(connection, requestId);
+      if (!request) {
+        await connection.close();
+        return null;
+      }
+
+      if (request.USER_ID !== requester.userId && request.CREATED_BY !== requester.username) {
+        throw new ForbiddenError(`Not allowed to withdraw access request ${requestId}: only the requester can`);
+      }
+
+      await this.transition(connection, request, {
+        action: 'WITHDRAW',
+        status: 'WITHDRAWN',
+        comments,
+        actor: requester.username
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(requestId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+}
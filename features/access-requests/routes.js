@@ -0,0 +1,19 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { AccessRequestController } from './controller.js';
+
+const router = express.Router();
+const { canView } = privilegeGuards('SEC_ACCESS_REQUESTS');
+
+// Self-service routes need only a signed-in user; who may see or act on a
+// request is checked against the request itself (requester, approvers, security)
+router.get('/', canView, AccessRequestController.getAll);
+router.get('/mine', AccessRequestController.getMine);
+router.get('/approvals', AccessRequestController.getApprovals);
+router.get('/:id', AccessRequestController.getById);
+router.post('/', AccessRequestController.create);
+router.post('/:id/approve', AccessRequestController.approve);
+router.post('/:id/reject', AccessRequestController.reject);
+router.post('/:id/withdraw', AccessRequestController.withdraw);
+
+export default router;
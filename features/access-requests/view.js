@@ -0,0 +1,73 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+
+/**
+ * Helper: lower-case keys and split the stored approval chain into its steps
+ */
+function formatRequest(request) {
+  const item = toLowerCaseKeys(request);
+  item.approval_chain = item.approval_chain ? item.approval_chain.split(',') : [];
+  return item;
+}
+
+/**
+ * Access Request View - Response formatting for access requests API
+ */
+export class AccessRequestView {
+  /**
+   * Format paginated response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const pendingRequests = result.data.filter(item => item.STATUS === 'PENDING').length;
+
+    return {
+      success: true,
+      data: result.data.map(formatRequest),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages),
+        pendingRequests: pendingRequests
+      },
+      activity: result.activity
+    };
+  }
+
+  /**
+   * Format single access request response
+   * @param {Object} requestData - Request object (with HISTORY)
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(requestData) {
+    if (!requestData) {
+      return {
+        success: false,
+        message: 'Access request not found'
+      };
+    }
+
+    return {
+      success: true,
+      data: formatRequest(requestData)
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,156 @@
+import { AuditModel, AUDITED_ENTITIES } from './model.js';
+import { AuditView } from './view.js';
+
+const AUDIT_ACTIONS = [
+  'CREATE',
+  'UPDATE',
+  'DELETE',
+  'ADD_PRIVILEGES',
+  'REMOVE_PRIVILEGE',
+  'ADD_DUTY_ROLES',
+  'REMOVE_DUTY_ROLE',
+  'ASSIGN_JOB_ROLE',
+  'UNASSIGN_JOB_ROLE',
+  'ASSIGN_DATA_ROLE',
+  'UNASSIGN_DATA_ROLE',
+  'PROVISION',
+  'CERTIFICATION_REVOKE'
+];
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Raw query value
+ * @returns {Date|null|undefined} - Date, undefined when absent, null when invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Audit Controller - Handles HTTP requests for the audit trail
+ */
+export class AuditController {
+  /**
+   * Get audit records with pagination and filters
+   * @route GET /api/audit?entityType=&entityId=&action=&actor=&from=&to=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      if (page < 1) {
+        return res.status(400).json(
+          AuditView.formatErrorResponse('Page number must be greater than 0', 400)
+        );
+      }
+
+      if (limit < 1 || limit > 1000) {
+        return res.status(400).json(
+          AuditView.formatErrorResponse('Limit must be between 1 and 1000', 400)
+        );
+      }
+
+      const searchParams = {};
+
+      if (req.query.entityType) {
+        const entityTypeUpper = req.query.entityType.toUpperCase();
+        if (!AUDITED_ENTITIES[entityTypeUpper]) {
+          return res.status(400).json(
+            AuditView.formatErrorResponse(
+              `entityType must be one of ${Object.keys(AUDITED_ENTITIES).join(', ')}`,
+              400
+            )
+          );
+        }
+        searchParams.entityType = entityTypeUpper;
+      }
+
+      if (req.query.entityId !== undefined) {
+        const entityId = parseInt(req.query.entityId);
+        if (isNaN(entityId)) {
+          return res.status(400).json(
+            AuditView.formatErrorResponse('Invalid entity ID', 400)
+          );
+        }
+        searchParams.entityId = entityId;
+      }
+
+      if (req.query.action) {
+        const actionUpper = req.query.action.toUpperCase();
+        if (!AUDIT_ACTIONS.includes(actionUpper)) {
+          return res.status(400).json(
+            AuditView.formatErrorResponse(`action must be one of ${AUDIT_ACTIONS.join(', ')}`, 400)
+          );
+        }
+        searchParams.action = actionUpper;
+      }
+
+      if (req.query.actor) {
+        searchParams.actor = req.query.actor;
+      }
+
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to);
+
+      if (from === null || to === null) {
+        return res.status(400).json(
+          AuditView.formatErrorResponse('from and to must be valid dates', 400)
+        );
+      }
+
+      if (from) searchParams.from = from;
+      if (to) searchParams.to = to;
+
+      const result = await AuditModel.getAll(page, limit, searchParams);
+      res.json(AuditView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        AuditView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get the change history of one entity, oldest first
+   * The entity is taken from the path, e.g. /api/duty-roles/5/history
+   * or /api/sod/rules/3/history.
+   * @route GET /api/:entity/:id/history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getHistory(req, res) {
+    try {
+      const entityPath = req.path.replace(/^\//, '').replace(/\/[^/]+\/history$/, '');
+      const entityType = AuditModel.entityTypeForPath(entityPath);
+
+      if (!entityType) {
+        return res.status(404).json(
+          AuditView.formatErrorResponse(`No audit history for '${entityPath}'`, 404)
+        );
+      }
+
+      const entityId = parseInt(req.params.id);
+
+      if (isNaN(entityId)) {
+        return res.status(400).json(
+          AuditView.formatErrorResponse('Invalid entity ID', 400)
+        );
+      }
+
+      const records = await AuditModel.getHistory(entityType, entityId);
+      res.json(AuditView.formatHistoryResponse(entityType, entityId, records));
+    } catch (error) {
+      res.status(500).json(
+        AuditView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
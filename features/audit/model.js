@@ -0,0 +1,470 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+
+/**
+ * Audited entities: entity type -> table, primary key and API path segment
+ * (the path segment is what GET /api/:entity/:id/history accepts).
+ * `links` are relationship tables folded into the image as ID arrays, under
+ * the column names the roles and rules used before they were normalized;
+ * `where` limits a link to some of its table's rows.
+ */
+export const AUDITED_ENTITIES = {
+  MODULE: { table: 'SEC.MODULES', idColumn: 'MODULE_ID', path: 'modules' },
+  FUNCTION: { table: 'SEC.FUNCTIONS', idColumn: 'FUNCTION_ID', path: 'functions' },
+  OPERATION: { table: 'SEC.OPERATIONS', idColumn: 'OPERATION_ID', path: 'operations' },
+  FUNCTION_PRIVILEGE: { table: 'SEC.FUNCTION_PRIVILEGES', idColumn: 'PRIVILEGE_ID', path: 'function-privileges' },
+  DUTY_ROLE: {
+    table: 'SEC.DUTY_ROLES',
+    idColumn: 'DUTY_ROLE_ID',
+    path: 'duty-roles',
+    links: {
+      FUNCTION_PRIVILEGES: { table: 'SEC.DUTY_ROLE_PRIVILEGES', ownerColumn: 'DUTY_ROLE_ID', idColumn: 'PRIVILEGE_ID' },
+      INHERITED_FROM_ROLES: { table: 'SEC.DUTY_ROLE_INHERITANCE', ownerColumn: 'CHILD_DUTY_ROLE_ID', idColumn: 'PARENT_DUTY_ROLE_ID' },
+      INHERITED_CHILD_ROLES: { table: 'SEC.DUTY_ROLE_INHERITANCE', ownerColumn: 'PARENT_DUTY_ROLE_ID', idColumn: 'CHILD_DUTY_ROLE_ID' }
+    }
+  },
+  JOB_ROLE: {
+    table: 'SEC.JOB_ROLES',
+    idColumn: 'JOB_ROLE_ID',
+    path: 'job-roles',
+    links: {
+      DUTY_ROLES: { table: 'SEC.JOB_ROLE_DUTY_ROLES', ownerColumn: 'JOB_ROLE_ID', idColumn: 'DUTY_ROLE_ID' },
+      INHERITED_FROM: { table: 'SEC.JOB_ROLE_INHERITANCE', ownerColumn: 'CHILD_JOB_ROLE_ID', idColumn: 'PARENT_JOB_ROLE_ID' },
+      INHERITED: { table: 'SEC.JOB_ROLE_INHERITANCE', ownerColumn: 'PARENT_JOB_ROLE_ID', idColumn: 'CHILD_JOB_ROLE_ID' }
+    }
+  },
+  DATA_ROLE: { table: 'SEC.DATA_ROLES', idColumn: 'DATA_ROLE_ID', path: 'data-roles' },
+  ORGANIZATION: { table: 'SEC.ORGANIZATIONS', idColumn: 'ORG_ID', path: 'organizations' },
+  USER: { table: 'SEC.USERS', idColumn: 'USER_ID', path: 'users' },
+  SOD_RULE: {
+    table: 'SEC.SOD_RULES',
+    idColumn: 'SOD_RULE_ID',
+    path: 'sod/rules',
+    links: {
+      SIDE_A_PRIVILEGES: { table: 'SEC.SOD_RULE_PRIVILEGES', ownerColumn: 'SOD_RULE_ID', idColumn: 'PRIVILEGE_ID', where: "SIDE = 'A'" },
+      SIDE_B_PRIVILEGES: { table: 'SEC.SOD_RULE_PRIVILEGES', ownerColumn: 'SOD_RULE_ID', idColumn: 'PRIVILEGE_ID', where: "SIDE = 'B'" }
+    }
+  },
+  PROVISIONING_RULE: { table: 'SEC.PROVISIONING_RULES', idColumn: 'RULE_ID', path: 'provisioning/rules' }
+};
+
+/**
+ * Audit Model - Change history of the security model (SEC.AUDIT_LOG)
+ *
+ * Important design:
+ *  - One row per change: ENTITY_TYPE, ENTITY_ID, ACTION, ACTOR, CHANGED_AT
+ *  - BEFORE_IMAGE / AFTER_IMAGE = JSON snapshots of the row (CLOB);
+ *    BEFORE_IMAGE is null for CREATE, AFTER_IMAGE is null for DELETE
+ *  - Records are written on the connection of the change itself, so they are
+ *    committed or rolled back together with it.
+ */
+export class AuditModel {
+  /**
+   * Read the current image of an entity inside the caller's transaction
+   * @param {Object} connection - Open connection
+   * @param {string} entityType - Key of AUDITED_ENTITIES
+   * @param {number} entityId - Entity ID
+   * @returns {Promise<Object|null>} - Row image or null if the row does not exist
+   */
+  static async snapshot(connection, entityType, entityId) {
+    const entity = AUDITED_ENTITIES[entityType];
+    if (!entity) {
+      throw new Error(`Unknown audit entity type: ${entityType}`);
+    }
+
+    const result = await connection.execute(
+      `SELECT * FROM ${entity.table} WHERE ${entity.idColumn} = :entityId`,
+      { entityId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const image = { ...result.rows[0] };
+
+    for (const [column, link] of Object.entries(entity.links || {})) {
+      const links = await connection.execute(
+        `SELECT ${link.idColumn} AS ID
+           FROM ${link.table}
+          WHERE ${link.ownerColumn} = :entityId
+            ${link.where ? `AND ${link.where}` : ''}
+          ORDER BY ${link.idColumn}`,
+        { entityId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      image[column] = links.rows.map(row => row.ID);
+    }
+
+    // never keep credentials in the audit trail
+    if (entityType === 'USER') {
+      delete image.PASSWORD_HASH;
+
+      const assignments = await connection.execute(
+        `SELECT USER_JOB_ROLE_ID, JOB_ROLE_ID, START_DATE, END_DATE, ASSIGNMENT_SOURCE, PROVISIONING_RULE_ID
+           FROM SEC.USER_JOB_ROLES
+          WHERE USER_ID = :entityId
+          ORDER BY USER_JOB_ROLE_ID`,
+        { entityId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      image.JOB_ROLE_ASSIGNMENTS = assignments.rows;
+
+      const dataRoleAssignments = await connection.execute(
+        `SELECT USER_DATA_ROLE_ID, DATA_ROLE_ID, START_DATE, END_DATE
+           FROM SEC.USER_DATA_ROLES
+          WHERE USER_ID = :entityId
+          ORDER BY USER_DATA_ROLE_ID`,
+        { entityId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      image.DATA_ROLE_ASSIGNMENTS = dataRoleAssignments.rows;
+
+      const exclusions = await connection.execute(
+        `SELECT JOB_ROLE_ID, CERTIFICATION_ITEM_ID
+           FROM SEC.PROVISIONING_EXCLUSIONS
+          WHERE USER_ID = :entityId
+          ORDER BY JOB_ROLE_ID`,
+        { entityId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      image.PROVISIONING_EXCLUSIONS = exclusions.rows;
+    }
+
+    if (entityType === 'DATA_ROLE') {
+      const scopes = await connection.execute(
+        `SELECT SCOPE_TYPE, SCOPE_VALUE
+           FROM SEC.DATA_ROLE_SCOPES
+          WHERE DATA_ROLE_ID = :entityId
+          ORDER BY SCOPE_TYPE, SCOPE_VALUE`,
+        { entityId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      image.DATA_SCOPES = scopes.rows;
+    }
+
+    if (entityType === 'PROVISIONING_RULE') {
+      const conditions = await connection.execute(
+        `SELECT ATTRIBUTE_NAME, ATTRIBUTE_VALUE
+           FROM SEC.PROVISIONING_RULE_CONDITIONS
+          WHERE RULE_ID = :entityId
+          ORDER BY ATTRIBUTE_NAME, ATTRIBUTE_VALUE`,
+        { entityId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      image.CONDITIONS = conditions.rows;
+    }
+
+    return image;
+  }
+
+  /**
+   * Write an audit record inside the caller's transaction
+   * @param {Object} connection - Open connection (same transaction as the change)
+   * @param {Object} entry
+   * @param {string} entry.entityType - Key of AUDITED_ENTITIES
+   * @param {number} entry.entityId - Entity ID
+   * @param {string} entry.action - CREATE, UPDATE, DELETE, ADD_PRIVILEGES, ...
+   * @param {string} entry.actor - Username making the change
+   * @param {Object|null} entry.before - Image before the change
+   * @param {Object|null} entry.after - Image after the change
+   */
+  static async record(connection, { entityType, entityId, action, actor, before = null, after = null }) {
+    await connection.execute(
+      `INSERT INTO SEC.AUDIT_LOG (
+        ENTITY_TYPE,
+        ENTITY_ID,
+        ACTION,
+        ACTOR,
+        CHANGED_AT,
+        BEFORE_IMAGE,
+        AFTER_IMAGE
+      ) VALUES (
+        :entityType,
+        :entityId,
+        :action,
+        :actor,
+        SYSTIMESTAMP,
+        :beforeImage,
+        :afterImage
+      )`,
+      {
+        entityType,
+        entityId,
+        action,
+        actor: actor || 'SYSTEM',
+        beforeImage: { val: before ? JSON.stringify(before) : null, type: oracledb.CLOB },
+        afterImage: { val: after ? JSON.stringify(after) : null, type: oracledb.CLOB }
+      },
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Take the after image of an entity and write the audit record
+   * @param {Object} connection - Open connection (same transaction as the change)
+   * @param {Object} entry - Same as record(), without `after`
+   */
+  static async recordChange(connection, { entityType, entityId, action, actor, before = null }) {
+    const after = action === 'DELETE'
+      ? null
+      : await this.snapshot(connection, entityType, entityId);
+
+    await this.record(connection, { entityType, entityId, action, actor, before, after });
+  }
+
+  /**
+   * Audit entities changed as a side effect of another change, e.g. a parent
+   * role whose child list changes when a link row is written or cascaded away.
+   * Takes the before images, runs the change, then records an UPDATE for every
+   * entity that still exists and whose image actually changed.
+   * @param {Object} connection - Open connection (same transaction as the change)
+   * @param {Object} affected - Entity type -> array of entity IDs
+   * @param {string} actor - Username making the change
+   * @param {Function} change - Async function performing the change
+   * @returns {Promise<*>} - Result of `change`
+   */
+  static async recordSideEffects(connection, affected, actor, change) {
+    const befores = [];
+    for (const [entityType, entityIds] of Object.entries(affected)) {
+      for (const entityId of new Set(entityIds)) {
+        const before = await this.snapshot(connection, entityType, entityId);
+        if (before) befores.push({ entityType, entityId, before });
+      }
+    }
+
+    const result = await change();
+
+    for (const { entityType, entityId, before } of befores) {
+      const after = await this.snapshot(connection, entityType, entityId);
+      if (!after || JSON.stringify(after) === JSON.stringify(before)) continue;
+      await this.record(connection, { entityType, entityId, action: 'UPDATE', actor, before, after });
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve an API path segment (e.g. 'duty-roles') to its entity type
+   * @param {string} path - Path segment
+   * @returns {string|null} - Entity type or null if not audited
+   */
+  static entityTypeForPath(path) {
+    const match = Object.entries(AUDITED_ENTITIES).find(([, entity]) => entity.path === path);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Parse the JSON images of an audit row
+   * @param {Object} row - SEC.AUDIT_LOG row
+   * @returns {Object} - Row with parsed BEFORE_IMAGE / AFTER_IMAGE and CHANGED_FIELDS
+   */
+  static decodeRow(row) {
+    const parse = value => {
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const before = parse(row.BEFORE_IMAGE);
+    const after = parse(row.AFTER_IMAGE);
+
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changedFields = keys.filter(key =>
+      JSON.stringify((before || {})[key] ?? null) !== JSON.stringify((after || {})[key] ?? null)
+    );
+
+    return {
+      ...row,
+      BEFORE_IMAGE: before,
+      AFTER_IMAGE: after,
+      CHANGED_FIELDS: changedFields
+    };
+  }
+
+  /**
+   * Get audit records with pagination and filters, newest first
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {string} searchParams.entityType - Filter by ENTITY_TYPE
+   * @param {number} searchParams.entityId - Filter by ENTITY_ID
+   * @param {string} searchParams.action - Filter by ACTION
+   * @param {string} searchParams.actor - Filter by ACTOR (case-insensitive)
+   * @param {Date} searchParams.from - CHANGED_AT on or after
+   * @param {Date} searchParams.to - CHANGED_AT on or before
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.entityType) {
+      conditions.push('ENTITY_TYPE = :entityType');
+      searchBinds.entityType = searchParams.entityType;
+    }
+
+    if (searchParams.entityId !== undefined) {
+      conditions.push('ENTITY_ID = :entityId');
+      searchBinds.entityId = searchParams.entityId;
+    }
+
+    if (searchParams.action) {
+      conditions.push('ACTION = :action');
+      searchBinds.action = searchParams.action;
+    }
+
+    if (searchParams.actor) {
+      conditions.push('UPPER(ACTOR) = UPPER(:actor)');
+      searchBinds.actor = searchParams.actor;
+    }
+
+    if (searchParams.from) {
+      conditions.push('CHANGED_AT >= :fromDate');
+      searchBinds.fromDate = searchParams.from;
+    }
+
+    if (searchParams.to) {
+      conditions.push('CHANGED_AT <= :toDate');
+      searchBinds.toDate = searchParams.to;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.AUDIT_LOG ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    const dataResult = await executeQuery(
+      `SELECT *
+         FROM SEC.AUDIT_LOG
+         ${whereClause}
+        ORDER BY CHANGED_AT DESC, AUDIT_ID DESC
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit },
+      {
+        fetchInfo: {
+          BEFORE_IMAGE: { type: oracledb.STRING },
+          AFTER_IMAGE: { type: oracledb.STRING }
+        }
+      }
+    );
+
+    return {
+      data: dataResult.rows.map(row => this.decodeRow(row)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Get the full change history of one entity, oldest first
+   * @param {string} entityType - Key of AUDITED_ENTITIES
+   * @param {number} entityId - Entity ID
+   * @returns {Promise<Array>} - Decoded audit records
+   */
+  static async getHistory(entityType, entityId) {
+    const result = await executeQuery(
+      `SELECT *
+         FROM SEC.AUDIT_LOG
+        WHERE ENTITY_TYPE = :entityType
+          AND ENTITY_ID = :entityId
+        ORDER BY CHANGED_AT, AUDIT_ID`,
+      { entityType, entityId },
+      {
+        fetchInfo: {
+          BEFORE_IMAGE: { type: oracledb.STRING },
+          AFTER_IMAGE: { type: oracledb.STRING }
+        }
+      }
+    );
+
+    return result.rows.map(row => this.decodeRow(row));
+  }
+
+  /**
+   * Reconstruct the image of an entity as it was at a point in time
+   *
+   * Resolution order:
+   *  1. latest record at or before asOf → its AFTER_IMAGE (null after a DELETE)
+   *  2. otherwise earliest record after asOf → its BEFORE_IMAGE (null before a CREATE)
+   *  3. otherwise (never changed since auditing started) the current row,
+   *     provided it was created at or before asOf
+   *
+   * @param {string} entityType - Key of AUDITED_ENTITIES
+   * @param {number} entityId - Entity ID
+   * @param {Date} asOf - Point in time
+   * @returns {Promise<Object|null>} - Row image or null if the entity did not exist
+   */
+  static async getImageAsOf(entityType, entityId, asOf) {
+    const entity = AUDITED_ENTITIES[entityType];
+    if (!entity) {
+      throw new Error(`Unknown audit entity type: ${entityType}`);
+    }
+
+    const imageFetchInfo = {
+      fetchInfo: {
+        BEFORE_IMAGE: { type: oracledb.STRING },
+        AFTER_IMAGE: { type: oracledb.STRING }
+      }
+    };
+
+    const previous = await executeQuery(
+      `SELECT AFTER_IMAGE
+         FROM SEC.AUDIT_LOG
+        WHERE ENTITY_TYPE = :entityType
+          AND ENTITY_ID = :entityId
+          AND CHANGED_AT <= :asOf
+        ORDER BY CHANGED_AT DESC, AUDIT_ID DESC
+        FETCH FIRST 1 ROWS ONLY`,
+      { entityType, entityId, asOf },
+      imageFetchInfo
+    );
+
+    if (previous.rows.length > 0) {
+      return this.decodeRow(previous.rows[0]).AFTER_IMAGE;
+    }
+
+    const next = await executeQuery(
+      `SELECT BEFORE_IMAGE
+         FROM SEC.AUDIT_LOG
+        WHERE ENTITY_TYPE = :entityType
+          AND ENTITY_ID = :entityId
+          AND CHANGED_AT > :asOf
+        ORDER BY CHANGED_AT, AUDIT_ID
+        FETCH FIRST 1 ROWS ONLY`,
+      { entityType, entityId, asOf },
+      imageFetchInfo
+    );
+
+    if (next.rows.length > 0) {
+      return this.decodeRow(next.rows[0]).BEFORE_IMAGE;
+    }
+
+    let connection;
+    try {
+      connection = await getConnection();
+      const image = await this.snapshot(connection, entityType, entityId);
+      if (!image || !image.CREATED_AT || new Date(image.CREATED_AT) > asOf) {
+        return null;
+      }
+      return image;
+    } finally {
+      if (connection) {
+        await connection.close();
+      }
+    }
+  }
+}
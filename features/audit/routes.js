@@ -0,0 +1,15 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { AuditController } from './controller.js';
+
+const router = express.Router();
+const { canView } = privilegeGuards('SEC_AUDIT');
+
+// Mounted at /api after the feature routers, so /:id routes of the features
+// never shadow the history paths.
+router.get('/audit', canView, AuditController.getAll);
+router.get('/sod/rules/:id/history', canView, AuditController.getHistory);
+router.get('/provisioning/rules/:id/history', canView, AuditController.getHistory);
+router.get('/:entity/:id/history', canView, AuditController.getHistory);
+
+export default router;
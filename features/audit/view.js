@@ -0,0 +1,69 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+
+/**
+ * Audit View - Response formatting for audit trail API
+ */
+export class AuditView {
+  /**
+   * Transform an audit record (image keys and changed field names in lowercase)
+   * @param {Object} record - Decoded audit record from model
+   * @returns {Object} - Record with lowercase keys
+   */
+  static transformRecord(record) {
+    const lowerCaseItem = toLowerCaseKeys(record);
+    lowerCaseItem.changed_fields = (record.CHANGED_FIELDS || []).map(field => field.toLowerCase());
+    return lowerCaseItem;
+  }
+
+  /**
+   * Format paginated audit records response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    return {
+      success: true,
+      data: result.data.map(record => this.transformRecord(record)),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages)
+      }
+    };
+  }
+
+  /**
+   * Format the change history of one entity
+   * @param {string} entityType - Entity type
+   * @param {number} entityId - Entity ID
+   * @param {Array} records - Decoded audit records, oldest first
+   * @returns {Object} - Formatted response
+   */
+  static formatHistoryResponse(entityType, entityId, records) {
+    return {
+      success: true,
+      entity_type: entityType,
+      entity_id: entityId,
+      data: records.map(record => this.transformRecord(record)),
+      total: records.length
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,70 @@
+import { AuthModel } from './model.js';
+import { AuthView } from './view.js';
+import { UserModel } from '../users/model.js';
+
+/**
+ * Auth Controller - Handles login and current-user requests
+ */
+export class AuthController {
+  /**
+   * Log in with username and password
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async login(req, res) {
+    try {
+      const { username, password } = req.body || {};
+
+      if (!username || !password) {
+        return res.status(400).json(
+          AuthView.formatErrorResponse('username and password are required', 400)
+        );
+      }
+
+      const result = await AuthModel.authenticate(username, password);
+      res.json(AuthView.formatLoginResponse(result));
+    } catch (error) {
+      console.error('Error in AuthController.login:', error);
+
+      if (error.message.includes('Invalid username or password')) {
+        return res.status(401).json(
+          AuthView.formatErrorResponse(error.message, 401)
+        );
+      }
+
+      if (error.message.includes('is not active')) {
+        return res.status(403).json(
+          AuthView.formatErrorResponse(error.message, 403)
+        );
+      }
+
+      res.status(500).json(
+        AuthView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get the authenticated user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async me(req, res) {
+    try {
+      const user = await UserModel.getById(req.user.userId);
+
+      if (!user) {
+        return res.status(404).json(
+          AuthView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json(AuthView.formatCurrentUserResponse(user));
+    } catch (error) {
+      console.error('Error in AuthController.me:', error);
+      res.status(500).json(
+        AuthView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { UserModel } from '../users/model.js';
+import { verifyPassword } from '../../utils/passwordUtils.js';
+import { signToken } from '../../utils/tokenUtils.js';
+
+/**
+ * Auth Model - Credential checks and session token issuing
+ *
+ * Users log in with the USERNAME / password stored on SEC.USERS (PASSWORD_HASH).
+ * Only ACTIVE users can log in. The issued token is an HS256 JWT carrying
+ * { sub: USER_ID, username: USERNAME }.
+ */
+export class AuthModel {
+  /**
+   * Authenticate a user and issue a session token
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} - { token, expiresIn, user }
+   */
+  static async authenticate(username, password) {
+    if (!username || !password) {
+      throw new Error('username and password are required');
+    }
+
+    const credentials = await UserModel.getCredentials(username);
+
+    // Same message for unknown users and wrong passwords
+    if (!credentials || !(await verifyPassword(password, credentials.PASSWORD_HASH))) {
+      throw new Error('Invalid username or password');
+    }
+
+    if (credentials.STATUS !== 'ACTIVE') {
+      throw new Error(`User ${credentials.USERNAME} is not active`);
+    }
+
+    const expiresIn = parseInt(process.env.AUTH_TOKEN_TTL) || 3600;
+    const token = signToken(
+      { sub: credentials.USER_ID, username: credentials.USERNAME },
+      { expiresIn }
+    );
+
+    return {
+      token,
+      expiresIn,
+      user: await UserModel.getByUsername(credentials.USERNAME)
+    };
+  }
+}
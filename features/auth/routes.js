@@ -0,0 +1,11 @@
+import express from 'express';
+import { authenticate } from '../../middleware/authenticate.js';
+import { AuthController } from './controller.js';
+
+const router = express.Router();
+
+// Routes
+router.post('/login', AuthController.login);
+router.get('/me', authenticate, AuthController.me);
+
+export default router;
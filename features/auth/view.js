@@ -0,0 +1,49 @@
+import { toLowerCaseKeys } from '../../utils/stringUtils.js';
+
+/**
+ * Auth View - Response formatting for auth API
+ */
+export class AuthView {
+  /**
+   * Format login response
+   * @param {Object} result - Result object from model with token, expiresIn and user
+   * @returns {Object} - Formatted response
+   */
+  static formatLoginResponse(result) {
+    return {
+      success: true,
+      data: {
+        token: result.token,
+        token_type: 'Bearer',
+        expires_in: result.expiresIn,
+        user: toLowerCaseKeys(result.user)
+      }
+    };
+  }
+
+  /**
+   * Format current user response
+   * @param {Object} user - User row
+   * @returns {Object} - Formatted response
+   */
+  static formatCurrentUserResponse(user) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(user)
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,97 @@
+import { BundleModel } from './model.js';
+import { BundleView } from './view.js';
+import { ImportView } from '../import/view.js';
+
+const IMPORT_MODES = ['dry-run', 'commit'];
+
+/**
+ * Bundle Controller - Handles HTTP requests for security-model bundles
+ */
+export class BundleController {
+  /**
+   * Export the whole security model as a code-keyed JSON bundle
+   * @route GET /api/bundle
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async export(req, res) {
+    try {
+      const bundle = await BundleModel.export(req.user.username);
+
+      const date = bundle.EXPORTED_AT.slice(0, 10);
+      res.setHeader('Content-Disposition', `attachment; filename="sec-model-${date}.json"`);
+      res.json(BundleView.formatBundle(bundle));
+    } catch (error) {
+      res.status(500).json(
+        BundleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Diff a bundle against the live database, without applying it
+   * @route POST /api/bundle/diff
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async diff(req, res) {
+    try {
+      const diff = await BundleModel.diff(req.body);
+      res.json(BundleView.formatDiffResponse(diff));
+    } catch (error) {
+      if (
+        error.message.includes('Unsupported bundle') ||
+        error.message.includes('must be an array') ||
+        error.message.includes('Unknown column')
+      ) {
+        return res.status(400).json(
+          BundleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      res.status(500).json(
+        BundleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Import a bundle: create or update every record by code
+   * @route POST /api/bundle?mode=dry-run|commit
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async import(req, res) {
+    try {
+      const mode = req.query.mode || 'dry-run';
+      if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json(
+          BundleView.formatErrorResponse(`mode must be one of: ${IMPORT_MODES.join(', ')}`, 400)
+        );
+      }
+
+      const result = await BundleModel.import(req.body, {
+        dryRun: mode === 'dry-run',
+        actor: req.user.username
+      });
+
+      res.status(mode === 'commit' && !result.COMMITTED ? 400 : 200).json(
+        ImportView.formatImportResponse(result)
+      );
+    } catch (error) {
+      if (
+        error.message.includes('Unsupported bundle') ||
+        error.message.includes('must be an array') ||
+        error.message.includes('Unknown column')
+      ) {
+        return res.status(400).json(
+          BundleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      res.status(500).json(
+        BundleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
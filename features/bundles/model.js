@@ -0,0 +1,292 @@
+import { getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { ImportModel, IMPORT_SECTIONS } from '../import/model.js';
+import { diffByKey } from '../../utils/diffUtils.js';
+
+export const BUNDLE_FORMAT = 'sec-model-bundle';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Bundle sections, in dependency order: section key in the bundle -> SQL that
+ * reads the records keyed by code. Link lists are added from BUNDLE_LINKS.
+ */
+const BUNDLE_QUERIES = {
+  MODULES: `
+    SELECT MODULE_CODE, MODULE_NAME, DESCRIPTION, STATUS
+      FROM SEC.MODULES
+     ORDER BY MODULE_CODE`,
+  FUNCTIONS: `
+    SELECT F.FUNCTION_CODE, F.FUNCTION_NAME, F.DESCRIPTION, F.STATUS, M.MODULE_CODE
+      FROM SEC.FUNCTIONS F
+      LEFT JOIN SEC.MODULES M ON M.MODULE_ID = F.MODULE_ID
+     ORDER BY F.FUNCTION_CODE`,
+  OPERATIONS: `
+    SELECT OPERATION_CODE, OPERATION_NAME, DESCRIPTION, STATUS
+      FROM SEC.OPERATIONS
+     ORDER BY OPERATION_CODE`,
+  FUNCTION_PRIVILEGES: `
+    SELECT FP.PRIVILEGE_CODE, FP.PRIVILEGE_NAME, FP.DESCRIPTION, FP.STATUS,
+           M.MODULE_CODE, F.FUNCTION_CODE, O.OPERATION_CODE
+      FROM SEC.FUNCTION_PRIVILEGES FP
+      LEFT JOIN SEC.MODULES M ON M.MODULE_ID = FP.MODULE_ID
+      LEFT JOIN SEC.FUNCTIONS F ON F.FUNCTION_ID = FP.FUNCTION_ID
+      LEFT JOIN SEC.OPERATIONS O ON O.OPERATION_ID = FP.OPERATION_ID
+     ORDER BY FP.PRIVILEGE_CODE`,
+  DUTY_ROLES: `
+    SELECT DR.ROLE_CODE, DR.DUTY_ROLE_NAME, DR.DESCRIPTION, DR.STATUS, M.MODULE_CODE
+      FROM SEC.DUTY_ROLES DR
+      LEFT JOIN SEC.MODULES M ON M.MODULE_ID = DR.MODULE_ID
+     ORDER BY DR.ROLE_CODE`,
+  JOB_ROLES: `
+    SELECT JOB_ROLE_CODE, JOB_ROLE_NAME, DESCRIPTION, STATUS
+      FROM SEC.JOB_ROLES
+     ORDER BY JOB_ROLE_CODE`
+};
+
+/**
+ * Role links exported as code lists: list column -> SQL returning OWNER_CODE / LINKED_CODE
+ */
+const BUNDLE_LINKS = {
+  DUTY_ROLES: {
+    ownerColumn: 'ROLE_CODE',
+    lists: {
+      PRIVILEGE_CODES: `
+        SELECT DR.ROLE_CODE AS OWNER_CODE, FP.PRIVILEGE_CODE AS LINKED_CODE
+          FROM SEC.DUTY_ROLE_PRIVILEGES L
+          JOIN SEC.DUTY_ROLES DR ON DR.DUTY_ROLE_ID = L.DUTY_ROLE_ID
+          JOIN SEC.FUNCTION_PRIVILEGES FP ON FP.PRIVILEGE_ID = L.PRIVILEGE_ID
+         ORDER BY FP.PRIVILEGE_CODE`,
+      PARENT_ROLE_CODES: `
+        SELECT C.ROLE_CODE AS OWNER_CODE, P.ROLE_CODE AS LINKED_CODE
+          FROM SEC.DUTY_ROLE_INHERITANCE L
+          JOIN SEC.DUTY_ROLES C ON C.DUTY_ROLE_ID = L.CHILD_DUTY_ROLE_ID
+          JOIN SEC.DUTY_ROLES P ON P.DUTY_ROLE_ID = L.PARENT_DUTY_ROLE_ID
+         ORDER BY P.ROLE_CODE`
+    }
+  },
+  JOB_ROLES: {
+    ownerColumn: 'JOB_ROLE_CODE',
+    lists: {
+      DUTY_ROLE_CODES: `
+        SELECT JR.JOB_ROLE_CODE AS OWNER_CODE, DR.ROLE_CODE AS LINKED_CODE
+          FROM SEC.JOB_ROLE_DUTY_ROLES L
+          JOIN SEC.JOB_ROLES JR ON JR.JOB_ROLE_ID = L.JOB_ROLE_ID
+          JOIN SEC.DUTY_ROLES DR ON DR.DUTY_ROLE_ID = L.DUTY_ROLE_ID
+         ORDER BY DR.ROLE_CODE`,
+      PARENT_JOB_ROLE_CODES: `
+        SELECT C.JOB_ROLE_CODE AS OWNER_CODE, P.JOB_ROLE_CODE AS LINKED_CODE
+          FROM SEC.JOB_ROLE_INHERITANCE L
+          JOIN SEC.JOB_ROLES C ON C.JOB_ROLE_ID = L.CHILD_JOB_ROLE_ID
+          JOIN SEC.JOB_ROLES P ON P.JOB_ROLE_ID = L.PARENT_JOB_ROLE_ID
+         ORDER BY P.JOB_ROLE_CODE`
+    }
+  }
+};
+
+/**
+ * Bundle Model - Code-keyed export of the whole security model, for promoting
+ * it between environments
+ *
+ * Important design:
+ *  - A bundle carries no numeric IDs: every record is keyed by its code and
+ *    every reference (module, function, operation, privileges, parents) is a
+ *    code, since IDENTITY keys differ between databases.
+ *  - Records and code lists are sorted by code, so exporting the same model
+ *    twice gives the same bundle (apart from EXPORTED_AT / EXPORTED_BY).
+ *  - Importing a bundle is an import (ImportModel) of full images: fields
+ *    left empty in a record are cleared and role links are replaced. Records
+ *    that are not in the bundle are left alone.
+ *  - A diff compares a bundle with an export of the live database, both
+ *    normalized through the import parser, so it shows what an import would
+ *    change. Live records missing from the bundle are reported as removed
+ *    (an import keeps them); a section the bundle leaves out is not compared.
+ */
+export class BundleModel {
+  /**
+   * Export the security model
+   * @param {string} exportedBy - Username making the export
+   * @returns {Promise<Object>} - Bundle: FORMAT, VERSION, EXPORTED_AT, EXPORTED_BY and one
+   *   array per section (MODULES, FUNCTIONS, OPERATIONS, FUNCTION_PRIVILEGES, DUTY_ROLES, JOB_ROLES)
+   */
+  static async export(exportedBy) {
+    const connection = await getConnection();
+    try {
+      const bundle = {
+        FORMAT: BUNDLE_FORMAT,
+        VERSION: BUNDLE_VERSION,
+        EXPORTED_AT: new Date().toISOString(),
+        EXPORTED_BY: exportedBy
+      };
+
+      for (const [sectionKey, sql] of Object.entries(BUNDLE_QUERIES)) {
+        const result = await connection.execute(sql, {}, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+        bundle[sectionKey] = result.rows;
+      }
+
+      for (const [sectionKey, { ownerColumn, lists }] of Object.entries(BUNDLE_LINKS)) {
+        for (const [listColumn, sql] of Object.entries(lists)) {
+          const result = await connection.execute(sql, {}, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+          const codesByOwner = new Map();
+          result.rows.forEach(row => {
+            if (!codesByOwner.has(row.OWNER_CODE)) codesByOwner.set(row.OWNER_CODE, []);
+            codesByOwner.get(row.OWNER_CODE).push(row.LINKED_CODE);
+          });
+          bundle[sectionKey].forEach(record => {
+            record[listColumn] = codesByOwner.get(record[ownerColumn]) || [];
+          });
+        }
+      }
+
+      return bundle;
+    } finally {
+      await connection.close();
+    }
+  }
+
+  /**
+   * Convert a bundle into import sections (see ImportModel.parseSection)
+   * @param {Object} bundle - Bundle as exported (keys in any case)
+   * @returns {Object} - Import section key -> rows
+   * @throws when the bundle format or version is not supported, or a section is not an array
+   */
+  static toImportSections(bundle) {
+    const header = Object.fromEntries(
+      Object.entries(bundle || {}).map(([key, value]) => [ImportModel.normalizeColumn(key), value])
+    );
+
+    if (header.FORMAT !== BUNDLE_FORMAT) {
+      throw new Error(`Unsupported bundle format: expected "${BUNDLE_FORMAT}"`);
+    }
+    if (header.VERSION !== BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version: ${header.VERSION} (supported: ${BUNDLE_VERSION})`);
+    }
+
+    const sections = {};
+    for (const section of IMPORT_SECTIONS) {
+      const records = header[ImportModel.normalizeColumn(section.key)];
+      if (records === undefined) continue;
+      if (!Array.isArray(records)) {
+        throw new Error(`Bundle section ${section.key} must be an array`);
+      }
+      sections[section.key] = ImportModel.parseSection(section.key, records);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Helper: a parsed bundle row as { CODE, FIELDS, LINKS }, holding only the
+   * columns the row supplies; blank cells are null and code lists are sorted
+   */
+  static normalizeRecord(section, values) {
+    const record = { CODE: ImportModel.cellValue(values[section.codeColumn]), FIELDS: {}, LINKS: {} };
+
+    for (const column of [...section.fields, ...Object.keys(section.references)]) {
+      if (column in values) record.FIELDS[column] = ImportModel.cellValue(values[column]) ?? null;
+    }
+    for (const column of Object.keys(section.links)) {
+      if (column in values) record.LINKS[column] = ImportModel.splitCodes(values[column]).sort();
+    }
+
+    return record;
+  }
+
+  /**
+   * Helper: a normalized record as a flat code-keyed record, e.g. for the added / removed lists
+   */
+  static flattenRecord(section, record) {
+    return { [section.codeColumn]: record.CODE, ...record.FIELDS, ...record.LINKS };
+  }
+
+  /**
+   * Diff a bundle against the live database
+   * @param {Object} bundle - Bundle as exported
+   * @returns {Promise<Object>} - SECTIONS: one entry per bundle section (MODULES, ..., JOB_ROLES) with
+   *   ADDED (records only in the bundle), REMOVED (records only in the database),
+   *   CHANGED ({ CODE, FIELDS: column -> { LIVE, BUNDLE }, LINKS: column -> { ADDED, REMOVED } })
+   *   and UNCHANGED (count); HIERARCHY: inheritance links the bundle adds or removes
+   *   ({ SECTION, CHILD_CODE, PARENT_CODE, CHANGE })
+   * @throws when the bundle format or version is not supported, or a section is not an array
+   */
+  static async diff(bundle) {
+    const bundleSections = this.toImportSections(bundle);
+    const liveSections = this.toImportSections(await this.export());
+    const diff = { SECTIONS: {}, HIERARCHY: [] };
+
+    for (const section of IMPORT_SECTIONS) {
+      if (!bundleSections[section.key]) continue;
+      const sectionName = ImportModel.normalizeColumn(section.key);
+
+      const bundleRecords = bundleSections[section.key].map(row => this.normalizeRecord(section, row.values));
+      const liveRecords = liveSections[section.key].map(row => this.normalizeRecord(section, row.values));
+      const { common, onlyInA, onlyInB } = diffByKey(bundleRecords, liveRecords, 'CODE');
+
+      const changed = [];
+      for (const [bundleRecord, liveRecord] of common) {
+        const fields = {};
+        for (const [column, value] of Object.entries(bundleRecord.FIELDS)) {
+          if (String(value ?? '') !== String(liveRecord.FIELDS[column] ?? '')) {
+            fields[column] = { LIVE: liveRecord.FIELDS[column], BUNDLE: value };
+          }
+        }
+
+        const links = {};
+        for (const [column, codes] of Object.entries(bundleRecord.LINKS)) {
+          const liveCodes = liveRecord.LINKS[column];
+          const added = codes.filter(code => !liveCodes.includes(code));
+          const removed = liveCodes.filter(code => !codes.includes(code));
+          if (added.length > 0 || removed.length > 0) {
+            links[column] = { ADDED: added, REMOVED: removed };
+          }
+        }
+
+        if (Object.keys(fields).length > 0 || Object.keys(links).length > 0) {
+          changed.push({ CODE: bundleRecord.CODE, FIELDS: fields, LINKS: links });
+        }
+      }
+
+      diff.SECTIONS[sectionName] = {
+        ADDED: onlyInA.map(record => this.flattenRecord(section, record)),
+        REMOVED: onlyInB.map(record => this.flattenRecord(section, record)),
+        CHANGED: changed,
+        UNCHANGED: common.length - changed.length
+      };
+
+      // Inheritance changes; a bundle record without the parent column keeps its live parents
+      const liveByCode = new Map(liveRecords.map(record => [record.CODE, record]));
+      for (const [column, link] of Object.entries(section.links)) {
+        if (!link.parents) continue;
+
+        const edgesOf = records => new Map(records.flatMap(record =>
+          (record.LINKS[column] || []).map(parentCode => [
+            JSON.stringify([record.CODE, parentCode]),
+            { SECTION: sectionName.toLowerCase(), CHILD_CODE: record.CODE, PARENT_CODE: parentCode }
+          ])
+        ));
+        const bundleEdges = edgesOf(bundleRecords.map(record =>
+          column in record.LINKS ? record : liveByCode.get(record.CODE) || record
+        ));
+        const liveEdges = edgesOf(liveRecords);
+
+        for (const [key, edge] of bundleEdges) {
+          if (!liveEdges.has(key)) diff.HIERARCHY.push({ ...edge, CHANGE: 'ADDED' });
+        }
+        for (const [key, edge] of liveEdges) {
+          if (!bundleEdges.has(key)) diff.HIERARCHY.push({ ...edge, CHANGE: 'REMOVED' });
+        }
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Import a bundle
+   * @param {Object} bundle - Bundle as exported
+   * @param {Object} options - { dryRun, actor } (see ImportModel.run)
+   * @returns {Promise<Object>} - Import report (see ImportModel.run)
+   */
+  static async import(bundle, { dryRun = true, actor = 'SYSTEM' } = {}) {
+    return ImportModel.run(this.toImportSections(bundle), { dryRun, actor, clearBlanks: true });
+  }
+}
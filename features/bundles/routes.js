@@ -0,0 +1,15 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { BundleController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_BUNDLES');
+
+// Export / import of the whole security model
+router.get('/', canView, BundleController.export);
+router.post('/', canManage, BundleController.import);
+
+// Review a bundle against the live database
+router.post('/diff', canView, BundleController.diff);
+
+export default router;
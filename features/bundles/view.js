@@ -0,0 +1,60 @@
+import { toLowerCaseKeys } from '../../utils/stringUtils.js';
+
+/**
+ * Bundle View - Response formatting for the security-model bundle API
+ */
+export class BundleView {
+  /**
+   * Format a bundle; the document is the response itself (no envelope), so an
+   * exported file can be posted back as-is
+   * @param {Object} bundle - Bundle from model
+   * @returns {Object} - Bundle with lowercase keys
+   */
+  static formatBundle(bundle) {
+    return toLowerCaseKeys(bundle);
+  }
+
+  /**
+   * Format a bundle diff with counts per section
+   * @param {Object} diff - Diff from model
+   * @returns {Object} - Formatted response; `identical` when applying the bundle would change nothing
+   */
+  static formatDiffResponse(diff) {
+    const sections = {};
+    for (const [sectionName, section] of Object.entries(diff.SECTIONS)) {
+      sections[sectionName.toLowerCase()] = {
+        added: section.ADDED.length,
+        removed: section.REMOVED.length,
+        changed: section.CHANGED.length,
+        unchanged: section.UNCHANGED
+      };
+    }
+
+    const counts = Object.values(sections);
+    return {
+      success: true,
+      data: toLowerCaseKeys(diff),
+      summary: {
+        sections,
+        hierarchy_changes: diff.HIERARCHY.length,
+        identical:
+          diff.HIERARCHY.length === 0 &&
+          counts.every(count => count.added === 0 && count.removed === 0 && count.changed === 0)
+      }
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,416 @@
+import { CertificationModel, SCOPE_TYPES, DECISIONS } from './model.js';
+import { CertificationView } from './view.js';
+import { callerHasPrivilege } from '../../middleware/authorize.js';
+import { parsePagination, createWriteErrorHandler } from '../../utils/controllerUtils.js';
+
+const SECURITY_PRIVILEGE = 'SEC_CERTIFICATIONS_MANAGE';
+const MAX_SCOPE_IDS = 1000;
+
+// the model refuses requests with ValidationError, ForbiddenError or ConflictError
+const handleWriteError = createWriteErrorHandler(CertificationView, {
+  duplicateMessage: 'Campaign code already exists'
+});
+
+/**
+ * Parse the :id route parameter, or answer 400
+ * @returns {number|null} - Campaign ID, or null when the response was sent
+ */
+function parseCampaignId(req, res) {
+  const campaignId = parseInt(req.params.id);
+
+  if (isNaN(campaignId)) {
+    res.status(400).json(
+      CertificationView.formatErrorResponse('Invalid campaign ID', 400)
+    );
+    return null;
+  }
+
+  return campaignId;
+}
+
+/**
+ * Certification Controller - Handles HTTP requests for access certification campaigns
+ */
+export class CertificationController {
+  /**
+   * Get all campaigns with pagination and search
+   * @route GET /api/certifications?page=1&limit=10&status=&scopeType=&search=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(CertificationView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {};
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (!['OPEN', 'CLOSED'].includes(statusUpper)) {
+          return res.status(400).json(
+            CertificationView.formatErrorResponse('status must be OPEN or CLOSED', 400)
+          );
+        }
+        searchParams.status = statusUpper;
+      }
+
+      if (req.query.scopeType) {
+        const scopeTypeUpper = req.query.scopeType.toUpperCase();
+        if (!SCOPE_TYPES.includes(scopeTypeUpper)) {
+          return res.status(400).json(
+            CertificationView.formatErrorResponse(`scopeType must be one of ${SCOPE_TYPES.join(', ')}`, 400)
+          );
+        }
+        searchParams.scopeType = scopeTypeUpper;
+      }
+
+      if (req.query.search) {
+        searchParams.search = req.query.search;
+      }
+
+      const result = await CertificationModel.getAll(page, limit, searchParams);
+      res.json(CertificationView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        CertificationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get campaign by ID, with its scope and progress
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const campaignId = parseCampaignId(req, res);
+      if (campaignId === null) return;
+
+      const campaignData = await CertificationModel.getById(campaignId);
+
+      if (!campaignData) {
+        return res.status(404).json(
+          CertificationView.formatErrorResponse('Campaign not found', 404)
+        );
+      }
+
+      res.json(CertificationView.formatSingleResponse(campaignData));
+    } catch (error) {
+      res.status(500).json(
+        CertificationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Launch a campaign over a set of job roles or modules
+   * @body { campaignCode, campaignName, description?, scopeType: JOB_ROLE|MODULE, scopeIds: number[], dueDate? }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async launch(req, res) {
+    try {
+      const { campaignCode, campaignName, description, scopeType, scopeIds, dueDate } = req.body;
+
+      if (!campaignCode) {
+        return res.status(400).json(
+          CertificationView.formatErrorResponse('campaignCode is required', 400)
+        );
+      }
+
+      if (!campaignName) {
+        return res.status(400).json(
+          CertificationView.formatErrorResponse('campaignName is required', 400)
+        );
+      }
+
+      if (!scopeType || !SCOPE_TYPES.includes(String(scopeType).toUpperCase())) {
+        return res.status(400).json(
+          CertificationView.formatErrorResponse(`scopeType must be one of ${SCOPE_TYPES.join(', ')}`, 400)
+        );
+      }
+
+      if (
+        !Array.isArray(scopeIds) ||
+        scopeIds.length === 0 ||
+        scopeIds.length > MAX_SCOPE_IDS ||
+        !scopeIds.every(Number.isInteger)
+      ) {
+        return res.status(400).json(
+          CertificationView.formatErrorResponse(
+            `scopeIds must be a non-empty array of at most ${MAX_SCOPE_IDS} integer IDs`,
+            400
+          )
+        );
+      }
+
+      let parsedDueDate = null;
+      if (dueDate !== undefined && dueDate !== null) {
+        parsedDueDate = new Date(dueDate);
+        if (isNaN(parsedDueDate.getTime())) {
+          return res.status(400).json(
+            CertificationView.formatErrorResponse('dueDate must be a valid date', 400)
+          );
+        }
+      }
+
+      const campaignData = await CertificationModel.launch({
+        campaignCode,
+        campaignName,
+        description,
+        scopeType: scopeType.toUpperCase(),
+        scopeIds: [...new Set(scopeIds)],
+        dueDate: parsedDueDate,
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(CertificationView.formatSingleResponse(campaignData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Get the line items of a campaign
+   * @route GET /api/certifications/:id/items?page=1&limit=10&decision=&reviewerUserId=&userId=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getItems(req, res) {
+    try {
+      const campaignId = parseCampaignId(req, res);
+      if (campaignId === null) return;
+
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(CertificationView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = { campaignId };
+
+      if (req.query.decision) {
+        const decisionUpper = req.query.decision.toUpperCase();
+        if (!DECISIONS.includes(decisionUpper)) {
+          return res.status(400).json(
+            CertificationView.formatErrorResponse(`decision must be one of ${DECISIONS.join(', ')}`, 400)
+          );
+        }
+        searchParams.decision = decisionUpper;
+      }
+
+      for (const key of ['reviewerUserId', 'userId']) {
+        if (req.query[key] !== undefined) {
+          const id = parseInt(req.query[key]);
+          if (isNaN(id)) {
+            return res.status(400).json(
+              CertificationView.formatErrorResponse(`${key} must be an integer`, 400)
+            );
+          }
+          searchParams[key] = id;
+        }
+      }
+
+      const result = await CertificationModel.getItems(page, limit, searchParams);
+      res.json(CertificationView.formatItemsResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        CertificationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get the open line items the caller reviews, across campaigns
+   * @route GET /api/certifications/reviews?page=1&limit=10&decision=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getReviews(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(CertificationView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {
+        reviewableBy: {
+          userId: req.user.userId,
+          isSecurity: await callerHasPrivilege(req, SECURITY_PRIVILEGE)
+        }
+      };
+
+      if (req.query.decision) {
+        const decisionUpper = req.query.decision.toUpperCase();
+        if (!DECISIONS.includes(decisionUpper)) {
+          return res.status(400).json(
+            CertificationView.formatErrorResponse(`decision must be one of ${DECISIONS.join(', ')}`, 400)
+          );
+        }
+        searchParams.decision = decisionUpper;
+      }
+
+      const result = await CertificationModel.getItems(page, limit, searchParams);
+      res.json(CertificationView.formatItemsResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        CertificationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Certify a line item (the access stays)
+   * @body { comments? }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async certify(req, res) {
+    return CertificationController.decide(req, res, 'CERTIFIED');
+  }
+
+  /**
+   * Revoke a line item (the assignment is end-dated when the campaign closes)
+   * @body { comments }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revoke(req, res) {
+    if (!req.body?.comments) {
+      return res.status(400).json(
+        CertificationView.formatErrorResponse('comments are required when revoking access', 400)
+      );
+    }
+
+    return CertificationController.decide(req, res, 'REVOKED');
+  }
+
+  /**
+   * Record a reviewer decision on a line item
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} decision - CERTIFIED or REVOKED
+   */
+  static async decide(req, res, decision) {
+    try {
+      const campaignId = parseCampaignId(req, res);
+      if (campaignId === null) return;
+
+      const itemId = parseInt(req.params.itemId);
+      if (isNaN(itemId)) {
+        return res.status(400).json(
+          CertificationView.formatErrorResponse('Invalid line item ID', 400)
+        );
+      }
+
+      const item = await CertificationModel.decide(campaignId, itemId, decision, {
+        userId: req.user.userId,
+        username: req.user.username,
+        isSecurity: await callerHasPrivilege(req, SECURITY_PRIVILEGE)
+      }, req.body?.comments);
+
+      if (!item) {
+        return res.status(404).json(
+          CertificationView.formatErrorResponse('Line item not found', 404)
+        );
+      }
+
+      res.json(CertificationView.formatItemResponse(item));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Close a campaign and end-date the revoked assignments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async close(req, res) {
+    try {
+      const campaignId = parseCampaignId(req, res);
+      if (campaignId === null) return;
+
+      const campaignData = await CertificationModel.close(campaignId, req.user.username);
+
+      if (!campaignData) {
+        return res.status(404).json(
+          CertificationView.formatErrorResponse('Campaign not found', 404)
+        );
+      }
+
+      res.json(CertificationView.formatSingleResponse(campaignData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Get campaign progress, overall and per reviewer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getProgress(req, res) {
+    try {
+      const campaignId = parseCampaignId(req, res);
+      if (campaignId === null) return;
+
+      const progress = await CertificationModel.getProgress(campaignId);
+
+      if (!progress) {
+        return res.status(404).json(
+          CertificationView.formatErrorResponse('Campaign not found', 404)
+        );
+      }
+
+      res.json(CertificationView.formatProgressResponse(progress));
+    } catch (error) {
+      res.status(500).json(
+        CertificationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Export the evidence of a campaign (every line item and its decision)
+   * @route GET /api/certifications/:id/evidence?format=json|csv
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getEvidence(req, res) {
+    try {
+      const campaignId = parseCampaignId(req, res);
+      if (campaignId === null) return;
+
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json(
+          CertificationView.formatErrorResponse('format must be json or csv', 400)
+        );
+      }
+
+      const evidence = await CertificationModel.getEvidence(campaignId);
+
+      if (!evidence) {
+        return res.status(404).json(
+          CertificationView.formatErrorResponse('Campaign not found', 404)
+        );
+      }
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="certification-${evidence.CAMPAIGN_CODE}-evidence.csv"`);
+        return res.send(CertificationView.formatEvidenceCsv(evidence));
+      }
+
+      res.json(CertificationView.formatEvidenceResponse(evidence));
+    } catch (error) {
+      res.status(500).json(
+        CertificationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
@@ -0,0 +1,725 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { SodRuleModel } from '../sod/model.js';
+import { ProvisioningModel } from '../provisioning/model.js';
+import { ValidationError, ForbiddenError, ConflictError } from '../../utils/errors.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+
+/**
+ * What a campaign reviews: assignments of the listed job roles, or of any job
+ * role whose effective duty roles belong to the listed modules
+ */
+export const SCOPE_TYPES = ['JOB_ROLE', 'MODULE'];
+
+export const DECISIONS = ['PENDING', 'CERTIFIED', 'REVOKED'];
+
+const ITEM_COLUMNS = `
+  CI.*,
+  C.CAMPAIGN_CODE,
+  C.STATUS AS CAMPAIGN_STATUS,
+  R.USERNAME AS REVIEWER_USERNAME`;
+
+const ITEM_FROM = `
+  FROM SEC.CERTIFICATION_ITEMS CI
+  JOIN SEC.CERTIFICATION_CAMPAIGNS C ON CI.CAMPAIGN_ID = C.CAMPAIGN_ID
+  LEFT JOIN SEC.USERS R ON CI.REVIEWER_USER_ID = R.USER_ID`;
+
+/**
+ * Certification Model - Database operations for SEC.CERTIFICATION_CAMPAIGNS,
+ * SEC.CERTIFICATION_CAMPAIGN_SCOPES and SEC.CERTIFICATION_ITEMS tables
+ *
+ * Important design:
+ *  - Launching a campaign builds one line item per active user job role assignment
+ *    in scope, with the job role's effective duty roles (explicit + inherited) at launch.
+ *  - The reviewer of an item is the user's manager, else the job role owner; items
+ *    with neither are reviewed by security (SEC_CERTIFICATIONS_MANAGE holders), who
+ *    may also decide any item. Nobody reviews their own access.
+ *  - Items are CERTIFIED or REVOKED while the campaign is OPEN. Closing the campaign
+ *    needs every item decided, and end-dates the assignments of REVOKED items (audited
+ *    on the user as CERTIFICATION_REVOKE) in the same transaction. Each revoked job role
+ *    is also excluded from rule provisioning for that user (see ProvisioningModel), so
+ *    a rule does not grant it back on the next evaluation.
+ */
+export class CertificationModel {
+  /**
+   * Get all campaigns with pagination and search
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {string} searchParams.status - Filter by STATUS (OPEN / CLOSED)
+   * @param {string} searchParams.scopeType - Filter by SCOPE_TYPE
+   * @param {string} searchParams.search - Search across code, name and description
+   * @returns {Promise<Object>} - Object containing data (with TOTAL_ITEMS / PENDING_ITEMS), total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.status) {
+      conditions.push('C.STATUS = :status');
+      searchBinds.status = searchParams.status;
+    }
+
+    if (searchParams.scopeType) {
+      conditions.push('C.SCOPE_TYPE = :scopeType');
+      searchBinds.scopeType = searchParams.scopeType;
+    }
+
+    if (searchParams.search) {
+      conditions.push(`(
+        UPPER(C.CAMPAIGN_CODE) LIKE UPPER(:search)
+        OR UPPER(C.CAMPAIGN_NAME) LIKE UPPER(:search)
+        OR UPPER(C.DESCRIPTION) LIKE UPPER(:search)
+      )`);
+      searchBinds.search = `%${searchParams.search}%`;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.CERTIFICATION_CAMPAIGNS C ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    const dataResult = await executeQuery(
+      `SELECT C.*,
+              (SELECT COUNT(*) FROM SEC.CERTIFICATION_ITEMS CI
+                WHERE CI.CAMPAIGN_ID = C.CAMPAIGN_ID) AS TOTAL_ITEMS,
+              (SELECT COUNT(*) FROM SEC.CERTIFICATION_ITEMS CI
+                WHERE CI.CAMPAIGN_ID = C.CAMPAIGN_ID AND CI.DECISION = 'PENDING') AS PENDING_ITEMS
+         FROM SEC.CERTIFICATION_CAMPAIGNS C
+         ${whereClause}
+        ORDER BY C.CAMPAIGN_ID
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: dataResult.rows,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Get campaign by ID
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} - Campaign with SCOPES and PROGRESS, or null if not found
+   */
+  static async getById(campaignId) {
+    const result = await executeQuery(
+      'SELECT * FROM SEC.CERTIFICATION_CAMPAIGNS WHERE CAMPAIGN_ID = :campaignId',
+      { campaignId }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const scopes = await executeQuery(
+      `SELECT SCOPE_ID, SCOPE_CODE
+         FROM SEC.CERTIFICATION_CAMPAIGN_SCOPES
+        WHERE CAMPAIGN_ID = :campaignId
+        ORDER BY SCOPE_CODE`,
+      { campaignId }
+    );
+
+    const { BY_REVIEWER, ...progress } = await this.getProgress(campaignId);
+
+    return {
+      ...result.rows[0],
+      SCOPES: scopes.rows,
+      PROGRESS: progress
+    };
+  }
+
+  /**
+   * Progress of a campaign: decisions overall and per reviewer
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} - { TOTAL, CERTIFIED, REVOKED, PENDING, PERCENT_COMPLETE, OVERDUE, BY_REVIEWER },
+   *          or null if the campaign is not found
+   */
+  static async getProgress(campaignId) {
+    const campaign = await executeQuery(
+      `SELECT STATUS, DUE_DATE,
+              CASE WHEN DUE_DATE < SYSTIMESTAMP THEN 1 ELSE 0 END AS PAST_DUE
+         FROM SEC.CERTIFICATION_CAMPAIGNS
+        WHERE CAMPAIGN_ID = :campaignId`,
+      { campaignId }
+    );
+
+    if (campaign.rows.length === 0) {
+      return null;
+    }
+
+    const result = await executeQuery(
+      `SELECT CI.REVIEWER_USER_ID, R.USERNAME AS REVIEWER_USERNAME, CI.DECISION, COUNT(*) AS TOTAL
+         FROM SEC.CERTIFICATION_ITEMS CI
+         LEFT JOIN SEC.USERS R ON CI.REVIEWER_USER_ID = R.USER_ID
+        WHERE CI.CAMPAIGN_ID = :campaignId
+        GROUP BY CI.REVIEWER_USER_ID, R.USERNAME, CI.DECISION
+        ORDER BY R.USERNAME, CI.DECISION`,
+      { campaignId }
+    );
+
+    const emptyCounts = () => ({ TOTAL: 0, CERTIFIED: 0, REVOKED: 0, PENDING: 0 });
+    const overall = emptyCounts();
+    const byReviewer = new Map();
+
+    for (const row of result.rows) {
+      const key = row.REVIEWER_USER_ID ?? null;
+      if (!byReviewer.has(key)) {
+        byReviewer.set(key, {
+          REVIEWER_USER_ID: key,
+          REVIEWER_USERNAME: row.REVIEWER_USERNAME ?? null,
+          ...emptyCounts()
+        });
+      }
+      for (const counts of [overall, byReviewer.get(key)]) {
+        counts[row.DECISION] += row.TOTAL;
+        counts.TOTAL += row.TOTAL;
+      }
+    }
+
+    const percentComplete = (counts) => counts.TOTAL === 0
+      ? 100
+      : Math.round(((counts.TOTAL - counts.PENDING) / counts.TOTAL) * 1000) / 10;
+
+    return {
+      ...overall,
+      PERCENT_COMPLETE: percentComplete(overall),
+      OVERDUE: campaign.rows[0].STATUS === 'OPEN' && campaign.rows[0].PAST_DUE === 1 && overall.PENDING > 0,
+      BY_REVIEWER: [...byReviewer.values()].map(counts => ({
+        ...counts,
+        PERCENT_COMPLETE: percentComplete(counts)
+      }))
+    };
+  }
+
+  /**
+   * Get line items with pagination and filters
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {number} searchParams.campaignId - Filter by campaign
+   * @param {string} searchParams.decision - Filter by DECISION
+   * @param {number} searchParams.reviewerUserId - Filter by assigned reviewer
+   * @param {number} searchParams.userId - Filter by the user under review
+   * @param {Object} searchParams.reviewableBy - { userId, isSecurity }: items of OPEN campaigns this reviewer
+   *        is assigned (security also gets the unassigned ones), excluding their own access
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getItems(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.campaignId !== undefined) {
+      conditions.push('CI.CAMPAIGN_ID = :campaignId');
+      searchBinds.campaignId = searchParams.campaignId;
+    }
+
+    if (searchParams.decision) {
+      conditions.push('CI.DECISION = :decision');
+      searchBinds.decision = searchParams.decision;
+    }
+
+    if (searchParams.reviewerUserId !== undefined) {
+      conditions.push('CI.REVIEWER_USER_ID = :reviewerUserId');
+      searchBinds.reviewerUserId = searchParams.reviewerUserId;
+    }
+
+    if (searchParams.userId !== undefined) {
+      conditions.push('CI.USER_ID = :userId');
+      searchBinds.userId = searchParams.userId;
+    }
+
+    if (searchParams.reviewableBy) {
+      conditions.push(`(
+        C.STATUS = 'OPEN'
+        AND (CI.USER_ID IS NULL OR CI.USER_ID <> :reviewer)
+        AND (CI.REVIEWER_USER_ID = :reviewer OR (CI.REVIEWER_USER_ID IS NULL AND :isSecurity = 1))
+      )`);
+      searchBinds.reviewer = searchParams.reviewableBy.userId;
+      searchBinds.isSecurity = searchParams.reviewableBy.isSecurity ? 1 : 0;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total ${ITEM_FROM} ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    const dataResult = await executeQuery(
+      `SELECT ${ITEM_COLUMNS}
+         ${ITEM_FROM}
+         ${whereClause}
+        ORDER BY CI.CAMPAIGN_ID, CI.USERNAME, CI.JOB_ROLE_CODE
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: dataResult.rows,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Helper: check the scope IDs exist and return their codes (inside the caller's transaction)
+   * @param {Object} connection - Open connection
+   * @returns {Promise<Array<{SCOPE_ID:number, SCOPE_CODE:string}>>}
+   */
+  static async resolveScopes(connection, scopeType, scopeIds) {
+    const { placeholders, binds } = buildInClause(scopeIds);
+    const result = await connection.execute(
+      scopeType === 'JOB_ROLE'
+        ? `SELECT JOB_ROLE_ID AS SCOPE_ID, JOB_ROLE_CODE AS SCOPE_CODE
+             FROM SEC.JOB_ROLES
+            WHERE JOB_ROLE_ID IN (${placeholders})`
+        : `SELECT MODULE_ID AS SCOPE_ID, MODULE_CODE AS SCOPE_CODE
+             FROM SEC.MODULES
+            WHERE MODULE_ID IN (${placeholders})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const found = new Set(result.rows.map(row => row.SCOPE_ID));
+    const missing = scopeIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      const label = scopeType === 'JOB_ROLE' ? 'Job role(s)' : 'Module(s)';
+      throw new ValidationError(`${label} ${missing.join(', ')} does not exist`);
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Build the line items of a new campaign: one per active assignment in scope,
+   * read inside the launching transaction
+   * @param {Object} connection - Open connection
+   * @param {string} scopeType - JOB_ROLE or MODULE
+   * @param {Array<number>} scopeIds - Job role or module IDs
+   * @returns {Promise<Array<Object>>} - Item rows ready to insert
+   */
+  static async buildItems(connection, scopeType, scopeIds) {
+    const execute = (sql, binds = {}) =>
+      connection.execute(sql, binds, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+
+    const assignments = await execute(
+      `SELECT UJR.USER_JOB_ROLE_ID, UJR.USER_ID, U.USERNAME, U.MANAGER_USER_ID,
+              UJR.JOB_ROLE_ID, JR.JOB_ROLE_CODE, JR.JOB_ROLE_NAME, JR.OWNER_USER_ID,
+              UJR.ASSIGNMENT_SOURCE, UJR.START_DATE
+         FROM SEC.USER_JOB_ROLES UJR
+         JOIN SEC.USERS U ON UJR.USER_ID = U.USER_ID
+         JOIN SEC.JOB_ROLES JR ON UJR.JOB_ROLE_ID = JR.JOB_ROLE_ID
+        WHERE UJR.START_DATE <= SYSTIMESTAMP
+          AND (UJR.END_DATE IS NULL OR UJR.END_DATE > SYSTIMESTAMP)
+        ORDER BY U.USERNAME, JR.JOB_ROLE_CODE`
+    );
+
+    // effective duty roles (explicit + inherited) of each assigned job role
+    const dutyRoleIdsByJobRole = new Map();
+    for (const jobRoleId of new Set(assignments.rows.map(row => row.JOB_ROLE_ID))) {
+      const jobRoleIds = await SodRuleModel.collectLinked(
+        connection, 'SEC.JOB_ROLE_INHERITANCE', 'CHILD_JOB_ROLE_ID', 'PARENT_JOB_ROLE_ID', [jobRoleId]
+      );
+      const { placeholders, binds } = buildInClause(jobRoleIds);
+      const result = await execute(
+        `SELECT DISTINCT DUTY_ROLE_ID FROM SEC.JOB_ROLE_DUTY_ROLES WHERE JOB_ROLE_ID IN (${placeholders})`,
+        binds
+      );
+      dutyRoleIdsByJobRole.set(jobRoleId, result.rows.map(row => row.DUTY_ROLE_ID));
+    }
+
+    const allDutyRoleIds = [...new Set([...dutyRoleIdsByJobRole.values()].flat())];
+    const dutyRoles = new Map();
+    if (allDutyRoleIds.length > 0) {
+      const { placeholders, binds } = buildInClause(allDutyRoleIds);
+      const result = await execute(
+        `SELECT DUTY_ROLE_ID, ROLE_CODE, MODULE_ID
+           FROM SEC.DUTY_ROLES
+          WHERE DUTY_ROLE_ID IN (${placeholders})`,
+        binds
+      );
+      result.rows.forEach(row => dutyRoles.set(row.DUTY_ROLE_ID, row));
+    }
+
+    const scope = new Set(scopeIds);
+    const items = [];
+
+    for (const row of assignments.rows) {
+      const effective = dutyRoleIdsByJobRole.get(row.JOB_ROLE_ID)
+        .map(id => dutyRoles.get(id))
+        .filter(Boolean)
+        .sort((a, b) => a.ROLE_CODE.localeCompare(b.ROLE_CODE));
+
+      const inScope = scopeType === 'JOB_ROLE'
+        ? scope.has(row.JOB_ROLE_ID)
+        : effective.some(dutyRole => scope.has(dutyRole.MODULE_ID));
+      if (!inScope) continue;
+
+      // manager first, then role owner; nobody reviews their own access
+      const reviewerUserId = [row.MANAGER_USER_ID, row.OWNER_USER_ID]
+        .find(id => id !== null && id !== undefined && id !== row.USER_ID) ?? null;
+
+      items.push({
+        userId: row.USER_ID,
+        username: row.USERNAME,
+        userJobRoleId: row.USER_JOB_ROLE_ID,
+        jobRoleId: row.JOB_ROLE_ID,
+        jobRoleCode: row.JOB_ROLE_CODE,
+        jobRoleName: row.JOB_ROLE_NAME,
+        dutyRoles: effective.map(dutyRole => dutyRole.ROLE_CODE).join(',').slice(0, 4000) || null,
+        assignmentSource: row.ASSIGNMENT_SOURCE,
+        assignmentStartDate: row.START_DATE,
+        reviewerUserId
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Launch a campaign: create it and build its line items
+   * @param {Object} campaignData - Campaign data
+   * @param {string} campaignData.campaignCode - Unique campaign code, e.g. SOX-2026-Q3
+   * @param {string} campaignData.campaignName - Campaign name
+   * @param {string} campaignData.description - Description
+   * @param {string} campaignData.scopeType - JOB_ROLE or MODULE
+   * @param {Array<number>} campaignData.scopeIds - Job role or module IDs
+   * @param {Date} campaignData.dueDate - Review deadline (optional)
+   * @param {string} campaignData.createdBy - Username launching the campaign
+   * @returns {Promise<Object>} - Created campaign (see getById)
+   */
+  static async launch(campaignData) {
+    const {
+      campaignCode,
+      campaignName,
+      description,
+      scopeType,
+      scopeIds,
+      dueDate = null,
+      createdBy = 'SYSTEM'
+    } = campaignData;
+
+    const connection = await getConnection();
+    try {
+      const scopes = await this.resolveScopes(connection, scopeType, scopeIds);
+      const items = await this.buildItems(connection, scopeType, scopeIds);
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.CERTIFICATION_CAMPAIGNS (
+          CAMPAIGN_CODE,
+          CAMPAIGN_NAME,
+          DESCRIPTION,
+          SCOPE_TYPE,
+          DUE_DATE,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :campaignCode,
+          :campaignName,
+          :description,
+          :scopeType,
+          :dueDate,
+          'OPEN',
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING CAMPAIGN_ID INTO :campaignId`,
+        {
+          campaignCode,
+          campaignName,
+          description: description || null,
+          scopeType,
+          dueDate,
+          createdBy,
+          campaignId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const campaignId = result.outBinds.campaignId[0];
+
+      await connection.executeMany(
+        `INSERT INTO SEC.CERTIFICATION_CAMPAIGN_SCOPES (CAMPAIGN_ID, SCOPE_ID, SCOPE_CODE)
+         VALUES (:campaignId, :scopeId, :scopeCode)`,
+        scopes.map(scope => ({ campaignId, scopeId: scope.SCOPE_ID, scopeCode: scope.SCOPE_CODE })),
+        { autoCommit: false }
+      );
+
+      if (items.length > 0) {
+        await connection.executeMany(
+          `INSERT INTO SEC.CERTIFICATION_ITEMS (
+            CAMPAIGN_ID,
+            USER_ID,
+            USERNAME,
+            USER_JOB_ROLE_ID,
+            JOB_ROLE_ID,
+            JOB_ROLE_CODE,
+            JOB_ROLE_NAME,
+            DUTY_ROLES,
+            ASSIGNMENT_SOURCE,
+            ASSIGNMENT_START_DATE,
+            REVIEWER_USER_ID,
+            DECISION
+          ) VALUES (
+            :campaignId,
+            :userId,
+            :username,
+            :userJobRoleId,
+            :jobRoleId,
+            :jobRoleCode,
+            :jobRoleName,
+            :dutyRoles,
+            :assignmentSource,
+            :assignmentStartDate,
+            :reviewerUserId,
+            'PENDING'
+          )`,
+          items.map(item => ({ campaignId, ...item })),
+          { autoCommit: false }
+        );
+      }
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(campaignId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Certify or revoke a line item (while the campaign is OPEN; a decision can be changed until close)
+   * @param {number} campaignId - Campaign ID
+   * @param {number} itemId - Line item ID
+   * @param {string} decision - CERTIFIED or REVOKED
+   * @param {Object} reviewer - { userId, username, isSecurity }
+   * @param {string} comments - Reviewer comments
+   * @returns {Promise<Object|null>} - Updated item, or null if not found
+   */
+  static async decide(campaignId, itemId, decision, reviewer, comments) {
+    const select = `SELECT ${ITEM_COLUMNS} ${ITEM_FROM}
+      WHERE CI.CAMPAIGN_ID = :campaignId AND CI.ITEM_ID = :itemId`;
+
+    const connection = await getConnection();
+    try {
+      const execute = (sql, binds = {}) =>
+        connection.execute(sql, binds, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+
+      const item = (await execute(select, { campaignId, itemId })).rows[0];
+      if (!item) {
+        await connection.close();
+        return null;
+      }
+
+      if (item.CAMPAIGN_STATUS !== 'OPEN') {
+        throw new ConflictError(`Campaign ${item.CAMPAIGN_CODE} is closed`);
+      }
+
+      if (item.USER_ID === reviewer.userId) {
+        throw new ForbiddenError(`Not allowed to review your own access (item ${itemId})`);
+      }
+
+      if (item.REVIEWER_USER_ID !== reviewer.userId && !reviewer.isSecurity) {
+        throw new ForbiddenError(`Not allowed to review item ${itemId}: it is assigned to ${item.REVIEWER_USERNAME || 'security'}`);
+      }
+
+      await connection.execute(
+        `UPDATE SEC.CERTIFICATION_ITEMS
+            SET DECISION          = :decision,
+                DECISION_COMMENTS = :comments,
+                DECIDED_BY        = :decidedBy,
+                DECIDED_AT        = SYSTIMESTAMP
+          WHERE ITEM_ID = :itemId`,
+        { decision, comments: comments || null, decidedBy: reviewer.username, itemId },
+        { autoCommit: false }
+      );
+
+      const updated = (await execute(select, { campaignId, itemId })).rows[0];
+
+      await connection.commit();
+      await connection.close();
+
+      return updated;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Close a campaign and apply its revocations
+   * @param {number} campaignId - Campaign ID
+   * @param {string} closedBy - Username closing the campaign
+   * @returns {Promise<Object|null>} - Closed campaign (see getById) with REVOCATIONS_APPLIED, or null if not found
+   */
+  static async close(campaignId, closedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const execute = (sql, binds = {}) =>
+        connection.execute(sql, binds, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+
+      const campaign = (await execute(
+        'SELECT CAMPAIGN_CODE, STATUS FROM SEC.CERTIFICATION_CAMPAIGNS WHERE CAMPAIGN_ID = :campaignId',
+        { campaignId }
+      )).rows[0];
+
+      if (!campaign) {
+        await connection.close();
+        return null;
+      }
+
+      if (campaign.STATUS !== 'OPEN') {
+        throw new ConflictError(`Campaign ${campaign.CAMPAIGN_CODE} is already closed`);
+      }
+
+      const pending = await execute(
+        `SELECT COUNT(*) AS TOTAL
+           FROM SEC.CERTIFICATION_ITEMS
+          WHERE CAMPAIGN_ID = :campaignId
+            AND DECISION = 'PENDING'`,
+        { campaignId }
+      );
+      if (pending.rows[0].TOTAL > 0) {
+        throw new ConflictError(
+          `Cannot close campaign ${campaign.CAMPAIGN_CODE}: ${pending.rows[0].TOTAL} line item(s) are still pending`
+        );
+      }
+
+      const revoked = await execute(
+        `SELECT ITEM_ID, USER_ID, USER_JOB_ROLE_ID, JOB_ROLE_ID
+           FROM SEC.CERTIFICATION_ITEMS
+          WHERE CAMPAIGN_ID = :campaignId
+            AND DECISION = 'REVOKED'
+            AND USER_JOB_ROLE_ID IS NOT NULL
+          ORDER BY USER_ID, ITEM_ID`,
+        { campaignId }
+      );
+
+      const itemsByUser = new Map();
+      for (const row of revoked.rows) {
+        if (!itemsByUser.has(row.USER_ID)) itemsByUser.set(row.USER_ID, []);
+        itemsByUser.get(row.USER_ID).push(row);
+      }
+
+      const now = new Date();
+      let applied = 0;
+
+      for (const [userId, items] of itemsByUser) {
+        const before = await AuditModel.snapshot(connection, 'USER', userId);
+        let changed = false;
+
+        for (const item of items) {
+          // assignments that ended since launch are left as they are
+          const result = await connection.execute(
+            `UPDATE SEC.USER_JOB_ROLES
+                SET END_DATE   = :endDate,
+                    UPDATED_AT = SYSTIMESTAMP,
+                    UPDATED_BY = :updatedBy
+              WHERE USER_JOB_ROLE_ID = :userJobRoleId
+                AND (END_DATE IS NULL OR END_DATE > :endDate)`,
+            { endDate: now, updatedBy: closedBy, userJobRoleId: item.USER_JOB_ROLE_ID },
+            { autoCommit: false }
+          );
+
+          if (result.rowsAffected > 0) {
+            changed = true;
+            applied++;
+            await connection.execute(
+              'UPDATE SEC.CERTIFICATION_ITEMS SET REVOKED_AT = :revokedAt WHERE ITEM_ID = :itemId',
+              { revokedAt: now, itemId: item.ITEM_ID },
+              { autoCommit: false }
+            );
+          }
+
+          // whatever granted the role, rules must not grant it back
+          await ProvisioningModel.exclude(connection, {
+            userId,
+            jobRoleId: item.JOB_ROLE_ID,
+            certificationItemId: item.ITEM_ID,
+            createdBy: closedBy
+          });
+          changed = true;
+        }
+
+        if (changed) {
+          await AuditModel.recordChange(connection, {
+            entityType: 'USER',
+            entityId: userId,
+            action: 'CERTIFICATION_REVOKE',
+            actor: closedBy,
+            before
+          });
+        }
+      }
+
+      await connection.execute(
+        `UPDATE SEC.CERTIFICATION_CAMPAIGNS
+            SET STATUS     = 'CLOSED',
+                CLOSED_BY  = :closedBy,
+                CLOSED_AT  = SYSTIMESTAMP,
+                UPDATED_BY = :closedBy,
+                UPDATED_AT = SYSTIMESTAMP
+          WHERE CAMPAIGN_ID = :campaignId`,
+        { closedBy, campaignId },
+        { autoCommit: false }
+      );
+
+      await connection.commit();
+      await connection.close();
+
+      const closed = await this.getById(campaignId);
+      return { ...closed, REVOCATIONS_APPLIED: applied };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Evidence of a campaign: the campaign, its progress and every line item with its decision
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} - Campaign (see getById) with ITEMS, or null if not found
+   */
+  static async getEvidence(campaignId) {
+    const campaign = await this.getById(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    const items = await executeQuery(
+      `SELECT ${ITEM_COLUMNS}
+         ${ITEM_FROM}
+        WHERE CI.CAMPAIGN_ID = :campaignId
+        ORDER BY CI.USERNAME, CI.JOB_ROLE_CODE`,
+      { campaignId }
+    );
+
+    return { ...campaign, ITEMS: items.rows };
+  }
+}
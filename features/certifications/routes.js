@@ -0,0 +1,21 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { CertificationController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_CERTIFICATIONS');
+
+// Reviewers need only a signed-in user; whether they may decide an item is
+// checked against the item itself (assigned reviewer or security)
+router.get('/', canView, CertificationController.getAll);
+router.get('/reviews', CertificationController.getReviews);
+router.get('/:id', canView, CertificationController.getById);
+router.get('/:id/items', canView, CertificationController.getItems);
+router.get('/:id/progress', canView, CertificationController.getProgress);
+router.get('/:id/evidence', canView, CertificationController.getEvidence);
+router.post('/', canManage, CertificationController.launch);
+router.post('/:id/items/:itemId/certify', CertificationController.certify);
+router.post('/:id/items/:itemId/revoke', CertificationController.revoke);
+router.post('/:id/close', canManage, CertificationController.close);
+
+export default router;
@@ -0,0 +1,183 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+import { toCsv } from '../../utils/csvUtils.js';
+
+/**
+ * Helper: lower-case keys and split the duty role snapshot into codes
+ */
+function formatItem(item) {
+  const formatted = toLowerCaseKeys(item);
+  formatted.duty_roles = formatted.duty_roles ? formatted.duty_roles.split(',') : [];
+  return formatted;
+}
+
+/**
+ * Helper: pagination block shared by the campaign and line item lists
+ */
+function formatPagination(result, extra = {}) {
+  return {
+    page: result.page,
+    limit: result.limit,
+    total: result.total,
+    totalPages: result.totalPages,
+    hasNextPage: result.page < result.totalPages,
+    hasPrevPage: result.page > 1,
+    pages: generatePageNumbers(result.page, result.totalPages),
+    ...extra
+  };
+}
+
+/**
+ * Certification View - Response formatting for certification campaigns API
+ */
+export class CertificationView {
+  /**
+   * Format paginated campaign list
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const openCampaigns = result.data.filter(item => item.STATUS === 'OPEN').length;
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(result.data),
+      pagination: formatPagination(result, { openCampaigns })
+    };
+  }
+
+  /**
+   * Format single campaign response
+   * @param {Object} campaignData - Campaign object (with SCOPES and PROGRESS)
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(campaignData) {
+    if (!campaignData) {
+      return {
+        success: false,
+        message: 'Campaign not found'
+      };
+    }
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(campaignData)
+    };
+  }
+
+  /**
+   * Format paginated line items
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatItemsResponse(result) {
+    const pendingItems = result.data.filter(item => item.DECISION === 'PENDING').length;
+
+    return {
+      success: true,
+      data: result.data.map(formatItem),
+      pagination: formatPagination(result, { pendingItems })
+    };
+  }
+
+  /**
+   * Format a single line item
+   * @param {Object} item - Line item row
+   * @returns {Object} - Formatted response
+   */
+  static formatItemResponse(item) {
+    return {
+      success: true,
+      data: formatItem(item)
+    };
+  }
+
+  /**
+   * Format campaign progress
+   * @param {Object} progress - Progress from the model (with BY_REVIEWER)
+   * @returns {Object} - Formatted response
+   */
+  static formatProgressResponse(progress) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(progress)
+    };
+  }
+
+  /**
+   * Format campaign evidence as JSON
+   * @param {Object} evidence - Campaign with ITEMS
+   * @returns {Object} - Formatted response
+   */
+  static formatEvidenceResponse(evidence) {
+    const { ITEMS, ...campaign } = evidence;
+
+    return {
+      success: true,
+      generated_at: new Date().toISOString(),
+      data: {
+        ...toLowerCaseKeys(campaign),
+        items: ITEMS.map(formatItem)
+      }
+    };
+  }
+
+  /**
+   * Format campaign evidence as CSV
+   * One line per line item, with the campaign repeated on each line.
+   * @param {Object} evidence - Campaign with ITEMS
+   * @returns {string} - CSV document
+   */
+  static formatEvidenceCsv(evidence) {
+    const headers = [
+      'CAMPAIGN_CODE',
+      'CAMPAIGN_NAME',
+      'CAMPAIGN_STATUS',
+      'USERNAME',
+      'JOB_ROLE_CODE',
+      'JOB_ROLE_NAME',
+      'DUTY_ROLES',
+      'ASSIGNMENT_SOURCE',
+      'ASSIGNMENT_START_DATE',
+      'REVIEWER',
+      'DECISION',
+      'DECISION_COMMENTS',
+      'DECIDED_BY',
+      'DECIDED_AT',
+      'REVOKED_AT'
+    ];
+
+    const rows = evidence.ITEMS.map(item => [
+      evidence.CAMPAIGN_CODE,
+      evidence.CAMPAIGN_NAME,
+      evidence.STATUS,
+      item.USERNAME,
+      item.JOB_ROLE_CODE,
+      item.JOB_ROLE_NAME,
+      (item.DUTY_ROLES || '').split(',').filter(Boolean).join(' | '),
+      item.ASSIGNMENT_SOURCE,
+      item.ASSIGNMENT_START_DATE,
+      item.REVIEWER_USERNAME || 'SECURITY',
+      item.DECISION,
+      item.DECISION_COMMENTS,
+      item.DECIDED_BY,
+      item.DECIDED_AT,
+      item.REVOKED_AT
+    ]);
+
+    return toCsv(headers, rows);
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,236 @@
+import { DataRoleModel, DATA_SCOPE_TYPES } from './model.js';
+import { DataRoleView } from './view.js';
+import { parsePagination, createWriteErrorHandler } from '../../utils/controllerUtils.js';
+
+const handleWriteError = createWriteErrorHandler(DataRoleView, {
+  duplicateMessage: 'Data role code already exists',
+  messageStatuses: [[400, ['data scope', 'does not exist', 'No fields to update']]]
+});
+
+/**
+ * Data Role Controller - Handles HTTP requests for data roles
+ */
+export class DataRoleController {
+  /**
+   * Get all data roles with pagination and search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(DataRoleView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {};
+      if (req.query.dataRoleCode) {
+        searchParams.dataRoleCode = req.query.dataRoleCode;
+      }
+      if (req.query.dataRoleName) {
+        searchParams.dataRoleName = req.query.dataRoleName;
+      }
+      if (req.query.jobRoleId !== undefined) {
+        searchParams.jobRoleId = req.query.jobRoleId;
+      }
+      if (req.query.scopeValue) {
+        searchParams.scopeValue = req.query.scopeValue;
+      }
+      if (req.query.search) {
+        searchParams.search = req.query.search;
+      }
+
+      if (req.query.scopeType) {
+        const scopeTypeUpper = req.query.scopeType.toUpperCase();
+        if (!DATA_SCOPE_TYPES.includes(scopeTypeUpper)) {
+          return res.status(400).json(
+            DataRoleView.formatErrorResponse(`scopeType must be one of ${DATA_SCOPE_TYPES.join(', ')}`, 400)
+          );
+        }
+        searchParams.scopeType = scopeTypeUpper;
+      }
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (!['ACTIVE', 'INACTIVE'].includes(statusUpper)) {
+          return res.status(400).json(
+            DataRoleView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+          );
+        }
+        searchParams.status = statusUpper;
+      }
+
+      const result = await DataRoleModel.getAll(page, limit, searchParams);
+      res.json(DataRoleView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        DataRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get data role by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const dataRoleId = parseInt(req.params.id);
+
+      if (isNaN(dataRoleId)) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('Invalid data role ID', 400)
+        );
+      }
+
+      const dataRoleData = await DataRoleModel.getById(dataRoleId);
+
+      if (!dataRoleData) {
+        return res.status(404).json(
+          DataRoleView.formatErrorResponse('Data role not found', 404)
+        );
+      }
+
+      res.json(DataRoleView.formatSingleResponse(dataRoleData));
+    } catch (error) {
+      res.status(500).json(
+        DataRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Create a new data role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { dataRoleCode, dataRoleName, description, jobRoleId, dataScopes, status } = req.body;
+
+      if (!dataRoleCode) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('dataRoleCode is required', 400)
+        );
+      }
+
+      if (!dataRoleName) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('dataRoleName is required', 400)
+        );
+      }
+
+      if (!Number.isInteger(jobRoleId)) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('jobRoleId is required and must be an integer', 400)
+        );
+      }
+
+      if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+        );
+      }
+
+      const dataRoleData = await DataRoleModel.create({
+        dataRoleCode,
+        dataRoleName,
+        description,
+        jobRoleId,
+        dataScopes,
+        status: status ? status.toUpperCase() : 'ACTIVE',
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(DataRoleView.formatSingleResponse(dataRoleData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Update a data role (dataScopes, when given, replaces the current scopes)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const dataRoleId = parseInt(req.params.id);
+
+      if (isNaN(dataRoleId)) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('Invalid data role ID', 400)
+        );
+      }
+
+      const { dataRoleCode, dataRoleName, description, jobRoleId, dataScopes, status } = req.body;
+
+      if (jobRoleId !== undefined && !Number.isInteger(jobRoleId)) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('jobRoleId must be an integer', 400)
+        );
+      }
+
+      if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+        );
+      }
+
+      const dataRoleData = await DataRoleModel.update(dataRoleId, {
+        dataRoleCode,
+        dataRoleName,
+        description,
+        jobRoleId,
+        dataScopes,
+        status: status ? status.toUpperCase() : undefined,
+        updatedBy: req.user.username
+      });
+
+      if (!dataRoleData) {
+        return res.status(404).json(
+          DataRoleView.formatErrorResponse('Data role not found', 404)
+        );
+      }
+
+      res.json(DataRoleView.formatSingleResponse(dataRoleData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Delete a data role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async delete(req, res) {
+    try {
+      const dataRoleId = parseInt(req.params.id);
+
+      if (isNaN(dataRoleId)) {
+        return res.status(400).json(
+          DataRoleView.formatErrorResponse('Invalid data role ID', 400)
+        );
+      }
+
+      const deleted = await DataRoleModel.delete(dataRoleId, req.user.username);
+
+      if (!deleted) {
+        return res.status(404).json(
+          DataRoleView.formatErrorResponse('Data role not found', 404)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'Data role deleted successfully'
+      });
+    } catch (error) {
+      res.status(500).json(
+        DataRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
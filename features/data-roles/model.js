@@ -0,0 +1,531 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+import { ValidationError } from '../../utils/errors.js';
+import { ORG_TYPES } from '../organizations/model.js';
+
+/**
+ * Kinds of data context a data role can be scoped to: the organization types
+ */
+export const DATA_SCOPE_TYPES = ORG_TYPES;
+
+/**
+ * Data Role Model - Database operations for SEC.DATA_ROLES and SEC.DATA_ROLE_SCOPES tables
+ *
+ * Important design:
+ *  - SEC.DATA_ROLES        = a job role combined with a data context (JOB_ROLE_ID is required)
+ *  - SEC.DATA_ROLE_SCOPES  = the data context: one row per SCOPE_TYPE / SCOPE_VALUE pair,
+ *                            e.g. BUSINESS_UNIT / US1, LEDGER / US_PRIMARY; at least one per data role.
+ *                            SCOPE_VALUE is the ORG_CODE of an organization of type SCOPE_TYPE
+ *                            (see OrganizationModel), checked when the scopes are written.
+ *
+ *  A data role grants the privileges of its job role, limited to its data scopes.
+ *  Data roles are assigned to users through SEC.USER_DATA_ROLES (see UserModel).
+ *  A job role cannot be deleted while data roles are defined on it.
+ */
+export class DataRoleModel {
+  /**
+   * Validate and normalize a data scope list
+   * @param {Array<Object>} dataScopes - [{ scopeType, scopeValue }] (snake_case keys are accepted too)
+   * @returns {Array<{SCOPE_TYPE:string, SCOPE_VALUE:string}>} - De-duplicated scopes, sorted
+   * @throws when the list is empty or a scope is invalid
+   */
+  static normalizeScopes(dataScopes) {
+    if (!Array.isArray(dataScopes) || dataScopes.length === 0) {
+      throw new Error('A data role needs at least one data scope');
+    }
+
+    const scopes = new Map();
+    for (const scope of dataScopes) {
+      const scopeType = String(scope?.scopeType ?? scope?.scope_type ?? '').trim().toUpperCase();
+      const scopeValue = String(scope?.scopeValue ?? scope?.scope_value ?? '').trim();
+
+      if (!DATA_SCOPE_TYPES.includes(scopeType)) {
+        throw new Error(`Invalid data scope type: ${scopeType || '(empty)'} (allowed: ${DATA_SCOPE_TYPES.join(', ')})`);
+      }
+      if (!scopeValue) {
+        throw new Error(`Missing data scope value for ${scopeType}`);
+      }
+
+      scopes.set(`${scopeType}\n${scopeValue}`, { SCOPE_TYPE: scopeType, SCOPE_VALUE: scopeValue });
+    }
+
+    return [...scopes.values()].sort((a, b) =>
+      a.SCOPE_TYPE.localeCompare(b.SCOPE_TYPE) || a.SCOPE_VALUE.localeCompare(b.SCOPE_VALUE)
+    );
+  }
+
+  /**
+   * Helper: attach DATA_SCOPES to data role rows
+   * @param {Array<Object>} rows - SEC.DATA_ROLES rows
+   * @returns {Promise<Array<Object>>} - Rows with DATA_SCOPES [{ SCOPE_TYPE, SCOPE_VALUE }]
+   */
+  static async attachScopes(rows) {
+    if (rows.length === 0) return rows;
+
+    const { placeholders, binds } = buildInClause(rows.map(row => row.DATA_ROLE_ID));
+    const result = await executeQuery(
+      `SELECT DATA_ROLE_ID, SCOPE_TYPE, SCOPE_VALUE
+         FROM SEC.DATA_ROLE_SCOPES
+        WHERE DATA_ROLE_ID IN (${placeholders})
+        ORDER BY SCOPE_TYPE, SCOPE_VALUE`,
+      binds
+    );
+
+    return rows.map(row => ({
+      ...row,
+      DATA_SCOPES: result.rows
+        .filter(scope => scope.DATA_ROLE_ID === row.DATA_ROLE_ID)
+        .map(({ SCOPE_TYPE, SCOPE_VALUE }) => ({ SCOPE_TYPE, SCOPE_VALUE }))
+    }));
+  }
+
+  /**
+   * Get all data roles with pagination and search
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {string} searchParams.dataRoleCode - Search DATA_ROLE_CODE (partial match)
+   * @param {string} searchParams.dataRoleName - Search DATA_ROLE_NAME (partial match)
+   * @param {number} searchParams.jobRoleId - Filter by JOB_ROLE_ID
+   * @param {string} searchParams.scopeType - Filter by data scope type
+   * @param {string} searchParams.scopeValue - Filter by data scope value (exact match)
+   * @param {string} searchParams.status - Filter by STATUS
+   * @param {string} searchParams.search - Search across code, name and description
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.dataRoleCode) {
+      conditions.push('UPPER(DR.DATA_ROLE_CODE) LIKE UPPER(:dataRoleCode)');
+      searchBinds.dataRoleCode = `%${searchParams.dataRoleCode}%`;
+    }
+
+    if (searchParams.dataRoleName) {
+      conditions.push('UPPER(DR.DATA_ROLE_NAME) LIKE UPPER(:dataRoleName)');
+      searchBinds.dataRoleName = `%${searchParams.dataRoleName}%`;
+    }
+
+    if (searchParams.jobRoleId !== undefined && searchParams.jobRoleId !== null) {
+      const jobRoleId = parseInt(searchParams.jobRoleId);
+      if (!isNaN(jobRoleId)) {
+        conditions.push('DR.JOB_ROLE_ID = :jobRoleId');
+        searchBinds.jobRoleId = jobRoleId;
+      }
+    }
+
+    if (searchParams.scopeType || searchParams.scopeValue) {
+      const scopeConditions = ['S.DATA_ROLE_ID = DR.DATA_ROLE_ID'];
+      if (searchParams.scopeType) {
+        scopeConditions.push('S.SCOPE_TYPE = :scopeType');
+        searchBinds.scopeType = searchParams.scopeType.toUpperCase();
+      }
+      if (searchParams.scopeValue) {
+        scopeConditions.push('S.SCOPE_VALUE = :scopeValue');
+        searchBinds.scopeValue = searchParams.scopeValue;
+      }
+      conditions.push(`EXISTS (SELECT 1 FROM SEC.DATA_ROLE_SCOPES S WHERE ${scopeConditions.join(' AND ')})`);
+    }
+
+    if (searchParams.status) {
+      conditions.push('UPPER(DR.STATUS) = UPPER(:status)');
+      searchBinds.status = searchParams.status.toUpperCase();
+    }
+
+    if (searchParams.search) {
+      conditions.push(`(
+        UPPER(DR.DATA_ROLE_CODE) LIKE UPPER(:search)
+        OR UPPER(DR.DATA_ROLE_NAME) LIKE UPPER(:search)
+        OR UPPER(DR.DESCRIPTION) LIKE UPPER(:search)
+      )`);
+      searchBinds.search = `%${searchParams.search}%`;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.DATA_ROLES DR ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    // Activity counts - same filters but excluding status
+    const activityConditions = conditions.filter(c => !c.includes('STATUS'));
+    const activityBinds = { ...searchBinds };
+    delete activityBinds.status;
+
+    const activeWhereClause = `WHERE ${[...activityConditions, "UPPER(DR.STATUS) = 'ACTIVE'"].join(' AND ')}`;
+    const inactiveWhereClause = `WHERE ${[...activityConditions, "UPPER(DR.STATUS) = 'INACTIVE'"].join(' AND ')}`;
+
+    const activeCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_active FROM SEC.DATA_ROLES DR ${activeWhereClause}`,
+      activityBinds
+    );
+    const inactiveCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_inactive FROM SEC.DATA_ROLES DR ${inactiveWhereClause}`,
+      activityBinds
+    );
+
+    const dataResult = await executeQuery(
+      `SELECT DR.*, JR.JOB_ROLE_CODE, JR.JOB_ROLE_NAME
+         FROM SEC.DATA_ROLES DR
+         JOIN SEC.JOB_ROLES JR ON DR.JOB_ROLE_ID = JR.JOB_ROLE_ID
+         ${whereClause}
+        ORDER BY DR.DATA_ROLE_ID
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: await this.attachScopes(dataResult.rows),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      activity: {
+        total_active_value: activeCountResult.rows[0].TOTAL_ACTIVE,
+        total_inactive_value: inactiveCountResult.rows[0].TOTAL_INACTIVE
+      }
+    };
+  }
+
+  /**
+   * Get data role by ID
+   * @param {number} dataRoleId - Data role ID
+   * @returns {Promise<Object|null>} - Data role with JOB_ROLE_CODE / JOB_ROLE_NAME and DATA_SCOPES, or null if not found
+   */
+  static async getById(dataRoleId) {
+    const result = await executeQuery(
+      `SELECT DR.*, JR.JOB_ROLE_CODE, JR.JOB_ROLE_NAME
+         FROM SEC.DATA_ROLES DR
+         JOIN SEC.JOB_ROLES JR ON DR.JOB_ROLE_ID = JR.JOB_ROLE_ID
+        WHERE DR.DATA_ROLE_ID = :dataRoleId`,
+      { dataRoleId }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [dataRole] = await this.attachScopes(result.rows);
+    return dataRole;
+  }
+
+  /**
+   * Helper: check that a job role exists (inside the caller's transaction)
+   */
+  static async validateJobRole(connection, jobRoleId) {
+    const result = await connection.execute(
+      'SELECT JOB_ROLE_ID FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID = :jobRoleId',
+      { jobRoleId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Job role ${jobRoleId} does not exist`);
+    }
+  }
+
+  /**
+   * Helper: check every scope names an organization of its type
+   * @param {Object} connection - Open connection
+   * @param {Array<Object>} scopes - Output of normalizeScopes()
+   * @throws {ValidationError} when an organization is missing or of another type
+   */
+  static async validateScopes(connection, scopes) {
+    const { placeholders, binds } = buildInClause([...new Set(scopes.map(scope => scope.SCOPE_VALUE))], 'org');
+    const result = await connection.execute(
+      `SELECT ORG_CODE, ORG_TYPE
+         FROM SEC.ORGANIZATIONS
+        WHERE ORG_CODE IN (${placeholders})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const typeByCode = new Map(result.rows.map(row => [row.ORG_CODE, row.ORG_TYPE]));
+
+    for (const scope of scopes) {
+      const orgType = typeByCode.get(scope.SCOPE_VALUE);
+      if (!orgType) {
+        throw new ValidationError(`Invalid data scope ${scope.SCOPE_TYPE} ${scope.SCOPE_VALUE}: organization ${scope.SCOPE_VALUE} does not exist`);
+      }
+      if (orgType !== scope.SCOPE_TYPE) {
+        throw new ValidationError(`Invalid data scope ${scope.SCOPE_TYPE} ${scope.SCOPE_VALUE}: organization ${scope.SCOPE_VALUE} is a ${orgType}`);
+      }
+    }
+  }
+
+  /**
+   * Helper: add data scopes to a data role (inside the caller's transaction)
+   */
+  static async insertScopes(connection, dataRoleId, scopes, createdBy) {
+    await connection.executeMany(
+      `INSERT INTO SEC.DATA_ROLE_SCOPES (
+        DATA_ROLE_ID,
+        SCOPE_TYPE,
+        SCOPE_VALUE,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :dataRoleId,
+        :scopeType,
+        :scopeValue,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      scopes.map(scope => ({
+        dataRoleId,
+        scopeType: scope.SCOPE_TYPE,
+        scopeValue: scope.SCOPE_VALUE,
+        createdBy
+      })),
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Create a new data role
+   * @param {Object} dataRoleData - Data role data
+   * @param {string} dataRoleData.dataRoleCode - Data role code (unique)
+   * @param {string} dataRoleData.dataRoleName - Data role name
+   * @param {string} dataRoleData.description - Description
+   * @param {number} dataRoleData.jobRoleId - Job role the data role scopes
+   * @param {Array<Object>} dataRoleData.dataScopes - [{ scopeType, scopeValue }], at least one
+   * @param {string} dataRoleData.status - Status (default: 'ACTIVE')
+   * @param {string} dataRoleData.createdBy - Created by user
+   * @returns {Promise<Object>} - Created data role object
+   */
+  static async create(dataRoleData) {
+    const connection = await getConnection();
+    try {
+      const {
+        dataRoleCode,
+        dataRoleName,
+        description,
+        jobRoleId,
+        dataScopes,
+        status = 'ACTIVE',
+        createdBy = 'SYSTEM'
+      } = dataRoleData;
+
+      if (!dataRoleCode || !dataRoleName) {
+        throw new Error('dataRoleCode and dataRoleName are required');
+      }
+
+      const scopes = this.normalizeScopes(dataScopes);
+      await this.validateScopes(connection, scopes);
+      await this.validateJobRole(connection, jobRoleId);
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.DATA_ROLES (
+          DATA_ROLE_CODE,
+          DATA_ROLE_NAME,
+          DESCRIPTION,
+          JOB_ROLE_ID,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :dataRoleCode,
+          :dataRoleName,
+          :description,
+          :jobRoleId,
+          :status,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING DATA_ROLE_ID INTO :dataRoleId`,
+        {
+          dataRoleCode,
+          dataRoleName,
+          description: description || null,
+          jobRoleId,
+          status,
+          createdBy,
+          dataRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const dataRoleId = result.outBinds.dataRoleId[0];
+      await this.insertScopes(connection, dataRoleId, scopes, createdBy);
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'DATA_ROLE',
+        entityId: dataRoleId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(dataRoleId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a data role
+   * A dataScopes list replaces the current scopes.
+   * @param {number} dataRoleId - Data role ID
+   * @param {Object} dataRoleData - Data role data to update (same fields as create, plus updatedBy)
+   * @returns {Promise<Object|null>} - Updated data role object or null if not found
+   */
+  static async update(dataRoleId, dataRoleData) {
+    const connection = await getConnection();
+    try {
+      const {
+        dataRoleCode,
+        dataRoleName,
+        description,
+        jobRoleId,
+        dataScopes,
+        status,
+        updatedBy = 'SYSTEM'
+      } = dataRoleData;
+
+      const updates = [];
+      const binds = { dataRoleId };
+
+      if (dataRoleCode !== undefined) {
+        updates.push('DATA_ROLE_CODE = :dataRoleCode');
+        binds.dataRoleCode = dataRoleCode;
+      }
+
+      if (dataRoleName !== undefined) {
+        updates.push('DATA_ROLE_NAME = :dataRoleName');
+        binds.dataRoleName = dataRoleName;
+      }
+
+      if (description !== undefined) {
+        updates.push('DESCRIPTION = :description');
+        binds.description = description;
+      }
+
+      if (jobRoleId !== undefined) {
+        await this.validateJobRole(connection, jobRoleId);
+        updates.push('JOB_ROLE_ID = :jobRoleId');
+        binds.jobRoleId = jobRoleId;
+      }
+
+      if (status !== undefined) {
+        updates.push('STATUS = :status');
+        binds.status = status;
+      }
+
+      const scopes = dataScopes !== undefined ? this.normalizeScopes(dataScopes) : null;
+      if (scopes) {
+        await this.validateScopes(connection, scopes);
+      }
+
+      if (updates.length === 0 && !scopes) {
+        throw new Error('No fields to update');
+      }
+
+      const before = await AuditModel.snapshot(connection, 'DATA_ROLE', dataRoleId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      updates.push('UPDATED_AT = SYSTIMESTAMP');
+      updates.push('UPDATED_BY = :updatedBy');
+      binds.updatedBy = updatedBy;
+
+      await connection.execute(
+        `UPDATE SEC.DATA_ROLES
+            SET ${updates.join(', ')}
+          WHERE DATA_ROLE_ID = :dataRoleId`,
+        binds,
+        { autoCommit: false }
+      );
+
+      if (scopes) {
+        await connection.execute(
+          'DELETE FROM SEC.DATA_ROLE_SCOPES WHERE DATA_ROLE_ID = :dataRoleId',
+          { dataRoleId },
+          { autoCommit: false }
+        );
+        await this.insertScopes(connection, dataRoleId, scopes, updatedBy);
+      }
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'DATA_ROLE',
+        entityId: dataRoleId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(dataRoleId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a data role (its scopes and user assignments go with it)
+   * @param {number} dataRoleId - Data role ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  static async delete(dataRoleId, deletedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'DATA_ROLE', dataRoleId);
+
+      // users holding the data role lose it through ON DELETE CASCADE
+      const holders = await connection.execute(
+        `SELECT DISTINCT USER_ID
+           FROM SEC.USER_DATA_ROLES
+          WHERE DATA_ROLE_ID = :dataRoleId`,
+        { dataRoleId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      const result = await AuditModel.recordSideEffects(
+        connection,
+        { USER: holders.rows.map(row => row.USER_ID) },
+        deletedBy,
+        () => connection.execute(
+          'DELETE FROM SEC.DATA_ROLES WHERE DATA_ROLE_ID = :dataRoleId',
+          { dataRoleId },
+          { autoCommit: false }
+        )
+      );
+
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'DATA_ROLE',
+          entityId: dataRoleId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+      return result.rowsAffected > 0;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,15 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { DataRoleController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_DATA_ROLES');
+
+// Routes
+router.get('/', canView, DataRoleController.getAll);
+router.get('/:id', canView, DataRoleController.getById);
+router.post('/', canManage, DataRoleController.create);
+router.put('/:id', canManage, DataRoleController.update);
+router.delete('/:id', canManage, DataRoleController.delete);
+
+export default router;
@@ -0,0 +1,69 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+
+/**
+ * Data Role View - Response formatting for data roles API
+ */
+export class DataRoleView {
+  /**
+   * Format paginated response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const activeDataRoles = result.data.filter(item =>
+      item.STATUS === 'ACTIVE' || item.status === 'ACTIVE'
+    ).length;
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(result.data),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages),
+        activeDataRoles: activeDataRoles
+      },
+      activity: result.activity || {
+        total_active_value: 0,
+        total_inactive_value: 0
+      }
+    };
+  }
+
+  /**
+   * Format single data role response
+   * @param {Object} dataRoleData - Data role object (with DATA_SCOPES)
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(dataRoleData) {
+    if (!dataRoleData) {
+      return {
+        success: false,
+        message: 'Data role not found'
+      };
+    }
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(dataRoleData)
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -105,6 +105,113 @@ export class DutyRoleController {
     }
   }
 
+  /**
+   * Get the duty role inheritance graph
+   * @route GET /api/duty-roles/graph?format=json|dot|mermaid&root=&depth=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getGraph(req, res) {
+    try {
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!['json', 'dot', 'mermaid'].includes(format)) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('format must be json, dot or mermaid', 400)
+        );
+      }
+
+      // ?root=:id&depth=n → the root's ancestors and descendants up to n links away
+      let rootId = null;
+      if (req.query.root !== undefined) {
+        rootId = parseInt(req.query.root);
+        if (isNaN(rootId)) {
+          return res.status(400).json(
+            DutyRoleView.formatErrorResponse('Invalid root ID', 400)
+          );
+        }
+      }
+
+      let depth = null;
+      if (req.query.depth !== undefined) {
+        if (rootId === null) {
+          return res.status(400).json(
+            DutyRoleView.formatErrorResponse('depth requires root', 400)
+          );
+        }
+        depth = parseInt(req.query.depth);
+        if (isNaN(depth) || depth < 0) {
+          return res.status(400).json(
+            DutyRoleView.formatErrorResponse('depth must be a non-negative integer', 400)
+          );
+        }
+      }
+
+      const graph = await DutyRoleModel.getGraph(rootId, depth);
+
+      if (!graph) {
+        return res.status(404).json(
+          DutyRoleView.formatErrorResponse('Duty role not found', 404)
+        );
+      }
+
+      if (format === 'dot') {
+        res.setHeader('Content-Type', 'text/vnd.graphviz; charset=utf-8');
+        return res.send(DutyRoleView.formatGraphDot(graph));
+      }
+
+      if (format === 'mermaid') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.send(DutyRoleView.formatGraphMermaid(graph));
+      }
+
+      res.json(DutyRoleView.formatGraphResponse(graph));
+    } catch (error) {
+      res.status(500).json(
+        DutyRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Compare the effective access of two duty roles
+   * @route GET /api/duty-roles/compare?ids=1,2
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async compare(req, res) {
+    try {
+      const ids = String(req.query.ids || '')
+        .split(',')
+        .map(id => parseInt(id.trim()));
+
+      if (ids.length !== 2 || ids.some(id => isNaN(id))) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('ids must be two duty role IDs, e.g. ids=1,2', 400)
+        );
+      }
+
+      if (ids[0] === ids[1]) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('ids must be two different duty roles', 400)
+        );
+      }
+
+      const comparison = await DutyRoleModel.compare(ids[0], ids[1]);
+
+      if (!comparison) {
+        return res.status(404).json(
+          DutyRoleView.formatErrorResponse('Duty role not found', 404)
+        );
+      }
+
+      res.json(DutyRoleView.formatComparisonResponse(comparison));
+    } catch (error) {
+      res.status(500).json(
+        DutyRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
   /**
    * Get duty role by ID
    * @param {Object} req - Express request object
@@ -120,11 +227,32 @@ export class DutyRoleController {
         );
       }
       
-      const dutyRoleData = await DutyRoleModel.getById(dutyRoleId);
+      // ?asOf=<ISO timestamp> → the role as it was at that instant (audit trail)
+      let asOf = null;
+      if (req.query.asOf !== undefined) {
+        asOf = new Date(req.query.asOf);
+        if (isNaN(asOf.getTime())) {
+          return res.status(400).json(
+            DutyRoleView.formatErrorResponse('asOf must be a valid ISO 8601 timestamp', 400)
+          );
+        }
+        if (asOf > new Date()) {
+          return res.status(400).json(
+            DutyRoleView.formatErrorResponse('asOf cannot be in the future', 400)
+          );
+        }
+      }
+
+      const dutyRoleData = asOf
+        ? await DutyRoleModel.getByIdAsOf(dutyRoleId, asOf)
+        : await DutyRoleModel.getById(dutyRoleId);
       
       if (!dutyRoleData) {
         return res.status(404).json(
-          DutyRoleView.formatErrorResponse('Duty role not found', 404)
+          DutyRoleView.formatErrorResponse(
+            asOf ? `Duty role did not exist at ${asOf.toISOString()}` : 'Duty role not found',
+            404
+          )
         );
       }
       
@@ -143,7 +271,7 @@ export class DutyRoleController {
    */
   static async create(req, res) {
     try {
-      const { dutyRoleName, roleCode, description, moduleId, functionPrivileges, inheritedFromRoles, status, createdBy } = req.body;
+      const { dutyRoleName, roleCode, description, moduleId, functionPrivileges, inheritedFromRoles, status } = req.body;
 
       // Validate required fields
       if (!dutyRoleName) {
@@ -174,11 +302,43 @@ export class DutyRoleController {
         functionPrivileges,
         inheritedFromRoles,
         status: status || 'ACTIVE',
-        createdBy: createdBy || 'SYSTEM'
+        createdBy: req.user.username
       });
 
       res.status(201).json(DutyRoleView.formatSingleResponse(dutyRoleData));
     } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          DutyRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle invalid inheritance (self-inheritance, unknown parents, cycles)
+      if (
+        error.message.includes('cannot inherit from itself') ||
+        error.message.includes('Parent duty role(s) not found') ||
+        error.message.includes('Inheritance cycle detected')
+      ) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // Handle links to roles or privileges that do not exist
+      if (error.message.includes('parent key not found') || error.errorNum === 2291) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('One or more referenced privileges or parent duty roles do not exist', 400)
+        );
+      }
+
+      // Handle a role linked to itself
+      if (error.message.includes('check constraint') || error.errorNum === 2290) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('A role cannot inherit from itself', 400)
+        );
+      }
+
       // Handle unique constraint violations
       if (error.message.includes('unique constraint') || error.errorNum === 1) {
         return res.status(409).json(
@@ -195,6 +355,92 @@ export class DutyRoleController {
 
 
 
+  /**
+   * Clone a duty role, optionally with its descendants
+   * @route POST /api/duty-roles/:id/clone
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async clone(req, res) {
+    try {
+      const dutyRoleId = parseInt(req.params.id);
+
+      if (isNaN(dutyRoleId)) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('Invalid duty role ID', 400)
+        );
+      }
+
+      const { roleCode, dutyRoleName, deepCopy, codePrefix } = req.body;
+
+      // Validate required fields
+      if (!roleCode) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('roleCode is required', 400)
+        );
+      }
+
+      if (!dutyRoleName) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('dutyRoleName is required', 400)
+        );
+      }
+
+      if (deepCopy !== undefined && typeof deepCopy !== 'boolean') {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('deepCopy must be a boolean', 400)
+        );
+      }
+
+      if (deepCopy && !codePrefix) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('codePrefix is required when deepCopy is true', 400)
+        );
+      }
+
+      const cloneData = await DutyRoleModel.clone(dutyRoleId, {
+        roleCode,
+        dutyRoleName,
+        deepCopy: deepCopy === true,
+        codePrefix,
+        createdBy: req.user.username
+      });
+
+      if (!cloneData) {
+        return res.status(404).json(
+          DutyRoleView.formatErrorResponse('Duty role not found', 404)
+        );
+      }
+
+      res.status(201).json(DutyRoleView.formatSingleResponse(cloneData));
+    } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          DutyRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle a cycle in the hierarchy being copied
+      if (error.message.includes('Inheritance cycle detected')) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // Handle unique constraint violations (the clone or a prefixed descendant code)
+      if (error.message.includes('unique constraint') || error.errorNum === 1) {
+        return res.status(409).json(
+          DutyRoleView.formatErrorResponse('Role code already exists', 409)
+        );
+      }
+
+      res.status(500).json(
+        DutyRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
   /**
    * Update a duty role
    * @param {Object} req - Express request object
@@ -210,7 +456,7 @@ export class DutyRoleController {
         );
       }
 
-      const { dutyRoleName, roleCode, description, moduleId, functionPrivileges, inheritedFromRoles, status, updatedBy } = req.body;
+      const { dutyRoleName, roleCode, description, moduleId, functionPrivileges, inheritedFromRoles, status } = req.body;
 
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
@@ -228,7 +474,7 @@ export class DutyRoleController {
         functionPrivileges,
         inheritedFromRoles,
         status,
-        updatedBy: updatedBy || 'SYSTEM'
+        updatedBy: req.user.username
       });
 
       if (!dutyRoleData) {
@@ -239,6 +485,38 @@ export class DutyRoleController {
 
       res.json(DutyRoleView.formatSingleResponse(dutyRoleData));
     } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          DutyRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle invalid inheritance (self-inheritance, unknown parents, cycles)
+      if (
+        error.message.includes('cannot inherit from itself') ||
+        error.message.includes('Parent duty role(s) not found') ||
+        error.message.includes('Inheritance cycle detected')
+      ) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // Handle links to roles or privileges that do not exist
+      if (error.message.includes('parent key not found') || error.errorNum === 2291) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('One or more referenced privileges or parent duty roles do not exist', 400)
+        );
+      }
+
+      // Handle a role linked to itself
+      if (error.message.includes('check constraint') || error.errorNum === 2290) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('A role cannot inherit from itself', 400)
+        );
+      }
+
       // Handle unique constraint violations
       if (error.message.includes('unique constraint') || error.errorNum === 1) {
         return res.status(409).json(
@@ -253,8 +531,8 @@ export class DutyRoleController {
         );
       }
 
-      // Handle "cannot delete because has parents" error
-      if (error.message.includes('Cannot delete duty role') && error.message.includes('inherits from')) {
+      // Handle empty updates
+      if (error.message.includes('No fields to update')) {
         return res.status(400).json(
           DutyRoleView.formatErrorResponse(error.message, 400)
         );
@@ -289,7 +567,7 @@ export class DutyRoleController {
         );
       }
 
-      const deleted = await DutyRoleModel.delete(dutyRoleId);
+      const deleted = await DutyRoleModel.delete(dutyRoleId, req.user.username);
 
       if (!deleted) {
         return res.status(404).json(
@@ -302,6 +580,13 @@ export class DutyRoleController {
         message: 'Duty role deleted successfully'
       });
     } catch (error) {
+      // Handle "cannot delete because has parents" error
+      if (error.message.includes('Cannot delete duty role') && error.message.includes('inherits from')) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
       res.status(500).json(
         DutyRoleView.formatErrorResponse(error.message, 500)
       );
@@ -325,7 +610,7 @@ export class DutyRoleController {
 
       // Safely destructure req.body
       const body = req.body || {};
-      const { privilegeIds, updatedBy } = body;
+      const { privilegeIds } = body;
 
       if (!Array.isArray(privilegeIds) || privilegeIds.length === 0) {
         return res.status(400).json(
@@ -336,7 +621,7 @@ export class DutyRoleController {
       const result = await DutyRoleModel.addPrivilegesToDutyRole(
         dutyRoleId,
         privilegeIds,
-        updatedBy || 'SYSTEM'
+        req.user.username
       );
 
       if (!result) {
@@ -349,6 +634,20 @@ export class DutyRoleController {
         DutyRoleView.formatPrivilegeAssignmentResponse(result, privilegeIds)
       );
     } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          DutyRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle links to roles or privileges that do not exist
+      if (error.message.includes('parent key not found') || error.errorNum === 2291) {
+        return res.status(400).json(
+          DutyRoleView.formatErrorResponse('One or more referenced privileges or parent duty roles do not exist', 400)
+        );
+      }
+
       return res.status(500).json(
         DutyRoleView.formatErrorResponse(error.message, 500)
       );
@@ -363,7 +662,7 @@ export class DutyRoleController {
     try {
       const dutyRoleId = parseInt(req.params.id, 10);
       const privilegeId = parseInt(req.params.privilegeId, 10);
-      const updatedBy = req.body?.updatedBy || 'SYSTEM';
+      const updatedBy = req.user.username;
 
       if (isNaN(dutyRoleId)) {
         return res.status(400).json(
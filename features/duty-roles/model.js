@@ -1,172 +1,39 @@
 import { executeQuery, getConnection } from '../../config/db.js';
 import oracledb from 'oracledb';
 import { FunctionPrivilegeModel } from '../function-privileges/model.js';
+import { SodRuleModel } from '../sod/model.js';
+import { AuditModel } from '../audit/model.js';
+import { parseIdList } from '../../utils/stringUtils.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+import { diffByKey } from '../../utils/diffUtils.js';
+import { buildAdjacencyMap, findInheritanceCycle, collectSubgraphIds } from '../../utils/graphUtils.js';
 
 /**
  * Duty Role Model - Database operations for SEC.DUTY_ROLES table
+ *
+ * Important design:
+ *  - SEC.DUTY_ROLE_PRIVILEGES holds the EXPLICIT privileges of each duty role.
+ *  - SEC.DUTY_ROLE_INHERITANCE holds parent -> child links; a child inherits
+ *    every privilege of its parents, recursively.
+ *  - Both tables cascade on delete, so a link never outlives either end.
+ *  - Rows returned by this model carry the links as ID arrays under
+ *    FUNCTION_PRIVILEGES, INHERITED_FROM_ROLES and INHERITED_CHILD_ROLES.
+ *  - Writes that change parents are validated against the whole hierarchy:
+ *    no self-inheritance, no unknown parents, no cycles.
  */
 export class DutyRoleModel {
   /**
-   * Decode function privileges from database format to array of privilege objects
-   * @param {string|Array} encodedPrivileges - Encoded privileges from database
-   * @returns {Promise<Array>} - Array of privilege objects
+   * Helper: normalize a privilege list (IDs or privilege objects) to numeric IDs
    */
-/**
- * Decode function privileges from database format to array of privilege objects
- * Supported formats:
- *  - JSON string of IDs:           "[3,4,6]"
- *  - JSON string of objects:       "[{...}, {...}]"
- *  - Comma-separated IDs string:   "3,4,6"
- *  - Array of IDs:                 [3, 4, 6]
- *  - Array of objects:             [{...}, {...}]
- */
-static async decodeFunctionPrivileges(encodedPrivileges) {
-  if (!encodedPrivileges) {
-    return [];
-  }
-
-  try {
-    let value = encodedPrivileges;
-
-    // 1. If it's a string, try JSON parse first
-    if (typeof value === 'string') {
-      try {
-        value = JSON.parse(value);
-      } catch (e) {
-        // Not JSON → maybe "3,4,6"
-        const idList = value
-          .split(',')
-          .map((id) => parseInt(id.trim(), 10))
-          .filter((id) => !isNaN(id));
-
-        if (idList.length === 0) return [];
-
-        const privileges = await Promise.all(
-          idList.map((id) => FunctionPrivilegeModel.getById(id))
-        );
-        return privileges.filter((p) => p != null);
-      }
-    }
-
-    // 2. At this point, value is NOT a plain string anymore
-
-    // If it's already an array of full objects → just return as-is
-    if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object') {
-      return value;
-    }
-
-    // If it's an array (of IDs or ID-strings)
-    if (Array.isArray(value)) {
-      const idList = value
-        .map((v) =>
-          typeof v === 'number'
-            ? v
-            : parseInt(v, 10)
-        )
-        .filter((id) => !isNaN(id));
-
-      if (idList.length === 0) return [];
-
-      const privileges = await Promise.all(
-        idList.map((id) => FunctionPrivilegeModel.getById(id))
-      );
-      return privileges.filter((p) => p != null);
-    }
-
-    // Anything else → unsupported format
-    console.error('Unsupported FUNCTION_PRIVILEGES format:', encodedPrivileges);
-    return [];
-  } catch (error) {
-    console.error('Error decoding function privileges:', error, 'value=', encodedPrivileges);
-    return [];
-  }
-}
-
-
-  /**
-   * Encode function privileges array to database format
-   * @param {Array} privileges - Array of privilege IDs or privilege objects
-   * @returns {string} - Encoded string (JSON array of IDs)
-   */
-  static encodeFunctionPrivileges(privileges) {
-    if (!privileges || !Array.isArray(privileges) || privileges.length === 0) {
-      return null;
-    }
-
-    // Extract IDs from array (handle both ID numbers and objects with privilege_id)
-    const privilegeIds = privileges.map(p => {
-      if (typeof p === 'number') {
-        return p;
-      } else if (p && typeof p === 'object') {
-        return p.privilege_id || p.PRIVILEGE_ID || p.privilegeId || p.id;
-      }
-      return null;
-    }).filter(id => id !== null && !isNaN(id));
-
-    // Return as JSON string (you can change this to comma-separated if needed)
-    return privilegeIds.length > 0 ? JSON.stringify(privilegeIds) : null;
-  }
-
-  /**
-   * Helper: decode various stored formats into clean array of numeric IDs
-   * Works for INHERITED_FROM_ROLES / INHERITED_CHILD_ROLES and generic ID lists.
-   *
-   * Supported formats:
-   *  - JSON string "[1,2,3]"
-   *  - comma string "1,2,3"
-   *  - array [1, "2", 3]
-   */
-  static decodeIdArray(encoded) {
-    if (!encoded) return [];
-
-    try {
-      let value = encoded;
-
-      if (typeof value === 'string') {
-        try {
-          value = JSON.parse(value);
-        } catch (e) {
-          return value
-            .split(',')
-            .map(v => parseInt(v.trim(), 10))
-            .filter(v => !isNaN(v));
-        }
-      }
-
-      if (Array.isArray(value)) {
-        return value
-          .map(v =>
-            typeof v === 'number'
-              ? v
-              : parseInt(v, 10)
-          )
-          .filter(v => !isNaN(v));
-      }
-
-      return [];
-    } catch (err) {
-      console.error('decodeIdArray error:', err, 'value=', encoded);
-      return [];
-    }
+  static normalizePrivilegeIds(privileges) {
+    return parseIdList(privileges, ['privilege_id', 'PRIVILEGE_ID', 'privilegeId', 'id']);
   }
 
   /**
-   * Helper: encode array of IDs into JSON string, or null
+   * Helper: normalize a duty role list (IDs or duty role objects) to numeric IDs
    */
-  static encodeIdArray(ids) {
-    if (!ids || !Array.isArray(ids) || ids.length === 0) return null;
-
-    const clean = [...new Set(
-      ids
-        .map(v =>
-          typeof v === 'number'
-            ? v
-            : parseInt(v, 10)
-        )
-        .filter(v => !isNaN(v))
-    )];
-
-    return clean.length ? JSON.stringify(clean) : null;
+  static normalizeDutyRoleIds(dutyRoles) {
+    return parseIdList(dutyRoles, ['duty_role_id', 'DUTY_ROLE_ID', 'dutyRoleId', 'id']);
   }
 
   /**
@@ -178,14 +45,7 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
     const uniqueIds = [...new Set(idList)].filter(id => !isNaN(id));
     if (uniqueIds.length === 0) return [];
 
-    const binds = {};
-    const placeholders = uniqueIds
-      .map((id, idx) => {
-        const key = `id${idx}`;
-        binds[key] = id;
-        return `:${key}`;
-      })
-      .join(',');
+    const { placeholders, binds } = buildInClause(uniqueIds);
 
     const sql = `
       SELECT DUTY_ROLE_ID, DUTY_ROLE_NAME, ROLE_CODE, STATUS
@@ -205,194 +65,287 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
   }
 
   /**
-   * Helper: recursively collect ALL privilege IDs from parents and their parents.
+   * Helper: load the relationship links of a page of duty role rows
+   * (two queries for the whole page) and attach them as ID arrays:
+   * FUNCTION_PRIVILEGES, INHERITED_FROM_ROLES, INHERITED_CHILD_ROLES.
    */
-  static async collectPrivilegesFromParents(parentIds, visited = new Set()) {
-    if (!parentIds || parentIds.length === 0) return [];
+  static async attachRelationships(rows) {
+    if (!rows || rows.length === 0) return [];
 
-    const uniqueParentIds = [...new Set(parentIds)].filter(
-      id => !isNaN(id) && !visited.has(id)
-    );
-    if (uniqueParentIds.length === 0) return [];
-
-    uniqueParentIds.forEach(id => visited.add(id));
+    const { placeholders, binds } = buildInClause(rows.map(row => row.DUTY_ROLE_ID));
 
-    const binds = {};
-    const placeholders = uniqueParentIds
-      .map((id, idx) => {
-        const key = `parentId${idx}`;
-        binds[key] = id;
-        return `:${key}`;
-      })
-      .join(',');
+    const privilegeLinks = await executeQuery(
+      `SELECT DUTY_ROLE_ID, PRIVILEGE_ID
+         FROM SEC.DUTY_ROLE_PRIVILEGES
+        WHERE DUTY_ROLE_ID IN (${placeholders})
+        ORDER BY DUTY_ROLE_ID, PRIVILEGE_ID`,
+      binds
+    );
 
-    const sql = `
-      SELECT DUTY_ROLE_ID, FUNCTION_PRIVILEGES, INHERITED_FROM_ROLES
-        FROM SEC.DUTY_ROLES
-       WHERE DUTY_ROLE_ID IN (${placeholders})
-    `;
+    const inheritanceLinks = await executeQuery(
+      `SELECT PARENT_DUTY_ROLE_ID, CHILD_DUTY_ROLE_ID
+         FROM SEC.DUTY_ROLE_INHERITANCE
+        WHERE PARENT_DUTY_ROLE_ID IN (${placeholders})
+           OR CHILD_DUTY_ROLE_ID IN (${placeholders})
+        ORDER BY PARENT_DUTY_ROLE_ID, CHILD_DUTY_ROLE_ID`,
+      binds
+    );
 
-    try {
-      const result = await executeQuery(sql, binds);
-      const allPrivilegeIds = new Set();
+    const privilegesByRole = new Map();
+    const parentsByRole = new Map();
+    const childrenByRole = new Map();
+    const push = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
 
-      if (!result || !result.rows || result.rows.length === 0) {
-        return [];
-      }
+    for (const link of privilegeLinks.rows) {
+      push(privilegesByRole, link.DUTY_ROLE_ID, link.PRIVILEGE_ID);
+    }
+    for (const link of inheritanceLinks.rows) {
+      push(parentsByRole, link.CHILD_DUTY_ROLE_ID, link.PARENT_DUTY_ROLE_ID);
+      push(childrenByRole, link.PARENT_DUTY_ROLE_ID, link.CHILD_DUTY_ROLE_ID);
+    }
 
-      for (const row of result.rows) {
-        // explicit privileges on this parent
-        if (row.FUNCTION_PRIVILEGES) {
-          const explicitIds = this.decodeIdArray(row.FUNCTION_PRIVILEGES);
-          explicitIds.forEach(id => allPrivilegeIds.add(id));
-        }
+    return rows.map(row => ({
+      ...row,
+      FUNCTION_PRIVILEGES: privilegesByRole.get(row.DUTY_ROLE_ID) || [],
+      INHERITED_FROM_ROLES: parentsByRole.get(row.DUTY_ROLE_ID) || [],
+      INHERITED_CHILD_ROLES: childrenByRole.get(row.DUTY_ROLE_ID) || []
+    }));
+  }
 
-        // recursively from parent's parents
-        if (row.INHERITED_FROM_ROLES) {
-          const grandParentIds = this.decodeIdArray(row.INHERITED_FROM_ROLES);
-          if (grandParentIds.length > 0) {
-            const grandParentPrivileges = await this.collectPrivilegesFromParents(
-              grandParentIds,
-              visited
-            );
-            grandParentPrivileges.forEach(id => allPrivilegeIds.add(id));
-          }
-        }
-      }
+  /**
+   * Helper: IDs of every ancestor of the given duty roles.
+   * Walks SEC.DUTY_ROLE_INHERITANCE one level per query; roles already seen
+   * are not walked again, so a cycle in the data cannot loop forever.
+   */
+  static async collectAncestorIds(dutyRoleIds) {
+    const visited = new Set();
+    let frontier = [...new Set(dutyRoleIds)];
+
+    while (frontier.length > 0) {
+      const { placeholders, binds } = buildInClause(frontier);
+      const result = await executeQuery(
+        `SELECT DISTINCT PARENT_DUTY_ROLE_ID
+           FROM SEC.DUTY_ROLE_INHERITANCE
+          WHERE CHILD_DUTY_ROLE_ID IN (${placeholders})`,
+        binds
+      );
 
-      return Array.from(allPrivilegeIds);
-    } catch (error) {
-      console.error('Error in collectPrivilegesFromParents:', error);
-      console.error('Parent IDs:', parentIds);
-      throw error;
+      frontier = result.rows
+        .map(row => row.PARENT_DUTY_ROLE_ID)
+        .filter(id => !visited.has(id));
+      frontier.forEach(id => visited.add(id));
     }
+
+    return Array.from(visited);
   }
 
   /**
-   * Decode INHERITED_FROM_ROLES / INHERITED_CHILD_ROLES to minimal duty role objects.
+   * Helper: collect ALL privilege IDs held by the given roles and their ancestors.
    */
-  static async decodeDutyRoleArray(encodedValue) {
-    if (!encodedValue) return [];
+  static async collectPrivilegesFromParents(parentIds) {
+    const roleIds = parseIdList(parentIds);
+    if (roleIds.length === 0) return [];
 
-    try {
-      let value = encodedValue;
+    const ancestorIds = await this.collectAncestorIds(roleIds);
+    const { placeholders, binds } = buildInClause([...new Set([...roleIds, ...ancestorIds])]);
 
-      if (typeof value === 'string') {
-        try {
-          value = JSON.parse(value);
-        } catch (e) {
-          const idList = value
-            .split(',')
-            .map(id => parseInt(id.trim(), 10))
-            .filter(id => !isNaN(id));
-
-          if (idList.length === 0) return [];
-          return await this.fetchDutyRolesByIds(idList);
-        }
-      }
+    const result = await executeQuery(
+      `SELECT DISTINCT PRIVILEGE_ID
+         FROM SEC.DUTY_ROLE_PRIVILEGES
+        WHERE DUTY_ROLE_ID IN (${placeholders})
+        ORDER BY PRIVILEGE_ID`,
+      binds
+    );
 
-      if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object') {
-        return value
-          .map(dr => ({
-            duty_role_id:
-              dr.duty_role_id ??
-              dr.DUTY_ROLE_ID ??
-              dr.id ??
-              null,
-            duty_role_name:
-              dr.duty_role_name ??
-              dr.DUTY_ROLE_NAME ??
-              dr.name ??
-              null,
-            role_code:
-              dr.role_code ??
-              dr.ROLE_CODE ??
-              dr.code ??
-              null,
-            status:
-              dr.status ??
-              dr.STATUS ??
-              null
-          }))
-          .filter(dr => dr.duty_role_id !== null);
-      }
+    return result.rows.map(row => row.PRIVILEGE_ID);
+  }
 
-      if (Array.isArray(value)) {
-        const idList = value
-          .map(v =>
-            typeof v === 'number'
-              ? v
-              : parseInt(v, 10)
-          )
-          .filter(id => !isNaN(id));
+  /**
+   * Helper: resolve every privilege granted by a duty role, together with the
+   * duty role inheritance chain that grants it.
+   *
+   * The chain starts at the given duty role and ends at the duty role that holds
+   * the privilege explicitly, e.g. [AP_SUPERVISOR_DUTY, AP_INVOICE_ENTRY_DUTY].
+   *
+   * @param {number} dutyRoleId
+   * @param {Array<Object>} chain - duty roles already walked (used for recursion)
+   * @returns {Promise<Array<{privilege_id:number, inheritance_chain:Array}>>}
+   */
+  static async collectPrivilegeGrants(dutyRoleId, chain = []) {
+    // a duty role already in the chain means a cycle, stop walking
+    if (chain.some(dr => dr.duty_role_id === dutyRoleId)) return [];
+
+    const result = await executeQuery(
+      `SELECT DUTY_ROLE_ID, ROLE_CODE, DUTY_ROLE_NAME
+         FROM SEC.DUTY_ROLES
+        WHERE DUTY_ROLE_ID = :dutyRoleId`,
+      { dutyRoleId }
+    );
 
-        if (idList.length === 0) return [];
-        return await this.fetchDutyRolesByIds(idList);
+    if (result.rows.length === 0) return [];
+
+    const [row] = await this.attachRelationships(result.rows);
+    const currentChain = [
+      ...chain,
+      {
+        duty_role_id: row.DUTY_ROLE_ID,
+        role_code: row.ROLE_CODE,
+        duty_role_name: row.DUTY_ROLE_NAME
       }
+    ];
 
-      console.error('Unsupported INHERITED_* format:', encodedValue);
-      return [];
-    } catch (error) {
-      console.error('Error decoding duty role array:', error, 'value=', encodedValue);
-      return [];
+    const grants = row.FUNCTION_PRIVILEGES.map(privilegeId => ({
+      privilege_id: privilegeId,
+      inheritance_chain: currentChain
+    }));
+
+    for (const parentId of row.INHERITED_FROM_ROLES) {
+      const parentGrants = await this.collectPrivilegeGrants(parentId, currentChain);
+      grants.push(...parentGrants);
     }
+
+    return grants;
+  }
+
+  /**
+   * Helper: effective privilege IDs for a duty role that would hold the given
+   * explicit privileges and inherit from the given parents.
+   * Used to evaluate SoD rules before a change is committed.
+   */
+  static async resolveEffectivePrivilegeIds(explicitIds, parentIds) {
+    const inheritedIds = await this.collectPrivilegesFromParents(parentIds);
+    return [...new Set([...explicitIds, ...inheritedIds])];
   }
 
   /**
    * Compute EFFECTIVE privileges:
    *  explicit (this role) + inherited from all parents (recursively).
    *
+   * Expects a row with relationships attached (see attachRelationships).
    * Returns array of privilege objects with an `inherited` flag.
    */
   static async computeEffectivePrivileges(row) {
-    try {
-      const privilegesRaw = row.FUNCTION_PRIVILEGES || row.function_privileges || null;
-      const inheritedFromRaw = row.INHERITED_FROM_ROLES || row.inherited_from_roles || null;
-      
-      const explicitIds = this.decodeIdArray(privilegesRaw);
-      const parentIds = this.decodeIdArray(inheritedFromRaw);
-      
-      // Collect inherited privileges from all parents (recursively)
-      const inheritedIds = await this.collectPrivilegesFromParents(parentIds);
-
-      // Merge explicit + inherited (deduplicate)
-      const allIds = [...new Set([...explicitIds, ...inheritedIds])];
-
-      if (allIds.length === 0) return [];
-      
-      // Fetch full privilege objects
-      const privileges = await Promise.all(
-        allIds.map((id) => FunctionPrivilegeModel.getById(id))
-      );
-      const validPrivileges = privileges.filter((p) => p != null);
-      
-      // Add inherited flag to each privilege
-      const inheritedIdsSet = new Set(inheritedIds);
-      
-      return validPrivileges.map(priv => ({
-        ...priv,
-        inherited: inheritedIdsSet.has(priv.PRIVILEGE_ID || priv.privilege_id)
-      }));
-    } catch (error) {
-      console.error('Error in computeEffectivePrivileges:', error);
-      console.error('Row data:', { 
-        DUTY_ROLE_ID: row.DUTY_ROLE_ID || row.duty_role_id,
-        FUNCTION_PRIVILEGES: row.FUNCTION_PRIVILEGES || row.function_privileges, 
-        INHERITED_FROM_ROLES: row.INHERITED_FROM_ROLES || row.inherited_from_roles 
-      });
-      // Return at least explicit privileges if computation fails
-      const privilegesRaw = row.FUNCTION_PRIVILEGES || row.function_privileges || null;
-      const explicitIds = this.decodeIdArray(privilegesRaw);
-      if (explicitIds.length === 0) return [];
-      const privileges = await Promise.all(
-        explicitIds.map((id) => FunctionPrivilegeModel.getById(id))
-      );
-      const validPrivileges = privileges.filter((p) => p != null);
-      return validPrivileges.map(priv => ({
-        ...priv,
-        inherited: false
-      }));
+    const explicitIds = parseIdList(row.FUNCTION_PRIVILEGES);
+    const parentIds = parseIdList(row.INHERITED_FROM_ROLES);
+
+    // Collect inherited privileges from all parents (recursively)
+    const inheritedIds = await this.collectPrivilegesFromParents(parentIds);
+
+    // Merge explicit + inherited (deduplicate)
+    const allIds = [...new Set([...explicitIds, ...inheritedIds])];
+
+    if (allIds.length === 0) return [];
+
+    const privileges = await FunctionPrivilegeModel.getByIds(allIds);
+
+    // Add inherited flag to each privilege
+    const inheritedIdsSet = new Set(inheritedIds);
+
+    return privileges.map(priv => ({
+      ...priv,
+      inherited: inheritedIdsSet.has(priv.PRIVILEGE_ID)
+    }));
+  }
+
+  /**
+   * Helper: add explicit privileges to a duty role (inside the caller's transaction)
+   */
+  static async insertPrivilegeLinks(connection, dutyRoleId, privilegeIds, createdBy) {
+    if (privilegeIds.length === 0) return;
+
+    await connection.executeMany(
+      `INSERT INTO SEC.DUTY_ROLE_PRIVILEGES (
+        DUTY_ROLE_ID,
+        PRIVILEGE_ID,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :dutyRoleId,
+        :privilegeId,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      privilegeIds.map(privilegeId => ({ dutyRoleId, privilegeId, createdBy })),
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Helper: link a duty role to its parents (inside the caller's transaction)
+   */
+  static async insertParentLinks(connection, dutyRoleId, parentIds, createdBy) {
+    if (parentIds.length === 0) return;
+
+    await connection.executeMany(
+      `INSERT INTO SEC.DUTY_ROLE_INHERITANCE (
+        PARENT_DUTY_ROLE_ID,
+        CHILD_DUTY_ROLE_ID,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :parentId,
+        :dutyRoleId,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      parentIds.map(parentId => ({ parentId, dutyRoleId, createdBy })),
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Helper: validate the parents a duty role is about to have (inside the
+   * caller's transaction). Rejects self-inheritance, parents that do not exist
+   * and links that would close an inheritance cycle; the cycle error names the
+   * path by role code, e.g. "AP_A -> AP_B -> AP_A".
+   * @param {Object} connection
+   * @param {number|null} dutyRoleId - null for a role that is being created
+   * @param {Array<number>} parentIds
+   */
+  static async validateParentLinks(connection, dutyRoleId, parentIds) {
+    if (parentIds.length === 0) return;
+
+    if (dutyRoleId !== null && parentIds.includes(dutyRoleId)) {
+      throw new Error('A role cannot inherit from itself');
+    }
+
+    const { placeholders, binds } = buildInClause(parentIds);
+    const existing = await connection.execute(
+      `SELECT DUTY_ROLE_ID FROM SEC.DUTY_ROLES WHERE DUTY_ROLE_ID IN (${placeholders})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const existingIds = existing.rows.map(row => row.DUTY_ROLE_ID);
+    const missingIds = parentIds.filter(id => !existingIds.includes(id));
+    if (missingIds.length > 0) {
+      throw new Error(`Parent duty role(s) not found: ${missingIds.join(', ')}`);
     }
+
+    // a role being created has no children yet, so it cannot close a cycle
+    if (dutyRoleId === null) return;
+
+    const links = await connection.execute(
+      'SELECT CHILD_DUTY_ROLE_ID, PARENT_DUTY_ROLE_ID FROM SEC.DUTY_ROLE_INHERITANCE',
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const parentsByRole = buildAdjacencyMap(links.rows, 'CHILD_DUTY_ROLE_ID', 'PARENT_DUTY_ROLE_ID');
+    const cycle = findInheritanceCycle(parentsByRole, dutyRoleId, parentIds);
+    if (!cycle) return;
+
+    const cycleIn = buildInClause([...new Set(cycle)]);
+    const codes = await connection.execute(
+      `SELECT DUTY_ROLE_ID, ROLE_CODE FROM SEC.DUTY_ROLES WHERE DUTY_ROLE_ID IN (${cycleIn.placeholders})`,
+      cycleIn.binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const codeById = new Map(codes.rows.map(row => [row.DUTY_ROLE_ID, row.ROLE_CODE]));
+    throw new Error(
+      `Inheritance cycle detected: ${cycle.map(id => codeById.get(id) || id).join(' -> ')}`
+    );
   }
 
   /**
@@ -528,9 +481,6 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         DR.MODULE_ID,
         M.MODULE_NAME,
         DR.STATUS,
-        DR.FUNCTION_PRIVILEGES,
-        DR.INHERITED_FROM_ROLES,
-        DR.INHERITED_CHILD_ROLES,
         DR.CREATED_AT,
         DR.CREATED_BY,
         DR.UPDATED_AT,
@@ -542,13 +492,14 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
       OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY
     `;
     const dataResult = await executeQuery(dataQuery, dataBinds);
+    const rows = await this.attachRelationships(dataResult.rows);
     
     // Decode effective privileges + inherited_from_roles + inherited_child_roles for each record
     const dataWithDecoded = await Promise.all(
-      dataResult.rows.map(async (row) => {
+      rows.map(async (row) => {
         const effectivePrivileges = await this.computeEffectivePrivileges(row);
-        const decodedInheritedFrom = await this.decodeDutyRoleArray(row.INHERITED_FROM_ROLES);
-        const decodedInheritedChild = await this.decodeDutyRoleArray(row.INHERITED_CHILD_ROLES);
+        const decodedInheritedFrom = await this.fetchDutyRolesByIds(row.INHERITED_FROM_ROLES);
+        const decodedInheritedChild = await this.fetchDutyRolesByIds(row.INHERITED_CHILD_ROLES);
 
         return {
           ...row,
@@ -572,6 +523,102 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
     };
   }
 
+  /**
+   * Get the duty role inheritance hierarchy as nodes and edges
+   * Each edge links a parent (PARENT_DUTY_ROLE_ID) to a child (CHILD_DUTY_ROLE_ID)
+   * that inherits its privileges.
+   * @param {number|null} rootId - Restrict to this role's ancestors and descendants
+   * @param {number|null} depth - Maximum number of links from the root (null for no limit)
+   * @returns {Promise<Object|null>} - { NODES, EDGES, ROOT_ID, DEPTH }, or null if the root is not found
+   */
+  static async getGraph(rootId = null, depth = null) {
+    const nodesResult = await executeQuery(
+      `SELECT
+        dr.DUTY_ROLE_ID,
+        dr.ROLE_CODE,
+        dr.DUTY_ROLE_NAME,
+        dr.STATUS,
+        dr.MODULE_ID,
+        m.MODULE_CODE,
+        m.MODULE_NAME
+      FROM SEC.DUTY_ROLES dr
+      LEFT JOIN SEC.MODULES m ON m.MODULE_ID = dr.MODULE_ID
+      ORDER BY dr.ROLE_CODE`
+    );
+    const edgesResult = await executeQuery(
+      `SELECT PARENT_DUTY_ROLE_ID, CHILD_DUTY_ROLE_ID
+         FROM SEC.DUTY_ROLE_INHERITANCE
+        ORDER BY PARENT_DUTY_ROLE_ID, CHILD_DUTY_ROLE_ID`
+    );
+
+    let nodes = nodesResult.rows;
+    let edges = edgesResult.rows;
+
+    if (rootId !== null) {
+      if (!nodes.some(node => node.DUTY_ROLE_ID === rootId)) return null;
+
+      const keptIds = collectSubgraphIds(
+        edges.map(edge => ({ parentId: edge.PARENT_DUTY_ROLE_ID, childId: edge.CHILD_DUTY_ROLE_ID })),
+        rootId,
+        depth
+      );
+      nodes = nodes.filter(node => keptIds.has(node.DUTY_ROLE_ID));
+      edges = edges.filter(edge =>
+        keptIds.has(edge.PARENT_DUTY_ROLE_ID) && keptIds.has(edge.CHILD_DUTY_ROLE_ID)
+      );
+    }
+
+    return { NODES: nodes, EDGES: edges, ROOT_ID: rootId, DEPTH: depth };
+  }
+
+  /**
+   * Compare the effective privileges of two duty roles
+   * Privileges are split into COMMON, ONLY_IN_A and ONLY_IN_B. Each privilege
+   * carries the `inherited` flag of computeEffectivePrivileges (INHERITED, or
+   * INHERITED_IN_A / INHERITED_IN_B for common privileges).
+   * @param {number} dutyRoleIdA
+   * @param {number} dutyRoleIdB
+   * @returns {Promise<Object|null>} - { ROLE_A, ROLE_B, PRIVILEGES }, or null if either role is not found
+   */
+  static async compare(dutyRoleIdA, dutyRoleIdB) {
+    const roleA = await this.getById(dutyRoleIdA);
+    const roleB = await this.getById(dutyRoleIdB);
+    if (!roleA || !roleB) return null;
+
+    const describeRole = role => ({
+      DUTY_ROLE_ID: role.DUTY_ROLE_ID,
+      ROLE_CODE: role.ROLE_CODE,
+      DUTY_ROLE_NAME: role.DUTY_ROLE_NAME,
+      STATUS: role.STATUS
+    });
+    const describePrivilege = privilege => ({
+      PRIVILEGE_ID: privilege.PRIVILEGE_ID,
+      PRIVILEGE_CODE: privilege.PRIVILEGE_CODE,
+      PRIVILEGE_NAME: privilege.PRIVILEGE_NAME,
+      MODULE_NAME: privilege.MODULE_NAME
+    });
+
+    const diff = diffByKey(
+      roleA.FUNCTION_PRIVILEGES_DECODED,
+      roleB.FUNCTION_PRIVILEGES_DECODED,
+      'PRIVILEGE_ID'
+    );
+
+    return {
+      ROLE_A: describeRole(roleA),
+      ROLE_B: describeRole(roleB),
+      PRIVILEGES: {
+        COMMON: diff.common.map(([a, b]) => ({
+          ...describePrivilege(a),
+          INHERITED_IN_A: a.inherited,
+          INHERITED_IN_B: b.inherited
+        })),
+        ONLY_IN_A: diff.onlyInA.map(a => ({ ...describePrivilege(a), INHERITED: a.inherited })),
+        ONLY_IN_B: diff.onlyInB.map(b => ({ ...describePrivilege(b), INHERITED: b.inherited }))
+      }
+    };
+  }
+
   /**
    * Get duty role by ID
    * @param {number} dutyRoleId - Duty Role ID
@@ -579,7 +626,7 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
    */
   static async getById(dutyRoleId) {
     const result = await executeQuery(
-      `SELECT 
+      `SELECT
         DR.DUTY_ROLE_ID,
         DR.DUTY_ROLE_NAME,
         DR.ROLE_CODE,
@@ -587,9 +634,6 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         DR.MODULE_ID,
         M.MODULE_NAME,
         DR.STATUS,
-        DR.FUNCTION_PRIVILEGES,
-        DR.INHERITED_FROM_ROLES,
-        DR.INHERITED_CHILD_ROLES,
         DR.CREATED_AT,
         DR.CREATED_BY,
         DR.UPDATED_AT,
@@ -599,15 +643,15 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
       WHERE DR.DUTY_ROLE_ID = :dutyRoleId`,
       { dutyRoleId }
     );
-    
+
     if (result.rows.length === 0) {
       return null;
     }
 
-    const row = result.rows[0];
+    const [row] = await this.attachRelationships(result.rows);
     const effectivePrivileges = await this.computeEffectivePrivileges(row);
-    const decodedInheritedFrom = await this.decodeDutyRoleArray(row.INHERITED_FROM_ROLES);
-    const decodedInheritedChild = await this.decodeDutyRoleArray(row.INHERITED_CHILD_ROLES);
+    const decodedInheritedFrom = await this.fetchDutyRolesByIds(row.INHERITED_FROM_ROLES);
+    const decodedInheritedChild = await this.fetchDutyRolesByIds(row.INHERITED_CHILD_ROLES);
 
     return {
       ...row,
@@ -617,133 +661,338 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
     };
   }
 
+  /**
+   * Helper: point-in-time version of collectPrivilegesFromParents.
+   * Walks the parents as they were at asOf (audit images), not as they are now.
+   */
+  static async collectPrivilegesFromParentsAsOf(parentIds, asOf, visited = new Set()) {
+    const allPrivilegeIds = new Set();
+
+    for (const parentId of parseIdList(parentIds)) {
+      if (visited.has(parentId)) continue;
+      visited.add(parentId);
+
+      const parent = await AuditModel.getImageAsOf('DUTY_ROLE', parentId, asOf);
+      if (!parent) continue;
+
+      parseIdList(parent.FUNCTION_PRIVILEGES).forEach(id => allPrivilegeIds.add(id));
+
+      const grandParentPrivileges = await this.collectPrivilegesFromParentsAsOf(
+        parent.INHERITED_FROM_ROLES,
+        asOf,
+        visited
+      );
+      grandParentPrivileges.forEach(id => allPrivilegeIds.add(id));
+    }
+
+    return Array.from(allPrivilegeIds);
+  }
+
+  /**
+   * Helper: point-in-time version of fetchDutyRolesByIds.
+   * Roles that did not exist at asOf are left out.
+   */
+  static async fetchDutyRolesByIdsAsOf(idList, asOf) {
+    const dutyRoles = [];
+
+    for (const id of parseIdList(idList)) {
+      const image = await AuditModel.getImageAsOf('DUTY_ROLE', id, asOf);
+      if (!image) continue;
+
+      dutyRoles.push({
+        duty_role_id: image.DUTY_ROLE_ID,
+        duty_role_name: image.DUTY_ROLE_NAME,
+        role_code: image.ROLE_CODE,
+        status: image.STATUS
+      });
+    }
+
+    return dutyRoles;
+  }
+
+  /**
+   * Compute EFFECTIVE privileges of a duty role image as they were at asOf.
+   * Same shape as computeEffectivePrivileges (privilege objects with `inherited` flag).
+   */
+  static async computeEffectivePrivilegesAsOf(row, asOf) {
+    const explicitIds = parseIdList(row.FUNCTION_PRIVILEGES);
+    const parentIds = parseIdList(row.INHERITED_FROM_ROLES);
+
+    const inheritedIds = await this.collectPrivilegesFromParentsAsOf(parentIds, asOf);
+    const allIds = [...new Set([...explicitIds, ...inheritedIds])];
+
+    if (allIds.length === 0) return [];
+
+    const privileges = await Promise.all(
+      allIds.map((id) => FunctionPrivilegeModel.getByIdAsOf(id, asOf))
+    );
+
+    const inheritedIdsSet = new Set(inheritedIds);
+
+    return privileges
+      .filter((p) => p != null)
+      .map(priv => ({
+        ...priv,
+        inherited: inheritedIdsSet.has(priv.PRIVILEGE_ID)
+      }));
+  }
+
+  /**
+   * Get duty role as it was at a point in time
+   * Definition, inheritance links and effective privileges are all
+   * reconstructed from the audit trail as of the given instant.
+   * @param {number} dutyRoleId - Duty Role ID
+   * @param {Date} asOf - Point in time
+   * @returns {Promise<Object|null>} - Duty role object or null if it did not exist at asOf
+   */
+  static async getByIdAsOf(dutyRoleId, asOf) {
+    const row = await AuditModel.getImageAsOf('DUTY_ROLE', dutyRoleId, asOf);
+
+    if (!row) {
+      return null;
+    }
+
+    const module = row.MODULE_ID
+      ? await AuditModel.getImageAsOf('MODULE', row.MODULE_ID, asOf)
+      : null;
+
+    const effectivePrivileges = await this.computeEffectivePrivilegesAsOf(row, asOf);
+    const decodedInheritedFrom = await this.fetchDutyRolesByIdsAsOf(row.INHERITED_FROM_ROLES, asOf);
+    const decodedInheritedChild = await this.fetchDutyRolesByIdsAsOf(row.INHERITED_CHILD_ROLES, asOf);
+
+    return {
+      ...row,
+      MODULE_NAME: module ? module.MODULE_NAME : null,
+      FUNCTION_PRIVILEGES_DECODED: effectivePrivileges,
+      INHERITED_FROM_ROLES_DECODED: decodedInheritedFrom,
+      INHERITED_CHILD_ROLES_DECODED: decodedInheritedChild,
+      AS_OF: asOf
+    };
+  }
+
+  /**
+   * Helper: insert a duty role (inside the caller's transaction). Shared by
+   * create and clone.
+   * - functionPrivileges become rows of SEC.DUTY_ROLE_PRIVILEGES (explicit only).
+   * - inheritedFromRoles become rows of SEC.DUTY_ROLE_INHERITANCE; the parents
+   *   see the new child through the same rows, they are audited as updated.
+   * - SoD rules are evaluated against the resulting effective privileges.
+   * @param {Object} connection
+   * @param {Object} dutyRoleData - See create
+   * @param {Array<number>} [effectivePrivilegeIds] - Effective privileges to check
+   *   against SoD rules; resolved from the parents when omitted. Clones pass their
+   *   source's, as their parents may be clones not yet committed.
+   * @returns {Promise<{dutyRoleId:number, sodWarnings:Array}>}
+   */
+  static async insertDutyRole(connection, dutyRoleData, effectivePrivilegeIds) {
+    const {
+      dutyRoleName,
+      roleCode,
+      description,
+      moduleId,
+      functionPrivileges,
+      inheritedFromRoles,
+      status = 'ACTIVE',
+      createdBy = 'SYSTEM'
+    } = dutyRoleData;
+
+    if (!dutyRoleName || !roleCode) {
+      throw new Error('dutyRoleName and roleCode are required');
+    }
+
+    const parentIds = this.normalizeDutyRoleIds(inheritedFromRoles);
+    const privilegeIds = this.normalizePrivilegeIds(functionPrivileges);
+    await this.validateParentLinks(connection, null, parentIds);
+
+    const dutyRoleId = await AuditModel.recordSideEffects(
+      connection,
+      { DUTY_ROLE: parentIds },
+      createdBy,
+      async () => {
+        const result = await connection.execute(
+          `INSERT INTO SEC.DUTY_ROLES (
+            DUTY_ROLE_NAME,
+            ROLE_CODE,
+            DESCRIPTION,
+            MODULE_ID,
+            STATUS,
+            CREATED_BY,
+            CREATED_AT
+          ) VALUES (
+            :dutyRoleName,
+            :roleCode,
+            :description,
+            :moduleId,
+            :status,
+            :createdBy,
+            SYSTIMESTAMP
+          )
+          RETURNING DUTY_ROLE_ID INTO :dutyRoleId`,
+          {
+            dutyRoleName,
+            roleCode,
+            description: description || null,
+            moduleId: moduleId ? parseInt(moduleId) : null,
+            status,
+            createdBy,
+            dutyRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+          },
+          { autoCommit: false }
+        );
+
+        const newId = result.outBinds.dutyRoleId[0];
+        await this.insertPrivilegeLinks(connection, newId, privilegeIds, createdBy);
+        await this.insertParentLinks(connection, newId, parentIds, createdBy);
+        return newId;
+      }
+    );
+
+    await AuditModel.recordChange(connection, {
+      entityType: 'DUTY_ROLE',
+      entityId: dutyRoleId,
+      action: 'CREATE',
+      actor: createdBy
+    });
+
+    const sodWarnings = await SodRuleModel.enforce(connection, {
+      entityType: 'DUTY_ROLE',
+      entityId: dutyRoleId,
+      privilegeIds: effectivePrivilegeIds
+        ?? await this.resolveEffectivePrivilegeIds(privilegeIds, parentIds),
+      actor: createdBy
+    });
+
+    return { dutyRoleId, sodWarnings };
+  }
+
   /**
    * Create a new duty role
-   * - FUNCTION_PRIVILEGES column stores only EXPLICIT privilege IDs.
-   * - INHERITED_FROM_ROLES sets parents.
-   * - Parents' INHERITED_CHILD_ROLES is updated to include this child.
+   * - functionPrivileges become rows of SEC.DUTY_ROLE_PRIVILEGES (explicit only).
+   * - inheritedFromRoles become rows of SEC.DUTY_ROLE_INHERITANCE; the parents
+   *   see the new child through the same rows, they are audited as updated.
+   * - SoD rules are evaluated against the resulting effective privileges;
+   *   WARN violations are returned as SOD_WARNINGS.
    */
   static async create(dutyRoleData) {
     const connection = await getConnection();
     try {
-      const {
-        dutyRoleName,
-        roleCode,
-        description,
-        moduleId,
-        functionPrivileges,
-        inheritedFromRoles,
-        status = 'ACTIVE',
-        createdBy = 'SYSTEM'
-      } = dutyRoleData;
+      const { dutyRoleId, sodWarnings } = await this.insertDutyRole(connection, dutyRoleData);
 
-      if (!dutyRoleName || !roleCode) {
-        throw new Error('dutyRoleName and roleCode are required');
-      }
+      await connection.commit();
+      await connection.close();
 
-      // normalize parents
-      const parentIds = Array.isArray(inheritedFromRoles)
-        ? inheritedFromRoles
-            .map(v => (typeof v === 'number' ? v : parseInt(v, 10)))
-            .filter(v => !isNaN(v))
-        : [];
-
-      // explicit privileges only
-      const encodedPrivileges = this.encodeFunctionPrivileges(functionPrivileges || []);
-
-      const encodedInheritedFrom =
-        parentIds.length > 0 ? this.encodeIdArray(parentIds) : null;
-
-      const columns = [
-        'DUTY_ROLE_NAME',
-        'ROLE_CODE',
-        'DESCRIPTION',
-        'MODULE_ID',
-        'STATUS',
-        'CREATED_BY',
-        'CREATED_AT'
-      ];
-      const values = [
-        ':dutyRoleName',
-        ':roleCode',
-        ':description',
-        ':moduleId',
-        ':status',
-        ':createdBy',
-        'SYSTIMESTAMP'
-      ];
-      const binds = {
-        dutyRoleName,
+      const dutyRole = await this.getById(dutyRoleId);
+      return { ...dutyRole, SOD_WARNINGS: sodWarnings };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Clone a duty role
+   * - the clone gets the source's explicit privileges, parents, description,
+   *   module and status under the new code and name.
+   * - deepCopy also clones every descendant of the source, coded
+   *   `${codePrefix}${ROLE_CODE}`; a cloned descendant inherits from the clones
+   *   of its parents inside the copied hierarchy and keeps its other parents.
+   * - every role is inserted through insertDutyRole in ONE transaction, so a
+   *   failure (e.g. a code already taken) leaves nothing behind.
+   * @param {number} dutyRoleId - Source duty role
+   * @param {Object} cloneData
+   * @param {string} cloneData.roleCode - Code of the clone
+   * @param {string} cloneData.dutyRoleName - Name of the clone
+   * @param {boolean} cloneData.deepCopy - Also clone the descendants
+   * @param {string} cloneData.codePrefix - Prefix for the codes of cloned descendants
+   * @param {string} cloneData.createdBy
+   * @returns {Promise<Object|null>} - The clone with CLONED_ROLES and SOD_WARNINGS, or null if the source is not found
+   */
+  static async clone(dutyRoleId, cloneData) {
+    const connection = await getConnection();
+    try {
+      const {
         roleCode,
-        description: description || null,
-        moduleId: moduleId ? parseInt(moduleId) : null,
-        status,
-        createdBy,
-        dutyRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
-      };
+        dutyRoleName,
+        deepCopy = false,
+        codePrefix,
+        createdBy = 'SYSTEM'
+      } = cloneData;
 
-      if (encodedPrivileges !== null) {
-        columns.splice(4, 0, 'FUNCTION_PRIVILEGES'); // after MODULE_ID
-        values.splice(4, 0, ':functionPrivileges');
-        binds.functionPrivileges = encodedPrivileges;
-      }
+      const source = await AuditModel.snapshot(connection, 'DUTY_ROLE', dutyRoleId);
 
-      if (encodedInheritedFrom !== null) {
-        columns.splice(5, 0, 'INHERITED_FROM_ROLES'); // after FUNCTION_PRIVILEGES
-        values.splice(5, 0, ':inheritedFromRoles');
-        binds.inheritedFromRoles = encodedInheritedFrom;
+      if (!source) {
+        await connection.close();
+        return null; // not found
       }
 
-      const result = await connection.execute(
-        `INSERT INTO SEC.DUTY_ROLES (
-          ${columns.join(', ')}
-        ) VALUES (
-          ${values.join(', ')}
-        )
-        RETURNING DUTY_ROLE_ID INTO :dutyRoleId`,
-        binds,
-        { autoCommit: false }
-      );
-
-      const dutyRoleId = result.outBinds.dutyRoleId[0];
+      // source ID -> clone ID, for remapping parent links inside the copied hierarchy
+      const cloneIds = new Map();
+      const clonedRoles = [];
+      const sodWarnings = [];
 
-      // sync: add this child to each parent's INHERITED_CHILD_ROLES list
-      for (const parentId of parentIds) {
-        const parentRes = await connection.execute(
-          `SELECT INHERITED_CHILD_ROLES
-             FROM SEC.DUTY_ROLES
-            WHERE DUTY_ROLE_ID = :parentId`,
-          { parentId },
-          { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      const cloneRole = async (role, code, name) => {
+        const { dutyRoleId: cloneId, sodWarnings: warnings } = await this.insertDutyRole(
+          connection,
+          {
+            dutyRoleName: name,
+            roleCode: code,
+            description: role.DESCRIPTION,
+            moduleId: role.MODULE_ID,
+            functionPrivileges: role.FUNCTION_PRIVILEGES,
+            inheritedFromRoles: role.INHERITED_FROM_ROLES.map(id => cloneIds.get(id) ?? id),
+            status: role.STATUS,
+            createdBy
+          },
+          await this.resolveEffectivePrivilegeIds(role.FUNCTION_PRIVILEGES, role.INHERITED_FROM_ROLES)
         );
 
-        if (parentRes.rows.length === 0) continue;
-
-        const existingChildrenEncoded = parentRes.rows[0].INHERITED_CHILD_ROLES;
-        const existingChildrenIds = this.decodeIdArray(existingChildrenEncoded);
+        cloneIds.set(role.DUTY_ROLE_ID, cloneId);
+        clonedRoles.push({
+          SOURCE_DUTY_ROLE_ID: role.DUTY_ROLE_ID,
+          SOURCE_ROLE_CODE: role.ROLE_CODE,
+          DUTY_ROLE_ID: cloneId,
+          ROLE_CODE: code
+        });
+        sodWarnings.push(...warnings);
+      };
 
-        if (!existingChildrenIds.includes(dutyRoleId)) {
-          const newChildrenIds = [...existingChildrenIds, dutyRoleId];
-          const encodedChildren = this.encodeIdArray(newChildrenIds);
+      await cloneRole(source, roleCode, dutyRoleName);
+
+      if (deepCopy) {
+        const descendants = new Map();
+        let frontier = source.INHERITED_CHILD_ROLES;
+        while (frontier.length > 0) {
+          const next = [];
+          for (const childId of frontier) {
+            if (descendants.has(childId) || childId === source.DUTY_ROLE_ID) continue;
+            const child = await AuditModel.snapshot(connection, 'DUTY_ROLE', childId);
+            descendants.set(childId, child);
+            next.push(...child.INHERITED_CHILD_ROLES);
+          }
+          frontier = next;
+        }
 
-          await connection.execute(
-            `UPDATE SEC.DUTY_ROLES
-                SET INHERITED_CHILD_ROLES = :inheritedChildRoles,
-                    UPDATED_AT = SYSTIMESTAMP
-              WHERE DUTY_ROLE_ID = :parentId`,
-            {
-              inheritedChildRoles: encodedChildren,
-              parentId
-            },
-            { autoCommit: false }
+        // clone a descendant once every parent of it inside the hierarchy is cloned
+        while (descendants.size > 0) {
+          const ready = [...descendants.values()].filter(child =>
+            child.INHERITED_FROM_ROLES.every(id => !descendants.has(id))
           );
+          if (ready.length === 0) {
+            throw new Error('Inheritance cycle detected below the source role');
+          }
+          for (const child of ready) {
+            await cloneRole(child, `${codePrefix}${child.ROLE_CODE}`, child.DUTY_ROLE_NAME);
+            descendants.delete(child.DUTY_ROLE_ID);
+          }
         }
       }
 
       await connection.commit();
       await connection.close();
-      
-      return await this.getById(dutyRoleId);
+
+      const dutyRole = await this.getById(cloneIds.get(source.DUTY_ROLE_ID));
+      return { ...dutyRole, CLONED_ROLES: clonedRoles, SOD_WARNINGS: sodWarnings };
     } catch (error) {
       try { await connection.rollback(); } catch (_) {}
       await connection.close();
@@ -753,9 +1002,12 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
 
   /**
    * Update a duty role
-   * - functionPrivileges modifies only EXPLICIT privileges.
-   * - inheritedFromRoles modifies parent links and keeps INHERITED_CHILD_ROLES in sync.
+   * - functionPrivileges replaces the EXPLICIT privilege links.
+   * - inheritedFromRoles replaces the parent links; parents gaining or losing
+   *   this child are audited as updated.
    * - effective privileges are computed at read-time.
+   * - when privileges or parents change, SoD rules are evaluated against the
+   *   resulting effective privileges; WARN violations are returned as SOD_WARNINGS.
    */
   static async update(dutyRoleId, dutyRoleData) {
     const connection = await getConnection();
@@ -772,21 +1024,15 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
       } = dutyRoleData;
 
       // get current parents and explicit privileges for validation
-      const currentRes = await connection.execute(
-        `SELECT INHERITED_FROM_ROLES, FUNCTION_PRIVILEGES
-           FROM SEC.DUTY_ROLES
-          WHERE DUTY_ROLE_ID = :dutyRoleId`,
-        { dutyRoleId },
-        { outFormat: oracledb.OUT_FORMAT_OBJECT }
-      );
+      const before = await AuditModel.snapshot(connection, 'DUTY_ROLE', dutyRoleId);
 
-      if (currentRes.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return null; // not found
       }
 
-      const existingParentIds = this.decodeIdArray(currentRes.rows[0].INHERITED_FROM_ROLES);
-      const currentExplicitPrivilegeIds = this.decodeIdArray(currentRes.rows[0].FUNCTION_PRIVILEGES);
+      const existingParentIds = before.INHERITED_FROM_ROLES;
+      const currentExplicitPrivilegeIds = before.FUNCTION_PRIVILEGES;
 
       const updates = [];
       const binds = { dutyRoleId };
@@ -812,55 +1058,35 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
       }
 
       // parents
-      let newParentIds = existingParentIds;
-      let inheritedFromChanged = false;
-
-      if (inheritedFromRoles !== undefined) {
-        inheritedFromChanged = true;
-        newParentIds = Array.isArray(inheritedFromRoles)
-          ? inheritedFromRoles
-              .map(v => (typeof v === 'number' ? v : parseInt(v, 10)))
-              .filter(v => !isNaN(v))
-          : [];
-
-        const encodedInheritedFrom = this.encodeIdArray(newParentIds);
-        updates.push('INHERITED_FROM_ROLES = :inheritedFromRoles');
-        binds.inheritedFromRoles = encodedInheritedFrom;
+      const inheritedFromChanged = inheritedFromRoles !== undefined;
+      const newParentIds = inheritedFromChanged
+        ? this.normalizeDutyRoleIds(inheritedFromRoles)
+        : existingParentIds;
+
+      if (inheritedFromChanged) {
+        await this.validateParentLinks(connection, dutyRoleId, newParentIds);
       }
 
       // explicit privileges
-      if (functionPrivileges !== undefined) {
+      const privilegesChanged = functionPrivileges !== undefined;
+      const newExplicitPrivilegeIds = privilegesChanged
+        ? this.normalizePrivilegeIds(functionPrivileges)
+        : currentExplicitPrivilegeIds;
+
+      if (privilegesChanged) {
         // Validate: prevent removing inherited privileges
-        const parentIdsForValidation = inheritedFromChanged ? newParentIds : existingParentIds;
-        const currentInheritedPrivilegeIds = await this.collectPrivilegesFromParents(parentIdsForValidation);
-        
-        const newExplicitIds = Array.isArray(functionPrivileges)
-          ? functionPrivileges
-              .map(v => {
-                if (typeof v === 'number') return v;
-                if (typeof v === 'object' && v.privilege_id) return v.privilege_id;
-                if (typeof v === 'object' && v.PRIVILEGE_ID) return v.PRIVILEGE_ID;
-                return parseInt(v, 10);
-              })
-              .filter(v => !isNaN(v))
-          : [];
-        
-        const newEffectiveIds = [...new Set([...newExplicitIds, ...currentInheritedPrivilegeIds])];
-        
+        const currentInheritedPrivilegeIds = await this.collectPrivilegesFromParents(newParentIds);
+        const newEffectiveIds = [...new Set([...newExplicitPrivilegeIds, ...currentInheritedPrivilegeIds])];
+
         const removedInheritedIds = currentInheritedPrivilegeIds.filter(
           id => !newEffectiveIds.includes(id)
         );
-        
+
         if (removedInheritedIds.length > 0) {
-          await connection.close();
           throw new Error(
             `Cannot remove inherited privilege(s): ${removedInheritedIds.join(', ')}. Inherited privileges cannot be removed.`
           );
         }
-        
-        const encodedPrivileges = this.encodeFunctionPrivileges(functionPrivileges || []);
-        updates.push('FUNCTION_PRIVILEGES = :functionPrivileges');
-        binds.functionPrivileges = encodedPrivileges;
       }
 
       if (status !== undefined) {
@@ -868,7 +1094,7 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         binds.status = status;
       }
 
-      if (updates.length === 0) {
+      if (updates.length === 0 && !privilegesChanged && !inheritedFromChanged) {
         throw new Error('No fields to update');
       }
 
@@ -877,7 +1103,7 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
       binds.updatedBy = updatedBy;
 
       const updateQuery = `
-        UPDATE SEC.DUTY_ROLES 
+        UPDATE SEC.DUTY_ROLES
            SET ${updates.join(', ')}
          WHERE DUTY_ROLE_ID = :dutyRoleId
       `;
@@ -890,82 +1116,55 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         return null;
       }
 
-      // sync parents' INHERITED_CHILD_ROLES arrays if parents changed
-      if (inheritedFromChanged) {
-        const parentsToAdd = newParentIds.filter(id => !existingParentIds.includes(id));
-        const parentsToRemove = existingParentIds.filter(id => !newParentIds.includes(id));
-
-        // ensure all current parents contain this child
-        for (const parentId of newParentIds) {
-          const parentRes = await connection.execute(
-            `SELECT INHERITED_CHILD_ROLES
-               FROM SEC.DUTY_ROLES
-              WHERE DUTY_ROLE_ID = :parentId`,
-            { parentId },
-            { outFormat: oracledb.OUT_FORMAT_OBJECT }
-          );
+      // parents gaining or losing this child
+      const changedParentIds = [
+        ...newParentIds.filter(id => !existingParentIds.includes(id)),
+        ...existingParentIds.filter(id => !newParentIds.includes(id))
+      ];
 
-          if (parentRes.rows.length === 0) continue;
-
-          const existingChildrenEncoded = parentRes.rows[0].INHERITED_CHILD_ROLES;
-          const existingChildrenIds = this.decodeIdArray(existingChildrenEncoded);
-
-          if (!existingChildrenIds.includes(dutyRoleId)) {
-            const newChildrenIds = [...existingChildrenIds, dutyRoleId];
-            const encodedChildren = this.encodeIdArray(newChildrenIds);
-
-            await connection.execute(
-              `UPDATE SEC.DUTY_ROLES
-                  SET INHERITED_CHILD_ROLES = :inheritedChildRoles,
-                      UPDATED_AT = SYSTIMESTAMP
-                WHERE DUTY_ROLE_ID = :parentId`,
-              {
-                inheritedChildRoles: encodedChildren,
-                parentId
-              },
-              { autoCommit: false }
-            );
-          }
+      await AuditModel.recordSideEffects(connection, { DUTY_ROLE: changedParentIds }, updatedBy, async () => {
+        if (privilegesChanged) {
+          await connection.execute(
+            'DELETE FROM SEC.DUTY_ROLE_PRIVILEGES WHERE DUTY_ROLE_ID = :dutyRoleId',
+            { dutyRoleId },
+            { autoCommit: false }
+          );
+          await this.insertPrivilegeLinks(connection, dutyRoleId, newExplicitPrivilegeIds, updatedBy);
         }
 
-        // remove this child from removed parents
-        for (const parentId of parentsToRemove) {
-          const parentRes = await connection.execute(
-            `SELECT INHERITED_CHILD_ROLES
-               FROM SEC.DUTY_ROLES
-              WHERE DUTY_ROLE_ID = :parentId`,
-            { parentId },
-            { outFormat: oracledb.OUT_FORMAT_OBJECT }
+        if (inheritedFromChanged) {
+          await connection.execute(
+            'DELETE FROM SEC.DUTY_ROLE_INHERITANCE WHERE CHILD_DUTY_ROLE_ID = :dutyRoleId',
+            { dutyRoleId },
+            { autoCommit: false }
           );
-
-          if (parentRes.rows.length === 0) continue;
-
-          const existingChildrenEncoded = parentRes.rows[0].INHERITED_CHILD_ROLES;
-          const existingChildrenIds = this.decodeIdArray(existingChildrenEncoded);
-
-          if (existingChildrenIds.includes(dutyRoleId)) {
-            const newChildrenIds = existingChildrenIds.filter(id => id !== dutyRoleId);
-            const encodedChildren = this.encodeIdArray(newChildrenIds);
-
-            await connection.execute(
-              `UPDATE SEC.DUTY_ROLES
-                  SET INHERITED_CHILD_ROLES = :inheritedChildRoles,
-                      UPDATED_AT = SYSTIMESTAMP
-                WHERE DUTY_ROLE_ID = :parentId`,
-              {
-                inheritedChildRoles: encodedChildren,
-                parentId
-              },
-              { autoCommit: false }
-            );
-          }
+          await this.insertParentLinks(connection, dutyRoleId, newParentIds, updatedBy);
         }
+      });
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'DUTY_ROLE',
+        entityId: dutyRoleId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      let sodWarnings = [];
+      if (privilegesChanged || inheritedFromChanged) {
+        sodWarnings = await SodRuleModel.enforce(connection, {
+          entityType: 'DUTY_ROLE',
+          entityId: dutyRoleId,
+          privilegeIds: await this.resolveEffectivePrivilegeIds(newExplicitPrivilegeIds, newParentIds),
+          actor: updatedBy
+        });
       }
 
       await connection.commit();
       await connection.close();
 
-      return await this.getById(dutyRoleId);
+      const updatedDutyRole = await this.getById(dutyRoleId);
+      return { ...updatedDutyRole, SOD_WARNINGS: sodWarnings };
     } catch (error) {
       try { await connection.rollback(); } catch (_) {}
       await connection.close();
@@ -977,130 +1176,117 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
    * Delete a duty role
    *
    * Behavior:
-   * - NOT allowed if this role has parents (check INHERITED_FROM_ROLES column).
+   * - NOT allowed if this role has parents.
    * - If this role is a parent:
    *    • children with ONLY this parent  → deleted (cascade one level)
-   *    • children with multiple parents → keep, remove this parent from their INHERITED_FROM_ROLES
-   * - Remove this role from all parents' INHERITED_CHILD_ROLES arrays.
+   *    • children with multiple parents → keep, their link to this role is
+   *      removed by ON DELETE CASCADE
+   * - Privilege links and job role assignments of deleted roles cascade too.
+   * - Every entity touched (children and job roles losing a link, cascaded
+   *   children and this role) gets its own audit record, attributed to deletedBy.
    */
-  static async delete(dutyRoleId) {
+  static async delete(dutyRoleId, deletedBy = 'SYSTEM') {
     const connection = await getConnection();
 
     try {
       // Confirm role exists and check if it has parents
-      const existsResult = await connection.execute(
-        `SELECT DUTY_ROLE_ID, INHERITED_FROM_ROLES
-           FROM SEC.DUTY_ROLES
-          WHERE DUTY_ROLE_ID = :dutyRoleId`,
-        { dutyRoleId },
-        { outFormat: oracledb.OUT_FORMAT_OBJECT }
-      );
+      const before = await AuditModel.snapshot(connection, 'DUTY_ROLE', dutyRoleId);
 
-      if (existsResult.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return false;
       }
 
       // Check if this role has parents - prevent deletion if yes
-      const currentParentIds = this.decodeIdArray(existsResult.rows[0].INHERITED_FROM_ROLES);
-      if (currentParentIds.length > 0) {
-        try {
-          await connection.close();
-        } catch (closeError) {}
+      if (before.INHERITED_FROM_ROLES.length > 0) {
         throw new Error(
-          `Cannot delete duty role ${dutyRoleId} because it inherits from other role(s): ${currentParentIds.join(', ')}. Delete all parent roles first.`
+          `Cannot delete duty role ${dutyRoleId} because it inherits from other role(s): ${before.INHERITED_FROM_ROLES.join(', ')}. Delete all parent roles first.`
         );
       }
 
-      // 1) Handle children (roles that inherit FROM this role)
-      const childrenResult = await connection.execute(
-        `SELECT DUTY_ROLE_ID, INHERITED_FROM_ROLES
-           FROM SEC.DUTY_ROLES
-          WHERE INHERITED_FROM_ROLES IS NOT NULL`,
-        {},
+      // children that only inherit from this role go with it
+      const orphansResult = await connection.execute(
+        `SELECT I.CHILD_DUTY_ROLE_ID
+           FROM SEC.DUTY_ROLE_INHERITANCE I
+          WHERE I.PARENT_DUTY_ROLE_ID = :dutyRoleId
+            AND NOT EXISTS (
+                  SELECT 1
+                    FROM SEC.DUTY_ROLE_INHERITANCE O
+                   WHERE O.CHILD_DUTY_ROLE_ID = I.CHILD_DUTY_ROLE_ID
+                     AND O.PARENT_DUTY_ROLE_ID <> :dutyRoleId
+                )`,
+        { dutyRoleId },
         { outFormat: oracledb.OUT_FORMAT_OBJECT }
       );
 
-      const childrenToDelete = [];
-
-      for (const row of childrenResult.rows) {
-        const childId = row.DUTY_ROLE_ID;
-        const parentIds = this.decodeIdArray(row.INHERITED_FROM_ROLES);
-
-        if (!parentIds.includes(dutyRoleId)) continue;
-
-        const newParents = parentIds.filter(id => id !== dutyRoleId);
-
-        if (newParents.length === 0) {
-          childrenToDelete.push(childId);
-        } else {
-          const encodedParents = this.encodeIdArray(newParents);
-
-          await connection.execute(
-            `UPDATE SEC.DUTY_ROLES
-                SET INHERITED_FROM_ROLES = :inheritedFromRoles,
-                    UPDATED_AT = SYSTIMESTAMP
-              WHERE DUTY_ROLE_ID = :childId`,
-            {
-              inheritedFromRoles: encodedParents,
-              childId
-            },
-            { autoCommit: false }
-          );
-        }
-      }
-
-      // 2) Remove this role from all parents' INHERITED_CHILD_ROLES arrays
-      const parentsResult = await connection.execute(
-        `SELECT DUTY_ROLE_ID, INHERITED_CHILD_ROLES
-           FROM SEC.DUTY_ROLES
-          WHERE INHERITED_CHILD_ROLES IS NOT NULL`,
-        {},
+      const childrenToDelete = orphansResult.rows.map(row => row.CHILD_DUTY_ROLE_ID);
+      const deletedIds = [dutyRoleId, ...childrenToDelete];
+      const { placeholders, binds } = buildInClause(deletedIds);
+
+      // roles and job roles that keep existing but lose a link
+      const linkedRolesResult = await connection.execute(
+        `SELECT CHILD_DUTY_ROLE_ID AS DUTY_ROLE_ID
+           FROM SEC.DUTY_ROLE_INHERITANCE
+          WHERE PARENT_DUTY_ROLE_ID IN (${placeholders})
+         UNION
+         SELECT PARENT_DUTY_ROLE_ID
+           FROM SEC.DUTY_ROLE_INHERITANCE
+          WHERE CHILD_DUTY_ROLE_ID IN (${placeholders})`,
+        binds,
         { outFormat: oracledb.OUT_FORMAT_OBJECT }
       );
 
-      for (const row of parentsResult.rows) {
-        const parentId = row.DUTY_ROLE_ID;
-        const childIds = this.decodeIdArray(row.INHERITED_CHILD_ROLES);
-
-        if (!childIds.includes(dutyRoleId)) continue;
-
-        const newChildren = childIds.filter(id => id !== dutyRoleId);
-        const encodedChildren = this.encodeIdArray(newChildren);
+      const linkedJobRolesResult = await connection.execute(
+        `SELECT DISTINCT JOB_ROLE_ID
+           FROM SEC.JOB_ROLE_DUTY_ROLES
+          WHERE DUTY_ROLE_ID IN (${placeholders})`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
 
-        await connection.execute(
-          `UPDATE SEC.DUTY_ROLES
-              SET INHERITED_CHILD_ROLES = :inheritedChildRoles,
-                  UPDATED_AT = SYSTIMESTAMP
-            WHERE DUTY_ROLE_ID = :parentId`,
-          {
-            inheritedChildRoles: encodedChildren,
-            parentId
-          },
-          { autoCommit: false }
-        );
+      const childBefores = [];
+      for (const childId of childrenToDelete) {
+        childBefores.push(await AuditModel.snapshot(connection, 'DUTY_ROLE', childId));
       }
 
-      // 3) Cascade delete children that only had this parent
-      for (const childId of childrenToDelete) {
-        await connection.execute(
+      const affected = {
+        DUTY_ROLE: linkedRolesResult.rows
+          .map(row => row.DUTY_ROLE_ID)
+          .filter(id => !deletedIds.includes(id)),
+        JOB_ROLE: linkedJobRolesResult.rows.map(row => row.JOB_ROLE_ID)
+      };
+
+      const deleteResult = await AuditModel.recordSideEffects(connection, affected, deletedBy, () =>
+        connection.execute(
           `DELETE FROM SEC.DUTY_ROLES
-            WHERE DUTY_ROLE_ID = :childId`,
-          { childId },
+            WHERE DUTY_ROLE_ID IN (${placeholders})`,
+          binds,
           { autoCommit: false }
-        );
-      }
-
-      // 4) Delete this role
-      const deleteResult = await connection.execute(
-        `DELETE FROM SEC.DUTY_ROLES
-          WHERE DUTY_ROLE_ID = :dutyRoleId`,
-        { dutyRoleId },
-        { autoCommit: false }
+        )
       );
 
       const deleted = deleteResult.rowsAffected > 0;
 
+      if (deleted) {
+        for (const [index, childId] of childrenToDelete.entries()) {
+          await AuditModel.record(connection, {
+            entityType: 'DUTY_ROLE',
+            entityId: childId,
+            action: 'DELETE',
+            actor: deletedBy,
+            before: childBefores[index]
+          });
+        }
+
+        await AuditModel.record(connection, {
+          entityType: 'DUTY_ROLE',
+          entityId: dutyRoleId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
       await connection.commit();
       await connection.close();
       return deleted;
@@ -1119,6 +1305,7 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
 
   /**
    * Add privileges to a duty role (additive - merges with existing)
+   * SoD rules are evaluated against the resulting effective privileges.
    * @param {number} dutyRoleId - Duty Role ID
    * @param {Array<number|string>} privilegeIds - Array of privilege IDs to add
    * @param {string} updatedBy - Updated by user
@@ -1127,28 +1314,15 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
   static async addPrivilegesToDutyRole(dutyRoleId, privilegeIds, updatedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
-      // Get current duty role
-      const currentRole = await executeQuery(
-        'SELECT FUNCTION_PRIVILEGES FROM SEC.DUTY_ROLES WHERE DUTY_ROLE_ID = :dutyRoleId',
-        { dutyRoleId }
-      );
+      const before = await AuditModel.snapshot(connection, 'DUTY_ROLE', dutyRoleId);
 
-      if (currentRole.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return null; // Duty role not found
       }
 
-      // Get existing privilege IDs
-      const existingEncoded = currentRole.rows[0].FUNCTION_PRIVILEGES;
-      const existingPrivileges = await this.decodeFunctionPrivileges(existingEncoded);
-      const existingIds = existingPrivileges.map(p => p.PRIVILEGE_ID || p.privilege_id);
-
-      // Convert new privilege IDs to numbers and filter out invalid ones
-      const newIds = privilegeIds.map(id => {
-        if (typeof id === 'number') return id;
-        if (typeof id === 'string') return parseInt(id, 10);
-        return null;
-      }).filter(id => id !== null && !isNaN(id));
+      const existingIds = before.FUNCTION_PRIVILEGES;
+      const newIds = this.normalizePrivilegeIds(privilegeIds);
 
       // Separate already assigned and newly assigned privileges
       const alreadyAssignedIds = newIds.filter(id => existingIds.includes(id));
@@ -1166,32 +1340,37 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         };
       }
 
-      // Merge and deduplicate
-      const mergedIds = [...new Set([...existingIds, ...newIds])];
-
-      // Encode the merged privilege IDs
-      const encodedPrivileges = this.encodeFunctionPrivileges(mergedIds);
+      await this.insertPrivilegeLinks(connection, dutyRoleId, newlyAssignedIds, updatedBy);
 
-      // Update the duty role
-      const result = await connection.execute(
-        `UPDATE SEC.DUTY_ROLES 
-        SET FUNCTION_PRIVILEGES = :functionPrivileges,
-            UPDATED_AT = SYSTIMESTAMP,
+      await connection.execute(
+        `UPDATE SEC.DUTY_ROLES
+        SET UPDATED_AT = SYSTIMESTAMP,
             UPDATED_BY = :updatedBy
         WHERE DUTY_ROLE_ID = :dutyRoleId`,
-        {
-          functionPrivileges: encodedPrivileges,
-          updatedBy,
-          dutyRoleId
-        },
-        { autoCommit: true }
+        { updatedBy, dutyRoleId },
+        { autoCommit: false }
       );
 
-      await connection.close();
+      await AuditModel.recordChange(connection, {
+        entityType: 'DUTY_ROLE',
+        entityId: dutyRoleId,
+        action: 'ADD_PRIVILEGES',
+        actor: updatedBy,
+        before
+      });
 
-      if (result.rowsAffected === 0) {
-        return null;
-      }
+      const sodWarnings = await SodRuleModel.enforce(connection, {
+        entityType: 'DUTY_ROLE',
+        entityId: dutyRoleId,
+        privilegeIds: await this.resolveEffectivePrivilegeIds(
+          [...existingIds, ...newlyAssignedIds],
+          before.INHERITED_FROM_ROLES
+        ),
+        actor: updatedBy
+      });
+
+      await connection.commit();
+      await connection.close();
 
       // Return the updated duty role with validation info
       const dutyRoleData = await this.getById(dutyRoleId);
@@ -1199,9 +1378,11 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         dutyRoleData,
         alreadyAssignedIds,
         newlyAssignedIds,
-        wasUpdated: true
+        wasUpdated: true,
+        sodWarnings
       };
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -1217,36 +1398,32 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
   static async removePrivilegeFromDutyRole(dutyRoleId, privilegeId, updatedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
-      // Get current duty role
-      const currentRole = await executeQuery(
-        `SELECT FUNCTION_PRIVILEGES, INHERITED_FROM_ROLES
-           FROM SEC.DUTY_ROLES
-          WHERE DUTY_ROLE_ID = :dutyRoleId`,
-        { dutyRoleId }
-      );
+      const before = await AuditModel.snapshot(connection, 'DUTY_ROLE', dutyRoleId);
 
-      if (currentRole.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return null; // Duty role not found
       }
 
-      // Get existing privilege IDs
-      const existingEncoded = currentRole.rows[0].FUNCTION_PRIVILEGES;
-      const existingIds = this.decodeIdArray(existingEncoded);
-      
       // Check if this privilege is inherited
-      const parentIds = this.decodeIdArray(currentRole.rows[0].INHERITED_FROM_ROLES);
-      const inheritedPrivilegeIds = await this.collectPrivilegesFromParents(parentIds);
-      
+      const inheritedPrivilegeIds = await this.collectPrivilegesFromParents(before.INHERITED_FROM_ROLES);
+
       if (inheritedPrivilegeIds.includes(privilegeId)) {
-        await connection.close();
         throw new Error(
           `Cannot remove privilege ${privilegeId} because it is inherited from parent role(s). Inherited privileges cannot be removed.`
         );
       }
 
-      // Check if privilege is already removed
-      if (!existingIds.includes(privilegeId)) {
+      const result = await connection.execute(
+        `DELETE FROM SEC.DUTY_ROLE_PRIVILEGES
+          WHERE DUTY_ROLE_ID = :dutyRoleId
+            AND PRIVILEGE_ID = :privilegeId`,
+        { dutyRoleId, privilegeId },
+        { autoCommit: false }
+      );
+
+      // Privilege was not assigned explicitly
+      if (result.rowsAffected === 0) {
         await connection.close();
         const dutyRoleData = await this.getById(dutyRoleId);
         return {
@@ -1256,32 +1433,25 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         };
       }
 
-      // Remove the privilege ID
-      const filteredIds = existingIds.filter(id => id !== privilegeId);
-
-      // Encode the filtered privilege IDs
-      const encodedPrivileges = this.encodeIdArray(filteredIds);
-
-      // Update the duty role
-      const result = await connection.execute(
-        `UPDATE SEC.DUTY_ROLES 
-        SET FUNCTION_PRIVILEGES = :functionPrivileges,
-            UPDATED_AT = SYSTIMESTAMP,
+      await connection.execute(
+        `UPDATE SEC.DUTY_ROLES
+        SET UPDATED_AT = SYSTIMESTAMP,
             UPDATED_BY = :updatedBy
         WHERE DUTY_ROLE_ID = :dutyRoleId`,
-        {
-          functionPrivileges: encodedPrivileges,
-          updatedBy,
-          dutyRoleId
-        },
-        { autoCommit: true }
+        { updatedBy, dutyRoleId },
+        { autoCommit: false }
       );
 
-      await connection.close();
+      await AuditModel.recordChange(connection, {
+        entityType: 'DUTY_ROLE',
+        entityId: dutyRoleId,
+        action: 'REMOVE_PRIVILEGE',
+        actor: updatedBy,
+        before
+      });
 
-      if (result.rowsAffected === 0) {
-        return null;
-      }
+      await connection.commit();
+      await connection.close();
 
       // Return the updated duty role with validation info
       const dutyRoleData = await this.getById(dutyRoleId);
@@ -1291,6 +1461,7 @@ static async decodeFunctionPrivileges(encodedPrivileges) {
         wasUpdated: true
       };
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
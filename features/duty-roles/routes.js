@@ -1,20 +1,29 @@
 import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
 import { DutyRoleController } from './controller.js';
 
 const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_DUTY_ROLES');
 
 // Routes
-router.get('/', DutyRoleController.getAll);
-router.post('/', DutyRoleController.create);
+router.get('/', canView, DutyRoleController.getAll);
+router.post('/', canManage, DutyRoleController.create);
+
+// Inheritance graph and comparison (must come before /:id routes)
+router.get('/graph', canView, DutyRoleController.getGraph);
+router.get('/compare', canView, DutyRoleController.compare);
 
 // Privilege management routes (must come before /:id routes)
-router.post('/:id/privileges', DutyRoleController.addPrivileges);
-router.delete('/:id/privileges/:privilegeId', DutyRoleController.removePrivilege);
+router.post('/:id/privileges', canManage, DutyRoleController.addPrivileges);
+router.delete('/:id/privileges/:privilegeId', canManage, DutyRoleController.removePrivilege);
+
+// Cloning routes
+router.post('/:id/clone', canManage, DutyRoleController.clone);
 
 // CRUD routes
-router.get('/:id', DutyRoleController.getById);
-router.put('/:id', DutyRoleController.update);
-router.delete('/:id', DutyRoleController.delete);
+router.get('/:id', canView, DutyRoleController.getById);
+router.put('/:id', canManage, DutyRoleController.update);
+router.delete('/:id', canManage, DutyRoleController.delete);
 
 export default router;
 
@@ -1,4 +1,5 @@
 import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+import { toDot, toMermaid } from '../../utils/graphUtils.js';
 
 /**
  * Duty Role View - Response formatting for duty roles API
@@ -125,7 +126,7 @@ export class DutyRoleView {
    * Format privilege assignment response
    * @param {Object} result - Result object from model with dutyRoleData, alreadyAssignedIds, newlyAssignedIds, wasUpdated
    * @param {Array<number>} requestedPrivilegeIds - Original privilege IDs that were requested
-   * @returns {Object} - Formatted response with message only
+   * @returns {Object} - Formatted response with message (and sod_warnings when rules warned)
    */
   static formatPrivilegeAssignmentResponse(result, requestedPrivilegeIds) {
     if (!result || !result.dutyRoleData) {
@@ -165,10 +166,17 @@ export class DutyRoleView {
         : `${privilegeCount} privileges (IDs: ${newlyAssignedIds.join(', ')}) have been assigned to this duty role`;
     }
     
-    return {
+    const response = {
       success: true,
       message: message
     };
+
+    // Expose segregation-of-duties warnings (WARN severity rules)
+    if (Array.isArray(result.sodWarnings) && result.sodWarnings.length > 0) {
+      response.sod_warnings = toLowerCaseKeys(result.sodWarnings);
+    }
+
+    return response;
   }
 
   /**
@@ -197,6 +205,92 @@ export class DutyRoleView {
     };
   }
 
+  /**
+   * Format inheritance graph response
+   * @param {Object} graph - Result object from DutyRoleModel.getGraph
+   * @returns {Object} - Formatted response
+   */
+  static formatGraphResponse(graph) {
+    return {
+      success: true,
+      data: {
+        nodes: toLowerCaseKeys(graph.NODES),
+        edges: toLowerCaseKeys(graph.EDGES)
+      },
+      summary: {
+        nodes: graph.NODES.length,
+        edges: graph.EDGES.length,
+        root_id: graph.ROOT_ID,
+        depth: graph.DEPTH,
+        edge_direction: 'parent_to_child'
+      }
+    };
+  }
+
+  /**
+   * Map graph nodes and edges to the renderer input of utils/graphUtils.js
+   * @param {Object} graph - Result object from DutyRoleModel.getGraph
+   * @returns {{nodes: Array, edges: Array}}
+   */
+  static toRenderableGraph(graph) {
+    return {
+      nodes: graph.NODES.map(node => ({
+        key: `DR${node.DUTY_ROLE_ID}`,
+        label: [
+          node.ROLE_CODE,
+          node.DUTY_ROLE_NAME,
+          `${node.MODULE_CODE || 'no module'} | ${node.STATUS}`
+        ],
+        inactive: node.STATUS !== 'ACTIVE'
+      })),
+      edges: graph.EDGES.map(edge => ({
+        from: `DR${edge.PARENT_DUTY_ROLE_ID}`,
+        to: `DR${edge.CHILD_DUTY_ROLE_ID}`
+      }))
+    };
+  }
+
+  /**
+   * Format inheritance graph as Graphviz DOT
+   * @param {Object} graph - Result object from DutyRoleModel.getGraph
+   * @returns {string} - DOT document
+   */
+  static formatGraphDot(graph) {
+    const { nodes, edges } = this.toRenderableGraph(graph);
+    return toDot('duty_roles', nodes, edges);
+  }
+
+  /**
+   * Format inheritance graph as a Mermaid flowchart
+   * @param {Object} graph - Result object from DutyRoleModel.getGraph
+   * @returns {string} - Mermaid document
+   */
+  static formatGraphMermaid(graph) {
+    const { nodes, edges } = this.toRenderableGraph(graph);
+    return toMermaid(nodes, edges);
+  }
+
+  /**
+   * Format role comparison response
+   * @param {Object} comparison - Result object from DutyRoleModel.compare
+   * @returns {Object} - Formatted response
+   */
+  static formatComparisonResponse(comparison) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(comparison),
+      summary: {
+        privileges: {
+          common: comparison.PRIVILEGES.COMMON.length,
+          only_in_a: comparison.PRIVILEGES.ONLY_IN_A.length,
+          only_in_b: comparison.PRIVILEGES.ONLY_IN_B.length
+        },
+        identical:
+          comparison.PRIVILEGES.ONLY_IN_A.length === 0 && comparison.PRIVILEGES.ONLY_IN_B.length === 0
+      }
+    };
+  }
+
   /**
    * Format error response
    */
@@ -1,5 +1,8 @@
 import { FunctionPrivilegeModel } from './model.js';
 import { FunctionPrivilegeView } from './view.js';
+import { ModelError } from '../../utils/errors.js';
+
+const GENERATE_MODES = ['dry-run', 'commit'];
 
 /**
  * Function Privilege Controller - Handles HTTP requests for function privileges
@@ -171,7 +174,7 @@ export class FunctionPrivilegeController {
    */
   static async create(req, res) {
     try {
-      const { privilegeCode, privilegeName, description, moduleId, functionId, operationId, status, createdBy } = req.body;
+      const { privilegeCode, privilegeName, description, moduleId, functionId, operationId, status } = req.body;
 
       // Validate required fields
       if (!privilegeCode) {
@@ -202,7 +205,7 @@ export class FunctionPrivilegeController {
         functionId,
         operationId,
         status: status || 'ACTIVE',
-        createdBy: createdBy || 'SYSTEM'
+        createdBy: req.user.username
       });
 
       res.status(201).json(FunctionPrivilegeView.formatSingleResponse(privilegeData));
@@ -220,6 +223,84 @@ export class FunctionPrivilegeController {
     }
   }
 
+  /**
+   * Generate the missing privileges of a module's or function's functions x operations
+   *
+   * ?mode=dry-run (default) only reports what would be created;
+   * ?mode=commit creates the missing privileges in one transaction.
+   * @route POST /api/function-privileges/generate?mode=dry-run|commit
+   * @body  { moduleId or functionId, operationIds: number[] }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async generate(req, res) {
+    try {
+      const mode = req.query.mode || 'dry-run';
+      if (!GENERATE_MODES.includes(mode)) {
+        return res.status(400).json(
+          FunctionPrivilegeView.formatErrorResponse(`mode must be one of: ${GENERATE_MODES.join(', ')}`, 400)
+        );
+      }
+
+      const { moduleId, functionId, operationIds } = req.body;
+
+      if ((moduleId === undefined) === (functionId === undefined)) {
+        return res.status(400).json(
+          FunctionPrivilegeView.formatErrorResponse('Provide either moduleId or functionId', 400)
+        );
+      }
+
+      const scopeId = parseInt(functionId ?? moduleId);
+      if (isNaN(scopeId)) {
+        return res.status(400).json(
+          FunctionPrivilegeView.formatErrorResponse(functionId !== undefined ? 'Invalid functionId' : 'Invalid moduleId', 400)
+        );
+      }
+
+      if (!Array.isArray(operationIds) || operationIds.length === 0 || !operationIds.every(Number.isInteger)) {
+        return res.status(400).json(
+          FunctionPrivilegeView.formatErrorResponse('operationIds must be a non-empty array of operation IDs', 400)
+        );
+      }
+
+      const result = await FunctionPrivilegeModel.generate({
+        moduleId: functionId === undefined ? scopeId : undefined,
+        functionId: functionId !== undefined ? scopeId : undefined,
+        operationIds: [...new Set(operationIds)],
+        dryRun: mode === 'dry-run',
+        createdBy: req.user.username
+      });
+
+      if (!result) {
+        return res.status(404).json(
+          FunctionPrivilegeView.formatErrorResponse(functionId !== undefined ? 'Function not found' : 'Module not found', 404)
+        );
+      }
+
+      const created = result.PRIVILEGES.some(privilege => privilege.ACTION === 'CREATE');
+      res.status(created && result.COMMITTED ? 201 : 200).json(
+        FunctionPrivilegeView.formatGenerateResponse(result)
+      );
+    } catch (error) {
+      if (error.message.includes('Operation(s) not found')) {
+        return res.status(400).json(
+          FunctionPrivilegeView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // a privilege created concurrently with the same code
+      if (error.message.includes('unique constraint') || error.errorNum === 1) {
+        return res.status(409).json(
+          FunctionPrivilegeView.formatErrorResponse('Privilege code already exists', 409)
+        );
+      }
+
+      res.status(500).json(
+        FunctionPrivilegeView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
   /**
    * Update a function privilege
    * @param {Object} req - Express request object
@@ -235,7 +316,7 @@ export class FunctionPrivilegeController {
         );
       }
 
-      const { privilegeCode, privilegeName, description, moduleId, functionId, operationId, status, updatedBy } = req.body;
+      const { privilegeCode, privilegeName, description, moduleId, functionId, operationId, status } = req.body;
 
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
@@ -253,7 +334,7 @@ export class FunctionPrivilegeController {
         functionId,
         operationId,
         status,
-        updatedBy: updatedBy || 'SYSTEM'
+        updatedBy: req.user.username
       });
 
       if (!privilegeData) {
@@ -292,7 +373,7 @@ export class FunctionPrivilegeController {
         );
       }
 
-      const deleted = await FunctionPrivilegeModel.delete(privilegeId);
+      const deleted = await FunctionPrivilegeModel.delete(privilegeId, req.user.username);
 
       if (!deleted) {
         return res.status(404).json(
@@ -305,6 +386,13 @@ export class FunctionPrivilegeController {
         message: 'Function privilege deleted successfully'
       });
     } catch (error) {
+      // Handle "cannot delete because SoD rules use it" error
+      if (error instanceof ModelError) {
+        return res.status(error.statusCode).json(
+          FunctionPrivilegeView.formatErrorResponse(error.message, error.statusCode)
+        );
+      }
+
       res.status(500).json(
         FunctionPrivilegeView.formatErrorResponse(error.message, 500)
       );
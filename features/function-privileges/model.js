@@ -1,5 +1,8 @@
 import { executeQuery, getConnection } from '../../config/db.js';
 import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+import { ConflictError } from '../../utils/errors.js';
 
 /**
  * Function Privilege Model - Database operations for SEC.FUNCTION_PRIVILEGES table
@@ -228,6 +231,88 @@ export class FunctionPrivilegeModel {
     return result.rows.length > 0 ? result.rows[0] : null;
   }
 
+  /**
+   * Get function privileges by IDs in one query
+   * @param {Array<number>} privilegeIds - Privilege IDs
+   * @returns {Promise<Array>} - Privilege objects (same fields as getById), unknown IDs are left out
+   */
+  static async getByIds(privilegeIds) {
+    const uniqueIds = [...new Set(privilegeIds || [])].filter(id => !isNaN(id));
+    if (uniqueIds.length === 0) return [];
+
+    const { placeholders, binds } = buildInClause(uniqueIds);
+
+    const result = await executeQuery(
+      `SELECT 
+        FP.PRIVILEGE_ID,
+        FP.PRIVILEGE_CODE,
+        FP.PRIVILEGE_NAME,
+        FP.DESCRIPTION,
+        FP.MODULE_ID,
+        M.MODULE_NAME,
+        FP.FUNCTION_ID,
+        F.FUNCTION_NAME,
+        FP.OPERATION_ID,
+        O.OPERATION_NAME,
+        FP.STATUS,
+        FP.CREATED_AT,
+        FP.CREATED_BY,
+        FP.UPDATED_AT,
+        FP.UPDATED_BY
+      FROM SEC.FUNCTION_PRIVILEGES FP
+      LEFT JOIN SEC.MODULES M ON FP.MODULE_ID = M.MODULE_ID
+      LEFT JOIN SEC.FUNCTIONS F ON FP.FUNCTION_ID = F.FUNCTION_ID
+      LEFT JOIN SEC.OPERATIONS O ON FP.OPERATION_ID = O.OPERATION_ID
+      WHERE FP.PRIVILEGE_ID IN (${placeholders})
+      ORDER BY FP.PRIVILEGE_ID`,
+      binds
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get function privilege as it was at a point in time (from the audit trail)
+   * Module, function and operation names are resolved as of the same instant.
+   * @param {number} privilegeId - Privilege ID
+   * @param {Date} asOf - Point in time
+   * @returns {Promise<Object|null>} - Function privilege object or null if it did not exist
+   */
+  static async getByIdAsOf(privilegeId, asOf) {
+    const image = await AuditModel.getImageAsOf('FUNCTION_PRIVILEGE', privilegeId, asOf);
+    if (!image) {
+      return null;
+    }
+
+    const module = image.MODULE_ID
+      ? await AuditModel.getImageAsOf('MODULE', image.MODULE_ID, asOf)
+      : null;
+    const func = image.FUNCTION_ID
+      ? await AuditModel.getImageAsOf('FUNCTION', image.FUNCTION_ID, asOf)
+      : null;
+    const operation = image.OPERATION_ID
+      ? await AuditModel.getImageAsOf('OPERATION', image.OPERATION_ID, asOf)
+      : null;
+
+    return {
+      PRIVILEGE_ID: image.PRIVILEGE_ID,
+      PRIVILEGE_CODE: image.PRIVILEGE_CODE,
+      PRIVILEGE_NAME: image.PRIVILEGE_NAME,
+      DESCRIPTION: image.DESCRIPTION,
+      MODULE_ID: image.MODULE_ID,
+      MODULE_NAME: module ? module.MODULE_NAME : null,
+      FUNCTION_ID: image.FUNCTION_ID,
+      FUNCTION_NAME: func ? func.FUNCTION_NAME : null,
+      OPERATION_ID: image.OPERATION_ID,
+      OPERATION_NAME: operation ? operation.OPERATION_NAME : null,
+      STATUS: image.STATUS,
+      CREATED_AT: image.CREATED_AT,
+      CREATED_BY: image.CREATED_BY,
+      UPDATED_AT: image.UPDATED_AT,
+      UPDATED_BY: image.UPDATED_BY
+    };
+  }
+
   /**
    * Create a new function privilege
    * @param {Object} privilegeData - Function privilege data
@@ -260,50 +345,211 @@ export class FunctionPrivilegeModel {
         throw new Error('privilegeCode and privilegeName are required');
       }
 
-      // Insert new function privilege
-      const result = await connection.execute(
-        `INSERT INTO SEC.FUNCTION_PRIVILEGES (
-          PRIVILEGE_CODE,
-          PRIVILEGE_NAME,
-          DESCRIPTION,
-          MODULE_ID,
-          FUNCTION_ID,
-          OPERATION_ID,
-          STATUS,
-          CREATED_BY,
-          CREATED_AT
-        ) VALUES (
-          :privilegeCode,
-          :privilegeName,
-          :description,
-          :moduleId,
-          :functionId,
-          :operationId,
-          :status,
-          :createdBy,
-          SYSTIMESTAMP
-        )
-        RETURNING PRIVILEGE_ID INTO :privilegeId`,
-        {
-          privilegeCode,
-          privilegeName,
-          description: description || null,
-          moduleId: moduleId ? parseInt(moduleId) : null,
-          functionId: functionId ? parseInt(functionId) : null,
-          operationId: operationId ? parseInt(operationId) : null,
-          status,
-          createdBy,
-          privilegeId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
-        },
-        { autoCommit: true }
-      );
+      const privilegeId = await this.insertPrivilege(connection, {
+        privilegeCode,
+        privilegeName,
+        description,
+        moduleId,
+        functionId,
+        operationId,
+        status,
+        createdBy
+      });
 
-      const privilegeId = result.outBinds.privilegeId[0];
+      await connection.commit();
       await connection.close();
       
       // Return the created function privilege
       return await this.getById(privilegeId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: insert a function privilege and its CREATE audit record (inside the caller's transaction)
+   * @returns {Promise<number>} - New privilege ID
+   */
+  static async insertPrivilege(connection, privilegeData) {
+    const { privilegeCode, privilegeName, description, moduleId, functionId, operationId, status, createdBy } = privilegeData;
+
+    const result = await connection.execute(
+      `INSERT INTO SEC.FUNCTION_PRIVILEGES (
+        PRIVILEGE_CODE,
+        PRIVILEGE_NAME,
+        DESCRIPTION,
+        MODULE_ID,
+        FUNCTION_ID,
+        OPERATION_ID,
+        STATUS,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :privilegeCode,
+        :privilegeName,
+        :description,
+        :moduleId,
+        :functionId,
+        :operationId,
+        :status,
+        :createdBy,
+        SYSTIMESTAMP
+      )
+      RETURNING PRIVILEGE_ID INTO :privilegeId`,
+      {
+        privilegeCode,
+        privilegeName,
+        description: description || null,
+        moduleId: moduleId ? parseInt(moduleId) : null,
+        functionId: functionId ? parseInt(functionId) : null,
+        operationId: operationId ? parseInt(operationId) : null,
+        status,
+        createdBy,
+        privilegeId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+      },
+      { autoCommit: false }
+    );
+
+    const privilegeId = result.outBinds.privilegeId[0];
+
+    await AuditModel.recordChange(connection, {
+      entityType: 'FUNCTION_PRIVILEGE',
+      entityId: privilegeId,
+      action: 'CREATE',
+      actor: createdBy
+    });
+
+    return privilegeId;
+  }
+
+  /**
+   * Generate the privileges of functions x operations
+   * Each combination gets the code <FUNCTION_CODE>_<OPERATION_CODE> and the
+   * name "<FUNCTION_NAME> - <OPERATION_NAME>". Combinations that already have a
+   * privilege are skipped (EXISTS), as are codes already used by another
+   * privilege (CONFLICT); everything else is created (CREATE) in one transaction.
+   * @param {Object} params
+   * @param {number} params.moduleId - Generate for every function of this module, or
+   * @param {number} params.functionId - Generate for this function
+   * @param {Array<number>} params.operationIds - Operations to combine with the functions
+   * @param {boolean} params.dryRun - Report what would be created without writing
+   * @param {string} params.createdBy - Created by user (default: 'SYSTEM')
+   * @returns {Promise<Object|null>} - { DRY_RUN, COMMITTED, PRIVILEGES: [{ ACTION, PRIVILEGE_ID, PRIVILEGE_CODE,
+   *   PRIVILEGE_NAME, MODULE_ID, FUNCTION_ID, FUNCTION_CODE, OPERATION_ID, OPERATION_CODE }] },
+   *   or null if the module / function is not found
+   * @throws when an operation does not exist
+   */
+  static async generate({ moduleId, functionId, operationIds, dryRun = true, createdBy = 'SYSTEM' }) {
+    const connection = await getConnection();
+    try {
+      const scope = functionId !== undefined && functionId !== null
+        ? { table: 'SEC.FUNCTIONS', column: 'FUNCTION_ID', id: functionId }
+        : { table: 'SEC.MODULES', column: 'MODULE_ID', id: moduleId };
+
+      const owner = await connection.execute(
+        `SELECT ${scope.column} FROM ${scope.table} WHERE ${scope.column} = :id`,
+        { id: scope.id },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      if (owner.rows.length === 0) {
+        await connection.close();
+        return null;
+      }
+
+      const functions = await connection.execute(
+        `SELECT FUNCTION_ID, FUNCTION_CODE, FUNCTION_NAME, MODULE_ID
+           FROM SEC.FUNCTIONS
+          WHERE ${scope.column} = :id
+          ORDER BY FUNCTION_CODE`,
+        { id: scope.id },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      const { placeholders, binds } = buildInClause(operationIds);
+      const operations = await connection.execute(
+        `SELECT OPERATION_ID, OPERATION_CODE, OPERATION_NAME
+           FROM SEC.OPERATIONS
+          WHERE OPERATION_ID IN (${placeholders})
+          ORDER BY OPERATION_CODE`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      const foundIds = operations.rows.map(row => row.OPERATION_ID);
+      const missingIds = operationIds.filter(id => !foundIds.includes(id));
+      if (missingIds.length > 0) {
+        throw new Error(`Operation(s) not found: ${missingIds.join(', ')}`);
+      }
+
+      const privileges = [];
+      for (const fn of functions.rows) {
+        for (const operation of operations.rows) {
+          const privilege = {
+            ACTION: 'CREATE',
+            PRIVILEGE_ID: null,
+            PRIVILEGE_CODE: `${fn.FUNCTION_CODE}_${operation.OPERATION_CODE}`,
+            PRIVILEGE_NAME: `${fn.FUNCTION_NAME} - ${operation.OPERATION_NAME}`,
+            MODULE_ID: fn.MODULE_ID,
+            FUNCTION_ID: fn.FUNCTION_ID,
+            FUNCTION_CODE: fn.FUNCTION_CODE,
+            OPERATION_ID: operation.OPERATION_ID,
+            OPERATION_CODE: operation.OPERATION_CODE
+          };
+          privileges.push(privilege);
+
+          const existing = await connection.execute(
+            `SELECT PRIVILEGE_ID, PRIVILEGE_CODE, PRIVILEGE_NAME, FUNCTION_ID, OPERATION_ID
+               FROM SEC.FUNCTION_PRIVILEGES
+              WHERE (FUNCTION_ID = :functionId AND OPERATION_ID = :operationId)
+                 OR PRIVILEGE_CODE = :privilegeCode
+              ORDER BY PRIVILEGE_ID`,
+            { functionId: fn.FUNCTION_ID, operationId: operation.OPERATION_ID, privilegeCode: privilege.PRIVILEGE_CODE },
+            { outFormat: oracledb.OUT_FORMAT_OBJECT }
+          );
+
+          const sameCombination = existing.rows.find(row =>
+            row.FUNCTION_ID === fn.FUNCTION_ID && row.OPERATION_ID === operation.OPERATION_ID
+          );
+          const match = sameCombination || existing.rows[0];
+          if (match) {
+            Object.assign(privilege, {
+              ACTION: sameCombination ? 'EXISTS' : 'CONFLICT',
+              PRIVILEGE_ID: match.PRIVILEGE_ID,
+              PRIVILEGE_CODE: match.PRIVILEGE_CODE,
+              PRIVILEGE_NAME: match.PRIVILEGE_NAME
+            });
+            continue;
+          }
+
+          // two combinations can spell the same code, e.g. A_B + C and A + B_C
+          const plannedTwice = privileges.some(other =>
+            other !== privilege && other.ACTION === 'CREATE' && other.PRIVILEGE_CODE === privilege.PRIVILEGE_CODE
+          );
+          if (plannedTwice) {
+            privilege.ACTION = 'CONFLICT';
+            continue;
+          }
+
+          if (!dryRun) {
+            privilege.PRIVILEGE_ID = await this.insertPrivilege(connection, {
+              privilegeCode: privilege.PRIVILEGE_CODE,
+              privilegeName: privilege.PRIVILEGE_NAME,
+              moduleId: fn.MODULE_ID,
+              functionId: fn.FUNCTION_ID,
+              operationId: operation.OPERATION_ID,
+              status: 'ACTIVE',
+              createdBy
+            });
+          }
+        }
+      }
+
+      await connection.commit();
+      await connection.close();
+      return { DRY_RUN: dryRun, COMMITTED: !dryRun, PRIVILEGES: privileges };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -391,8 +637,23 @@ export class FunctionPrivilegeModel {
         WHERE PRIVILEGE_ID = :privilegeId
       `;
 
-      const result = await connection.execute(updateQuery, binds, { autoCommit: true });
-      
+      const before = await AuditModel.snapshot(connection, 'FUNCTION_PRIVILEGE', privilegeId);
+      if (!before) {
+        await connection.close();
+        return null; // Function privilege not found
+      }
+
+      const result = await connection.execute(updateQuery, binds, { autoCommit: false });
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'FUNCTION_PRIVILEGE',
+        entityId: privilegeId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
       await connection.close();
 
       if (result.rowsAffected === 0) {
@@ -402,6 +663,7 @@ export class FunctionPrivilegeModel {
       // Return the updated function privilege
       return await this.getById(privilegeId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -409,21 +671,67 @@ export class FunctionPrivilegeModel {
 
   /**
    * Delete a function privilege
+   * Refused while an SoD rule uses it, since the rule would lose a side.
    * @param {number} privilegeId - Privilege ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  static async delete(privilegeId) {
+  static async delete(privilegeId, deletedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
-      const result = await connection.execute(
-        'DELETE FROM SEC.FUNCTION_PRIVILEGES WHERE PRIVILEGE_ID = :privilegeId',
+      const before = await AuditModel.snapshot(connection, 'FUNCTION_PRIVILEGE', privilegeId);
+
+      const rulesResult = await connection.execute(
+        `SELECT DISTINCT R.RULE_CODE
+           FROM SEC.SOD_RULE_PRIVILEGES SRP
+           JOIN SEC.SOD_RULES R ON R.SOD_RULE_ID = SRP.SOD_RULE_ID
+          WHERE SRP.PRIVILEGE_ID = :privilegeId
+          ORDER BY R.RULE_CODE`,
+        { privilegeId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      if (rulesResult.rows.length > 0) {
+        throw new ConflictError(
+          `Cannot delete function privilege ${privilegeId} because SoD rule(s) use it: ${rulesResult.rows.map(row => row.RULE_CODE).join(', ')}. Remove it from the rules first.`
+        );
+      }
+
+      // duty roles holding the privilege lose it through ON DELETE CASCADE
+      const holders = await connection.execute(
+        `SELECT DUTY_ROLE_ID
+           FROM SEC.DUTY_ROLE_PRIVILEGES
+          WHERE PRIVILEGE_ID = :privilegeId`,
         { privilegeId },
-        { autoCommit: true }
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      const result = await AuditModel.recordSideEffects(
+        connection,
+        { DUTY_ROLE: holders.rows.map(row => row.DUTY_ROLE_ID) },
+        deletedBy,
+        () => connection.execute(
+          'DELETE FROM SEC.FUNCTION_PRIVILEGES WHERE PRIVILEGE_ID = :privilegeId',
+          { privilegeId },
+          { autoCommit: false }
+        )
       );
 
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'FUNCTION_PRIVILEGE',
+          entityId: privilegeId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
       await connection.close();
       return result.rowsAffected > 0;
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
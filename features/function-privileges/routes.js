@@ -1,14 +1,17 @@
 import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
 import { FunctionPrivilegeController } from './controller.js';
 
 const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_FUNCTION_PRIVILEGES');
 
 // Routes
-router.get('/', FunctionPrivilegeController.getAll);
-router.get('/:id', FunctionPrivilegeController.getById);
-router.post('/', FunctionPrivilegeController.create);
-router.put('/:id', FunctionPrivilegeController.update);
-router.delete('/:id', FunctionPrivilegeController.delete);
+router.get('/', canView, FunctionPrivilegeController.getAll);
+router.get('/:id', canView, FunctionPrivilegeController.getById);
+router.post('/', canManage, FunctionPrivilegeController.create);
+router.post('/generate', canManage, FunctionPrivilegeController.generate);
+router.put('/:id', canManage, FunctionPrivilegeController.update);
+router.delete('/:id', canManage, FunctionPrivilegeController.delete);
 
 export default router;
 
@@ -54,6 +54,28 @@ export class FunctionPrivilegeView {
     };
   }
 
+  /**
+   * Format privilege generation response
+   * @param {Object} result - { DRY_RUN, COMMITTED, PRIVILEGES } from model
+   * @returns {Object} - Formatted response with counts per action
+   */
+  static formatGenerateResponse(result) {
+    const count = action => result.PRIVILEGES.filter(privilege => privilege.ACTION === action).length;
+
+    return {
+      success: true,
+      mode: result.DRY_RUN ? 'dry-run' : 'commit',
+      committed: result.COMMITTED,
+      data: toLowerCaseKeys(result.PRIVILEGES),
+      summary: {
+        total: result.PRIVILEGES.length,
+        created: count('CREATE'),
+        existing: count('EXISTS'),
+        conflicts: count('CONFLICT')
+      }
+    };
+  }
+
   /**
    * Format error response
    * @param {string} message - Error message
@@ -211,7 +211,7 @@ export class FunctionController {
    */
   static async create(req, res) {
     try {
-      const { moduleId, functionCode, functionName, description, status, createdBy } = req.body;
+      const { moduleId, functionCode, functionName, description, status } = req.body;
 
       // Validate required fields
       if (!moduleId) {
@@ -246,7 +246,7 @@ export class FunctionController {
         functionName,
         description,
         status: status || 'ACTIVE',
-        createdBy: createdBy || 'SYSTEM'
+        createdBy: req.user.username
       });
 
       res.status(201).json(FunctionView.formatSingleResponse(functionData));
@@ -279,7 +279,7 @@ export class FunctionController {
         );
       }
 
-      const { moduleId, functionCode, functionName, description, status, updatedBy } = req.body;
+      const { moduleId, functionCode, functionName, description, status } = req.body;
 
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
@@ -295,7 +295,7 @@ export class FunctionController {
         functionName,
         description,
         status,
-        updatedBy: updatedBy || 'SYSTEM'
+        updatedBy: req.user.username
       });
 
       if (!functionData) {
@@ -334,7 +334,7 @@ export class FunctionController {
         );
       }
 
-      const deleted = await FunctionModel.delete(functionId);
+      const deleted = await FunctionModel.delete(functionId, req.user.username);
 
       if (!deleted) {
         return res.status(404).json(
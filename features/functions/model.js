@@ -1,5 +1,6 @@
 import { executeQuery, getConnection } from '../../config/db.js';
 import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
 
 /**
  * Function Model - Database operations for SEC.FUNCTIONS table
@@ -322,15 +323,25 @@ export class FunctionModel {
           createdBy,
           functionId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
         },
-        { autoCommit: true }
+        { autoCommit: false }
       );
 
       const functionId = result.outBinds.functionId[0];
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'FUNCTION',
+        entityId: functionId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
       await connection.close();
       
       // Return the created function
       return await this.getById(functionId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -404,8 +415,23 @@ export class FunctionModel {
         WHERE FUNCTION_ID = :functionId
       `;
 
-      const result = await connection.execute(updateQuery, binds, { autoCommit: true });
-      
+      const before = await AuditModel.snapshot(connection, 'FUNCTION', functionId);
+      if (!before) {
+        await connection.close();
+        return null; // Function not found
+      }
+
+      const result = await connection.execute(updateQuery, binds, { autoCommit: false });
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'FUNCTION',
+        entityId: functionId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
       await connection.close();
 
       if (result.rowsAffected === 0) {
@@ -415,6 +441,7 @@ export class FunctionModel {
       // Return the updated function
       return await this.getById(functionId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -423,20 +450,35 @@ export class FunctionModel {
   /**
    * Delete a function
    * @param {number} functionId - Function ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  static async delete(functionId) {
+  static async delete(functionId, deletedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
+      const before = await AuditModel.snapshot(connection, 'FUNCTION', functionId);
+
       const result = await connection.execute(
         'DELETE FROM SEC.FUNCTIONS WHERE FUNCTION_ID = :functionId',
         { functionId },
-        { autoCommit: true }
+        { autoCommit: false }
       );
 
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'FUNCTION',
+          entityId: functionId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
       await connection.close();
       return result.rowsAffected > 0;
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -1,15 +1,17 @@
 import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
 import { FunctionController } from './controller.js';
 
 const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_FUNCTIONS');
 
 // Routes
-router.get('/', FunctionController.getAll);
-router.get('/:id', FunctionController.getById);
-router.get('/module/:moduleId', FunctionController.getByModuleId);
-router.post('/', FunctionController.create);
-router.put('/:id', FunctionController.update);
-router.delete('/:id', FunctionController.delete);
+router.get('/', canView, FunctionController.getAll);
+router.get('/:id', canView, FunctionController.getById);
+router.get('/module/:moduleId', canView, FunctionController.getByModuleId);
+router.post('/', canManage, FunctionController.create);
+router.put('/:id', canManage, FunctionController.update);
+router.delete('/:id', canManage, FunctionController.delete);
 
 export default router;
 
@@ -0,0 +1,91 @@
+import { ImportModel, IMPORT_SECTIONS } from './model.js';
+import { ImportView } from './view.js';
+
+const IMPORT_MODES = ['dry-run', 'commit'];
+const SECTION_KEYS = IMPORT_SECTIONS.map(section => section.key);
+
+/**
+ * Import Controller - Handles HTTP requests for the bulk import
+ */
+export class ImportController {
+  /**
+   * Import modules, functions, operations, function privileges, duty roles and
+   * job roles, resolving references by code
+   *
+   * Body: JSON object with one key per section (CSV text or an array of rows),
+   * or a single CSV file sent as text/csv with ?section=<key>.
+   * ?mode=dry-run (default) applies and rolls back; ?mode=commit commits when
+   * no row failed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async import(req, res) {
+    try {
+      const mode = req.query.mode || 'dry-run';
+      if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json(
+          ImportView.formatErrorResponse(`mode must be one of: ${IMPORT_MODES.join(', ')}`, 400)
+        );
+      }
+
+      let content;
+      if (typeof req.body === 'string') {
+        if (!SECTION_KEYS.includes(req.query.section)) {
+          return res.status(400).json(
+            ImportView.formatErrorResponse(`section must be one of: ${SECTION_KEYS.join(', ')}`, 400)
+          );
+        }
+        content = { [req.query.section]: req.body };
+      } else if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+        content = req.body;
+      } else {
+        return res.status(400).json(
+          ImportView.formatErrorResponse('Request body must be a JSON object or text/csv', 400)
+        );
+      }
+
+      const unknownSections = Object.keys(content).filter(key => !SECTION_KEYS.includes(key));
+      if (unknownSections.length > 0) {
+        return res.status(400).json(
+          ImportView.formatErrorResponse(
+            `Unknown section(s): ${unknownSections.join(', ')}. Sections: ${SECTION_KEYS.join(', ')}`,
+            400
+          )
+        );
+      }
+
+      const sections = {};
+      for (const key of Object.keys(content)) {
+        sections[key] = ImportModel.parseSection(key, content[key]);
+      }
+
+      if (Object.values(sections).every(rows => rows.length === 0)) {
+        return res.status(400).json(
+          ImportView.formatErrorResponse('Nothing to import', 400)
+        );
+      }
+
+      const result = await ImportModel.run(sections, {
+        dryRun: mode === 'dry-run',
+        actor: req.user.username
+      });
+
+      const response = ImportView.formatImportResponse(result);
+      res.status(mode === 'commit' && !result.COMMITTED ? 400 : 200).json(response);
+    } catch (error) {
+      if (
+        error.message.includes('Unknown column') ||
+        error.message.includes('Unterminated quoted field') ||
+        error.message.includes('must be CSV text')
+      ) {
+        return res.status(400).json(
+          ImportView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      res.status(500).json(
+        ImportView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
@@ -0,0 +1,490 @@
+import { getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel, AUDITED_ENTITIES } from '../audit/model.js';
+import { DutyRoleModel } from '../duty-roles/model.js';
+import { JobRoleModel } from '../job-roles/model.js';
+import { SodRuleModel } from '../sod/model.js';
+import { parseCsv } from '../../utils/csvUtils.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+
+/**
+ * Import sections, in the order they are applied.
+ *  - codeColumn: natural key; a row whose code exists updates that record,
+ *    any other row creates one
+ *  - fields:     columns written as-is
+ *  - required:   columns a row must have to create a record
+ *  - references: <X>_CODE columns resolved to the ID of a record of another section
+ *  - links:      code lists that replace the explicit links of a role
+ *                (`image` is the link name in AUDITED_ENTITIES)
+ */
+export const IMPORT_SECTIONS = [
+  {
+    key: 'modules',
+    entityType: 'MODULE',
+    codeColumn: 'MODULE_CODE',
+    fields: ['MODULE_NAME', 'DESCRIPTION', 'STATUS'],
+    required: ['MODULE_NAME'],
+    references: {},
+    links: {}
+  },
+  {
+    key: 'functions',
+    entityType: 'FUNCTION',
+    codeColumn: 'FUNCTION_CODE',
+    fields: ['FUNCTION_NAME', 'DESCRIPTION', 'STATUS'],
+    required: ['FUNCTION_NAME', 'MODULE_CODE'],
+    references: { MODULE_CODE: 'modules' },
+    links: {}
+  },
+  {
+    key: 'operations',
+    entityType: 'OPERATION',
+    codeColumn: 'OPERATION_CODE',
+    fields: ['OPERATION_NAME', 'DESCRIPTION', 'STATUS'],
+    required: ['OPERATION_NAME'],
+    references: {},
+    links: {}
+  },
+  {
+    key: 'functionPrivileges',
+    entityType: 'FUNCTION_PRIVILEGE',
+    codeColumn: 'PRIVILEGE_CODE',
+    fields: ['PRIVILEGE_NAME', 'DESCRIPTION', 'STATUS'],
+    required: ['PRIVILEGE_NAME'],
+    references: { MODULE_CODE: 'modules', FUNCTION_CODE: 'functions', OPERATION_CODE: 'operations' },
+    links: {}
+  },
+  {
+    key: 'dutyRoles',
+    entityType: 'DUTY_ROLE',
+    codeColumn: 'ROLE_CODE',
+    fields: ['DUTY_ROLE_NAME', 'DESCRIPTION', 'STATUS'],
+    required: ['DUTY_ROLE_NAME'],
+    references: { MODULE_CODE: 'modules' },
+    links: {
+      PRIVILEGE_CODES: {
+        section: 'functionPrivileges',
+        image: 'FUNCTION_PRIVILEGES',
+        insert: (connection, id, ids, actor) => DutyRoleModel.insertPrivilegeLinks(connection, id, ids, actor)
+      },
+      PARENT_ROLE_CODES: {
+        section: 'dutyRoles',
+        image: 'INHERITED_FROM_ROLES',
+        parents: true,
+        insert: (connection, id, ids, actor) => DutyRoleModel.insertParentLinks(connection, id, ids, actor)
+      }
+    },
+    model: DutyRoleModel
+  },
+  {
+    key: 'jobRoles',
+    entityType: 'JOB_ROLE',
+    codeColumn: 'JOB_ROLE_CODE',
+    fields: ['JOB_ROLE_NAME', 'DESCRIPTION', 'STATUS'],
+    required: ['JOB_ROLE_NAME'],
+    references: {},
+    links: {
+      DUTY_ROLE_CODES: {
+        section: 'dutyRoles',
+        image: 'DUTY_ROLES',
+        insert: (connection, id, ids, actor) => JobRoleModel.insertDutyRoleLinks(connection, id, ids, actor)
+      },
+      PARENT_JOB_ROLE_CODES: {
+        section: 'jobRoles',
+        image: 'INHERITED_FROM',
+        parents: true,
+        insert: (connection, id, ids, actor) => JobRoleModel.insertParentLinks(connection, id, ids, actor)
+      }
+    },
+    model: JobRoleModel
+  }
+];
+
+const SECTIONS_BY_KEY = Object.fromEntries(IMPORT_SECTIONS.map(section => [section.key, section]));
+
+/**
+ * Import Model - Bulk load of the security model, references resolved by code
+ *
+ * Important design:
+ *  - The whole import runs in ONE transaction. A dry run applies every row and
+ *    rolls back; a commit commits only when no row failed.
+ *  - Each row runs under a savepoint, so a failing row is undone on its own and
+ *    the remaining rows are still checked and reported.
+ *  - Roles are applied in passes: rows first, then links (so a role may name a
+ *    parent further down the file), then SoD rules against the final hierarchy.
+ *  - Every change is audited like the feature models do; the audit records
+ *    are committed or rolled back with the import.
+ */
+export class ImportModel {
+  /**
+   * Normalize a column name: 'dutyRoleName', 'Duty Role Name' and
+   * 'DUTY_ROLE_NAME' are the same column
+   */
+  static normalizeColumn(name) {
+    return String(name)
+      .trim()
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/[\s-]+/g, '_')
+      .toUpperCase();
+  }
+
+  /**
+   * Parse one section of an import into rows
+   * @param {string} sectionKey - Key of IMPORT_SECTIONS
+   * @param {string|Array<Object>} content - CSV text (header row first) or an array of row objects
+   * @returns {Array<{row:number, values:Object}>} - Rows with normalized column names;
+   *   `row` is the CSV line number (header = 1) or the 1-based array position
+   */
+  static parseSection(sectionKey, content) {
+    const section = SECTIONS_BY_KEY[sectionKey];
+    const allowed = new Set([
+      section.codeColumn,
+      ...section.fields,
+      ...Object.keys(section.references),
+      ...Object.keys(section.links)
+    ]);
+
+    let rows;
+    if (typeof content === 'string') {
+      const [header, ...records] = parseCsv(content);
+      if (!header) return [];
+      const columns = header.fields.map(name => this.normalizeColumn(name));
+      rows = records.map(record => ({
+        row: record.line,
+        values: Object.fromEntries(columns.map((column, index) => [column, record.fields[index] ?? '']))
+      }));
+    } else if (Array.isArray(content)) {
+      rows = content.map((item, index) => ({
+        row: index + 1,
+        values: Object.fromEntries(
+          Object.entries(item || {}).map(([column, value]) => [this.normalizeColumn(column), value])
+        )
+      }));
+    } else {
+      throw new Error(`Section ${sectionKey} must be CSV text or an array of rows`);
+    }
+
+    const unknown = new Set(
+      rows.flatMap(row => Object.keys(row.values)).filter(column => !allowed.has(column))
+    );
+    if (unknown.size > 0) {
+      throw new Error(`Unknown column(s) in ${sectionKey}: ${[...unknown].join(', ')}`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Helper: a cell value, or undefined when the cell is blank (blank cells
+   * leave a field unchanged)
+   */
+  static cellValue(value) {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).trim();
+    return text === '' ? undefined : text;
+  }
+
+  /**
+   * Helper: split a code list cell ('A|B', 'A;B' or an array) into codes
+   */
+  static splitCodes(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(/[|;]/);
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Helper: find a record of a section by code (inside the import transaction)
+   * @returns {Promise<Object|null>} - Row or null
+   */
+  static async findByCode(connection, section, code) {
+    const entity = AUDITED_ENTITIES[section.entityType];
+    const result = await connection.execute(
+      `SELECT * FROM ${entity.table} WHERE ${section.codeColumn} = :code`,
+      { code },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Helper: resolve codes of a section to IDs
+   * @returns {Promise<Array<number>>}
+   * @throws when a code does not exist
+   */
+  static async resolveCodes(connection, sectionKey, codes) {
+    if (codes.length === 0) return [];
+
+    const section = SECTIONS_BY_KEY[sectionKey];
+    const entity = AUDITED_ENTITIES[section.entityType];
+    const { placeholders, binds } = buildInClause(codes);
+    const result = await connection.execute(
+      `SELECT ${entity.idColumn} AS ID, ${section.codeColumn} AS CODE
+         FROM ${entity.table}
+        WHERE ${section.codeColumn} IN (${placeholders})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const idsByCode = new Map(result.rows.map(row => [row.CODE, row.ID]));
+    const missing = codes.filter(code => !idsByCode.has(code));
+    if (missing.length > 0) {
+      throw new Error(`Unknown ${section.codeColumn}(s): ${missing.join(', ')}`);
+    }
+
+    return codes.map(code => idsByCode.get(code));
+  }
+
+  /**
+   * Run a row step under a savepoint; a failure undoes the step and is
+   * recorded on the row result
+   */
+  static async runRowStep(connection, result, step) {
+    await connection.execute('SAVEPOINT IMPORT_ROW', {}, { autoCommit: false });
+    try {
+      await step();
+    } catch (error) {
+      await connection.execute('ROLLBACK TO SAVEPOINT IMPORT_ROW', {}, { autoCommit: false });
+      result.ACTION = 'ERROR';
+      result.ERROR = error.message;
+    }
+  }
+
+  /**
+   * Pass 1: create or update the record of a row (fields and references)
+   * With `clearBlanks`, a blank cell of an optional column that is present
+   * clears the field instead of leaving it unchanged.
+   */
+  static async applyRow(connection, section, row, result, { actor, clearBlanks }) {
+    const entity = AUDITED_ENTITIES[section.entityType];
+    const values = {};
+    const clears = column => clearBlanks && column in row.values && !section.required.includes(column);
+
+    for (const field of section.fields) {
+      const value = this.cellValue(row.values[field]);
+      if (value !== undefined) values[field] = value;
+      else if (clears(field)) values[field] = null;
+    }
+
+    if (values.STATUS) {
+      values.STATUS = values.STATUS.toUpperCase();
+      if (!['ACTIVE', 'INACTIVE'].includes(values.STATUS)) {
+        throw new Error('STATUS must be ACTIVE or INACTIVE');
+      }
+    }
+
+    for (const [column, sectionKey] of Object.entries(section.references)) {
+      const idColumn = AUDITED_ENTITIES[SECTIONS_BY_KEY[sectionKey].entityType].idColumn;
+      const code = this.cellValue(row.values[column]);
+      if (code === undefined) {
+        if (clears(column)) values[idColumn] = null;
+        continue;
+      }
+      const [id] = await this.resolveCodes(connection, sectionKey, [code]);
+      values[idColumn] = id;
+    }
+
+    const existing = await this.findByCode(connection, section, result.CODE);
+
+    if (!existing) {
+      const missing = section.required.filter(column => this.cellValue(row.values[column]) === undefined);
+      if (missing.length > 0) {
+        throw new Error(`${missing.join(', ')} required to create ${result.CODE}`);
+      }
+
+      const supplied = Object.keys(values).filter(column => values[column] !== null);
+      const columns = [section.codeColumn, ...supplied];
+      const binds = { createdBy: actor, v_0: result.CODE };
+      supplied.forEach((column, index) => { binds[`v_${index + 1}`] = values[column]; });
+      const insertResult = await connection.execute(
+        `INSERT INTO ${entity.table} (
+          ${columns.join(', ')},
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          ${columns.map((column, index) => `:v_${index}`).join(', ')},
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING ${entity.idColumn} INTO :newId`,
+        { ...binds, newId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT } },
+        { autoCommit: false }
+      );
+
+      result.ID = insertResult.outBinds.newId[0];
+      result.ACTION = 'CREATE';
+
+      await AuditModel.recordChange(connection, {
+        entityType: section.entityType,
+        entityId: result.ID,
+        action: 'CREATE',
+        actor
+      });
+      return;
+    }
+
+    result.ID = existing[entity.idColumn];
+
+    const changed = Object.keys(values).filter(column => String(existing[column] ?? '') !== String(values[column] ?? ''));
+    if (changed.length === 0) {
+      result.ACTION = 'UNCHANGED';
+      return;
+    }
+
+    const before = await AuditModel.snapshot(connection, section.entityType, result.ID);
+    const binds = { id: result.ID, updatedBy: actor };
+    changed.forEach((column, index) => { binds[`v_${index}`] = values[column]; });
+
+    await connection.execute(
+      `UPDATE ${entity.table}
+          SET ${changed.map((column, index) => `${column} = :v_${index}`).join(', ')},
+              UPDATED_AT = SYSTIMESTAMP,
+              UPDATED_BY = :updatedBy
+        WHERE ${entity.idColumn} = :id`,
+      binds,
+      { autoCommit: false }
+    );
+
+    result.ACTION = 'UPDATE';
+
+    await AuditModel.recordChange(connection, {
+      entityType: section.entityType,
+      entityId: result.ID,
+      action: 'UPDATE',
+      actor,
+      before
+    });
+  }
+
+  /**
+   * Pass 2: replace the explicit links of a role row
+   * A link column that is present replaces the links (a blank list removes
+   * them all); an absent column leaves them unchanged.
+   */
+  static async applyLinks(connection, section, row, result, actor) {
+    const entity = AUDITED_ENTITIES[section.entityType];
+    const current = await AuditModel.snapshot(connection, section.entityType, result.ID);
+
+    for (const [column, link] of Object.entries(section.links)) {
+      if (!(column in row.values)) continue;
+
+      const ids = await this.resolveCodes(connection, link.section, this.splitCodes(row.values[column]));
+      const currentIds = current[link.image];
+      const unchanged = ids.length === currentIds.length && ids.every(id => currentIds.includes(id));
+      if (unchanged) continue;
+
+      const affected = [result.ID];
+      if (link.parents) {
+        await section.model.validateParentLinks(connection, result.ID, ids);
+        affected.push(
+          ...ids.filter(id => !currentIds.includes(id)),
+          ...currentIds.filter(id => !ids.includes(id))
+        );
+      }
+
+      await AuditModel.recordSideEffects(connection, { [section.entityType]: affected }, actor, async () => {
+        const table = entity.links[link.image];
+        await connection.execute(
+          `DELETE FROM ${table.table} WHERE ${table.ownerColumn} = :id`,
+          { id: result.ID },
+          { autoCommit: false }
+        );
+        await link.insert(connection, result.ID, ids, actor);
+      });
+
+      if (result.ACTION === 'UNCHANGED') result.ACTION = 'UPDATE';
+    }
+  }
+
+  /**
+   * Pass 3: evaluate SoD rules for a role row against the final hierarchy
+   * @param {Set<string>} enforcedRoles - 'TYPE:ID' keys of every role pass 3 checks on its own
+   */
+  static async enforceSod(connection, section, result, actor, enforcedRoles) {
+    const warnings = await SodRuleModel.enforce(connection, {
+      entityType: section.entityType,
+      entityId: result.ID,
+      privilegeIds: await SodRuleModel.collectEffectivePrivilegeIds(connection, section.entityType, result.ID),
+      actor,
+      checkedSeparately: enforcedRoles
+    });
+    if (warnings.length > 0) {
+      result.SOD_WARNINGS = warnings;
+    }
+  }
+
+  /**
+   * Apply an import
+   * @param {Object} sections - Section key -> rows (see parseSection)
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Roll back instead of committing
+   * @param {string} options.actor - Username making the change
+   * @param {boolean} options.clearBlanks - Blank optional cells clear fields (full images, e.g. bundles)
+   * @returns {Promise<Object>} - { DRY_RUN, COMMITTED, ROWS } with one result per row:
+   *   SECTION, ROW, CODE, ACTION (CREATE, UPDATE, UNCHANGED or ERROR), ID, ERROR, SOD_WARNINGS
+   */
+  static async run(sections, { dryRun = true, actor = 'SYSTEM', clearBlanks = false } = {}) {
+    const connection = await getConnection();
+    try {
+      const results = [];
+      const applied = [];
+
+      // pass 1: records, section by section
+      for (const section of IMPORT_SECTIONS) {
+        const seenCodes = new Set();
+
+        for (const row of sections[section.key] || []) {
+          const code = this.cellValue(row.values[section.codeColumn]);
+          const result = { SECTION: section.key, ROW: row.row, CODE: code ?? null, ACTION: null, ID: null };
+          results.push(result);
+
+          if (code === undefined) {
+            result.ACTION = 'ERROR';
+            result.ERROR = `${section.codeColumn} is required`;
+            continue;
+          }
+          if (seenCodes.has(code)) {
+            result.ACTION = 'ERROR';
+            result.ERROR = `Duplicate ${section.codeColumn} ${code} in this import`;
+            continue;
+          }
+          seenCodes.add(code);
+
+          await this.runRowStep(connection, result, () => this.applyRow(connection, section, row, result, { actor, clearBlanks }));
+          if (result.ACTION !== 'ERROR') applied.push({ section, row, result });
+        }
+      }
+
+      // pass 2: role links, once every role of the import exists
+      for (const { section, row, result } of applied) {
+        if (Object.keys(section.links).length === 0 || result.ACTION === 'ERROR') continue;
+        await this.runRowStep(connection, result, () => this.applyLinks(connection, section, row, result, actor));
+      }
+
+      // pass 3: SoD rules for every role the import changed (and the roles
+      // depending on them that are not rows of the import)
+      const enforced = applied.filter(({ section, result }) =>
+        section.model && ['CREATE', 'UPDATE'].includes(result.ACTION)
+      );
+      const enforcedRoles = new Set(enforced.map(({ section, result }) => `${section.entityType}:${result.ID}`));
+      for (const { section, result } of enforced) {
+        await this.runRowStep(connection, result, () => this.enforceSod(connection, section, result, actor, enforcedRoles));
+      }
+
+      const failed = results.some(result => result.ACTION === 'ERROR');
+      const committed = !dryRun && !failed;
+
+      if (committed) {
+        await connection.commit();
+      } else {
+        await connection.rollback();
+      }
+      await connection.close();
+
+      return { DRY_RUN: dryRun, COMMITTED: committed, ROWS: results };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,14 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { ImportController } from './controller.js';
+
+const router = express.Router();
+const { canManage } = privilegeGuards('SEC_IMPORT');
+
+// Single-section CSV uploads (?section=); JSON bodies are parsed by the app
+router.use(express.text({ type: 'text/csv', limit: '5mb' }));
+
+// Bulk import (?mode=dry-run|commit)
+router.post('/', canManage, ImportController.import);
+
+export default router;
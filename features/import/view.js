@@ -0,0 +1,62 @@
+import { toLowerCaseKeys } from '../../utils/stringUtils.js';
+import { IMPORT_SECTIONS } from './model.js';
+
+const ACTION_COUNTS = { CREATE: 'created', UPDATE: 'updated', UNCHANGED: 'unchanged', ERROR: 'errors' };
+
+/**
+ * Import View - Response formatting for the bulk import API
+ */
+export class ImportView {
+  /**
+   * Count row results by action
+   * @param {Array<Object>} rows - Row results from the model
+   * @returns {Object} - { total, created, updated, unchanged, errors }
+   */
+  static countActions(rows) {
+    const counts = { total: rows.length, created: 0, updated: 0, unchanged: 0, errors: 0 };
+    rows.forEach(row => { counts[ACTION_COUNTS[row.ACTION]]++; });
+    return counts;
+  }
+
+  /**
+   * Format an import report
+   * @param {Object} result - { DRY_RUN, COMMITTED, ROWS } from the model
+   * @returns {Object} - Formatted response with one entry per row and counts per section
+   */
+  static formatImportResponse(result) {
+    const sections = {};
+    IMPORT_SECTIONS.forEach(section => {
+      const rows = result.ROWS.filter(row => row.SECTION === section.key);
+      if (rows.length > 0) sections[section.key] = this.countActions(rows);
+    });
+
+    const summary = this.countActions(result.ROWS);
+
+    return {
+      success: summary.errors === 0,
+      mode: result.DRY_RUN ? 'dry-run' : 'commit',
+      committed: result.COMMITTED,
+      data: result.ROWS.map(row => {
+        const item = toLowerCaseKeys(row);
+        item.error = item.error || null;
+        item.sod_warnings = item.sod_warnings || [];
+        return item;
+      }),
+      summary: { ...summary, sections }
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
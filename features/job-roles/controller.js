@@ -1,5 +1,6 @@
 import { JobRoleModel } from './model.js';
 import { JobRoleView } from './view.js';
+import { ModelError } from '../../utils/errors.js';
 
 /**
  * Job Role Controller - Handles HTTP requests for job roles
@@ -96,6 +97,109 @@ export class JobRoleController {
     }
   }
 
+  /**
+   * Get the job role inheritance graph
+   * @route GET /api/job-roles/graph?format=json|dot|mermaid&root=&depth=
+   */
+  static async getGraph(req, res) {
+    try {
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!['json', 'dot', 'mermaid'].includes(format)) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('format must be json, dot or mermaid', 400)
+        );
+      }
+
+      // ?root=:id&depth=n → the root's ancestors and descendants up to n links away
+      let rootId = null;
+      if (req.query.root !== undefined) {
+        rootId = parseInt(req.query.root);
+        if (isNaN(rootId)) {
+          return res.status(400).json(
+            JobRoleView.formatErrorResponse('Invalid root ID', 400)
+          );
+        }
+      }
+
+      let depth = null;
+      if (req.query.depth !== undefined) {
+        if (rootId === null) {
+          return res.status(400).json(
+            JobRoleView.formatErrorResponse('depth requires root', 400)
+          );
+        }
+        depth = parseInt(req.query.depth);
+        if (isNaN(depth) || depth < 0) {
+          return res.status(400).json(
+            JobRoleView.formatErrorResponse('depth must be a non-negative integer', 400)
+          );
+        }
+      }
+
+      const graph = await JobRoleModel.getGraph(rootId, depth);
+
+      if (!graph) {
+        return res.status(404).json(
+          JobRoleView.formatErrorResponse('Job role not found', 404)
+        );
+      }
+
+      if (format === 'dot') {
+        res.setHeader('Content-Type', 'text/vnd.graphviz; charset=utf-8');
+        return res.send(JobRoleView.formatGraphDot(graph));
+      }
+
+      if (format === 'mermaid') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.send(JobRoleView.formatGraphMermaid(graph));
+      }
+
+      res.json(JobRoleView.formatGraphResponse(graph));
+    } catch (error) {
+      res.status(500).json(
+        JobRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Compare the effective access of two job roles
+   * @route GET /api/job-roles/compare?ids=1,2
+   */
+  static async compare(req, res) {
+    try {
+      const ids = String(req.query.ids || '')
+        .split(',')
+        .map(id => parseInt(id.trim()));
+
+      if (ids.length !== 2 || ids.some(id => isNaN(id))) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('ids must be two job role IDs, e.g. ids=1,2', 400)
+        );
+      }
+
+      if (ids[0] === ids[1]) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('ids must be two different job roles', 400)
+        );
+      }
+
+      const comparison = await JobRoleModel.compare(ids[0], ids[1]);
+
+      if (!comparison) {
+        return res.status(404).json(
+          JobRoleView.formatErrorResponse('Job role not found', 404)
+        );
+      }
+
+      res.json(JobRoleView.formatComparisonResponse(comparison));
+    } catch (error) {
+      res.status(500).json(
+        JobRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
   /**
    * Get job role by ID
    */
@@ -109,11 +213,32 @@ export class JobRoleController {
         );
       }
       
-      const jobRoleData = await JobRoleModel.getById(jobRoleId);
+      // ?asOf=<ISO timestamp> → the role as it was at that instant (audit trail)
+      let asOf = null;
+      if (req.query.asOf !== undefined) {
+        asOf = new Date(req.query.asOf);
+        if (isNaN(asOf.getTime())) {
+          return res.status(400).json(
+            JobRoleView.formatErrorResponse('asOf must be a valid ISO 8601 timestamp', 400)
+          );
+        }
+        if (asOf > new Date()) {
+          return res.status(400).json(
+            JobRoleView.formatErrorResponse('asOf cannot be in the future', 400)
+          );
+        }
+      }
+
+      const jobRoleData = asOf
+        ? await JobRoleModel.getByIdAsOf(jobRoleId, asOf)
+        : await JobRoleModel.getById(jobRoleId);
       
       if (!jobRoleData) {
         return res.status(404).json(
-          JobRoleView.formatErrorResponse('Job role not found', 404)
+          JobRoleView.formatErrorResponse(
+            asOf ? `Job role did not exist at ${asOf.toISOString()}` : 'Job role not found',
+            404
+          )
         );
       }
       
@@ -136,8 +261,8 @@ export class JobRoleController {
         description,
         dutyRolesArray,
         inheritedFromArray,
-        status,
-        createdBy
+        ownerUserId,
+        status
       } = req.body;
 
       // Validate required fields
@@ -153,6 +278,12 @@ export class JobRoleController {
         );
       }
 
+      if (ownerUserId !== undefined && ownerUserId !== null && !Number.isInteger(ownerUserId)) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('ownerUserId must be an integer or null', 400)
+        );
+      }
+
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
         return res.status(400).json(
@@ -167,12 +298,46 @@ export class JobRoleController {
         description,
         dutyRolesArray,
         inheritedFromArray,
+        ownerUserId: ownerUserId ?? null,
         status: status || 'ACTIVE',
-        createdBy: createdBy || 'SYSTEM'
+        createdBy: req.user.username
       });
 
       res.status(201).json(JobRoleView.formatSingleResponse(jobRoleData));
     } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          JobRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle invalid inheritance (self-inheritance, unknown parents, cycles) and unknown owners
+      if (
+        error.message.includes('cannot inherit from itself') ||
+        error.message.includes('Parent job role(s) not found') ||
+        error.message.includes('Inheritance cycle detected') ||
+        error.message.includes('Owner user')
+      ) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // Handle links to roles or privileges that do not exist
+      if (error.message.includes('parent key not found') || error.errorNum === 2291) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('One or more referenced duty roles or parent job roles do not exist', 400)
+        );
+      }
+
+      // Handle a role linked to itself
+      if (error.message.includes('check constraint') || error.errorNum === 2290) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('A role cannot inherit from itself', 400)
+        );
+      }
+
       // Handle unique constraint violations
       if (error.message.includes('unique constraint') || error.errorNum === 1) {
         return res.status(409).json(
@@ -186,6 +351,90 @@ export class JobRoleController {
     }
   }
 
+  /**
+   * Clone a job role, optionally with its descendants
+   * @route POST /api/job-roles/:id/clone
+   */
+  static async clone(req, res) {
+    try {
+      const jobRoleId = parseInt(req.params.id);
+
+      if (isNaN(jobRoleId)) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('Invalid job role ID', 400)
+        );
+      }
+
+      const { jobRoleCode, jobRoleName, deepCopy, codePrefix } = req.body;
+
+      // Validate required fields
+      if (!jobRoleCode) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('jobRoleCode is required', 400)
+        );
+      }
+
+      if (!jobRoleName) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('jobRoleName is required', 400)
+        );
+      }
+
+      if (deepCopy !== undefined && typeof deepCopy !== 'boolean') {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('deepCopy must be a boolean', 400)
+        );
+      }
+
+      if (deepCopy && !codePrefix) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('codePrefix is required when deepCopy is true', 400)
+        );
+      }
+
+      const cloneData = await JobRoleModel.clone(jobRoleId, {
+        jobRoleCode,
+        jobRoleName,
+        deepCopy: deepCopy === true,
+        codePrefix,
+        createdBy: req.user.username
+      });
+
+      if (!cloneData) {
+        return res.status(404).json(
+          JobRoleView.formatErrorResponse('Job role not found', 404)
+        );
+      }
+
+      res.status(201).json(JobRoleView.formatSingleResponse(cloneData));
+    } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          JobRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle a cycle in the hierarchy being copied
+      if (error.message.includes('Inheritance cycle detected')) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // Handle unique constraint violations (the clone or a prefixed descendant code)
+      if (error.message.includes('unique constraint') || error.errorNum === 1) {
+        return res.status(409).json(
+          JobRoleView.formatErrorResponse('Role code already exists', 409)
+        );
+      }
+
+      res.status(500).json(
+        JobRoleView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
   /**
    * Update a job role
    */
@@ -205,10 +454,16 @@ export class JobRoleController {
         description,
         dutyRolesArray,
         inheritedFromArray,
-        status,
-        updatedBy
+        ownerUserId,
+        status
       } = req.body;
 
+      if (ownerUserId !== undefined && ownerUserId !== null && !Number.isInteger(ownerUserId)) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('ownerUserId must be an integer or null', 400)
+        );
+      }
+
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
         return res.status(400).json(
@@ -223,8 +478,9 @@ export class JobRoleController {
         description,
         dutyRolesArray,
         inheritedFromArray,
+        ownerUserId,
         status,
-        updatedBy: updatedBy || 'SYSTEM'
+        updatedBy: req.user.username
       });
 
       if (!jobRoleData) {
@@ -235,6 +491,39 @@ export class JobRoleController {
 
       res.json(JobRoleView.formatSingleResponse(jobRoleData));
     } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          JobRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle invalid inheritance (self-inheritance, unknown parents, cycles) and unknown owners
+      if (
+        error.message.includes('cannot inherit from itself') ||
+        error.message.includes('Parent job role(s) not found') ||
+        error.message.includes('Inheritance cycle detected') ||
+        error.message.includes('Owner user')
+      ) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      // Handle links to roles or privileges that do not exist
+      if (error.message.includes('parent key not found') || error.errorNum === 2291) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('One or more referenced duty roles or parent job roles do not exist', 400)
+        );
+      }
+
+      // Handle a role linked to itself
+      if (error.message.includes('check constraint') || error.errorNum === 2290) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('A role cannot inherit from itself', 400)
+        );
+      }
+
       // Handle unique constraint violations
       if (error.message.includes('unique constraint') || error.errorNum === 1) {
         return res.status(409).json(
@@ -249,6 +538,13 @@ export class JobRoleController {
         );
       }
 
+      // Handle empty updates
+      if (error.message.includes('No fields to update')) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse(error.message, 400)
+        );
+      }
+
       res.status(500).json(
         JobRoleView.formatErrorResponse(error.message, 500)
       );
@@ -268,7 +564,7 @@ export class JobRoleController {
         );
       }
 
-      const deleted = await JobRoleModel.delete(jobRoleId);
+      const deleted = await JobRoleModel.delete(jobRoleId, req.user.username);
 
       if (!deleted) {
         return res.status(404).json(
@@ -288,6 +584,13 @@ export class JobRoleController {
         );
       }
 
+      // Handle "cannot delete because data roles, rules or users use it" error
+      if (error instanceof ModelError) {
+        return res.status(error.statusCode).json(
+          JobRoleView.formatErrorResponse(error.message, error.statusCode)
+        );
+      }
+
       res.status(500).json(
         JobRoleView.formatErrorResponse(error.message, 500)
       );
@@ -311,7 +614,7 @@ export class JobRoleController {
 
       // Safely destructure req.body
       const body = req.body || {};
-      const { dutyRolesArray, updatedBy } = body;
+      const { dutyRolesArray } = body;
 
       if (!Array.isArray(dutyRolesArray) || dutyRolesArray.length === 0) {
         return res.status(400).json(
@@ -322,7 +625,7 @@ export class JobRoleController {
       const result = await JobRoleModel.addDutyRolesToJobRole(
         jobRoleId,
         dutyRolesArray,
-        updatedBy || 'SYSTEM'
+        req.user.username
       );
 
       if (!result) {
@@ -335,6 +638,20 @@ export class JobRoleController {
         JobRoleView.formatDutyRoleAssignmentResponse(result, dutyRolesArray)
       );
     } catch (error) {
+      // Handle segregation-of-duties rule violations (BLOCK severity)
+      if (error.message.includes('Segregation of duties violation')) {
+        return res.status(409).json(
+          JobRoleView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      // Handle links to roles or privileges that do not exist
+      if (error.message.includes('parent key not found') || error.errorNum === 2291) {
+        return res.status(400).json(
+          JobRoleView.formatErrorResponse('One or more referenced duty roles or parent job roles do not exist', 400)
+        );
+      }
+
       return res.status(500).json(
         JobRoleView.formatErrorResponse(error.message, 500)
       );
@@ -349,7 +666,7 @@ export class JobRoleController {
     try {
       const jobRoleId = parseInt(req.params.id, 10);
       const dutyRoleId = parseInt(req.params.dutyRoleId, 10);
-      const updatedBy = req.body?.updatedBy || 'SYSTEM';
+      const updatedBy = req.user.username;
 
       if (isNaN(jobRoleId)) {
         return res.status(400).json(
@@ -1,106 +1,36 @@
 import { executeQuery, getConnection } from '../../config/db.js';
 import oracledb from 'oracledb';
+import { DutyRoleModel } from '../duty-roles/model.js';
+import { FunctionPrivilegeModel } from '../function-privileges/model.js';
+import { SodRuleModel } from '../sod/model.js';
+import { AuditModel } from '../audit/model.js';
+import { parseIdList } from '../../utils/stringUtils.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+import { diffByKey } from '../../utils/diffUtils.js';
+import { buildAdjacencyMap, findInheritanceCycle, collectSubgraphIds } from '../../utils/graphUtils.js';
+import { ConflictError } from '../../utils/errors.js';
 
 /**
  * Job Role Model - Database operations for SEC.JOB_ROLES table
  *
  * Important design:
- *  - SEC.JOB_ROLES.DUTY_ROLES    = EXPLICIT duty role IDs only (JSON array of IDs)
- *  - INHERITED_FROM              = array of parent job role IDs (JSON array of IDs)
- *  - INHERITED                   = array of child job role IDs (JSON array of IDs)
+ *  - SEC.JOB_ROLE_DUTY_ROLES   = EXPLICIT duty roles of each job role
+ *  - SEC.JOB_ROLE_INHERITANCE  = parent -> child job role links
+ *  - Both tables cascade on delete, so a link never outlives either end.
+ *  - Rows returned by this model carry the links as ID arrays under
+ *    DUTY_ROLES (explicit), INHERITED_FROM (parents) and INHERITED (children).
  *
  *  Effective duty roles = explicit DUTY_ROLES + all duty roles of parents (recursively).
+ *  Writes that change effective duty roles are checked against SEC.SOD_RULES.
+ *  Writes that change parents are validated against the whole hierarchy:
+ *  no self-inheritance, no unknown parents, no cycles.
  */
 export class JobRoleModel {
   /**
-   * Helper: decode various stored formats into clean array of numeric IDs
-   * Works for INHERITED_FROM / INHERITED / DUTY_ROLES and generic ID lists.
-   *
-   * Supported formats:
-   *  - JSON string "[1,2,3]"
-   *  - comma string "1,2,3"
-   *  - array [1, "2", 3]
-   */
-  static decodeIdArray(encoded) {
-    if (!encoded) return [];
-
-    try {
-      let value = encoded;
-
-      if (typeof value === 'string') {
-        try {
-          // Try JSON string first: "[1,2,3]"
-          value = JSON.parse(value);
-        } catch (e) {
-          // Fallback: "1,2,3"
-          return value
-            .split(',')
-            .map(v => parseInt(v.trim(), 10))
-            .filter(v => !isNaN(v));
-        }
-      }
-
-      if (Array.isArray(value)) {
-        return value
-          .map(v =>
-            typeof v === 'number'
-              ? v
-              : parseInt(v, 10)
-          )
-          .filter(v => !isNaN(v));
-      }
-
-      return [];
-    } catch (err) {
-      console.error('decodeIdArray error:', err, 'value=', encoded);
-      return [];
-    }
-  }
-
-  /**
-   * Helper: encode array of IDs into JSON string, or null
-   * (Used for INHERITED_FROM / INHERITED / DUTY_ROLES)
+   * Helper: normalize a job role list (IDs or job role objects) to numeric IDs
    */
-  static encodeIdArray(ids) {
-    if (!ids || !Array.isArray(ids) || ids.length === 0) return null;
-
-    const clean = [...new Set(
-      ids
-        .map(v =>
-          typeof v === 'number'
-            ? v
-            : parseInt(v, 10)
-        )
-        .filter(v => !isNaN(v))
-    )];
-
-    return clean.length ? JSON.stringify(clean) : null;
-  }
-
-  /**
-   * Encode duty roles (explicit) to DB format (JSON ID array)
-   */
-  static encodeDutyRoles(dutyRoles) {
-    if (!dutyRoles || !Array.isArray(dutyRoles) || dutyRoles.length === 0) {
-      return null;
-    }
-
-    const ids = dutyRoles
-      .map(dr => {
-        if (typeof dr === 'number') return dr;
-        if (dr && typeof dr === 'object') {
-          return (
-            dr.duty_role_id ||
-            dr.DUTY_ROLE_ID ||
-            dr.dutyRoleId ||
-            dr.id
-          );
-        }
-        return parseInt(dr, 10);
-      })
-      .filter(id => !isNaN(id));
-
-    return this.encodeIdArray(ids);
+  static normalizeJobRoleIds(jobRoles) {
+    return parseIdList(jobRoles, ['job_role_id', 'JOB_ROLE_ID', 'jobRoleId', 'id']);
   }
 
   /**
@@ -114,14 +44,7 @@ export class JobRoleModel {
     const uniqueIds = [...new Set(idList)].filter(id => !isNaN(id));
     if (uniqueIds.length === 0) return [];
 
-    const binds = {};
-    const placeholders = uniqueIds
-      .map((id, idx) => {
-        const key = `id${idx}`;
-        binds[key] = id;
-        return `:${key}`;
-      })
-      .join(',');
+    const { placeholders, binds } = buildInClause(uniqueIds);
 
     const sql = `
       SELECT DUTY_ROLE_ID, DUTY_ROLE_NAME, ROLE_CODE
@@ -140,71 +63,168 @@ export class JobRoleModel {
   }
 
   /**
-   * Helper: recursively collect ALL duty role IDs from parents and their parents.
+   * Helper: load the relationship links of a page of job role rows
+   * (two queries for the whole page) and attach them as ID arrays:
+   * DUTY_ROLES, INHERITED_FROM, INHERITED.
+   */
+  static async attachRelationships(rows) {
+    if (!rows || rows.length === 0) return [];
+
+    const { placeholders, binds } = buildInClause(rows.map(row => row.JOB_ROLE_ID));
+
+    const dutyRoleLinks = await executeQuery(
+      `SELECT JOB_ROLE_ID, DUTY_ROLE_ID
+         FROM SEC.JOB_ROLE_DUTY_ROLES
+        WHERE JOB_ROLE_ID IN (${placeholders})
+        ORDER BY JOB_ROLE_ID, DUTY_ROLE_ID`,
+      binds
+    );
+
+    const inheritanceLinks = await executeQuery(
+      `SELECT PARENT_JOB_ROLE_ID, CHILD_JOB_ROLE_ID
+         FROM SEC.JOB_ROLE_INHERITANCE
+        WHERE PARENT_JOB_ROLE_ID IN (${placeholders})
+           OR CHILD_JOB_ROLE_ID IN (${placeholders})
+        ORDER BY PARENT_JOB_ROLE_ID, CHILD_JOB_ROLE_ID`,
+      binds
+    );
+
+    const dutyRolesByRole = new Map();
+    const parentsByRole = new Map();
+    const childrenByRole = new Map();
+    const push = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+
+    for (const link of dutyRoleLinks.rows) {
+      push(dutyRolesByRole, link.JOB_ROLE_ID, link.DUTY_ROLE_ID);
+    }
+    for (const link of inheritanceLinks.rows) {
+      push(parentsByRole, link.CHILD_JOB_ROLE_ID, link.PARENT_JOB_ROLE_ID);
+      push(childrenByRole, link.PARENT_JOB_ROLE_ID, link.CHILD_JOB_ROLE_ID);
+    }
+
+    return rows.map(row => ({
+      ...row,
+      DUTY_ROLES: dutyRolesByRole.get(row.JOB_ROLE_ID) || [],
+      INHERITED_FROM: parentsByRole.get(row.JOB_ROLE_ID) || [],
+      INHERITED: childrenByRole.get(row.JOB_ROLE_ID) || []
+    }));
+  }
+
+  /**
+   * Helper: IDs of every ancestor of the given job roles.
+   * Walks SEC.JOB_ROLE_INHERITANCE one level per query; roles already seen
+   * are not walked again, so a cycle in the data cannot loop forever.
+   */
+  static async collectAncestorIds(jobRoleIds) {
+    const visited = new Set();
+    let frontier = [...new Set(jobRoleIds)];
+
+    while (frontier.length > 0) {
+      const { placeholders, binds } = buildInClause(frontier);
+      const result = await executeQuery(
+        `SELECT DISTINCT PARENT_JOB_ROLE_ID
+           FROM SEC.JOB_ROLE_INHERITANCE
+          WHERE CHILD_JOB_ROLE_ID IN (${placeholders})`,
+        binds
+      );
+
+      frontier = result.rows
+        .map(row => row.PARENT_JOB_ROLE_ID)
+        .filter(id => !visited.has(id));
+      frontier.forEach(id => visited.add(id));
+    }
+
+    return Array.from(visited);
+  }
+
+  /**
+   * Helper: collect ALL duty role IDs held by the given job roles and their ancestors.
    * @param {number[]} parentIds
-   * @param {Set<number>} visited
    * @returns {Promise<number[]>}
    */
-  static async collectDutyRolesFromParents(parentIds, visited = new Set()) {
-    if (!parentIds || parentIds.length === 0) return [];
+  static async collectDutyRolesFromParents(parentIds) {
+    const roleIds = parseIdList(parentIds);
+    if (roleIds.length === 0) return [];
 
-    const uniqueParentIds = [...new Set(parentIds)].filter(
-      id => !isNaN(id) && !visited.has(id)
-    );
-    if (uniqueParentIds.length === 0) return [];
+    const ancestorIds = await this.collectAncestorIds(roleIds);
+    const { placeholders, binds } = buildInClause([...new Set([...roleIds, ...ancestorIds])]);
 
-    // mark visited to avoid cycles
-    uniqueParentIds.forEach(id => visited.add(id));
+    const result = await executeQuery(
+      `SELECT DISTINCT DUTY_ROLE_ID
+         FROM SEC.JOB_ROLE_DUTY_ROLES
+        WHERE JOB_ROLE_ID IN (${placeholders})
+        ORDER BY DUTY_ROLE_ID`,
+      binds
+    );
 
-    const binds = {};
-    const placeholders = uniqueParentIds
-      .map((id, idx) => {
-        const key = `parentId${idx}`;
-        binds[key] = id;
-        return `:${key}`;
-      })
-      .join(',');
+    return result.rows.map(row => row.DUTY_ROLE_ID);
+  }
 
-    const sql = `
-      SELECT JOB_ROLE_ID, DUTY_ROLES, INHERITED_FROM
-        FROM SEC.JOB_ROLES
-       WHERE JOB_ROLE_ID IN (${placeholders})
-    `;
+  /**
+   * Helper: resolve every duty role granted by a job role, together with the
+   * job role inheritance chain that grants it.
+   *
+   * The chain starts at the given job role and ends at the job role that holds
+   * the duty role explicitly, e.g. [AP_MANAGER, AP_SUPERVISOR, AP_CLERK].
+   * Inactive job roles grant nothing and stop the walk.
+   *
+   * @param {number} jobRoleId
+   * @param {Array<Object>} chain - job roles already walked (used for recursion)
+   * @returns {Promise<Array<{duty_role_id:number, inheritance_chain:Array}>>}
+   */
+  static async collectDutyRoleGrants(jobRoleId, chain = []) {
+    // a job role already in the chain means a cycle, stop walking
+    if (chain.some(jr => jr.job_role_id === jobRoleId)) return [];
 
-    try {
-      const result = await executeQuery(sql, binds);
-      const allDutyRoleIds = new Set();
+    const result = await executeQuery(
+      `SELECT JOB_ROLE_ID, JOB_ROLE_CODE, JOB_ROLE_NAME, STATUS
+         FROM SEC.JOB_ROLES
+        WHERE JOB_ROLE_ID = :jobRoleId`,
+      { jobRoleId }
+    );
 
-      if (!result || !result.rows || result.rows.length === 0) {
-        return [];
-      }
+    if (result.rows.length === 0) return [];
+    if (result.rows[0].STATUS !== 'ACTIVE') return [];
 
-      for (const row of result.rows) {
-        // explicit duty roles on this parent
-        if (row.DUTY_ROLES) {
-          const explicitIds = this.decodeIdArray(row.DUTY_ROLES);
-          explicitIds.forEach(id => allDutyRoleIds.add(id));
-        }
+    const [row] = await this.attachRelationships(result.rows);
 
-        // recursively from parent's parents
-        if (row.INHERITED_FROM) {
-          const grandParentIds = this.decodeIdArray(row.INHERITED_FROM);
-          if (grandParentIds.length > 0) {
-            const grandParentDutyRoles = await this.collectDutyRolesFromParents(
-              grandParentIds,
-              visited
-            );
-            grandParentDutyRoles.forEach(id => allDutyRoleIds.add(id));
-          }
-        }
+    const currentChain = [
+      ...chain,
+      {
+        job_role_id: row.JOB_ROLE_ID,
+        job_role_code: row.JOB_ROLE_CODE,
+        job_role_name: row.JOB_ROLE_NAME
       }
+    ];
 
-      return Array.from(allDutyRoleIds);
-    } catch (error) {
-      console.error('Error in collectDutyRolesFromParents:', error);
-      console.error('Parent IDs:', parentIds);
-      throw error;
+    const grants = row.DUTY_ROLES.map(dutyRoleId => ({
+      duty_role_id: dutyRoleId,
+      inheritance_chain: currentChain
+    }));
+
+    for (const parentId of row.INHERITED_FROM) {
+      const parentGrants = await this.collectDutyRoleGrants(parentId, currentChain);
+      grants.push(...parentGrants);
     }
+
+    return grants;
+  }
+
+  /**
+   * Helper: effective privilege IDs for a job role that would hold the given
+   * explicit duty roles and inherit from the given parent job roles.
+   * Used to evaluate SoD rules before a change is committed.
+   */
+  static async resolveEffectivePrivilegeIds(explicitDutyRoleIds, parentIds) {
+    const inheritedDutyRoleIds = await this.collectDutyRolesFromParents(parentIds);
+    const dutyRoleIds = [...new Set([...explicitDutyRoleIds, ...inheritedDutyRoleIds])];
+
+    // a duty role's effective privileges = its own + those of its parent duty roles,
+    // which is exactly what collectPrivilegesFromParents gathers for a list of roles
+    return await DutyRoleModel.collectPrivilegesFromParents(dutyRoleIds);
   }
 
   /**
@@ -217,14 +237,7 @@ export class JobRoleModel {
     const uniqueIds = [...new Set(idList)].filter(id => !isNaN(id));
     if (uniqueIds.length === 0) return [];
 
-    const binds = {};
-    const placeholders = uniqueIds
-      .map((id, idx) => {
-        const key = `id${idx}`;
-        binds[key] = id;
-        return `:${key}`;
-      })
-      .join(',');
+    const { placeholders, binds } = buildInClause(uniqueIds);
 
     const sql = `
       SELECT JOB_ROLE_ID, JOB_ROLE_CODE, JOB_ROLE_NAME, STATUS
@@ -244,128 +257,269 @@ export class JobRoleModel {
   }
 
   /**
-   * Decode INHERITED_FROM / INHERITED (job role references) to minimal job role objects.
+   * Compute EFFECTIVE duty roles:
+   *  explicit (this role) + inherited from all parents (recursively).
+   *
+   * Expects a row with relationships attached (see attachRelationships).
+   * Returns array of duty role objects with an `inherited` flag.
    */
-  static async decodeJobRoleArray(encodedValue) {
-    if (!encodedValue) return [];
+  static async computeEffectiveDutyRoles(row) {
+    const explicitIds = DutyRoleModel.normalizeDutyRoleIds(row.DUTY_ROLES);
+    const parentIds = parseIdList(row.INHERITED_FROM);
 
-    try {
-      let value = encodedValue;
+    // Collect inherited duty roles from all parents (recursively)
+    const inheritedIds = await this.collectDutyRolesFromParents(parentIds);
 
-      if (typeof value === 'string') {
-        try {
-          value = JSON.parse(value);
-        } catch (e) {
-          // "1,2,3"
-          const idList = value
-            .split(',')
-            .map(id => parseInt(id.trim(), 10))
-            .filter(id => !isNaN(id));
-
-          if (idList.length === 0) return [];
-          return await this.fetchJobRolesByIds(idList);
+    // Merge explicit + inherited (deduplicate)
+    const allIds = [...new Set([...explicitIds, ...inheritedIds])];
+
+    if (allIds.length === 0) return [];
+
+    const dutyRoles = await this.fetchDutyRolesByIds(allIds);
+
+    // A duty role is inherited if it comes from a parent (even if also explicitly assigned)
+    const inheritedIdsSet = new Set(inheritedIds);
+
+    return dutyRoles.map(dr => ({
+      ...dr,
+      inherited: inheritedIdsSet.has(dr.duty_role_id)
+    }));
+  }
+
+  /**
+   * Compute EFFECTIVE privileges of a job role from its effective duty roles
+   * (see computeEffectiveDutyRoles): every privilege those duty roles hold,
+   * explicitly or through duty role inheritance.
+   *
+   * A privilege is flagged `inherited` when it is granted only by duty roles
+   * the job role inherits from its parents.
+   */
+  static async computeEffectivePrivileges(effectiveDutyRoles) {
+    const allIds = new Set();
+    const explicitIds = new Set();
+
+    for (const dutyRole of effectiveDutyRoles) {
+      const privilegeIds = await DutyRoleModel.collectPrivilegesFromParents([dutyRole.duty_role_id]);
+      for (const privilegeId of privilegeIds) {
+        allIds.add(privilegeId);
+        if (!dutyRole.inherited) explicitIds.add(privilegeId);
+      }
+    }
+
+    if (allIds.size === 0) return [];
+
+    const privileges = await FunctionPrivilegeModel.getByIds([...allIds]);
+
+    return privileges.map(priv => ({
+      ...priv,
+      inherited: !explicitIds.has(priv.PRIVILEGE_ID)
+    }));
+  }
+
+  /**
+   * Helper: assign explicit duty roles to a job role (inside the caller's transaction)
+   */
+  static async insertDutyRoleLinks(connection, jobRoleId, dutyRoleIds, createdBy) {
+    if (dutyRoleIds.length === 0) return;
+
+    await connection.executeMany(
+      `INSERT INTO SEC.JOB_ROLE_DUTY_ROLES (
+        JOB_ROLE_ID,
+        DUTY_ROLE_ID,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :jobRoleId,
+        :dutyRoleId,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      dutyRoleIds.map(dutyRoleId => ({ jobRoleId, dutyRoleId, createdBy })),
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Helper: link a job role to its parents (inside the caller's transaction)
+   */
+  static async insertParentLinks(connection, jobRoleId, parentIds, createdBy) {
+    if (parentIds.length === 0) return;
+
+    await connection.executeMany(
+      `INSERT INTO SEC.JOB_ROLE_INHERITANCE (
+        PARENT_JOB_ROLE_ID,
+        CHILD_JOB_ROLE_ID,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :parentId,
+        :jobRoleId,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      parentIds.map(parentId => ({ parentId, jobRoleId, createdBy })),
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Scan every job role for segregation-of-duties violations.
+   *
+   * Effective privileges are resolved through job role inheritance and duty role
+   * inheritance, so roles created before SoD checks existed are covered too.
+   * Inactive job roles grant nothing and are skipped (see collectDutyRoleGrants).
+   *
+   * Each violation lists, for both sides of the rule, the offending privileges and
+   * every path that grants them: job role chain → duty role chain → privilege.
+   *
+   * @param {Object} filters
+   * @param {number} filters.moduleId - Only evaluate rules owned by this module
+   * @returns {Promise<Array>} - Violations ordered by job role, then rule
+   */
+  static async scanSodViolations({ moduleId } = {}) {
+    const rules = await SodRuleModel.getActiveRules({ moduleId });
+    if (rules.length === 0) return [];
+
+    const jobRolesResult = await executeQuery(
+      `SELECT JOB_ROLE_ID, JOB_ROLE_CODE, JOB_ROLE_NAME
+         FROM SEC.JOB_ROLES
+        WHERE STATUS = 'ACTIVE'
+        ORDER BY JOB_ROLE_ID`
+    );
+
+    // duty role grants are shared by many job roles, resolve each one once
+    const privilegeGrantsByDutyRole = new Map();
+    const privilegeCache = new Map();
+    const violations = [];
+
+    for (const jobRole of jobRolesResult.rows) {
+      const dutyRoleGrants = await this.collectDutyRoleGrants(jobRole.JOB_ROLE_ID);
+
+      // privilege ID -> paths that grant it
+      const pathsByPrivilege = new Map();
+
+      for (const dutyRoleGrant of dutyRoleGrants) {
+        if (!privilegeGrantsByDutyRole.has(dutyRoleGrant.duty_role_id)) {
+          privilegeGrantsByDutyRole.set(
+            dutyRoleGrant.duty_role_id,
+            await DutyRoleModel.collectPrivilegeGrants(dutyRoleGrant.duty_role_id)
+          );
+        }
+
+        for (const privilegeGrant of privilegeGrantsByDutyRole.get(dutyRoleGrant.duty_role_id)) {
+          if (!pathsByPrivilege.has(privilegeGrant.privilege_id)) {
+            pathsByPrivilege.set(privilegeGrant.privilege_id, []);
+          }
+          pathsByPrivilege.get(privilegeGrant.privilege_id).push({
+            job_role_chain: dutyRoleGrant.inheritance_chain,
+            duty_role_chain: privilegeGrant.inheritance_chain
+          });
         }
       }
 
-      if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object') {
-        return value
-          .map(jr => ({
-            job_role_id:
-              jr.job_role_id ??
-              jr.JOB_ROLE_ID ??
-              jr.id ??
-              null,
-            job_role_code:
-              jr.job_role_code ??
-              jr.JOB_ROLE_CODE ??
-              jr.code ??
-              null,
-            job_role_name:
-              jr.job_role_name ??
-              jr.JOB_ROLE_NAME ??
-              jr.name ??
-              null,
-            status:
-              jr.status ??
-              jr.STATUS ??
-              null
-          }))
-          .filter(jr => jr.job_role_id !== null);
+      const matched = SodRuleModel.matchRules(rules, new Set(pathsByPrivilege.keys()));
+      if (matched.length === 0) continue;
+
+      // load privilege details for the offending privileges only
+      const missingIds = matched
+        .flatMap(v => [...v.SIDE_A_MATCHES, ...v.SIDE_B_MATCHES])
+        .filter(id => !privilegeCache.has(id));
+      for (const privilege of await SodRuleModel.fetchPrivilegesByIds(missingIds)) {
+        privilegeCache.set(privilege.privilege_id, privilege);
       }
 
-      if (Array.isArray(value)) {
-        const idList = value
-          .map(v =>
-            typeof v === 'number'
-              ? v
-              : parseInt(v, 10)
-          )
-          .filter(id => !isNaN(id));
+      const describeSide = ids => ids.map(id => ({
+        ...(privilegeCache.get(id) || { privilege_id: id }),
+        paths: pathsByPrivilege.get(id)
+      }));
 
-        if (idList.length === 0) return [];
-        return await this.fetchJobRolesByIds(idList);
+      for (const violation of matched) {
+        violations.push({
+          JOB_ROLE_ID: jobRole.JOB_ROLE_ID,
+          JOB_ROLE_CODE: jobRole.JOB_ROLE_CODE,
+          JOB_ROLE_NAME: jobRole.JOB_ROLE_NAME,
+          SOD_RULE_ID: violation.SOD_RULE_ID,
+          RULE_CODE: violation.RULE_CODE,
+          RULE_NAME: violation.RULE_NAME,
+          SEVERITY: violation.SEVERITY,
+          SIDE_A: describeSide(violation.SIDE_A_MATCHES),
+          SIDE_B: describeSide(violation.SIDE_B_MATCHES)
+        });
       }
+    }
 
-      console.error('Unsupported INHERITED_* format:', encodedValue);
-      return [];
-    } catch (error) {
-      console.error('Error decoding job role array:', error, 'value=', encodedValue);
-      return [];
+    return violations;
+  }
+
+  /**
+   * Helper: check that the owner of a job role (the access request approver
+   * for the ROLE_OWNER step) exists (inside the caller's transaction)
+   * @param {Object} connection
+   * @param {number|null} ownerUserId - null for a role without an owner
+   */
+  static async validateOwner(connection, ownerUserId) {
+    if (ownerUserId === null || ownerUserId === undefined) return;
+
+    const result = await connection.execute(
+      'SELECT USER_ID FROM SEC.USERS WHERE USER_ID = :ownerUserId',
+      { ownerUserId }
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Owner user ${ownerUserId} does not exist`);
     }
   }
 
   /**
-   * Compute EFFECTIVE duty roles:
-   *  explicit (this role) + inherited from all parents (recursively).
-   *
-   * Returns array of duty role objects with an `inherited` flag.
+   * Helper: validate the parents a job role is about to have (inside the
+   * caller's transaction). Rejects self-inheritance, parents that do not exist
+   * and links that would close an inheritance cycle; the cycle error names the
+   * path by job role code, e.g. "AP_CLERK -> AP_MANAGER -> AP_CLERK".
+   * @param {Object} connection
+   * @param {number|null} jobRoleId - null for a role that is being created
+   * @param {Array<number>} parentIds
    */
-  static async computeEffectiveDutyRoles(row) {
-    try {
-      // Handle both uppercase (Oracle default) and lowercase column names
-      const dutyRolesRaw = row.DUTY_ROLES || row.duty_roles || null;
-      const inheritedFromRaw = row.INHERITED_FROM || row.inherited_from || null;
-      
-      const explicitIds = this.decodeIdArray(dutyRolesRaw);
-      const parentIds = this.decodeIdArray(inheritedFromRaw);
-      
-      // Collect inherited duty roles from all parents (recursively)
-      const inheritedIds = await this.collectDutyRolesFromParents(parentIds);
-
-      // Merge explicit + inherited (deduplicate)
-      const allIds = [...new Set([...explicitIds, ...inheritedIds])];
-
-      if (allIds.length === 0) return [];
-      
-      // Fetch full duty role objects
-      const dutyRoles = await this.fetchDutyRolesByIds(allIds);
-      
-      // Add inherited flag to each duty role
-      // A duty role is inherited if it comes from a parent (even if also explicitly assigned)
-      const inheritedIdsSet = new Set(inheritedIds);
-      
-      return dutyRoles.map(dr => ({
-        ...dr,
-        inherited: inheritedIdsSet.has(dr.duty_role_id)
-      }));
-    } catch (error) {
-      console.error('Error in computeEffectiveDutyRoles:', error);
-      console.error('Row data:', { 
-        JOB_ROLE_ID: row.JOB_ROLE_ID || row.job_role_id,
-        DUTY_ROLES: row.DUTY_ROLES || row.duty_roles, 
-        INHERITED_FROM: row.INHERITED_FROM || row.inherited_from 
-      });
-      // Return at least explicit duty roles if computation fails
-      const dutyRolesRaw = row.DUTY_ROLES || row.duty_roles || null;
-      const explicitIds = this.decodeIdArray(dutyRolesRaw);
-      if (explicitIds.length === 0) return [];
-      const dutyRoles = await this.fetchDutyRolesByIds(explicitIds);
-      // Mark all as explicit (inherited: false) since we couldn't compute inherited ones
-      return dutyRoles.map(dr => ({
-        ...dr,
-        inherited: false
-      }));
+  static async validateParentLinks(connection, jobRoleId, parentIds) {
+    if (parentIds.length === 0) return;
+
+    if (jobRoleId !== null && parentIds.includes(jobRoleId)) {
+      throw new Error('A role cannot inherit from itself');
     }
+
+    const { placeholders, binds } = buildInClause(parentIds);
+    const existing = await connection.execute(
+      `SELECT JOB_ROLE_ID FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID IN (${placeholders})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const existingIds = existing.rows.map(row => row.JOB_ROLE_ID);
+    const missingIds = parentIds.filter(id => !existingIds.includes(id));
+    if (missingIds.length > 0) {
+      throw new Error(`Parent job role(s) not found: ${missingIds.join(', ')}`);
+    }
+
+    // a role being created has no children yet, so it cannot close a cycle
+    if (jobRoleId === null) return;
+
+    const links = await connection.execute(
+      'SELECT CHILD_JOB_ROLE_ID, PARENT_JOB_ROLE_ID FROM SEC.JOB_ROLE_INHERITANCE',
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const parentsByRole = buildAdjacencyMap(links.rows, 'CHILD_JOB_ROLE_ID', 'PARENT_JOB_ROLE_ID');
+    const cycle = findInheritanceCycle(parentsByRole, jobRoleId, parentIds);
+    if (!cycle) return;
+
+    const cycleIn = buildInClause([...new Set(cycle)]);
+    const codes = await connection.execute(
+      `SELECT JOB_ROLE_ID, JOB_ROLE_CODE FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID IN (${cycleIn.placeholders})`,
+      cycleIn.binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const codeById = new Map(codes.rows.map(row => [row.JOB_ROLE_ID, row.JOB_ROLE_CODE]));
+    throw new Error(
+      `Inheritance cycle detected: ${cycle.map(id => codeById.get(id) || id).join(' -> ')}`
+    );
   }
 
   /**
@@ -448,13 +602,14 @@ export class JobRoleModel {
       OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY
     `;
     const dataResult = await executeQuery(dataQuery, dataBinds);
+    const rows = await this.attachRelationships(dataResult.rows);
     
     // Decode effective duty roles + inherited_from + inherited for each record
     const dataWithDecoded = await Promise.all(
-      dataResult.rows.map(async (row) => {
+      rows.map(async (row) => {
         const effectiveDutyRoles = await this.computeEffectiveDutyRoles(row);
-        const decodedInheritedFrom = await this.decodeJobRoleArray(row.INHERITED_FROM);
-        const decodedInherited = await this.decodeJobRoleArray(row.INHERITED);
+        const decodedInheritedFrom = await this.fetchJobRolesByIds(row.INHERITED_FROM);
+        const decodedInherited = await this.fetchJobRolesByIds(row.INHERITED);
 
         return {
           ...row,
@@ -501,6 +656,125 @@ export class JobRoleModel {
     return dataResult.rows;
   }
 
+
+  /**
+   * Get the job role inheritance hierarchy as nodes and edges
+   * Each edge links a parent (PARENT_JOB_ROLE_ID) to a child (CHILD_JOB_ROLE_ID)
+   * that inherits its duty roles. Job roles have no module of their own; a node
+   * lists the modules of its explicit duty roles under MODULES.
+   * @param {number|null} rootId - Restrict to this role's ancestors and descendants
+   * @param {number|null} depth - Maximum number of links from the root (null for no limit)
+   * @returns {Promise<Object|null>} - { NODES, EDGES, ROOT_ID, DEPTH }, or null if the root is not found
+   */
+  static async getGraph(rootId = null, depth = null) {
+    const nodesResult = await executeQuery(
+      `SELECT JOB_ROLE_ID, JOB_ROLE_CODE, JOB_ROLE_NAME, STATUS
+         FROM SEC.JOB_ROLES
+        ORDER BY JOB_ROLE_CODE`
+    );
+    const edgesResult = await executeQuery(
+      `SELECT PARENT_JOB_ROLE_ID, CHILD_JOB_ROLE_ID
+         FROM SEC.JOB_ROLE_INHERITANCE
+        ORDER BY PARENT_JOB_ROLE_ID, CHILD_JOB_ROLE_ID`
+    );
+    const modulesResult = await executeQuery(
+      `SELECT DISTINCT jrdr.JOB_ROLE_ID, m.MODULE_ID, m.MODULE_CODE, m.MODULE_NAME
+         FROM SEC.JOB_ROLE_DUTY_ROLES jrdr
+         JOIN SEC.DUTY_ROLES dr ON dr.DUTY_ROLE_ID = jrdr.DUTY_ROLE_ID
+         JOIN SEC.MODULES m ON m.MODULE_ID = dr.MODULE_ID
+        ORDER BY m.MODULE_CODE`
+    );
+
+    const modulesByRole = new Map();
+    for (const row of modulesResult.rows) {
+      if (!modulesByRole.has(row.JOB_ROLE_ID)) modulesByRole.set(row.JOB_ROLE_ID, []);
+      modulesByRole.get(row.JOB_ROLE_ID).push({
+        MODULE_ID: row.MODULE_ID,
+        MODULE_CODE: row.MODULE_CODE,
+        MODULE_NAME: row.MODULE_NAME
+      });
+    }
+
+    let nodes = nodesResult.rows.map(row => ({
+      ...row,
+      MODULES: modulesByRole.get(row.JOB_ROLE_ID) || []
+    }));
+    let edges = edgesResult.rows;
+
+    if (rootId !== null) {
+      if (!nodes.some(node => node.JOB_ROLE_ID === rootId)) return null;
+
+      const keptIds = collectSubgraphIds(
+        edges.map(edge => ({ parentId: edge.PARENT_JOB_ROLE_ID, childId: edge.CHILD_JOB_ROLE_ID })),
+        rootId,
+        depth
+      );
+      nodes = nodes.filter(node => keptIds.has(node.JOB_ROLE_ID));
+      edges = edges.filter(edge =>
+        keptIds.has(edge.PARENT_JOB_ROLE_ID) && keptIds.has(edge.CHILD_JOB_ROLE_ID)
+      );
+    }
+
+    return { NODES: nodes, EDGES: edges, ROOT_ID: rootId, DEPTH: depth };
+  }
+
+  /**
+   * Compare the effective duty roles and privileges of two job roles
+   * Both are split into COMMON, ONLY_IN_A and ONLY_IN_B. Each item carries the
+   * `inherited` flag of computeEffectiveDutyRoles / computeEffectivePrivileges
+   * (INHERITED, or INHERITED_IN_A / INHERITED_IN_B for common items).
+   * @param {number} jobRoleIdA
+   * @param {number} jobRoleIdB
+   * @returns {Promise<Object|null>} - { ROLE_A, ROLE_B, DUTY_ROLES, PRIVILEGES }, or null if either role is not found
+   */
+  static async compare(jobRoleIdA, jobRoleIdB) {
+    const roleA = await this.getById(jobRoleIdA);
+    const roleB = await this.getById(jobRoleIdB);
+    if (!roleA || !roleB) return null;
+
+    const privilegesA = await this.computeEffectivePrivileges(roleA.DUTY_ROLES_DECODED);
+    const privilegesB = await this.computeEffectivePrivileges(roleB.DUTY_ROLES_DECODED);
+
+    const describeRole = role => ({
+      JOB_ROLE_ID: role.JOB_ROLE_ID,
+      JOB_ROLE_CODE: role.JOB_ROLE_CODE,
+      JOB_ROLE_NAME: role.JOB_ROLE_NAME,
+      STATUS: role.STATUS
+    });
+    const describeDutyRole = dutyRole => ({
+      DUTY_ROLE_ID: dutyRole.duty_role_id,
+      ROLE_CODE: dutyRole.role_code,
+      DUTY_ROLE_NAME: dutyRole.duty_role_name
+    });
+    const describePrivilege = privilege => ({
+      PRIVILEGE_ID: privilege.PRIVILEGE_ID,
+      PRIVILEGE_CODE: privilege.PRIVILEGE_CODE,
+      PRIVILEGE_NAME: privilege.PRIVILEGE_NAME,
+      MODULE_NAME: privilege.MODULE_NAME
+    });
+
+    // both sides of a diff, with the inherited flag of the side(s) holding each item
+    const flagDiff = (diff, describe) => ({
+      COMMON: diff.common.map(([a, b]) => ({
+        ...describe(a),
+        INHERITED_IN_A: a.inherited,
+        INHERITED_IN_B: b.inherited
+      })),
+      ONLY_IN_A: diff.onlyInA.map(a => ({ ...describe(a), INHERITED: a.inherited })),
+      ONLY_IN_B: diff.onlyInB.map(b => ({ ...describe(b), INHERITED: b.inherited }))
+    });
+
+    return {
+      ROLE_A: describeRole(roleA),
+      ROLE_B: describeRole(roleB),
+      DUTY_ROLES: flagDiff(
+        diffByKey(roleA.DUTY_ROLES_DECODED, roleB.DUTY_ROLES_DECODED, 'duty_role_id'),
+        describeDutyRole
+      ),
+      PRIVILEGES: flagDiff(diffByKey(privilegesA, privilegesB, 'PRIVILEGE_ID'), describePrivilege)
+    };
+  }
+
   /**
    * Get job role by ID
    */
@@ -509,16 +783,16 @@ export class JobRoleModel {
       'SELECT * FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID = :jobRoleId',
       { jobRoleId }
     );
-    
+
     if (result.rows.length === 0) {
       return null;
     }
 
-    const row = result.rows[0];
+    const [row] = await this.attachRelationships(result.rows);
 
     const effectiveDutyRoles = await this.computeEffectiveDutyRoles(row);
-    const decodedInheritedFrom = await this.decodeJobRoleArray(row.INHERITED_FROM);
-    const decodedInherited = await this.decodeJobRoleArray(row.INHERITED);
+    const decodedInheritedFrom = await this.fetchJobRolesByIds(row.INHERITED_FROM);
+    const decodedInherited = await this.fetchJobRolesByIds(row.INHERITED);
 
     return {
       ...row,
@@ -528,129 +802,328 @@ export class JobRoleModel {
     };
   }
 
+  /**
+   * Helper: point-in-time version of collectDutyRolesFromParents.
+   * Walks the parents as they were at asOf (audit images), not as they are now.
+   */
+  static async collectDutyRolesFromParentsAsOf(parentIds, asOf, visited = new Set()) {
+    const allDutyRoleIds = new Set();
+
+    for (const parentId of parseIdList(parentIds)) {
+      if (visited.has(parentId)) continue;
+      visited.add(parentId);
+
+      const parent = await AuditModel.getImageAsOf('JOB_ROLE', parentId, asOf);
+      if (!parent) continue;
+
+      parseIdList(parent.DUTY_ROLES).forEach(id => allDutyRoleIds.add(id));
+
+      const grandParentDutyRoles = await this.collectDutyRolesFromParentsAsOf(
+        parent.INHERITED_FROM,
+        asOf,
+        visited
+      );
+      grandParentDutyRoles.forEach(id => allDutyRoleIds.add(id));
+    }
+
+    return Array.from(allDutyRoleIds);
+  }
+
+  /**
+   * Helper: point-in-time version of fetchJobRolesByIds.
+   * Roles that did not exist at asOf are left out.
+   */
+  static async fetchJobRolesByIdsAsOf(idList, asOf) {
+    const jobRoles = [];
+
+    for (const id of parseIdList(idList)) {
+      const image = await AuditModel.getImageAsOf('JOB_ROLE', id, asOf);
+      if (!image) continue;
+
+      jobRoles.push({
+        job_role_id: image.JOB_ROLE_ID,
+        job_role_code: image.JOB_ROLE_CODE,
+        job_role_name: image.JOB_ROLE_NAME,
+        status: image.STATUS
+      });
+    }
+
+    return jobRoles;
+  }
+
+  /**
+   * Get job role as it was at a point in time
+   * Definition, inheritance links, effective duty roles and the privileges
+   * they grant are all reconstructed from the audit trail as of the given instant.
+   * @param {number} jobRoleId - Job Role ID
+   * @param {Date} asOf - Point in time
+   * @returns {Promise<Object|null>} - Job role object or null if it did not exist at asOf
+   */
+  static async getByIdAsOf(jobRoleId, asOf) {
+    const row = await AuditModel.getImageAsOf('JOB_ROLE', jobRoleId, asOf);
+
+    if (!row) {
+      return null;
+    }
+
+    const explicitIds = parseIdList(row.DUTY_ROLES);
+    const inheritedIds = await this.collectDutyRolesFromParentsAsOf(row.INHERITED_FROM, asOf);
+    const inheritedIdsSet = new Set(inheritedIds);
+
+    const effectiveDutyRoles = [];
+    const effectivePrivileges = new Map();
+
+    for (const dutyRoleId of [...new Set([...explicitIds, ...inheritedIds])]) {
+      const dutyRole = await AuditModel.getImageAsOf('DUTY_ROLE', dutyRoleId, asOf);
+      if (!dutyRole) continue;
+
+      effectiveDutyRoles.push({
+        duty_role_id: dutyRole.DUTY_ROLE_ID,
+        duty_role_name: dutyRole.DUTY_ROLE_NAME,
+        role_code: dutyRole.ROLE_CODE,
+        inherited: inheritedIdsSet.has(dutyRoleId)
+      });
+
+      const dutyRolePrivileges = await DutyRoleModel.computeEffectivePrivilegesAsOf(dutyRole, asOf);
+      for (const { inherited, ...privilege } of dutyRolePrivileges) {
+        effectivePrivileges.set(privilege.PRIVILEGE_ID, privilege);
+      }
+    }
+
+    return {
+      ...row,
+      DUTY_ROLES_DECODED: effectiveDutyRoles,
+      INHERITED_FROM_DECODED: await this.fetchJobRolesByIdsAsOf(row.INHERITED_FROM, asOf),
+      INHERITED_DECODED: await this.fetchJobRolesByIdsAsOf(row.INHERITED, asOf),
+      EFFECTIVE_PRIVILEGES: [...effectivePrivileges.values()],
+      AS_OF: asOf
+    };
+  }
+
+  /**
+   * Helper: insert a job role (inside the caller's transaction). Shared by
+   * create and clone.
+   * - dutyRolesArray becomes rows of SEC.JOB_ROLE_DUTY_ROLES (explicit only).
+   * - inheritedFromArray becomes rows of SEC.JOB_ROLE_INHERITANCE; the parents
+   *   see the new child through the same rows, they are audited as updated.
+   * - SoD rules are evaluated against the resulting effective privileges.
+   * @param {Object} connection
+   * @param {Object} jobRoleData - See create
+   * @param {Array<number>} [effectivePrivilegeIds] - Effective privileges to check
+   *   against SoD rules; resolved from the parents when omitted. Clones pass their
+   *   source's, as their parents may be clones not yet committed.
+   * @returns {Promise<{jobRoleId:number, sodWarnings:Array}>}
+   */
+  static async insertJobRole(connection, jobRoleData, effectivePrivilegeIds) {
+    const {
+      jobRoleCode,
+      jobRoleName,
+      description,
+      dutyRolesArray,     // explicit duty roles
+      inheritedFromArray, // parents of this role
+      ownerUserId = null, // approves access requests for this role
+      status = 'ACTIVE',
+      createdBy = 'SYSTEM'
+    } = jobRoleData;
+
+    if (!jobRoleCode || !jobRoleName) {
+      throw new Error('jobRoleCode and jobRoleName are required');
+    }
+
+    await this.validateOwner(connection, ownerUserId);
+
+    const parentIds = this.normalizeJobRoleIds(inheritedFromArray);
+    const dutyRoleIds = DutyRoleModel.normalizeDutyRoleIds(dutyRolesArray);
+    await this.validateParentLinks(connection, null, parentIds);
+
+    const jobRoleId = await AuditModel.recordSideEffects(
+      connection,
+      { JOB_ROLE: parentIds },
+      createdBy,
+      async () => {
+        const result = await connection.execute(
+          `INSERT INTO SEC.JOB_ROLES (
+            JOB_ROLE_CODE,
+            JOB_ROLE_NAME,
+            DESCRIPTION,
+            OWNER_USER_ID,
+            STATUS,
+            CREATED_BY,
+            CREATED_AT
+          ) VALUES (
+            :jobRoleCode,
+            :jobRoleName,
+            :description,
+            :ownerUserId,
+            :status,
+            :createdBy,
+            SYSTIMESTAMP
+          )
+          RETURNING JOB_ROLE_ID INTO :jobRoleId`,
+          {
+            jobRoleCode,
+            jobRoleName,
+            description: description || null,
+            ownerUserId,
+            status,
+            createdBy,
+            jobRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+          },
+          { autoCommit: false }
+        );
+
+        const newId = result.outBinds.jobRoleId[0];
+        await this.insertDutyRoleLinks(connection, newId, dutyRoleIds, createdBy);
+        await this.insertParentLinks(connection, newId, parentIds, createdBy);
+        return newId;
+      }
+    );
+
+    await AuditModel.recordChange(connection, {
+      entityType: 'JOB_ROLE',
+      entityId: jobRoleId,
+      action: 'CREATE',
+      actor: createdBy
+    });
+
+    const sodWarnings = await SodRuleModel.enforce(connection, {
+      entityType: 'JOB_ROLE',
+      entityId: jobRoleId,
+      privilegeIds: effectivePrivilegeIds
+        ?? await this.resolveEffectivePrivilegeIds(dutyRoleIds, parentIds),
+      actor: createdBy
+    });
+
+    return { jobRoleId, sodWarnings };
+  }
+
   /**
    * Create a new job role
-   * - DUTY_ROLES column stores only EXPLICIT duty role IDs.
-   * - INHERITED_FROM sets parents.
-   * - Parents' INHERITED is updated to include this child.
+   * - dutyRolesArray becomes rows of SEC.JOB_ROLE_DUTY_ROLES (explicit only).
+   * - inheritedFromArray becomes rows of SEC.JOB_ROLE_INHERITANCE; the parents
+   *   see the new child through the same rows, they are audited as updated.
+   * - SoD rules are evaluated against the resulting effective privileges;
+   *   WARN violations are returned as SOD_WARNINGS.
    */
   static async create(jobRoleData) {
     const connection = await getConnection();
     try {
-      const {
-        jobRoleCode,
-        jobRoleName,
-        description,
-        dutyRolesArray,     // explicit duty roles
-        inheritedFromArray, // parents of this role
-        status = 'ACTIVE',
-        createdBy = 'SYSTEM'
-      } = jobRoleData;
+      const { jobRoleId, sodWarnings } = await this.insertJobRole(connection, jobRoleData);
 
-      if (!jobRoleCode || !jobRoleName) {
-        throw new Error('jobRoleCode and jobRoleName are required');
-      }
+      await connection.commit();
+      await connection.close();
 
-      // normalize parents
-      const parentIds = Array.isArray(inheritedFromArray)
-        ? inheritedFromArray
-            .map(v => (typeof v === 'number' ? v : parseInt(v, 10)))
-            .filter(v => !isNaN(v))
-        : [];
-
-      // explicit duty roles only
-      const encodedDutyRoles = this.encodeDutyRoles(dutyRolesArray || []);
-
-      const encodedInheritedFrom =
-        parentIds.length > 0 ? this.encodeIdArray(parentIds) : null;
-
-      const columns = [
-        'JOB_ROLE_CODE',
-        'JOB_ROLE_NAME',
-        'DESCRIPTION',
-        'STATUS',
-        'CREATED_BY',
-        'CREATED_AT'
-      ];
-      const values = [
-        ':jobRoleCode',
-        ':jobRoleName',
-        ':description',
-        ':status',
-        ':createdBy',
-        'SYSTIMESTAMP'
-      ];
-      const binds = {
+      const jobRole = await this.getById(jobRoleId);
+      return { ...jobRole, SOD_WARNINGS: sodWarnings };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Clone a job role
+   * - the clone gets the source's explicit duty roles, parents, description and
+   *   status under the new code and name. User assignments are not copied.
+   * - deepCopy also clones every descendant of the source, coded
+   *   `${codePrefix}${JOB_ROLE_CODE}`; a cloned descendant inherits from the
+   *   clones of its parents inside the copied hierarchy and keeps its other parents.
+   * - every role is inserted through insertJobRole in ONE transaction, so a
+   *   failure (e.g. a code already taken) leaves nothing behind.
+   * @param {number} jobRoleId - Source job role
+   * @param {Object} cloneData
+   * @param {string} cloneData.jobRoleCode - Code of the clone
+   * @param {string} cloneData.jobRoleName - Name of the clone
+   * @param {boolean} cloneData.deepCopy - Also clone the descendants
+   * @param {string} cloneData.codePrefix - Prefix for the codes of cloned descendants
+   * @param {string} cloneData.createdBy
+   * @returns {Promise<Object|null>} - The clone with CLONED_ROLES and SOD_WARNINGS, or null if the source is not found
+   */
+  static async clone(jobRoleId, cloneData) {
+    const connection = await getConnection();
+    try {
+      const {
         jobRoleCode,
         jobRoleName,
-        description: description || null,
-        status,
-        createdBy,
-        jobRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
-      };
+        deepCopy = false,
+        codePrefix,
+        createdBy = 'SYSTEM'
+      } = cloneData;
 
-      if (encodedDutyRoles !== null) {
-        columns.splice(3, 0, 'DUTY_ROLES'); // after DESCRIPTION
-        values.splice(3, 0, ':dutyRoles');
-        binds.dutyRoles = encodedDutyRoles;
-      }
+      const source = await AuditModel.snapshot(connection, 'JOB_ROLE', jobRoleId);
 
-      if (encodedInheritedFrom !== null) {
-        columns.splice(3, 0, 'INHERITED_FROM'); // after DESCRIPTION
-        values.splice(3, 0, ':inheritedFrom');
-        binds.inheritedFrom = encodedInheritedFrom;
+      if (!source) {
+        await connection.close();
+        return null; // not found
       }
 
-      const result = await connection.execute(
-        `INSERT INTO SEC.JOB_ROLES (
-          ${columns.join(', ')}
-        ) VALUES (
-          ${values.join(', ')}
-        )
-        RETURNING JOB_ROLE_ID INTO :jobRoleId`,
-        binds,
-        { autoCommit: false }
-      );
-
-      const jobRoleId = result.outBinds.jobRoleId[0];
+      // source ID -> clone ID, for remapping parent links inside the copied hierarchy
+      const cloneIds = new Map();
+      const clonedRoles = [];
+      const sodWarnings = [];
 
-      // sync: add this child to each parent's INHERITED list
-      for (const parentId of parentIds) {
-        const parentRes = await connection.execute(
-          `SELECT INHERITED
-             FROM SEC.JOB_ROLES
-            WHERE JOB_ROLE_ID = :parentId`,
-          { parentId },
-          { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      const cloneRole = async (role, code, name) => {
+        const { jobRoleId: cloneId, sodWarnings: warnings } = await this.insertJobRole(
+          connection,
+          {
+            jobRoleCode: code,
+            jobRoleName: name,
+            description: role.DESCRIPTION,
+            dutyRolesArray: role.DUTY_ROLES,
+            inheritedFromArray: role.INHERITED_FROM.map(id => cloneIds.get(id) ?? id),
+            status: role.STATUS,
+            createdBy
+          },
+          await this.resolveEffectivePrivilegeIds(role.DUTY_ROLES, role.INHERITED_FROM)
         );
 
-        if (parentRes.rows.length === 0) continue;
-
-        const existingChildrenEncoded = parentRes.rows[0].INHERITED;
-        const existingChildrenIds = this.decodeIdArray(existingChildrenEncoded);
+        cloneIds.set(role.JOB_ROLE_ID, cloneId);
+        clonedRoles.push({
+          SOURCE_JOB_ROLE_ID: role.JOB_ROLE_ID,
+          SOURCE_JOB_ROLE_CODE: role.JOB_ROLE_CODE,
+          JOB_ROLE_ID: cloneId,
+          JOB_ROLE_CODE: code
+        });
+        sodWarnings.push(...warnings);
+      };
 
-        if (!existingChildrenIds.includes(jobRoleId)) {
-          const newChildrenIds = [...existingChildrenIds, jobRoleId];
-          const encodedChildren = this.encodeIdArray(newChildrenIds);
+      await cloneRole(source, jobRoleCode, jobRoleName);
+
+      if (deepCopy) {
+        const descendants = new Map();
+        let frontier = source.INHERITED;
+        while (frontier.length > 0) {
+          const next = [];
+          for (const childId of frontier) {
+            if (descendants.has(childId) || childId === source.JOB_ROLE_ID) continue;
+            const child = await AuditModel.snapshot(connection, 'JOB_ROLE', childId);
+            descendants.set(childId, child);
+            next.push(...child.INHERITED);
+          }
+          frontier = next;
+        }
 
-          await connection.execute(
-            `UPDATE SEC.JOB_ROLES
-                SET INHERITED  = :inherited,
-                    UPDATED_AT = SYSTIMESTAMP
-              WHERE JOB_ROLE_ID = :parentId`,
-            {
-              inherited: encodedChildren,
-              parentId
-            },
-            { autoCommit: false }
+        // clone a descendant once every parent of it inside the hierarchy is cloned
+        while (descendants.size > 0) {
+          const ready = [...descendants.values()].filter(child =>
+            child.INHERITED_FROM.every(id => !descendants.has(id))
           );
+          if (ready.length === 0) {
+            throw new Error('Inheritance cycle detected below the source role');
+          }
+          for (const child of ready) {
+            await cloneRole(child, `${codePrefix}${child.JOB_ROLE_CODE}`, child.JOB_ROLE_NAME);
+            descendants.delete(child.JOB_ROLE_ID);
+          }
         }
       }
 
       await connection.commit();
       await connection.close();
-      
-      return await this.getById(jobRoleId);
+
+      const jobRole = await this.getById(cloneIds.get(source.JOB_ROLE_ID));
+      return { ...jobRole, CLONED_ROLES: clonedRoles, SOD_WARNINGS: sodWarnings };
     } catch (error) {
       try { await connection.rollback(); } catch (_) {}
       await connection.close();
@@ -660,9 +1133,12 @@ export class JobRoleModel {
 
   /**
    * Update a job role
-   * - dutyRolesArray modifies only EXPLICIT duty roles.
-   * - inheritedFromArray modifies parent links and keeps INHERITED in sync.
+   * - dutyRolesArray replaces the EXPLICIT duty role links.
+   * - inheritedFromArray replaces the parent links; parents gaining or losing
+   *   this child are audited as updated.
    * - effective duty roles are computed at read-time.
+   * - when duty roles or parents change, SoD rules are evaluated against the
+   *   resulting effective privileges; WARN violations are returned as SOD_WARNINGS.
    */
   static async update(jobRoleId, jobRoleData) {
     const connection = await getConnection();
@@ -673,26 +1149,21 @@ export class JobRoleModel {
         description,
         dutyRolesArray,     // explicit
         inheritedFromArray, // parents
+        ownerUserId,
         status,
         updatedBy = 'SYSTEM'
       } = jobRoleData;
 
       // get current parents and explicit duty roles for validation
-      const currentRes = await connection.execute(
-        `SELECT INHERITED_FROM, DUTY_ROLES
-           FROM SEC.JOB_ROLES
-          WHERE JOB_ROLE_ID = :jobRoleId`,
-        { jobRoleId },
-        { outFormat: oracledb.OUT_FORMAT_OBJECT }
-      );
+      const before = await AuditModel.snapshot(connection, 'JOB_ROLE', jobRoleId);
 
-      if (currentRes.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return null; // not found
       }
 
-      const existingParentIds = this.decodeIdArray(currentRes.rows[0].INHERITED_FROM);
-      const currentExplicitDutyRoleIds = this.decodeIdArray(currentRes.rows[0].DUTY_ROLES);
+      const existingParentIds = before.INHERITED_FROM;
+      const currentExplicitDutyRoleIds = before.DUTY_ROLES;
 
       const updates = [];
       const binds = { jobRoleId };
@@ -712,60 +1183,42 @@ export class JobRoleModel {
         binds.description = description;
       }
 
+      if (ownerUserId !== undefined) {
+        await this.validateOwner(connection, ownerUserId);
+        updates.push('OWNER_USER_ID = :ownerUserId');
+        binds.ownerUserId = ownerUserId;
+      }
+
       // parents
-      let newParentIds = existingParentIds;
-      let inheritedFromChanged = false;
-
-      if (inheritedFromArray !== undefined) {
-        inheritedFromChanged = true;
-        newParentIds = Array.isArray(inheritedFromArray)
-          ? inheritedFromArray
-              .map(v => (typeof v === 'number' ? v : parseInt(v, 10)))
-              .filter(v => !isNaN(v))
-          : [];
-
-        const encodedInheritedFrom = this.encodeIdArray(newParentIds);
-        updates.push('INHERITED_FROM = :inheritedFrom');
-        binds.inheritedFrom = encodedInheritedFrom;
+      const inheritedFromChanged = inheritedFromArray !== undefined;
+      const newParentIds = inheritedFromChanged
+        ? this.normalizeJobRoleIds(inheritedFromArray)
+        : existingParentIds;
+
+      if (inheritedFromChanged) {
+        await this.validateParentLinks(connection, jobRoleId, newParentIds);
       }
 
       // explicit duty roles
-      if (dutyRolesArray !== undefined) {
+      const dutyRolesChanged = dutyRolesArray !== undefined;
+      const newExplicitDutyRoleIds = dutyRolesChanged
+        ? DutyRoleModel.normalizeDutyRoleIds(dutyRolesArray)
+        : currentExplicitDutyRoleIds;
+
+      if (dutyRolesChanged) {
         // Validate: prevent removing inherited duty roles
-        // Use new parent IDs if inheritedFromArray was provided, otherwise use existing
-        const parentIdsForValidation = inheritedFromChanged ? newParentIds : existingParentIds;
-        const currentInheritedDutyRoleIds = await this.collectDutyRolesFromParents(parentIdsForValidation);
-        
-        // Calculate what the new effective duty roles would be
-        const newExplicitIds = Array.isArray(dutyRolesArray)
-          ? dutyRolesArray
-              .map(v => {
-                if (typeof v === 'number') return v;
-                if (typeof v === 'object' && v.duty_role_id) return v.duty_role_id;
-                if (typeof v === 'object' && v.DUTY_ROLE_ID) return v.DUTY_ROLE_ID;
-                return parseInt(v, 10);
-              })
-              .filter(v => !isNaN(v))
-          : [];
-        
-        // New effective = new explicit + inherited from new/existing parents
-        const newEffectiveIds = [...new Set([...newExplicitIds, ...currentInheritedDutyRoleIds])];
-        
-        // Check if any currently inherited duty roles are missing from new effective
+        const currentInheritedDutyRoleIds = await this.collectDutyRolesFromParents(newParentIds);
+        const newEffectiveIds = [...new Set([...newExplicitDutyRoleIds, ...currentInheritedDutyRoleIds])];
+
         const removedInheritedIds = currentInheritedDutyRoleIds.filter(
           id => !newEffectiveIds.includes(id)
         );
-        
+
         if (removedInheritedIds.length > 0) {
-          await connection.close();
           throw new Error(
             `Cannot remove inherited duty role(s): ${removedInheritedIds.join(', ')}. Inherited duty roles cannot be removed.`
           );
         }
-        
-        const encodedDutyRoles = this.encodeDutyRoles(dutyRolesArray || []);
-        updates.push('DUTY_ROLES = :dutyRoles');
-        binds.dutyRoles = encodedDutyRoles;
       }
 
       if (status !== undefined) {
@@ -773,7 +1226,7 @@ export class JobRoleModel {
         binds.status = status;
       }
 
-      if (updates.length === 0) {
+      if (updates.length === 0 && !dutyRolesChanged && !inheritedFromChanged) {
         throw new Error('No fields to update');
       }
 
@@ -782,7 +1235,7 @@ export class JobRoleModel {
       binds.updatedBy = updatedBy;
 
       const updateQuery = `
-        UPDATE SEC.JOB_ROLES 
+        UPDATE SEC.JOB_ROLES
            SET ${updates.join(', ')}
          WHERE JOB_ROLE_ID = :jobRoleId
       `;
@@ -795,82 +1248,55 @@ export class JobRoleModel {
         return null;
       }
 
-      // sync parents' INHERITED arrays if parents changed
-      if (inheritedFromChanged) {
-        const parentsToAdd = newParentIds.filter(id => !existingParentIds.includes(id));
-        const parentsToRemove = existingParentIds.filter(id => !newParentIds.includes(id));
-
-        // ensure all current parents contain this child
-        for (const parentId of newParentIds) {
-          const parentRes = await connection.execute(
-            `SELECT INHERITED
-               FROM SEC.JOB_ROLES
-              WHERE JOB_ROLE_ID = :parentId`,
-            { parentId },
-            { outFormat: oracledb.OUT_FORMAT_OBJECT }
-          );
+      // parents gaining or losing this child
+      const changedParentIds = [
+        ...newParentIds.filter(id => !existingParentIds.includes(id)),
+        ...existingParentIds.filter(id => !newParentIds.includes(id))
+      ];
 
-          if (parentRes.rows.length === 0) continue;
-
-          const existingChildrenEncoded = parentRes.rows[0].INHERITED;
-          const existingChildrenIds = this.decodeIdArray(existingChildrenEncoded);
-
-          if (!existingChildrenIds.includes(jobRoleId)) {
-            const newChildrenIds = [...existingChildrenIds, jobRoleId];
-            const encodedChildren = this.encodeIdArray(newChildrenIds);
-
-            await connection.execute(
-              `UPDATE SEC.JOB_ROLES
-                  SET INHERITED  = :inherited,
-                      UPDATED_AT = SYSTIMESTAMP
-                WHERE JOB_ROLE_ID = :parentId`,
-              {
-                inherited: encodedChildren,
-                parentId
-              },
-              { autoCommit: false }
-            );
-          }
+      await AuditModel.recordSideEffects(connection, { JOB_ROLE: changedParentIds }, updatedBy, async () => {
+        if (dutyRolesChanged) {
+          await connection.execute(
+            'DELETE FROM SEC.JOB_ROLE_DUTY_ROLES WHERE JOB_ROLE_ID = :jobRoleId',
+            { jobRoleId },
+            { autoCommit: false }
+          );
+          await this.insertDutyRoleLinks(connection, jobRoleId, newExplicitDutyRoleIds, updatedBy);
         }
 
-        // remove this child from removed parents
-        for (const parentId of parentsToRemove) {
-          const parentRes = await connection.execute(
-            `SELECT INHERITED
-               FROM SEC.JOB_ROLES
-              WHERE JOB_ROLE_ID = :parentId`,
-            { parentId },
-            { outFormat: oracledb.OUT_FORMAT_OBJECT }
+        if (inheritedFromChanged) {
+          await connection.execute(
+            'DELETE FROM SEC.JOB_ROLE_INHERITANCE WHERE CHILD_JOB_ROLE_ID = :jobRoleId',
+            { jobRoleId },
+            { autoCommit: false }
           );
-
-          if (parentRes.rows.length === 0) continue;
-
-          const existingChildrenEncoded = parentRes.rows[0].INHERITED;
-          const existingChildrenIds = this.decodeIdArray(existingChildrenEncoded);
-
-          if (existingChildrenIds.includes(jobRoleId)) {
-            const newChildrenIds = existingChildrenIds.filter(id => id !== jobRoleId);
-            const encodedChildren = this.encodeIdArray(newChildrenIds);
-
-            await connection.execute(
-              `UPDATE SEC.JOB_ROLES
-                  SET INHERITED  = :inherited,
-                      UPDATED_AT = SYSTIMESTAMP
-                WHERE JOB_ROLE_ID = :parentId`,
-              {
-                inherited: encodedChildren,
-                parentId
-              },
-              { autoCommit: false }
-            );
-          }
+          await this.insertParentLinks(connection, jobRoleId, newParentIds, updatedBy);
         }
+      });
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'JOB_ROLE',
+        entityId: jobRoleId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      let sodWarnings = [];
+      if (dutyRolesChanged || inheritedFromChanged) {
+        sodWarnings = await SodRuleModel.enforce(connection, {
+          entityType: 'JOB_ROLE',
+          entityId: jobRoleId,
+          privilegeIds: await this.resolveEffectivePrivilegeIds(newExplicitDutyRoleIds, newParentIds),
+          actor: updatedBy
+        });
       }
 
       await connection.commit();
       await connection.close();
 
-      return await this.getById(jobRoleId);
+      const updatedJobRole = await this.getById(jobRoleId);
+      return { ...updatedJobRole, SOD_WARNINGS: sodWarnings };
     } catch (error) {
       try { await connection.rollback(); } catch (_) {}
       await connection.close();
@@ -882,164 +1308,179 @@ export class JobRoleModel {
    * Delete a job role
    *
    * Behavior:
-   * - NOT allowed if this role has parents (check INHERITED_FROM column).
+   * - NOT allowed if this role has parents.
    * - If this role is a parent:
    *    • children with ONLY this parent  → deleted (cascade one level)
-   *    • children with multiple parents → keep, remove this parent from their INHERITED_FROM,
-   *      and recalculate their duty roles (remove inherited from deleted parent)
-   * - Remove this role from all parents' INHERITED arrays.
-   * - Recalculate duty roles for affected children when removing a parent.
+   *    • children with multiple parents → keep, their link to this role is
+   *      removed by ON DELETE CASCADE; the duty roles it passed down are no
+   *      longer effective for them (effective duty roles are resolved at read-time)
+   * - NOT allowed while a deleted role has data roles, provisioning rules, or
+   *   assignments that are active or start in the future (409).
+   * - Ended assignments cascade away with the role.
+   * - Every entity touched (children losing a link, users losing ended
+   *   assignments, cascaded children and this role) gets its own audit record,
+   *   attributed to deletedBy.
    */
-  static async delete(jobRoleId) {
+  static async delete(jobRoleId, deletedBy = 'SYSTEM') {
     const connection = await getConnection();
 
     try {
       // Confirm role exists and check if it has parents
-      const existsResult = await connection.execute(
-        `SELECT JOB_ROLE_ID, INHERITED_FROM
-           FROM SEC.JOB_ROLES
-          WHERE JOB_ROLE_ID = :jobRoleId`,
-        { jobRoleId },
-        { outFormat: oracledb.OUT_FORMAT_OBJECT }
-      );
+      const before = await AuditModel.snapshot(connection, 'JOB_ROLE', jobRoleId);
 
-      if (existsResult.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return false;
       }
 
       // Check if this role has parents - prevent deletion if yes
-      const currentParentIds = this.decodeIdArray(existsResult.rows[0].INHERITED_FROM);
-      if (currentParentIds.length > 0) {
-        // Close connection before throwing error (no transaction started yet)
-        try {
-          await connection.close();
-        } catch (closeError) {
-          // Ignore close errors
-        }
+      if (before.INHERITED_FROM.length > 0) {
         throw new Error(
-          `Cannot delete job role ${jobRoleId} because it inherits from other role(s): ${currentParentIds.join(', ')}. Delete all parent roles first.`
+          `Cannot delete job role ${jobRoleId} because it inherits from other role(s): ${before.INHERITED_FROM.join(', ')}. Delete all parent roles first.`
         );
       }
 
-      // 1) Handle children (roles that inherit FROM this role)
-      const childrenResult = await connection.execute(
-        `SELECT JOB_ROLE_ID, INHERITED_FROM, DUTY_ROLES
-           FROM SEC.JOB_ROLES
-          WHERE INHERITED_FROM IS NOT NULL`,
-        {},
+      // children that only inherit from this role go with it
+      const orphansResult = await connection.execute(
+        `SELECT I.CHILD_JOB_ROLE_ID
+           FROM SEC.JOB_ROLE_INHERITANCE I
+          WHERE I.PARENT_JOB_ROLE_ID = :jobRoleId
+            AND NOT EXISTS (
+                  SELECT 1
+                    FROM SEC.JOB_ROLE_INHERITANCE O
+                   WHERE O.CHILD_JOB_ROLE_ID = I.CHILD_JOB_ROLE_ID
+                     AND O.PARENT_JOB_ROLE_ID <> :jobRoleId
+                )`,
+        { jobRoleId },
         { outFormat: oracledb.OUT_FORMAT_OBJECT }
       );
 
-      const childrenToDelete = [];
-
-      for (const row of childrenResult.rows) {
-        const childId = row.JOB_ROLE_ID;
-        const parentIds = this.decodeIdArray(row.INHERITED_FROM);
+      const childrenToDelete = orphansResult.rows.map(row => row.CHILD_JOB_ROLE_ID);
+      const deletedIds = [jobRoleId, ...childrenToDelete];
+      const { placeholders, binds } = buildInClause(deletedIds);
 
-        if (!parentIds.includes(jobRoleId)) continue;
-
-        const newParents = parentIds.filter(id => id !== jobRoleId);
-
-        if (newParents.length === 0) {
-          // No parents left → cascade delete
-          childrenToDelete.push(childId);
-        } else {
-          // Multiple parents → keep child, remove this parent and recalculate duty roles
-          const encodedParents = this.encodeIdArray(newParents);
-
-          // Get current explicit duty roles
-          const currentExplicitIds = this.decodeIdArray(row.DUTY_ROLES);
-
-          // Recalculate duty roles: explicit + inherited from remaining parents only
-          const inheritedFromRemaining = await this.collectDutyRolesFromParents(newParents);
-          const allDutyRoleIds = [...new Set([...currentExplicitIds, ...inheritedFromRemaining])];
-          const encodedDutyRoles = this.encodeIdArray(allDutyRoleIds);
+      // data roles reference their job role without cascading: they must be removed first
+      const dataRolesResult = await connection.execute(
+        `SELECT DATA_ROLE_CODE
+           FROM SEC.DATA_ROLES
+          WHERE JOB_ROLE_ID IN (${placeholders})
+          ORDER BY DATA_ROLE_CODE`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
 
-          await connection.execute(
-            `UPDATE SEC.JOB_ROLES
-                SET INHERITED_FROM = :inheritedFrom,
-                    DUTY_ROLES      = :dutyRoles,
-                    UPDATED_AT      = SYSTIMESTAMP
-              WHERE JOB_ROLE_ID     = :childId`,
-            {
-              inheritedFrom: encodedParents,
-              dutyRoles: encodedDutyRoles,
-              childId
-            },
-            { autoCommit: false }
-          );
-        }
+      if (dataRolesResult.rows.length > 0) {
+        throw new ConflictError(
+          `Cannot delete job role ${jobRoleId} because data role(s) are defined on it: ${dataRolesResult.rows.map(row => row.DATA_ROLE_CODE).join(', ')}. Delete the data roles first.`
+        );
       }
 
-      // 2) Remove this role from all parents' INHERITED arrays
-      const parentsResult = await connection.execute(
-        `SELECT JOB_ROLE_ID, INHERITED
-           FROM SEC.JOB_ROLES
-          WHERE INHERITED IS NOT NULL`,
-        {},
+      // provisioning rules would cascade away without a trace of what they granted
+      const rulesResult = await connection.execute(
+        `SELECT RULE_CODE
+           FROM SEC.PROVISIONING_RULES
+          WHERE JOB_ROLE_ID IN (${placeholders})
+          ORDER BY RULE_CODE`,
+        binds,
         { outFormat: oracledb.OUT_FORMAT_OBJECT }
       );
 
-      for (const row of parentsResult.rows) {
-        const parentId = row.JOB_ROLE_ID;
-        const childIds = this.decodeIdArray(row.INHERITED);
+      if (rulesResult.rows.length > 0) {
+        throw new ConflictError(
+          `Cannot delete job role ${jobRoleId} because provisioning rule(s) grant it: ${rulesResult.rows.map(row => row.RULE_CODE).join(', ')}. Delete the provisioning rules first.`
+        );
+      }
 
-        if (!childIds.includes(jobRoleId)) continue;
+      // users keep their access until their assignments are ended explicitly
+      const assignmentsResult = await connection.execute(
+        `SELECT DISTINCT U.USER_ID, U.USERNAME,
+                CASE WHEN UJR.END_DATE IS NULL OR UJR.END_DATE > SYSTIMESTAMP THEN 1 ELSE 0 END AS IS_CURRENT
+           FROM SEC.USER_JOB_ROLES UJR
+           JOIN SEC.USERS U ON U.USER_ID = UJR.USER_ID
+          WHERE UJR.JOB_ROLE_ID IN (${placeholders})
+          ORDER BY U.USERNAME`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
 
-        const newChildren = childIds.filter(id => id !== jobRoleId);
-        const encodedChildren = this.encodeIdArray(newChildren);
+      const assignedUsernames = [...new Set(
+        assignmentsResult.rows.filter(row => row.IS_CURRENT === 1).map(row => row.USERNAME)
+      )];
 
-        await connection.execute(
-          `UPDATE SEC.JOB_ROLES
-              SET INHERITED  = :inherited,
-                  UPDATED_AT = SYSTIMESTAMP
-            WHERE JOB_ROLE_ID = :parentId`,
-          {
-            inherited: encodedChildren,
-            parentId
-          },
-          { autoCommit: false }
+      if (assignedUsernames.length > 0) {
+        throw new ConflictError(
+          `Cannot delete job role ${jobRoleId} because it is assigned to user(s): ${assignedUsernames.join(', ')}. End the assignments first.`
         );
       }
 
-      // 3) Cascade delete children that only had this parent
+      // job roles that keep existing but lose a link
+      const linkedRolesResult = await connection.execute(
+        `SELECT CHILD_JOB_ROLE_ID AS JOB_ROLE_ID
+           FROM SEC.JOB_ROLE_INHERITANCE
+          WHERE PARENT_JOB_ROLE_ID IN (${placeholders})
+         UNION
+         SELECT PARENT_JOB_ROLE_ID
+           FROM SEC.JOB_ROLE_INHERITANCE
+          WHERE CHILD_JOB_ROLE_ID IN (${placeholders})`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      const childBefores = [];
       for (const childId of childrenToDelete) {
-        await connection.execute(
-          `DELETE FROM SEC.JOB_ROLES
-            WHERE JOB_ROLE_ID = :childId`,
-          { childId },
-          { autoCommit: false }
-        );
+        childBefores.push(await AuditModel.snapshot(connection, 'JOB_ROLE', childId));
       }
 
-      // 4) Delete this role
-      const deleteResult = await connection.execute(
-        `DELETE FROM SEC.JOB_ROLES
-          WHERE JOB_ROLE_ID = :jobRoleId`,
-        { jobRoleId },
-        { autoCommit: false }
+      const affected = {
+        JOB_ROLE: linkedRolesResult.rows
+          .map(row => row.JOB_ROLE_ID)
+          .filter(id => !deletedIds.includes(id)),
+        // ended assignments cascade away with the role
+        USER: assignmentsResult.rows.map(row => row.USER_ID)
+      };
+
+      const deleteResult = await AuditModel.recordSideEffects(connection, affected, deletedBy, () =>
+        connection.execute(
+          `DELETE FROM SEC.JOB_ROLES
+            WHERE JOB_ROLE_ID IN (${placeholders})`,
+          binds,
+          { autoCommit: false }
+        )
       );
 
       const deleted = deleteResult.rowsAffected > 0;
 
+      if (deleted) {
+        for (const [index, childId] of childrenToDelete.entries()) {
+          await AuditModel.record(connection, {
+            entityType: 'JOB_ROLE',
+            entityId: childId,
+            action: 'DELETE',
+            actor: deletedBy,
+            before: childBefores[index]
+          });
+        }
+
+        await AuditModel.record(connection, {
+          entityType: 'JOB_ROLE',
+          entityId: jobRoleId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
       await connection.commit();
       await connection.close();
       return deleted;
     } catch (error) {
-      // Only rollback and close if connection is still open
-      // (connection might have been closed before throwing error for validation)
       if (connection) {
         try {
           await connection.rollback();
-        } catch (rollbackError) {
-          // Ignore rollback errors (no transaction or connection already closed)
-        }
+        } catch (rollbackError) {}
         try {
           await connection.close();
-        } catch (closeError) {
-          // Ignore close errors (connection might already be closed)
-        }
+        } catch (closeError) {}
       }
       throw error;
     }
@@ -1047,26 +1488,20 @@ export class JobRoleModel {
 
   /**
    * Add duty roles to a job role (explicit only, additive)
+   * SoD rules are evaluated against the resulting effective privileges.
    */
   static async addDutyRolesToJobRole(jobRoleId, dutyRoleIds, updatedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
-      const currentRole = await executeQuery(
-        'SELECT DUTY_ROLES FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID = :jobRoleId',
-        { jobRoleId }
-      );
+      const before = await AuditModel.snapshot(connection, 'JOB_ROLE', jobRoleId);
 
-      if (currentRole.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return null; // not found
       }
 
-      const existingEncoded = currentRole.rows[0].DUTY_ROLES;
-      const existingIds = this.decodeIdArray(existingEncoded);
-
-      const newIds = dutyRoleIds
-        .map(id => (typeof id === 'number' ? id : parseInt(id, 10)))
-        .filter(id => !isNaN(id));
+      const existingIds = before.DUTY_ROLES;
+      const newIds = DutyRoleModel.normalizeDutyRoleIds(dutyRoleIds);
 
       const alreadyAssignedIds = newIds.filter(id => existingIds.includes(id));
       const newlyAssignedIds = newIds.filter(id => !existingIds.includes(id));
@@ -1082,37 +1517,48 @@ export class JobRoleModel {
         };
       }
 
-      const mergedIds = [...new Set([...existingIds, ...newlyAssignedIds])];
-      const encodedDutyRoles = this.encodeIdArray(mergedIds);
+      await this.insertDutyRoleLinks(connection, jobRoleId, newlyAssignedIds, updatedBy);
 
-      const result = await connection.execute(
-        `UPDATE SEC.JOB_ROLES 
-           SET DUTY_ROLES = :dutyRoles,
-               UPDATED_AT = SYSTIMESTAMP,
+      await connection.execute(
+        `UPDATE SEC.JOB_ROLES
+           SET UPDATED_AT = SYSTIMESTAMP,
                UPDATED_BY = :updatedBy
          WHERE JOB_ROLE_ID = :jobRoleId`,
-        {
-          dutyRoles: encodedDutyRoles,
-          updatedBy,
-          jobRoleId
-        },
-        { autoCommit: true }
+        { updatedBy, jobRoleId },
+        { autoCommit: false }
       );
 
-      await connection.close();
+      await AuditModel.recordChange(connection, {
+        entityType: 'JOB_ROLE',
+        entityId: jobRoleId,
+        action: 'ADD_DUTY_ROLES',
+        actor: updatedBy,
+        before
+      });
 
-      if (result.rowsAffected === 0) {
-        return null;
-      }
+      const sodWarnings = await SodRuleModel.enforce(connection, {
+        entityType: 'JOB_ROLE',
+        entityId: jobRoleId,
+        privilegeIds: await this.resolveEffectivePrivilegeIds(
+          [...existingIds, ...newlyAssignedIds],
+          before.INHERITED_FROM
+        ),
+        actor: updatedBy
+      });
+
+      await connection.commit();
+      await connection.close();
 
       const jobRoleData = await this.getById(jobRoleId);
       return {
         jobRoleData,
         alreadyAssignedIds,
         newlyAssignedIds,
-        wasUpdated: true
+        wasUpdated: true,
+        sodWarnings
       };
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -1125,33 +1571,32 @@ export class JobRoleModel {
   static async removeDutyRoleFromJobRole(jobRoleId, dutyRoleId, updatedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
-      const currentRole = await executeQuery(
-        `SELECT DUTY_ROLES, INHERITED_FROM
-           FROM SEC.JOB_ROLES
-          WHERE JOB_ROLE_ID = :jobRoleId`,
-        { jobRoleId }
-      );
+      const before = await AuditModel.snapshot(connection, 'JOB_ROLE', jobRoleId);
 
-      if (currentRole.rows.length === 0) {
+      if (!before) {
         await connection.close();
         return null; // not found
       }
 
-      const existingEncoded = currentRole.rows[0].DUTY_ROLES;
-      const existingIds = this.decodeIdArray(existingEncoded);
-      
       // Check if this duty role is inherited
-      const parentIds = this.decodeIdArray(currentRole.rows[0].INHERITED_FROM);
-      const inheritedDutyRoleIds = await this.collectDutyRolesFromParents(parentIds);
-      
+      const inheritedDutyRoleIds = await this.collectDutyRolesFromParents(before.INHERITED_FROM);
+
       if (inheritedDutyRoleIds.includes(dutyRoleId)) {
-        await connection.close();
         throw new Error(
           `Cannot remove duty role ${dutyRoleId} because it is inherited from parent role(s). Inherited duty roles cannot be removed.`
         );
       }
 
-      if (!existingIds.includes(dutyRoleId)) {
+      const result = await connection.execute(
+        `DELETE FROM SEC.JOB_ROLE_DUTY_ROLES
+          WHERE JOB_ROLE_ID = :jobRoleId
+            AND DUTY_ROLE_ID = :dutyRoleId`,
+        { jobRoleId, dutyRoleId },
+        { autoCommit: false }
+      );
+
+      // Duty role was not assigned explicitly
+      if (result.rowsAffected === 0) {
         await connection.close();
         const jobRoleData = await this.getById(jobRoleId);
         return {
@@ -1161,28 +1606,25 @@ export class JobRoleModel {
         };
       }
 
-      const filteredIds = existingIds.filter(id => id !== dutyRoleId);
-      const encodedDutyRoles = this.encodeIdArray(filteredIds);
-
-      const result = await connection.execute(
-        `UPDATE SEC.JOB_ROLES 
-           SET DUTY_ROLES = :dutyRoles,
-               UPDATED_AT = SYSTIMESTAMP,
+      await connection.execute(
+        `UPDATE SEC.JOB_ROLES
+           SET UPDATED_AT = SYSTIMESTAMP,
                UPDATED_BY = :updatedBy
          WHERE JOB_ROLE_ID = :jobRoleId`,
-        {
-          dutyRoles: encodedDutyRoles,
-          updatedBy,
-          jobRoleId
-        },
-        { autoCommit: true }
+        { updatedBy, jobRoleId },
+        { autoCommit: false }
       );
 
-      await connection.close();
+      await AuditModel.recordChange(connection, {
+        entityType: 'JOB_ROLE',
+        entityId: jobRoleId,
+        action: 'REMOVE_DUTY_ROLE',
+        actor: updatedBy,
+        before
+      });
 
-      if (result.rowsAffected === 0) {
-        return null;
-      }
+      await connection.commit();
+      await connection.close();
 
       const jobRoleData = await this.getById(jobRoleId);
       return {
@@ -1191,6 +1633,7 @@ export class JobRoleModel {
         wasUpdated: true
       };
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
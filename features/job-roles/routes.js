@@ -1,19 +1,28 @@
 import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
 import { JobRoleController } from './controller.js';
 
 const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_JOB_ROLES');
 
 // Routes
-router.get('/', JobRoleController.getAll);
-router.post('/', JobRoleController.create);
+router.get('/', canView, JobRoleController.getAll);
+router.post('/', canManage, JobRoleController.create);
+
+// Inheritance graph and comparison (must come before /:id routes)
+router.get('/graph', canView, JobRoleController.getGraph);
+router.get('/compare', canView, JobRoleController.compare);
 
 // Duty role management routes (must come before /:id routes)
-router.post('/:id/duty-roles', JobRoleController.addDutyRoles);
-router.delete('/:id/duty-roles/:dutyRoleId', JobRoleController.removeDutyRole);
+router.post('/:id/duty-roles', canManage, JobRoleController.addDutyRoles);
+router.delete('/:id/duty-roles/:dutyRoleId', canManage, JobRoleController.removeDutyRole);
+
+// Cloning routes
+router.post('/:id/clone', canManage, JobRoleController.clone);
 
 // CRUD routes
-router.get('/:id', JobRoleController.getById);
-router.put('/:id', JobRoleController.update);
-router.delete('/:id', JobRoleController.delete);
+router.get('/:id', canView, JobRoleController.getById);
+router.put('/:id', canManage, JobRoleController.update);
+router.delete('/:id', canManage, JobRoleController.delete);
 
 export default router;
@@ -1,4 +1,5 @@
 import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+import { toDot, toMermaid } from '../../utils/graphUtils.js';
 
 /**
  * Job Role View - Response formatting for job roles API
@@ -98,7 +99,7 @@ export class JobRoleView {
   }
 
   /**
-   * Format duty role assignment response (message only)
+   * Format duty role assignment response (message, plus sod_warnings when rules warned)
    */
   static formatDutyRoleAssignmentResponse(result, requestedDutyRoleIds) {
     if (!result || !result.jobRoleData) {
@@ -135,10 +136,17 @@ export class JobRoleView {
         : `${dutyRoleCount} duty roles (IDs: ${newlyAssignedIds.join(', ')}) have been assigned to this job role`;
     }
     
-    return {
+    const response = {
       success: true,
       message: message
     };
+
+    // Expose segregation-of-duties warnings (WARN severity rules)
+    if (Array.isArray(result.sodWarnings) && result.sodWarnings.length > 0) {
+      response.sod_warnings = toLowerCaseKeys(result.sodWarnings);
+    }
+
+    return response;
   }
 
   /**
@@ -164,6 +172,88 @@ export class JobRoleView {
     };
   }
 
+  /**
+   * Format inheritance graph response
+   */
+  static formatGraphResponse(graph) {
+    return {
+      success: true,
+      data: {
+        nodes: toLowerCaseKeys(graph.NODES),
+        edges: toLowerCaseKeys(graph.EDGES)
+      },
+      summary: {
+        nodes: graph.NODES.length,
+        edges: graph.EDGES.length,
+        root_id: graph.ROOT_ID,
+        depth: graph.DEPTH,
+        edge_direction: 'parent_to_child'
+      }
+    };
+  }
+
+  /**
+   * Map graph nodes and edges to the renderer input of utils/graphUtils.js
+   */
+  static toRenderableGraph(graph) {
+    return {
+      nodes: graph.NODES.map(node => ({
+        key: `JR${node.JOB_ROLE_ID}`,
+        label: [
+          node.JOB_ROLE_CODE,
+          node.JOB_ROLE_NAME,
+          `${node.MODULES.map(module => module.MODULE_CODE).join(', ') || 'no module'} | ${node.STATUS}`
+        ],
+        inactive: node.STATUS !== 'ACTIVE'
+      })),
+      edges: graph.EDGES.map(edge => ({
+        from: `JR${edge.PARENT_JOB_ROLE_ID}`,
+        to: `JR${edge.CHILD_JOB_ROLE_ID}`
+      }))
+    };
+  }
+
+  /**
+   * Format inheritance graph as Graphviz DOT
+   */
+  static formatGraphDot(graph) {
+    const { nodes, edges } = this.toRenderableGraph(graph);
+    return toDot('job_roles', nodes, edges);
+  }
+
+  /**
+   * Format inheritance graph as a Mermaid flowchart
+   */
+  static formatGraphMermaid(graph) {
+    const { nodes, edges } = this.toRenderableGraph(graph);
+    return toMermaid(nodes, edges);
+  }
+
+  /**
+   * Format role comparison response
+   */
+  static formatComparisonResponse(comparison) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(comparison),
+      summary: {
+        duty_roles: {
+          common: comparison.DUTY_ROLES.COMMON.length,
+          only_in_a: comparison.DUTY_ROLES.ONLY_IN_A.length,
+          only_in_b: comparison.DUTY_ROLES.ONLY_IN_B.length
+        },
+        privileges: {
+          common: comparison.PRIVILEGES.COMMON.length,
+          only_in_a: comparison.PRIVILEGES.ONLY_IN_A.length,
+          only_in_b: comparison.PRIVILEGES.ONLY_IN_B.length
+        },
+        identical:
+          comparison.DUTY_ROLES.ONLY_IN_A.length === 0 && comparison.DUTY_ROLES.ONLY_IN_B.length === 0 &&
+          comparison.PRIVILEGES.ONLY_IN_A.length === 0 && comparison.PRIVILEGES.ONLY_IN_B.length === 0
+      }
+    };
+  }
+
   /**
    * Format error response
    */
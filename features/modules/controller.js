@@ -136,7 +136,7 @@ export class ModuleController {
    */
   static async create(req, res) {
     try {
-      const { moduleCode, moduleName, description, status, createdBy } = req.body;
+      const { moduleCode, moduleName, description, status } = req.body;
 
       // Validate required fields
       if (!moduleCode) {
@@ -164,7 +164,7 @@ export class ModuleController {
         moduleName,
         description,
         status: status || 'ACTIVE',
-        createdBy: createdBy || 'SYSTEM'
+        createdBy: req.user.username
       });
 
       res.status(201).json(ModuleView.formatSingleResponse(moduleData));
@@ -197,7 +197,7 @@ export class ModuleController {
         );
       }
 
-      const { moduleCode, moduleName, description, status, updatedBy } = req.body;
+      const { moduleCode, moduleName, description, status } = req.body;
 
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
@@ -212,7 +212,7 @@ export class ModuleController {
         moduleName,
         description,
         status,
-        updatedBy: updatedBy || 'SYSTEM'
+        updatedBy: req.user.username
       });
 
       if (!moduleData) {
@@ -251,7 +251,7 @@ export class ModuleController {
         );
       }
 
-      const deleted = await ModuleModel.delete(moduleId);
+      const deleted = await ModuleModel.delete(moduleId, req.user.username);
 
       if (!deleted) {
         return res.status(404).json(
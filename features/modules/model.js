@@ -1,5 +1,6 @@
 import { executeQuery, getConnection } from '../../config/db.js';
 import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
 
 /**
  * Module Model - Database operations for SEC.MODULES table
@@ -208,15 +209,25 @@ export class ModuleModel {
           createdBy,
           moduleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
         },
-        { autoCommit: true }
+        { autoCommit: false }
       );
 
       const moduleId = result.outBinds.moduleId[0];
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'MODULE',
+        entityId: moduleId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
       await connection.close();
       
       // Return the created module
       return await this.getById(moduleId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -283,8 +294,23 @@ export class ModuleModel {
         WHERE MODULE_ID = :moduleId
       `;
 
-      const result = await connection.execute(updateQuery, binds, { autoCommit: true });
-      
+      const before = await AuditModel.snapshot(connection, 'MODULE', moduleId);
+      if (!before) {
+        await connection.close();
+        return null; // Module not found
+      }
+
+      const result = await connection.execute(updateQuery, binds, { autoCommit: false });
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'MODULE',
+        entityId: moduleId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
       await connection.close();
 
       if (result.rowsAffected === 0) {
@@ -294,6 +320,7 @@ export class ModuleModel {
       // Return the updated module
       return await this.getById(moduleId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -302,20 +329,35 @@ export class ModuleModel {
   /**
    * Delete a module
    * @param {number} moduleId - Module ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  static async delete(moduleId) {
+  static async delete(moduleId, deletedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
+      const before = await AuditModel.snapshot(connection, 'MODULE', moduleId);
+
       const result = await connection.execute(
         'DELETE FROM SEC.MODULES WHERE MODULE_ID = :moduleId',
         { moduleId },
-        { autoCommit: true }
+        { autoCommit: false }
       );
 
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'MODULE',
+          entityId: moduleId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
       await connection.close();
       return result.rowsAffected > 0;
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -1,14 +1,16 @@
 import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
 import { ModuleController } from './controller.js';
 
 const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_MODULES');
 
 // Routes
-router.get('/', ModuleController.getAll);
-router.get('/:id', ModuleController.getById);
-router.post('/', ModuleController.create);
-router.put('/:id', ModuleController.update);
-router.delete('/:id', ModuleController.delete);
+router.get('/', canView, ModuleController.getAll);
+router.get('/:id', canView, ModuleController.getById);
+router.post('/', canManage, ModuleController.create);
+router.put('/:id', canManage, ModuleController.update);
+router.delete('/:id', canManage, ModuleController.delete);
 
 export default router;
 
@@ -136,7 +136,7 @@ export class OperationController {
    */
   static async create(req, res) {
     try {
-      const { operationCode, operationName, description, status, createdBy } = req.body;
+      const { operationCode, operationName, description, status } = req.body;
 
       // Validate required fields
       if (!operationCode) {
@@ -164,7 +164,7 @@ export class OperationController {
         operationName,
         description,
         status: status || 'ACTIVE',
-        createdBy: createdBy || 'SYSTEM'
+        createdBy: req.user.username
       });
 
       res.status(201).json(OperationView.formatSingleResponse(operationData));
@@ -197,7 +197,7 @@ export class OperationController {
         );
       }
 
-      const { operationCode, operationName, description, status, updatedBy } = req.body;
+      const { operationCode, operationName, description, status } = req.body;
 
       // Validate status if provided
       if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
@@ -212,7 +212,7 @@ export class OperationController {
         operationName,
         description,
         status,
-        updatedBy: updatedBy || 'SYSTEM'
+        updatedBy: req.user.username
       });
 
       if (!operationData) {
@@ -251,7 +251,7 @@ export class OperationController {
         );
       }
 
-      const deleted = await OperationModel.delete(operationId);
+      const deleted = await OperationModel.delete(operationId, req.user.username);
 
       if (!deleted) {
         return res.status(404).json(
@@ -1,5 +1,6 @@
 import { executeQuery, getConnection } from '../../config/db.js';
 import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
 
 /**
  * Operation Model - Database operations for SEC.OPERATIONS table
@@ -208,15 +209,25 @@ export class OperationModel {
           createdBy,
           operationId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
         },
-        { autoCommit: true }
+        { autoCommit: false }
       );
 
       const operationId = result.outBinds.operationId[0];
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'OPERATION',
+        entityId: operationId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
       await connection.close();
       
       // Return the created operation
       return await this.getById(operationId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -283,8 +294,23 @@ export class OperationModel {
         WHERE OPERATION_ID = :operationId
       `;
 
-      const result = await connection.execute(updateQuery, binds, { autoCommit: true });
-      
+      const before = await AuditModel.snapshot(connection, 'OPERATION', operationId);
+      if (!before) {
+        await connection.close();
+        return null; // Operation not found
+      }
+
+      const result = await connection.execute(updateQuery, binds, { autoCommit: false });
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'OPERATION',
+        entityId: operationId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
       await connection.close();
 
       if (result.rowsAffected === 0) {
@@ -294,6 +320,7 @@ export class OperationModel {
       // Return the updated operation
       return await this.getById(operationId);
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -302,20 +329,35 @@ export class OperationModel {
   /**
    * Delete an operation
    * @param {number} operationId - Operation ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  static async delete(operationId) {
+  static async delete(operationId, deletedBy = 'SYSTEM') {
     const connection = await getConnection();
     try {
+      const before = await AuditModel.snapshot(connection, 'OPERATION', operationId);
+
       const result = await connection.execute(
         'DELETE FROM SEC.OPERATIONS WHERE OPERATION_ID = :operationId',
         { operationId },
-        { autoCommit: true }
+        { autoCommit: false }
       );
 
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'OPERATION',
+          entityId: operationId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
       await connection.close();
       return result.rowsAffected > 0;
     } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
       await connection.close();
       throw error;
     }
@@ -1,14 +1,16 @@
 import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
 import { OperationController } from './controller.js';
 
 const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_OPERATIONS');
 
 // Routes
-router.get('/', OperationController.getAll);
-router.get('/:id', OperationController.getById);
-router.post('/', OperationController.create);
-router.put('/:id', OperationController.update);
-router.delete('/:id', OperationController.delete);
+router.get('/', canView, OperationController.getAll);
+router.get('/:id', canView, OperationController.getById);
+router.post('/', canManage, OperationController.create);
+router.put('/:id', canManage, OperationController.update);
+router.delete('/:id', canManage, OperationController.delete);
 
 export default router;
 
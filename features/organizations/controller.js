@@ -0,0 +1,340 @@
+import { OrganizationModel, ORG_TYPES } from './model.js';
+import { OrganizationView } from './view.js';
+import { createWriteErrorHandler } from '../../utils/controllerUtils.js';
+
+const handleWriteError = createWriteErrorHandler(OrganizationView, {
+  duplicateMessage: 'Organization code already exists',
+  messageStatuses: [[400, ['does not exist', 'cycle detected', 'No fields to update']]]
+});
+
+/**
+ * Parse an optional parent reference from the request body
+ * @param {*} value - Raw value (integer, null, or absent)
+ * @returns {number|null|undefined|NaN} - ID, null for a root, undefined when absent, NaN when invalid
+ */
+function parseParentOrgId(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return Number.isInteger(value) ? value : NaN;
+}
+
+/**
+ * Validate orgType and status of a create/update body
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateEnums({ orgType, status }) {
+  if (orgType && !ORG_TYPES.includes(orgType.toUpperCase())) {
+    return `orgType must be one of ${ORG_TYPES.join(', ')}`;
+  }
+
+  if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+    return 'status must be ACTIVE or INACTIVE';
+  }
+
+  return null;
+}
+
+/**
+ * Organization Controller - Handles HTTP requests for business units, legal entities, ledgers and inventory orgs
+ */
+export class OrganizationController {
+  /**
+   * Get all organizations with pagination and search
+   * @route GET /api/organizations?page=1&limit=10&orgType=&parentOrgId=|root&status=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const searchParams = {};
+      if (req.query.orgId !== undefined) {
+        searchParams.orgId = req.query.orgId;
+      }
+      if (req.query.orgCode) {
+        searchParams.orgCode = req.query.orgCode;
+      }
+      if (req.query.orgName) {
+        searchParams.orgName = req.query.orgName;
+      }
+
+      if (req.query.orgType) {
+        const orgTypeUpper = req.query.orgType.toUpperCase();
+        if (!ORG_TYPES.includes(orgTypeUpper)) {
+          return res.status(400).json(
+            OrganizationView.formatErrorResponse(`orgType must be one of ${ORG_TYPES.join(', ')}`, 400)
+          );
+        }
+        searchParams.orgType = orgTypeUpper;
+      }
+
+      // ?parentOrgId=root → top-level nodes only
+      if (req.query.parentOrgId !== undefined) {
+        if (req.query.parentOrgId === 'root') {
+          searchParams.parentOrgId = null;
+        } else {
+          const parentOrgId = parseInt(req.query.parentOrgId);
+          if (isNaN(parentOrgId)) {
+            return res.status(400).json(
+              OrganizationView.formatErrorResponse('Invalid parent organization ID', 400)
+            );
+          }
+          searchParams.parentOrgId = parentOrgId;
+        }
+      }
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (!['ACTIVE', 'INACTIVE'].includes(statusUpper)) {
+          return res.status(400).json(
+            OrganizationView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+          );
+        }
+        searchParams.status = statusUpper;
+      }
+
+      if (page < 1) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('Page number must be greater than 0', 400)
+        );
+      }
+
+      // Support: ?dropdown=true or ?all=true
+      if (req.query.all === 'true' || req.query.dropdown === 'true') {
+        const organizations = await OrganizationModel.getAllForDropdown(searchParams);
+        return res.json({
+          success: true,
+          data: OrganizationView.formatDropdownResponse(organizations)
+        });
+      }
+
+      if (limit < 1 || limit > 1000) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('Limit must be between 1 and 1000', 400)
+        );
+      }
+
+      const result = await OrganizationModel.getAll(page, limit, searchParams);
+      res.json(OrganizationView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        OrganizationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get the organization hierarchy as nested trees
+   * @route GET /api/organizations/tree?root=:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTree(req, res) {
+    try {
+      let rootId = null;
+      if (req.query.root !== undefined) {
+        rootId = parseInt(req.query.root);
+        if (isNaN(rootId)) {
+          return res.status(400).json(
+            OrganizationView.formatErrorResponse('Invalid root ID', 400)
+          );
+        }
+      }
+
+      const roots = await OrganizationModel.getTree(rootId);
+
+      if (!roots) {
+        return res.status(404).json(
+          OrganizationView.formatErrorResponse('Organization not found', 404)
+        );
+      }
+
+      res.json(OrganizationView.formatTreeResponse(roots));
+    } catch (error) {
+      res.status(500).json(
+        OrganizationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get organization by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const orgId = parseInt(req.params.id);
+
+      if (isNaN(orgId)) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('Invalid organization ID', 400)
+        );
+      }
+
+      const orgData = await OrganizationModel.getById(orgId);
+
+      if (!orgData) {
+        return res.status(404).json(
+          OrganizationView.formatErrorResponse('Organization not found', 404)
+        );
+      }
+
+      res.json(OrganizationView.formatSingleResponse(orgData));
+    } catch (error) {
+      res.status(500).json(
+        OrganizationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Create a new organization
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { orgCode, orgName, orgType, description, status } = req.body;
+      const parentOrgId = parseParentOrgId(req.body.parentOrgId);
+
+      if (!orgCode) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('orgCode is required', 400)
+        );
+      }
+
+      if (!orgName) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('orgName is required', 400)
+        );
+      }
+
+      if (!orgType) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('orgType is required', 400)
+        );
+      }
+
+      const enumError = validateEnums({ orgType, status });
+      if (enumError) {
+        return res.status(400).json(OrganizationView.formatErrorResponse(enumError, 400));
+      }
+
+      if (Number.isNaN(parentOrgId)) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('parentOrgId must be an integer or null', 400)
+        );
+      }
+
+      const orgData = await OrganizationModel.create({
+        orgCode,
+        orgName,
+        orgType: orgType.toUpperCase(),
+        parentOrgId: parentOrgId ?? null,
+        description,
+        status: status ? status.toUpperCase() : 'ACTIVE',
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(OrganizationView.formatSingleResponse(orgData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Update an organization (parentOrgId: null moves it to the top level)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const orgId = parseInt(req.params.id);
+
+      if (isNaN(orgId)) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('Invalid organization ID', 400)
+        );
+      }
+
+      const { orgCode, orgName, orgType, description, status } = req.body;
+      const parentOrgId = parseParentOrgId(req.body.parentOrgId);
+
+      const enumError = validateEnums({ orgType, status });
+      if (enumError) {
+        return res.status(400).json(OrganizationView.formatErrorResponse(enumError, 400));
+      }
+
+      if (Number.isNaN(parentOrgId)) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('parentOrgId must be an integer or null', 400)
+        );
+      }
+
+      const orgData = await OrganizationModel.update(orgId, {
+        orgCode,
+        orgName,
+        orgType: orgType ? orgType.toUpperCase() : undefined,
+        parentOrgId,
+        description,
+        status: status ? status.toUpperCase() : undefined,
+        updatedBy: req.user.username
+      });
+
+      if (!orgData) {
+        return res.status(404).json(
+          OrganizationView.formatErrorResponse('Organization not found', 404)
+        );
+      }
+
+      res.json(OrganizationView.formatSingleResponse(orgData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Delete an organization
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async delete(req, res) {
+    try {
+      const orgId = parseInt(req.params.id);
+
+      if (isNaN(orgId)) {
+        return res.status(400).json(
+          OrganizationView.formatErrorResponse('Invalid organization ID', 400)
+        );
+      }
+
+      const deleted = await OrganizationModel.delete(orgId, req.user.username);
+
+      if (!deleted) {
+        return res.status(404).json(
+          OrganizationView.formatErrorResponse('Organization not found', 404)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'Organization deleted successfully'
+      });
+    } catch (error) {
+      // Handle "cannot delete because it has children" error
+      if (error.message.includes('Cannot delete organization')) {
+        return res.status(409).json(
+          OrganizationView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      res.status(500).json(
+        OrganizationView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
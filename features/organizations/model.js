@@ -0,0 +1,523 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { buildAdjacencyMap, findInheritanceCycle } from '../../utils/graphUtils.js';
+import { ConflictError } from '../../utils/errors.js';
+
+/**
+ * Kinds of organization node (also the kinds of data scope, see DataRoleModel)
+ */
+export const ORG_TYPES = ['BUSINESS_UNIT', 'LEGAL_ENTITY', 'LEDGER', 'INVENTORY_ORG'];
+
+/**
+ * Organization Model - Database operations for SEC.ORGANIZATIONS table
+ *
+ * Important design:
+ *  - Business units, legal entities, ledgers and inventory orgs share one table, told
+ *    apart by ORG_TYPE
+ *  - PARENT_ORG_ID makes the nodes a tree (one parent per node, null for a root);
+ *    a parent may be of any type, e.g. a business unit under a legal entity
+ *  - A node cannot be deleted while it has children, so a subtree is removed bottom-up
+ *  - Data role scopes refer to a node by ORG_TYPE / ORG_CODE: while they do, the node
+ *    cannot be deleted and its code and type cannot change
+ */
+export class OrganizationModel {
+  /**
+   * Get all organizations with pagination and search
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {number} searchParams.orgId - Filter by ORG_ID
+   * @param {string} searchParams.orgCode - Search ORG_CODE (partial match)
+   * @param {string} searchParams.orgName - Search ORG_NAME (partial match)
+   * @param {string} searchParams.orgType - Filter by ORG_TYPE
+   * @param {number|null} searchParams.parentOrgId - Filter by PARENT_ORG_ID (null for roots only)
+   * @param {string} searchParams.status - Filter by STATUS
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    // Build WHERE clause and bind variables
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.orgId !== undefined && searchParams.orgId !== null) {
+      const orgId = parseInt(searchParams.orgId);
+      if (!isNaN(orgId)) {
+        conditions.push('O.ORG_ID = :orgId');
+        searchBinds.orgId = orgId;
+      }
+    }
+
+    if (searchParams.orgCode) {
+      conditions.push('UPPER(O.ORG_CODE) LIKE UPPER(:orgCode)');
+      searchBinds.orgCode = `%${searchParams.orgCode}%`;
+    }
+
+    if (searchParams.orgName) {
+      conditions.push('UPPER(O.ORG_NAME) LIKE UPPER(:orgName)');
+      searchBinds.orgName = `%${searchParams.orgName}%`;
+    }
+
+    if (searchParams.orgType) {
+      conditions.push('O.ORG_TYPE = :orgType');
+      searchBinds.orgType = searchParams.orgType.toUpperCase();
+    }
+
+    if (searchParams.parentOrgId === null) {
+      conditions.push('O.PARENT_ORG_ID IS NULL');
+    } else if (searchParams.parentOrgId !== undefined) {
+      conditions.push('O.PARENT_ORG_ID = :parentOrgId');
+      searchBinds.parentOrgId = searchParams.parentOrgId;
+    }
+
+    if (searchParams.status) {
+      conditions.push('UPPER(O.STATUS) = UPPER(:status)');
+      searchBinds.status = searchParams.status.toUpperCase();
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.ORGANIZATIONS O ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    // Activity counts - same filters but excluding status
+    const activityConditions = conditions.filter(c => !c.includes('STATUS'));
+    const activityBinds = { ...searchBinds };
+    delete activityBinds.status;
+
+    const activeWhereClause = `WHERE ${[...activityConditions, "UPPER(O.STATUS) = 'ACTIVE'"].join(' AND ')}`;
+    const inactiveWhereClause = `WHERE ${[...activityConditions, "UPPER(O.STATUS) = 'INACTIVE'"].join(' AND ')}`;
+
+    const activeCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_active FROM SEC.ORGANIZATIONS O ${activeWhereClause}`,
+      activityBinds
+    );
+    const inactiveCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_inactive FROM SEC.ORGANIZATIONS O ${inactiveWhereClause}`,
+      activityBinds
+    );
+
+    const dataResult = await executeQuery(
+      `SELECT O.*, P.ORG_CODE AS PARENT_ORG_CODE, P.ORG_NAME AS PARENT_ORG_NAME
+         FROM SEC.ORGANIZATIONS O
+         LEFT JOIN SEC.ORGANIZATIONS P ON O.PARENT_ORG_ID = P.ORG_ID
+         ${whereClause}
+        ORDER BY O.ORG_ID
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: dataResult.rows,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      activity: {
+        total_active_value: activeCountResult.rows[0].TOTAL_ACTIVE,
+        total_inactive_value: inactiveCountResult.rows[0].TOTAL_INACTIVE
+      }
+    };
+  }
+
+  /**
+   * Get all organizations without pagination (for dropdowns)
+   * @param {Object} searchParams - Optional search parameters
+   * @param {string} searchParams.orgType - Filter by ORG_TYPE
+   * @param {string} searchParams.status - Filter by STATUS (default: 'ACTIVE')
+   * @returns {Promise<Array>} - Array of organization objects
+   */
+  static async getAllForDropdown(searchParams = {}) {
+    const conditions = ['UPPER(STATUS) = UPPER(:status)'];
+    const searchBinds = { status: (searchParams.status || 'ACTIVE').toUpperCase() };
+
+    if (searchParams.orgType) {
+      conditions.push('ORG_TYPE = :orgType');
+      searchBinds.orgType = searchParams.orgType.toUpperCase();
+    }
+
+    const dataResult = await executeQuery(
+      `SELECT * FROM SEC.ORGANIZATIONS
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ORG_NAME`,
+      searchBinds
+    );
+
+    return dataResult.rows;
+  }
+
+  /**
+   * Get organization by ID, with its parent's code/name and its direct children
+   * @param {number} orgId - Organization ID
+   * @returns {Promise<Object|null>} - Organization object or null if not found
+   */
+  static async getById(orgId) {
+    const result = await executeQuery(
+      `SELECT O.*, P.ORG_CODE AS PARENT_ORG_CODE, P.ORG_NAME AS PARENT_ORG_NAME
+         FROM SEC.ORGANIZATIONS O
+         LEFT JOIN SEC.ORGANIZATIONS P ON O.PARENT_ORG_ID = P.ORG_ID
+        WHERE O.ORG_ID = :orgId`,
+      { orgId }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const children = await executeQuery(
+      `SELECT ORG_ID, ORG_CODE, ORG_NAME, ORG_TYPE, STATUS
+         FROM SEC.ORGANIZATIONS
+        WHERE PARENT_ORG_ID = :orgId
+        ORDER BY ORG_CODE`,
+      { orgId }
+    );
+
+    return {
+      ...result.rows[0],
+      CHILDREN: children.rows
+    };
+  }
+
+  /**
+   * Get the organization hierarchy as nested trees
+   * @param {number|null} rootId - Only the subtree under this node (null for every root)
+   * @returns {Promise<Array|null>} - Root nodes, each with nested CHILDREN; null if rootId is not found
+   */
+  static async getTree(rootId = null) {
+    const result = await executeQuery(
+      `SELECT ORG_ID, ORG_CODE, ORG_NAME, ORG_TYPE, PARENT_ORG_ID, STATUS
+         FROM SEC.ORGANIZATIONS
+        ORDER BY ORG_CODE`
+    );
+
+    const nodes = new Map(result.rows.map(row => [row.ORG_ID, { ...row, CHILDREN: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.PARENT_ORG_ID);
+      if (parent) {
+        parent.CHILDREN.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    if (rootId === null) {
+      return roots;
+    }
+
+    return nodes.has(rootId) ? [nodes.get(rootId)] : null;
+  }
+
+  /**
+   * Helper: check a new parent for a node (inside the caller's transaction)
+   * - the parent must exist and must not be the node itself or one of its descendants
+   * @param {Object} connection - Open connection
+   * @param {number|null} orgId - Node being changed (null when creating)
+   * @param {number} parentOrgId - Proposed parent
+   */
+  static async validateParent(connection, orgId, parentOrgId) {
+    const result = await connection.execute(
+      'SELECT ORG_ID, ORG_CODE, PARENT_ORG_ID FROM SEC.ORGANIZATIONS',
+      {},
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const codeById = new Map(result.rows.map(row => [row.ORG_ID, row.ORG_CODE]));
+    if (!codeById.has(parentOrgId)) {
+      throw new Error(`Parent organization ${parentOrgId} does not exist`);
+    }
+
+    if (orgId === null) return;
+
+    const parentsByOrg = buildAdjacencyMap(
+      result.rows.filter(row => row.PARENT_ORG_ID !== null),
+      'ORG_ID',
+      'PARENT_ORG_ID'
+    );
+    const cycle = findInheritanceCycle(parentsByOrg, orgId, [parentOrgId]);
+    if (cycle) {
+      throw new Error(
+        `Hierarchy cycle detected: ${cycle.map(id => codeById.get(id) || id).join(' -> ')}`
+      );
+    }
+  }
+
+  /**
+   * Create a new organization
+   * @param {Object} orgData - Organization data
+   * @param {string} orgData.orgCode - Organization code (unique across all types)
+   * @param {string} orgData.orgName - Organization name
+   * @param {string} orgData.orgType - BUSINESS_UNIT, LEGAL_ENTITY, LEDGER or INVENTORY_ORG
+   * @param {number|null} orgData.parentOrgId - Parent organization (null for a root)
+   * @param {string} orgData.description - Description
+   * @param {string} orgData.status - Status (default: 'ACTIVE')
+   * @param {string} orgData.createdBy - Created by user (default: 'SYSTEM')
+   * @returns {Promise<Object>} - Created organization object
+   */
+  static async create(orgData) {
+    const connection = await getConnection();
+    try {
+      const {
+        orgCode,
+        orgName,
+        orgType,
+        parentOrgId = null,
+        description,
+        status = 'ACTIVE',
+        createdBy = 'SYSTEM'
+      } = orgData;
+
+      if (!orgCode || !orgName || !orgType) {
+        throw new Error('orgCode, orgName and orgType are required');
+      }
+
+      if (parentOrgId !== null) {
+        await this.validateParent(connection, null, parentOrgId);
+      }
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.ORGANIZATIONS (
+          ORG_CODE,
+          ORG_NAME,
+          ORG_TYPE,
+          PARENT_ORG_ID,
+          DESCRIPTION,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :orgCode,
+          :orgName,
+          :orgType,
+          :parentOrgId,
+          :description,
+          :status,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING ORG_ID INTO :orgId`,
+        {
+          orgCode,
+          orgName,
+          orgType,
+          parentOrgId,
+          description: description || null,
+          status,
+          createdBy,
+          orgId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const orgId = result.outBinds.orgId[0];
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'ORGANIZATION',
+        entityId: orgId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(orgId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: refuse a change that would leave data role scopes pointing at nothing
+   * @param {Object} connection - Open connection
+   * @param {Object} org - Current organization row
+   * @param {string} verb - What is refused, for the message
+   * @throws {ConflictError} when data roles are scoped to the organization
+   */
+  static async assertNotScoped(connection, org, verb) {
+    const result = await connection.execute(
+      `SELECT DISTINCT DR.DATA_ROLE_CODE
+         FROM SEC.DATA_ROLE_SCOPES S
+         JOIN SEC.DATA_ROLES DR ON S.DATA_ROLE_ID = DR.DATA_ROLE_ID
+        WHERE S.SCOPE_TYPE = :orgType
+          AND S.SCOPE_VALUE = :orgCode
+        ORDER BY DR.DATA_ROLE_CODE`,
+      { orgType: org.ORG_TYPE, orgCode: org.ORG_CODE },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (result.rows.length > 0) {
+      throw new ConflictError(
+        `Cannot ${verb} organization ${org.ORG_CODE} because data role(s) are scoped to it: ${result.rows.map(row => row.DATA_ROLE_CODE).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Update an organization
+   * @param {number} orgId - Organization ID
+   * @param {Object} orgData - Organization data to update (same fields as create, plus updatedBy);
+   *                           parentOrgId null moves the node to the top level
+   * @returns {Promise<Object|null>} - Updated organization object or null if not found
+   */
+  static async update(orgId, orgData) {
+    const connection = await getConnection();
+    try {
+      const {
+        orgCode,
+        orgName,
+        orgType,
+        parentOrgId,
+        description,
+        status,
+        updatedBy = 'SYSTEM'
+      } = orgData;
+
+      const updates = [];
+      const binds = { orgId };
+
+      if (orgCode !== undefined) {
+        updates.push('ORG_CODE = :orgCode');
+        binds.orgCode = orgCode;
+      }
+
+      if (orgName !== undefined) {
+        updates.push('ORG_NAME = :orgName');
+        binds.orgName = orgName;
+      }
+
+      if (orgType !== undefined) {
+        updates.push('ORG_TYPE = :orgType');
+        binds.orgType = orgType;
+      }
+
+      if (parentOrgId !== undefined) {
+        updates.push('PARENT_ORG_ID = :parentOrgId');
+        binds.parentOrgId = parentOrgId;
+      }
+
+      if (description !== undefined) {
+        updates.push('DESCRIPTION = :description');
+        binds.description = description;
+      }
+
+      if (status !== undefined) {
+        updates.push('STATUS = :status');
+        binds.status = status;
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      const before = await AuditModel.snapshot(connection, 'ORGANIZATION', orgId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      if (parentOrgId !== undefined && parentOrgId !== null) {
+        await this.validateParent(connection, orgId, parentOrgId);
+      }
+
+      if ((orgCode !== undefined && orgCode !== before.ORG_CODE) ||
+          (orgType !== undefined && orgType !== before.ORG_TYPE)) {
+        await this.assertNotScoped(connection, before, 'change the code or type of');
+      }
+
+      updates.push('UPDATED_AT = SYSTIMESTAMP');
+      updates.push('UPDATED_BY = :updatedBy');
+      binds.updatedBy = updatedBy;
+
+      await connection.execute(
+        `UPDATE SEC.ORGANIZATIONS
+            SET ${updates.join(', ')}
+          WHERE ORG_ID = :orgId`,
+        binds,
+        { autoCommit: false }
+      );
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'ORGANIZATION',
+        entityId: orgId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(orgId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an organization (only a node without children)
+   * @param {number} orgId - Organization ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  static async delete(orgId, deletedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'ORGANIZATION', orgId);
+      if (!before) {
+        await connection.close();
+        return false;
+      }
+
+      const children = await connection.execute(
+        `SELECT ORG_CODE
+           FROM SEC.ORGANIZATIONS
+          WHERE PARENT_ORG_ID = :orgId
+          ORDER BY ORG_CODE`,
+        { orgId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      if (children.rows.length > 0) {
+        throw new Error(
+          `Cannot delete organization ${before.ORG_CODE} because it has child organization(s): ${children.rows.map(row => row.ORG_CODE).join(', ')}. Delete or move the children first.`
+        );
+      }
+
+      await this.assertNotScoped(connection, before, 'delete');
+
+      const result = await connection.execute(
+        'DELETE FROM SEC.ORGANIZATIONS WHERE ORG_ID = :orgId',
+        { orgId },
+        { autoCommit: false }
+      );
+
+      await AuditModel.record(connection, {
+        entityType: 'ORGANIZATION',
+        entityId: orgId,
+        action: 'DELETE',
+        actor: deletedBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+      return result.rowsAffected > 0;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,20 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { OrganizationController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_ORGANIZATIONS');
+
+// Routes
+router.get('/', canView, OrganizationController.getAll);
+router.post('/', canManage, OrganizationController.create);
+
+// Hierarchy (must come before /:id routes)
+router.get('/tree', canView, OrganizationController.getTree);
+
+// CRUD routes
+router.get('/:id', canView, OrganizationController.getById);
+router.put('/:id', canManage, OrganizationController.update);
+router.delete('/:id', canManage, OrganizationController.delete);
+
+export default router;
@@ -0,0 +1,96 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+
+/**
+ * Organization View - Response formatting for organizations API
+ */
+export class OrganizationView {
+  /**
+   * Format paginated response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const activeOrganizations = result.data.filter(item =>
+      item.STATUS === 'ACTIVE' || item.status === 'ACTIVE'
+    ).length;
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(result.data),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages),
+        activeOrganizations: activeOrganizations
+      },
+      activity: result.activity || {
+        total_active_value: 0,
+        total_inactive_value: 0
+      }
+    };
+  }
+
+  /**
+   * Format single organization response
+   * @param {Object} orgData - Organization object (with CHILDREN)
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(orgData) {
+    if (!orgData) {
+      return {
+        success: false,
+        message: 'Organization not found'
+      };
+    }
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(orgData)
+    };
+  }
+
+  /**
+   * Format dropdown response (array of organizations)
+   * @param {Array} organizations - Array of organization objects
+   * @returns {Array} - Formatted array with lowercase keys
+   */
+  static formatDropdownResponse(organizations) {
+    return toLowerCaseKeys(organizations);
+  }
+
+  /**
+   * Format organization tree response
+   * @param {Array} roots - Root nodes with nested CHILDREN
+   * @returns {Object} - Formatted response
+   */
+  static formatTreeResponse(roots) {
+    const countNodes = nodes => nodes.reduce((total, node) => total + 1 + countNodes(node.CHILDREN), 0);
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(roots),
+      summary: {
+        roots: roots.length,
+        nodes: countNodes(roots)
+      }
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
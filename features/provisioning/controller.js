@@ -0,0 +1,275 @@
+import { ProvisioningModel } from './model.js';
+import { ProvisioningView } from './view.js';
+import { parsePagination, createWriteErrorHandler } from '../../utils/controllerUtils.js';
+
+const RUN_MODES = ['dry-run', 'commit'];
+const MAX_RUN_USER_IDS = 1000;
+
+const handleWriteError = createWriteErrorHandler(ProvisioningView, {
+  duplicateMessage: 'Rule code already exists',
+  messageStatuses: [[400, ['condition', 'does not exist', 'No fields to update']]]
+});
+
+/**
+ * Provisioning Controller - Handles HTTP requests for provisioning rules and rule evaluation
+ */
+export class ProvisioningController {
+  /**
+   * Get all provisioning rules with pagination and search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(ProvisioningView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {};
+      if (req.query.ruleCode) {
+        searchParams.ruleCode = req.query.ruleCode;
+      }
+      if (req.query.ruleName) {
+        searchParams.ruleName = req.query.ruleName;
+      }
+      if (req.query.jobRoleId !== undefined) {
+        searchParams.jobRoleId = req.query.jobRoleId;
+      }
+      if (req.query.search) {
+        searchParams.search = req.query.search;
+      }
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (!['ACTIVE', 'INACTIVE'].includes(statusUpper)) {
+          return res.status(400).json(
+            ProvisioningView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+          );
+        }
+        searchParams.status = statusUpper;
+      }
+
+      const result = await ProvisioningModel.getAll(page, limit, searchParams);
+      res.json(ProvisioningView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        ProvisioningView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get provisioning rule by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const ruleId = parseInt(req.params.id);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('Invalid provisioning rule ID', 400)
+        );
+      }
+
+      const ruleData = await ProvisioningModel.getById(ruleId);
+
+      if (!ruleData) {
+        return res.status(404).json(
+          ProvisioningView.formatErrorResponse('Provisioning rule not found', 404)
+        );
+      }
+
+      res.json(ProvisioningView.formatSingleResponse(ruleData));
+    } catch (error) {
+      res.status(500).json(
+        ProvisioningView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Create a new provisioning rule
+   * @body { ruleCode, ruleName, description?, jobRoleId, conditions: [{ attributeName, attributeValue }], status? }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { ruleCode, ruleName, description, jobRoleId, conditions, status } = req.body;
+
+      if (!ruleCode) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('ruleCode is required', 400)
+        );
+      }
+
+      if (!ruleName) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('ruleName is required', 400)
+        );
+      }
+
+      if (!Number.isInteger(jobRoleId)) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('jobRoleId is required and must be an integer', 400)
+        );
+      }
+
+      if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+        );
+      }
+
+      const ruleData = await ProvisioningModel.create({
+        ruleCode,
+        ruleName,
+        description,
+        jobRoleId,
+        conditions,
+        status: status ? status.toUpperCase() : 'ACTIVE',
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(ProvisioningView.formatSingleResponse(ruleData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Update a provisioning rule (conditions, when given, replace the current conditions)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const ruleId = parseInt(req.params.id);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('Invalid provisioning rule ID', 400)
+        );
+      }
+
+      const { ruleCode, ruleName, description, jobRoleId, conditions, status } = req.body;
+
+      if (jobRoleId !== undefined && !Number.isInteger(jobRoleId)) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('jobRoleId must be an integer', 400)
+        );
+      }
+
+      if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+        );
+      }
+
+      const ruleData = await ProvisioningModel.update(ruleId, {
+        ruleCode,
+        ruleName,
+        description,
+        jobRoleId,
+        conditions,
+        status: status ? status.toUpperCase() : undefined,
+        updatedBy: req.user.username
+      });
+
+      if (!ruleData) {
+        return res.status(404).json(
+          ProvisioningView.formatErrorResponse('Provisioning rule not found', 404)
+        );
+      }
+
+      res.json(ProvisioningView.formatSingleResponse(ruleData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Delete a provisioning rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async delete(req, res) {
+    try {
+      const ruleId = parseInt(req.params.id);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse('Invalid provisioning rule ID', 400)
+        );
+      }
+
+      const deleted = await ProvisioningModel.delete(ruleId, req.user.username);
+
+      if (!deleted) {
+        return res.status(404).json(
+          ProvisioningView.formatErrorResponse('Provisioning rule not found', 404)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'Provisioning rule deleted successfully'
+      });
+    } catch (error) {
+      res.status(500).json(
+        ProvisioningView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Re-evaluate the provisioning rules for every user, or for the listed users
+   *
+   * ?mode=dry-run (default) only reports the grants and revocations;
+   * ?mode=commit applies them in one transaction.
+   * @route POST /api/provisioning/run?mode=dry-run|commit
+   * @body  { userIds?: number[] }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async run(req, res) {
+    try {
+      const mode = req.query.mode || 'dry-run';
+      if (!RUN_MODES.includes(mode)) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse(`mode must be one of: ${RUN_MODES.join(', ')}`, 400)
+        );
+      }
+
+      const { userIds } = req.body || {};
+      if (userIds !== undefined && (
+        !Array.isArray(userIds) ||
+        userIds.length === 0 ||
+        userIds.length > MAX_RUN_USER_IDS ||
+        !userIds.every(Number.isInteger)
+      )) {
+        return res.status(400).json(
+          ProvisioningView.formatErrorResponse(
+            `userIds must be a non-empty array of at most ${MAX_RUN_USER_IDS} integer user IDs`,
+            400
+          )
+        );
+      }
+
+      const result = await ProvisioningModel.run({
+        userIds: userIds ? [...new Set(userIds)] : null,
+        dryRun: mode === 'dry-run',
+        actor: req.user.username
+      });
+
+      res.json(ProvisioningView.formatRunResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        ProvisioningView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
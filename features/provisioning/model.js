@@ -0,0 +1,771 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+
+/**
+ * User attributes a provisioning rule can match on (columns of SEC.USERS)
+ */
+export const PROVISIONING_ATTRIBUTES = ['DEPARTMENT', 'LOCATION', 'JOB_CODE', 'GRADE'];
+
+/**
+ * Provisioning Model - Database operations for SEC.PROVISIONING_RULES and
+ * SEC.PROVISIONING_RULE_CONDITIONS tables, and rule evaluation against users
+ *
+ * Important design:
+ *  - A rule grants one job role to every ACTIVE user matching all of its conditions
+ *  - SEC.PROVISIONING_RULE_CONDITIONS = one row per ATTRIBUTE_NAME / ATTRIBUTE_VALUE;
+ *    values of the same attribute are alternatives (OR), different attributes must
+ *    all match (AND). Values compare case-insensitively. At least one condition per rule.
+ *  - Assignments made by a rule have ASSIGNMENT_SOURCE = 'RULE' in SEC.USER_JOB_ROLES.
+ *    Evaluation grants the job roles the rules call for that the user does not hold yet
+ *    (however they were assigned) and end-dates RULE assignments no active rule calls for.
+ *    MANUAL assignments are never revoked.
+ *  - SEC.PROVISIONING_EXCLUSIONS = job roles a certification revoked from a user. Rules
+ *    neither grant nor keep an excluded job role; assigning it explicitly (by hand or
+ *    through an access request) lifts the exclusion.
+ *  - Rules are evaluated when a user is created or updated (UserModel), and in bulk by run().
+ */
+export class ProvisioningModel {
+  /**
+   * Validate and normalize a condition list
+   * @param {Array<Object>} conditions - [{ attributeName, attributeValue }] (snake_case keys are accepted too)
+   * @returns {Array<{ATTRIBUTE_NAME:string, ATTRIBUTE_VALUE:string}>} - De-duplicated conditions, sorted
+   * @throws when the list is empty or a condition is invalid
+   */
+  static normalizeConditions(conditions) {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      throw new Error('A provisioning rule needs at least one condition');
+    }
+
+    const normalized = new Map();
+    for (const condition of conditions) {
+      const attributeName = String(condition?.attributeName ?? condition?.attribute_name ?? '').trim().toUpperCase();
+      const attributeValue = String(condition?.attributeValue ?? condition?.attribute_value ?? '').trim();
+
+      if (!PROVISIONING_ATTRIBUTES.includes(attributeName)) {
+        throw new Error(`Invalid condition attribute: ${attributeName || '(empty)'} (allowed: ${PROVISIONING_ATTRIBUTES.join(', ')})`);
+      }
+      if (!attributeValue) {
+        throw new Error(`Missing condition value for ${attributeName}`);
+      }
+
+      normalized.set(`${attributeName}\n${attributeValue.toUpperCase()}`, {
+        ATTRIBUTE_NAME: attributeName,
+        ATTRIBUTE_VALUE: attributeValue
+      });
+    }
+
+    return [...normalized.values()].sort((a, b) =>
+      a.ATTRIBUTE_NAME.localeCompare(b.ATTRIBUTE_NAME) || a.ATTRIBUTE_VALUE.localeCompare(b.ATTRIBUTE_VALUE)
+    );
+  }
+
+  /**
+   * Helper: attach CONDITIONS to rule rows
+   * @param {Function} execute - (sql, binds) => result, e.g. executeQuery or a connection's execute
+   * @param {Array<Object>} rows - SEC.PROVISIONING_RULES rows
+   * @returns {Promise<Array<Object>>} - Rows with CONDITIONS [{ ATTRIBUTE_NAME, ATTRIBUTE_VALUE }]
+   */
+  static async attachConditions(execute, rows) {
+    if (rows.length === 0) return rows;
+
+    const { placeholders, binds } = buildInClause(rows.map(row => row.RULE_ID));
+    const result = await execute(
+      `SELECT RULE_ID, ATTRIBUTE_NAME, ATTRIBUTE_VALUE
+         FROM SEC.PROVISIONING_RULE_CONDITIONS
+        WHERE RULE_ID IN (${placeholders})
+        ORDER BY ATTRIBUTE_NAME, ATTRIBUTE_VALUE`,
+      binds
+    );
+
+    return rows.map(row => ({
+      ...row,
+      CONDITIONS: result.rows
+        .filter(condition => condition.RULE_ID === row.RULE_ID)
+        .map(({ ATTRIBUTE_NAME, ATTRIBUTE_VALUE }) => ({ ATTRIBUTE_NAME, ATTRIBUTE_VALUE }))
+    }));
+  }
+
+  /**
+   * Get all provisioning rules with pagination and search
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {string} searchParams.ruleCode - Search RULE_CODE (partial match)
+   * @param {string} searchParams.ruleName - Search RULE_NAME (partial match)
+   * @param {number} searchParams.jobRoleId - Filter by JOB_ROLE_ID
+   * @param {string} searchParams.status - Filter by STATUS
+   * @param {string} searchParams.search - Search across code, name and description
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.ruleCode) {
+      conditions.push('UPPER(R.RULE_CODE) LIKE UPPER(:ruleCode)');
+      searchBinds.ruleCode = `%${searchParams.ruleCode}%`;
+    }
+
+    if (searchParams.ruleName) {
+      conditions.push('UPPER(R.RULE_NAME) LIKE UPPER(:ruleName)');
+      searchBinds.ruleName = `%${searchParams.ruleName}%`;
+    }
+
+    if (searchParams.jobRoleId !== undefined && searchParams.jobRoleId !== null) {
+      const jobRoleId = parseInt(searchParams.jobRoleId);
+      if (!isNaN(jobRoleId)) {
+        conditions.push('R.JOB_ROLE_ID = :jobRoleId');
+        searchBinds.jobRoleId = jobRoleId;
+      }
+    }
+
+    if (searchParams.status) {
+      conditions.push('UPPER(R.STATUS) = UPPER(:status)');
+      searchBinds.status = searchParams.status.toUpperCase();
+    }
+
+    if (searchParams.search) {
+      conditions.push(`(
+        UPPER(R.RULE_CODE) LIKE UPPER(:search)
+        OR UPPER(R.RULE_NAME) LIKE UPPER(:search)
+        OR UPPER(R.DESCRIPTION) LIKE UPPER(:search)
+      )`);
+      searchBinds.search = `%${searchParams.search}%`;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.PROVISIONING_RULES R ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    // Activity counts - same filters but excluding status
+    const activityConditions = conditions.filter(c => !c.includes('STATUS'));
+    const activityBinds = { ...searchBinds };
+    delete activityBinds.status;
+
+    const activeWhereClause = `WHERE ${[...activityConditions, "UPPER(R.STATUS) = 'ACTIVE'"].join(' AND ')}`;
+    const inactiveWhereClause = `WHERE ${[...activityConditions, "UPPER(R.STATUS) = 'INACTIVE'"].join(' AND ')}`;
+
+    const activeCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_active FROM SEC.PROVISIONING_RULES R ${activeWhereClause}`,
+      activityBinds
+    );
+    const inactiveCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_inactive FROM SEC.PROVISIONING_RULES R ${inactiveWhereClause}`,
+      activityBinds
+    );
+
+    const dataResult = await executeQuery(
+      `SELECT R.*, JR.JOB_ROLE_CODE, JR.JOB_ROLE_NAME
+         FROM SEC.PROVISIONING_RULES R
+         JOIN SEC.JOB_ROLES JR ON R.JOB_ROLE_ID = JR.JOB_ROLE_ID
+         ${whereClause}
+        ORDER BY R.RULE_ID
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: await this.attachConditions(executeQuery, dataResult.rows),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      activity: {
+        total_active_value: activeCountResult.rows[0].TOTAL_ACTIVE,
+        total_inactive_value: inactiveCountResult.rows[0].TOTAL_INACTIVE
+      }
+    };
+  }
+
+  /**
+   * Get provisioning rule by ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object|null>} - Rule with JOB_ROLE_CODE / JOB_ROLE_NAME and CONDITIONS, or null if not found
+   */
+  static async getById(ruleId) {
+    const result = await executeQuery(
+      `SELECT R.*, JR.JOB_ROLE_CODE, JR.JOB_ROLE_NAME
+         FROM SEC.PROVISIONING_RULES R
+         JOIN SEC.JOB_ROLES JR ON R.JOB_ROLE_ID = JR.JOB_ROLE_ID
+        WHERE R.RULE_ID = :ruleId`,
+      { ruleId }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [rule] = await this.attachConditions(executeQuery, result.rows);
+    return rule;
+  }
+
+  /**
+   * Helper: check that a job role exists (inside the caller's transaction)
+   */
+  static async validateJobRole(connection, jobRoleId) {
+    const result = await connection.execute(
+      'SELECT JOB_ROLE_ID FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID = :jobRoleId',
+      { jobRoleId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Job role ${jobRoleId} does not exist`);
+    }
+  }
+
+  /**
+   * Helper: add conditions to a rule (inside the caller's transaction)
+   */
+  static async insertConditions(connection, ruleId, conditions) {
+    await connection.executeMany(
+      `INSERT INTO SEC.PROVISIONING_RULE_CONDITIONS (
+        RULE_ID,
+        ATTRIBUTE_NAME,
+        ATTRIBUTE_VALUE
+      ) VALUES (
+        :ruleId,
+        :attributeName,
+        :attributeValue
+      )`,
+      conditions.map(condition => ({
+        ruleId,
+        attributeName: condition.ATTRIBUTE_NAME,
+        attributeValue: condition.ATTRIBUTE_VALUE
+      })),
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Create a new provisioning rule
+   * Existing users are not re-evaluated; use run() to apply the rule to them.
+   * @param {Object} ruleData - Rule data
+   * @param {string} ruleData.ruleCode - Rule code (unique)
+   * @param {string} ruleData.ruleName - Rule name
+   * @param {string} ruleData.description - Description
+   * @param {number} ruleData.jobRoleId - Job role the rule grants
+   * @param {Array<Object>} ruleData.conditions - [{ attributeName, attributeValue }], at least one
+   * @param {string} ruleData.status - Status (default: 'ACTIVE')
+   * @param {string} ruleData.createdBy - Created by user
+   * @returns {Promise<Object>} - Created rule object
+   */
+  static async create(ruleData) {
+    const connection = await getConnection();
+    try {
+      const {
+        ruleCode,
+        ruleName,
+        description,
+        jobRoleId,
+        conditions,
+        status = 'ACTIVE',
+        createdBy = 'SYSTEM'
+      } = ruleData;
+
+      if (!ruleCode || !ruleName) {
+        throw new Error('ruleCode and ruleName are required');
+      }
+
+      const normalized = this.normalizeConditions(conditions);
+      await this.validateJobRole(connection, jobRoleId);
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.PROVISIONING_RULES (
+          RULE_CODE,
+          RULE_NAME,
+          DESCRIPTION,
+          JOB_ROLE_ID,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :ruleCode,
+          :ruleName,
+          :description,
+          :jobRoleId,
+          :status,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING RULE_ID INTO :ruleId`,
+        {
+          ruleCode,
+          ruleName,
+          description: description || null,
+          jobRoleId,
+          status,
+          createdBy,
+          ruleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const ruleId = result.outBinds.ruleId[0];
+      await this.insertConditions(connection, ruleId, normalized);
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'PROVISIONING_RULE',
+        entityId: ruleId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(ruleId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a provisioning rule
+   * A conditions list replaces the current conditions. Existing users are not re-evaluated.
+   * @param {number} ruleId - Rule ID
+   * @param {Object} ruleData - Rule data to update (same fields as create, plus updatedBy)
+   * @returns {Promise<Object|null>} - Updated rule object or null if not found
+   */
+  static async update(ruleId, ruleData) {
+    const connection = await getConnection();
+    try {
+      const {
+        ruleCode,
+        ruleName,
+        description,
+        jobRoleId,
+        conditions,
+        status,
+        updatedBy = 'SYSTEM'
+      } = ruleData;
+
+      const updates = [];
+      const binds = { ruleId };
+
+      if (ruleCode !== undefined) {
+        updates.push('RULE_CODE = :ruleCode');
+        binds.ruleCode = ruleCode;
+      }
+
+      if (ruleName !== undefined) {
+        updates.push('RULE_NAME = :ruleName');
+        binds.ruleName = ruleName;
+      }
+
+      if (description !== undefined) {
+        updates.push('DESCRIPTION = :description');
+        binds.description = description;
+      }
+
+      if (jobRoleId !== undefined) {
+        await this.validateJobRole(connection, jobRoleId);
+        updates.push('JOB_ROLE_ID = :jobRoleId');
+        binds.jobRoleId = jobRoleId;
+      }
+
+      if (status !== undefined) {
+        updates.push('STATUS = :status');
+        binds.status = status;
+      }
+
+      const normalized = conditions !== undefined ? this.normalizeConditions(conditions) : null;
+
+      if (updates.length === 0 && !normalized) {
+        throw new Error('No fields to update');
+      }
+
+      const before = await AuditModel.snapshot(connection, 'PROVISIONING_RULE', ruleId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      updates.push('UPDATED_AT = SYSTIMESTAMP');
+      updates.push('UPDATED_BY = :updatedBy');
+      binds.updatedBy = updatedBy;
+
+      await connection.execute(
+        `UPDATE SEC.PROVISIONING_RULES
+            SET ${updates.join(', ')}
+          WHERE RULE_ID = :ruleId`,
+        binds,
+        { autoCommit: false }
+      );
+
+      if (normalized) {
+        await connection.execute(
+          'DELETE FROM SEC.PROVISIONING_RULE_CONDITIONS WHERE RULE_ID = :ruleId',
+          { ruleId },
+          { autoCommit: false }
+        );
+        await this.insertConditions(connection, ruleId, normalized);
+      }
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'PROVISIONING_RULE',
+        entityId: ruleId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(ruleId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a provisioning rule
+   * Assignments it made stay in place until the next evaluation revokes them.
+   * @param {number} ruleId - Rule ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  static async delete(ruleId, deletedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'PROVISIONING_RULE', ruleId);
+
+      const result = await connection.execute(
+        'DELETE FROM SEC.PROVISIONING_RULES WHERE RULE_ID = :ruleId',
+        { ruleId },
+        { autoCommit: false }
+      );
+
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'PROVISIONING_RULE',
+          entityId: ruleId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+      return result.rowsAffected > 0;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a user satisfies every condition of a rule
+   * @param {Object} rule - Rule with CONDITIONS
+   * @param {Object} user - SEC.USERS row
+   * @returns {boolean}
+   */
+  static matches(rule, user) {
+    const valuesByAttribute = new Map();
+    for (const condition of rule.CONDITIONS) {
+      if (!valuesByAttribute.has(condition.ATTRIBUTE_NAME)) {
+        valuesByAttribute.set(condition.ATTRIBUTE_NAME, new Set());
+      }
+      valuesByAttribute.get(condition.ATTRIBUTE_NAME).add(condition.ATTRIBUTE_VALUE.toUpperCase());
+    }
+
+    return valuesByAttribute.size > 0 && [...valuesByAttribute].every(([attribute, values]) => {
+      const userValue = user[attribute];
+      return userValue !== null && userValue !== undefined && values.has(String(userValue).trim().toUpperCase());
+    });
+  }
+
+  /**
+   * Work out the grants and revocations rule evaluation would make (read-only)
+   * @param {Object} connection - Open connection
+   * @param {Array<number>|null} userIds - Users to evaluate (null for every user)
+   * @returns {Promise<{users: Array<Object>, changes: Array<Object>}>} - Evaluated users and planned
+   *          changes: { USER_ID, USERNAME, ACTION: GRANT|REVOKE, JOB_ROLE_ID, JOB_ROLE_CODE, RULE_ID, RULE_CODE }
+   */
+  static async plan(connection, userIds = null) {
+    const execute = (sql, binds = {}) =>
+      connection.execute(sql, binds, { outFormat: oracledb.OUT_FORMAT_OBJECT });
+
+    const userFilter = userIds ? buildInClause(userIds, 'user') : null;
+
+    const users = await execute(
+      `SELECT USER_ID, USERNAME, STATUS, ${PROVISIONING_ATTRIBUTES.join(', ')}
+         FROM SEC.USERS
+        ${userFilter ? `WHERE USER_ID IN (${userFilter.placeholders})` : ''}
+        ORDER BY USER_ID`,
+      userFilter ? userFilter.binds : {}
+    );
+
+    const rules = await this.attachConditions(execute, (await execute(
+      `SELECT R.RULE_ID, R.RULE_CODE, R.JOB_ROLE_ID, R.STATUS, JR.JOB_ROLE_CODE
+         FROM SEC.PROVISIONING_RULES R
+         JOIN SEC.JOB_ROLES JR ON R.JOB_ROLE_ID = JR.JOB_ROLE_ID
+        ORDER BY R.RULE_CODE`
+    )).rows);
+    const activeRules = rules.filter(rule => rule.STATUS === 'ACTIVE');
+    const ruleCodeById = new Map(rules.map(rule => [rule.RULE_ID, rule.RULE_CODE]));
+
+    // current and future assignments: a job role held in any way is not granted again
+    const held = await execute(
+      `SELECT UJR.USER_ID, UJR.JOB_ROLE_ID, JR.JOB_ROLE_CODE, UJR.ASSIGNMENT_SOURCE, UJR.PROVISIONING_RULE_ID
+         FROM SEC.USER_JOB_ROLES UJR
+         JOIN SEC.JOB_ROLES JR ON UJR.JOB_ROLE_ID = JR.JOB_ROLE_ID
+        WHERE (UJR.END_DATE IS NULL OR UJR.END_DATE > SYSTIMESTAMP)
+          ${userFilter ? `AND UJR.USER_ID IN (${userFilter.placeholders})` : ''}
+        ORDER BY UJR.USER_JOB_ROLE_ID`,
+      userFilter ? userFilter.binds : {}
+    );
+
+    const exclusions = await execute(
+      `SELECT USER_ID, JOB_ROLE_ID
+         FROM SEC.PROVISIONING_EXCLUSIONS
+        ${userFilter ? `WHERE USER_ID IN (${userFilter.placeholders})` : ''}`,
+      userFilter ? userFilter.binds : {}
+    );
+
+    const excludedByUser = new Map();
+    for (const row of exclusions.rows) {
+      if (!excludedByUser.has(row.USER_ID)) excludedByUser.set(row.USER_ID, new Set());
+      excludedByUser.get(row.USER_ID).add(row.JOB_ROLE_ID);
+    }
+
+    const heldByUser = new Map();
+    for (const row of held.rows) {
+      if (!heldByUser.has(row.USER_ID)) heldByUser.set(row.USER_ID, []);
+      heldByUser.get(row.USER_ID).push(row);
+    }
+
+    const changes = [];
+    for (const user of users.rows) {
+      // inactive and locked users match no rule, so leavers lose their rule grants
+      const wanted = new Map();
+      const excluded = excludedByUser.get(user.USER_ID) || new Set();
+      if (user.STATUS === 'ACTIVE') {
+        for (const rule of activeRules) {
+          if (!wanted.has(rule.JOB_ROLE_ID) && !excluded.has(rule.JOB_ROLE_ID) && this.matches(rule, user)) {
+            wanted.set(rule.JOB_ROLE_ID, rule);
+          }
+        }
+      }
+
+      const assignments = heldByUser.get(user.USER_ID) || [];
+      const heldJobRoleIds = new Set(assignments.map(row => row.JOB_ROLE_ID));
+
+      for (const [jobRoleId, rule] of wanted) {
+        if (heldJobRoleIds.has(jobRoleId)) continue;
+        changes.push({
+          USER_ID: user.USER_ID,
+          USERNAME: user.USERNAME,
+          ACTION: 'GRANT',
+          JOB_ROLE_ID: jobRoleId,
+          JOB_ROLE_CODE: rule.JOB_ROLE_CODE,
+          RULE_ID: rule.RULE_ID,
+          RULE_CODE: rule.RULE_CODE
+        });
+      }
+
+      const revoked = new Set();
+      for (const row of assignments) {
+        if (row.ASSIGNMENT_SOURCE !== 'RULE' || wanted.has(row.JOB_ROLE_ID) || revoked.has(row.JOB_ROLE_ID)) continue;
+        revoked.add(row.JOB_ROLE_ID);
+        changes.push({
+          USER_ID: user.USER_ID,
+          USERNAME: user.USERNAME,
+          ACTION: 'REVOKE',
+          JOB_ROLE_ID: row.JOB_ROLE_ID,
+          JOB_ROLE_CODE: row.JOB_ROLE_CODE,
+          RULE_ID: row.PROVISIONING_RULE_ID,
+          RULE_CODE: ruleCodeById.get(row.PROVISIONING_RULE_ID) ?? null
+        });
+      }
+    }
+
+    return { users: users.rows, changes };
+  }
+
+  /**
+   * Keep rules from granting a job role to a user again (inside the caller's transaction)
+   * @param {Object} connection - Open connection
+   * @param {Object} exclusion - { userId, jobRoleId, certificationItemId, createdBy }
+   */
+  static async exclude(connection, { userId, jobRoleId, certificationItemId = null, createdBy = 'SYSTEM' }) {
+    await this.clearExclusion(connection, userId, jobRoleId);
+    await connection.execute(
+      `INSERT INTO SEC.PROVISIONING_EXCLUSIONS (
+        USER_ID,
+        JOB_ROLE_ID,
+        CERTIFICATION_ITEM_ID,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :userId,
+        :jobRoleId,
+        :certificationItemId,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      { userId, jobRoleId, certificationItemId, createdBy },
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Let rules grant a job role to a user again (inside the caller's transaction)
+   * @param {Object} connection - Open connection
+   * @param {number} userId - User ID
+   * @param {number} jobRoleId - Job role ID
+   */
+  static async clearExclusion(connection, userId, jobRoleId) {
+    await connection.execute(
+      `DELETE FROM SEC.PROVISIONING_EXCLUSIONS
+        WHERE USER_ID = :userId
+          AND JOB_ROLE_ID = :jobRoleId`,
+      { userId, jobRoleId },
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Apply planned changes inside the caller's transaction, one USER audit record
+   * (action PROVISION) per changed user
+   * @param {Object} connection - Open connection
+   * @param {Array<Object>} changes - Output of plan()
+   * @param {string} actor - Username making the change
+   */
+  static async apply(connection, changes, actor = 'SYSTEM') {
+    const changesByUser = new Map();
+    for (const change of changes) {
+      if (!changesByUser.has(change.USER_ID)) changesByUser.set(change.USER_ID, []);
+      changesByUser.get(change.USER_ID).push(change);
+    }
+
+    const now = new Date();
+    for (const [userId, userChanges] of changesByUser) {
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+
+      for (const change of userChanges) {
+        if (change.ACTION === 'GRANT') {
+          await connection.execute(
+            `INSERT INTO SEC.USER_JOB_ROLES (
+              USER_ID,
+              JOB_ROLE_ID,
+              START_DATE,
+              END_DATE,
+              ASSIGNMENT_SOURCE,
+              PROVISIONING_RULE_ID,
+              CREATED_BY,
+              CREATED_AT
+            ) VALUES (
+              :userId,
+              :jobRoleId,
+              :startDate,
+              NULL,
+              'RULE',
+              :ruleId,
+              :createdBy,
+              SYSTIMESTAMP
+            )`,
+            { userId, jobRoleId: change.JOB_ROLE_ID, startDate: now, ruleId: change.RULE_ID, createdBy: actor },
+            { autoCommit: false }
+          );
+          continue;
+        }
+
+        // same as UserModel.unassignJobRole, limited to what the rules granted
+        const binds = { userId, jobRoleId: change.JOB_ROLE_ID, endDate: now };
+        await connection.execute(
+          `DELETE FROM SEC.USER_JOB_ROLES
+            WHERE USER_ID = :userId
+              AND JOB_ROLE_ID = :jobRoleId
+              AND ASSIGNMENT_SOURCE = 'RULE'
+              AND START_DATE >= :endDate`,
+          binds,
+          { autoCommit: false }
+        );
+        await connection.execute(
+          `UPDATE SEC.USER_JOB_ROLES
+              SET END_DATE   = :endDate,
+                  UPDATED_AT = SYSTIMESTAMP,
+                  UPDATED_BY = :updatedBy
+            WHERE USER_ID = :userId
+              AND JOB_ROLE_ID = :jobRoleId
+              AND ASSIGNMENT_SOURCE = 'RULE'
+              AND (END_DATE IS NULL OR END_DATE > :endDate)`,
+          { ...binds, updatedBy: actor },
+          { autoCommit: false }
+        );
+      }
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'USER',
+        entityId: userId,
+        action: 'PROVISION',
+        actor,
+        before
+      });
+    }
+  }
+
+  /**
+   * Evaluate the rules for one user inside the caller's transaction
+   * (used by UserModel when a user is created or updated)
+   * @param {Object} connection - Open connection
+   * @param {number} userId - User ID
+   * @param {string} actor - Username making the change
+   * @returns {Promise<Array<Object>>} - Changes made
+   */
+  static async provisionUser(connection, userId, actor = 'SYSTEM') {
+    const { changes } = await this.plan(connection, [userId]);
+    await this.apply(connection, changes, actor);
+    return changes;
+  }
+
+  /**
+   * Re-evaluate the rules in bulk
+   * @param {Object} options
+   * @param {Array<number>|null} options.userIds - Users to evaluate (null for every user)
+   * @param {boolean} options.dryRun - Only report the changes
+   * @param {string} options.actor - Username making the change
+   * @returns {Promise<Object>} - { DRY_RUN, COMMITTED, USERS_EVALUATED, CHANGES }
+   */
+  static async run({ userIds = null, dryRun = true, actor = 'SYSTEM' } = {}) {
+    const connection = await getConnection();
+    try {
+      const { users, changes } = await this.plan(connection, userIds);
+
+      if (!dryRun) {
+        await this.apply(connection, changes, actor);
+        await connection.commit();
+      }
+      await connection.close();
+
+      return {
+        DRY_RUN: dryRun,
+        COMMITTED: !dryRun,
+        USERS_EVALUATED: users.length,
+        CHANGES: changes
+      };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+}
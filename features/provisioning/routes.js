@@ -0,0 +1,18 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { ProvisioningController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_PROVISIONING');
+
+// Provisioning rules
+router.get('/rules', canView, ProvisioningController.getAll);
+router.get('/rules/:id', canView, ProvisioningController.getById);
+router.post('/rules', canManage, ProvisioningController.create);
+router.put('/rules/:id', canManage, ProvisioningController.update);
+router.delete('/rules/:id', canManage, ProvisioningController.delete);
+
+// Bulk re-evaluation (preview with ?mode=dry-run)
+router.post('/run', canManage, ProvisioningController.run);
+
+export default router;
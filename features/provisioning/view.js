@@ -0,0 +1,89 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+
+/**
+ * Provisioning View - Response formatting for provisioning rules API
+ */
+export class ProvisioningView {
+  /**
+   * Format paginated rules response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const activeRules = result.data.filter(item =>
+      item.STATUS === 'ACTIVE' || item.status === 'ACTIVE'
+    ).length;
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(result.data),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages),
+        activeRules: activeRules
+      },
+      activity: result.activity || {
+        total_active_value: 0,
+        total_inactive_value: 0
+      }
+    };
+  }
+
+  /**
+   * Format single rule response
+   * @param {Object} ruleData - Rule object (with CONDITIONS)
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(ruleData) {
+    if (!ruleData) {
+      return {
+        success: false,
+        message: 'Provisioning rule not found'
+      };
+    }
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(ruleData)
+    };
+  }
+
+  /**
+   * Format a rule evaluation run
+   * @param {Object} result - { DRY_RUN, COMMITTED, USERS_EVALUATED, CHANGES } from the model
+   * @returns {Object} - Formatted response with one entry per grant or revocation
+   */
+  static formatRunResponse(result) {
+    return {
+      success: true,
+      mode: result.DRY_RUN ? 'dry-run' : 'commit',
+      committed: result.COMMITTED,
+      data: toLowerCaseKeys(result.CHANGES),
+      summary: {
+        users_evaluated: result.USERS_EVALUATED,
+        users_changed: new Set(result.CHANGES.map(change => change.USER_ID)).size,
+        grants: result.CHANGES.filter(change => change.ACTION === 'GRANT').length,
+        revocations: result.CHANGES.filter(change => change.ACTION === 'REVOKE').length
+      }
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,353 @@
+import { SodRuleModel } from './model.js';
+import { SodView } from './view.js';
+import { JobRoleModel } from '../job-roles/model.js';
+import { parsePagination, createWriteErrorHandler } from '../../utils/controllerUtils.js';
+
+const SOD_SEVERITIES = ['BLOCK', 'WARN'];
+const SOD_ENTITY_TYPES = ['DUTY_ROLE', 'JOB_ROLE'];
+
+const handleWriteError = createWriteErrorHandler(SodView, {
+  duplicateMessage: 'Rule code already exists',
+  messageStatuses: [[400, ['must each contain', 'both sides', 'do not exist', 'No fields to update']]]
+});
+
+/**
+ * SoD Controller - Handles HTTP requests for segregation-of-duties rules
+ */
+export class SodController {
+  /**
+   * Get all SoD rules with pagination and search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(SodView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {};
+      if (req.query.ruleCode) {
+        searchParams.ruleCode = req.query.ruleCode;
+      }
+      if (req.query.ruleName) {
+        searchParams.ruleName = req.query.ruleName;
+      }
+      if (req.query.moduleId !== undefined) {
+        searchParams.moduleId = req.query.moduleId;
+      }
+      if (req.query.search) {
+        searchParams.search = req.query.search;
+      }
+
+      if (req.query.severity) {
+        const severityUpper = req.query.severity.toUpperCase();
+        if (!SOD_SEVERITIES.includes(severityUpper)) {
+          return res.status(400).json(
+            SodView.formatErrorResponse('severity must be BLOCK or WARN', 400)
+          );
+        }
+        searchParams.severity = severityUpper;
+      }
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (!['ACTIVE', 'INACTIVE'].includes(statusUpper)) {
+          return res.status(400).json(
+            SodView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+          );
+        }
+        searchParams.status = statusUpper;
+      }
+
+      const result = await SodRuleModel.getAll(page, limit, searchParams);
+      res.json(SodView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        SodView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get SoD rule by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const ruleId = parseInt(req.params.id);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('Invalid SoD rule ID', 400)
+        );
+      }
+
+      const ruleData = await SodRuleModel.getById(ruleId);
+
+      if (!ruleData) {
+        return res.status(404).json(
+          SodView.formatErrorResponse('SoD rule not found', 404)
+        );
+      }
+
+      res.json(SodView.formatSingleResponse(ruleData));
+    } catch (error) {
+      res.status(500).json(
+        SodView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Create a new SoD rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { ruleCode, ruleName, description, moduleId, sideAPrivileges, sideBPrivileges, severity, status } = req.body;
+
+      if (!ruleCode) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('ruleCode is required', 400)
+        );
+      }
+
+      if (!ruleName) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('ruleName is required', 400)
+        );
+      }
+
+      if (!Array.isArray(sideAPrivileges) || !Array.isArray(sideBPrivileges)) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('sideAPrivileges and sideBPrivileges must be arrays of privilege IDs', 400)
+        );
+      }
+
+      if (severity && !SOD_SEVERITIES.includes(severity.toUpperCase())) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('severity must be BLOCK or WARN', 400)
+        );
+      }
+
+      if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+        );
+      }
+
+      const ruleData = await SodRuleModel.create({
+        ruleCode,
+        ruleName,
+        description,
+        moduleId,
+        sideAPrivileges,
+        sideBPrivileges,
+        severity: severity ? severity.toUpperCase() : 'BLOCK',
+        status: status ? status.toUpperCase() : 'ACTIVE',
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(SodView.formatSingleResponse(ruleData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Update a SoD rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const ruleId = parseInt(req.params.id);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('Invalid SoD rule ID', 400)
+        );
+      }
+
+      const { ruleCode, ruleName, description, moduleId, sideAPrivileges, sideBPrivileges, severity, status } = req.body;
+
+      if (
+        (sideAPrivileges !== undefined && !Array.isArray(sideAPrivileges)) ||
+        (sideBPrivileges !== undefined && !Array.isArray(sideBPrivileges))
+      ) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('sideAPrivileges and sideBPrivileges must be arrays of privilege IDs', 400)
+        );
+      }
+
+      if (severity && !SOD_SEVERITIES.includes(severity.toUpperCase())) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('severity must be BLOCK or WARN', 400)
+        );
+      }
+
+      if (status && !['ACTIVE', 'INACTIVE'].includes(status.toUpperCase())) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('status must be ACTIVE or INACTIVE', 400)
+        );
+      }
+
+      const ruleData = await SodRuleModel.update(ruleId, {
+        ruleCode,
+        ruleName,
+        description,
+        moduleId,
+        sideAPrivileges,
+        sideBPrivileges,
+        severity: severity ? severity.toUpperCase() : undefined,
+        status: status ? status.toUpperCase() : undefined,
+        updatedBy: req.user.username
+      });
+
+      if (!ruleData) {
+        return res.status(404).json(
+          SodView.formatErrorResponse('SoD rule not found', 404)
+        );
+      }
+
+      res.json(SodView.formatSingleResponse(ruleData));
+    } catch (error) {
+      handleWriteError(res, error);
+    }
+  }
+
+  /**
+   * Delete a SoD rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async delete(req, res) {
+    try {
+      const ruleId = parseInt(req.params.id);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('Invalid SoD rule ID', 400)
+        );
+      }
+
+      const deleted = await SodRuleModel.delete(ruleId, req.user.username);
+
+      if (!deleted) {
+        return res.status(404).json(
+          SodView.formatErrorResponse('SoD rule not found', 404)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'SoD rule deleted successfully'
+      });
+    } catch (error) {
+      res.status(500).json(
+        SodView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Scan every job role for SoD violations
+   * @route GET /api/sod/violations?moduleId=&format=json|csv
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getViolations(req, res) {
+    try {
+      const filters = {};
+
+      if (req.query.moduleId !== undefined) {
+        const moduleId = parseInt(req.query.moduleId);
+        if (isNaN(moduleId)) {
+          return res.status(400).json(
+            SodView.formatErrorResponse('Invalid module ID', 400)
+          );
+        }
+        filters.moduleId = moduleId;
+      }
+
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json(
+          SodView.formatErrorResponse('format must be json or csv', 400)
+        );
+      }
+
+      const violations = await JobRoleModel.scanSodViolations(filters);
+
+      if (format === 'csv') {
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="sod-violations-${date}.csv"`);
+        return res.send(SodView.formatViolationsCsv(violations));
+      }
+
+      res.json(SodView.formatViolationsResponse(violations, filters));
+    } catch (error) {
+      res.status(500).json(
+        SodView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get recorded SoD warnings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getWarnings(req, res) {
+    try {
+      const { page, limit, error } = parsePagination(req.query);
+      if (error) {
+        return res.status(400).json(SodView.formatErrorResponse(error, 400));
+      }
+
+      const searchParams = {};
+
+      if (req.query.ruleId !== undefined) {
+        const ruleId = parseInt(req.query.ruleId);
+        if (isNaN(ruleId)) {
+          return res.status(400).json(
+            SodView.formatErrorResponse('Invalid SoD rule ID', 400)
+          );
+        }
+        searchParams.ruleId = ruleId;
+      }
+
+      if (req.query.entityType) {
+        const entityTypeUpper = req.query.entityType.toUpperCase();
+        if (!SOD_ENTITY_TYPES.includes(entityTypeUpper)) {
+          return res.status(400).json(
+            SodView.formatErrorResponse('entityType must be DUTY_ROLE or JOB_ROLE', 400)
+          );
+        }
+        searchParams.entityType = entityTypeUpper;
+      }
+
+      if (req.query.entityId !== undefined) {
+        const entityId = parseInt(req.query.entityId);
+        if (isNaN(entityId)) {
+          return res.status(400).json(
+            SodView.formatErrorResponse('Invalid entity ID', 400)
+          );
+        }
+        searchParams.entityId = entityId;
+      }
+
+      const result = await SodRuleModel.getWarnings(page, limit, searchParams);
+      res.json(SodView.formatWarningsResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        SodView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
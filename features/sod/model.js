@@ -0,0 +1,886 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { AuditModel } from '../audit/model.js';
+import { parseIdList } from '../../utils/stringUtils.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+
+/**
+ * SoD Rule Model - Database operations for segregation-of-duties rules
+ *
+ * Important design:
+ *  - SEC.SOD_RULE_PRIVILEGES = SOD_RULE_ID, SIDE ('A' / 'B'), PRIVILEGE_ID;
+ *    loaded onto rule rows as the ID arrays SIDE_A_PRIVILEGES / SIDE_B_PRIVILEGES
+ *  - A role violates a rule when its EFFECTIVE privileges contain at least one
+ *    privilege from side A AND at least one privilege from side B.
+ *    A pair rule is simply one privilege on each side.
+ *  - SEVERITY = BLOCK (the change is rejected) or WARN (the change is saved and
+ *    a row is written to SEC.SOD_WARNINGS)
+ *  - SEC.SOD_WARNINGS = SOD_RULE_ID, ENTITY_TYPE (DUTY_ROLE / JOB_ROLE), ENTITY_ID,
+ *    MATCHED_PRIVILEGES (JSON array of IDs), CREATED_BY, CREATED_AT
+ *  - Only ACTIVE rules are evaluated.
+ *  - A role change is checked on the changed role AND on every role it reaches
+ *    through inheritance (child duty roles, job roles holding them, child job
+ *    roles), so a BLOCK rule cannot be bypassed through a dependent role.
+ */
+export class SodRuleModel {
+  /**
+   * Helper: encode array of IDs into JSON string, or null
+   */
+  static encodeIdArray(ids) {
+    const clean = parseIdList(ids);
+    return clean.length ? JSON.stringify(clean) : null;
+  }
+
+  /**
+   * Helper: fetch function privileges by IDs (minimal fields, for rule display)
+   * @param {number[]} idList
+   * @returns {Promise<Array<{privilege_id:number, privilege_code:string, privilege_name:string}>>}
+   */
+  static async fetchPrivilegesByIds(idList) {
+    const uniqueIds = [...new Set(idList || [])].filter(id => !isNaN(id));
+    if (uniqueIds.length === 0) return [];
+
+    const { placeholders, binds } = buildInClause(uniqueIds);
+
+    const result = await executeQuery(
+      `SELECT PRIVILEGE_ID, PRIVILEGE_CODE, PRIVILEGE_NAME
+         FROM SEC.FUNCTION_PRIVILEGES
+        WHERE PRIVILEGE_ID IN (${placeholders})
+        ORDER BY PRIVILEGE_ID`,
+      binds
+    );
+
+    return result.rows.map(row => ({
+      privilege_id: row.PRIVILEGE_ID,
+      privilege_code: row.PRIVILEGE_CODE,
+      privilege_name: row.PRIVILEGE_NAME
+    }));
+  }
+
+  /**
+   * Helper: load the sides of a page of rule rows (one query for the whole
+   * page) and attach them as ID arrays: SIDE_A_PRIVILEGES, SIDE_B_PRIVILEGES.
+   */
+  static async attachSides(rows) {
+    if (!rows || rows.length === 0) return [];
+
+    const { placeholders, binds } = buildInClause(rows.map(row => row.SOD_RULE_ID));
+
+    const links = await executeQuery(
+      `SELECT SOD_RULE_ID, SIDE, PRIVILEGE_ID
+         FROM SEC.SOD_RULE_PRIVILEGES
+        WHERE SOD_RULE_ID IN (${placeholders})
+        ORDER BY SOD_RULE_ID, PRIVILEGE_ID`,
+      binds
+    );
+
+    const sides = { A: new Map(), B: new Map() };
+    for (const link of links.rows) {
+      const bySide = sides[link.SIDE];
+      if (!bySide.has(link.SOD_RULE_ID)) bySide.set(link.SOD_RULE_ID, []);
+      bySide.get(link.SOD_RULE_ID).push(link.PRIVILEGE_ID);
+    }
+
+    return rows.map(row => ({
+      ...row,
+      SIDE_A_PRIVILEGES: sides.A.get(row.SOD_RULE_ID) || [],
+      SIDE_B_PRIVILEGES: sides.B.get(row.SOD_RULE_ID) || []
+    }));
+  }
+
+  /**
+   * Helper: replace the sides of a rule (inside the caller's transaction)
+   */
+  static async replaceSides(connection, ruleId, sideAIds, sideBIds, createdBy) {
+    await connection.execute(
+      'DELETE FROM SEC.SOD_RULE_PRIVILEGES WHERE SOD_RULE_ID = :ruleId',
+      { ruleId },
+      { autoCommit: false }
+    );
+
+    await connection.executeMany(
+      `INSERT INTO SEC.SOD_RULE_PRIVILEGES (
+        SOD_RULE_ID,
+        SIDE,
+        PRIVILEGE_ID,
+        CREATED_BY,
+        CREATED_AT
+      ) VALUES (
+        :ruleId,
+        :side,
+        :privilegeId,
+        :createdBy,
+        SYSTIMESTAMP
+      )`,
+      [
+        ...sideAIds.map(privilegeId => ({ ruleId, side: 'A', privilegeId, createdBy })),
+        ...sideBIds.map(privilegeId => ({ ruleId, side: 'B', privilegeId, createdBy }))
+      ],
+      { autoCommit: false }
+    );
+  }
+
+  /**
+   * Helper: normalise and validate the two sides of a rule
+   * @param {Array} sideA - Privilege IDs on side A
+   * @param {Array} sideB - Privilege IDs on side B
+   * @returns {Promise<{sideAIds:number[], sideBIds:number[]}>}
+   */
+  static async validateSides(sideA, sideB) {
+    const sideAIds = parseIdList(sideA);
+    const sideBIds = parseIdList(sideB);
+
+    if (sideAIds.length === 0 || sideBIds.length === 0) {
+      throw new Error('sideAPrivileges and sideBPrivileges must each contain at least one privilege ID');
+    }
+
+    const overlap = sideAIds.filter(id => sideBIds.includes(id));
+    if (overlap.length > 0) {
+      throw new Error(`Privilege(s) ${overlap.join(', ')} cannot be on both sides of a rule`);
+    }
+
+    const found = await this.fetchPrivilegesByIds([...sideAIds, ...sideBIds]);
+    const foundIds = found.map(p => p.privilege_id);
+    const missing = [...new Set([...sideAIds, ...sideBIds])].filter(id => !foundIds.includes(id));
+    if (missing.length > 0) {
+      throw new Error(`Function privilege(s) ${missing.join(', ')} do not exist`);
+    }
+
+    return { sideAIds, sideBIds };
+  }
+
+  /**
+   * Get all SoD rules with pagination and search
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {string} searchParams.ruleCode - Search RULE_CODE (partial match)
+   * @param {string} searchParams.ruleName - Search RULE_NAME (partial match)
+   * @param {number} searchParams.moduleId - Filter by MODULE_ID
+   * @param {string} searchParams.severity - Filter by SEVERITY
+   * @param {string} searchParams.status - Filter by STATUS
+   * @param {string} searchParams.search - Search across code, name and description
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.ruleCode) {
+      conditions.push('UPPER(R.RULE_CODE) LIKE UPPER(:ruleCode)');
+      searchBinds.ruleCode = `%${searchParams.ruleCode}%`;
+    }
+
+    if (searchParams.ruleName) {
+      conditions.push('UPPER(R.RULE_NAME) LIKE UPPER(:ruleName)');
+      searchBinds.ruleName = `%${searchParams.ruleName}%`;
+    }
+
+    if (searchParams.moduleId !== undefined && searchParams.moduleId !== null) {
+      const moduleId = parseInt(searchParams.moduleId);
+      if (!isNaN(moduleId)) {
+        conditions.push('R.MODULE_ID = :moduleId');
+        searchBinds.moduleId = moduleId;
+      }
+    }
+
+    if (searchParams.severity) {
+      conditions.push('R.SEVERITY = :severity');
+      searchBinds.severity = searchParams.severity.toUpperCase();
+    }
+
+    if (searchParams.status) {
+      conditions.push('UPPER(R.STATUS) = UPPER(:status)');
+      searchBinds.status = searchParams.status.toUpperCase();
+    }
+
+    if (searchParams.search) {
+      conditions.push(`(
+        UPPER(R.RULE_CODE) LIKE UPPER(:search)
+        OR UPPER(R.RULE_NAME) LIKE UPPER(:search)
+        OR UPPER(R.DESCRIPTION) LIKE UPPER(:search)
+      )`);
+      searchBinds.search = `%${searchParams.search}%`;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.SOD_RULES R ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    // Activity counts - same filters but excluding status
+    const activityConditions = conditions.filter(c => !c.includes('STATUS'));
+    const activityBinds = { ...searchBinds };
+    delete activityBinds.status;
+
+    const activeWhereClause = `WHERE ${[...activityConditions, "UPPER(R.STATUS) = 'ACTIVE'"].join(' AND ')}`;
+    const inactiveWhereClause = `WHERE ${[...activityConditions, "UPPER(R.STATUS) = 'INACTIVE'"].join(' AND ')}`;
+
+    const activeCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_active FROM SEC.SOD_RULES R ${activeWhereClause}`,
+      activityBinds
+    );
+    const inactiveCountResult = await executeQuery(
+      `SELECT COUNT(*) as total_inactive FROM SEC.SOD_RULES R ${inactiveWhereClause}`,
+      activityBinds
+    );
+
+    const dataResult = await executeQuery(
+      `SELECT R.*, M.MODULE_NAME
+         FROM SEC.SOD_RULES R
+         LEFT JOIN SEC.MODULES M ON R.MODULE_ID = M.MODULE_ID
+         ${whereClause}
+        ORDER BY R.SOD_RULE_ID
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    const data = [];
+    for (const row of await this.attachSides(dataResult.rows)) {
+      data.push(await this.decodeRule(row));
+    }
+
+    return {
+      data,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      activity: {
+        total_active_value: activeCountResult.rows[0].TOTAL_ACTIVE,
+        total_inactive_value: inactiveCountResult.rows[0].TOTAL_INACTIVE
+      }
+    };
+  }
+
+  /**
+   * Attach decoded privilege objects for both sides of a rule row
+   * @param {Object} row - SEC.SOD_RULES row with its sides (see attachSides)
+   * @returns {Promise<Object>} - Row with SIDE_A_PRIVILEGES_DECODED / SIDE_B_PRIVILEGES_DECODED
+   */
+  static async decodeRule(row) {
+    return {
+      ...row,
+      SIDE_A_PRIVILEGES_DECODED: await this.fetchPrivilegesByIds(row.SIDE_A_PRIVILEGES),
+      SIDE_B_PRIVILEGES_DECODED: await this.fetchPrivilegesByIds(row.SIDE_B_PRIVILEGES)
+    };
+  }
+
+  /**
+   * Get SoD rule by ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object|null>} - Rule object or null if not found
+   */
+  static async getById(ruleId) {
+    const result = await executeQuery(
+      `SELECT R.*, M.MODULE_NAME
+         FROM SEC.SOD_RULES R
+         LEFT JOIN SEC.MODULES M ON R.MODULE_ID = M.MODULE_ID
+        WHERE R.SOD_RULE_ID = :ruleId`,
+      { ruleId }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [rule] = await this.attachSides(result.rows);
+    return await this.decodeRule(rule);
+  }
+
+  /**
+   * Create a new SoD rule
+   * @param {Object} ruleData - Rule data
+   * @param {string} ruleData.ruleCode - Rule code (unique)
+   * @param {string} ruleData.ruleName - Rule name
+   * @param {string} ruleData.description - Description
+   * @param {number} ruleData.moduleId - Owning module (optional)
+   * @param {Array<number>} ruleData.sideAPrivileges - Privilege IDs on side A
+   * @param {Array<number>} ruleData.sideBPrivileges - Privilege IDs on side B
+   * @param {string} ruleData.severity - BLOCK or WARN (default: 'BLOCK')
+   * @param {string} ruleData.status - Status (default: 'ACTIVE')
+   * @param {string} ruleData.createdBy - Created by user
+   * @returns {Promise<Object>} - Created rule object
+   */
+  static async create(ruleData) {
+    const connection = await getConnection();
+    try {
+      const {
+        ruleCode,
+        ruleName,
+        description,
+        moduleId,
+        sideAPrivileges,
+        sideBPrivileges,
+        severity = 'BLOCK',
+        status = 'ACTIVE',
+        createdBy = 'SYSTEM'
+      } = ruleData;
+
+      if (!ruleCode || !ruleName) {
+        throw new Error('ruleCode and ruleName are required');
+      }
+
+      const { sideAIds, sideBIds } = await this.validateSides(sideAPrivileges, sideBPrivileges);
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.SOD_RULES (
+          RULE_CODE,
+          RULE_NAME,
+          DESCRIPTION,
+          MODULE_ID,
+          SEVERITY,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :ruleCode,
+          :ruleName,
+          :description,
+          :moduleId,
+          :severity,
+          :status,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING SOD_RULE_ID INTO :ruleId`,
+        {
+          ruleCode,
+          ruleName,
+          description: description || null,
+          moduleId: moduleId ? parseInt(moduleId) : null,
+          severity,
+          status,
+          createdBy,
+          ruleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const ruleId = result.outBinds.ruleId[0];
+      await this.replaceSides(connection, ruleId, sideAIds, sideBIds, createdBy);
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'SOD_RULE',
+        entityId: ruleId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(ruleId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a SoD rule
+   * @param {number} ruleId - Rule ID
+   * @param {Object} ruleData - Rule data to update (same fields as create, plus updatedBy)
+   * @returns {Promise<Object|null>} - Updated rule object or null if not found
+   */
+  static async update(ruleId, ruleData) {
+    const connection = await getConnection();
+    try {
+      const {
+        ruleCode,
+        ruleName,
+        description,
+        moduleId,
+        sideAPrivileges,
+        sideBPrivileges,
+        severity,
+        status,
+        updatedBy = 'SYSTEM'
+      } = ruleData;
+
+      const updates = [];
+      const binds = { ruleId };
+      let sides = null;
+
+      if (ruleCode !== undefined) {
+        updates.push('RULE_CODE = :ruleCode');
+        binds.ruleCode = ruleCode;
+      }
+
+      if (ruleName !== undefined) {
+        updates.push('RULE_NAME = :ruleName');
+        binds.ruleName = ruleName;
+      }
+
+      if (description !== undefined) {
+        updates.push('DESCRIPTION = :description');
+        binds.description = description;
+      }
+
+      if (moduleId !== undefined) {
+        updates.push('MODULE_ID = :moduleId');
+        binds.moduleId = moduleId ? parseInt(moduleId) : null;
+      }
+
+      if (sideAPrivileges !== undefined || sideBPrivileges !== undefined) {
+        // Validate the resulting pair of sides, not just the changed one
+        const current = await executeQuery(
+          'SELECT SOD_RULE_ID FROM SEC.SOD_RULES WHERE SOD_RULE_ID = :ruleId',
+          { ruleId }
+        );
+
+        if (current.rows.length === 0) {
+          await connection.close();
+          return null;
+        }
+
+        const [rule] = await this.attachSides(current.rows);
+        sides = await this.validateSides(
+          sideAPrivileges !== undefined ? sideAPrivileges : rule.SIDE_A_PRIVILEGES,
+          sideBPrivileges !== undefined ? sideBPrivileges : rule.SIDE_B_PRIVILEGES
+        );
+      }
+
+      if (severity !== undefined) {
+        updates.push('SEVERITY = :severity');
+        binds.severity = severity;
+      }
+
+      if (status !== undefined) {
+        updates.push('STATUS = :status');
+        binds.status = status;
+      }
+
+      if (updates.length === 0 && !sides) {
+        throw new Error('No fields to update');
+      }
+
+      updates.push('UPDATED_AT = SYSTIMESTAMP');
+      updates.push('UPDATED_BY = :updatedBy');
+      binds.updatedBy = updatedBy;
+
+      const before = await AuditModel.snapshot(connection, 'SOD_RULE', ruleId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      if (sides) {
+        await this.replaceSides(connection, ruleId, sides.sideAIds, sides.sideBIds, updatedBy);
+      }
+
+      const result = await connection.execute(
+        `UPDATE SEC.SOD_RULES
+            SET ${updates.join(', ')}
+          WHERE SOD_RULE_ID = :ruleId`,
+        binds,
+        { autoCommit: false }
+      );
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'SOD_RULE',
+        entityId: ruleId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      if (result.rowsAffected === 0) {
+        return null;
+      }
+
+      return await this.getById(ruleId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a SoD rule (and its recorded warnings; its sides go through ON DELETE CASCADE)
+   * @param {number} ruleId - Rule ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  static async delete(ruleId, deletedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'SOD_RULE', ruleId);
+
+      await connection.execute(
+        'DELETE FROM SEC.SOD_WARNINGS WHERE SOD_RULE_ID = :ruleId',
+        { ruleId },
+        { autoCommit: false }
+      );
+
+      const result = await connection.execute(
+        'DELETE FROM SEC.SOD_RULES WHERE SOD_RULE_ID = :ruleId',
+        { ruleId },
+        { autoCommit: false }
+      );
+
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'SOD_RULE',
+          entityId: ruleId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+      return result.rowsAffected > 0;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active rules, optionally limited to one module
+   * @param {Object} filters
+   * @param {number} filters.moduleId - Only rules owned by this module
+   * @returns {Promise<Array>} - SEC.SOD_RULES rows with their sides
+   */
+  static async getActiveRules({ moduleId } = {}) {
+    const binds = {};
+    let moduleCondition = '';
+
+    if (moduleId !== undefined && moduleId !== null) {
+      moduleCondition = 'AND MODULE_ID = :moduleId';
+      binds.moduleId = moduleId;
+    }
+
+    const result = await executeQuery(
+      `SELECT SOD_RULE_ID, RULE_CODE, RULE_NAME, MODULE_ID, SEVERITY
+         FROM SEC.SOD_RULES
+        WHERE STATUS = 'ACTIVE'
+          ${moduleCondition}
+        ORDER BY SOD_RULE_ID`,
+      binds
+    );
+
+    return await this.attachSides(result.rows);
+  }
+
+  /**
+   * Evaluate the active rules against a set of effective privilege IDs
+   * @param {number[]} privilegeIds - Effective privilege IDs of a role
+   * @returns {Promise<Array>} - Violated rules with the privileges matched on each side
+   */
+  static async evaluate(privilegeIds) {
+    const held = new Set((privilegeIds || []).map(id => parseInt(id, 10)));
+    if (held.size < 2) return [];
+
+    return this.matchRules(await this.getActiveRules(), held);
+  }
+
+  /**
+   * Match rules against a set of held privilege IDs
+   * @param {Array} rules - SEC.SOD_RULES rows with their sides (see getActiveRules)
+   * @param {Set<number>} held - Effective privilege IDs
+   * @returns {Array} - Violated rules with the privileges matched on each side
+   */
+  static matchRules(rules, held) {
+    const violations = [];
+
+    for (const rule of rules) {
+      const sideAMatches = rule.SIDE_A_PRIVILEGES.filter(id => held.has(id));
+      const sideBMatches = rule.SIDE_B_PRIVILEGES.filter(id => held.has(id));
+
+      if (sideAMatches.length > 0 && sideBMatches.length > 0) {
+        violations.push({
+          SOD_RULE_ID: rule.SOD_RULE_ID,
+          RULE_CODE: rule.RULE_CODE,
+          RULE_NAME: rule.RULE_NAME,
+          SEVERITY: rule.SEVERITY,
+          SIDE_A_MATCHES: sideAMatches,
+          SIDE_B_MATCHES: sideBMatches
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Helper: IDs of the given roles and every role reachable from them through
+   * an inheritance table, read inside the caller's transaction.
+   * CHILD -> PARENT columns walk up to the ancestors, PARENT -> CHILD down to
+   * the descendants. The given IDs are included.
+   */
+  static async collectLinked(connection, table, fromColumn, toColumn, ids) {
+    const collected = new Set(ids);
+    let frontier = [...collected];
+
+    while (frontier.length > 0) {
+      const { placeholders, binds } = buildInClause(frontier);
+      const result = await connection.execute(
+        `SELECT DISTINCT ${toColumn} AS ID FROM ${table} WHERE ${fromColumn} IN (${placeholders})`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      frontier = result.rows.map(row => row.ID).filter(id => !collected.has(id));
+      frontier.forEach(id => collected.add(id));
+    }
+
+    return [...collected];
+  }
+
+  /**
+   * Helper: effective privilege IDs of a duty or job role, read inside the
+   * caller's transaction so uncommitted roles and links are included
+   * @param {Object} connection - Open connection of the transaction
+   * @param {string} entityType - 'DUTY_ROLE' or 'JOB_ROLE'
+   * @param {number} entityId - Duty role / job role ID
+   * @returns {Promise<number[]>}
+   */
+  static async collectEffectivePrivilegeIds(connection, entityType, entityId) {
+    let dutyRoleIds = [entityId];
+
+    if (entityType === 'JOB_ROLE') {
+      const jobRoleIds = await this.collectLinked(
+        connection, 'SEC.JOB_ROLE_INHERITANCE', 'CHILD_JOB_ROLE_ID', 'PARENT_JOB_ROLE_ID', [entityId]
+      );
+      const { placeholders, binds } = buildInClause(jobRoleIds);
+      const result = await connection.execute(
+        `SELECT DISTINCT DUTY_ROLE_ID FROM SEC.JOB_ROLE_DUTY_ROLES WHERE JOB_ROLE_ID IN (${placeholders})`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      dutyRoleIds = result.rows.map(row => row.DUTY_ROLE_ID);
+      if (dutyRoleIds.length === 0) return [];
+    }
+
+    const allDutyRoleIds = await this.collectLinked(
+      connection, 'SEC.DUTY_ROLE_INHERITANCE', 'CHILD_DUTY_ROLE_ID', 'PARENT_DUTY_ROLE_ID', dutyRoleIds
+    );
+    const { placeholders, binds } = buildInClause(allDutyRoleIds);
+    const result = await connection.execute(
+      `SELECT DISTINCT PRIVILEGE_ID FROM SEC.DUTY_ROLE_PRIVILEGES WHERE DUTY_ROLE_ID IN (${placeholders})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows.map(row => row.PRIVILEGE_ID);
+  }
+
+  /**
+   * Helper: the roles whose effective privileges follow from a role, read
+   * inside the caller's transaction:
+   *  - a duty role: its descendant duty roles, the job roles holding it or one
+   *    of those descendants, and the descendants of those job roles
+   *  - a job role: its descendant job roles
+   * @returns {Promise<Array<{ENTITY_TYPE:string, ENTITY_ID:number}>>}
+   */
+  static async collectDependents(connection, entityType, entityId) {
+    let dutyRoleIds = [];
+    let jobRoleIds = [entityId];
+
+    if (entityType === 'DUTY_ROLE') {
+      dutyRoleIds = await this.collectLinked(
+        connection, 'SEC.DUTY_ROLE_INHERITANCE', 'PARENT_DUTY_ROLE_ID', 'CHILD_DUTY_ROLE_ID', [entityId]
+      );
+      const { placeholders, binds } = buildInClause(dutyRoleIds);
+      const result = await connection.execute(
+        `SELECT DISTINCT JOB_ROLE_ID FROM SEC.JOB_ROLE_DUTY_ROLES WHERE DUTY_ROLE_ID IN (${placeholders})`,
+        binds,
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      jobRoleIds = result.rows.map(row => row.JOB_ROLE_ID);
+    }
+
+    if (jobRoleIds.length > 0) {
+      jobRoleIds = await this.collectLinked(
+        connection, 'SEC.JOB_ROLE_INHERITANCE', 'PARENT_JOB_ROLE_ID', 'CHILD_JOB_ROLE_ID', jobRoleIds
+      );
+    }
+
+    return [
+      ...dutyRoleIds.map(id => ({ ENTITY_TYPE: 'DUTY_ROLE', ENTITY_ID: id })),
+      ...jobRoleIds.map(id => ({ ENTITY_TYPE: 'JOB_ROLE', ENTITY_ID: id }))
+    ].filter(dependent => !(dependent.ENTITY_TYPE === entityType && dependent.ENTITY_ID === entityId));
+  }
+
+  /**
+   * Helper: throw for BLOCK violations, record WARN violations in SEC.SOD_WARNINGS
+   * @param {string} label - Role named in the error when it is not the changed role
+   */
+  static async applyViolations(connection, violations, { entityType, entityId, actor, label = null }) {
+    const blocking = violations.filter(v => v.SEVERITY === 'BLOCK');
+    if (blocking.length > 0) {
+      const details = blocking
+        .map(v => `${v.RULE_CODE} (privileges ${v.SIDE_A_MATCHES.join(', ')} conflict with ${v.SIDE_B_MATCHES.join(', ')})`)
+        .join('; ');
+      throw new Error(`Segregation of duties violation${label ? ` in ${label}` : ''}: ${details}`);
+    }
+
+    for (const warning of violations) {
+      await connection.execute(
+        `INSERT INTO SEC.SOD_WARNINGS (
+          SOD_RULE_ID,
+          ENTITY_TYPE,
+          ENTITY_ID,
+          MATCHED_PRIVILEGES,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :ruleId,
+          :entityType,
+          :entityId,
+          :matchedPrivileges,
+          :createdBy,
+          SYSTIMESTAMP
+        )`,
+        {
+          ruleId: warning.SOD_RULE_ID,
+          entityType,
+          entityId,
+          matchedPrivileges: this.encodeIdArray([...warning.SIDE_A_MATCHES, ...warning.SIDE_B_MATCHES]),
+          createdBy: actor || 'SYSTEM'
+        },
+        { autoCommit: false }
+      );
+    }
+  }
+
+  /**
+   * Enforce the rules for a role change inside the caller's transaction.
+   *
+   * The changed role is checked against the given effective privileges. Every
+   * role that depends on it (see collectDependents) is re-checked as well,
+   * after the caller's writes, since the change reaches them through
+   * inheritance. BLOCK violations throw (the caller rolls back); WARN
+   * violations are written to SEC.SOD_WARNINGS on the same connection and
+   * returned, those of dependent roles with their ENTITY_TYPE / ENTITY_ID.
+   *
+   * @param {Object} connection - Open connection of the role change transaction
+   * @param {Object} params
+   * @param {string} params.entityType - 'DUTY_ROLE' or 'JOB_ROLE'
+   * @param {number} params.entityId - Duty role / job role ID
+   * @param {number[]} params.privilegeIds - Resulting effective privilege IDs
+   * @param {string} params.actor - Username making the change
+   * @param {Set<string>} params.checkedSeparately - 'TYPE:ID' keys of dependent roles the
+   *        caller enforces on their own (e.g. other rows of the same import), skipped here
+   * @returns {Promise<Array>} - Recorded warnings
+   */
+  static async enforce(connection, { entityType, entityId, privilegeIds, actor, checkedSeparately = new Set() }) {
+    const violations = await this.evaluate(privilegeIds);
+    await this.applyViolations(connection, violations, { entityType, entityId, actor });
+
+    const warnings = [...violations];
+    const dependents = (await this.collectDependents(connection, entityType, entityId))
+      .filter(dependent => !checkedSeparately.has(`${dependent.ENTITY_TYPE}:${dependent.ENTITY_ID}`));
+    if (dependents.length === 0) return warnings;
+
+    const rules = await this.getActiveRules();
+    for (const dependent of dependents) {
+      const held = await this.collectEffectivePrivilegeIds(connection, dependent.ENTITY_TYPE, dependent.ENTITY_ID);
+      const dependentViolations = this.matchRules(rules, new Set(held));
+      if (dependentViolations.length === 0) continue;
+
+      const label = `${dependent.ENTITY_TYPE === 'DUTY_ROLE' ? 'duty role' : 'job role'} ${await this.getRoleCode(connection, dependent)}, which inherits this change`;
+      await this.applyViolations(connection, dependentViolations, {
+        entityType: dependent.ENTITY_TYPE,
+        entityId: dependent.ENTITY_ID,
+        actor,
+        label
+      });
+
+      warnings.push(...dependentViolations.map(v => ({ ...v, ...dependent })));
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Helper: code of a duty or job role, for error messages
+   */
+  static async getRoleCode(connection, { ENTITY_TYPE, ENTITY_ID }) {
+    const result = await connection.execute(
+      ENTITY_TYPE === 'DUTY_ROLE'
+        ? 'SELECT ROLE_CODE AS CODE FROM SEC.DUTY_ROLES WHERE DUTY_ROLE_ID = :id'
+        : 'SELECT JOB_ROLE_CODE AS CODE FROM SEC.JOB_ROLES WHERE JOB_ROLE_ID = :id',
+      { id: ENTITY_ID },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows[0]?.CODE ?? ENTITY_ID;
+  }
+
+  /**
+   * Get recorded SoD warnings, newest first
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {number} searchParams.ruleId - Filter by SOD_RULE_ID
+   * @param {string} searchParams.entityType - Filter by ENTITY_TYPE
+   * @param {number} searchParams.entityId - Filter by ENTITY_ID
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getWarnings(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.ruleId !== undefined) {
+      conditions.push('W.SOD_RULE_ID = :ruleId');
+      searchBinds.ruleId = searchParams.ruleId;
+    }
+
+    if (searchParams.entityType) {
+      conditions.push('W.ENTITY_TYPE = :entityType');
+      searchBinds.entityType = searchParams.entityType;
+    }
+
+    if (searchParams.entityId !== undefined) {
+      conditions.push('W.ENTITY_ID = :entityId');
+      searchBinds.entityId = searchParams.entityId;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM SEC.SOD_WARNINGS W ${whereClause}`,
+      searchBinds
+    );
+    const total = countResult.rows[0].TOTAL;
+
+    const dataResult = await executeQuery(
+      `SELECT W.*, R.RULE_CODE, R.RULE_NAME
+         FROM SEC.SOD_WARNINGS W
+         JOIN SEC.SOD_RULES R ON W.SOD_RULE_ID = R.SOD_RULE_ID
+         ${whereClause}
+        ORDER BY W.CREATED_AT DESC, W.WARNING_ID DESC
+        OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY`,
+      { ...searchBinds, offset, limit }
+    );
+
+    return {
+      data: dataResult.rows.map(row => ({
+        ...row,
+        MATCHED_PRIVILEGES: parseIdList(row.MATCHED_PRIVILEGES)
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+}
@@ -0,0 +1,19 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { SodController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_SOD_RULES');
+
+// Violation report and warning log
+router.get('/violations', canView, SodController.getViolations);
+router.get('/warnings', canView, SodController.getWarnings);
+
+// Rule CRUD routes
+router.get('/rules', canView, SodController.getAll);
+router.get('/rules/:id', canView, SodController.getById);
+router.post('/rules', canManage, SodController.create);
+router.put('/rules/:id', canManage, SodController.update);
+router.delete('/rules/:id', canManage, SodController.delete);
+
+export default router;
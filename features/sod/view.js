@@ -0,0 +1,173 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+import { toCsv } from '../../utils/csvUtils.js';
+
+/**
+ * SoD View - Response formatting for segregation-of-duties API
+ */
+export class SodView {
+  /**
+   * Transform a rule row: expose decoded sides as side_a_privileges / side_b_privileges
+   * @param {Object} rule - Rule object from model
+   * @returns {Object} - Rule with lowercase keys
+   */
+  static transformRule(rule) {
+    const lowerCaseItem = toLowerCaseKeys(rule);
+
+    lowerCaseItem.side_a_privileges = lowerCaseItem.side_a_privileges_decoded || [];
+    lowerCaseItem.side_b_privileges = lowerCaseItem.side_b_privileges_decoded || [];
+    delete lowerCaseItem.side_a_privileges_decoded;
+    delete lowerCaseItem.side_b_privileges_decoded;
+
+    return lowerCaseItem;
+  }
+
+  /**
+   * Format paginated rules response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const activeRules = result.data.filter(item =>
+      item.STATUS === 'ACTIVE' || item.status === 'ACTIVE'
+    ).length;
+
+    return {
+      success: true,
+      data: result.data.map(rule => this.transformRule(rule)),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages),
+        activeRules: activeRules
+      },
+      activity: result.activity || {
+        total_active_value: 0,
+        total_inactive_value: 0
+      }
+    };
+  }
+
+  /**
+   * Format single rule response
+   * @param {Object} ruleData - Rule object
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(ruleData) {
+    if (!ruleData) {
+      return {
+        success: false,
+        message: 'SoD rule not found'
+      };
+    }
+
+    return {
+      success: true,
+      data: this.transformRule(ruleData)
+    };
+  }
+
+  /**
+   * Format paginated warnings response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatWarningsResponse(result) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(result.data),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages)
+      }
+    };
+  }
+
+  /**
+   * Format violation report response
+   * @param {Array} violations - Violations from JobRoleModel.scanSodViolations
+   * @param {Object} filters - Filters applied to the scan
+   * @returns {Object} - Formatted response
+   */
+  static formatViolationsResponse(violations, filters = {}) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(violations),
+      summary: {
+        total: violations.length,
+        job_roles: new Set(violations.map(v => v.JOB_ROLE_ID)).size,
+        blocking: violations.filter(v => v.SEVERITY === 'BLOCK').length,
+        module_id: filters.moduleId ?? null,
+        generated_at: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Format violation report as CSV
+   * One line per offending privilege and grant path.
+   * @param {Array} violations - Violations from JobRoleModel.scanSodViolations
+   * @returns {string} - CSV document
+   */
+  static formatViolationsCsv(violations) {
+    const headers = [
+      'JOB_ROLE_CODE',
+      'JOB_ROLE_NAME',
+      'RULE_CODE',
+      'RULE_NAME',
+      'SEVERITY',
+      'SIDE',
+      'PRIVILEGE_CODE',
+      'PRIVILEGE_NAME',
+      'JOB_ROLE_PATH',
+      'DUTY_ROLE_PATH'
+    ];
+
+    const rows = [];
+
+    for (const violation of violations) {
+      for (const [side, privileges] of [['A', violation.SIDE_A], ['B', violation.SIDE_B]]) {
+        for (const privilege of privileges) {
+          for (const path of privilege.paths) {
+            rows.push([
+              violation.JOB_ROLE_CODE,
+              violation.JOB_ROLE_NAME,
+              violation.RULE_CODE,
+              violation.RULE_NAME,
+              violation.SEVERITY,
+              side,
+              privilege.privilege_code,
+              privilege.privilege_name,
+              path.job_role_chain.map(jr => jr.job_role_code).join(' > '),
+              path.duty_role_chain.map(dr => dr.role_code).join(' > ')
+            ]);
+          }
+        }
+      }
+    }
+
+    return toCsv(headers, rows);
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
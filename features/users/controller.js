@@ -0,0 +1,624 @@
+import { UserModel } from './model.js';
+import { UserView } from './view.js';
+
+const USER_STATUSES = ['ACTIVE', 'INACTIVE', 'LOCKED'];
+
+/**
+ * Parse an optional date from the request body
+ * @param {*} value - Raw value (ISO string, timestamp or empty)
+ * @returns {Date|null|undefined} - Date, null when empty, undefined when invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * User Controller - Handles HTTP requests for users and their job role and data role assignments
+ */
+export class UserController {
+  /**
+   * Get all users with pagination and search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAll(req, res) {
+    try {
+      // Parse query parameters
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      // Parse search parameters
+      const searchParams = {};
+      if (req.query.userId !== undefined) {
+        const userId = parseInt(req.query.userId);
+        if (isNaN(userId)) {
+          // Return empty data for invalid userId
+          return res.json(UserView.formatPaginatedResponse({
+            data: [],
+            total: 0,
+            page: 1,
+            limit: 10,
+            totalPages: 0
+          }));
+        }
+        searchParams.userId = userId;
+      }
+      if (req.query.username) {
+        searchParams.username = req.query.username;
+      }
+      if (req.query.email) {
+        searchParams.email = req.query.email;
+      }
+      if (req.query.search) {
+        searchParams.search = req.query.search;
+      }
+
+      if (req.query.status) {
+        const statusUpper = req.query.status.toUpperCase();
+        if (USER_STATUSES.includes(statusUpper)) {
+          searchParams.status = statusUpper;
+        } else {
+          return res.status(400).json(
+            UserView.formatErrorResponse('status must be ACTIVE, INACTIVE or LOCKED', 400)
+          );
+        }
+      }
+
+      // Validate pagination parameters
+      if (page < 1) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Page number must be greater than 0', 400)
+        );
+      }
+
+      if (limit < 1 || limit > 1000) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Limit must be between 1 and 1000', 400)
+        );
+      }
+
+      const result = await UserModel.getAll(page, limit, searchParams);
+
+      res.json(UserView.formatPaginatedResponse(result));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Get user by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getById(req, res) {
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const userData = await UserModel.getById(userId);
+
+      if (!userData) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json(UserView.formatSingleResponse(userData));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async create(req, res) {
+    try {
+      const { username, email, fullName, password, department, location, jobCode, grade, managerUserId, status } = req.body;
+
+      if (!username) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('username is required', 400)
+        );
+      }
+
+      if (status && !USER_STATUSES.includes(status.toUpperCase())) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('status must be ACTIVE, INACTIVE or LOCKED', 400)
+        );
+      }
+
+      if (managerUserId !== undefined && managerUserId !== null && !Number.isInteger(managerUserId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('managerUserId must be an integer or null', 400)
+        );
+      }
+
+      const userData = await UserModel.create({
+        username,
+        email,
+        fullName,
+        password,
+        department,
+        location,
+        jobCode,
+        grade,
+        managerUserId: managerUserId ?? null,
+        status: status ? status.toUpperCase() : 'ACTIVE',
+        createdBy: req.user.username
+      });
+
+      res.status(201).json(UserView.formatSingleResponse(userData));
+    } catch (error) {
+      // Handle unique constraint violations
+      if (error.message.includes('unique constraint') || error.errorNum === 1) {
+        return res.status(409).json(
+          UserView.formatErrorResponse('Username already exists', 409)
+        );
+      }
+
+      if (error.message.includes('Manager user') || error.message.includes('own manager')) {
+        return res.status(400).json(
+          UserView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Update a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async update(req, res) {
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const { username, email, fullName, password, department, location, jobCode, grade, managerUserId, status } = req.body;
+
+      if (status && !USER_STATUSES.includes(status.toUpperCase())) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('status must be ACTIVE, INACTIVE or LOCKED', 400)
+        );
+      }
+
+      if (managerUserId !== undefined && managerUserId !== null && !Number.isInteger(managerUserId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('managerUserId must be an integer or null', 400)
+        );
+      }
+
+      const userData = await UserModel.update(userId, {
+        username,
+        email,
+        fullName,
+        password,
+        department,
+        location,
+        jobCode,
+        grade,
+        managerUserId,
+        status: status ? status.toUpperCase() : undefined,
+        updatedBy: req.user.username
+      });
+
+      if (!userData) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json(UserView.formatSingleResponse(userData));
+    } catch (error) {
+      // Handle unique constraint violations
+      if (error.message.includes('unique constraint') || error.errorNum === 1) {
+        return res.status(409).json(
+          UserView.formatErrorResponse('Username already exists', 409)
+        );
+      }
+
+      if (error.message.includes('Manager user') || error.message.includes('own manager')) {
+        return res.status(400).json(
+          UserView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      if (error.message.includes('No fields to update')) {
+        return res.status(400).json(
+          UserView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Delete a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async delete(req, res) {
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const deleted = await UserModel.delete(userId, req.user.username);
+
+      if (!deleted) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * List job role assignments of a user
+   * @route GET /api/users/:id/job-roles?activeOnly=true
+   */
+  static async getJobRoles(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const userData = await UserModel.getById(userId);
+      if (!userData) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      const assignments = await UserModel.getJobRoles(userId, {
+        activeOnly: req.query.activeOnly === 'true'
+      });
+
+      res.json(UserView.formatAssignmentListResponse(assignments));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Assign a job role to a user
+   * @route POST /api/users/:id/job-roles
+   * @body  { jobRoleId: number, startDate?: string, endDate?: string }
+   */
+  static async assignJobRole(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const body = req.body || {};
+      const jobRoleId = parseInt(body.jobRoleId, 10);
+
+      if (isNaN(jobRoleId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('jobRoleId is required', 400)
+        );
+      }
+
+      const startDate = parseDate(body.startDate);
+      const endDate = parseDate(body.endDate);
+
+      if (startDate === undefined || endDate === undefined) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('startDate and endDate must be valid dates', 400)
+        );
+      }
+
+      const assignment = await UserModel.assignJobRole(userId, {
+        jobRoleId,
+        startDate: startDate || new Date(),
+        endDate,
+        createdBy: req.user.username
+      });
+
+      if (!assignment) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.status(201).json(UserView.formatAssignmentResponse(assignment));
+    } catch (error) {
+      if (error.message.includes('does not exist') || error.message.includes('endDate must be after')) {
+        return res.status(400).json(
+          UserView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      if (error.message.includes('overlapping period')) {
+        return res.status(409).json(
+          UserView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Unassign a job role from a user (end-dates the assignment)
+   * @route DELETE /api/users/:id/job-roles/:jobRoleId
+   * @body  { endDate?: string }
+   */
+  static async unassignJobRole(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+      const jobRoleId = parseInt(req.params.jobRoleId, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      if (isNaN(jobRoleId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid job role ID', 400)
+        );
+      }
+
+      const endDate = parseDate(req.body?.endDate);
+      if (endDate === undefined) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('endDate must be a valid date', 400)
+        );
+      }
+
+      const result = await UserModel.unassignJobRole(
+        userId,
+        jobRoleId,
+        endDate || new Date(),
+        req.user.username
+      );
+
+      if (!result) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json(UserView.formatUnassignResponse(result, jobRoleId));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * List data role assignments of a user
+   * @route GET /api/users/:id/data-roles?activeOnly=true
+   */
+  static async getDataRoles(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const userData = await UserModel.getById(userId);
+      if (!userData) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      const assignments = await UserModel.getDataRoles(userId, {
+        activeOnly: req.query.activeOnly === 'true'
+      });
+
+      res.json(UserView.formatAssignmentListResponse(assignments));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Assign a data role to a user
+   * @route POST /api/users/:id/data-roles
+   * @body  { dataRoleId: number, startDate?: string, endDate?: string }
+   */
+  static async assignDataRole(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const body = req.body || {};
+      const dataRoleId = parseInt(body.dataRoleId, 10);
+
+      if (isNaN(dataRoleId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('dataRoleId is required', 400)
+        );
+      }
+
+      const startDate = parseDate(body.startDate);
+      const endDate = parseDate(body.endDate);
+
+      if (startDate === undefined || endDate === undefined) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('startDate and endDate must be valid dates', 400)
+        );
+      }
+
+      const assignment = await UserModel.assignDataRole(userId, {
+        dataRoleId,
+        startDate: startDate || new Date(),
+        endDate,
+        createdBy: req.user.username
+      });
+
+      if (!assignment) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.status(201).json(UserView.formatDataRoleAssignmentResponse(assignment));
+    } catch (error) {
+      if (error.message.includes('does not exist') || error.message.includes('endDate must be after')) {
+        return res.status(400).json(
+          UserView.formatErrorResponse(error.message, 400)
+        );
+      }
+
+      if (error.message.includes('overlapping period')) {
+        return res.status(409).json(
+          UserView.formatErrorResponse(error.message, 409)
+        );
+      }
+
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Unassign a data role from a user (end-dates the assignment)
+   * @route DELETE /api/users/:id/data-roles/:dataRoleId
+   * @body  { endDate?: string }
+   */
+  static async unassignDataRole(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+      const dataRoleId = parseInt(req.params.dataRoleId, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      if (isNaN(dataRoleId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid data role ID', 400)
+        );
+      }
+
+      const endDate = parseDate(req.body?.endDate);
+      if (endDate === undefined) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('endDate must be a valid date', 400)
+        );
+      }
+
+      const result = await UserModel.unassignDataRole(
+        userId,
+        dataRoleId,
+        endDate || new Date(),
+        req.user.username
+      );
+
+      if (!result) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json(UserView.formatDataRoleUnassignResponse(result, dataRoleId));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+
+  /**
+   * Resolve the effective privileges of a user with their provenance
+   * @route GET /api/users/:id/effective-privileges
+   */
+  static async getEffectivePrivileges(req, res) {
+    try {
+      const userId = parseInt(req.params.id, 10);
+
+      if (isNaN(userId)) {
+        return res.status(400).json(
+          UserView.formatErrorResponse('Invalid user ID', 400)
+        );
+      }
+
+      const privileges = await UserModel.getEffectivePrivileges(userId);
+
+      if (!privileges) {
+        return res.status(404).json(
+          UserView.formatErrorResponse('User not found', 404)
+        );
+      }
+
+      res.json(UserView.formatEffectivePrivilegesResponse(userId, privileges));
+    } catch (error) {
+      res.status(500).json(
+        UserView.formatErrorResponse(error.message, 500)
+      );
+    }
+  }
+}
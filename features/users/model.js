@@ -0,0 +1,1049 @@
+import { executeQuery, getConnection } from '../../config/db.js';
+import oracledb from 'oracledb';
+import { JobRoleModel } from '../job-roles/model.js';
+import { DutyRoleModel } from '../duty-roles/model.js';
+import { DataRoleModel } from '../data-roles/model.js';
+import { ProvisioningModel } from '../provisioning/model.js';
+import { hashPassword } from '../../utils/passwordUtils.js';
+import { AuditModel } from '../audit/model.js';
+import { buildInClause } from '../../utils/sqlUtils.js';
+
+/**
+ * Remove the password hash from a SEC.USERS row before it leaves the model
+ * @param {Object} row - User row
+ * @returns {Object} - Row without PASSWORD_HASH
+ */
+function omitPasswordHash(row) {
+  const { PASSWORD_HASH, ...user } = row;
+  return user;
+}
+
+/**
+ * User Model - Database operations for SEC.USERS, SEC.USER_JOB_ROLES and SEC.USER_DATA_ROLES tables
+ *
+ * Important design:
+ *  - SEC.USERS            = user accounts (USERNAME is unique, STATUS is ACTIVE / INACTIVE / LOCKED,
+ *                           PASSWORD_HASH is a scrypt hash and is never returned by the read methods,
+ *                           DEPARTMENT / LOCATION / JOB_CODE / GRADE drive rule-based provisioning,
+ *                           MANAGER_USER_ID is the line manager who approves access requests)
+ *  - SEC.USER_JOB_ROLES   = job role grants, one row per assignment with START_DATE / END_DATE;
+ *                           ASSIGNMENT_SOURCE is MANUAL or RULE (see ProvisioningModel)
+ *  - SEC.USER_DATA_ROLES  = data role grants (a job role limited to data scopes), same date handling
+ *
+ *  An assignment is active when START_DATE <= now and END_DATE is null or in the future.
+ *  Unassigning a role end-dates the assignment instead of deleting it, so the grant history is kept.
+ *  Creating or updating a user re-evaluates the provisioning rules for that user in the same transaction.
+ */
+export class UserModel {
+  /**
+   * Get all users with pagination and search
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Number of records per page
+   * @param {Object} searchParams - Search parameters
+   * @param {number} searchParams.userId - Filter by USER_ID
+   * @param {string} searchParams.username - Search USERNAME (partial match)
+   * @param {string} searchParams.email - Search EMAIL (partial match)
+   * @param {string} searchParams.status - Filter by STATUS
+   * @param {string} searchParams.search - Search across username, email and full name
+   * @returns {Promise<Object>} - Object containing data, total count, and pagination info
+   */
+  static async getAll(page = 1, limit = 10, searchParams = {}) {
+    const offset = (page - 1) * limit;
+
+    // Build WHERE clause and bind variables
+    const conditions = [];
+    const searchBinds = {};
+
+    if (searchParams.userId !== undefined && searchParams.userId !== null) {
+      const userId = parseInt(searchParams.userId);
+      if (!isNaN(userId)) {
+        conditions.push('USER_ID = :userId');
+        searchBinds.userId = userId;
+      }
+    }
+
+    if (searchParams.username) {
+      conditions.push('UPPER(USERNAME) LIKE UPPER(:username)');
+      searchBinds.username = `%${searchParams.username}%`;
+    }
+
+    if (searchParams.email) {
+      conditions.push('UPPER(EMAIL) LIKE UPPER(:email)');
+      searchBinds.email = `%${searchParams.email}%`;
+    }
+
+    if (searchParams.status) {
+      conditions.push('UPPER(STATUS) = UPPER(:status)');
+      searchBinds.status = searchParams.status.toUpperCase();
+    }
+
+    // General search parameter - searches across username, email and full name
+    if (searchParams.search) {
+      const searchConditions = [
+        'UPPER(USERNAME) LIKE UPPER(:search)',
+        'UPPER(EMAIL) LIKE UPPER(:search)',
+        'UPPER(FULL_NAME) LIKE UPPER(:search)'
+      ];
+      conditions.push(`(${searchConditions.join(' OR ')})`);
+      searchBinds.search = `%${searchParams.search}%`;
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    // Get total count
+    const countQuery = `SELECT COUNT(*) as total FROM SEC.USERS ${whereClause}`;
+    const countResult = await executeQuery(countQuery, searchBinds);
+    const total = countResult.rows[0].TOTAL;
+
+    // Activity counts (ignore status filter when counting Active/Inactive)
+    const activityConditions = conditions.filter(c => !c.includes('STATUS'));
+
+    const activeConditions = [...activityConditions, 'UPPER(STATUS) = UPPER(:statusActive)'];
+    const inactiveConditions = [...activityConditions, 'UPPER(STATUS) = UPPER(:statusInactive)'];
+
+    const activeWhereClause = `WHERE ${activeConditions.join(' AND ')}`;
+    const inactiveWhereClause = `WHERE ${inactiveConditions.join(' AND ')}`;
+
+    const activeBindParams = { ...searchBinds };
+    delete activeBindParams.status;
+    activeBindParams.statusActive = 'ACTIVE';
+
+    const inactiveBindParams = { ...searchBinds };
+    delete inactiveBindParams.status;
+    inactiveBindParams.statusInactive = 'INACTIVE';
+
+    const activeCountQuery = `SELECT COUNT(*) as total_active FROM SEC.USERS ${activeWhereClause}`;
+    const inactiveCountQuery = `SELECT COUNT(*) as total_inactive FROM SEC.USERS ${inactiveWhereClause}`;
+
+    const activeCountResult = await executeQuery(activeCountQuery, activeBindParams);
+    const inactiveCountResult = await executeQuery(inactiveCountQuery, inactiveBindParams);
+
+    const totalActive = activeCountResult.rows[0].TOTAL_ACTIVE;
+    const totalInactive = inactiveCountResult.rows[0].TOTAL_INACTIVE;
+
+    // Get paginated data
+    const dataBinds = { ...searchBinds, offset, limit };
+    const dataQuery = `
+      SELECT * FROM SEC.USERS
+      ${whereClause}
+      ORDER BY USER_ID
+      OFFSET :offset ROWS FETCH NEXT :limit ROWS ONLY
+    `;
+    const dataResult = await executeQuery(dataQuery, dataBinds);
+
+    return {
+      data: dataResult.rows.map(omitPasswordHash),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      activity: {
+        total_active_value: totalActive,
+        total_inactive_value: totalInactive
+      }
+    };
+  }
+
+  /**
+   * Get user by ID, including the user's active job role and data role assignments
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} - User object or null if not found
+   */
+  static async getById(userId) {
+    const result = await executeQuery(
+      'SELECT * FROM SEC.USERS WHERE USER_ID = :userId',
+      { userId }
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const jobRoles = await this.getJobRoles(userId, { activeOnly: true });
+    const dataRoles = await this.getDataRoles(userId, { activeOnly: true });
+
+    return {
+      ...omitPasswordHash(result.rows[0]),
+      JOB_ROLES: jobRoles,
+      DATA_ROLES: dataRoles
+    };
+  }
+
+  /**
+   * Get user by username
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} - User row or null if not found
+   */
+  static async getByUsername(username) {
+    const result = await executeQuery(
+      'SELECT * FROM SEC.USERS WHERE UPPER(USERNAME) = UPPER(:username)',
+      { username }
+    );
+
+    return result.rows.length > 0 ? omitPasswordHash(result.rows[0]) : null;
+  }
+
+  /**
+   * Get the stored credentials of a user (for login only)
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} - { USER_ID, USERNAME, STATUS, PASSWORD_HASH } or null if not found
+   */
+  static async getCredentials(username) {
+    const result = await executeQuery(
+      `SELECT USER_ID, USERNAME, STATUS, PASSWORD_HASH
+         FROM SEC.USERS
+        WHERE UPPER(USERNAME) = UPPER(:username)`,
+      { username }
+    );
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Helper: check a line manager reference (inside the caller's transaction)
+   * @param {Object} connection - Open connection
+   * @param {number|null} userId - User being changed (null when creating)
+   * @param {number|null} managerUserId - Manager user ID, null for none
+   */
+  static async validateManager(connection, userId, managerUserId) {
+    if (managerUserId === null || managerUserId === undefined) return;
+
+    if (managerUserId === userId) {
+      throw new Error('A user cannot be their own manager');
+    }
+
+    const result = await connection.execute(
+      'SELECT USER_ID FROM SEC.USERS WHERE USER_ID = :managerUserId',
+      { managerUserId }
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Manager user ${managerUserId} does not exist`);
+    }
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} userData - User data
+   * @param {string} userData.username - Username
+   * @param {string} userData.email - Email address
+   * @param {string} userData.fullName - Full name
+   * @param {string} userData.password - Plain text password (optional, stored hashed)
+   * @param {string} userData.department - Department (provisioning attribute)
+   * @param {string} userData.location - Location (provisioning attribute)
+   * @param {string} userData.jobCode - HR job code (provisioning attribute)
+   * @param {string} userData.grade - Grade (provisioning attribute)
+   * @param {number} userData.managerUserId - Line manager (approves access requests)
+   * @param {string} userData.status - Status (default: 'ACTIVE')
+   * @param {string} userData.createdBy - Created by user (default: 'SYSTEM')
+   * @returns {Promise<Object>} - Created user object, with the job roles the rules granted
+   */
+  static async create(userData) {
+    const connection = await getConnection();
+    try {
+      const {
+        username,
+        email,
+        fullName,
+        password,
+        department,
+        location,
+        jobCode,
+        grade,
+        managerUserId = null,
+        status = 'ACTIVE',
+        createdBy = 'SYSTEM'
+      } = userData;
+
+      await this.validateManager(connection, null, managerUserId);
+
+      if (!username) {
+        throw new Error('username is required');
+      }
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.USERS (
+          USERNAME,
+          EMAIL,
+          FULL_NAME,
+          PASSWORD_HASH,
+          DEPARTMENT,
+          LOCATION,
+          JOB_CODE,
+          GRADE,
+          MANAGER_USER_ID,
+          STATUS,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :username,
+          :email,
+          :fullName,
+          :passwordHash,
+          :department,
+          :location,
+          :jobCode,
+          :grade,
+          :managerUserId,
+          :status,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING USER_ID INTO :userId`,
+        {
+          username,
+          email: email || null,
+          fullName: fullName || null,
+          passwordHash: password ? await hashPassword(password) : null,
+          department: department || null,
+          location: location || null,
+          jobCode: jobCode || null,
+          grade: grade || null,
+          managerUserId,
+          status,
+          createdBy,
+          userId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const userId = result.outBinds.userId[0];
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'USER',
+        entityId: userId,
+        action: 'CREATE',
+        actor: createdBy
+      });
+
+      await ProvisioningModel.provisionUser(connection, userId, createdBy);
+
+      await connection.commit();
+      await connection.close();
+
+      return await this.getById(userId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user
+   * @param {number} userId - User ID
+   * @param {Object} userData - User data to update
+   * @returns {Promise<Object|null>} - Updated user object or null if not found
+   */
+  static async update(userId, userData) {
+    const connection = await getConnection();
+    try {
+      const {
+        username,
+        email,
+        fullName,
+        password,
+        department,
+        location,
+        jobCode,
+        grade,
+        managerUserId,
+        status,
+        updatedBy = 'SYSTEM'
+      } = userData;
+
+      const updates = [];
+      const binds = { userId };
+
+      if (username !== undefined) {
+        updates.push('USERNAME = :username');
+        binds.username = username;
+      }
+
+      if (email !== undefined) {
+        updates.push('EMAIL = :email');
+        binds.email = email;
+      }
+
+      if (fullName !== undefined) {
+        updates.push('FULL_NAME = :fullName');
+        binds.fullName = fullName;
+      }
+
+      if (password !== undefined) {
+        updates.push('PASSWORD_HASH = :passwordHash');
+        binds.passwordHash = password ? await hashPassword(password) : null;
+      }
+
+      if (department !== undefined) {
+        updates.push('DEPARTMENT = :department');
+        binds.department = department;
+      }
+
+      if (location !== undefined) {
+        updates.push('LOCATION = :location');
+        binds.location = location;
+      }
+
+      if (jobCode !== undefined) {
+        updates.push('JOB_CODE = :jobCode');
+        binds.jobCode = jobCode;
+      }
+
+      if (grade !== undefined) {
+        updates.push('GRADE = :grade');
+        binds.grade = grade;
+      }
+
+      if (managerUserId !== undefined) {
+        await this.validateManager(connection, userId, managerUserId);
+        updates.push('MANAGER_USER_ID = :managerUserId');
+        binds.managerUserId = managerUserId;
+      }
+
+      if (status !== undefined) {
+        updates.push('STATUS = :status');
+        binds.status = status;
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      updates.push('UPDATED_AT = SYSTIMESTAMP');
+      updates.push('UPDATED_BY = :updatedBy');
+      binds.updatedBy = updatedBy;
+
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      const result = await connection.execute(
+        `UPDATE SEC.USERS
+            SET ${updates.join(', ')}
+          WHERE USER_ID = :userId`,
+        binds,
+        { autoCommit: false }
+      );
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'USER',
+        entityId: userId,
+        action: 'UPDATE',
+        actor: updatedBy,
+        before
+      });
+
+      // movers and leavers: attribute and status changes can add or revoke rule grants
+      await ProvisioningModel.provisionUser(connection, userId, updatedBy);
+
+      await connection.commit();
+      await connection.close();
+
+      if (result.rowsAffected === 0) {
+        return null;
+      }
+
+      return await this.getById(userId);
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user together with the user's job role assignments
+   * @param {number} userId - User ID
+   * @param {string} deletedBy - Deleted by user (for the audit trail)
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  static async delete(userId, deletedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+
+      await connection.execute(
+        'DELETE FROM SEC.USER_JOB_ROLES WHERE USER_ID = :userId',
+        { userId },
+        { autoCommit: false }
+      );
+
+      const result = await connection.execute(
+        'DELETE FROM SEC.USERS WHERE USER_ID = :userId',
+        { userId },
+        { autoCommit: false }
+      );
+
+      if (result.rowsAffected > 0) {
+        await AuditModel.record(connection, {
+          entityType: 'USER',
+          entityId: userId,
+          action: 'DELETE',
+          actor: deletedBy,
+          before
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+      return result.rowsAffected > 0;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Get job role assignments of a user
+   * @param {number} userId - User ID
+   * @param {Object} options
+   * @param {boolean} options.activeOnly - Only return assignments active right now
+   * @returns {Promise<Array>} - Assignment rows joined with job role code/name/status
+   */
+  static async getJobRoles(userId, { activeOnly = false } = {}) {
+    const conditions = ['UJR.USER_ID = :userId'];
+
+    if (activeOnly) {
+      conditions.push('UJR.START_DATE <= SYSTIMESTAMP');
+      conditions.push('(UJR.END_DATE IS NULL OR UJR.END_DATE > SYSTIMESTAMP)');
+    }
+
+    const result = await executeQuery(
+      `SELECT
+        UJR.USER_JOB_ROLE_ID,
+        UJR.USER_ID,
+        UJR.JOB_ROLE_ID,
+        JR.JOB_ROLE_CODE,
+        JR.JOB_ROLE_NAME,
+        JR.STATUS AS JOB_ROLE_STATUS,
+        UJR.START_DATE,
+        UJR.END_DATE,
+        UJR.ASSIGNMENT_SOURCE,
+        UJR.PROVISIONING_RULE_ID,
+        UJR.CREATED_AT,
+        UJR.CREATED_BY,
+        UJR.UPDATED_AT,
+        UJR.UPDATED_BY
+      FROM SEC.USER_JOB_ROLES UJR
+      JOIN SEC.JOB_ROLES JR ON UJR.JOB_ROLE_ID = JR.JOB_ROLE_ID
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY UJR.START_DATE, UJR.USER_JOB_ROLE_ID`,
+      { userId }
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Assign a job role to a user for an effective date range
+   * - startDate defaults to now, endDate defaults to open-ended.
+   * - Rejects a grant that overlaps an existing assignment of the same job role.
+   * @param {number} userId - User ID
+   * @param {Object} assignment
+   * @param {number} assignment.jobRoleId - Job role ID
+   * @param {Date} assignment.startDate - Effective start date
+   * @param {Date|null} assignment.endDate - Effective end date
+   * @param {string} assignment.createdBy - Created by user
+   * @returns {Promise<Object|null>} - Created assignment or null if user not found
+   */
+  static async assignJobRole(userId, assignment) {
+    const connection = await getConnection();
+    try {
+      const {
+        jobRoleId,
+        startDate = new Date(),
+        endDate = null,
+        createdBy = 'SYSTEM'
+      } = assignment;
+
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      const jobRole = await JobRoleModel.fetchJobRolesByIds([jobRoleId]);
+      if (jobRole.length === 0) {
+        throw new Error(`Job role ${jobRoleId} does not exist`);
+      }
+
+      if (endDate && endDate <= startDate) {
+        throw new Error('endDate must be after startDate');
+      }
+
+      // Overlap check: existing.start < new.end AND (existing.end IS NULL OR existing.end > new.start)
+      const overlapRes = await connection.execute(
+        `SELECT USER_JOB_ROLE_ID
+           FROM SEC.USER_JOB_ROLES
+          WHERE USER_ID = :userId
+            AND JOB_ROLE_ID = :jobRoleId
+            AND (:endDate IS NULL OR START_DATE < :endDate)
+            AND (END_DATE IS NULL OR END_DATE > :startDate)`,
+        { userId, jobRoleId, startDate, endDate },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      if (overlapRes.rows.length > 0) {
+        throw new Error(
+          `Job role ${jobRoleId} is already assigned to user ${userId} for an overlapping period`
+        );
+      }
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.USER_JOB_ROLES (
+          USER_ID,
+          JOB_ROLE_ID,
+          START_DATE,
+          END_DATE,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :userId,
+          :jobRoleId,
+          :startDate,
+          :endDate,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING USER_JOB_ROLE_ID INTO :userJobRoleId`,
+        {
+          userId,
+          jobRoleId,
+          startDate,
+          endDate,
+          createdBy,
+          userJobRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const userJobRoleId = result.outBinds.userJobRoleId[0];
+
+      // an explicit assignment overrides an earlier certification revocation
+      await ProvisioningModel.clearExclusion(connection, userId, jobRoleId);
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'USER',
+        entityId: userId,
+        action: 'ASSIGN_JOB_ROLE',
+        actor: createdBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      const assignments = await this.getJobRoles(userId);
+      return assignments.find(a => a.USER_JOB_ROLE_ID === userJobRoleId) || null;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Unassign a job role from a user by end-dating its open assignments
+   * @param {number} userId - User ID
+   * @param {number} jobRoleId - Job role ID
+   * @param {Date} endDate - Effective end date (default: now)
+   * @param {string} updatedBy - Updated by user
+   * @returns {Promise<Object|null>} - { wasRemoved } or null if user not found
+   */
+  static async unassignJobRole(userId, jobRoleId, endDate = new Date(), updatedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      // Assignments that have not started yet by endDate are removed entirely
+      const deleteResult = await connection.execute(
+        `DELETE FROM SEC.USER_JOB_ROLES
+          WHERE USER_ID = :userId
+            AND JOB_ROLE_ID = :jobRoleId
+            AND START_DATE >= :endDate`,
+        { userId, jobRoleId, endDate },
+        { autoCommit: false }
+      );
+
+      const updateResult = await connection.execute(
+        `UPDATE SEC.USER_JOB_ROLES
+            SET END_DATE   = :endDate,
+                UPDATED_AT = SYSTIMESTAMP,
+                UPDATED_BY = :updatedBy
+          WHERE USER_ID = :userId
+            AND JOB_ROLE_ID = :jobRoleId
+            AND (END_DATE IS NULL OR END_DATE > :endDate)`,
+        { userId, jobRoleId, endDate, updatedBy },
+        { autoCommit: false }
+      );
+
+      const wasRemoved = deleteResult.rowsAffected + updateResult.rowsAffected > 0;
+
+      if (wasRemoved) {
+        await AuditModel.recordChange(connection, {
+          entityType: 'USER',
+          entityId: userId,
+          action: 'UNASSIGN_JOB_ROLE',
+          actor: updatedBy,
+          before
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+
+      return { wasRemoved };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Get data role assignments of a user
+   * @param {number} userId - User ID
+   * @param {Object} options
+   * @param {boolean} options.activeOnly - Only return assignments active right now
+   * @returns {Promise<Array>} - Assignment rows joined with data role and job role code/name/status,
+   *                             each with DATA_SCOPES
+   */
+  static async getDataRoles(userId, { activeOnly = false } = {}) {
+    const conditions = ['UDR.USER_ID = :userId'];
+
+    if (activeOnly) {
+      conditions.push('UDR.START_DATE <= SYSTIMESTAMP');
+      conditions.push('(UDR.END_DATE IS NULL OR UDR.END_DATE > SYSTIMESTAMP)');
+    }
+
+    const result = await executeQuery(
+      `SELECT
+        UDR.USER_DATA_ROLE_ID,
+        UDR.USER_ID,
+        UDR.DATA_ROLE_ID,
+        DR.DATA_ROLE_CODE,
+        DR.DATA_ROLE_NAME,
+        DR.STATUS AS DATA_ROLE_STATUS,
+        DR.JOB_ROLE_ID,
+        JR.JOB_ROLE_CODE,
+        JR.JOB_ROLE_NAME,
+        UDR.START_DATE,
+        UDR.END_DATE,
+        UDR.CREATED_AT,
+        UDR.CREATED_BY,
+        UDR.UPDATED_AT,
+        UDR.UPDATED_BY
+      FROM SEC.USER_DATA_ROLES UDR
+      JOIN SEC.DATA_ROLES DR ON UDR.DATA_ROLE_ID = DR.DATA_ROLE_ID
+      JOIN SEC.JOB_ROLES JR ON DR.JOB_ROLE_ID = JR.JOB_ROLE_ID
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY UDR.START_DATE, UDR.USER_DATA_ROLE_ID`,
+      { userId }
+    );
+
+    return await DataRoleModel.attachScopes(result.rows);
+  }
+
+  /**
+   * Assign a data role to a user for an effective date range
+   * - startDate defaults to now, endDate defaults to open-ended.
+   * - Rejects a grant that overlaps an existing assignment of the same data role.
+   * @param {number} userId - User ID
+   * @param {Object} assignment
+   * @param {number} assignment.dataRoleId - Data role ID
+   * @param {Date} assignment.startDate - Effective start date
+   * @param {Date|null} assignment.endDate - Effective end date
+   * @param {string} assignment.createdBy - Created by user
+   * @returns {Promise<Object|null>} - Created assignment or null if user not found
+   */
+  static async assignDataRole(userId, assignment) {
+    const connection = await getConnection();
+    try {
+      const {
+        dataRoleId,
+        startDate = new Date(),
+        endDate = null,
+        createdBy = 'SYSTEM'
+      } = assignment;
+
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      const dataRole = await connection.execute(
+        'SELECT DATA_ROLE_ID FROM SEC.DATA_ROLES WHERE DATA_ROLE_ID = :dataRoleId',
+        { dataRoleId },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      if (dataRole.rows.length === 0) {
+        throw new Error(`Data role ${dataRoleId} does not exist`);
+      }
+
+      if (endDate && endDate <= startDate) {
+        throw new Error('endDate must be after startDate');
+      }
+
+      const overlapRes = await connection.execute(
+        `SELECT USER_DATA_ROLE_ID
+           FROM SEC.USER_DATA_ROLES
+          WHERE USER_ID = :userId
+            AND DATA_ROLE_ID = :dataRoleId
+            AND (:endDate IS NULL OR START_DATE < :endDate)
+            AND (END_DATE IS NULL OR END_DATE > :startDate)`,
+        { userId, dataRoleId, startDate, endDate },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+
+      if (overlapRes.rows.length > 0) {
+        throw new Error(
+          `Data role ${dataRoleId} is already assigned to user ${userId} for an overlapping period`
+        );
+      }
+
+      const result = await connection.execute(
+        `INSERT INTO SEC.USER_DATA_ROLES (
+          USER_ID,
+          DATA_ROLE_ID,
+          START_DATE,
+          END_DATE,
+          CREATED_BY,
+          CREATED_AT
+        ) VALUES (
+          :userId,
+          :dataRoleId,
+          :startDate,
+          :endDate,
+          :createdBy,
+          SYSTIMESTAMP
+        )
+        RETURNING USER_DATA_ROLE_ID INTO :userDataRoleId`,
+        {
+          userId,
+          dataRoleId,
+          startDate,
+          endDate,
+          createdBy,
+          userDataRoleId: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT }
+        },
+        { autoCommit: false }
+      );
+
+      const userDataRoleId = result.outBinds.userDataRoleId[0];
+
+      await AuditModel.recordChange(connection, {
+        entityType: 'USER',
+        entityId: userId,
+        action: 'ASSIGN_DATA_ROLE',
+        actor: createdBy,
+        before
+      });
+
+      await connection.commit();
+      await connection.close();
+
+      const assignments = await this.getDataRoles(userId);
+      return assignments.find(a => a.USER_DATA_ROLE_ID === userDataRoleId) || null;
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Unassign a data role from a user by end-dating its open assignments
+   * @param {number} userId - User ID
+   * @param {number} dataRoleId - Data role ID
+   * @param {Date} endDate - Effective end date (default: now)
+   * @param {string} updatedBy - Updated by user
+   * @returns {Promise<Object|null>} - { wasRemoved } or null if user not found
+   */
+  static async unassignDataRole(userId, dataRoleId, endDate = new Date(), updatedBy = 'SYSTEM') {
+    const connection = await getConnection();
+    try {
+      const before = await AuditModel.snapshot(connection, 'USER', userId);
+      if (!before) {
+        await connection.close();
+        return null;
+      }
+
+      // Assignments that have not started yet by endDate are removed entirely
+      const deleteResult = await connection.execute(
+        `DELETE FROM SEC.USER_DATA_ROLES
+          WHERE USER_ID = :userId
+            AND DATA_ROLE_ID = :dataRoleId
+            AND START_DATE >= :endDate`,
+        { userId, dataRoleId, endDate },
+        { autoCommit: false }
+      );
+
+      const updateResult = await connection.execute(
+        `UPDATE SEC.USER_DATA_ROLES
+            SET END_DATE   = :endDate,
+                UPDATED_AT = SYSTIMESTAMP,
+                UPDATED_BY = :updatedBy
+          WHERE USER_ID = :userId
+            AND DATA_ROLE_ID = :dataRoleId
+            AND (END_DATE IS NULL OR END_DATE > :endDate)`,
+        { userId, dataRoleId, endDate, updatedBy },
+        { autoCommit: false }
+      );
+
+      const wasRemoved = deleteResult.rowsAffected + updateResult.rowsAffected > 0;
+
+      if (wasRemoved) {
+        await AuditModel.recordChange(connection, {
+          entityType: 'USER',
+          entityId: userId,
+          action: 'UNASSIGN_DATA_ROLE',
+          actor: updatedBy,
+          before
+        });
+      }
+
+      await connection.commit();
+      await connection.close();
+
+      return { wasRemoved };
+    } catch (error) {
+      try { await connection.rollback(); } catch (_) {}
+      await connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the effective privileges of a user, with provenance.
+   *
+   * Walks every active job role assignment and the job role of every active
+   * data role assignment, follows INHERITED_FROM parents
+   * (JobRoleModel.collectDutyRoleGrants) and expands each duty role with
+   * DutyRoleModel.computeEffectivePrivileges. Inactive job roles, data roles,
+   * duty roles and privileges grant nothing and are skipped.
+   *
+   * Each privilege is returned once, with a GRANTED_BY list describing every
+   * path (assignment → [data role →] job role chain → duty role) that grants it.
+   * DATA_SCOPES is the union of the scopes of the data roles granting the
+   * privilege, or null when a plain job role assignment grants it unrestricted.
+   *
+   * @param {number} userId - User ID
+   * @returns {Promise<Array|null>} - Deduplicated privilege objects, or null if user not found
+   */
+  static async getEffectivePrivileges(userId) {
+    const userRes = await executeQuery(
+      'SELECT USER_ID FROM SEC.USERS WHERE USER_ID = :userId',
+      { userId }
+    );
+
+    if (userRes.rows.length === 0) {
+      return null;
+    }
+
+    const assignments = await this.getJobRoles(userId, { activeOnly: true });
+    const dataRoleAssignments = (await this.getDataRoles(userId, { activeOnly: true }))
+      .filter(assignment => assignment.DATA_ROLE_STATUS === 'ACTIVE');
+
+    // 1) job role and data role assignments → duty role grants with their job role chain
+    const dutyRoleGrants = [];
+    for (const assignment of assignments) {
+      const grants = await JobRoleModel.collectDutyRoleGrants(assignment.JOB_ROLE_ID);
+      grants.forEach(grant => dutyRoleGrants.push({ ...grant, assignment }));
+    }
+    for (const dataRoleAssignment of dataRoleAssignments) {
+      const grants = await JobRoleModel.collectDutyRoleGrants(dataRoleAssignment.JOB_ROLE_ID);
+      grants.forEach(grant => dutyRoleGrants.push({ ...grant, dataRoleAssignment }));
+    }
+
+    if (dutyRoleGrants.length === 0) return [];
+
+    // 2) expand each distinct duty role once
+    const dutyRoleIds = [...new Set(dutyRoleGrants.map(g => g.duty_role_id))];
+    const { placeholders, binds } = buildInClause(dutyRoleIds);
+
+    const dutyRoleRes = await executeQuery(
+      `SELECT DUTY_ROLE_ID, DUTY_ROLE_NAME, ROLE_CODE, STATUS
+         FROM SEC.DUTY_ROLES
+        WHERE DUTY_ROLE_ID IN (${placeholders})
+          AND STATUS = 'ACTIVE'`,
+      binds
+    );
+
+    const dutyRoles = new Map();
+    for (const row of await DutyRoleModel.attachRelationships(dutyRoleRes.rows)) {
+      const privileges = await DutyRoleModel.computeEffectivePrivileges(row);
+      dutyRoles.set(row.DUTY_ROLE_ID, {
+        duty_role: {
+          duty_role_id: row.DUTY_ROLE_ID,
+          duty_role_name: row.DUTY_ROLE_NAME,
+          role_code: row.ROLE_CODE
+        },
+        privileges: privileges.filter(p => p.STATUS === 'ACTIVE')
+      });
+    }
+
+    // 3) merge into one entry per privilege, keeping every granting path
+    const privilegesById = new Map();
+    for (const grant of dutyRoleGrants) {
+      const dutyRole = dutyRoles.get(grant.duty_role_id);
+      if (!dutyRole) continue;
+
+      for (const privilege of dutyRole.privileges) {
+        const { inherited, ...privilegeData } = privilege;
+
+        if (!privilegesById.has(privilege.PRIVILEGE_ID)) {
+          privilegesById.set(privilege.PRIVILEGE_ID, { ...privilegeData, GRANTED_BY: [] });
+        }
+
+        const dataRoleAssignment = grant.dataRoleAssignment;
+        privilegesById.get(privilege.PRIVILEGE_ID).GRANTED_BY.push({
+          user_job_role_id: grant.assignment?.USER_JOB_ROLE_ID ?? null,
+          user_data_role_id: dataRoleAssignment?.USER_DATA_ROLE_ID ?? null,
+          data_role: dataRoleAssignment
+            ? {
+                data_role_id: dataRoleAssignment.DATA_ROLE_ID,
+                data_role_code: dataRoleAssignment.DATA_ROLE_CODE,
+                data_role_name: dataRoleAssignment.DATA_ROLE_NAME
+              }
+            : null,
+          data_scopes: dataRoleAssignment ? dataRoleAssignment.DATA_SCOPES : null,
+          job_role: grant.inheritance_chain[0],
+          duty_role: dutyRole.duty_role,
+          inheritance_chain: grant.inheritance_chain,
+          inherited_from_parent_duty_role: inherited
+        });
+      }
+    }
+
+    // 4) data scopes: unrestricted if any path is a plain job role grant
+    for (const privilege of privilegesById.values()) {
+      if (privilege.GRANTED_BY.some(path => !path.data_scopes)) {
+        privilege.DATA_SCOPES = null;
+        continue;
+      }
+
+      const scopes = new Map();
+      for (const path of privilege.GRANTED_BY) {
+        path.data_scopes.forEach(scope => scopes.set(`${scope.SCOPE_TYPE}\n${scope.SCOPE_VALUE}`, scope));
+      }
+      privilege.DATA_SCOPES = [...scopes.values()].sort((a, b) =>
+        a.SCOPE_TYPE.localeCompare(b.SCOPE_TYPE) || a.SCOPE_VALUE.localeCompare(b.SCOPE_VALUE)
+      );
+    }
+
+    return [...privilegesById.values()].sort((a, b) =>
+      String(a.PRIVILEGE_CODE).localeCompare(String(b.PRIVILEGE_CODE))
+    );
+  }
+}
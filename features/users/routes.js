@@ -0,0 +1,26 @@
+import express from 'express';
+import { privilegeGuards } from '../../middleware/authorize.js';
+import { UserController } from './controller.js';
+
+const router = express.Router();
+const { canView, canManage } = privilegeGuards('SEC_USERS');
+
+// Routes
+router.get('/', canView, UserController.getAll);
+router.post('/', canManage, UserController.create);
+
+// Job role and data role assignment routes (must come before /:id routes)
+router.get('/:id/job-roles', canView, UserController.getJobRoles);
+router.post('/:id/job-roles', canManage, UserController.assignJobRole);
+router.delete('/:id/job-roles/:jobRoleId', canManage, UserController.unassignJobRole);
+router.get('/:id/data-roles', canView, UserController.getDataRoles);
+router.post('/:id/data-roles', canManage, UserController.assignDataRole);
+router.delete('/:id/data-roles/:dataRoleId', canManage, UserController.unassignDataRole);
+router.get('/:id/effective-privileges', canView, UserController.getEffectivePrivileges);
+
+// CRUD routes
+router.get('/:id', canView, UserController.getById);
+router.put('/:id', canManage, UserController.update);
+router.delete('/:id', canManage, UserController.delete);
+
+export default router;
@@ -0,0 +1,168 @@
+import { toLowerCaseKeys, generatePageNumbers } from '../../utils/stringUtils.js';
+
+/**
+ * User View - Response formatting for users API
+ */
+export class UserView {
+  /**
+   * Format paginated response
+   * @param {Object} result - Result object from model
+   * @returns {Object} - Formatted response
+   */
+  static formatPaginatedResponse(result) {
+    const activeUsers = result.data.filter(item =>
+      item.STATUS === 'ACTIVE' || item.status === 'ACTIVE'
+    ).length;
+
+    return {
+      success: true,
+      data: toLowerCaseKeys(result.data),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNextPage: result.page < result.totalPages,
+        hasPrevPage: result.page > 1,
+        pages: generatePageNumbers(result.page, result.totalPages),
+        activeUsers: activeUsers
+      },
+      activity: result.activity || {
+        total_active_value: 0,
+        total_inactive_value: 0
+      }
+    };
+  }
+
+  /**
+   * Format single user response
+   * @param {Object} userData - User object
+   * @returns {Object} - Formatted response
+   */
+  static formatSingleResponse(userData) {
+    if (!userData) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    const lowerCaseItem = toLowerCaseKeys(userData);
+
+    if (!Array.isArray(lowerCaseItem.job_roles)) {
+      lowerCaseItem.job_roles = [];
+    }
+
+    if (!Array.isArray(lowerCaseItem.data_roles)) {
+      lowerCaseItem.data_roles = [];
+    }
+
+    return {
+      success: true,
+      data: lowerCaseItem
+    };
+  }
+
+  /**
+   * Format list of job role or data role assignments
+   * @param {Array} assignments - Assignment rows
+   * @returns {Object} - Formatted response
+   */
+  static formatAssignmentListResponse(assignments) {
+    return {
+      success: true,
+      data: toLowerCaseKeys(assignments)
+    };
+  }
+
+  /**
+   * Format a single job role assignment
+   * @param {Object} assignment - Assignment row
+   * @returns {Object} - Formatted response
+   */
+  static formatAssignmentResponse(assignment) {
+    return {
+      success: true,
+      message: `Job role (ID: ${assignment.JOB_ROLE_ID}) has been assigned to this user`,
+      data: toLowerCaseKeys(assignment)
+    };
+  }
+
+  /**
+   * Format job role unassignment response
+   * @param {Object} result - Result object from model with wasRemoved
+   * @param {number} jobRoleId - Job role ID that was requested to be unassigned
+   * @returns {Object} - Formatted response with message only
+   */
+  static formatUnassignResponse(result, jobRoleId) {
+    const message = result.wasRemoved
+      ? `Job role (ID: ${jobRoleId}) has been unassigned from this user`
+      : `Job role (ID: ${jobRoleId}) is not currently assigned to this user`;
+
+    return {
+      success: true,
+      message: message
+    };
+  }
+
+  /**
+   * Format a single data role assignment
+   * @param {Object} assignment - Assignment row (with DATA_SCOPES)
+   * @returns {Object} - Formatted response
+   */
+  static formatDataRoleAssignmentResponse(assignment) {
+    return {
+      success: true,
+      message: `Data role (ID: ${assignment.DATA_ROLE_ID}) has been assigned to this user`,
+      data: toLowerCaseKeys(assignment)
+    };
+  }
+
+  /**
+   * Format data role unassignment response
+   * @param {Object} result - Result object from model with wasRemoved
+   * @param {number} dataRoleId - Data role ID that was requested to be unassigned
+   * @returns {Object} - Formatted response with message only
+   */
+  static formatDataRoleUnassignResponse(result, dataRoleId) {
+    const message = result.wasRemoved
+      ? `Data role (ID: ${dataRoleId}) has been unassigned from this user`
+      : `Data role (ID: ${dataRoleId}) is not currently assigned to this user`;
+
+    return {
+      success: true,
+      message: message
+    };
+  }
+
+  /**
+   * Format effective privileges response
+   * @param {number} userId - User ID
+   * @param {Array} privileges - Privileges with GRANTED_BY provenance
+   * @returns {Object} - Formatted response
+   */
+  static formatEffectivePrivilegesResponse(userId, privileges) {
+    return {
+      success: true,
+      data: {
+        user_id: userId,
+        total: privileges.length,
+        privileges: toLowerCaseKeys(privileges)
+      }
+    };
+  }
+
+  /**
+   * Format error response
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Object} - Formatted error response
+   */
+  static formatErrorResponse(message, statusCode = 500) {
+    return {
+      success: false,
+      error: message,
+      statusCode
+    };
+  }
+}
@@ -0,0 +1,63 @@
+import { verifyToken } from '../utils/tokenUtils.js';
+
+/**
+ * Authentication Middleware - Verifies the Bearer session token
+ *
+ * Tokens are issued by POST /api/auth/login. On success the caller is exposed
+ * as req.user = { userId, username } for the authorization middleware and the
+ * controllers (createdBy / updatedBy).
+ */
+
+/**
+ * Format error response (same shape as the feature views)
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Object} - Formatted error response
+ */
+function formatErrorResponse(message, statusCode) {
+  return {
+    success: false,
+    error: message,
+    statusCode
+  };
+}
+
+/**
+ * Require a valid `Authorization: Bearer <token>` header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json(
+      formatErrorResponse('Authentication required', 401)
+    );
+  }
+
+  try {
+    const claims = verifyToken(token);
+    req.user = {
+      userId: claims.sub,
+      username: claims.username
+    };
+    next();
+  } catch (error) {
+    if (error.message.includes('AUTH_TOKEN_SECRET')) {
+      return res.status(500).json(
+        formatErrorResponse(error.message, 500)
+      );
+    }
+
+    res.status(401).json(
+      formatErrorResponse(error.message, 401)
+    );
+  }
+}
+
+export default {
+  authenticate
+};
@@ -0,0 +1,185 @@
+import { UserModel } from '../features/users/model.js';
+
+/**
+ * Authorization Middleware - Enforces function privileges on API routes
+ *
+ * The caller's effective privileges are resolved from SEC.FUNCTION_PRIVILEGES
+ * through their job roles and duty roles (UserModel.getEffectivePrivileges).
+ * The result is cached on the request, so several checks on one request walk
+ * the role graph only once.
+ *
+ * Environment:
+ *  - AUTHZ_ENABLED=false      disables every check (local development only)
+ *  - AUTHZ_SUPERUSERS=a,b     usernames that bypass checks (break-glass / bootstrap)
+ */
+
+/**
+ * Format error response (same shape as the feature views)
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Object} - Formatted error response
+ */
+function formatErrorResponse(message, statusCode) {
+  return {
+    success: false,
+    error: message,
+    statusCode
+  };
+}
+
+/**
+ * Whether authorization checks are enabled
+ * @returns {boolean}
+ */
+function isAuthorizationEnabled() {
+  return (process.env.AUTHZ_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Whether the username is configured as a superuser
+ * @param {string} username
+ * @returns {boolean}
+ */
+function isSuperuser(username) {
+  const superusers = (process.env.AUTHZ_SUPERUSERS || '')
+    .split(',')
+    .map(name => name.trim().toUpperCase())
+    .filter(Boolean);
+
+  return superusers.includes(String(username).toUpperCase());
+}
+
+/**
+ * Identify the caller of the request
+ * Only the identity set on req.user upstream is trusted; client-supplied
+ * headers never select the caller.
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Username or null when anonymous
+ */
+function getCallerUsername(req) {
+  return req.user?.username || null;
+}
+
+/**
+ * Resolve the caller's effective privilege codes, once per request
+ * @param {Object} req - Express request object
+ * @param {string} username - Caller username
+ * @returns {Promise<Set<string>|null>} - Privilege codes, or null when the user is unknown or not active
+ */
+export function resolveCallerPrivileges(req, username) {
+  if (!req.effectivePrivileges) {
+    req.effectivePrivileges = (async () => {
+      const user = await UserModel.getByUsername(username);
+      if (!user || user.STATUS !== 'ACTIVE') {
+        return null;
+      }
+
+      const privileges = await UserModel.getEffectivePrivileges(user.USER_ID);
+      return new Set((privileges || []).map(p => p.PRIVILEGE_CODE));
+    })();
+  }
+
+  return req.effectivePrivileges;
+}
+
+/**
+ * Whether the caller holds at least one of the given function privileges, for
+ * checks that depend on the record being acted on (superusers and disabled
+ * authorization count as holding every privilege)
+ * @param {Object} req - Express request object
+ * @param {...string} privilegeCodes - Accepted PRIVILEGE_CODE values
+ * @returns {Promise<boolean>}
+ */
+export async function callerHasPrivilege(req, ...privilegeCodes) {
+  if (!isAuthorizationEnabled()) {
+    return true;
+  }
+
+  const username = getCallerUsername(req);
+  if (!username) {
+    return false;
+  }
+
+  if (isSuperuser(username)) {
+    return true;
+  }
+
+  const granted = await resolveCallerPrivileges(req, username);
+  return Boolean(granted) && privilegeCodes.some(code => granted.has(code));
+}
+
+/**
+ * Create a middleware that requires the caller to hold at least one of the
+ * given function privileges.
+ *
+ * @example
+ *   router.get('/', requirePrivilege('SEC_MODULES_VIEW', 'SEC_MODULES_MANAGE'), ModuleController.getAll);
+ *
+ * @param {...string} privilegeCodes - Accepted PRIVILEGE_CODE values
+ * @returns {Function} - Express middleware
+ */
+export function requirePrivilege(...privilegeCodes) {
+  if (privilegeCodes.length === 0) {
+    throw new Error('requirePrivilege needs at least one privilege code');
+  }
+
+  return async (req, res, next) => {
+    if (!isAuthorizationEnabled()) {
+      return next();
+    }
+
+    const username = getCallerUsername(req);
+    if (!username) {
+      return res.status(401).json(
+        formatErrorResponse('Authentication required', 401)
+      );
+    }
+
+    if (isSuperuser(username)) {
+      return next();
+    }
+
+    try {
+      const granted = await resolveCallerPrivileges(req, username);
+
+      if (!granted) {
+        return res.status(403).json(
+          formatErrorResponse(`User ${username} is not an active user`, 403)
+        );
+      }
+
+      if (!privilegeCodes.some(code => granted.has(code))) {
+        return res.status(403).json(
+          formatErrorResponse(`Missing required privilege: ${privilegeCodes.join(' or ')}`, 403)
+        );
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json(
+        formatErrorResponse(error.message, 500)
+      );
+    }
+  };
+}
+
+/**
+ * Create the view / manage middleware pair used by the security administration routers.
+ * VIEW is satisfied by either <PREFIX>_VIEW or <PREFIX>_MANAGE; MANAGE needs <PREFIX>_MANAGE.
+ *
+ * @param {string} prefix - Privilege code prefix, e.g. 'SEC_MODULES'
+ * @returns {{canView: Function, canManage: Function}}
+ */
+export function privilegeGuards(prefix) {
+  return {
+    canView: requirePrivilege(`${prefix}_VIEW`, `${prefix}_MANAGE`),
+    canManage: requirePrivilege(`${prefix}_MANAGE`)
+  };
+}
+
+export default {
+  requirePrivilege,
+  privilegeGuards,
+  resolveCallerPrivileges,
+  callerHasPrivilege
+};
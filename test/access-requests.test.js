@@ -0,0 +1,284 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, signIn, createSignedInUser } from './helpers/server.js';
+
+let api;
+let owner;
+let boss;
+let employee;
+let clerk;
+let auditor;
+const tokens = {};
+
+before(async () => {
+  api = await startTestServer();
+
+  owner = await create(api, '/api/users', { username: 'ar-owner', password: 'owner-password-1' });
+  boss = await create(api, '/api/users', { username: 'ar-boss', password: 'boss-password-1' });
+  employee = await create(api, '/api/users', {
+    username: 'ar-employee',
+    password: 'employee-password-1',
+    managerUserId: boss.user_id
+  });
+  assert.equal(employee.manager_user_id, boss.user_id);
+
+  clerk = await create(api, '/api/job-roles', { jobRoleCode: 'AR_CLERK', jobRoleName: 'Clerk', ownerUserId: owner.user_id });
+  auditor = await create(api, '/api/job-roles', { jobRoleCode: 'AR_AUDITOR', jobRoleName: 'Auditor' });
+  assert.equal(clerk.owner_user_id, owner.user_id);
+
+  for (const [username, password] of [
+    ['ar-owner', 'owner-password-1'],
+    ['ar-boss', 'boss-password-1'],
+    ['ar-employee', 'employee-password-1']
+  ]) {
+    tokens[username] = await signIn(api, username, password);
+  }
+});
+
+after(async () => {
+  await api.stop();
+});
+
+function as(username) {
+  return { token: tokens[username] };
+}
+
+test('an approved request walks role owner, manager and security, then grants the job role', async () => {
+  let response = await api.request('POST', '/api/access-requests', {
+    jobRoleId: clerk.job_role_id,
+    justification: 'Month-end close'
+  }, as('ar-employee'));
+  assert.equal(response.status, 201, response.text);
+  const request = response.body.data;
+  assert.equal(request.user_id, employee.user_id);
+  assert.equal(request.status, 'PENDING');
+  assert.equal(request.current_step, 'ROLE_OWNER');
+  assert.deepEqual(request.approval_chain, ['ROLE_OWNER', 'MANAGER', 'SECURITY']);
+
+  const approve = (username, body = {}) =>
+    api.request('POST', `/api/access-requests/${request.request_id}/approve`, body, as(username));
+
+  response = await approve('ar-employee');
+  assert.equal(response.status, 403);
+  response = await approve('ar-boss');
+  assert.equal(response.status, 403);
+
+  response = await api.request('GET', '/api/access-requests/approvals', undefined, as('ar-owner'));
+  assert.deepEqual(response.body.data.map(r => r.request_id), [request.request_id]);
+
+  response = await approve('ar-owner', { comments: 'Needed for AP' });
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.current_step, 'MANAGER');
+
+  response = await approve('ar-boss');
+  assert.equal(response.body.data.current_step, 'SECURITY');
+
+  response = await api.request('GET', '/api/access-requests/mine', undefined, as('ar-employee'));
+  assert.deepEqual(response.body.data.map(r => [r.job_role_code, r.current_step]), [['AR_CLERK', 'SECURITY']]);
+
+  response = await api.request('POST', `/api/access-requests/${request.request_id}/approve`);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.status, 'APPROVED');
+  assert.equal(response.body.data.current_step, null);
+  assert.ok(response.body.data.user_job_role_id);
+  assert.deepEqual(response.body.data.history.map(h => [h.action, h.step, h.to_status, h.actor]), [
+    ['SUBMIT', null, 'PENDING', 'ar-employee'],
+    ['APPROVE', 'ROLE_OWNER', 'PENDING', 'ar-owner'],
+    ['APPROVE', 'MANAGER', 'PENDING', 'ar-boss'],
+    ['APPROVE', 'SECURITY', 'APPROVED', 'test-admin']
+  ]);
+
+  const roles = await api.request('GET', `/api/users/${employee.user_id}/job-roles`);
+  assert.deepEqual(roles.body.data.map(r => r.job_role_code), ['AR_CLERK']);
+
+  response = await api.request('POST', `/api/access-requests/${request.request_id}/approve`);
+  assert.equal(response.status, 409);
+
+  response = await api.request('POST', '/api/access-requests', { jobRoleId: clerk.job_role_id }, as('ar-employee'));
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /already holds job role AR_CLERK/);
+});
+
+test('requests can be rejected by the approver or withdrawn by the requester', async () => {
+  let response = await api.request('POST', '/api/access-requests', { jobRoleId: auditor.job_role_id }, as('ar-employee'));
+  assert.equal(response.status, 201, response.text);
+  const rejected = response.body.data;
+
+  response = await api.request('POST', '/api/access-requests', { jobRoleId: auditor.job_role_id }, as('ar-employee'));
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /already pending/);
+
+  // AR_AUDITOR has no owner: security approves the ROLE_OWNER step instead
+  response = await api.request('GET', '/api/access-requests/approvals', undefined, as('ar-owner'));
+  assert.deepEqual(response.body.data, []);
+  response = await api.request('GET', '/api/access-requests/approvals');
+  assert.deepEqual(response.body.data.map(r => r.request_id), [rejected.request_id]);
+
+  response = await api.request('POST', `/api/access-requests/${rejected.request_id}/reject`, {});
+  assert.equal(response.status, 400);
+  response = await api.request('POST', `/api/access-requests/${rejected.request_id}/reject`, { comments: 'Not justified' });
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.status, 'REJECTED');
+  assert.deepEqual(response.body.data.history.map(h => [h.action, h.step, h.comments]), [
+    ['SUBMIT', null, null],
+    ['REJECT', 'ROLE_OWNER', 'Not justified']
+  ]);
+
+  response = await api.request('POST', '/api/access-requests', { jobRoleId: auditor.job_role_id }, as('ar-employee'));
+  const withdrawn = response.body.data;
+
+  response = await api.request('POST', `/api/access-requests/${withdrawn.request_id}/withdraw`, {}, as('ar-boss'));
+  assert.equal(response.status, 403);
+  response = await api.request('POST', `/api/access-requests/${withdrawn.request_id}/withdraw`, { comments: 'No longer needed' }, as('ar-employee'));
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.status, 'WITHDRAWN');
+  assert.deepEqual(response.body.data.history.map(h => [h.action, h.from_status, h.to_status]), [
+    ['SUBMIT', null, 'PENDING'],
+    ['WITHDRAW', 'PENDING', 'WITHDRAWN']
+  ]);
+});
+
+test('requests for other users and the full list need the access request privileges', async () => {
+  let response = await api.request('POST', '/api/access-requests', { jobRoleId: clerk.job_role_id, userId: boss.user_id }, as('ar-employee'));
+  assert.equal(response.status, 403);
+
+  response = await api.request('POST', '/api/access-requests', { jobRoleId: clerk.job_role_id, userId: boss.user_id });
+  assert.equal(response.status, 201, response.text);
+  const onBehalf = response.body.data;
+  assert.equal(onBehalf.username, 'ar-boss');
+
+  response = await api.request('GET', `/api/access-requests/${onBehalf.request_id}`, undefined, as('ar-employee'));
+  assert.equal(response.status, 403);
+  response = await api.request('GET', `/api/access-requests/${onBehalf.request_id}`, undefined, as('ar-owner'));
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('GET', '/api/access-requests', undefined, as('ar-employee'));
+  assert.equal(response.status, 403);
+
+  response = await api.request('GET', `/api/access-requests?status=pending&userId=${boss.user_id}`);
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.data.map(r => r.request_id), [onBehalf.request_id]);
+  assert.equal(response.body.activity.total_pending_value, 1);
+
+  response = await api.request('POST', '/api/access-requests', { jobRoleId: 999999, userId: boss.user_id });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Job role 999999 does not exist/);
+});
+
+test('ACCESS_REQUEST_APPROVAL_CHAIN configures the steps of new requests', async () => {
+  const security = await createSignedInUser(api, 'ar-chain-security', ['SEC_ACCESS_REQUESTS_MANAGE']);
+  process.env.ACCESS_REQUEST_APPROVAL_CHAIN = 'manager, security';
+  try {
+    const user = await create(api, '/api/users', { username: 'ar-short-chain', managerUserId: boss.user_id });
+    let response = await api.request('POST', '/api/access-requests', { jobRoleId: auditor.job_role_id, userId: user.user_id });
+    assert.equal(response.status, 201, response.text);
+    const request = response.body.data;
+    assert.deepEqual(request.approval_chain, ['MANAGER', 'SECURITY']);
+
+    response = await api.request('POST', `/api/access-requests/${request.request_id}/approve`, {}, as('ar-boss'));
+    assert.equal(response.body.data.current_step, 'SECURITY');
+    // test-admin submitted the request, so another security approver decides it
+    response = await api.request('POST', `/api/access-requests/${request.request_id}/approve`);
+    assert.equal(response.status, 403);
+    response = await api.request('POST', `/api/access-requests/${request.request_id}/approve`, {}, { token: security.token });
+    assert.equal(response.body.data.status, 'APPROVED');
+  } finally {
+    delete process.env.ACCESS_REQUEST_APPROVAL_CHAIN;
+  }
+
+  const response = await api.request('PUT', `/api/users/${boss.user_id}`, { managerUserId: boss.user_id });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /own manager/);
+});
+
+test('nobody approves two steps of a request or a request they submitted', async () => {
+  const securityBoss = await createSignedInUser(api, 'ar-sod-boss', ['SEC_ACCESS_REQUESTS_MANAGE']);
+  const first = await createSignedInUser(api, 'ar-sod-first', ['SEC_ACCESS_REQUESTS_MANAGE']);
+  const second = await createSignedInUser(api, 'ar-sod-second', ['SEC_ACCESS_REQUESTS_MANAGE']);
+  const report = await createSignedInUser(api, 'ar-sod-report', [], { managerUserId: securityBoss.user.user_id });
+  const loner = await createSignedInUser(api, 'ar-sod-loner');
+  const approve = (request, { token }) =>
+    api.request('POST', `/api/access-requests/${request.request_id}/approve`, {}, { token });
+  const approvals = async ({ token }) =>
+    (await api.request('GET', '/api/access-requests/approvals', undefined, { token })).body.data.map(r => r.request_id);
+
+  // a manager holding the security privilege approves the MANAGER step only
+  let response = await api.request('POST', '/api/access-requests', { jobRoleId: clerk.job_role_id }, { token: report.token });
+  assert.equal(response.status, 201, response.text);
+  const managed = response.body.data;
+  response = await approve(managed, as('ar-owner'));
+  assert.equal(response.status, 200, response.text);
+  response = await approve(managed, securityBoss);
+  assert.equal(response.body.data.current_step, 'SECURITY');
+  assert.ok(!(await approvals(securityBoss)).includes(managed.request_id));
+  response = await approve(managed, securityBoss);
+  assert.equal(response.status, 403);
+  assert.match(response.body.error, /Not allowed to approve the SECURITY step/);
+  response = await approve(managed, first);
+  assert.equal(response.body.data.status, 'APPROVED');
+
+  // security fills the ROLE_OWNER and MANAGER steps of an unowned role for a user without a manager
+  response = await api.request('POST', '/api/access-requests', { jobRoleId: auditor.job_role_id }, { token: loner.token });
+  const fallback = response.body.data;
+  response = await approve(fallback, first);
+  assert.equal(response.body.data.current_step, 'MANAGER');
+  assert.ok(!(await approvals(first)).includes(fallback.request_id));
+  response = await approve(fallback, first);
+  assert.equal(response.status, 403);
+  response = await approve(fallback, second);
+  assert.equal(response.body.data.current_step, 'SECURITY');
+  for (const approver of [first, second]) {
+    response = await approve(fallback, approver);
+    assert.equal(response.status, 403);
+  }
+  response = await approve(fallback, securityBoss);
+  assert.equal(response.body.data.status, 'APPROVED');
+
+  // security submitting for someone else decides none of the steps
+  response = await api.request('POST', '/api/access-requests', {
+    jobRoleId: auditor.job_role_id,
+    userId: report.user.user_id
+  }, { token: second.token });
+  assert.equal(response.status, 201, response.text);
+  const onBehalf = response.body.data;
+  assert.ok(!(await approvals(second)).includes(onBehalf.request_id));
+  response = await approve(onBehalf, second);
+  assert.equal(response.status, 403);
+  response = await api.request('POST', `/api/access-requests/${onBehalf.request_id}/reject`, { comments: 'Mine' }, { token: second.token });
+  assert.equal(response.status, 403);
+  response = await approve(onBehalf, first);
+  assert.equal(response.body.data.current_step, 'MANAGER');
+});
+
+test('requests and their history outlive the user and the job role', async () => {
+  const leaver = await create(api, '/api/users', { username: 'ar-leaver', password: 'leaver-password-1' });
+  const temp = await create(api, '/api/job-roles', { jobRoleCode: 'AR_TEMP', jobRoleName: 'Temporary' });
+  const token = await signIn(api, 'ar-leaver', 'leaver-password-1');
+
+  let response = await api.request('POST', '/api/access-requests', { jobRoleId: temp.job_role_id }, { token });
+  assert.equal(response.status, 201, response.text);
+  const requestPath = `/api/access-requests/${response.body.data.request_id}`;
+
+  response = await api.request('DELETE', `/api/job-roles/${temp.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('POST', `${requestPath}/approve`);
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /job role AR_TEMP no longer exists/);
+
+  response = await api.request('POST', `${requestPath}/withdraw`, {}, { token });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('DELETE', `/api/users/${leaver.user_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('GET', requestPath);
+  assert.equal(response.status, 200, response.text);
+  const request = response.body.data;
+  assert.deepEqual(
+    [request.user_id, request.username, request.job_role_id, request.job_role_code, request.status],
+    [null, 'ar-leaver', null, 'AR_TEMP', 'WITHDRAWN']
+  );
+  assert.deepEqual(request.history.map(h => [h.action, h.actor]), [
+    ['SUBMIT', 'ar-leaver'],
+    ['WITHDRAW', 'ar-leaver']
+  ]);
+});
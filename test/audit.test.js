@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog, ids, TEST_USER } from './helpers/server.js';
+
+let api;
+let view;
+let edit;
+let approve;
+
+before(async () => {
+  api = await startTestServer();
+  const catalog = await createCatalog(api, 'AUD', ['VIEW', 'EDIT', 'APPROVE']);
+  [view, edit, approve] = catalog.privileges.map(privilege => privilege.privilege_id);
+});
+
+after(async () => {
+  await api.stop();
+});
+
+/**
+ * A point in time strictly between the changes around it
+ */
+async function checkpoint() {
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const instant = new Date().toISOString();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return instant;
+}
+
+async function get(path) {
+  const response = await api.request('GET', path);
+  assert.equal(response.status, 200, response.text);
+  return response.body.data;
+}
+
+test('GET /api/duty-roles/:id?asOf rebuilds privileges and parents from the audit trail', async () => {
+  const parent = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'Audit parent',
+    roleCode: 'AUD_PARENT',
+    functionPrivileges: [view]
+  });
+  const child = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'Audit child',
+    roleCode: 'AUD_CHILD',
+    functionPrivileges: [edit],
+    inheritedFromRoles: [parent.duty_role_id]
+  });
+  const beforeChange = await checkpoint();
+
+  let response = await api.request('PUT', `/api/duty-roles/${child.duty_role_id}`, {
+    dutyRoleName: 'Audit child renamed',
+    functionPrivileges: [approve],
+    inheritedFromRoles: []
+  });
+  assert.equal(response.status, 200, response.text);
+  // a later change to the parent must not show in the child's past either
+  response = await api.request('POST', `/api/duty-roles/${parent.duty_role_id}/privileges`, { privilegeIds: [approve] });
+  assert.equal(response.status, 200, response.text);
+
+  const current = await get(`/api/duty-roles/${child.duty_role_id}`);
+  assert.deepEqual(ids(current.function_privileges, 'privilege_id'), [approve]);
+
+  const past = await get(`/api/duty-roles/${child.duty_role_id}?asOf=${encodeURIComponent(beforeChange)}`);
+  assert.equal(past.duty_role_name, 'Audit child');
+  assert.deepEqual(ids(past.function_privileges, 'privilege_id'), [view, edit]);
+  assert.deepEqual(
+    Object.fromEntries(past.function_privileges.map(p => [p.privilege_id, p.inherited])),
+    { [view]: true, [edit]: false }
+  );
+
+  const pastParent = await get(`/api/duty-roles/${parent.duty_role_id}?asOf=${encodeURIComponent(beforeChange)}`);
+  assert.deepEqual(ids(pastParent.function_privileges, 'privilege_id'), [view]);
+
+  response = await api.request('GET', `/api/duty-roles/${child.duty_role_id}?asOf=2000-01-01T00:00:00Z`);
+  assert.equal(response.status, 404);
+  response = await api.request('GET', `/api/duty-roles/${child.duty_role_id}?asOf=yesterday`);
+  assert.equal(response.status, 400);
+  response = await api.request('GET', `/api/duty-roles/${child.duty_role_id}?asOf=2999-01-01T00:00:00Z`);
+  assert.equal(response.status, 400);
+});
+
+test('GET /api/job-roles/:id?asOf rebuilds the duty roles from the audit trail', async () => {
+  const viewer = await create(api, '/api/duty-roles', { dutyRoleName: 'Viewer', roleCode: 'AUD_VIEWER', functionPrivileges: [view] });
+  const approver = await create(api, '/api/duty-roles', { dutyRoleName: 'Approver', roleCode: 'AUD_APPROVER', functionPrivileges: [approve] });
+  const jobRole = await create(api, '/api/job-roles', {
+    jobRoleCode: 'AUD_CLERK',
+    jobRoleName: 'Audit clerk',
+    dutyRolesArray: [viewer.duty_role_id]
+  });
+  const beforeChange = await checkpoint();
+
+  const response = await api.request('PUT', `/api/job-roles/${jobRole.job_role_id}`, {
+    dutyRolesArray: [approver.duty_role_id]
+  });
+  assert.equal(response.status, 200, response.text);
+
+  const current = await get(`/api/job-roles/${jobRole.job_role_id}`);
+  assert.deepEqual(ids(current.duty_roles, 'duty_role_id'), [approver.duty_role_id]);
+
+  const past = await get(`/api/job-roles/${jobRole.job_role_id}?asOf=${encodeURIComponent(beforeChange)}`);
+  assert.deepEqual(ids(past.duty_roles, 'duty_role_id'), [viewer.duty_role_id]);
+});
+
+test('GET /api/audit filters by entity, action, actor and date range', async () => {
+  const operation = await create(api, '/api/operations', { operationCode: 'AUD_OP', operationName: 'Audited' });
+  const afterCreate = await checkpoint();
+  let response = await api.request('PUT', `/api/operations/${operation.operation_id}`, { operationName: 'Audited again' });
+  assert.equal(response.status, 200, response.text);
+
+  const entity = `entityType=operation&entityId=${operation.operation_id}`;
+
+  let records = await get(`/api/audit?${entity}`);
+  assert.deepEqual(records.map(r => r.action), ['UPDATE', 'CREATE']);
+  assert.ok(records.every(r => r.entity_type === 'OPERATION' && r.entity_id === operation.operation_id));
+  assert.ok(records[0].changed_fields.includes('operation_name'));
+
+  records = await get(`/api/audit?${entity}&action=create`);
+  assert.deepEqual(records.map(r => r.action), ['CREATE']);
+
+  records = await get(`/api/audit?${entity}&actor=${TEST_USER.toUpperCase()}`);
+  assert.equal(records.length, 2);
+  records = await get(`/api/audit?${entity}&actor=someone-else`);
+  assert.deepEqual(records, []);
+
+  records = await get(`/api/audit?${entity}&from=${encodeURIComponent(afterCreate)}`);
+  assert.deepEqual(records.map(r => r.action), ['UPDATE']);
+  records = await get(`/api/audit?${entity}&to=${encodeURIComponent(afterCreate)}`);
+  assert.deepEqual(records.map(r => r.action), ['CREATE']);
+
+  response = await api.request('GET', '/api/audit?entityType=widget');
+  assert.equal(response.status, 400);
+  response = await api.request('GET', '/api/audit?from=soon');
+  assert.equal(response.status, 400);
+  response = await api.request('GET', '/api/audit?action=rename');
+  assert.equal(response.status, 400);
+});
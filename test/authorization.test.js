@@ -0,0 +1,172 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createSignedInUser } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('guarded routes need the VIEW or MANAGE privilege of their prefix', async () => {
+  const nobody = await createSignedInUser(api, 'authz-nobody');
+  const viewer = await createSignedInUser(api, 'authz-viewer', ['SEC_MODULES_VIEW']);
+  const manager = await createSignedInUser(api, 'authz-manager', ['SEC_MODULES_MANAGE']);
+  const module = await create(api, '/api/modules', { moduleCode: 'AUTHZ_TARGET', moduleName: 'Target' });
+
+  let response = await api.request('GET', '/api/modules', undefined, { token: nobody.token });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'Missing required privilege: SEC_MODULES_VIEW or SEC_MODULES_MANAGE');
+  response = await api.request('GET', '/api/auth/me', undefined, { token: nobody.token });
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('GET', `/api/modules/${module.module_id}`, undefined, { token: viewer.token });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('POST', '/api/modules', { moduleCode: 'AUTHZ_VIEWER', moduleName: 'Viewer' }, { token: viewer.token });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'Missing required privilege: SEC_MODULES_MANAGE');
+  response = await api.request('PUT', `/api/modules/${module.module_id}`, { moduleName: 'Renamed' }, { token: viewer.token });
+  assert.equal(response.status, 403);
+  response = await api.request('DELETE', `/api/modules/${module.module_id}`, undefined, { token: viewer.token });
+  assert.equal(response.status, 403);
+  // the privilege covers its own prefix only
+  response = await api.request('GET', '/api/functions', undefined, { token: viewer.token });
+  assert.equal(response.status, 403);
+
+  response = await api.request('GET', '/api/modules', undefined, { token: manager.token });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('PUT', `/api/modules/${module.module_id}`, { moduleName: 'Renamed' }, { token: manager.token });
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.updated_by, 'authz-manager');
+
+  response = await api.request('GET', `/api/modules/${module.module_id}`, undefined, { token: viewer.token });
+  assert.equal(response.body.data.module_name, 'Renamed');
+});
+
+test('VIEW-only and MANAGE-only prefixes, and users who are no longer active', async () => {
+  const auditor = await createSignedInUser(api, 'authz-auditor', ['SEC_AUDIT_VIEW', 'SEC_IMPORT_VIEW']);
+
+  let response = await api.request('GET', '/api/audit?entityType=module', undefined, { token: auditor.token });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('POST', '/api/import?mode=dry-run', { operations: [] }, { token: auditor.token });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'Missing required privilege: SEC_IMPORT_MANAGE');
+
+  // the token outlives the account, the privileges do not
+  response = await api.request('PUT', `/api/users/${auditor.user.user_id}`, { status: 'INACTIVE' });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('GET', '/api/audit', undefined, { token: auditor.token });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.error, 'User authz-auditor is not an active user');
+});
+
+test('only the approver of the current step and security can decide an access request', async () => {
+  const owner = await createSignedInUser(api, 'authz-ar-owner');
+  const boss = await createSignedInUser(api, 'authz-ar-boss');
+  const requester = await createSignedInUser(api, 'authz-ar-requester', [], { managerUserId: boss.user.user_id });
+  const viewer = await createSignedInUser(api, 'authz-ar-viewer', ['SEC_ACCESS_REQUESTS_VIEW']);
+  const security = await createSignedInUser(api, 'authz-ar-security', ['SEC_ACCESS_REQUESTS_MANAGE']);
+  const jobRole = await create(api, '/api/job-roles', {
+    jobRoleCode: 'AUTHZ_AR_CLERK',
+    jobRoleName: 'Clerk',
+    ownerUserId: owner.user.user_id
+  });
+
+  let response = await api.request('POST', '/api/access-requests', { jobRoleId: jobRole.job_role_id }, { token: requester.token });
+  assert.equal(response.status, 201, response.text);
+  const requestPath = `/api/access-requests/${response.body.data.request_id}`;
+  const approve = ({ token }) => api.request('POST', `${requestPath}/approve`, {}, { token });
+
+  response = await approve(viewer);
+  assert.equal(response.status, 403);
+  assert.match(response.body.error, /Not allowed to approve the ROLE_OWNER step/);
+  response = await approve(boss);
+  assert.equal(response.status, 403);
+  response = await approve(owner);
+  assert.equal(response.status, 200, response.text);
+  response = await approve(owner);
+  assert.equal(response.status, 403);
+  response = await approve(boss);
+  assert.equal(response.body.data.current_step, 'SECURITY');
+
+  // VIEW reads every request but approves nothing
+  response = await api.request('GET', '/api/access-requests?status=pending', undefined, { token: viewer.token });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('GET', requestPath, undefined, { token: viewer.token });
+  assert.equal(response.status, 200, response.text);
+  response = await approve(viewer);
+  assert.equal(response.status, 403);
+  response = await api.request('POST', `${requestPath}/reject`, { comments: 'No' }, { token: viewer.token });
+  assert.equal(response.status, 403);
+  response = await api.request('POST', '/api/access-requests', {
+    jobRoleId: jobRole.job_role_id,
+    userId: boss.user.user_id
+  }, { token: viewer.token });
+  assert.equal(response.status, 403);
+
+  response = await api.request('GET', '/api/access-requests', undefined, { token: requester.token });
+  assert.equal(response.status, 403);
+
+  response = await approve(security);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.status, 'APPROVED');
+});
+
+test('certification line items are decided by their reviewer or security, and campaigns are run by MANAGE', async () => {
+  const boss = await createSignedInUser(api, 'authz-cert-boss');
+  const employee = await createSignedInUser(api, 'authz-cert-employee', [], { managerUserId: boss.user.user_id });
+  const loner = await createSignedInUser(api, 'authz-cert-loner');
+  const viewer = await createSignedInUser(api, 'authz-cert-viewer', ['SEC_CERTIFICATIONS_VIEW']);
+  const security = await createSignedInUser(api, 'authz-cert-security', ['SEC_CERTIFICATIONS_MANAGE']);
+  const jobRole = await create(api, '/api/job-roles', { jobRoleCode: 'AUTHZ_CERT_CLERK', jobRoleName: 'Clerk' });
+  for (const { user } of [employee, loner]) {
+    const response = await api.request('POST', `/api/users/${user.user_id}/job-roles`, { jobRoleId: jobRole.job_role_id });
+    assert.equal(response.status, 201, response.text);
+  }
+
+  const campaignData = {
+    campaignCode: 'AUTHZ-CERT',
+    campaignName: 'Clerk review',
+    scopeType: 'JOB_ROLE',
+    scopeIds: [jobRole.job_role_id]
+  };
+  let response = await api.request('POST', '/api/certifications', campaignData, { token: viewer.token });
+  assert.equal(response.status, 403);
+  response = await api.request('POST', '/api/certifications', campaignData, { token: security.token });
+  assert.equal(response.status, 201, response.text);
+  const campaignPath = `/api/certifications/${response.body.data.campaign_id}`;
+
+  response = await api.request('GET', `${campaignPath}/items`, undefined, { token: viewer.token });
+  assert.equal(response.status, 200, response.text);
+  const itemOf = ({ user }) => response.body.data.find(item => item.user_id === user.user_id);
+  const employeeItem = itemOf(employee);
+  const lonerItem = itemOf(loner);
+  assert.equal(employeeItem.reviewer_user_id, boss.user.user_id);
+  assert.equal(lonerItem.reviewer_user_id, null);
+
+  const certify = (item, { token }) =>
+    api.request('POST', `${campaignPath}/items/${item.item_id}/certify`, {}, { token });
+
+  response = await certify(employeeItem, viewer);
+  assert.equal(response.status, 403);
+  assert.match(response.body.error, /assigned to authz-cert-boss/);
+  response = await certify(employeeItem, employee);
+  assert.equal(response.status, 403);
+  response = await certify(lonerItem, boss);
+  assert.equal(response.status, 403);
+  assert.match(response.body.error, /assigned to security/);
+
+  response = await certify(employeeItem, boss);
+  assert.equal(response.status, 200, response.text);
+  response = await certify(lonerItem, security);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('POST', `${campaignPath}/close`, undefined, { token: viewer.token });
+  assert.equal(response.status, 403);
+  response = await api.request('POST', `${campaignPath}/close`, undefined, { token: security.token });
+  assert.equal(response.status, 200, response.text);
+});
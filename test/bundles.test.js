@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+
+  const response = await api.request('POST', '/api/import?mode=commit', {
+    modules: [{ moduleCode: 'SRC', moduleName: 'Source', description: 'Promoted module' }],
+    functions: [{ functionCode: 'SRC_FN', functionName: 'Function', moduleCode: 'SRC' }],
+    operations: [{ operationCode: 'SRC_VIEW', operationName: 'View' }, { operationCode: 'SRC_EDIT', operationName: 'Edit' }],
+    functionPrivileges: [
+      { privilegeCode: 'SRC_FN_VIEW', privilegeName: 'View', moduleCode: 'SRC', functionCode: 'SRC_FN', operationCode: 'SRC_VIEW' },
+      { privilegeCode: 'SRC_FN_EDIT', privilegeName: 'Edit', moduleCode: 'SRC', functionCode: 'SRC_FN', operationCode: 'SRC_EDIT' }
+    ],
+    dutyRoles: [
+      { roleCode: 'SRC_READ', dutyRoleName: 'Reader', moduleCode: 'SRC', privilegeCodes: 'SRC_FN_VIEW' },
+      { roleCode: 'SRC_WRITE', dutyRoleName: 'Writer', moduleCode: 'SRC', privilegeCodes: 'SRC_FN_EDIT', parentRoleCodes: 'SRC_READ' }
+    ],
+    jobRoles: [
+      { jobRoleCode: 'SRC_BASE', jobRoleName: 'Base', dutyRoleCodes: 'SRC_READ' },
+      { jobRoleCode: 'SRC_CLERK', jobRoleName: 'Clerk', dutyRoleCodes: 'SRC_WRITE', parentJobRoleCodes: 'SRC_BASE' }
+    ]
+  });
+  assert.equal(response.status, 200, response.text);
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function exportBundle() {
+  const response = await api.request('GET', '/api/bundle');
+  assert.equal(response.status, 200, response.text);
+  return response.body;
+}
+
+/**
+ * The bundle without its export header, with one code prefix swapped for
+ * another: stands in for the same model in a second environment
+ */
+function renamed(bundle, from, to) {
+  const { exported_at, exported_by, ...content } = bundle;
+  return JSON.parse(JSON.stringify(content).replaceAll(from, to));
+}
+
+test('GET /api/bundle exports the model keyed by code, without IDs', async () => {
+  const bundle = await exportBundle();
+
+  assert.equal(bundle.format, 'sec-model-bundle');
+  assert.equal(bundle.version, 1);
+  assert.equal(bundle.exported_by, 'test-admin');
+  assert.doesNotMatch(JSON.stringify(bundle), /_id"/);
+
+  assert.deepEqual(bundle.function_privileges.find(p => p.privilege_code === 'SRC_FN_EDIT'), {
+    privilege_code: 'SRC_FN_EDIT',
+    privilege_name: 'Edit',
+    description: null,
+    status: 'ACTIVE',
+    module_code: 'SRC',
+    function_code: 'SRC_FN',
+    operation_code: 'SRC_EDIT'
+  });
+  assert.deepEqual(bundle.duty_roles.map(role => [role.role_code, role.privilege_codes, role.parent_role_codes]), [
+    ['SRC_READ', ['SRC_FN_VIEW'], []],
+    ['SRC_WRITE', ['SRC_FN_EDIT'], ['SRC_READ']]
+  ]);
+  assert.deepEqual(bundle.job_roles.map(role => [role.job_role_code, role.duty_role_codes, role.parent_job_role_codes]), [
+    ['SRC_BASE', ['SRC_READ'], []],
+    ['SRC_CLERK', ['SRC_WRITE'], ['SRC_BASE']]
+  ]);
+});
+
+test('POST /api/bundle reproduces the model under new IDs and re-imports as unchanged', async () => {
+  const source = await exportBundle();
+  const target = renamed(source, 'SRC', 'PRD');
+
+  const dryRun = await api.request('POST', '/api/bundle', target);
+  assert.equal(dryRun.status, 200, dryRun.text);
+  assert.equal(dryRun.body.summary.created, 10);
+  assert.equal((await exportBundle()).modules.length, 1);
+
+  const response = await api.request('POST', '/api/bundle?mode=commit', target);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.committed, true);
+
+  const { exported_at, exported_by, ...exported } = await exportBundle();
+  const promoted = Object.fromEntries(
+    Object.entries(exported).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? value.filter(record => Object.values(record)[0].startsWith('PRD')) : value
+    ])
+  );
+  assert.deepEqual(promoted, target);
+
+  const again = await api.request('POST', '/api/bundle?mode=commit', target);
+  assert.equal(again.status, 200, again.text);
+  assert.equal(again.body.summary.unchanged, 10);
+});
+
+test('POST /api/bundle applies records as full images', async () => {
+  const bundle = await exportBundle();
+  const module = bundle.modules.find(record => record.module_code === 'SRC');
+  module.description = null;
+  bundle.duty_roles.find(role => role.role_code === 'SRC_WRITE').parent_role_codes = [];
+
+  const response = await api.request('POST', '/api/bundle?mode=commit', bundle);
+  assert.equal(response.status, 200, response.text);
+
+  const updated = response.body.data.filter(row => row.action === 'UPDATE').map(row => row.code);
+  assert.deepEqual(updated, ['SRC', 'SRC_WRITE']);
+
+  const exported = await exportBundle();
+  assert.equal(exported.modules.find(record => record.module_code === 'SRC').description, null);
+  assert.deepEqual(exported.duty_roles.find(role => role.role_code === 'SRC_WRITE').parent_role_codes, []);
+});
+
+test('POST /api/bundle/diff lists added, changed and removed entities and hierarchy changes', async () => {
+  const bundle = await exportBundle();
+
+  let response = await api.request('POST', '/api/bundle/diff', bundle);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.summary.identical, true);
+
+  bundle.modules.find(record => record.module_code === 'PRD').module_name = 'Production';
+  bundle.operations.push({ operation_code: 'PRD_DELETE', operation_name: 'Delete' });
+  bundle.job_roles = bundle.job_roles.filter(role => role.job_role_code !== 'PRD_BASE');
+  const writer = bundle.duty_roles.find(role => role.role_code === 'PRD_WRITE');
+  writer.parent_role_codes = [];
+  writer.privilege_codes = ['PRD_FN_EDIT', 'PRD_FN_VIEW'];
+  delete bundle.functions;
+
+  response = await api.request('POST', '/api/bundle/diff', bundle);
+  assert.equal(response.status, 200, response.text);
+  const { data, summary } = response.body;
+
+  assert.equal(summary.identical, false);
+  assert.equal(summary.sections.functions, undefined);
+  assert.deepEqual(summary.sections.modules, { added: 0, removed: 0, changed: 1, unchanged: 1 });
+
+  assert.deepEqual(data.sections.modules.changed, [
+    { code: 'PRD', fields: { module_name: { live: 'Source', bundle: 'Production' } }, links: {} }
+  ]);
+  assert.deepEqual(data.sections.operations.added, [
+    { operation_code: 'PRD_DELETE', operation_name: 'Delete' }
+  ]);
+  assert.deepEqual(data.sections.job_roles.removed.map(role => role.job_role_code), ['PRD_BASE']);
+  assert.deepEqual(data.sections.duty_roles.changed, [{
+    code: 'PRD_WRITE',
+    fields: {},
+    links: {
+      privilege_codes: { added: ['PRD_FN_VIEW'], removed: [] },
+      parent_role_codes: { added: [], removed: ['PRD_READ'] }
+    }
+  }]);
+  assert.deepEqual(data.hierarchy, [
+    { section: 'duty_roles', child_code: 'PRD_WRITE', parent_code: 'PRD_READ', change: 'REMOVED' }
+  ]);
+});
+
+test('POST /api/bundle rejects unknown formats and versions', async () => {
+  let response = await api.request('POST', '/api/bundle', { format: 'other', version: 1 });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Unsupported bundle format/);
+
+  response = await api.request('POST', '/api/bundle', { format: 'sec-model-bundle', version: 2 });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Unsupported bundle version: 2/);
+
+  response = await api.request('POST', '/api/bundle', { format: 'sec-model-bundle', version: 1, modules: {} });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /must be an array/);
+
+  response = await api.request('POST', '/api/bundle/diff', { format: 'sec-model-bundle' });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,326 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog, signIn } from './helpers/server.js';
+
+let api;
+let catalog;
+let otherCatalog;
+let boss;
+let owner;
+let alice;
+let bob;
+let carol;
+let clerk;
+let supervisor;
+let buyer;
+const tokens = {};
+
+before(async () => {
+  api = await startTestServer();
+  catalog = await createCatalog(api, 'CERT', ['VIEW']);
+  otherCatalog = await createCatalog(api, 'CERT_PO', ['VIEW']);
+
+  const postDuty = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'Cert post duty',
+    roleCode: 'CERT_POST_DUTY',
+    moduleId: catalog.module.module_id,
+    functionPrivileges: catalog.privileges.map(p => p.privilege_id)
+  });
+  const poDuty = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'Cert PO duty',
+    roleCode: 'CERT_PO_DUTY',
+    moduleId: otherCatalog.module.module_id,
+    functionPrivileges: otherCatalog.privileges.map(p => p.privilege_id)
+  });
+
+  boss = await create(api, '/api/users', { username: 'cert-boss', password: 'boss-password-1' });
+  owner = await create(api, '/api/users', { username: 'cert-owner', password: 'owner-password-1' });
+  alice = await create(api, '/api/users', { username: 'cert-alice', managerUserId: boss.user_id });
+  bob = await create(api, '/api/users', { username: 'cert-bob', managerUserId: boss.user_id });
+  carol = await create(api, '/api/users', { username: 'cert-carol' });
+
+  clerk = await create(api, '/api/job-roles', {
+    jobRoleCode: 'CERT_CLERK',
+    jobRoleName: 'Clerk',
+    dutyRolesArray: [postDuty.duty_role_id],
+    ownerUserId: owner.user_id
+  });
+  // inherits the clerk's duty role, so it is in scope of a CERT module campaign
+  supervisor = await create(api, '/api/job-roles', {
+    jobRoleCode: 'CERT_SUPERVISOR',
+    jobRoleName: 'Supervisor',
+    inheritedFromArray: [clerk.job_role_id]
+  });
+  buyer = await create(api, '/api/job-roles', {
+    jobRoleCode: 'CERT_BUYER',
+    jobRoleName: 'Buyer',
+    dutyRolesArray: [poDuty.duty_role_id]
+  });
+
+  for (const [user, jobRole] of [
+    [alice, clerk],
+    [bob, clerk],
+    [carol, clerk],
+    [boss, supervisor],
+    [alice, buyer]
+  ]) {
+    const response = await api.request('POST', `/api/users/${user.user_id}/job-roles`, { jobRoleId: jobRole.job_role_id });
+    assert.equal(response.status, 201, response.text);
+  }
+
+  for (const [username, password] of [
+    ['cert-boss', 'boss-password-1'],
+    ['cert-owner', 'owner-password-1']
+  ]) {
+    tokens[username] = await signIn(api, username, password);
+  }
+});
+
+after(async () => {
+  await api.stop();
+});
+
+function as(username) {
+  return { token: tokens[username] };
+}
+
+function itemOf(items, username, jobRoleCode) {
+  return items.find(item => item.username === username && item.job_role_code === jobRoleCode);
+}
+
+test('a module campaign reviews every assignment whose effective duty roles touch the module', async () => {
+  const response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-MODULE',
+    campaignName: 'Module review',
+    scopeType: 'module',
+    scopeIds: [catalog.module.module_id],
+    dueDate: '2099-12-31'
+  });
+  assert.equal(response.status, 201, response.text);
+  const campaign = response.body.data;
+  assert.equal(campaign.status, 'OPEN');
+  assert.equal(campaign.scope_type, 'MODULE');
+  assert.deepEqual(campaign.scopes.map(s => s.scope_code), ['CERT']);
+  assert.equal(campaign.progress.total, 4);
+  assert.equal(campaign.progress.pending, 4);
+
+  const items = await api.request('GET', `/api/certifications/${campaign.campaign_id}/items?limit=100`);
+  assert.deepEqual(items.body.data.map(i => [i.username, i.job_role_code, i.reviewer_username]), [
+    ['cert-alice', 'CERT_CLERK', 'cert-boss'],
+    ['cert-bob', 'CERT_CLERK', 'cert-boss'],
+    ['cert-boss', 'CERT_SUPERVISOR', null],
+    ['cert-carol', 'CERT_CLERK', 'cert-owner']
+  ]);
+  assert.deepEqual(itemOf(items.body.data, 'cert-boss', 'CERT_SUPERVISOR').duty_roles, ['CERT_POST_DUTY']);
+});
+
+test('reviewers decide their own line items, never their own access, and close applies revocations', async () => {
+  let response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-CLERK',
+    campaignName: 'Clerk review',
+    scopeType: 'JOB_ROLE',
+    scopeIds: [clerk.job_role_id, supervisor.job_role_id, clerk.job_role_id]
+  });
+  assert.equal(response.status, 201, response.text);
+  const campaign = response.body.data;
+  const campaignPath = `/api/certifications/${campaign.campaign_id}`;
+
+  response = await api.request('GET', '/api/certifications/reviews', undefined, as('cert-boss'));
+  assert.equal(response.status, 200, response.text);
+  const bossItems = response.body.data.filter(i => i.campaign_id === campaign.campaign_id);
+  assert.deepEqual(bossItems.map(i => i.username), ['cert-alice', 'cert-bob']);
+
+  response = await api.request('GET', `${campaignPath}/items?userId=${boss.user_id}`);
+  const ownItem = response.body.data[0];
+  assert.equal(ownItem.reviewer_user_id, null);
+  response = await api.request('POST', `${campaignPath}/items/${ownItem.item_id}/certify`, {}, as('cert-boss'));
+  assert.equal(response.status, 403);
+  assert.match(response.body.error, /own access/);
+
+  response = await api.request('GET', `${campaignPath}/items?limit=100`);
+  const items = response.body.data;
+  const aliceItem = itemOf(items, 'cert-alice', 'CERT_CLERK');
+  const bobItem = itemOf(items, 'cert-bob', 'CERT_CLERK');
+  const carolItem = itemOf(items, 'cert-carol', 'CERT_CLERK');
+
+  response = await api.request('POST', `${campaignPath}/items/${carolItem.item_id}/certify`, {}, as('cert-boss'));
+  assert.equal(response.status, 403);
+
+  response = await api.request('POST', `${campaignPath}/items/${bobItem.item_id}/revoke`, {}, as('cert-boss'));
+  assert.equal(response.status, 400);
+  response = await api.request('POST', `${campaignPath}/items/${bobItem.item_id}/revoke`, { comments: 'Moved to sales' }, as('cert-boss'));
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.decision, 'REVOKED');
+  assert.equal(response.body.data.decided_by, 'cert-boss');
+
+  response = await api.request('POST', `${campaignPath}/items/${aliceItem.item_id}/certify`, { comments: 'Still needed' }, as('cert-boss'));
+  assert.equal(response.body.data.decision, 'CERTIFIED');
+  response = await api.request('POST', `${campaignPath}/items/${carolItem.item_id}/certify`, {}, as('cert-owner'));
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('POST', `${campaignPath}/close`);
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /1 line item\(s\) are still pending/);
+
+  response = await api.request('GET', `${campaignPath}/progress`);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.total, 4);
+  assert.equal(response.body.data.certified, 2);
+  assert.equal(response.body.data.revoked, 1);
+  assert.equal(response.body.data.pending, 1);
+  assert.equal(response.body.data.percent_complete, 75);
+
+  // security decides the unassigned item
+  response = await api.request('POST', `${campaignPath}/items/${ownItem.item_id}/certify`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('POST', `${campaignPath}/close`);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.status, 'CLOSED');
+  assert.equal(response.body.data.revocations_applied, 1);
+
+  const bobRoles = await api.request('GET', `/api/users/${bob.user_id}/job-roles?activeOnly=true`);
+  assert.deepEqual(bobRoles.body.data.map(r => r.job_role_code), []);
+  const history = await api.request('GET', `/api/users/${bob.user_id}/history`);
+  assert.equal(history.body.data.at(-1).action, 'CERTIFICATION_REVOKE');
+  const audit = await api.request('GET', '/api/audit?entityType=user&action=certification_revoke');
+  assert.equal(audit.status, 200, audit.text);
+  assert.deepEqual(audit.body.data.map(entry => entry.entity_id), [bob.user_id]);
+  const aliceRoles = await api.request('GET', `/api/users/${alice.user_id}/job-roles?activeOnly=true`);
+  assert.deepEqual(aliceRoles.body.data.map(r => r.job_role_code).sort(), ['CERT_BUYER', 'CERT_CLERK']);
+
+  response = await api.request('POST', `${campaignPath}/items/${aliceItem.item_id}/revoke`, { comments: 'Too late' });
+  assert.equal(response.status, 409);
+  response = await api.request('POST', `${campaignPath}/close`);
+  assert.equal(response.status, 409);
+
+  response = await api.request('GET', '/api/certifications?status=closed');
+  assert.deepEqual(response.body.data.map(c => c.campaign_code), ['CERT-CLERK']);
+});
+
+test('evidence exports every line item with its decision as JSON or CSV', async () => {
+  const campaigns = await api.request('GET', '/api/certifications?search=CERT-CLERK');
+  const campaignId = campaigns.body.data[0].campaign_id;
+
+  let response = await api.request('GET', `/api/certifications/${campaignId}/evidence`);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.campaign_code, 'CERT-CLERK');
+  const revoked = response.body.data.items.find(i => i.decision === 'REVOKED');
+  assert.equal(revoked.username, 'cert-bob');
+  assert.equal(revoked.decision_comments, 'Moved to sales');
+  assert.ok(revoked.revoked_at);
+
+  response = await api.request('GET', `/api/certifications/${campaignId}/evidence?format=csv`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /certification-CERT-CLERK-evidence\.csv/);
+  const lines = response.text.trim().split(/\r?\n/);
+  assert.equal(lines.length, 5);
+  assert.match(lines[0], /^CAMPAIGN_CODE,CAMPAIGN_NAME,CAMPAIGN_STATUS,USERNAME/);
+  assert.ok(lines.some(line => line.includes('cert-bob') && line.includes('REVOKED') && line.includes('Moved to sales')));
+  assert.ok(lines.some(line => line.includes('cert-boss') && line.includes('SECURITY')));
+
+  response = await api.request('GET', `/api/certifications/${campaignId}/evidence?format=xml`);
+  assert.equal(response.status, 400);
+});
+
+test('launch validates the scope and campaign code, and the admin routes need the certification privileges', async () => {
+  let response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-BAD',
+    campaignName: 'Bad',
+    scopeType: 'JOB_ROLE',
+    scopeIds: [buyer.job_role_id, 999999]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Job role\(s\) 999999 does not exist/);
+
+  response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-BAD',
+    campaignName: 'Bad',
+    scopeType: 'DEPARTMENT',
+    scopeIds: [1]
+  });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-BAD',
+    campaignName: 'Bad',
+    scopeType: 'MODULE',
+    scopeIds: []
+  });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-MODULE',
+    campaignName: 'Again',
+    scopeType: 'MODULE',
+    scopeIds: [otherCatalog.module.module_id]
+  });
+  assert.equal(response.status, 409);
+
+  response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-PO',
+    campaignName: 'PO review',
+    scopeType: 'MODULE',
+    scopeIds: [otherCatalog.module.module_id]
+  }, as('cert-boss'));
+  assert.equal(response.status, 403);
+
+  response = await api.request('GET', '/api/certifications', undefined, as('cert-boss'));
+  assert.equal(response.status, 403);
+
+  response = await api.request('GET', '/api/certifications/999999');
+  assert.equal(response.status, 404);
+});
+
+test('a revoked rule grant is not granted back when the user is updated or the rules run', async () => {
+  const ruleClerk = await create(api, '/api/job-roles', { jobRoleCode: 'CERT_RULE_CLERK', jobRoleName: 'Rule clerk' });
+  await create(api, '/api/provisioning/rules', {
+    ruleCode: 'CERT_RULE_AUDIT',
+    ruleName: 'Audit clerks',
+    jobRoleId: ruleClerk.job_role_id,
+    conditions: [{ attributeName: 'DEPARTMENT', attributeValue: 'Cert audit' }]
+  });
+  const dave = await create(api, '/api/users', { username: 'cert-dave', department: 'Cert audit' });
+  const activeRoles = async () => (await api.request('GET', `/api/users/${dave.user_id}/job-roles?activeOnly=true`))
+    .body.data.map(r => [r.job_role_code, r.assignment_source]);
+  assert.deepEqual(await activeRoles(), [['CERT_RULE_CLERK', 'RULE']]);
+
+  let response = await api.request('POST', '/api/certifications', {
+    campaignCode: 'CERT-RULE',
+    campaignName: 'Rule clerk review',
+    scopeType: 'JOB_ROLE',
+    scopeIds: [ruleClerk.job_role_id]
+  });
+  assert.equal(response.status, 201, response.text);
+  const campaignPath = `/api/certifications/${response.body.data.campaign_id}`;
+  response = await api.request('GET', `${campaignPath}/items`);
+  const [daveItem] = response.body.data;
+  assert.equal(daveItem.assignment_source, 'RULE');
+  response = await api.request('POST', `${campaignPath}/items/${daveItem.item_id}/revoke`, { comments: 'Not needed' });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('POST', `${campaignPath}/close`);
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.revocations_applied, 1);
+  assert.deepEqual(await activeRoles(), []);
+
+  response = await api.request('PUT', `/api/users/${dave.user_id}`, { location: 'Leeds' });
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(await activeRoles(), []);
+  response = await api.request('POST', '/api/provisioning/run', { userIds: [dave.user_id] });
+  assert.deepEqual(response.body.data, []);
+
+  const history = await api.request('GET', `/api/users/${dave.user_id}/history`);
+  const revocation = history.body.data.find(entry => entry.action === 'CERTIFICATION_REVOKE');
+  assert.deepEqual(revocation.after_image.provisioning_exclusions, [
+    { job_role_id: ruleClerk.job_role_id, certification_item_id: daveItem.item_id }
+  ]);
+
+  // assigning the job role explicitly lifts the exclusion
+  response = await api.request('POST', `/api/users/${dave.user_id}/job-roles`, { jobRoleId: ruleClerk.job_role_id });
+  assert.equal(response.status, 201, response.text);
+  response = await api.request('DELETE', `/api/users/${dave.user_id}/job-roles/${ruleClerk.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('POST', '/api/provisioning/run', { userIds: [dave.user_id] });
+  assert.deepEqual(response.body.data.map(c => [c.action, c.job_role_code]), [['GRANT', 'CERT_RULE_CLERK']]);
+});
@@ -0,0 +1,224 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog } from './helpers/server.js';
+
+let api;
+let catalog;
+let clerk;
+
+before(async () => {
+  api = await startTestServer();
+  catalog = await createCatalog(api, 'DR', ['VIEW', 'EDIT']);
+
+  const [viewPrivilege, editPrivilege] = catalog.privileges.map(p => p.privilege_id);
+  const viewDuty = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'DR view duty',
+    roleCode: 'DR_VIEW_DUTY',
+    moduleId: catalog.module.module_id,
+    functionPrivileges: [viewPrivilege]
+  });
+  const editDuty = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'DR edit duty',
+    roleCode: 'DR_EDIT_DUTY',
+    moduleId: catalog.module.module_id,
+    functionPrivileges: [editPrivilege]
+  });
+
+  // scope values name organizations of the scope type
+  for (const [orgCode, orgType] of [
+    ['US1', 'BUSINESS_UNIT'],
+    ['UK1', 'BUSINESS_UNIT'],
+    ['CA1', 'BUSINESS_UNIT'],
+    ['US_PRIMARY', 'LEDGER'],
+    ['US', 'LEDGER'],
+    ['X', 'LEDGER'],
+    ['UK_WH', 'INVENTORY_ORG']
+  ]) {
+    await create(api, '/api/organizations', { orgCode, orgName: orgCode, orgType });
+  }
+
+  clerk = await create(api, '/api/job-roles', {
+    jobRoleCode: 'DR_CLERK',
+    jobRoleName: 'Clerk',
+    dutyRolesArray: [viewDuty.duty_role_id, editDuty.duty_role_id]
+  });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function createDataRole(dataRoleCode, dataScopes, jobRoleId = clerk.job_role_id) {
+  return create(api, '/api/data-roles', {
+    dataRoleCode,
+    dataRoleName: dataRoleCode,
+    jobRoleId,
+    dataScopes
+  });
+}
+
+test('POST /api/data-roles creates a job role scoped to business units and ledgers', async () => {
+  const dataRole = await createDataRole('DR_CLERK_US', [
+    { scopeType: 'ledger', scopeValue: 'US_PRIMARY' },
+    { scopeType: 'BUSINESS_UNIT', scopeValue: 'US1' },
+    { scopeType: 'BUSINESS_UNIT', scopeValue: 'US1' }
+  ]);
+
+  assert.equal(dataRole.job_role_code, 'DR_CLERK');
+  assert.equal(dataRole.status, 'ACTIVE');
+  assert.deepEqual(dataRole.data_scopes, [
+    { scope_type: 'BUSINESS_UNIT', scope_value: 'US1' },
+    { scope_type: 'LEDGER', scope_value: 'US_PRIMARY' }
+  ]);
+
+  const response = await api.request('GET', '/api/data-roles?scopeType=ledger&scopeValue=US_PRIMARY');
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.data.map(role => role.data_role_code), ['DR_CLERK_US']);
+});
+
+test('POST /api/data-roles validates scopes, the job role and unique codes', async () => {
+  let response = await api.request('POST', '/api/data-roles', {
+    dataRoleCode: 'DR_NO_SCOPE', dataRoleName: 'No scope', jobRoleId: clerk.job_role_id, dataScopes: []
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /at least one data scope/);
+
+  response = await api.request('POST', '/api/data-roles', {
+    dataRoleCode: 'DR_BAD_SCOPE',
+    dataRoleName: 'Bad scope',
+    jobRoleId: clerk.job_role_id,
+    dataScopes: [{ scopeType: 'COST_CENTER', scopeValue: '100' }]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Invalid data scope type: COST_CENTER/);
+
+  response = await api.request('POST', '/api/data-roles', {
+    dataRoleCode: 'DR_NO_ORG',
+    dataRoleName: 'No org',
+    jobRoleId: clerk.job_role_id,
+    dataScopes: [{ scopeType: 'BUSINESS_UNIT', scopeValue: 'NOWHERE' }]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /organization NOWHERE does not exist/);
+
+  response = await api.request('POST', '/api/data-roles', {
+    dataRoleCode: 'DR_WRONG_TYPE',
+    dataRoleName: 'Wrong type',
+    jobRoleId: clerk.job_role_id,
+    dataScopes: [{ scopeType: 'BUSINESS_UNIT', scopeValue: 'US_PRIMARY' }]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /organization US_PRIMARY is a LEDGER/);
+
+  response = await api.request('POST', '/api/data-roles', {
+    dataRoleCode: 'DR_NO_JOB', dataRoleName: 'No job', jobRoleId: 999999, dataScopes: [{ scopeType: 'LEDGER', scopeValue: 'X' }]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Job role 999999 does not exist/);
+
+  await createDataRole('DR_DUP', [{ scopeType: 'LEDGER', scopeValue: 'X' }]);
+  response = await api.request('POST', '/api/data-roles', {
+    dataRoleCode: 'DR_DUP', dataRoleName: 'Dup', jobRoleId: clerk.job_role_id, dataScopes: [{ scopeType: 'LEDGER', scopeValue: 'X' }]
+  });
+  assert.equal(response.status, 409);
+});
+
+test('PUT /api/data-roles/:id replaces the scopes and records history', async () => {
+  const dataRole = await createDataRole('DR_CLERK_UK', [{ scopeType: 'BUSINESS_UNIT', scopeValue: 'UK1' }]);
+
+  const response = await api.request('PUT', `/api/data-roles/${dataRole.data_role_id}`, {
+    dataScopes: [{ scopeType: 'INVENTORY_ORG', scopeValue: 'UK_WH' }]
+  });
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.data.data_scopes, [{ scope_type: 'INVENTORY_ORG', scope_value: 'UK_WH' }]);
+
+  const history = await api.request('GET', `/api/data-roles/${dataRole.data_role_id}/history`);
+  assert.equal(history.status, 200, history.text);
+  assert.deepEqual(history.body.data.map(entry => entry.action), ['CREATE', 'UPDATE']);
+
+  const missing = await api.request('PUT', '/api/data-roles/999999', { dataRoleName: 'Nobody' });
+  assert.equal(missing.status, 404);
+});
+
+test('organizations a data role is scoped to keep their code and type until the scope goes', async () => {
+  const entity = await create(api, '/api/organizations', { orgCode: 'DR_LE', orgName: 'Entity', orgType: 'legal_entity' });
+  const dataRole = await createDataRole('DR_CLERK_LE', [{ scopeType: 'LEGAL_ENTITY', scopeValue: 'DR_LE' }]);
+
+  let response = await api.request('PUT', `/api/organizations/${entity.org_id}`, { orgType: 'BUSINESS_UNIT' });
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /data role\(s\) are scoped to it: DR_CLERK_LE/);
+  response = await api.request('PUT', `/api/organizations/${entity.org_id}`, { orgCode: 'DR_LE_RENAMED' });
+  assert.equal(response.status, 409);
+  response = await api.request('DELETE', `/api/organizations/${entity.org_id}`);
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /Cannot delete organization DR_LE because data role\(s\) are scoped to it/);
+
+  response = await api.request('PUT', `/api/organizations/${entity.org_id}`, { orgName: 'Entity renamed' });
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('DELETE', `/api/data-roles/${dataRole.data_role_id}`);
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('DELETE', `/api/organizations/${entity.org_id}`);
+  assert.equal(response.status, 200, response.text);
+});
+
+test('users hold data roles and get the job role privileges limited to their scopes', async () => {
+  const user = await create(api, '/api/users', { username: 'dr-user' });
+  const us = await createDataRole('DR_CLERK_US_ONLY', [{ scopeType: 'BUSINESS_UNIT', scopeValue: 'US1' }]);
+  const ca = await createDataRole('DR_CLERK_CA_ONLY', [{ scopeType: 'BUSINESS_UNIT', scopeValue: 'CA1' }]);
+
+  for (const dataRole of [us, ca]) {
+    const response = await api.request('POST', `/api/users/${user.user_id}/data-roles`, { dataRoleId: dataRole.data_role_id });
+    assert.equal(response.status, 201, response.text);
+  }
+
+  const overlap = await api.request('POST', `/api/users/${user.user_id}/data-roles`, { dataRoleId: us.data_role_id });
+  assert.equal(overlap.status, 409);
+
+  let response = await api.request('GET', `/api/users/${user.user_id}/effective-privileges`);
+  assert.equal(response.status, 200, response.text);
+  const view = response.body.data.privileges.find(p => p.privilege_code === 'DR_FN_VIEW');
+  assert.deepEqual(view.data_scopes, [
+    { scope_type: 'BUSINESS_UNIT', scope_value: 'CA1' },
+    { scope_type: 'BUSINESS_UNIT', scope_value: 'US1' }
+  ]);
+  assert.deepEqual(view.granted_by.map(path => path.data_role.data_role_code).sort(), ['DR_CLERK_CA_ONLY', 'DR_CLERK_US_ONLY']);
+  assert.equal(view.granted_by[0].user_job_role_id, null);
+
+  response = await api.request('DELETE', `/api/users/${user.user_id}/data-roles/${ca.data_role_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('GET', `/api/users/${user.user_id}/data-roles?activeOnly=true`);
+  assert.deepEqual(response.body.data.map(role => role.data_role_code), ['DR_CLERK_US_ONLY']);
+
+  for (const [action, count] of [['assign_data_role', 2], ['unassign_data_role', 1]]) {
+    response = await api.request('GET', `/api/audit?entityType=user&entityId=${user.user_id}&action=${action}`);
+    assert.equal(response.status, 200, response.text);
+    assert.equal(response.body.data.length, count);
+  }
+
+  // a plain job role assignment grants the same privileges without restriction
+  await api.request('POST', `/api/users/${user.user_id}/job-roles`, { jobRoleId: clerk.job_role_id });
+  response = await api.request('GET', `/api/users/${user.user_id}/effective-privileges`);
+  assert.equal(response.body.data.privileges.find(p => p.privilege_code === 'DR_FN_VIEW').data_scopes, null);
+});
+
+test('a job role with data roles cannot be deleted; deleting the data role unassigns it', async () => {
+  const jobRole = await create(api, '/api/job-roles', { jobRoleCode: 'DR_TEMP', jobRoleName: 'Temp' });
+  const dataRole = await createDataRole('DR_TEMP_US', [{ scopeType: 'LEDGER', scopeValue: 'US' }], jobRole.job_role_id);
+  const user = await create(api, '/api/users', { username: 'dr-temp-user' });
+  await api.request('POST', `/api/users/${user.user_id}/data-roles`, { dataRoleId: dataRole.data_role_id });
+
+  let response = await api.request('DELETE', `/api/job-roles/${jobRole.job_role_id}`);
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /data role\(s\) are defined on it: DR_TEMP_US/);
+
+  response = await api.request('DELETE', `/api/data-roles/${dataRole.data_role_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('GET', `/api/users/${user.user_id}/data-roles`);
+  assert.deepEqual(response.body.data, []);
+
+  response = await api.request('DELETE', `/api/job-roles/${jobRole.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+});
@@ -0,0 +1,413 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog, ids } from './helpers/server.js';
+
+let api;
+let view;
+let edit;
+let approve;
+let moduleId;
+
+before(async () => {
+  api = await startTestServer();
+  const catalog = await createCatalog(api, 'AP', ['VIEW', 'EDIT', 'APPROVE']);
+  [view, edit, approve] = catalog.privileges.map(privilege => privilege.privilege_id);
+  moduleId = catalog.module.module_id;
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function createDutyRole(roleCode, functionPrivileges = [], inheritedFromRoles = []) {
+  return create(api, '/api/duty-roles', {
+    dutyRoleName: roleCode,
+    roleCode,
+    functionPrivileges,
+    inheritedFromRoles
+  });
+}
+
+async function getDutyRole(dutyRoleId) {
+  const response = await api.request('GET', `/api/duty-roles/${dutyRoleId}`);
+  assert.equal(response.status, 200, response.text);
+  return response.body.data;
+}
+
+function inheritedFlags(dutyRole) {
+  return Object.fromEntries(
+    dutyRole.function_privileges.map(privilege => [privilege.privilege_id, privilege.inherited])
+  );
+}
+
+test('POST /api/duty-roles creates a role with explicit and inherited privileges', async () => {
+  const parent = await createDutyRole('CREATE_PARENT', [view]);
+  const child = await createDutyRole('CREATE_CHILD', [edit], [parent.duty_role_id]);
+
+  assert.deepEqual(ids(child.function_privileges, 'privilege_id'), [view, edit]);
+  assert.deepEqual(inheritedFlags(child), { [view]: true, [edit]: false });
+  assert.deepEqual(ids(child.inherited_from_roles, 'duty_role_id'), [parent.duty_role_id]);
+
+  const reloadedParent = await getDutyRole(parent.duty_role_id);
+  assert.deepEqual(ids(reloadedParent.inherited_child_roles, 'duty_role_id'), [child.duty_role_id]);
+});
+
+test('POST /api/duty-roles rejects missing fields, unknown links and duplicate codes', async () => {
+  let response = await api.request('POST', '/api/duty-roles', { roleCode: 'NO_NAME' });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/duty-roles', {
+    dutyRoleName: 'Unknown privilege',
+    roleCode: 'UNKNOWN_PRIVILEGE',
+    functionPrivileges: [9999]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'One or more referenced privileges or parent duty roles do not exist');
+
+  response = await api.request('POST', '/api/duty-roles', {
+    dutyRoleName: 'Unknown parent',
+    roleCode: 'UNKNOWN_PARENT',
+    inheritedFromRoles: [9999]
+  });
+  assert.equal(response.status, 400);
+
+  await createDutyRole('DUPLICATE');
+  response = await api.request('POST', '/api/duty-roles', { dutyRoleName: 'Again', roleCode: 'DUPLICATE' });
+  assert.equal(response.status, 409);
+});
+
+test('GET /api/duty-roles paginates and GET /api/duty-roles/:id returns 404 for unknown roles', async () => {
+  let response = await api.request('GET', '/api/duty-roles?page=1&limit=2');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 2);
+  assert.ok(response.body.pagination.total >= 3);
+
+  response = await api.request('GET', '/api/duty-roles/9999');
+  assert.equal(response.status, 404);
+
+  response = await api.request('GET', '/api/duty-roles/abc');
+  assert.equal(response.status, 400);
+});
+
+test('PUT /api/duty-roles/:id keeps inherited privileges the submitted list leaves out', async () => {
+  const parent = await createDutyRole('GUARD_PARENT', [view]);
+  const child = await createDutyRole('GUARD_CHILD', [edit], [parent.duty_role_id]);
+
+  // the submitted list is the explicit privileges only: VIEW still comes from the parent
+  let response = await api.request('PUT', `/api/duty-roles/${child.duty_role_id}`, {
+    functionPrivileges: [approve]
+  });
+  assert.equal(response.status, 200, response.text);
+  let reloaded = await getDutyRole(child.duty_role_id);
+  assert.deepEqual(ids(reloaded.function_privileges, 'privilege_id'), [view, approve]);
+  assert.deepEqual(inheritedFlags(reloaded), { [view]: true, [approve]: false });
+
+  // dropping the parent in the same update drops what it granted
+  response = await api.request('PUT', `/api/duty-roles/${child.duty_role_id}`, {
+    inheritedFromRoles: [],
+    functionPrivileges: [approve]
+  });
+  assert.equal(response.status, 200, response.text);
+  reloaded = await getDutyRole(child.duty_role_id);
+  assert.deepEqual(ids(reloaded.function_privileges, 'privilege_id'), [approve]);
+  assert.deepEqual(reloaded.inherited_from_roles, []);
+});
+
+test('PUT /api/duty-roles/:id updates fields and rejects bad updates', async () => {
+  const role = await createDutyRole('UPDATE_ME', [view]);
+
+  let response = await api.request('PUT', `/api/duty-roles/${role.duty_role_id}`, {
+    dutyRoleName: 'Renamed',
+    status: 'INACTIVE'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.duty_role_name, 'Renamed');
+  assert.equal(response.body.data.status, 'INACTIVE');
+
+  response = await api.request('PUT', `/api/duty-roles/${role.duty_role_id}`, {});
+  assert.equal(response.status, 400);
+
+  response = await api.request('PUT', `/api/duty-roles/${role.duty_role_id}`, {
+    inheritedFromRoles: [role.duty_role_id]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'A role cannot inherit from itself');
+
+  response = await api.request('PUT', '/api/duty-roles/9999', { dutyRoleName: 'Missing' });
+  assert.equal(response.status, 404);
+});
+
+test('duty role inheritance rejects cycles and names the cycle path', async () => {
+  const first = await createDutyRole('CYCLE_A', [view]);
+  const second = await createDutyRole('CYCLE_B', [edit], [first.duty_role_id]);
+  const third = await createDutyRole('CYCLE_C', [], [second.duty_role_id]);
+
+  // close the loop: A inherits from C, which inherits from B, which inherits from A
+  let response = await api.request('PUT', `/api/duty-roles/${first.duty_role_id}`, {
+    inheritedFromRoles: [third.duty_role_id]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Inheritance cycle detected: CYCLE_A -> CYCLE_C -> CYCLE_B -> CYCLE_A');
+
+  const reloaded = await getDutyRole(first.duty_role_id);
+  assert.deepEqual(reloaded.inherited_from_roles, []);
+
+  // a diamond is not a cycle
+  response = await api.request('PUT', `/api/duty-roles/${third.duty_role_id}`, {
+    inheritedFromRoles: [first.duty_role_id, second.duty_role_id]
+  });
+  assert.equal(response.status, 200, response.text);
+});
+
+test('duty role inheritance rejects unknown parents', async () => {
+  let response = await api.request('POST', '/api/duty-roles', {
+    dutyRoleName: 'Orphan',
+    roleCode: 'ORPHAN',
+    inheritedFromRoles: [9998, 9999]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Parent duty role(s) not found: 9998, 9999');
+
+  const role = await createDutyRole('ORPHAN_UPDATE');
+  response = await api.request('PUT', `/api/duty-roles/${role.duty_role_id}`, {
+    inheritedFromRoles: [9999]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Parent duty role(s) not found: 9999');
+});
+
+test('GET /api/duty-roles/graph returns the hierarchy as nodes and edges', async () => {
+  const top = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'Graph top',
+    roleCode: 'GRAPH_TOP',
+    moduleId
+  });
+  const middle = await createDutyRole('GRAPH_MIDDLE', [], [top.duty_role_id]);
+  const bottom = await createDutyRole('GRAPH_BOTTOM', [], [middle.duty_role_id]);
+  const sibling = await createDutyRole('GRAPH_SIBLING', [], [top.duty_role_id]);
+
+  let response = await api.request('GET', '/api/duty-roles/graph');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.summary.edge_direction, 'parent_to_child');
+  const topNode = response.body.data.nodes.find(node => node.duty_role_id === top.duty_role_id);
+  assert.equal(topNode.status, 'ACTIVE');
+  assert.equal(topNode.module_code, 'AP');
+  assert.ok(response.body.data.edges.some(edge =>
+    edge.parent_duty_role_id === top.duty_role_id && edge.child_duty_role_id === middle.duty_role_id
+  ));
+
+  // one link around the middle role: its parent and its child, not the sibling
+  response = await api.request('GET', `/api/duty-roles/graph?root=${middle.duty_role_id}&depth=1`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    ids(response.body.data.nodes, 'duty_role_id'),
+    [top.duty_role_id, middle.duty_role_id, bottom.duty_role_id]
+  );
+  assert.equal(response.body.data.edges.length, 2);
+
+  response = await api.request('GET', `/api/duty-roles/graph?root=${top.duty_role_id}&depth=1`);
+  assert.deepEqual(
+    ids(response.body.data.nodes, 'duty_role_id'),
+    [top.duty_role_id, middle.duty_role_id, sibling.duty_role_id]
+  );
+
+  response = await api.request('GET', `/api/duty-roles/graph?root=${top.duty_role_id}&format=dot`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/vnd\.graphviz/);
+  assert.match(response.text, /^digraph "duty_roles" \{/);
+  assert.ok(response.text.includes(`"DR${top.duty_role_id}" -> "DR${middle.duty_role_id}";`));
+
+  response = await api.request('GET', `/api/duty-roles/graph?root=${top.duty_role_id}&format=mermaid`);
+  assert.equal(response.status, 200);
+  assert.match(response.text, /^flowchart TD/);
+  assert.ok(response.text.includes(`DR${middle.duty_role_id} --> DR${bottom.duty_role_id}`));
+});
+
+test('GET /api/duty-roles/graph validates its query', async () => {
+  let response = await api.request('GET', '/api/duty-roles/graph?format=svg');
+  assert.equal(response.status, 400);
+
+  response = await api.request('GET', '/api/duty-roles/graph?depth=2');
+  assert.equal(response.status, 400);
+
+  response = await api.request('GET', '/api/duty-roles/graph?root=9999');
+  assert.equal(response.status, 404);
+});
+
+test('GET /api/duty-roles/compare splits effective privileges into common and one-sided', async () => {
+  const first = await createDutyRole('COMPARE_A', [view, edit]);
+  const parent = await createDutyRole('COMPARE_PARENT', [edit]);
+  const second = await createDutyRole('COMPARE_B', [approve], [parent.duty_role_id]);
+
+  let response = await api.request('GET', `/api/duty-roles/compare?ids=${first.duty_role_id},${second.duty_role_id}`);
+  assert.equal(response.status, 200, response.text);
+  const { data, summary } = response.body;
+  assert.equal(data.role_a.role_code, 'COMPARE_A');
+  assert.equal(data.role_b.role_code, 'COMPARE_B');
+  assert.deepEqual(data.privileges.common.map(p => [p.privilege_id, p.inherited_in_a, p.inherited_in_b]), [
+    [edit, false, true]
+  ]);
+  assert.deepEqual(data.privileges.only_in_a.map(p => [p.privilege_id, p.inherited]), [[view, false]]);
+  assert.deepEqual(data.privileges.only_in_b.map(p => [p.privilege_id, p.inherited]), [[approve, false]]);
+  assert.deepEqual(summary.privileges, { common: 1, only_in_a: 1, only_in_b: 1 });
+  assert.equal(summary.identical, false);
+
+  for (const query of ['ids=1', 'ids=a,b', `ids=${first.duty_role_id},${first.duty_role_id}`, '']) {
+    response = await api.request('GET', `/api/duty-roles/compare?${query}`);
+    assert.equal(response.status, 400, query);
+  }
+
+  response = await api.request('GET', `/api/duty-roles/compare?ids=${first.duty_role_id},9999`);
+  assert.equal(response.status, 404);
+});
+
+test('POST /api/duty-roles/:id/clone copies privileges and parents, and descendants on deepCopy', async () => {
+  const parent = await createDutyRole('CLONE_PARENT', [edit]);
+  const source = await createDutyRole('CLONE_SOURCE', [view], [parent.duty_role_id]);
+  const child = await createDutyRole('CLONE_CHILD', [approve], [source.duty_role_id]);
+  const grandchild = await createDutyRole('CLONE_GRANDCHILD', [], [child.duty_role_id, parent.duty_role_id]);
+
+  let response = await api.request('POST', `/api/duty-roles/${source.duty_role_id}/clone`, {
+    roleCode: 'CLONE_SHALLOW',
+    dutyRoleName: 'Shallow clone'
+  });
+  assert.equal(response.status, 201, response.text);
+  assert.equal(response.body.data.role_code, 'CLONE_SHALLOW');
+  assert.deepEqual(ids(response.body.data.function_privileges, 'privilege_id'), [view, edit]);
+  assert.deepEqual(ids(response.body.data.inherited_from_roles, 'duty_role_id'), [parent.duty_role_id]);
+  assert.deepEqual(response.body.data.inherited_child_roles, []);
+
+  response = await api.request('POST', `/api/duty-roles/${source.duty_role_id}/clone`, {
+    roleCode: 'EU_CLONE_SOURCE',
+    dutyRoleName: 'EU source',
+    deepCopy: true,
+    codePrefix: 'EU_'
+  });
+  assert.equal(response.status, 201, response.text);
+  const clones = Object.fromEntries(
+    response.body.data.cloned_roles.map(clone => [clone.source_role_code, clone.duty_role_id])
+  );
+  assert.deepEqual(
+    response.body.data.cloned_roles.map(clone => clone.role_code),
+    ['EU_CLONE_SOURCE', 'EU_CLONE_CHILD', 'EU_CLONE_GRANDCHILD']
+  );
+
+  // the copied hierarchy points at the clones, links outside it are kept
+  const clonedGrandchild = await getDutyRole(clones.CLONE_GRANDCHILD);
+  assert.deepEqual(
+    ids(clonedGrandchild.inherited_from_roles, 'duty_role_id'),
+    [parent.duty_role_id, clones.CLONE_CHILD]
+  );
+  assert.deepEqual(ids(clonedGrandchild.function_privileges, 'privilege_id'), [view, edit, approve]);
+
+  const original = await getDutyRole(grandchild.duty_role_id);
+  assert.deepEqual(ids(original.inherited_from_roles, 'duty_role_id'), [parent.duty_role_id, child.duty_role_id]);
+});
+
+test('POST /api/duty-roles/:id/clone runs in one transaction', async () => {
+  const source = await createDutyRole('ATOMIC_SOURCE', [view]);
+  await createDutyRole('ATOMIC_CHILD', [], [source.duty_role_id]);
+  await createDutyRole('COPY_ATOMIC_CHILD');
+
+  // the descendant's prefixed code is taken, so the clone of the source is rolled back too
+  let response = await api.request('POST', `/api/duty-roles/${source.duty_role_id}/clone`, {
+    roleCode: 'COPY_ATOMIC_SOURCE',
+    dutyRoleName: 'Copy',
+    deepCopy: true,
+    codePrefix: 'COPY_'
+  });
+  assert.equal(response.status, 409);
+
+  response = await api.request('GET', '/api/duty-roles?roleCode=COPY_ATOMIC_SOURCE');
+  assert.equal(response.body.data.length, 0);
+
+  response = await api.request('POST', `/api/duty-roles/${source.duty_role_id}/clone`, {
+    roleCode: 'COPY_ATOMIC_SOURCE',
+    dutyRoleName: 'Copy',
+    deepCopy: true
+  });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/duty-roles/9999/clone', { roleCode: 'NONE', dutyRoleName: 'None' });
+  assert.equal(response.status, 404);
+});
+
+test('POST /api/duty-roles/:id/privileges adds privileges and reports duplicates', async () => {
+  const role = await createDutyRole('ADD_PRIVILEGES', [view]);
+
+  let response = await api.request('POST', `/api/duty-roles/${role.duty_role_id}/privileges`, {
+    privilegeIds: [view, edit]
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.body.message, /already assigned/);
+  assert.match(response.body.message, /has been assigned/);
+
+  const reloaded = await getDutyRole(role.duty_role_id);
+  assert.deepEqual(ids(reloaded.function_privileges, 'privilege_id'), [view, edit]);
+
+  response = await api.request('POST', `/api/duty-roles/${role.duty_role_id}/privileges`, { privilegeIds: [] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', `/api/duty-roles/${role.duty_role_id}/privileges`, { privilegeIds: [9999] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/duty-roles/9999/privileges', { privilegeIds: [view] });
+  assert.equal(response.status, 404);
+});
+
+test('DELETE /api/duty-roles/:id/privileges/:privilegeId removes explicit privileges only', async () => {
+  const parent = await createDutyRole('REMOVE_PARENT', [view]);
+  const child = await createDutyRole('REMOVE_CHILD', [edit], [parent.duty_role_id]);
+
+  let response = await api.request('DELETE', `/api/duty-roles/${child.duty_role_id}/privileges/${view}`);
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /inherited from parent role\(s\)/);
+
+  response = await api.request('DELETE', `/api/duty-roles/${child.duty_role_id}/privileges/${edit}`);
+  assert.equal(response.status, 200);
+  assert.match(response.body.message, /has been removed/);
+
+  response = await api.request('DELETE', `/api/duty-roles/${child.duty_role_id}/privileges/${edit}`);
+  assert.equal(response.status, 200);
+  assert.match(response.body.message, /already removed/);
+
+  const reloaded = await getDutyRole(child.duty_role_id);
+  assert.deepEqual(ids(reloaded.function_privileges, 'privilege_id'), [view]);
+});
+
+test('DELETE /api/duty-roles/:id refuses roles that have parents', async () => {
+  const parent = await createDutyRole('HAS_PARENTS_PARENT', [view]);
+  const child = await createDutyRole('HAS_PARENTS_CHILD', [], [parent.duty_role_id]);
+
+  const response = await api.request('DELETE', `/api/duty-roles/${child.duty_role_id}`);
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /inherits from other role\(s\)/);
+
+  await getDutyRole(child.duty_role_id);
+});
+
+test('DELETE /api/duty-roles/:id cascades to children that have no other parent', async () => {
+  const root = await createDutyRole('CASCADE_ROOT', [view]);
+  const otherRoot = await createDutyRole('CASCADE_OTHER_ROOT', [approve]);
+  const onlyChild = await createDutyRole('CASCADE_ONLY_CHILD', [edit], [root.duty_role_id]);
+  const sharedChild = await createDutyRole(
+    'CASCADE_SHARED_CHILD',
+    [],
+    [root.duty_role_id, otherRoot.duty_role_id]
+  );
+
+  let response = await api.request('DELETE', `/api/duty-roles/${root.duty_role_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  for (const deleted of [root, onlyChild]) {
+    response = await api.request('GET', `/api/duty-roles/${deleted.duty_role_id}`);
+    assert.equal(response.status, 404);
+  }
+
+  const shared = await getDutyRole(sharedChild.duty_role_id);
+  assert.deepEqual(ids(shared.inherited_from_roles, 'duty_role_id'), [otherRoot.duty_role_id]);
+  assert.deepEqual(ids(shared.function_privileges, 'privilege_id'), [approve]);
+
+  response = await api.request('DELETE', `/api/duty-roles/${root.duty_role_id}`);
+  assert.equal(response.status, 404);
+});
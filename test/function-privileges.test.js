@@ -0,0 +1,211 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog, ids } from './helpers/server.js';
+
+let api;
+let catalog;
+
+before(async () => {
+  api = await startTestServer();
+  catalog = await createCatalog(api, 'GL', ['VIEW']);
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('POST /api/function-privileges creates a privilege with its catalog names', async () => {
+  const edit = await create(api, '/api/operations', { operationCode: 'EDIT', operationName: 'Edit' });
+  const response = await api.request('POST', '/api/function-privileges', {
+    privilegeCode: 'GL_FN_EDIT',
+    privilegeName: 'Edit GL',
+    moduleId: catalog.module.module_id,
+    functionId: catalog.fn.function_id,
+    operationId: edit.operation_id
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.privilege_code, 'GL_FN_EDIT');
+  assert.equal(response.body.data.module_name, 'GL module');
+  assert.equal(response.body.data.function_name, 'GL function');
+  assert.equal(response.body.data.operation_name, 'Edit');
+});
+
+test('POST /api/function-privileges validates required fields and unique codes', async () => {
+  let response = await api.request('POST', '/api/function-privileges', { privilegeName: 'No code' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'privilegeCode is required');
+
+  response = await api.request('POST', '/api/function-privileges', { privilegeCode: 'NO_NAME' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'privilegeName is required');
+
+  response = await api.request('POST', '/api/function-privileges', {
+    privilegeCode: 'GL_FN_VIEW',
+    privilegeName: 'Duplicate'
+  });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Privilege code already exists');
+});
+
+test('GET /api/function-privileges paginates and filters', async () => {
+  let response = await api.request('GET', '/api/function-privileges?page=1&limit=1');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 1);
+  assert.equal(response.body.pagination.total, 2);
+
+  response = await api.request('GET', `/api/function-privileges?operationId=${catalog.operations[0].operation_id}`);
+  assert.deepEqual(response.body.data.map(privilege => privilege.privilege_code), ['GL_FN_VIEW']);
+
+  response = await api.request('GET', '/api/function-privileges?privilegeCode=edit');
+  assert.deepEqual(response.body.data.map(privilege => privilege.privilege_code), ['GL_FN_EDIT']);
+});
+
+test('GET /api/function-privileges/:id returns one privilege or 404', async () => {
+  const [privilege] = catalog.privileges;
+
+  let response = await api.request('GET', `/api/function-privileges/${privilege.privilege_id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.privilege_code, 'GL_FN_VIEW');
+
+  response = await api.request('GET', '/api/function-privileges/9999');
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Function privilege not found');
+
+  response = await api.request('GET', '/api/function-privileges/abc');
+  assert.equal(response.status, 400);
+});
+
+test('PUT /api/function-privileges/:id updates fields', async () => {
+  const privilege = await create(api, '/api/function-privileges', {
+    privilegeCode: 'GL_FN_EXPORT',
+    privilegeName: 'Export GL'
+  });
+
+  let response = await api.request('PUT', `/api/function-privileges/${privilege.privilege_id}`, {
+    privilegeName: 'Export ledger',
+    status: 'INACTIVE'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.privilege_name, 'Export ledger');
+  assert.equal(response.body.data.status, 'INACTIVE');
+
+  response = await api.request('PUT', `/api/function-privileges/${privilege.privilege_id}`, {
+    privilegeCode: 'GL_FN_VIEW'
+  });
+  assert.equal(response.status, 409);
+
+  response = await api.request('PUT', '/api/function-privileges/9999', { privilegeName: 'Missing' });
+  assert.equal(response.status, 404);
+});
+
+test('DELETE /api/function-privileges/:id removes the privilege from duty roles', async () => {
+  const privilege = await create(api, '/api/function-privileges', {
+    privilegeCode: 'GL_FN_CLOSE',
+    privilegeName: 'Close periods'
+  });
+  const [view] = catalog.privileges;
+  const dutyRole = await create(api, '/api/duty-roles', {
+    dutyRoleName: 'Period close',
+    roleCode: 'GL_CLOSE_DUTY',
+    functionPrivileges: [view.privilege_id, privilege.privilege_id]
+  });
+
+  let response = await api.request('DELETE', `/api/function-privileges/${privilege.privilege_id}`);
+  assert.equal(response.status, 200);
+
+  response = await api.request('GET', `/api/function-privileges/${privilege.privilege_id}`);
+  assert.equal(response.status, 404);
+
+  response = await api.request('GET', `/api/duty-roles/${dutyRole.duty_role_id}`);
+  assert.deepEqual(ids(response.body.data.function_privileges, 'privilege_id'), [view.privilege_id]);
+
+  // the duty role lost a privilege, so it has its own audit record
+  response = await api.request('GET', `/api/duty-roles/${dutyRole.duty_role_id}/history`);
+  assert.deepEqual(response.body.data.map(entry => entry.action), ['CREATE', 'UPDATE']);
+
+  response = await api.request('DELETE', `/api/function-privileges/${privilege.privilege_id}`);
+  assert.equal(response.status, 404);
+});
+
+test('POST /api/function-privileges/generate creates the missing function x operation privileges', async () => {
+  const module = await create(api, '/api/modules', { moduleCode: 'GEN', moduleName: 'Generated' });
+  const [orders, invoices] = await Promise.all(['ORDERS', 'INVOICES'].map(code => create(api, '/api/functions', {
+    moduleId: module.module_id,
+    functionCode: code,
+    functionName: code.charAt(0) + code.slice(1).toLowerCase()
+  })));
+  const [read, write] = await Promise.all(['READ', 'WRITE'].map(code => create(api, '/api/operations', {
+    operationCode: code,
+    operationName: code.charAt(0) + code.slice(1).toLowerCase()
+  })));
+  const existing = await create(api, '/api/function-privileges', {
+    privilegeCode: 'ORDERS_READ_LEGACY',
+    privilegeName: 'Legacy read',
+    moduleId: module.module_id,
+    functionId: orders.function_id,
+    operationId: read.operation_id
+  });
+
+  const body = { moduleId: module.module_id, operationIds: [read.operation_id, write.operation_id] };
+  for (const path of ['/api/function-privileges/generate', '/api/function-privileges/generate?mode=dry-run']) {
+    const dryRun = await api.request('POST', path, body);
+    assert.equal(dryRun.status, 200, dryRun.text);
+    assert.equal(dryRun.body.mode, 'dry-run');
+    assert.equal(dryRun.body.committed, false);
+    assert.deepEqual(dryRun.body.summary, { total: 4, created: 3, existing: 1, conflicts: 0 });
+    assert.ok(dryRun.body.data.every(privilege => privilege.action !== 'CREATE' || privilege.privilege_id === null));
+  }
+  const listed = await api.request('GET', `/api/function-privileges?moduleId=${module.module_id}`);
+  assert.deepEqual(listed.body.data.map(privilege => privilege.privilege_code), ['ORDERS_READ_LEGACY']);
+
+  const response = await api.request('POST', '/api/function-privileges/generate?mode=commit', body);
+  assert.equal(response.status, 201, response.text);
+  assert.equal(response.body.mode, 'commit');
+  assert.equal(response.body.committed, true);
+  assert.deepEqual(
+    response.body.data.map(privilege => [privilege.privilege_code, privilege.action]),
+    [
+      ['INVOICES_READ', 'CREATE'],
+      ['INVOICES_WRITE', 'CREATE'],
+      ['ORDERS_READ_LEGACY', 'EXISTS'],
+      ['ORDERS_WRITE', 'CREATE']
+    ]
+  );
+  assert.equal(response.body.data[2].privilege_id, existing.privilege_id);
+
+  const generated = (await api.request('GET', `/api/function-privileges/${response.body.data[3].privilege_id}`)).body.data;
+  assert.equal(generated.privilege_name, 'Orders - Write');
+  assert.equal(generated.module_id, module.module_id);
+  assert.equal(generated.function_id, orders.function_id);
+  assert.equal(generated.operation_id, write.operation_id);
+
+  const again = await api.request('POST', '/api/function-privileges/generate?mode=commit', {
+    functionId: invoices.function_id,
+    operationIds: [read.operation_id]
+  });
+  assert.equal(again.status, 200, again.text);
+  assert.deepEqual(again.body.summary, { total: 1, created: 0, existing: 1, conflicts: 0 });
+});
+
+test('POST /api/function-privileges/generate validates its scope and operations', async () => {
+  const operationIds = [catalog.operations[0].operation_id];
+
+  let response = await api.request('POST', '/api/function-privileges/generate', { operationIds });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Provide either moduleId or functionId');
+
+  response = await api.request('POST', '/api/function-privileges/generate', { functionId: catalog.fn.function_id, operationIds: [] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/function-privileges/generate', { functionId: 999999, operationIds });
+  assert.equal(response.status, 404);
+
+  response = await api.request('POST', '/api/function-privileges/generate', { functionId: catalog.fn.function_id, operationIds: [999999] });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Operation(s) not found: 999999');
+
+  response = await api.request('POST', '/api/function-privileges/generate?mode=preview', { functionId: catalog.fn.function_id, operationIds });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'mode must be one of: dry-run, commit');
+});
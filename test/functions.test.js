@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create } from './helpers/server.js';
+
+let api;
+let gl;
+let ap;
+
+before(async () => {
+  api = await startTestServer();
+  gl = await create(api, '/api/modules', { moduleCode: 'GL', moduleName: 'General Ledger' });
+  ap = await create(api, '/api/modules', { moduleCode: 'AP', moduleName: 'Payables' });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('POST /api/functions creates a function under a module', async () => {
+  const response = await api.request('POST', '/api/functions', {
+    moduleId: gl.module_id,
+    functionCode: 'GL_JOURNALS',
+    functionName: 'Journals'
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.function_code, 'GL_JOURNALS');
+  assert.equal(response.body.data.module_id, gl.module_id);
+  assert.equal(response.body.data.module_name, 'General Ledger');
+});
+
+test('POST /api/functions validates required fields and unique codes', async () => {
+  let response = await api.request('POST', '/api/functions', {
+    functionCode: 'NO_MODULE',
+    functionName: 'No module'
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'moduleId is required');
+
+  response = await api.request('POST', '/api/functions', { moduleId: gl.module_id, functionName: 'No code' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'functionCode is required');
+
+  response = await api.request('POST', '/api/functions', {
+    moduleId: gl.module_id,
+    functionCode: 'GL_JOURNALS',
+    functionName: 'Duplicate'
+  });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Function code already exists');
+});
+
+test('GET /api/functions paginates and filters', async () => {
+  await create(api, '/api/functions', { moduleId: ap.module_id, functionCode: 'AP_INVOICES', functionName: 'Invoices' });
+  await create(api, '/api/functions', { moduleId: ap.module_id, functionCode: 'AP_PAYMENTS', functionName: 'Payments' });
+
+  let response = await api.request('GET', '/api/functions?page=1&limit=2');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 2);
+  assert.equal(response.body.pagination.total, 3);
+
+  response = await api.request('GET', `/api/functions?moduleId=${ap.module_id}`);
+  assert.deepEqual(
+    response.body.data.map(fn => fn.function_code).sort(),
+    ['AP_INVOICES', 'AP_PAYMENTS']
+  );
+
+  response = await api.request('GET', '/api/functions?functionName=invoice');
+  assert.deepEqual(response.body.data.map(fn => fn.function_code), ['AP_INVOICES']);
+
+  response = await api.request('GET', '/api/functions?limit=500');
+  assert.equal(response.status, 400);
+});
+
+test('GET /api/functions/module/:moduleId lists the functions of one module', async () => {
+  let response = await api.request('GET', `/api/functions/module/${gl.module_id}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.map(fn => fn.function_code), ['GL_JOURNALS']);
+
+  response = await api.request('GET', '/api/functions/module/abc');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid module ID');
+});
+
+test('GET /api/functions/:id returns one function or 404', async () => {
+  const fn = await create(api, '/api/functions', {
+    moduleId: gl.module_id,
+    functionCode: 'GL_PERIODS',
+    functionName: 'Periods'
+  });
+
+  let response = await api.request('GET', `/api/functions/${fn.function_id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.function_name, 'Periods');
+
+  response = await api.request('GET', '/api/functions/9999');
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Function not found');
+});
+
+test('PUT /api/functions/:id updates fields', async () => {
+  const fn = await create(api, '/api/functions', {
+    moduleId: gl.module_id,
+    functionCode: 'GL_BUDGETS',
+    functionName: 'Budgets'
+  });
+
+  let response = await api.request('PUT', `/api/functions/${fn.function_id}`, {
+    functionName: 'Budget Entry',
+    moduleId: ap.module_id
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.function_name, 'Budget Entry');
+  assert.equal(response.body.data.module_id, ap.module_id);
+
+  response = await api.request('PUT', `/api/functions/${fn.function_id}`, { functionCode: 'GL_JOURNALS' });
+  assert.equal(response.status, 409);
+
+  response = await api.request('PUT', '/api/functions/9999', { functionName: 'Missing' });
+  assert.equal(response.status, 404);
+});
+
+test('DELETE /api/functions/:id deletes the function', async () => {
+  const fn = await create(api, '/api/functions', {
+    moduleId: gl.module_id,
+    functionCode: 'GL_TMP',
+    functionName: 'Temporary'
+  });
+
+  let response = await api.request('DELETE', `/api/functions/${fn.function_id}`);
+  assert.equal(response.status, 200);
+
+  response = await api.request('GET', `/api/functions/${fn.function_id}`);
+  assert.equal(response.status, 404);
+
+  response = await api.request('DELETE', `/api/functions/${fn.function_id}`);
+  assert.equal(response.status, 404);
+});
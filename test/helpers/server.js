@@ -0,0 +1,204 @@
+/**
+ * Integration test harness
+ *
+ * Boots the Express app (app.js) on an ephemeral port against the memory
+ * database (DB_CLIENT=memory), so the suites need no Oracle Client, wallet or
+ * network. node --test runs every file in its own process, so each suite
+ * starts from an empty schema built by db/migrations.
+ */
+import assert from 'node:assert/strict';
+
+export const TEST_USER = 'test-admin';
+
+// Set before config/db.js is loaded: it picks the driver at import time
+process.env.DB_CLIENT = 'memory';
+process.env.AUTH_TOKEN_SECRET = 'integration-test-secret-0123456789abcdef';
+process.env.AUTHZ_SUPERUSERS = TEST_USER;
+
+/**
+ * Start the app and return a small HTTP client for it
+ * @returns {Promise<{request: Function, stop: Function}>}
+ */
+export async function startTestServer() {
+  const { app } = await import('../../app.js');
+  const { createPool, closePool } = await import('../../config/db.js');
+  const { signToken } = await import('../../utils/tokenUtils.js');
+
+  await createPool();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const token = signToken({ sub: 0, username: TEST_USER });
+
+  /**
+   * Call the API, as the test superuser unless options.token says otherwise
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including query string, e.g. /api/modules?page=1
+   * @param {Object|string} [body] - JSON body, or the raw body when options.contentType is set
+   * @param {Object} [options]
+   * @param {string|null} [options.token] - Override the Bearer token (null sends none)
+   * @param {string} [options.contentType] - Send `body` as-is with this Content-Type, e.g. 'text/csv'
+   * @returns {Promise<{status: number, body: *, text: string, headers: Headers}>}
+   */
+  async function request(method, path, body, options = {}) {
+    const bearer = options.token === undefined ? token : options.token;
+    const headers = { 'Content-Type': options.contentType || 'application/json' };
+    if (bearer) headers.Authorization = `Bearer ${bearer}`;
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined || options.contentType ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (_) {
+      json = undefined;
+    }
+    return { status: response.status, body: json, text, headers: response.headers };
+  }
+
+  async function stop() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await closePool();
+  }
+
+  return { request, stop };
+}
+
+/**
+ * POST and assert the entity was created
+ * @returns {Promise<Object>} - The created entity (response data)
+ */
+export async function create(api, path, body) {
+  const response = await api.request('POST', path, body);
+  assert.equal(response.status, 201, `POST ${path} failed: ${response.text}`);
+  return response.body.data;
+}
+
+/**
+ * Module → function → operations → one privilege per operation
+ * @param {string} prefix - Makes the codes unique within a suite
+ * @param {string[]} operations - Operation codes, e.g. ['VIEW', 'EDIT']
+ * @returns {Promise<{module: Object, fn: Object, operations: Object[], privileges: Object[]}>}
+ */
+export async function createCatalog(api, prefix, operations = ['VIEW', 'EDIT']) {
+  const module = await create(api, '/api/modules', {
+    moduleCode: prefix,
+    moduleName: `${prefix} module`
+  });
+  const fn = await create(api, '/api/functions', {
+    moduleId: module.module_id,
+    functionCode: `${prefix}_FN`,
+    functionName: `${prefix} function`
+  });
+
+  const createdOperations = [];
+  const privileges = [];
+  for (const code of operations) {
+    const operation = await create(api, '/api/operations', {
+      operationCode: `${prefix}_${code}`,
+      operationName: `${prefix} ${code}`
+    });
+    createdOperations.push(operation);
+    privileges.push(await create(api, '/api/function-privileges', {
+      privilegeCode: `${prefix}_FN_${code}`,
+      privilegeName: `${prefix} ${code}`,
+      moduleId: module.module_id,
+      functionId: fn.function_id,
+      operationId: operation.operation_id
+    }));
+  }
+
+  return { module, fn, operations: createdOperations, privileges };
+}
+
+/**
+ * IDs of a list of objects, e.g. ids(role.function_privileges, 'privilege_id')
+ */
+export function ids(items, key) {
+  return (items || []).map(item => item[key]).sort((a, b) => a - b);
+}
+
+/**
+ * Sign in through POST /api/auth/login
+ * @returns {Promise<string>} - Bearer token, for api.request(..., { token })
+ */
+export async function signIn(api, username, password) {
+  const response = await api.request('POST', '/api/auth/login', { username, password });
+  assert.equal(response.status, 200, `Sign-in as ${username} failed: ${response.text}`);
+  return response.body.data.token;
+}
+
+/**
+ * Function privilege with this exact code, created under the AUTHZ catalog when missing
+ * @returns {Promise<number>} - PRIVILEGE_ID
+ */
+async function ensurePrivilege(api, privilegeCode) {
+  const response = await api.request('GET', `/api/function-privileges?privilegeCode=${privilegeCode}&limit=1000`);
+  const existing = response.body.data.find(p => p.privilege_code === privilegeCode);
+  if (existing) return existing.privilege_id;
+
+  let catalog = (await api.request('GET', '/api/functions?functionCode=AUTHZ_FN')).body.data
+    .find(fn => fn.function_code === 'AUTHZ_FN');
+  if (!catalog) {
+    const module = await create(api, '/api/modules', { moduleCode: 'AUTHZ', moduleName: 'Authorization' });
+    catalog = await create(api, '/api/functions', {
+      moduleId: module.module_id,
+      functionCode: 'AUTHZ_FN',
+      functionName: 'Security administration'
+    });
+  }
+
+  const operation = await create(api, '/api/operations', {
+    operationCode: privilegeCode,
+    operationName: privilegeCode
+  });
+  const privilege = await create(api, '/api/function-privileges', {
+    privilegeCode,
+    privilegeName: privilegeCode,
+    moduleId: catalog.module_id,
+    functionId: catalog.function_id,
+    operationId: operation.operation_id
+  });
+  return privilege.privilege_id;
+}
+
+/**
+ * Create a user who is not a superuser and sign in as them. The user holds
+ * exactly the given privileges, through a duty role and job role of their own.
+ * @param {string} username - Also names the roles, so it must be unique in the suite
+ * @param {string[]} privilegeCodes - e.g. ['SEC_MODULES_VIEW']
+ * @param {Object} [userData] - Extra POST /api/users fields, e.g. { managerUserId }
+ * @returns {Promise<{user: Object, token: string}>}
+ */
+export async function createSignedInUser(api, username, privilegeCodes = [], userData = {}) {
+  const password = `${username}-password-1`;
+  const user = await create(api, '/api/users', { ...userData, username, password });
+
+  if (privilegeCodes.length > 0) {
+    const privilegeIds = [];
+    for (const code of privilegeCodes) {
+      privilegeIds.push(await ensurePrivilege(api, code));
+    }
+    const roleCode = username.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    const dutyRole = await create(api, '/api/duty-roles', {
+      dutyRoleName: `${username} duties`,
+      roleCode: `${roleCode}_DUTY`,
+      functionPrivileges: privilegeIds
+    });
+    const jobRole = await create(api, '/api/job-roles', {
+      jobRoleCode: `${roleCode}_JOB`,
+      jobRoleName: `${username} job`,
+      dutyRolesArray: [dutyRole.duty_role_id]
+    });
+    const response = await api.request('POST', `/api/users/${user.user_id}/job-roles`, { jobRoleId: jobRole.job_role_id });
+    assert.equal(response.status, 201, response.text);
+  }
+
+  return { user, token: await signIn(api, username, password) };
+}
@@ -0,0 +1,210 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+/**
+ * A complete security model as CSV sections; the job role names a parent
+ * that appears later in the file
+ */
+function catalogImport(prefix) {
+  return {
+    modules: `MODULE_CODE,MODULE_NAME\n${prefix},${prefix} module\n`,
+    functions: `FUNCTION_CODE,FUNCTION_NAME,MODULE_CODE\n${prefix}_FN,${prefix} function,${prefix}\n`,
+    operations: `OPERATION_CODE,OPERATION_NAME\n${prefix}_VIEW,View\n${prefix}_EDIT,Edit\n`,
+    functionPrivileges: [
+      'PRIVILEGE_CODE,PRIVILEGE_NAME,MODULE_CODE,FUNCTION_CODE,OPERATION_CODE',
+      `${prefix}_FN_VIEW,View,${prefix},${prefix}_FN,${prefix}_VIEW`,
+      `${prefix}_FN_EDIT,Edit,${prefix},${prefix}_FN,${prefix}_EDIT`
+    ].join('\n'),
+    dutyRoles: [
+      'ROLE_CODE,DUTY_ROLE_NAME,MODULE_CODE,PRIVILEGE_CODES,PARENT_ROLE_CODES',
+      `${prefix}_READ,Reader,${prefix},${prefix}_FN_VIEW,`,
+      `${prefix}_WRITE,Writer,${prefix},${prefix}_FN_EDIT,${prefix}_READ`
+    ].join('\n'),
+    jobRoles: [
+      { jobRoleCode: `${prefix}_CLERK`, jobRoleName: 'Clerk', dutyRoleCodes: [`${prefix}_WRITE`], parentJobRoleCodes: `${prefix}_BASE` },
+      { jobRoleCode: `${prefix}_BASE`, jobRoleName: 'Base', dutyRoleCodes: `${prefix}_READ` }
+    ]
+  };
+}
+
+function rowsBySection(report, section) {
+  return report.data.filter(row => row.section === section);
+}
+
+async function countModules(moduleCode) {
+  const response = await api.request('GET', `/api/modules?moduleCode=${moduleCode}`);
+  assert.equal(response.status, 200, response.text);
+  return response.body.data.filter(module => module.module_code === moduleCode).length;
+}
+
+test('POST /api/import dry run reports every row and persists nothing', async () => {
+  const response = await api.request('POST', '/api/import', catalogImport('DRY'));
+  assert.equal(response.status, 200, response.text);
+
+  assert.equal(response.body.success, true);
+  assert.equal(response.body.mode, 'dry-run');
+  assert.equal(response.body.committed, false);
+  assert.equal(response.body.summary.total, 10);
+  assert.equal(response.body.summary.created, 10);
+  assert.deepEqual(response.body.summary.sections.operations,
+    { total: 2, created: 2, updated: 0, unchanged: 0, errors: 0 });
+  assert.deepEqual(rowsBySection(response.body, 'dutyRoles').map(row => [row.row, row.code]),
+    [[2, 'DRY_READ'], [3, 'DRY_WRITE']]);
+
+  assert.equal(await countModules('DRY'), 0);
+});
+
+test('POST /api/import commit creates the model with references resolved by code', async () => {
+  const response = await api.request('POST', '/api/import?mode=commit', catalogImport('IMP'));
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.committed, true);
+
+  const [reader, writer] = rowsBySection(response.body, 'dutyRoles').map(row => row.id);
+  const [viewPrivilege, editPrivilege] = rowsBySection(response.body, 'functionPrivileges').map(row => row.id);
+  const [clerk, base] = rowsBySection(response.body, 'jobRoles').map(row => row.id);
+
+  const privilege = (await api.request('GET', `/api/function-privileges/${editPrivilege}`)).body.data;
+  assert.equal(privilege.privilege_code, 'IMP_FN_EDIT');
+  assert.equal(privilege.module_id, rowsBySection(response.body, 'modules')[0].id);
+
+  const writerRole = (await api.request('GET', `/api/duty-roles/${writer}`)).body.data;
+  assert.deepEqual(writerRole.inherited_from_roles.map(role => role.duty_role_id), [reader]);
+  assert.deepEqual(
+    writerRole.function_privileges.map(p => [p.privilege_id, p.inherited]).sort(),
+    [[viewPrivilege, true], [editPrivilege, false]].sort()
+  );
+
+  const clerkRole = (await api.request('GET', `/api/job-roles/${clerk}`)).body.data;
+  assert.deepEqual(clerkRole.inherited_from.map(role => role.job_role_id), [base]);
+  assert.deepEqual(clerkRole.duty_roles.map(role => role.duty_role_id).sort(), [reader, writer].sort());
+});
+
+test('POST /api/import reports updates and unchanged rows against existing records', async () => {
+  await create(api, '/api/modules', { moduleCode: 'UPD', moduleName: 'Original' });
+  await create(api, '/api/operations', { operationCode: 'UPD_RUN', operationName: 'Run' });
+
+  const response = await api.request('POST', '/api/import?mode=commit', {
+    modules: [{ moduleCode: 'UPD', moduleName: 'Renamed', description: '' }],
+    operations: [{ operationCode: 'UPD_RUN', operationName: 'Run' }]
+  });
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.data.map(row => row.action), ['UPDATE', 'UNCHANGED']);
+
+  const module = (await api.request('GET', `/api/modules/${response.body.data[0].id}`)).body.data;
+  assert.equal(module.module_name, 'Renamed');
+
+  const history = await api.request('GET', `/api/modules/${module.module_id}/history`);
+  assert.equal(history.status, 200, history.text);
+  assert.deepEqual(history.body.data.map(entry => entry.action), ['CREATE', 'UPDATE']);
+});
+
+test('POST /api/import commit rolls back everything when a row fails', async () => {
+  const payload = catalogImport('BAD');
+  payload.dutyRoles += '\nBAD_LOOSE,Loose,BAD,NO_SUCH_PRIVILEGE,';
+  payload.operations += 'BAD_DUP,Duplicate\nBAD_DUP,Duplicate again\n';
+
+  const response = await api.request('POST', '/api/import?mode=commit', payload);
+  assert.equal(response.status, 400, response.text);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.committed, false);
+
+  const errors = response.body.data.filter(row => row.action === 'ERROR');
+  assert.deepEqual(errors.map(row => [row.section, row.row, row.code]), [
+    ['operations', 5, 'BAD_DUP'],
+    ['dutyRoles', 4, 'BAD_LOOSE']
+  ]);
+  assert.match(errors[0].error, /Duplicate OPERATION_CODE/);
+  assert.match(errors[1].error, /NO_SUCH_PRIVILEGE/);
+
+  assert.equal(await countModules('BAD'), 0);
+});
+
+test('POST /api/import validates rows: required fields, status, references and cycles', async () => {
+  const response = await api.request('POST', '/api/import', {
+    modules: 'MODULE_CODE,MODULE_NAME,STATUS\nVAL,Valid,ACTIVE\nVAL_NONAME,,\nVAL_STATUS,Bad status,ARCHIVED\n',
+    functions: 'FUNCTION_CODE,FUNCTION_NAME,MODULE_CODE\nVAL_FN,Orphan,NO_MODULE\n',
+    dutyRoles: 'ROLE_CODE,DUTY_ROLE_NAME,PARENT_ROLE_CODES\nVAL_A,A,VAL_B\nVAL_B,B,VAL_A\n'
+  });
+  assert.equal(response.status, 200, response.text);
+
+  const byCode = Object.fromEntries(response.body.data.map(row => [row.code, row]));
+  assert.equal(byCode.VAL.action, 'CREATE');
+  assert.match(byCode.VAL_NONAME.error, /MODULE_NAME required/);
+  assert.match(byCode.VAL_STATUS.error, /STATUS must be ACTIVE or INACTIVE/);
+  assert.match(byCode.VAL_FN.error, /Unknown MODULE_CODE\(s\): NO_MODULE/);
+  assert.equal(byCode.VAL_A.action, 'CREATE');
+  assert.match(byCode.VAL_B.error, /Inheritance cycle detected: VAL_B -> VAL_A -> VAL_B/);
+});
+
+test('POST /api/import applies segregation-of-duties rules to imported roles', async () => {
+  const setup = await api.request('POST', '/api/import?mode=commit', {
+    modules: [{ moduleCode: 'SOD', moduleName: 'SoD' }],
+    operations: [{ operationCode: 'SOD_PAY', operationName: 'Pay' }, { operationCode: 'SOD_APPROVE', operationName: 'Approve' }],
+    functionPrivileges: [
+      { privilegeCode: 'SOD_PAY', privilegeName: 'Pay', operationCode: 'SOD_PAY' },
+      { privilegeCode: 'SOD_APPROVE', privilegeName: 'Approve', operationCode: 'SOD_APPROVE' }
+    ]
+  });
+  assert.equal(setup.status, 200, setup.text);
+  const [pay, approve] = rowsBySection(setup.body, 'functionPrivileges').map(row => row.id);
+
+  await create(api, '/api/sod/rules', {
+    ruleCode: 'IMPORT_PAY_APPROVE',
+    ruleName: 'Pay vs approve',
+    severity: 'BLOCK',
+    sideAPrivileges: [pay],
+    sideBPrivileges: [approve]
+  });
+
+  const response = await api.request('POST', '/api/import', {
+    dutyRoles: [
+      { roleCode: 'SOD_PAYER', dutyRoleName: 'Payer', privilegeCodes: 'SOD_PAY' },
+      { roleCode: 'SOD_BOTH', dutyRoleName: 'Both', privilegeCodes: 'SOD_APPROVE', parentRoleCodes: 'SOD_PAYER' }
+    ]
+  });
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.data.map(row => row.action), ['CREATE', 'ERROR']);
+  assert.match(response.body.data[1].error, /Segregation of duties violation: IMPORT_PAY_APPROVE/);
+});
+
+test('POST /api/import accepts a single CSV section as text/csv', async () => {
+  const csv = '\uFEFFOperation Code,Operation Name,Description\r\nCSV_PRINT,Print,"Print, with ""quotes"""\r\n';
+  const response = await api.request('POST', '/api/import?mode=commit&section=operations', csv, {
+    contentType: 'text/csv'
+  });
+  assert.equal(response.status, 200, response.text);
+
+  const operation = (await api.request('GET', `/api/operations/${response.body.data[0].id}`)).body.data;
+  assert.equal(operation.description, 'Print, with "quotes"');
+});
+
+test('POST /api/import rejects bad modes, sections and columns', async () => {
+  let response = await api.request('POST', '/api/import?mode=apply', { modules: [] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/import', { widgets: [] });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Unknown section/);
+
+  response = await api.request('POST', '/api/import', { modules: 'MODULE_CODE,COLOUR\nX,red\n' });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Unknown column\(s\) in modules: COLOUR/);
+
+  response = await api.request('POST', '/api/import', { modules: [] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/import', 'MODULE_CODE\nX\n', { contentType: 'text/csv' });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /section must be one of/);
+});
@@ -0,0 +1,320 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog, ids, TEST_USER } from './helpers/server.js';
+
+let api;
+let viewDuty;
+let editDuty;
+let approveDuty;
+
+before(async () => {
+  api = await startTestServer();
+  const catalog = await createCatalog(api, 'AR', ['VIEW', 'EDIT', 'APPROVE']);
+  [viewDuty, editDuty, approveDuty] = await Promise.all(
+    catalog.privileges.map(async privilege => (await create(api, '/api/duty-roles', {
+      dutyRoleName: `${privilege.privilege_code} duty`,
+      roleCode: `${privilege.privilege_code}_DUTY`,
+      moduleId: catalog.module.module_id,
+      functionPrivileges: [privilege.privilege_id]
+    })).duty_role_id)
+  );
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function createJobRole(jobRoleCode, dutyRolesArray = [], inheritedFromArray = []) {
+  return create(api, '/api/job-roles', {
+    jobRoleCode,
+    jobRoleName: jobRoleCode,
+    dutyRolesArray,
+    inheritedFromArray
+  });
+}
+
+async function getJobRole(jobRoleId) {
+  const response = await api.request('GET', `/api/job-roles/${jobRoleId}`);
+  assert.equal(response.status, 200, response.text);
+  return response.body.data;
+}
+
+function inheritedFlags(jobRole) {
+  return Object.fromEntries(jobRole.duty_roles.map(dutyRole => [dutyRole.duty_role_id, dutyRole.inherited]));
+}
+
+test('POST /api/job-roles creates a role with explicit and inherited duty roles', async () => {
+  const parent = await createJobRole('CREATE_PARENT', [viewDuty]);
+  const child = await createJobRole('CREATE_CHILD', [editDuty], [parent.job_role_id]);
+
+  assert.deepEqual(ids(child.duty_roles, 'duty_role_id'), [viewDuty, editDuty]);
+  assert.deepEqual(inheritedFlags(child), { [viewDuty]: true, [editDuty]: false });
+  assert.deepEqual(ids(child.inherited_from, 'job_role_id'), [parent.job_role_id]);
+
+  const reloadedParent = await getJobRole(parent.job_role_id);
+  assert.deepEqual(ids(reloadedParent.inherited, 'job_role_id'), [child.job_role_id]);
+});
+
+test('POST /api/job-roles rejects missing fields, unknown links and duplicate codes', async () => {
+  let response = await api.request('POST', '/api/job-roles', { jobRoleCode: 'NO_NAME' });
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/job-roles', {
+    jobRoleCode: 'UNKNOWN_DUTY',
+    jobRoleName: 'Unknown duty role',
+    dutyRolesArray: [9999]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'One or more referenced duty roles or parent job roles do not exist');
+
+  await createJobRole('DUPLICATE');
+  response = await api.request('POST', '/api/job-roles', { jobRoleCode: 'DUPLICATE', jobRoleName: 'Again' });
+  assert.equal(response.status, 409);
+});
+
+test('GET /api/job-roles paginates and GET /api/job-roles/:id returns 404 for unknown roles', async () => {
+  let response = await api.request('GET', '/api/job-roles?page=1&limit=2');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 2);
+  assert.ok(response.body.pagination.total >= 3);
+
+  response = await api.request('GET', '/api/job-roles/9999');
+  assert.equal(response.status, 404);
+});
+
+test('PUT /api/job-roles/:id keeps inherited duty roles the submitted list leaves out', async () => {
+  const parent = await createJobRole('GUARD_PARENT', [viewDuty]);
+  const child = await createJobRole('GUARD_CHILD', [editDuty], [parent.job_role_id]);
+
+  // the submitted list is the explicit duty roles only: VIEW still comes from the parent
+  const response = await api.request('PUT', `/api/job-roles/${child.job_role_id}`, {
+    dutyRolesArray: [approveDuty]
+  });
+  assert.equal(response.status, 200, response.text);
+  const reloaded = await getJobRole(child.job_role_id);
+  assert.deepEqual(ids(reloaded.duty_roles, 'duty_role_id'), [viewDuty, approveDuty]);
+  assert.deepEqual(inheritedFlags(reloaded), { [viewDuty]: true, [approveDuty]: false });
+});
+
+test('PUT /api/job-roles/:id updates fields and rejects bad updates', async () => {
+  const role = await createJobRole('UPDATE_ME');
+
+  let response = await api.request('PUT', `/api/job-roles/${role.job_role_id}`, {
+    jobRoleName: 'Renamed',
+    status: 'INACTIVE'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.job_role_name, 'Renamed');
+  assert.equal(response.body.data.status, 'INACTIVE');
+
+  response = await api.request('PUT', `/api/job-roles/${role.job_role_id}`, {});
+  assert.equal(response.status, 400);
+
+  response = await api.request('PUT', `/api/job-roles/${role.job_role_id}`, {
+    inheritedFromArray: [role.job_role_id]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'A role cannot inherit from itself');
+
+  response = await api.request('PUT', '/api/job-roles/9999', { jobRoleName: 'Missing' });
+  assert.equal(response.status, 404);
+});
+
+test('job role inheritance rejects cycles, self-inheritance and unknown parents', async () => {
+  const first = await createJobRole('CYCLE_A');
+  const second = await createJobRole('CYCLE_B', [], [first.job_role_id]);
+
+  let response = await api.request('PUT', `/api/job-roles/${first.job_role_id}`, {
+    inheritedFromArray: [second.job_role_id]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Inheritance cycle detected: CYCLE_A -> CYCLE_B -> CYCLE_A');
+
+  response = await api.request('PUT', `/api/job-roles/${second.job_role_id}`, {
+    inheritedFromArray: [first.job_role_id, second.job_role_id]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'A role cannot inherit from itself');
+
+  response = await api.request('POST', '/api/job-roles', {
+    jobRoleCode: 'CYCLE_ORPHAN',
+    jobRoleName: 'Orphan',
+    inheritedFromArray: [9999]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Parent job role(s) not found: 9999');
+});
+
+test('GET /api/job-roles/graph returns the hierarchy with the modules of each role', async () => {
+  const top = await createJobRole('GRAPH_TOP', [viewDuty]);
+  const middle = await createJobRole('GRAPH_MIDDLE', [], [top.job_role_id]);
+  const bottom = await createJobRole('GRAPH_BOTTOM', [], [middle.job_role_id]);
+
+  let response = await api.request('GET', `/api/job-roles/graph?root=${bottom.job_role_id}&depth=1`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(ids(response.body.data.nodes, 'job_role_id'), [middle.job_role_id, bottom.job_role_id]);
+  assert.deepEqual(response.body.data.edges, [
+    { parent_job_role_id: middle.job_role_id, child_job_role_id: bottom.job_role_id }
+  ]);
+
+  response = await api.request('GET', `/api/job-roles/graph?root=${bottom.job_role_id}`);
+  const topNode = response.body.data.nodes.find(node => node.job_role_id === top.job_role_id);
+  assert.deepEqual(topNode.modules.map(module => module.module_code), ['AR']);
+  assert.equal(response.body.summary.nodes, 3);
+
+  response = await api.request('GET', `/api/job-roles/graph?root=${bottom.job_role_id}&format=mermaid`);
+  assert.ok(response.text.includes(`JR${top.job_role_id} --> JR${middle.job_role_id}`));
+});
+
+test('GET /api/job-roles/compare diffs effective duty roles and privileges', async () => {
+  const first = await createJobRole('COMPARE_A', [viewDuty, editDuty]);
+  const parent = await createJobRole('COMPARE_PARENT', [editDuty]);
+  const second = await createJobRole('COMPARE_B', [approveDuty], [parent.job_role_id]);
+
+  let response = await api.request('GET', `/api/job-roles/compare?ids=${first.job_role_id},${second.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+  const { data, summary } = response.body;
+
+  assert.deepEqual(data.duty_roles.common.map(d => [d.duty_role_id, d.inherited_in_a, d.inherited_in_b]), [
+    [editDuty, false, true]
+  ]);
+  assert.deepEqual(data.duty_roles.only_in_a.map(d => d.duty_role_id), [viewDuty]);
+  assert.deepEqual(data.duty_roles.only_in_b.map(d => [d.duty_role_id, d.inherited]), [[approveDuty, false]]);
+
+  assert.deepEqual(data.privileges.common.map(p => [p.privilege_code, p.inherited_in_a, p.inherited_in_b]), [
+    ['AR_FN_EDIT', false, true]
+  ]);
+  assert.deepEqual(data.privileges.only_in_a.map(p => p.privilege_code), ['AR_FN_VIEW']);
+  assert.deepEqual(data.privileges.only_in_b.map(p => p.privilege_code), ['AR_FN_APPROVE']);
+  assert.equal(summary.identical, false);
+
+  response = await api.request('GET', `/api/job-roles/compare?ids=${first.job_role_id},${parent.job_role_id},${second.job_role_id}`);
+  assert.equal(response.status, 400);
+
+  response = await api.request('GET', `/api/job-roles/compare?ids=9999,${first.job_role_id}`);
+  assert.equal(response.status, 404);
+});
+
+test('POST /api/job-roles/:id/clone copies duty roles, parents and descendants', async () => {
+  const parent = await createJobRole('CLONE_PARENT', [viewDuty]);
+  const source = await createJobRole('CLONE_SOURCE', [editDuty], [parent.job_role_id]);
+  const child = await createJobRole('CLONE_CHILD', [approveDuty], [source.job_role_id]);
+
+  let response = await api.request('POST', `/api/job-roles/${source.job_role_id}/clone`, {
+    jobRoleCode: 'EMEA_CLONE_SOURCE',
+    jobRoleName: 'EMEA source',
+    deepCopy: true,
+    codePrefix: 'EMEA_'
+  });
+  assert.equal(response.status, 201, response.text);
+  assert.deepEqual(ids(response.body.data.duty_roles, 'duty_role_id'), [viewDuty, editDuty]);
+  assert.deepEqual(ids(response.body.data.inherited_from, 'job_role_id'), [parent.job_role_id]);
+  const [, clonedChild] = response.body.data.cloned_roles;
+  assert.equal(clonedChild.source_job_role_id, child.job_role_id);
+  assert.equal(clonedChild.job_role_code, 'EMEA_CLONE_CHILD');
+
+  const reloaded = await getJobRole(clonedChild.job_role_id);
+  assert.deepEqual(ids(reloaded.inherited_from, 'job_role_id'), [response.body.data.job_role_id]);
+  assert.deepEqual(ids(reloaded.duty_roles, 'duty_role_id'), [viewDuty, editDuty, approveDuty]);
+
+  response = await api.request('POST', `/api/job-roles/${source.job_role_id}/clone`, {
+    jobRoleCode: 'CLONE_CHILD',
+    jobRoleName: 'Taken'
+  });
+  assert.equal(response.status, 409);
+});
+
+test('POST /api/job-roles/:id/duty-roles adds duty roles and DELETE removes explicit ones only', async () => {
+  const parent = await createJobRole('LINKS_PARENT', [viewDuty]);
+  const child = await createJobRole('LINKS_CHILD', [], [parent.job_role_id]);
+
+  let response = await api.request('POST', `/api/job-roles/${child.job_role_id}/duty-roles`, {
+    dutyRolesArray: [editDuty, approveDuty]
+  });
+  assert.equal(response.status, 200, response.text);
+  assert.match(response.body.message, /2 duty roles/);
+
+  response = await api.request('POST', `/api/job-roles/${child.job_role_id}/duty-roles`, { dutyRolesArray: [] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('DELETE', `/api/job-roles/${child.job_role_id}/duty-roles/${viewDuty}`);
+  assert.equal(response.status, 400);
+
+  response = await api.request('DELETE', `/api/job-roles/${child.job_role_id}/duty-roles/${approveDuty}`);
+  assert.equal(response.status, 200);
+  assert.match(response.body.message, /has been removed/);
+
+  const reloaded = await getJobRole(child.job_role_id);
+  assert.deepEqual(ids(reloaded.duty_roles, 'duty_role_id'), [viewDuty, editDuty]);
+});
+
+test('DELETE /api/job-roles/:id refuses roles that have parents', async () => {
+  const parent = await createJobRole('HAS_PARENTS_PARENT');
+  const child = await createJobRole('HAS_PARENTS_CHILD', [], [parent.job_role_id]);
+
+  const response = await api.request('DELETE', `/api/job-roles/${child.job_role_id}`);
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /inherits from other role\(s\)/);
+
+  await getJobRole(child.job_role_id);
+});
+
+test('DELETE /api/job-roles/:id cascades to children that have no other parent', async () => {
+  const root = await createJobRole('CASCADE_ROOT', [viewDuty]);
+  const otherRoot = await createJobRole('CASCADE_OTHER_ROOT', [approveDuty]);
+  const onlyChild = await createJobRole('CASCADE_ONLY_CHILD', [editDuty], [root.job_role_id]);
+  const sharedChild = await createJobRole(
+    'CASCADE_SHARED_CHILD',
+    [],
+    [root.job_role_id, otherRoot.job_role_id]
+  );
+
+  let response = await api.request('DELETE', `/api/job-roles/${root.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  for (const deleted of [root, onlyChild]) {
+    response = await api.request('GET', `/api/job-roles/${deleted.job_role_id}`);
+    assert.equal(response.status, 404);
+  }
+
+  // the shared child keeps its other parent and loses what the root passed down
+  const shared = await getJobRole(sharedChild.job_role_id);
+  assert.deepEqual(ids(shared.inherited_from, 'job_role_id'), [otherRoot.job_role_id]);
+  assert.deepEqual(ids(shared.duty_roles, 'duty_role_id'), [approveDuty]);
+
+  // every role touched is audited under the caller
+  response = await api.request('GET', `/api/audit?entityType=JOB_ROLE&action=DELETE`);
+  assert.deepEqual(
+    response.body.data.map(entry => entry.entity_id).sort((a, b) => a - b),
+    [root.job_role_id, onlyChild.job_role_id]
+  );
+
+  response = await api.request('DELETE', `/api/job-roles/${root.job_role_id}`);
+  assert.equal(response.status, 404);
+});
+
+test('DELETE /api/job-roles/:id refuses roles that are still assigned and audits users losing ended assignments', async () => {
+  const root = await createJobRole('ASSIGNED_ROOT');
+  const onlyChild = await createJobRole('ASSIGNED_ONLY_CHILD', [], [root.job_role_id]);
+  const user = await create(api, '/api/users', { username: 'assigned-root-user' });
+  let response = await api.request('POST', `/api/users/${user.user_id}/job-roles`, { jobRoleId: onlyChild.job_role_id });
+  assert.equal(response.status, 201, response.text);
+
+  // the cascaded child is still assigned
+  response = await api.request('DELETE', `/api/job-roles/${root.job_role_id}`);
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /assigned to user\(s\): assigned-root-user/);
+  await getJobRole(root.job_role_id);
+
+  response = await api.request('DELETE', `/api/users/${user.user_id}/job-roles/${onlyChild.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('DELETE', `/api/job-roles/${root.job_role_id}`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('GET', `/api/audit?entityType=USER&entityId=${user.user_id}&action=UPDATE`);
+  const [entry] = response.body.data;
+  assert.equal(entry.actor, TEST_USER);
+  assert.deepEqual(entry.changed_fields, ['job_role_assignments']);
+  assert.equal(entry.after_image.job_role_assignments.length, 0);
+});
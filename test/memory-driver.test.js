@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import oracledb from 'oracledb';
+import { MemoryDriver } from '../config/drivers/memory.js';
+
+before(async () => {
+  await MemoryDriver.createPool();
+});
+
+after(async () => {
+  await MemoryDriver.closePool();
+});
+
+async function moduleCodes() {
+  const connection = await MemoryDriver.getConnection();
+  try {
+    const result = await connection.execute(
+      'SELECT MODULE_CODE FROM SEC.MODULES ORDER BY MODULE_CODE',
+      {},
+      { outFormat: oracledb.OUT_FORMAT_ARRAY }
+    );
+    return result.rows.map(row => row[0]);
+  } finally {
+    await connection.close();
+  }
+}
+
+function insertModule(connection, code) {
+  return connection.execute(
+    'INSERT INTO SEC.MODULES (MODULE_CODE, MODULE_NAME) VALUES (:code, :code)',
+    { code }
+  );
+}
+
+test('a write on a second connection waits for the open transaction and is not rolled back with it', async () => {
+  const first = await MemoryDriver.getConnection();
+  const second = await MemoryDriver.getConnection();
+
+  await insertModule(first, 'MEM_FIRST');
+
+  let secondWritten = false;
+  const secondWrite = insertModule(second, 'MEM_SECOND').then(async () => {
+    secondWritten = true;
+    await second.commit();
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(secondWritten, false);
+
+  await first.rollback();
+  await secondWrite;
+
+  assert.deepEqual(await moduleCodes(), ['MEM_SECOND']);
+
+  await first.close();
+  await second.close();
+});
+
+test('closing a connection releases its transaction to the waiting writer', async () => {
+  const first = await MemoryDriver.getConnection();
+  const second = await MemoryDriver.getConnection();
+
+  await insertModule(first, 'MEM_DISCARDED');
+  const secondWrite = insertModule(second, 'MEM_AFTER_CLOSE');
+
+  await first.close();
+  await secondWrite;
+  await second.commit();
+  await second.close();
+
+  const codes = await moduleCodes();
+  assert.ok(codes.includes('MEM_AFTER_CLOSE'));
+  assert.ok(!codes.includes('MEM_DISCARDED'));
+});
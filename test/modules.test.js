@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('POST /api/modules creates a module', async () => {
+  const response = await api.request('POST', '/api/modules', {
+    moduleCode: 'GL',
+    moduleName: 'General Ledger',
+    description: 'Journals and balances'
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.success, true);
+  assert.equal(response.body.data.module_code, 'GL');
+  assert.equal(response.body.data.status, 'ACTIVE');
+  assert.equal(response.body.data.created_by, 'test-admin');
+});
+
+test('POST /api/modules validates required fields and status', async () => {
+  let response = await api.request('POST', '/api/modules', { moduleName: 'No code' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'moduleCode is required');
+
+  response = await api.request('POST', '/api/modules', { moduleCode: 'NONAME' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'moduleName is required');
+
+  response = await api.request('POST', '/api/modules', {
+    moduleCode: 'BADSTATUS',
+    moduleName: 'Bad status',
+    status: 'DELETED'
+  });
+  assert.equal(response.status, 400);
+});
+
+test('POST /api/modules rejects a duplicate code with 409', async () => {
+  const response = await api.request('POST', '/api/modules', {
+    moduleCode: 'GL',
+    moduleName: 'Duplicate'
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Module code already exists');
+});
+
+test('GET /api/modules paginates, filters and reports activity', async () => {
+  await create(api, '/api/modules', { moduleCode: 'AP', moduleName: 'Payables' });
+  await create(api, '/api/modules', { moduleCode: 'AR', moduleName: 'Receivables', status: 'INACTIVE' });
+
+  let response = await api.request('GET', '/api/modules?page=1&limit=2');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 2);
+  assert.equal(response.body.pagination.total, 3);
+  assert.equal(response.body.pagination.totalPages, 2);
+  assert.equal(response.body.activity.total_active_value, 2);
+  assert.equal(response.body.activity.total_inactive_value, 1);
+
+  response = await api.request('GET', '/api/modules?moduleName=pay');
+  assert.deepEqual(response.body.data.map(module => module.module_code), ['AP']);
+
+  response = await api.request('GET', '/api/modules?status=INACTIVE');
+  assert.deepEqual(response.body.data.map(module => module.module_code), ['AR']);
+
+  response = await api.request('GET', '/api/modules?page=-1');
+  assert.equal(response.status, 400);
+});
+
+test('GET /api/modules/:id returns one module or 404', async () => {
+  const module = await create(api, '/api/modules', { moduleCode: 'FA', moduleName: 'Fixed Assets' });
+
+  let response = await api.request('GET', `/api/modules/${module.module_id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.module_name, 'Fixed Assets');
+
+  response = await api.request('GET', '/api/modules/9999');
+  assert.equal(response.status, 404);
+
+  response = await api.request('GET', '/api/modules/abc');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid module ID');
+});
+
+test('PUT /api/modules/:id updates fields and keeps codes unique', async () => {
+  const module = await create(api, '/api/modules', { moduleCode: 'CM', moduleName: 'Cash' });
+
+  let response = await api.request('PUT', `/api/modules/${module.module_id}`, {
+    moduleName: 'Cash Management',
+    status: 'INACTIVE'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.module_name, 'Cash Management');
+  assert.equal(response.body.data.status, 'INACTIVE');
+  assert.equal(response.body.data.updated_by, 'test-admin');
+
+  response = await api.request('PUT', `/api/modules/${module.module_id}`, { moduleCode: 'GL' });
+  assert.equal(response.status, 409);
+
+  response = await api.request('PUT', '/api/modules/9999', { moduleName: 'Missing' });
+  assert.equal(response.status, 404);
+});
+
+test('DELETE /api/modules/:id deletes the module', async () => {
+  const module = await create(api, '/api/modules', { moduleCode: 'TMP', moduleName: 'Temporary' });
+
+  let response = await api.request('DELETE', `/api/modules/${module.module_id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.success, true);
+
+  response = await api.request('GET', `/api/modules/${module.module_id}`);
+  assert.equal(response.status, 404);
+
+  response = await api.request('DELETE', `/api/modules/${module.module_id}`);
+  assert.equal(response.status, 404);
+});
+
+test('API routes require a Bearer token', async () => {
+  const response = await api.request('GET', '/api/modules', undefined, { token: null });
+  assert.equal(response.status, 401);
+});
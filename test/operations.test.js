@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('POST /api/operations creates an operation', async () => {
+  const response = await api.request('POST', '/api/operations', {
+    operationCode: 'VIEW',
+    operationName: 'View'
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.operation_code, 'VIEW');
+  assert.equal(response.body.data.status, 'ACTIVE');
+});
+
+test('POST /api/operations validates required fields and unique codes', async () => {
+  let response = await api.request('POST', '/api/operations', { operationName: 'No code' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'operationCode is required');
+
+  response = await api.request('POST', '/api/operations', { operationCode: 'NONAME' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'operationName is required');
+
+  response = await api.request('POST', '/api/operations', { operationCode: 'VIEW', operationName: 'Again' });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Operation code already exists');
+});
+
+test('GET /api/operations paginates, filters and serves the dropdown', async () => {
+  await create(api, '/api/operations', { operationCode: 'EDIT', operationName: 'Edit' });
+  await create(api, '/api/operations', { operationCode: 'APPROVE', operationName: 'Approve', status: 'INACTIVE' });
+
+  let response = await api.request('GET', '/api/operations?page=2&limit=2');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 1);
+  assert.equal(response.body.pagination.total, 3);
+  assert.equal(response.body.activity.total_active_value, 2);
+  assert.equal(response.body.activity.total_inactive_value, 1);
+
+  response = await api.request('GET', '/api/operations?operationCode=app');
+  assert.deepEqual(response.body.data.map(operation => operation.operation_code), ['APPROVE']);
+
+  response = await api.request('GET', '/api/operations?dropdown=true');
+  assert.equal(response.status, 200);
+  assert.ok(Array.isArray(response.body.data));
+
+  response = await api.request('GET', '/api/operations?status=UNKNOWN');
+  assert.equal(response.status, 400);
+});
+
+test('GET /api/operations/:id returns one operation or 404', async () => {
+  const operation = await create(api, '/api/operations', { operationCode: 'DELETE', operationName: 'Delete' });
+
+  let response = await api.request('GET', `/api/operations/${operation.operation_id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.operation_name, 'Delete');
+
+  response = await api.request('GET', '/api/operations/9999');
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Operation not found');
+});
+
+test('PUT /api/operations/:id updates fields', async () => {
+  const operation = await create(api, '/api/operations', { operationCode: 'EXPORT', operationName: 'Export' });
+
+  let response = await api.request('PUT', `/api/operations/${operation.operation_id}`, {
+    operationName: 'Export data',
+    status: 'INACTIVE'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.operation_name, 'Export data');
+  assert.equal(response.body.data.status, 'INACTIVE');
+
+  response = await api.request('PUT', `/api/operations/${operation.operation_id}`, { operationCode: 'VIEW' });
+  assert.equal(response.status, 409);
+
+  response = await api.request('PUT', '/api/operations/9999', { operationName: 'Missing' });
+  assert.equal(response.status, 404);
+});
+
+test('DELETE /api/operations/:id deletes the operation', async () => {
+  const operation = await create(api, '/api/operations', { operationCode: 'TMP', operationName: 'Temporary' });
+
+  let response = await api.request('DELETE', `/api/operations/${operation.operation_id}`);
+  assert.equal(response.status, 200);
+
+  response = await api.request('GET', `/api/operations/${operation.operation_id}`);
+  assert.equal(response.status, 404);
+
+  response = await api.request('DELETE', '/api/operations/abc');
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid operation ID');
+});
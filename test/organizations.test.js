@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create } from './helpers/server.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function createOrg(orgCode, orgType, parentOrgId = null) {
+  return create(api, '/api/organizations', { orgCode, orgName: `${orgCode} name`, orgType, parentOrgId });
+}
+
+test('POST /api/organizations builds a tree of legal entities, business units and ledgers', async () => {
+  const legalEntity = await createOrg('TREE_LE', 'LEGAL_ENTITY');
+  const businessUnit = await createOrg('TREE_BU', 'business_unit', legalEntity.org_id);
+  await createOrg('TREE_LEDGER', 'LEDGER', legalEntity.org_id);
+
+  assert.equal(businessUnit.org_type, 'BUSINESS_UNIT');
+  assert.equal(businessUnit.parent_org_code, 'TREE_LE');
+
+  const parent = (await api.request('GET', `/api/organizations/${legalEntity.org_id}`)).body.data;
+  assert.deepEqual(parent.children.map(child => child.org_code), ['TREE_BU', 'TREE_LEDGER']);
+
+  const response = await api.request('GET', `/api/organizations/tree?root=${legalEntity.org_id}`);
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.summary, { roots: 1, nodes: 3 });
+  assert.deepEqual(response.body.data[0].children.map(child => [child.org_code, child.children]), [
+    ['TREE_BU', []],
+    ['TREE_LEDGER', []]
+  ]);
+
+  const ledgers = await api.request('GET', '/api/organizations?orgType=ledger');
+  assert.deepEqual(ledgers.body.data.map(org => org.org_code), ['TREE_LEDGER']);
+
+  const roots = await api.request('GET', '/api/organizations?parentOrgId=root');
+  assert.deepEqual(roots.body.data.map(org => org.org_code), ['TREE_LE']);
+});
+
+test('POST /api/organizations validates type, parent and unique codes', async () => {
+  let response = await api.request('POST', '/api/organizations', { orgCode: 'BAD', orgName: 'Bad', orgType: 'REGION' });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /orgType must be one of/);
+
+  response = await api.request('POST', '/api/organizations', { orgCode: 'ORPHAN', orgName: 'Orphan', orgType: 'LEDGER', parentOrgId: 999999 });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Parent organization 999999 does not exist/);
+
+  await createOrg('DUP_ORG', 'LEDGER');
+  response = await api.request('POST', '/api/organizations', { orgCode: 'DUP_ORG', orgName: 'Again', orgType: 'LEDGER' });
+  assert.equal(response.status, 409);
+});
+
+test('PUT /api/organizations/:id moves nodes and rejects cycles', async () => {
+  const top = await createOrg('MOVE_TOP', 'LEGAL_ENTITY');
+  const middle = await createOrg('MOVE_MID', 'BUSINESS_UNIT', top.org_id);
+  const leaf = await createOrg('MOVE_LEAF', 'BUSINESS_UNIT', middle.org_id);
+
+  let response = await api.request('PUT', `/api/organizations/${top.org_id}`, { parentOrgId: leaf.org_id });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Hierarchy cycle detected: MOVE_TOP -> MOVE_LEAF -> MOVE_MID -> MOVE_TOP/);
+
+  response = await api.request('PUT', `/api/organizations/${leaf.org_id}`, { parentOrgId: null, status: 'inactive' });
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.data.parent_org_id, null);
+  assert.equal(response.body.data.status, 'INACTIVE');
+
+  const history = await api.request('GET', `/api/organizations/${leaf.org_id}/history`);
+  assert.deepEqual(history.body.data.map(entry => entry.action), ['CREATE', 'UPDATE']);
+});
+
+test('DELETE /api/organizations/:id refuses nodes with children', async () => {
+  const parent = await createOrg('DEL_PARENT', 'LEGAL_ENTITY');
+  const child = await createOrg('DEL_CHILD', 'LEDGER', parent.org_id);
+
+  let response = await api.request('DELETE', `/api/organizations/${parent.org_id}`);
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /child organization\(s\): DEL_CHILD/);
+
+  response = await api.request('DELETE', `/api/organizations/${child.org_id}`);
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('DELETE', `/api/organizations/${parent.org_id}`);
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('DELETE', `/api/organizations/${parent.org_id}`);
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,159 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create } from './helpers/server.js';
+
+let api;
+let payablesClerk;
+let payablesManager;
+let auditor;
+
+before(async () => {
+  api = await startTestServer();
+
+  payablesClerk = await create(api, '/api/job-roles', { jobRoleCode: 'PV_AP_CLERK', jobRoleName: 'AP clerk' });
+  payablesManager = await create(api, '/api/job-roles', { jobRoleCode: 'PV_AP_MANAGER', jobRoleName: 'AP manager' });
+  auditor = await create(api, '/api/job-roles', { jobRoleCode: 'PV_AUDITOR', jobRoleName: 'Auditor' });
+
+  await create(api, '/api/provisioning/rules', {
+    ruleCode: 'PV_FINANCE_CLERKS',
+    ruleName: 'Finance clerks',
+    jobRoleId: payablesClerk.job_role_id,
+    conditions: [
+      { attributeName: 'department', attributeValue: 'Finance' },
+      { attributeName: 'LOCATION', attributeValue: 'London' },
+      { attributeName: 'LOCATION', attributeValue: 'Paris' }
+    ]
+  });
+  await create(api, '/api/provisioning/rules', {
+    ruleCode: 'PV_FINANCE_MANAGERS',
+    ruleName: 'Finance managers',
+    jobRoleId: payablesManager.job_role_id,
+    conditions: [
+      { attributeName: 'DEPARTMENT', attributeValue: 'FINANCE' },
+      { attributeName: 'GRADE', attributeValue: 'M1' }
+    ]
+  });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+function heldRoles(user) {
+  return user.job_roles.map(role => [role.job_role_code, role.assignment_source]).sort();
+}
+
+test('POST /api/users grants the job roles whose rules match the new user', async () => {
+  const joiner = await create(api, '/api/users', { username: 'pv-joiner', department: 'finance', location: 'Paris' });
+  assert.deepEqual(heldRoles(joiner), [['PV_AP_CLERK', 'RULE']]);
+
+  const outsider = await create(api, '/api/users', { username: 'pv-outsider', department: 'Finance', location: 'Berlin' });
+  assert.deepEqual(outsider.job_roles, []);
+
+  const history = await api.request('GET', `/api/users/${joiner.user_id}/history`);
+  assert.deepEqual(history.body.data.map(entry => entry.action), ['CREATE', 'PROVISION']);
+  const audit = await api.request('GET', `/api/audit?entityType=user&entityId=${joiner.user_id}&action=provision`);
+  assert.equal(audit.status, 200, audit.text);
+  assert.deepEqual(audit.body.data.map(entry => entry.action), ['PROVISION']);
+});
+
+test('PUT /api/users/:id re-evaluates movers and leavers but keeps manual grants', async () => {
+  const mover = await create(api, '/api/users', { username: 'pv-mover', department: 'Finance', location: 'London' });
+  let response = await api.request('POST', `/api/users/${mover.user_id}/job-roles`, { jobRoleId: auditor.job_role_id });
+  assert.equal(response.status, 201, response.text);
+
+  response = await api.request('PUT', `/api/users/${mover.user_id}`, { grade: 'M1' });
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(heldRoles(response.body.data), [
+    ['PV_AP_CLERK', 'RULE'],
+    ['PV_AP_MANAGER', 'RULE'],
+    ['PV_AUDITOR', 'MANUAL']
+  ]);
+
+  response = await api.request('PUT', `/api/users/${mover.user_id}`, { department: 'Sales' });
+  assert.deepEqual(heldRoles(response.body.data), [['PV_AUDITOR', 'MANUAL']]);
+
+  response = await api.request('PUT', `/api/users/${mover.user_id}`, { department: 'Finance' });
+  assert.equal(response.body.data.job_roles.length, 3);
+
+  response = await api.request('PUT', `/api/users/${mover.user_id}`, { status: 'INACTIVE' });
+  assert.deepEqual(heldRoles(response.body.data), [['PV_AUDITOR', 'MANUAL']]);
+});
+
+test('POST /api/provisioning/run previews in dry-run mode and applies in commit mode', async () => {
+  const user = await create(api, '/api/users', { username: 'pv-bulk', department: 'Finance', location: 'Rome' });
+  assert.deepEqual(user.job_roles, []);
+
+  const rome = await create(api, '/api/provisioning/rules', {
+    ruleCode: 'PV_ROME_AUDIT',
+    ruleName: 'Rome auditors',
+    jobRoleId: auditor.job_role_id,
+    conditions: [{ attributeName: 'LOCATION', attributeValue: 'Rome' }]
+  });
+  assert.deepEqual(rome.conditions.map(c => [c.attribute_name, c.attribute_value]), [['LOCATION', 'Rome']]);
+
+  let response = await api.request('POST', '/api/provisioning/run', { userIds: [user.user_id] });
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.mode, 'dry-run');
+  assert.equal(response.body.committed, false);
+  assert.deepEqual(response.body.summary, { users_evaluated: 1, users_changed: 1, grants: 1, revocations: 0 });
+  assert.deepEqual(response.body.data.map(c => [c.action, c.job_role_code, c.rule_code]), [
+    ['GRANT', 'PV_AUDITOR', 'PV_ROME_AUDIT']
+  ]);
+
+  let roles = await api.request('GET', `/api/users/${user.user_id}/job-roles`);
+  assert.equal(roles.body.data.length, 0);
+
+  response = await api.request('POST', '/api/provisioning/run?mode=commit');
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.committed, true);
+  assert.deepEqual(response.body.data.map(c => [c.username, c.action, c.job_role_code]), [
+    ['pv-bulk', 'GRANT', 'PV_AUDITOR']
+  ]);
+
+  roles = await api.request('GET', `/api/users/${user.user_id}/job-roles`);
+  assert.deepEqual(roles.body.data.map(role => [role.job_role_code, role.assignment_source]), [['PV_AUDITOR', 'RULE']]);
+
+  // deactivating the rule turns its grants into revocations
+  response = await api.request('PUT', `/api/provisioning/rules/${rome.rule_id}`, { status: 'inactive' });
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('POST', '/api/provisioning/run?mode=commit', { userIds: [user.user_id] });
+  assert.deepEqual(response.body.summary, { users_evaluated: 1, users_changed: 1, grants: 0, revocations: 1 });
+
+  response = await api.request('POST', '/api/provisioning/run?mode=commit');
+  assert.deepEqual(response.body.data, []);
+});
+
+test('POST /api/provisioning/rules and /run validate their input', async () => {
+  let response = await api.request('POST', '/api/provisioning/rules', {
+    ruleCode: 'PV_BAD', ruleName: 'Bad', jobRoleId: auditor.job_role_id, conditions: []
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /needs at least one condition/);
+
+  response = await api.request('POST', '/api/provisioning/rules', {
+    ruleCode: 'PV_BAD', ruleName: 'Bad', jobRoleId: auditor.job_role_id,
+    conditions: [{ attributeName: 'COST_CENTER', attributeValue: '100' }]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Invalid condition attribute: COST_CENTER/);
+
+  response = await api.request('POST', '/api/provisioning/rules', {
+    ruleCode: 'PV_BAD', ruleName: 'Bad', jobRoleId: 999999,
+    conditions: [{ attributeName: 'GRADE', attributeValue: 'M1' }]
+  });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /Job role 999999 does not exist/);
+
+  response = await api.request('POST', '/api/provisioning/rules', {
+    ruleCode: 'PV_FINANCE_CLERKS', ruleName: 'Again', jobRoleId: auditor.job_role_id,
+    conditions: [{ attributeName: 'GRADE', attributeValue: 'M1' }]
+  });
+  assert.equal(response.status, 409);
+
+  response = await api.request('POST', '/api/provisioning/run?mode=apply');
+  assert.equal(response.status, 400);
+
+  response = await api.request('POST', '/api/provisioning/run', { userIds: ['1'] });
+  assert.equal(response.status, 400);
+});
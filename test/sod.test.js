@@ -0,0 +1,217 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, create, createCatalog, ids } from './helpers/server.js';
+
+let api;
+let catalog;
+let view;
+let edit;
+let approve;
+
+before(async () => {
+  api = await startTestServer();
+  catalog = await createCatalog(api, 'SOD', ['VIEW', 'EDIT', 'APPROVE']);
+  [view, edit, approve] = catalog.privileges.map(privilege => privilege.privilege_id);
+
+  await create(api, '/api/sod/rules', {
+    ruleCode: 'SOD_EDIT_APPROVE',
+    ruleName: 'Edit and approve',
+    moduleId: catalog.module.module_id,
+    sideAPrivileges: [edit],
+    sideBPrivileges: [approve],
+    severity: 'BLOCK'
+  });
+});
+
+after(async () => {
+  await api.stop();
+});
+
+async function createDutyRole(roleCode, functionPrivileges = [], inheritedFromRoles = []) {
+  return create(api, '/api/duty-roles', {
+    dutyRoleName: roleCode,
+    roleCode,
+    functionPrivileges,
+    inheritedFromRoles
+  });
+}
+
+async function createJobRole(jobRoleCode, dutyRolesArray = [], inheritedFromArray = []) {
+  return create(api, '/api/job-roles', {
+    jobRoleName: jobRoleCode,
+    jobRoleCode,
+    dutyRolesArray,
+    inheritedFromArray
+  });
+}
+
+test('a BLOCK rule cannot be bypassed through a job role that holds the changed duty role', async () => {
+  const approver = await createDutyRole('SOD_D2', [approve]);
+  const spare = await createDutyRole('SOD_D4', [view]);
+  const jobRole = await createJobRole('SOD_J3', [approver.duty_role_id, spare.duty_role_id]);
+
+  let response = await api.request('POST', `/api/duty-roles/${spare.duty_role_id}/privileges`, {
+    privilegeIds: [edit]
+  });
+  assert.equal(response.status, 409, response.text);
+  assert.match(response.body.error, /Segregation of duties violation in job role SOD_J3/);
+
+  response = await api.request('PUT', `/api/duty-roles/${spare.duty_role_id}`, {
+    functionPrivileges: [view, edit]
+  });
+  assert.equal(response.status, 409, response.text);
+
+  // nothing was written
+  response = await api.request('GET', `/api/duty-roles/${spare.duty_role_id}`);
+  assert.deepEqual(ids(response.body.data.function_privileges, 'privilege_id'), [view]);
+
+  response = await api.request('GET', `/api/sod/violations?moduleId=${catalog.module.module_id}`);
+  assert.equal(response.status, 200, response.text);
+  assert.ok(!response.body.data.some(v => v.job_role_id === jobRole.job_role_id));
+});
+
+test('child duty roles and child job roles of the changed role are re-checked', async () => {
+  const editor = await createDutyRole('SOD_EDITOR', [edit]);
+  const parentDuty = await createDutyRole('SOD_PARENT_DUTY', [view]);
+  await createDutyRole('SOD_CHILD_DUTY', [approve], [parentDuty.duty_role_id]);
+
+  // the child duty role would inherit EDIT next to its own APPROVE
+  let response = await api.request('POST', `/api/duty-roles/${parentDuty.duty_role_id}/privileges`, {
+    privilegeIds: [edit]
+  });
+  assert.equal(response.status, 409, response.text);
+  assert.match(response.body.error, /in duty role SOD_CHILD_DUTY/);
+
+  const approver = await createDutyRole('SOD_APPROVER', [approve]);
+  const parentJob = await createJobRole('SOD_PARENT_JOB', [parentDuty.duty_role_id]);
+  await createJobRole('SOD_CHILD_JOB', [approver.duty_role_id], [parentJob.job_role_id]);
+
+  response = await api.request('POST', `/api/job-roles/${parentJob.job_role_id}/duty-roles`, {
+    dutyRolesArray: [editor.duty_role_id]
+  });
+  assert.equal(response.status, 409, response.text);
+  assert.match(response.body.error, /in job role SOD_CHILD_JOB/);
+
+  response = await api.request('PUT', `/api/job-roles/${parentJob.job_role_id}`, {
+    dutyRolesArray: [parentDuty.duty_role_id, editor.duty_role_id]
+  });
+  assert.equal(response.status, 409, response.text);
+
+  response = await api.request('GET', `/api/job-roles/${parentJob.job_role_id}`);
+  assert.deepEqual(ids(response.body.data.duty_roles, 'duty_role_id'), [parentDuty.duty_role_id]);
+});
+
+test('GET /api/sod/violations reports existing violations by severity, per module and as CSV', async () => {
+  const other = await createCatalog(api, 'SODX', ['VIEW', 'EDIT']);
+  const [otherView, otherEdit] = other.privileges.map(privilege => privilege.privilege_id);
+
+  // roles that predate the rule are not blocked, the report finds them
+  const legacyDuty = await createDutyRole('SOD_LEGACY_DUTY', [view, approve]);
+  const legacyParent = await createJobRole('SOD_LEGACY_PARENT', [legacyDuty.duty_role_id]);
+  await createJobRole('SOD_LEGACY', [], [legacyParent.job_role_id]);
+  await create(api, '/api/sod/rules', {
+    ruleCode: 'SOD_VIEW_APPROVE',
+    ruleName: 'View and approve',
+    moduleId: catalog.module.module_id,
+    sideAPrivileges: [view],
+    sideBPrivileges: [approve],
+    severity: 'BLOCK'
+  });
+
+  // a WARN rule lets the change through and the report lists it as WARN
+  await create(api, '/api/sod/rules', {
+    ruleCode: 'SODX_VIEW_EDIT',
+    ruleName: 'View and edit',
+    moduleId: other.module.module_id,
+    sideAPrivileges: [otherView],
+    sideBPrivileges: [otherEdit],
+    severity: 'WARN'
+  });
+  const warnedDuty = await createDutyRole('SODX_DUTY', [otherView, otherEdit]);
+  await createJobRole('SODX_JOB', [warnedDuty.duty_role_id]);
+
+  let response = await api.request('GET', '/api/sod/violations');
+  assert.equal(response.status, 200, response.text);
+  const mine = response.body.data
+    .filter(v => ['SOD_LEGACY_PARENT', 'SOD_LEGACY', 'SODX_JOB'].includes(v.job_role_code))
+    .map(v => [v.job_role_code, v.rule_code, v.severity]);
+  assert.deepEqual(mine, [
+    ['SOD_LEGACY_PARENT', 'SOD_VIEW_APPROVE', 'BLOCK'],
+    ['SOD_LEGACY', 'SOD_VIEW_APPROVE', 'BLOCK'],
+    ['SODX_JOB', 'SODX_VIEW_EDIT', 'WARN']
+  ]);
+  assert.equal(
+    response.body.summary.blocking,
+    response.body.data.filter(v => v.severity === 'BLOCK').length
+  );
+
+  const inherited = response.body.data.find(v => v.job_role_code === 'SOD_LEGACY');
+  assert.deepEqual(inherited.side_a.map(p => p.privilege_id), [view]);
+  assert.deepEqual(
+    inherited.side_b[0].paths[0].job_role_chain.map(jr => jr.job_role_code),
+    ['SOD_LEGACY', 'SOD_LEGACY_PARENT']
+  );
+
+  response = await api.request('GET', `/api/sod/violations?moduleId=${other.module.module_id}`);
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.data.map(v => [v.job_role_code, v.severity]), [['SODX_JOB', 'WARN']]);
+  assert.equal(response.body.summary.module_id, other.module.module_id);
+  assert.equal(response.body.summary.blocking, 0);
+
+  response = await api.request('GET', `/api/sod/violations?moduleId=${catalog.module.module_id}&format=csv`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="sod-violations-\d{4}-\d{2}-\d{2}\.csv"/);
+  const lines = response.text.trim().split(/\r?\n/);
+  assert.equal(
+    lines[0],
+    'JOB_ROLE_CODE,JOB_ROLE_NAME,RULE_CODE,RULE_NAME,SEVERITY,SIDE,PRIVILEGE_CODE,PRIVILEGE_NAME,JOB_ROLE_PATH,DUTY_ROLE_PATH'
+  );
+  assert.ok(lines.some(line => line.startsWith('SOD_LEGACY,') && line.includes(',BLOCK,B,SOD_FN_APPROVE,')));
+  assert.ok(lines.some(line => line.includes('SOD_LEGACY > SOD_LEGACY_PARENT')));
+  assert.ok(!lines.some(line => line.startsWith('SODX_JOB,')));
+
+  response = await api.request('GET', '/api/sod/violations?moduleId=abc');
+  assert.equal(response.status, 400);
+  response = await api.request('GET', '/api/sod/violations?format=xml');
+  assert.equal(response.status, 400);
+});
+
+test('rule sides are linked to their privileges, which cannot be deleted while a rule uses them', async () => {
+  const sides = await createCatalog(api, 'SODS', ['READ', 'POST', 'PAY']);
+  const [read, post, pay] = sides.privileges.map(privilege => privilege.privilege_id);
+  const rule = await create(api, '/api/sod/rules', {
+    ruleCode: 'SODS_POST_PAY',
+    ruleName: 'Post and pay',
+    sideAPrivileges: [post],
+    sideBPrivileges: [pay, read]
+  });
+  const rulePath = `/api/sod/rules/${rule.sod_rule_id}`;
+  assert.deepEqual(ids(rule.side_b_privileges, 'privilege_id'), [read, pay]);
+
+  // the unchanged side is kept and the pair is validated as a whole
+  let response = await api.request('PUT', rulePath, { sideBPrivileges: [pay] });
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(ids(response.body.data.side_a_privileges, 'privilege_id'), [post]);
+  assert.deepEqual(ids(response.body.data.side_b_privileges, 'privilege_id'), [pay]);
+  response = await api.request('PUT', rulePath, { sideAPrivileges: [pay] });
+  assert.equal(response.status, 400);
+
+  response = await api.request('GET', `/api/audit?entityType=SOD_RULE&entityId=${rule.sod_rule_id}&action=UPDATE`);
+  const [entry] = response.body.data;
+  assert.ok(entry.changed_fields.includes('side_b_privileges'));
+  assert.ok(!entry.changed_fields.includes('side_a_privileges'));
+  assert.deepEqual(entry.before_image.side_b_privileges, [read, pay]);
+  assert.deepEqual(entry.after_image.side_b_privileges, [pay]);
+
+  response = await api.request('DELETE', `/api/function-privileges/${pay}`);
+  assert.equal(response.status, 409, response.text);
+  assert.match(response.body.error, /SoD rule\(s\) use it: SODS_POST_PAY/);
+  response = await api.request('DELETE', `/api/function-privileges/${read}`);
+  assert.equal(response.status, 200, response.text);
+
+  response = await api.request('DELETE', rulePath);
+  assert.equal(response.status, 200, response.text);
+  response = await api.request('DELETE', `/api/function-privileges/${pay}`);
+  assert.equal(response.status, 200, response.text);
+});
@@ -0,0 +1,68 @@
+import { ModelError } from './errors.js';
+
+/**
+ * Request parsing and error mapping shared by the feature controllers
+ */
+
+/**
+ * Parse pagination query parameters
+ * @param {Object} query - Express query object
+ * @returns {{page:number, limit:number, error:string|null}}
+ */
+export function parsePagination(query) {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+
+  if (page < 1) {
+    return { page, limit, error: 'Page number must be greater than 0' };
+  }
+
+  if (limit < 1 || limit > 1000) {
+    return { page, limit, error: 'Limit must be between 1 and 1000' };
+  }
+
+  return { page, limit, error: null };
+}
+
+/**
+ * Create a controller's handler for errors thrown by model writes
+ * A ModelError answers its own status. A unique constraint violation answers
+ * 409 with duplicateMessage; other errors answer the status of the first
+ * message fragment they contain, or 500.
+ *
+ * @example
+ *   const handleWriteError = createWriteErrorHandler(DataRoleView, {
+ *     duplicateMessage: 'Data role code already exists',
+ *     messageStatuses: [[400, ['does not exist', 'No fields to update']]]
+ *   });
+ *
+ * @param {Object} view - Feature view, for formatErrorResponse
+ * @param {Object} [options]
+ * @param {string} [options.duplicateMessage] - Message for ORA-00001; omit when the writes have no unique key
+ * @param {Array<[number, Array<string>]>} [options.messageStatuses] - Status per message fragments, checked in order
+ * @returns {Function} - (res, error) => Express response
+ */
+export function createWriteErrorHandler(view, { duplicateMessage, messageStatuses = [] } = {}) {
+  return (res, error) => {
+    if (error instanceof ModelError) {
+      return res.status(error.statusCode).json(
+        view.formatErrorResponse(error.message, error.statusCode)
+      );
+    }
+
+    if (duplicateMessage && (error.message.includes('unique constraint') || error.errorNum === 1)) {
+      return res.status(409).json(
+        view.formatErrorResponse(duplicateMessage, 409)
+      );
+    }
+
+    const match = messageStatuses.find(([, fragments]) =>
+      fragments.some(fragment => error.message.includes(fragment))
+    );
+    const statusCode = match ? match[0] : 500;
+
+    res.status(statusCode).json(
+      view.formatErrorResponse(error.message, statusCode)
+    );
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * CSV Utilities - Helper functions for CSV exports
+ */
+
+/**
+ * Escape a single CSV field (RFC 4180)
+ * Quotes the value when it contains a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+export function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Rows as arrays of field values (same order as headers)
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export function toCsv(headers, rows) {
+  const lines = [headers, ...rows].map(row => row.map(escapeCsvField).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse a CSV document (RFC 4180)
+ * Accepts CRLF or LF line endings and a leading byte order mark (as written by
+ * Excel); quoted fields may contain commas, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{line:number, fields:Array<string>}>} - Records with the line they start on; blank lines are skipped
+ */
+export function parseCsv(text, delimiter = ',') {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
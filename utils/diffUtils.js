@@ -0,0 +1,25 @@
+/**
+ * Diff Utilities - Helper functions for comparing collections
+ */
+
+/**
+ * Split two collections into the items both hold and the items only one holds
+ * Items are matched by the value of `key`; output keeps the order of the input.
+ * @param {Array<Object>} itemsA - First collection
+ * @param {Array<Object>} itemsB - Second collection
+ * @param {string} key - Property identifying an item, e.g. 'PRIVILEGE_ID'
+ * @returns {{common: Array<[Object, Object]>, onlyInA: Array<Object>, onlyInB: Array<Object>}}
+ *   common holds [itemFromA, itemFromB] pairs
+ */
+export function diffByKey(itemsA, itemsB, key) {
+  const itemsBByKey = new Map(itemsB.map(item => [item[key], item]));
+  const keysA = new Set(itemsA.map(item => item[key]));
+
+  return {
+    common: itemsA
+      .filter(item => itemsBByKey.has(item[key]))
+      .map(item => [item, itemsBByKey.get(item[key])]),
+    onlyInA: itemsA.filter(item => !itemsBByKey.has(item[key])),
+    onlyInB: itemsB.filter(item => !keysA.has(item[key]))
+  };
+}
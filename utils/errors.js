@@ -0,0 +1,48 @@
+/**
+ * Errors a model throws for requests it refuses
+ *
+ * Each class carries the HTTP status of the refusal, so controllers answer it
+ * without matching the message text. Anything else a model throws is a 500.
+ */
+
+/**
+ * Base class of the refusals; statusCode is the HTTP status to answer with
+ */
+export class ModelError extends Error {
+  /**
+   * @param {string} message - Message returned to the caller
+   * @param {number} statusCode - HTTP status code
+   */
+  constructor(message, statusCode) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The request refers to records that do not exist or cannot be used (400)
+ */
+export class ValidationError extends ModelError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+/**
+ * The caller may not perform the action on this record (403)
+ */
+export class ForbiddenError extends ModelError {
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+/**
+ * The record's current state does not allow the action (409)
+ */
+export class ConflictError extends ModelError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Graph Utilities - Helper functions for role inheritance hierarchies
+ */
+
+/**
+ * Group edge rows into an adjacency map
+ * @param {Array<Object>} rows - Edge rows, e.g. from an inheritance table
+ * @param {string} fromKey - Column holding the source node ID
+ * @param {string} toKey - Column holding the target node ID
+ * @returns {Map<number, Array<number>>} - Source node ID -> target node IDs
+ */
+export function buildAdjacencyMap(rows, fromKey, toKey) {
+  const adjacency = new Map();
+  for (const row of rows) {
+    if (!adjacency.has(row[fromKey])) adjacency.set(row[fromKey], []);
+    adjacency.get(row[fromKey]).push(row[toKey]);
+  }
+  return adjacency;
+}
+
+/**
+ * Find the inheritance cycle that giving a node new parents would create
+ * Cycles already present elsewhere in the graph are not reported.
+ * @param {Map<number, Array<number>>} parentsByNode - Node ID -> parent node IDs (current graph)
+ * @param {number} nodeId - Node whose parents are replaced
+ * @param {Array<number>} parentIds - Parents the node would have
+ * @returns {Array<number>|null} - Path from the node back to itself, e.g. [A, B, A], or null
+ */
+export function findInheritanceCycle(parentsByNode, nodeId, parentIds) {
+  const visited = new Set();
+
+  const walk = (currentId, path) => {
+    if (currentId === nodeId) return [...path, currentId];
+    if (visited.has(currentId)) return null;
+    visited.add(currentId);
+
+    for (const parentId of parentsByNode.get(currentId) || []) {
+      const cycle = walk(parentId, [...path, currentId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const parentId of parentIds) {
+    const cycle = walk(parentId, [nodeId]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Collect the nodes within `depth` links of a root: its ancestors (following
+ * edges up) and its descendants (following edges down), not its siblings
+ * @param {Array<{parentId:number, childId:number}>} edges - Inheritance edges
+ * @param {number} rootId - Node the sub-graph is centred on
+ * @param {number|null} depth - Maximum number of links from the root (null for no limit)
+ * @returns {Set<number>} - IDs of the nodes in the sub-graph, including the root
+ */
+export function collectSubgraphIds(edges, rootId, depth = null) {
+  const parentsByNode = buildAdjacencyMap(edges, 'childId', 'parentId');
+  const childrenByNode = buildAdjacencyMap(edges, 'parentId', 'childId');
+  const kept = new Set([rootId]);
+
+  for (const adjacency of [parentsByNode, childrenByNode]) {
+    const seen = new Set([rootId]);
+    let frontier = [rootId];
+    for (let level = 0; frontier.length > 0 && (depth === null || level < depth); level++) {
+      frontier = frontier
+        .flatMap(id => adjacency.get(id) || [])
+        .filter(id => !seen.has(id));
+      frontier.forEach(id => {
+        seen.add(id);
+        kept.add(id);
+      });
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Quote a Graphviz DOT string; an array becomes a multi-line label
+ */
+function quoteDot(text) {
+  const lines = Array.isArray(text) ? text : [text];
+  const escaped = lines.map(line => String(line).replace(/\\/g, '\\\\').replace(/"/g, '\\"'));
+  return `"${escaped.join('\\n')}"`;
+}
+
+/**
+ * Quote a Mermaid node label
+ */
+function quoteMermaid(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Render a graph as Graphviz DOT
+ * Edges point from parent to child; inactive nodes are drawn dashed.
+ * @param {string} name - Graph name
+ * @param {Array<{key:string, label:Array<string>, inactive:boolean}>} nodes
+ * @param {Array<{from:string, to:string}>} edges - Node keys, parent first
+ * @returns {string} - DOT document
+ */
+export function toDot(name, nodes, edges) {
+  const lines = [
+    `digraph ${quoteDot(name)} {`,
+    '  // edges point from parent to child: the child inherits from the parent',
+    '  rankdir=TB;',
+    '  node [shape=box];'
+  ];
+
+  for (const node of nodes) {
+    const attributes = [`label=${quoteDot(node.label)}`];
+    if (node.inactive) attributes.push('style=dashed');
+    lines.push(`  ${quoteDot(node.key)} [${attributes.join(', ')}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)};`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * Edges point from parent to child; inactive nodes get the `inactive` class.
+ * @param {Array<{key:string, label:Array<string>, inactive:boolean}>} nodes
+ * @param {Array<{from:string, to:string}>} edges - Node keys, parent first
+ * @returns {string} - Mermaid document
+ */
+export function toMermaid(nodes, edges) {
+  const lines = [
+    'flowchart TD',
+    '  %% edges point from parent to child: the child inherits from the parent',
+    '  classDef inactive stroke-dasharray: 5 5;'
+  ];
+
+  for (const node of nodes) {
+    lines.push(`  ${node.key}[${quoteMermaid(node.label.join('<br/>'))}]`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${edge.from} --> ${edge.to}`);
+  }
+
+  const inactiveKeys = nodes.filter(node => node.inactive).map(node => node.key);
+  if (inactiveKeys.length > 0) {
+    lines.push(`  class ${inactiveKeys.join(',')} inactive;`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
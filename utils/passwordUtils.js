@@ -0,0 +1,42 @@
+/**
+ * Password Utilities - scrypt password hashing using node's crypto
+ *
+ * Stored format: scrypt$<salt hex>$<hash hex>
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Encoded hash
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Verify a password against an encoded hash
+ * @param {string} password - Plain text password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True when the password matches
+ */
+export async function verifyPassword(password, encodedHash) {
+  if (!password || !encodedHash) {
+    return false;
+  }
+
+  const [scheme, salt, hashHex] = String(encodedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
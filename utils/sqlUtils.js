@@ -0,0 +1,22 @@
+/**
+ * SQL Utilities - Helper functions for building bind-safe SQL fragments
+ */
+
+/**
+ * Build the placeholder list and binds for an IN (...) clause
+ * @param {Array<number>} ids - Values to bind
+ * @param {string} prefix - Bind name prefix (must be unique within the statement)
+ * @returns {{placeholders: string, binds: Object}} - e.g. ':id0,:id1' and { id0, id1 }
+ */
+export function buildInClause(ids, prefix = 'id') {
+  const binds = {};
+  const placeholders = ids
+    .map((id, idx) => {
+      const key = `${prefix}${idx}`;
+      binds[key] = id;
+      return `:${key}`;
+    })
+    .join(',');
+
+  return { placeholders, binds };
+}
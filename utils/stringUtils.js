@@ -86,3 +86,51 @@ export function generatePageNumbers(currentPage, totalPages, maxPages = 7) {
   return pages;
 }
 
+
+/**
+ * Split an ID list into its raw entries, without converting them
+ * Accepts the same formats as parseIdList.
+ * @param {*} value - ID list
+ * @returns {Array<*>} - Entries as stored
+ */
+export function splitIdList(value) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+
+  let list = value;
+
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      list = list.split(',');
+    }
+  }
+
+  return Array.isArray(list) ? list : [list];
+}
+
+/**
+ * Parse an ID list into a clean, de-duplicated array of numeric IDs
+ * Supported formats:
+ *  - JSON string "[1,2,3]"
+ *  - comma string "1,2,3"
+ *  - array [1, "2", 3]
+ *  - array of objects [{ privilege_id: 1 }, ...] (first of objectKeys that is set)
+ * @param {*} value - ID list in any of the formats above
+ * @param {Array<string>} objectKeys - Keys to read the ID from when items are objects
+ * @returns {Array<number>} - Numeric IDs, in first-seen order
+ */
+export function parseIdList(value, objectKeys = ['id']) {
+  const ids = splitIdList(value).map(item => {
+    if (typeof item === 'number') return item;
+    if (item && typeof item === 'object') {
+      const key = objectKeys.find(k => item[k] !== undefined && item[k] !== null);
+      return key ? parseInt(item[key], 10) : NaN;
+    }
+    return parseInt(String(item).trim(), 10);
+  });
+
+  return [...new Set(ids.filter(id => Number.isInteger(id)))];
+}
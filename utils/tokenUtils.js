@@ -0,0 +1,100 @@
+/**
+ * Token Utilities - HMAC-signed JSON Web Tokens (HS256) using node's crypto
+ */
+import crypto from 'crypto';
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Encode a value as base64url
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string} - base64url string without padding
+ */
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Get the signing secret from the environment
+ * @returns {string} - Secret
+ */
+function getSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error('AUTH_TOKEN_SECRET must be set to at least 32 characters');
+  }
+  return secret;
+}
+
+/**
+ * Compute the HMAC-SHA256 signature of `header.payload`
+ * @param {string} signingInput - Encoded header and payload joined by '.'
+ * @returns {string} - base64url signature
+ */
+function sign(signingInput) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(signingInput)
+    .digest('base64url');
+}
+
+/**
+ * Sign a token
+ * @param {Object} payload - Claims to include (e.g. { sub, username })
+ * @param {Object} options
+ * @param {number} options.expiresIn - Lifetime in seconds (default: AUTH_TOKEN_TTL or 3600)
+ * @returns {string} - Signed JWT
+ */
+export function signToken(payload, { expiresIn } = {}) {
+  const ttl = expiresIn || parseInt(process.env.AUTH_TOKEN_TTL) || 3600;
+  const now = Math.floor(Date.now() / 1000);
+
+  const claims = {
+    ...payload,
+    iat: now,
+    exp: now + ttl
+  };
+
+  const signingInput = `${base64UrlEncode(JSON.stringify(HEADER))}.${base64UrlEncode(JSON.stringify(claims))}`;
+  return `${signingInput}.${sign(signingInput)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - JWT
+ * @returns {Object} - Decoded claims
+ * @throws {Error} - When the token is malformed, tampered with or expired
+ */
+export function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw new Error('Unsupported token algorithm');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+
+  return claims;
+}